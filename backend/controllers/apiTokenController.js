@@ -0,0 +1,370 @@
+import asyncHandler from "express-async-handler";
+import { ApiToken } from "../models/index.js";
+import {
+  HTTP_STATUS,
+  API_TOKEN_TYPES,
+  AUDIT_OPERATIONS,
+} from "../utils/constants.js";
+import logger from "../utils/logger.js";
+import {
+  formatSuccessResponse,
+  getPaginationOptions,
+} from "../utils/helpers.js";
+import { getAssignableScopes } from "../utils/authorizationMatrix.js";
+import {
+  getAuditSnapshot,
+  recordAuditLog,
+} from "../services/auditService.js";
+
+/**
+ * API Token Controller
+ * Manages personal access tokens (per user) and API keys (per organization)
+ * for machine clients. The plain token is only returned when it is created;
+ * only its hash is stored. Revoked tokens are kept (with revokedAt/revokedBy)
+ * for auditing.
+ */
+
+/**
+ * List tokens with pagination
+ * @param {Object} filter - Owner filter (type and user or organization)
+ * @param {Object} query - Validated query ({ page, limit, includeRevoked })
+ * @returns {Promise<Object>} { tokens, pagination }
+ */
+const listTokens = async (filter, query = {}) => {
+  const { page = 1, limit = 10, includeRevoked = false } = query;
+
+  if (!includeRevoked) filter.revokedAt = null;
+
+  const paginationOptions = getPaginationOptions(page, limit);
+  const result = await ApiToken.paginate(filter, {
+    page: paginationOptions.page,
+    limit: paginationOptions.limit,
+    sort: { createdAt: -1 },
+    populate: [
+      { path: "user", select: "firstName lastName email" },
+      { path: "revokedBy", select: "firstName lastName email" },
+    ],
+    lean: true,
+  });
+
+  return {
+    tokens: result.docs,
+    pagination: {
+      total: result.totalDocs,
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage,
+    },
+  };
+};
+
+/**
+ * Create a token acting as the requesting user
+ * @param {Object} req - Express request (validated body: name, scopes, expiresAt)
+ * @param {string} type - API_TOKEN_TYPES value
+ * @returns {Promise<{apiToken: Object, token: string}>} Token document and plain token
+ */
+const issueToken = async (req, type) => {
+  const { userId, organization } = req.user;
+  const { name, scopes, expiresAt = null } = req.validated.body;
+
+  const { token, tokenHash, prefix } = ApiToken.generateToken(type);
+  const apiToken = await ApiToken.create({
+    type,
+    name,
+    tokenHash,
+    prefix,
+    scopes,
+    organization: organization._id,
+    user: userId,
+    expiresAt,
+  });
+  await recordAuditLog(req, {
+    operation: AUDIT_OPERATIONS.CREATE,
+    document: apiToken,
+  });
+
+  logger.info("API token created", {
+    userId,
+    tokenId: apiToken._id,
+    type,
+    scopes,
+    expiresAt,
+    operationType: "CREATE",
+    resourceType: "API_TOKEN",
+  });
+
+  return { apiToken, token };
+};
+
+/**
+ * Revoke a token as the requesting user
+ * @param {Object} req - Express request (validated params: tokenId in scope and not revoked)
+ * @returns {Promise<Object>} Revoked token
+ */
+const revokeToken = async (req) => {
+  const { userId } = req.user;
+  const { tokenId } = req.validated.params;
+
+  const apiToken = await ApiToken.findOne({ _id: tokenId, revokedAt: null });
+  const auditBefore = getAuditSnapshot(apiToken);
+  apiToken.revokedAt = new Date();
+  apiToken.revokedBy = userId;
+  await apiToken.save();
+  await recordAuditLog(req, {
+    operation: AUDIT_OPERATIONS.UPDATE,
+    document: apiToken,
+    before: auditBefore,
+    action: "revoke",
+  });
+
+  logger.info("API token revoked", {
+    userId,
+    tokenId,
+    operationType: "REVOKE",
+    resourceType: "API_TOKEN",
+  });
+
+  return apiToken;
+};
+
+/**
+ * Get the scopes the requesting user can grant to tokens
+ *
+ * @route GET /api/api-tokens/scopes
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getApiTokenScopes = asyncHandler(async (req, res, next) => {
+  try {
+    const scopes = getAssignableScopes(req.user.role);
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse({ scopes }, "Token scopes retrieved successfully")
+      );
+  } catch (error) {
+    logger.error("Get token scopes failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Get the requesting user's personal access tokens
+ *
+ * @route GET /api/api-tokens/personal
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getPersonalAccessTokens = asyncHandler(async (req, res, next) => {
+  try {
+    const data = await listTokens(
+      {
+        type: API_TOKEN_TYPES.PERSONAL_ACCESS_TOKEN,
+        user: req.user.userId,
+      },
+      req.validated.query
+    );
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          data,
+          "Personal access tokens retrieved successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Get personal access tokens failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Create a personal access token
+ *
+ * @route POST /api/api-tokens/personal
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createPersonalAccessToken = asyncHandler(
+  async (req, res, next) => {
+    try {
+      const { apiToken, token } = await issueToken(
+        req,
+        API_TOKEN_TYPES.PERSONAL_ACCESS_TOKEN
+      );
+
+      return res
+        .status(HTTP_STATUS.CREATED)
+        .json(
+          formatSuccessResponse(
+            { apiToken, token },
+            "Personal access token created successfully"
+          )
+        );
+    } catch (error) {
+      logger.error("Create personal access token failed", {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.userId,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * Revoke a personal access token
+ *
+ * @route DELETE /api/api-tokens/personal/:tokenId
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const revokePersonalAccessToken = asyncHandler(
+  async (req, res, next) => {
+    try {
+      const apiToken = await revokeToken(req);
+
+      return res
+        .status(HTTP_STATUS.OK)
+        .json(
+          formatSuccessResponse(
+            { apiToken },
+            "Personal access token revoked successfully"
+          )
+        );
+    } catch (error) {
+      logger.error("Revoke personal access token failed", {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.userId,
+        tokenId: req.params.tokenId,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get the organization's API keys
+ *
+ * @route GET /api/api-tokens/keys
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getApiKeys = asyncHandler(async (req, res, next) => {
+  try {
+    const data = await listTokens(
+      {
+        type: API_TOKEN_TYPES.API_KEY,
+        organization: req.user.organization._id,
+      },
+      req.validated.query
+    );
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(formatSuccessResponse(data, "API keys retrieved successfully"));
+  } catch (error) {
+    logger.error("Get API keys failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Create an organization API key (acts as the requesting admin)
+ *
+ * @route POST /api/api-tokens/keys
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createApiKey = asyncHandler(async (req, res, next) => {
+  try {
+    const { apiToken, token } = await issueToken(req, API_TOKEN_TYPES.API_KEY);
+
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        formatSuccessResponse(
+          { apiToken, token },
+          "API key created successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Create API key failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Revoke an organization API key
+ *
+ * @route DELETE /api/api-tokens/keys/:tokenId
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const revokeApiKey = asyncHandler(async (req, res, next) => {
+  try {
+    const apiToken = await revokeToken(req);
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse({ apiToken }, "API key revoked successfully")
+      );
+  } catch (error) {
+    logger.error("Revoke API key failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      tokenId: req.params.tokenId,
+    });
+    next(error);
+  }
+});
+
+export default {
+  getApiTokenScopes,
+  getPersonalAccessTokens,
+  createPersonalAccessToken,
+  revokePersonalAccessToken,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
@@ -0,0 +1,637 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import { Attachment } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  USER_ROLES,
+  ACTIVITY_VALIDATION,
+  IMAGE_PROCESSING,
+  AUDIT_OPERATIONS,
+} from "../utils/constants.js";
+import logger from "../utils/logger.js";
+import {
+  formatSuccessResponse,
+  getPaginationOptions,
+  escapeRegex,
+  withTransaction,
+} from "../utils/helpers.js";
+import {
+  validateOrganizationScope,
+  validateNotDeleted,
+  findResourceById,
+  handleCascadeResult,
+} from "../utils/controllerHelpers.js";
+import {
+  receiveMultipartFiles,
+  getFileTypeFromMimeType,
+} from "../utils/multipartUpload.js";
+import {
+  getDefaultStorageProvider,
+  getStorageAdapter,
+} from "../services/storage/index.js";
+import {
+  storeAttachmentFile,
+  removeAttachmentFiles,
+} from "../services/attachmentFileService.js";
+import { emitToOrganization } from "../utils/socketEmitter.js";
+import {
+  recordAuditLog,
+  recordAuditLogs,
+} from "../services/auditService.js";
+
+/**
+ * Attachment Controller
+ * Handles attachment operations: list, upload, download, delete
+ * Files are streamed from the multipart request to the configured storage
+ * adapter; a parent (Task, TaskActivity, TaskComment) holds at most
+ * ACTIVITY_VALIDATION.ATTACHMENTS.MAX_COUNT attachments
+ * File types are verified from the file content; images get thumbnails
+ * Deleted attachments keep their file until TTL cleanup (restorable until then)
+ */
+
+/**
+ * Standard population configuration for attachment queries
+ * @constant
+ */
+const ATTACHMENT_POPULATE_CONFIG = [
+  {
+    path: "uploadedBy",
+    select: "firstName lastName email profilePicture",
+  },
+];
+
+/**
+ * Remove stored files of an upload that could not be completed
+ * Failures are logged only (the upload error is what the client needs)
+ * @param {string} provider - Storage provider
+ * @param {Array<Object>} storedFiles - Files returned by storeAttachmentFile
+ */
+const removeStoredFiles = async (provider, storedFiles) => {
+  for (const file of storedFiles) {
+    try {
+      await removeAttachmentFiles({
+        storage: provider,
+        storageKey: file.storageKey,
+        fileUrl: file.url,
+        thumbnails: file.thumbnails,
+      });
+    } catch (error) {
+      logger.error("Failed to remove stored file of failed upload", {
+        error: error.message,
+        provider,
+        storageKey: file.storageKey,
+      });
+    }
+  }
+};
+
+/**
+ * Send a stored file: stream it, or redirect when the storage serves it publicly
+ * @param {import('express').Response} res - Express response object
+ * @param {Object} file - Result of the storage adapter download ({stream, size} or {redirectUrl})
+ * @param {Object} headers - Content-Type and Content-Disposition headers
+ * @param {string} attachmentId - Attachment ID (for logging)
+ */
+const sendStoredFile = (res, file, headers, attachmentId) => {
+  if (file.redirectUrl) {
+    res.redirect(file.redirectUrl);
+    return;
+  }
+
+  res.set({ ...headers, "Content-Length": file.size });
+
+  file.stream.on("error", (error) => {
+    logger.error("Attachment stream failed", {
+      error: error.message,
+      attachmentId,
+    });
+    res.destroy(error);
+  });
+  file.stream.pipe(res);
+};
+
+/**
+ * Get all attachments with filtering and pagination
+ * Filtered by organization and department scope
+ *
+ * @route GET /api/attachments
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getAllAttachments = asyncHandler(async (req, res, next) => {
+  try {
+    const {
+      organization: userOrganization,
+      department: userDepartment,
+      isHod,
+    } = req.user;
+
+    const {
+      deleted = false,
+      page = 1,
+      limit = 10,
+      search = "",
+      fileType,
+      parent,
+      parentModel,
+      department,
+      uploadedBy,
+    } = req.validated.query || {};
+
+    logger.info("Get all attachments request", {
+      userId: req.user.userId,
+      role: req.user.role,
+      filters: {
+        deleted,
+        page,
+        limit,
+        search,
+        fileType,
+        parent,
+        parentModel,
+        department,
+        uploadedBy,
+      },
+    });
+
+    const filter = {};
+
+    // Organization Scope (always applied)
+    filter.organization = userOrganization._id;
+
+    // Department Scope (User, not HOD: own department only)
+    if (department) {
+      filter.department = department;
+    } else if (!isHod && req.user.role === USER_ROLES.USER) {
+      filter.department = userDepartment._id;
+    }
+
+    if (fileType) filter.fileType = fileType;
+    if (parent) filter.parent = parent;
+    if (parentModel) filter.parentModel = parentModel;
+    if (uploadedBy) filter.uploadedBy = uploadedBy;
+
+    // Search Filter (File name)
+    if (search) {
+      filter.filename = { $regex: escapeRegex(search), $options: "i" };
+    }
+
+    const paginationOptions = getPaginationOptions(page, limit);
+    const options = {
+      page: paginationOptions.page,
+      limit: paginationOptions.limit,
+      sort: { createdAt: -1 },
+      populate: ATTACHMENT_POPULATE_CONFIG,
+      lean: true,
+    };
+
+    let query = Attachment.find(filter);
+    if (deleted === "true" || deleted === true) query = query.withDeleted();
+    else if (deleted === "only") query = query.onlyDeleted();
+
+    const result = await Attachment.paginate(query, options);
+
+    logger.info("Attachments retrieved successfully", {
+      userId: req.user.userId,
+      totalDocs: result.totalDocs,
+      page: result.page,
+      totalPages: result.totalPages,
+    });
+
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          attachments: result.docs,
+          pagination: {
+            total: result.totalDocs,
+            page: result.page,
+            limit: result.limit,
+            totalPages: result.totalPages,
+            hasNextPage: result.hasNextPage,
+            hasPrevPage: result.hasPrevPage,
+            nextPage: result.nextPage,
+            prevPage: result.prevPage,
+          },
+        },
+        "Attachments retrieved successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Get all attachments failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Upload files (multipart/form-data) and attach them to a parent
+ * Files are stored first, then attachment documents are created and added
+ * to the parent in one transaction; stored files are removed if that fails
+ * Attachments take the department of their parent; vendors have none, so
+ * vendor attachments take the uploader's department
+ *
+ * @route POST /api/attachments?parent=:id&parentModel=:model
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const uploadAttachments = asyncHandler(async (req, res, next) => {
+  const provider = getDefaultStorageProvider();
+  let storedFiles = [];
+
+  try {
+    const { userId, organization, department } = req.user;
+    const { parent, parentModel } = req.validated.query;
+    const maxCount = ACTIVITY_VALIDATION.ATTACHMENTS.MAX_COUNT;
+
+    logger.info("Upload attachments request", {
+      userId,
+      parent,
+      parentModel,
+      provider,
+    });
+
+    const existingCount = await Attachment.countDocuments({
+      parent,
+      parentModel,
+    });
+    if (existingCount >= maxCount) {
+      throw new CustomError(
+        `Maximum ${maxCount} attachments allowed`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    const folder = `${organization._id}/${parentModel}`;
+
+    try {
+      storedFiles = await receiveMultipartFiles(req, {
+        maxFiles: maxCount - existingCount,
+        onFile: (stream, file) =>
+          storeAttachmentFile(stream, file, { provider, folder }),
+      });
+    } catch (error) {
+      storedFiles = error.uploaded || [];
+      throw error;
+    }
+
+    const attachments = await withTransaction(async (session) => {
+      // Re-check the limit (concurrent uploads to the same parent)
+      const count = await Attachment.countDocuments({
+        parent,
+        parentModel,
+      }).session(session);
+      if (count + storedFiles.length > maxCount) {
+        throw new CustomError(
+          `Maximum ${maxCount} attachments allowed`,
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.VALIDATION_ERROR
+        );
+      }
+
+      const parentDocument = await mongoose
+        .model(parentModel)
+        .findById(parent)
+        .select("department")
+        .session(session)
+        .lean();
+      const attachmentDepartment =
+        parentDocument?.department || department._id;
+
+      const documents = storedFiles.map((file) => {
+        const _id = new mongoose.Types.ObjectId();
+        return {
+          _id,
+          filename: file.filename,
+          fileUrl: file.url || `/api/attachments/${_id}/download`,
+          fileType: getFileTypeFromMimeType(file.mimeType),
+          fileSize: file.size,
+          mimeType: file.mimeType,
+          storage: provider,
+          storageKey: file.storageKey,
+          image: file.image,
+          thumbnails: file.thumbnails.map((thumbnail) => ({
+            ...thumbnail,
+            url:
+              thumbnail.url ||
+              `/api/attachments/${_id}/thumbnails/${thumbnail.size}`,
+          })),
+          parent,
+          parentModel,
+          uploadedBy: userId,
+          department: attachmentDepartment,
+          organization: organization._id,
+        };
+      });
+
+      const created = await Attachment.create(documents, {
+        session,
+        ordered: true,
+      });
+
+      await mongoose
+        .model(parentModel)
+        .updateOne(
+          { _id: parent },
+          { $push: { attachments: { $each: created.map((a) => a._id) } } },
+          { session }
+        );
+
+      // Record the uploads in the audit trail
+      await recordAuditLogs(
+        req,
+        created.map((attachment) => ({
+          operation: AUDIT_OPERATIONS.CREATE,
+          document: attachment,
+        })),
+        { session }
+      );
+
+      return created.map((attachment) => attachment.toObject());
+    }, logger);
+
+    // Files now belong to the attachments
+    storedFiles = [];
+
+    logger.info("Attachments uploaded successfully", {
+      userId,
+      parent,
+      parentModel,
+      count: attachments.length,
+      operationType: "UPLOAD",
+      resourceType: "ATTACHMENT",
+    });
+
+    // Emit Socket.IO event for real-time updates
+    emitToOrganization(
+      "attachment:created",
+      { attachments, parent, parentModel },
+      organization._id
+    );
+
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        formatSuccessResponse(
+          { attachments },
+          "Attachments uploaded successfully"
+        )
+      );
+  } catch (error) {
+    if (storedFiles.length > 0) {
+      await removeStoredFiles(provider, storedFiles);
+    }
+
+    logger.error("Upload attachments failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Download an attachment file
+ * Local files are streamed; Cloudinary files redirect to their URL
+ *
+ * @route GET /api/attachments/:attachmentId/download
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const downloadAttachment = asyncHandler(async (req, res, next) => {
+  try {
+    const { attachmentId } = req.validated.params;
+
+    const attachment = await findResourceById(Attachment, attachmentId, {
+      includeDeleted: true,
+      resourceType: "Attachment",
+    });
+
+    validateOrganizationScope(attachment, req.user, "download", "attachment");
+    validateNotDeleted(attachment, "download", "attachment");
+
+    const file = await getStorageAdapter(attachment.storage).download(
+      attachment
+    );
+
+    logger.info("Attachment download", {
+      userId: req.user.userId,
+      attachmentId,
+      storage: attachment.storage,
+    });
+
+    // ASCII fallback for clients without RFC 5987 support
+    const asciiFilename = attachment.filename.replace(
+      /[^\x20-\x7e]|["\\]/g,
+      "_"
+    );
+    sendStoredFile(
+      res,
+      file,
+      {
+        "Content-Type": attachment.mimeType || "application/octet-stream",
+        "Content-Disposition": `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodeURIComponent(
+          attachment.filename
+        )}`,
+      },
+      attachmentId
+    );
+  } catch (error) {
+    logger.error("Download attachment failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      attachmentId: req.params.attachmentId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Get an image attachment thumbnail
+ * Local thumbnails are streamed; Cloudinary thumbnails redirect to their URL
+ *
+ * @route GET /api/attachments/:attachmentId/thumbnails/:size
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getAttachmentThumbnail = asyncHandler(async (req, res, next) => {
+  try {
+    const { attachmentId, size } = req.validated.params;
+
+    const attachment = await findResourceById(Attachment, attachmentId, {
+      includeDeleted: true,
+      resourceType: "Attachment",
+    });
+
+    validateOrganizationScope(attachment, req.user, "access", "attachment");
+    validateNotDeleted(attachment, "access", "attachment");
+
+    const thumbnail = attachment.thumbnails.find(
+      (item) => item.size === size
+    );
+    if (!thumbnail) {
+      throw new CustomError(
+        `Attachment has no ${size} thumbnail`,
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.NOT_FOUND_ERROR
+      );
+    }
+
+    const file = await getStorageAdapter(attachment.storage).download({
+      storageKey: thumbnail.storageKey,
+      fileUrl: thumbnail.url,
+    });
+
+    sendStoredFile(
+      res,
+      file,
+      {
+        "Content-Type": IMAGE_PROCESSING.THUMBNAIL.MIME_TYPE,
+        "Content-Disposition": "inline",
+        // Thumbnails never change once generated
+        "Cache-Control": "private, max-age=86400",
+      },
+      attachmentId
+    );
+  } catch (error) {
+    logger.error("Get attachment thumbnail failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      attachmentId: req.params.attachmentId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Soft delete attachment
+ * The file is deleted from storage by TTL cleanup
+ * Transactional
+ *
+ * @route DELETE /api/attachments/:attachmentId
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const deleteAttachment = asyncHandler(async (req, res, next) => {
+  try {
+    const { attachmentId } = req.validated.params;
+    const { userId } = req.user;
+
+    logger.info("Delete attachment request", {
+      userId,
+      attachmentId,
+      role: req.user.role,
+    });
+
+    const { attachment, cascadeResult } = await withTransaction(
+      async (session) => {
+        const attachment = await findResourceById(Attachment, attachmentId, {
+          includeDeleted: true,
+          session,
+          resourceType: "Attachment",
+        });
+
+        if (attachment.isDeleted) {
+          throw new CustomError(
+            "Attachment is already deleted",
+            HTTP_STATUS.BAD_REQUEST,
+            ERROR_CODES.VALIDATION_ERROR
+          );
+        }
+
+        validateOrganizationScope(attachment, req.user, "delete", "attachment");
+
+        const cascadeResult = await Attachment.cascadeDelete(
+          attachmentId,
+          userId,
+          session,
+          { skipValidation: false, force: false }
+        );
+        handleCascadeResult(
+          cascadeResult,
+          "delete",
+          userId,
+          logger,
+          "ATTACHMENT"
+        );
+
+        await recordAuditLog(
+          req,
+          {
+            operation: AUDIT_OPERATIONS.DELETE,
+            document: attachment,
+          },
+          { session }
+        );
+
+        return { attachment, cascadeResult };
+      },
+      logger
+    );
+
+    logger.info("Attachment deleted successfully", {
+      userId,
+      attachmentId,
+      deletedCount: cascadeResult.deletedCount,
+      warnings: cascadeResult.warnings,
+      operationType: "CASCADE_DELETE",
+      resourceType: "ATTACHMENT",
+    });
+
+    // Emit Socket.IO event for real-time updates
+    emitToOrganization(
+      "attachment:deleted",
+      {
+        attachmentId,
+        parent: attachment.parent,
+        parentModel: attachment.parentModel,
+      },
+      attachment.organization
+    );
+
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          attachmentId,
+          deletedCount: cascadeResult.deletedCount,
+          warnings: cascadeResult.warnings,
+        },
+        "Attachment deleted successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Delete attachment failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      attachmentId: req.params.attachmentId,
+    });
+    next(error);
+  }
+});
+
+export default {
+  getAllAttachments,
+  uploadAttachments,
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment,
+};
@@ -0,0 +1,155 @@
+import asyncHandler from "express-async-handler";
+import { AuditLog } from "../models/index.js";
+import { HTTP_STATUS } from "../utils/constants.js";
+import logger from "../utils/logger.js";
+import {
+  formatSuccessResponse,
+  getPaginationOptions,
+  isPlatformSuperAdmin,
+} from "../utils/helpers.js";
+import { streamListExport } from "../services/exportService.js";
+
+/**
+ * Audit Log Controller
+ * Lets admins review and export the audit trail of changes made through the API
+ * Admins see their organization's entries; Platform SuperAdmin sees all
+ * Entries are read-only (see AuditLog)
+ */
+
+// Actor and API token fields populated in lists and exports
+const AUDIT_LOG_POPULATE = [
+  { path: "actor", select: "firstName lastName email" },
+  { path: "apiToken", select: "type name prefix" },
+];
+
+/**
+ * Get audit entries with filtering and pagination, or export them
+ * With format (csv, xlsx, pdf) every matching entry is streamed as a file
+ *
+ * @route GET /api/audit-logs
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getAuditLogs = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId, organization: userOrganization } = req.user;
+    const {
+      page = 1,
+      limit = 10,
+      resource,
+      resourceId,
+      operation,
+      action,
+      actor,
+      requestId,
+      startDate,
+      endDate,
+      organization,
+      format,
+      columns,
+    } = req.validated.query || {};
+
+    logger.info("Get audit logs request", {
+      userId,
+      role: req.user.role,
+      filters: {
+        page,
+        limit,
+        resource,
+        resourceId,
+        operation,
+        action,
+        actor,
+        requestId,
+        startDate,
+        endDate,
+        organization,
+        format,
+      },
+    });
+
+    const filter = {};
+
+    // Admins only see their organization's entries
+    if (isPlatformSuperAdmin(req.user)) {
+      if (organization) filter.organization = organization;
+    } else {
+      filter.organization = userOrganization._id;
+    }
+
+    if (resource) filter.resource = resource;
+    if (resourceId) filter.resourceId = resourceId;
+    if (operation) filter.operation = operation;
+    if (action) filter.action = action;
+    if (actor) filter.actor = actor;
+    if (requestId) filter.requestId = requestId;
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    // Export every matching entry (CSV/XLSX/PDF) instead of a page
+    if (format) {
+      const rowCount = await streamListExport(res, {
+        resource: "auditLogs",
+        format,
+        columns,
+        query: AuditLog.find(filter)
+          .populate(AUDIT_LOG_POPULATE)
+          .sort({ createdAt: -1 }),
+        organizationId: filter.organization || userOrganization._id,
+      });
+      logger.info("Audit logs exported", { userId, format, rowCount });
+      return;
+    }
+
+    const paginationOptions = getPaginationOptions(page, limit);
+    const result = await AuditLog.paginate(filter, {
+      page: paginationOptions.page,
+      limit: paginationOptions.limit,
+      sort: { createdAt: -1 },
+      populate: AUDIT_LOG_POPULATE,
+      lean: true,
+    });
+
+    logger.info("Audit logs retrieved successfully", {
+      userId,
+      totalDocs: result.totalDocs,
+      page: result.page,
+    });
+
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          auditLogs: result.docs,
+          pagination: {
+            total: result.totalDocs,
+            page: result.page,
+            limit: result.limit,
+            totalPages: result.totalPages,
+            hasNextPage: result.hasNextPage,
+            hasPrevPage: result.hasPrevPage,
+            nextPage: result.nextPage,
+            prevPage: result.prevPage,
+          },
+        },
+        "Audit logs retrieved successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Get audit logs failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+export default {
+  getAuditLogs,
+};
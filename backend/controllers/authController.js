@@ -4,10 +4,8 @@ import crypto from "crypto";
 import { User, Organization, Department } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
 import {
-  generateTokens,
   setTokenCookies,
   clearTokenCookies,
-  refreshTokens as refreshTokensUtil,
   verifyToken,
 } from "../utils/generateTokens.js";
 import {
@@ -15,18 +13,30 @@ import {
   ERROR_CODES,
   USER_ROLES,
   ACCOUNT_LOCKOUT,
-  TOKEN_EXPIRY_MS,
+  AUDIT_OPERATIONS,
+  SESSION_REVOKE_REASONS,
 } from "../utils/constants.js";
 import logger from "../utils/logger.js";
 import {
   formatSuccessResponse,
   safeAbortTransaction,
+  getFrontendUrl,
 } from "../utils/helpers.js";
 import {
   sendWelcomeEmail,
   sendPasswordResetEmail,
   sendEmailVerificationEmail,
 } from "../services/emailService.js";
+import {
+  getAuditSnapshot,
+  recordAuditLogs,
+  recordAuditLog,
+} from "../services/auditService.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSessions,
+} from "../services/sessionService.js";
 
 /**
  * @typedef {Object} UserDocument
@@ -44,8 +54,6 @@ import {
  * @property {string} employeeId - Employee ID
  * @property {Date} joinedAt - Join date
  * @property {Date} [dateOfBirth] - Date of birth
- * @property {string} [refreshToken] - Refresh token
- * @property {Date} [refreshTokenExpiry] - Refresh token expiry
  * @property {Date} [lastLogin] - Last login timestamp
  * @property {number} failedLoginAttempts - Failed login attempts count
  * @property {Date} [accountLockedUntil] - Account lock expiry
@@ -65,15 +73,6 @@ import {
  * Helper Functions
  */
 
-/**
- * Get frontend URL from environment
- * @returns {string} Frontend URL
- */
-const getFrontendUrl = () => {
-  const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(",") || [];
-  return allowedOrigins[0] || "http://localhost:3000";
-};
-
 /**
  * Get account lockout duration in minutes
  * @returns {number} Lockout duration in minutes
@@ -198,18 +197,6 @@ const createSuperAdminUser = async (
   return user;
 };
 
-/**
- * Update user with refresh token
- * @param {Object} user - User document
- * @param {string} refreshToken - Refresh token
- * @returns {Promise<void>}
- */
-const updateUserRefreshToken = async (user, refreshToken) => {
-  user.refreshToken = refreshToken;
-  user.refreshTokenExpiry = new Date(Date.now() + TOKEN_EXPIRY_MS.REFRESH);
-  await user.save();
-};
-
 /**
  * Authentication Controller
  * Handles user authentication operations: register, login, refresh, logout, password reset
@@ -266,6 +253,18 @@ export const register = asyncHandler(async (req, res, next) => {
 
     logger.debug("Organization and department updated with user references");
 
+    // Record the registration in the audit trail (the new user is the actor)
+    await recordAuditLogs(
+      req,
+      [organization, department, user].map((document) => ({
+        operation: AUDIT_OPERATIONS.CREATE,
+        document,
+        organization: organization._id,
+        actor: user._id,
+      })),
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
     logger.info("Registration transaction committed successfully");
@@ -283,7 +282,8 @@ export const register = asyncHandler(async (req, res, next) => {
       const verificationResult = await sendEmailVerificationEmail(
         user.email, // ✅ Send to USER email, not organization email
         `${user.firstName} ${user.lastName}`,
-        verificationUrl
+        verificationUrl,
+        { organization: user.organization }
       );
 
       if (!verificationResult.success) {
@@ -314,7 +314,11 @@ export const register = asyncHandler(async (req, res, next) => {
           user.email,
           `${user.firstName} ${user.lastName}`,
           organization.name,
-          loginUrl
+          loginUrl,
+          {
+            organization: user.organization,
+            idempotencyKey: `welcome:${user._id}`,
+          }
         );
 
         if (!welcomeResult.success) {
@@ -429,7 +433,7 @@ export const login = asyncHandler(async (req, res, next) => {
     // Find user by email (include password field)
     /** @type {UserDocument | null} */
     const user = await User.findOne({ email: email.toLowerCase() })
-      .select("+password +refreshToken +refreshTokenExpiry")
+      .select("+password")
       .populate({
         path: "organization",
         select:
@@ -639,12 +643,11 @@ export const login = asyncHandler(async (req, res, next) => {
     user.failedLoginAttempts = 0;
     user.accountLockedUntil = null;
     user.lastLogin = new Date(); // Update last login (Requirement 9.13)
+    await user.save();
 
-    // Generate JWT tokens (Requirement 5.2, 5.3)
-    const { accessToken, refreshToken } = generateTokens(user);
-
-    // Update user with refresh token (Requirement 5.4)
-    await updateUserRefreshToken(user, refreshToken);
+    // Start a session for this device with its JWT tokens (Requirement 5.2, 5.3, 5.4)
+    // Sessions on other devices stay signed in
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     // Set httpOnly and secure cookies (Requirement 5.3)
     setTokenCookies(res, accessToken, refreshToken);
@@ -673,7 +676,8 @@ export const login = asyncHandler(async (req, res, next) => {
 
 /**
  * Refresh access and refresh tokens
- * Rotates refresh token on each refresh (Requirement 5.5)
+ * Rotates refresh token on each refresh (Requirement 5.5); a rotated token
+ * presented again revokes its session (see rotateSession)
  *
  * @route POST /api/auth/refresh
  * @access Public
@@ -702,7 +706,6 @@ export const refreshToken = asyncHandler(async (req, res, next) => {
     // Find user by ID
     /** @type {UserDocument | null} */
     const user = await User.findById(decoded.userId)
-      .select("+refreshToken +refreshTokenExpiry")
       .populate({
         path: "organization",
         select:
@@ -846,36 +849,21 @@ export const refreshToken = asyncHandler(async (req, res, next) => {
       }
     }
 
-    // Validate refresh token matches stored token
-    if (user.refreshToken !== oldRefreshToken) {
-      throw new CustomError(
-        "Invalid refresh token",
-        HTTP_STATUS.UNAUTHORIZED,
-        ERROR_CODES.UNAUTHENTICATED_ERROR
-      );
-    }
-
-    // Validate refresh token expiry
-    if (user.refreshTokenExpiry && user.refreshTokenExpiry < new Date()) {
-      throw new CustomError(
-        "Refresh token expired",
-        HTTP_STATUS.UNAUTHORIZED,
-        ERROR_CODES.UNAUTHENTICATED_ERROR
-      );
-    }
-
-    // Generate new tokens (rotate refresh token) (Requirement 5.5)
-    const tokens = refreshTokensUtil(oldRefreshToken, user);
-
-    // Update user with new refresh token
-    await updateUserRefreshToken(user, tokens.refreshToken);
+    // Validate the token against its session and rotate it (Requirement 5.5)
+    const tokens = await rotateSession(
+      decoded.sessionId,
+      oldRefreshToken,
+      user,
+      req
+    );
 
-    // Set new httpOnly cookies
+    // Set new httpOnly cookies (refresh cookie kept for a concurrent refresh)
     setTokenCookies(res, tokens.accessToken, tokens.refreshToken);
 
     logger.info("Token refresh successful", {
       userId: user._id,
       email: user.email,
+      sessionId: decoded.sessionId,
     });
 
     // Format user data (removes sensitive fields)
@@ -897,28 +885,25 @@ export const refreshToken = asyncHandler(async (req, res, next) => {
 
 /**
  * Logout user
- * Clears refresh token and cookies (Requirement 5.6)
+ * Revokes the current session and clears cookies (Requirement 5.6)
+ * Sessions on other devices stay signed in
  *
  * @route POST /api/auth/logout
  * @access Private
  */
 export const logout = asyncHandler(async (req, res, next) => {
   try {
-    const userId = req.user.userId;
+    const { userId, sessionId } = req.user;
 
-    logger.info("Logout attempt", { userId });
+    logger.info("Logout attempt", { userId, sessionId });
 
-    // Find user and clear refresh token
-    const user = await User.findById(userId).select(
-      "+refreshToken +refreshTokenExpiry"
+    // Revoke the current session (its refresh token can no longer be used)
+    await revokeSessions(
+      req,
+      { _id: sessionId, user: userId },
+      { reason: SESSION_REVOKE_REASONS.LOGOUT, revokedBy: userId }
     );
 
-    if (user) {
-      user.refreshToken = null;
-      user.refreshTokenExpiry = null;
-      await user.save();
-    }
-
     // Clear httpOnly cookies (Requirement 5.6)
     clearTokenCookies(res);
 
@@ -977,7 +962,8 @@ export const forgotPassword = asyncHandler(async (req, res, next) => {
     await sendPasswordResetEmail(
       user.email,
       `${user.firstName} ${user.lastName}`,
-      resetUrl
+      resetUrl,
+      { organization: user.organization }
     );
 
     logger.info("Password reset token generated", {
@@ -1036,6 +1022,8 @@ export const resetPassword = asyncHandler(async (req, res, next) => {
       );
     }
 
+    const auditBefore = getAuditSnapshot(user);
+
     // Update password (will be hashed by pre-save hook)
     user.password = password;
 
@@ -1043,6 +1031,20 @@ export const resetPassword = asyncHandler(async (req, res, next) => {
     user.clearPasswordResetToken();
 
     await user.save();
+    await recordAuditLog(req, {
+      operation: AUDIT_OPERATIONS.UPDATE,
+      document: user,
+      before: auditBefore,
+      action: "reset-password",
+      actor: user._id,
+    });
+
+    // Sign out every device: whoever knew the old password loses access
+    await revokeSessions(
+      req,
+      { user: user._id },
+      { reason: SESSION_REVOKE_REASONS.PASSWORD_CHANGE, revokedBy: user._id }
+    );
 
     logger.info("Password reset successful", {
       userId: user._id,
@@ -1117,10 +1119,19 @@ export const verifyEmail = asyncHandler(async (req, res, next) => {
         );
     }
 
+    const auditBefore = getAuditSnapshot(user);
+
     // Mark email as verified and clear verification token
     user.clearEmailVerificationToken();
 
     await user.save();
+    await recordAuditLog(req, {
+      operation: AUDIT_OPERATIONS.UPDATE,
+      document: user,
+      before: auditBefore,
+      action: "verify-email",
+      actor: user._id,
+    });
 
     logger.info("Email verification successful", {
       userId: user._id,
@@ -1200,7 +1211,8 @@ export const resendVerification = asyncHandler(async (req, res, next) => {
     const emailResult = await sendEmailVerificationEmail(
       user.email,
       `${user.firstName} ${user.lastName}`,
-      verificationUrl
+      verificationUrl,
+      { organization: user.organization }
     );
 
     if (!emailResult.success) {
@@ -0,0 +1,247 @@
+import asyncHandler from "express-async-handler";
+import { User } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  CALENDAR_FEED,
+  AUDIT_OPERATIONS,
+} from "../utils/constants.js";
+import logger from "../utils/logger.js";
+import { formatSuccessResponse } from "../utils/helpers.js";
+import {
+  fetchUserWithRelations,
+  isUserValid,
+  buildReqUser,
+} from "../middlewares/authMiddleware.js";
+import { generateCalendarFeed } from "../services/calendarFeedService.js";
+import {
+  getAuditSnapshot,
+  recordAuditLog,
+} from "../services/auditService.js";
+
+/**
+ * Calendar Controller
+ * Manages the requesting user's secret iCalendar (ICS) feed URL and serves
+ * the feed to calendar apps. The feed URL is shown once when it is created;
+ * creating a new URL or revoking it stops the previous one from working.
+ * Feeds stop working when the user, department or organization is deleted
+ * or the subscription lapses (the same checks as authentication)
+ */
+
+/**
+ * Build the URLs of a calendar feed
+ * @param {import('express').Request} req - Express request object
+ * @param {string} token - Feed token
+ * @returns {{url: string, webcalUrl: string}} HTTP(S) URL and webcal:// URL
+ *   (opens the subscription dialog of phone calendars)
+ */
+const buildFeedUrls = (req, token) => {
+  const url = `${req.protocol}://${req.get("host")}${
+    req.baseUrl
+  }/feeds/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, "webcal:") };
+};
+
+/**
+ * Serialize the feed state of a user
+ * @param {Object} user - User with calendar feed fields
+ * @returns {{enabled: boolean, createdAt: Date|null, lastAccessedAt: Date|null}}
+ */
+const toFeedState = (user) => ({
+  enabled: Boolean(user.calendarFeedCreatedAt),
+  createdAt: user.calendarFeedCreatedAt || null,
+  lastAccessedAt: user.calendarFeedAccessedAt || null,
+});
+
+/**
+ * Get the calendar feed state of the requesting user
+ *
+ * @route GET /api/calendar/feed
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getCalendarFeedState = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+
+    const user = await User.findById(userId)
+      .select("calendarFeedCreatedAt calendarFeedAccessedAt")
+      .lean();
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { feed: toFeedState(user) },
+          "Calendar feed retrieved successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Get calendar feed failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Create the calendar feed URL of the requesting user
+ * Replaces the previous URL, which stops working
+ *
+ * @route POST /api/calendar/feed
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createCalendarFeed = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+
+    const user = await User.findById(userId);
+    const isReplaced = Boolean(user.calendarFeedCreatedAt);
+    const auditBefore = getAuditSnapshot(user);
+    const token = user.generateCalendarFeedToken();
+    await user.save();
+    await recordAuditLog(req, {
+      operation: AUDIT_OPERATIONS.UPDATE,
+      document: user,
+      before: auditBefore,
+      action: "create-calendar-feed",
+    });
+
+    logger.info("Calendar feed created", { userId, isReplaced });
+
+    return res.status(HTTP_STATUS.CREATED).json(
+      formatSuccessResponse(
+        {
+          feed: {
+            ...toFeedState(user),
+            ...buildFeedUrls(req, token),
+          },
+        },
+        "Calendar feed created successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Create calendar feed failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Revoke the calendar feed URL of the requesting user
+ *
+ * @route DELETE /api/calendar/feed
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const revokeCalendarFeed = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+
+    const user = await User.findById(userId);
+    const auditBefore = getAuditSnapshot(user);
+    user.clearCalendarFeedToken();
+    await user.save();
+    await recordAuditLog(req, {
+      operation: AUDIT_OPERATIONS.UPDATE,
+      document: user,
+      before: auditBefore,
+      action: "revoke-calendar-feed",
+    });
+
+    logger.info("Calendar feed revoked", { userId });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { feed: toFeedState(user) },
+          "Calendar feed revoked successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Revoke calendar feed failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Serve a calendar feed
+ * Authenticated by the secret token of the feed URL (calendar apps send no cookies)
+ *
+ * @route GET /api/calendar/feeds/:token.ics
+ * @access Public (feed token)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getCalendarFeed = asyncHandler(async (req, res, next) => {
+  try {
+    const { token } = req.validated.params;
+    const { todos = false } = req.validated.query;
+
+    const owner = await User.findByCalendarFeedToken(token)
+      .select("_id")
+      .lean();
+    const user = owner && (await fetchUserWithRelations(owner._id));
+
+    if (!user || !isUserValid(user)) {
+      throw new CustomError(
+        "Calendar feed not found",
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.NOT_FOUND_ERROR
+      );
+    }
+
+    const calendar = await generateCalendarFeed(buildReqUser(user), {
+      includeTodos: todos,
+    });
+    await User.updateOne(
+      { _id: owner._id },
+      { $set: { calendarFeedAccessedAt: new Date() } }
+    );
+
+    logger.info("Calendar feed served", {
+      userId: owner._id,
+      includeTodos: todos,
+      userAgent: req.get("user-agent"),
+    });
+
+    res.set({
+      "Content-Type": CALENDAR_FEED.CONTENT_TYPE,
+      "Content-Disposition": 'inline; filename="tasks.ics"',
+      "Cache-Control": "private, no-cache",
+    });
+    return res.status(HTTP_STATUS.OK).send(calendar);
+  } catch (error) {
+    logger.error("Get calendar feed failed", {
+      error: error.message,
+      ip: req.ip,
+    });
+    next(error);
+  }
+});
+
+export default {
+  getCalendarFeedState,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed,
+};
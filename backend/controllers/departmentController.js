@@ -2,7 +2,12 @@ import asyncHandler from "express-async-handler";
 import mongoose from "mongoose";
 import { Department } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
-import { HTTP_STATUS, ERROR_CODES } from "../utils/constants.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  USER_ROLES,
+  AUDIT_OPERATIONS,
+} from "../utils/constants.js";
 import logger from "../utils/logger.js";
 import {
   formatSuccessResponse,
@@ -11,6 +16,11 @@ import {
   safeAbortTransaction,
 } from "../utils/helpers.js";
 import { emitToOrganization } from "../utils/socketEmitter.js";
+import { getDepartmentCostSummary } from "../services/costService.js";
+import {
+  getAuditSnapshot,
+  recordAuditLog,
+} from "../services/auditService.js";
 
 /**
  * @typedef {Object} DepartmentDocument
@@ -60,6 +70,7 @@ const DEPARTMENT_SELECT_FIELDS =
 /**
  * Department Controller
  * Handles department management operations: list, read, create, update, delete, restore
+ * and the project cost summary of a department
  *
  * Requirements: 40.1, 40.2, 40.3, 40.4, 40.5, 40.6, 40.7, 40.8, 40.9, 40.10, 40.11, 40.12, 40.14
  */
@@ -245,6 +256,95 @@ export const getDepartmentById = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Get the project cost summary of a department
+ * Budget vs actual spend (material cost and vendor charges) of its project tasks
+ * Filtered by organization scope; Users (not HOD) only see their own department
+ *
+ * @route GET /api/departments/:departmentId/costs
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getDepartmentCosts = asyncHandler(async (req, res, next) => {
+  try {
+    const { departmentId } = req.params;
+    const { organization: userOrganization, department: userDepartment } =
+      req.user;
+
+    logger.info("Get department costs request", {
+      userId: req.user.userId,
+      departmentId,
+      role: req.user.role,
+    });
+
+    // Find department (including soft-deleted)
+    const department = await Department.findById(departmentId)
+      .withDeleted()
+      .select("name organization")
+      .lean();
+
+    if (!department) {
+      throw new CustomError(
+        `Department with ID ${departmentId} not found`,
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.NOT_FOUND_ERROR
+      );
+    }
+
+    // Validate organization scope (Requirement 40.1)
+    if (
+      department.organization.toString() !== userOrganization._id.toString()
+    ) {
+      throw new CustomError(
+        "You do not have permission to access this department",
+        HTTP_STATUS.FORBIDDEN,
+        ERROR_CODES.FORBIDDEN_ERROR
+      );
+    }
+
+    // Users (not HOD) only see the costs of their own department
+    if (
+      req.user.role === USER_ROLES.USER &&
+      !req.user.isHod &&
+      department._id.toString() !== userDepartment._id.toString()
+    ) {
+      throw new CustomError(
+        "You can only view the costs of your own department",
+        HTTP_STATUS.FORBIDDEN,
+        ERROR_CODES.FORBIDDEN_ERROR
+      );
+    }
+
+    const costs = await getDepartmentCostSummary(department);
+
+    logger.info("Department costs retrieved successfully", {
+      userId: req.user.userId,
+      departmentId: department._id,
+      taskCount: costs.taskCount,
+    });
+
+    // Return success response
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { costs },
+          "Department costs retrieved successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Get department costs failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      departmentId: req.params.departmentId,
+    });
+    next(error);
+  }
+});
+
 /**
  * Create new department
  * Filtered by organization scope
@@ -287,6 +387,15 @@ export const createDepartment = asyncHandler(async (req, res, next) => {
 
     await department.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.CREATE,
+        document: department,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -388,6 +497,8 @@ export const updateDepartment = asyncHandler(async (req, res, next) => {
       );
     }
 
+    const auditBefore = getAuditSnapshot(department);
+
     // Update department fields (let Mongoose handle validation)
     Object.keys(updateData).forEach((key) => {
       department[key] = updateData[key];
@@ -396,6 +507,16 @@ export const updateDepartment = asyncHandler(async (req, res, next) => {
     // Save department with session (Requirement 40.4)
     await department.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: department,
+        before: auditBefore,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -534,6 +655,15 @@ export const deleteDepartment = asyncHandler(async (req, res, next) => {
       );
     }
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.DELETE,
+        document: department,
+      },
+      { session }
+    );
+
     // Commit transaction (Requirement 40.4)
     await session.commitTransaction();
 
@@ -677,6 +807,15 @@ export const restoreDepartment = asyncHandler(async (req, res, next) => {
       );
     }
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.RESTORE,
+        document: department,
+      },
+      { session }
+    );
+
     // Commit transaction (Requirement 40.4)
     await session.commitTransaction();
 
@@ -727,6 +866,7 @@ export const restoreDepartment = asyncHandler(async (req, res, next) => {
 export default {
   getAllDepartments,
   getDepartmentById,
+  getDepartmentCosts,
   createDepartment,
   updateDepartment,
   deleteDepartment,
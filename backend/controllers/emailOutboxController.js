@@ -0,0 +1,234 @@
+import asyncHandler from "express-async-handler";
+import { EmailOutbox } from "../models/index.js";
+import { HTTP_STATUS, EMAIL_OUTBOX_STATUS } from "../utils/constants.js";
+import logger from "../utils/logger.js";
+import {
+  formatSuccessResponse,
+  getPaginationOptions,
+  escapeRegex,
+  isPlatformSuperAdmin,
+  withTransaction,
+} from "../utils/helpers.js";
+
+/**
+ * Email Outbox Controller
+ * Lets admins inspect queued, sent and failed emails and resend failed ones
+ * Admins see their organization's messages; Platform SuperAdmin sees all
+ * Message bodies are never returned (they may contain one-time tokens)
+ */
+
+// Fields returned for outbox messages
+const OUTBOX_SELECT_FIELDS = "-html -text";
+
+/**
+ * Queue FAILED messages for delivery again
+ * Attempts restart from zero so the full backoff schedule applies
+ * @param {Array<string>} messageIds - Outbox message IDs (validated FAILED and in scope)
+ * @param {string} userId - Admin requesting the resend
+ * @param {mongoose.ClientSession} session - MongoDB session
+ * @returns {Promise<Array>} Requeued messages
+ */
+const requeueFailedMessages = async (messageIds, userId, session) => {
+  await EmailOutbox.updateMany(
+    { _id: { $in: messageIds }, status: EMAIL_OUTBOX_STATUS.FAILED },
+    {
+      $set: {
+        status: EMAIL_OUTBOX_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lockedUntil: null,
+        failedAt: null,
+        resentBy: userId,
+      },
+    },
+    { session }
+  );
+
+  return EmailOutbox.find({ _id: { $in: messageIds } })
+    .select(OUTBOX_SELECT_FIELDS)
+    .session(session)
+    .lean();
+};
+
+/**
+ * Get outbox messages with filtering and pagination
+ *
+ * @route GET /api/email-outbox
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getEmailOutbox = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId, organization: userOrganization } = req.user;
+    const {
+      page = 1,
+      limit = 10,
+      search = "",
+      status,
+      template,
+      organization,
+    } = req.validated.query || {};
+
+    logger.info("Get email outbox request", {
+      userId,
+      role: req.user.role,
+      filters: { page, limit, search, status, template, organization },
+    });
+
+    const filter = {};
+
+    // Admins only see their organization's messages
+    if (isPlatformSuperAdmin(req.user)) {
+      if (organization) filter.organization = organization;
+    } else {
+      filter.organization = userOrganization._id;
+    }
+
+    if (status) filter.status = status;
+    if (template) filter.template = template;
+
+    if (search && search.trim() !== "") {
+      const escapedSearch = escapeRegex(search.trim());
+      filter.$or = [
+        { to: { $regex: escapedSearch, $options: "i" } },
+        { subject: { $regex: escapedSearch, $options: "i" } },
+      ];
+    }
+
+    const paginationOptions = getPaginationOptions(page, limit);
+    const result = await EmailOutbox.paginate(filter, {
+      page: paginationOptions.page,
+      limit: paginationOptions.limit,
+      sort: { createdAt: -1 },
+      select: OUTBOX_SELECT_FIELDS,
+      populate: [{ path: "resentBy", select: "firstName lastName email" }],
+      lean: true,
+    });
+
+    logger.info("Email outbox retrieved successfully", {
+      userId,
+      totalDocs: result.totalDocs,
+      page: result.page,
+    });
+
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          messages: result.docs,
+          pagination: {
+            total: result.totalDocs,
+            page: result.page,
+            limit: result.limit,
+            totalPages: result.totalPages,
+            hasNextPage: result.hasNextPage,
+            hasPrevPage: result.hasPrevPage,
+            nextPage: result.nextPage,
+            prevPage: result.prevPage,
+          },
+        },
+        "Email outbox retrieved successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Get email outbox failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Resend a failed email
+ * Transactional
+ *
+ * @route POST /api/email-outbox/:messageId/resend
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const resendEmail = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { messageId } = req.validated.params;
+
+    const [message] = await withTransaction(
+      (session) => requeueFailedMessages([messageId], userId, session),
+      logger
+    );
+
+    logger.info("Email queued for resend", {
+      userId,
+      messageId,
+      operationType: "RESEND",
+      resourceType: "EMAIL_OUTBOX",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(formatSuccessResponse({ message }, "Email queued for resend"));
+  } catch (error) {
+    logger.error("Resend email failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      messageId: req.params.messageId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Resend several failed emails
+ * Transactional
+ *
+ * @route POST /api/email-outbox/batch-resend
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const batchResendEmails = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const messageIds = [...new Set(req.validated.body.messageIds)];
+
+    const messages = await withTransaction(
+      (session) => requeueFailedMessages(messageIds, userId, session),
+      logger
+    );
+
+    logger.info("Emails queued for resend", {
+      userId,
+      count: messages.length,
+      operationType: "BATCH_RESEND",
+      resourceType: "EMAIL_OUTBOX",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { messages, count: messages.length },
+          "Emails queued for resend"
+        )
+      );
+  } catch (error) {
+    logger.error("Batch resend emails failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+export default {
+  getEmailOutbox,
+  resendEmail,
+  batchResendEmails,
+};
@@ -0,0 +1,173 @@
+import asyncHandler from "express-async-handler";
+import {
+  HTTP_STATUS,
+  IMPORT_RESOURCES,
+  IMPORT_VALIDATION,
+} from "../utils/constants.js";
+import logger from "../utils/logger.js";
+import { formatSuccessResponse } from "../utils/helpers.js";
+import { receiveMultipartFiles } from "../utils/multipartUpload.js";
+import {
+  parseImportFile,
+  resolveColumnMapping,
+  validateImportRows,
+  commitImportRecords,
+  sendImportInvitations,
+} from "../services/importService.js";
+import { emitToOrganization } from "../utils/socketEmitter.js";
+
+/**
+ * Import Controller
+ * Handles bulk imports of materials, vendors and users from a CSV or XLSX file
+ * (multipart/form-data, one file; the first worksheet, row 1 holds the headers)
+ * Every row is validated like a create request; with dryRun only the report
+ * is returned. Otherwise valid rows are created in transactional chunks and
+ * invalid rows are skipped and reported. Imported users are sent an invitation.
+ */
+
+/**
+ * Socket.IO event and payload key of created records per import resource
+ * @constant
+ */
+const IMPORT_CREATED_EVENTS = {
+  [IMPORT_RESOURCES.MATERIALS]: { event: "material:created", key: "material" },
+  [IMPORT_RESOURCES.VENDORS]: { event: "vendor:created", key: "vendor" },
+  [IMPORT_RESOURCES.USERS]: { event: "user:created", key: "user" },
+};
+
+/**
+ * Create the import handler of a resource
+ * @param {string} resource - Import resource (IMPORT_RESOURCES)
+ * @returns {Function} Express request handler
+ */
+const createImportHandler = (resource) =>
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { userId, organization } = req.user;
+      const { dryRun = false, mapping = {} } = req.validated.query;
+
+      logger.info("Import request", {
+        userId,
+        role: req.user.role,
+        resource,
+        dryRun,
+      });
+
+      const [{ headers, rows }] = await receiveMultipartFiles(req, {
+        maxFiles: 1,
+        maxFileSize: IMPORT_VALIDATION.MAX_FILE_SIZE,
+        onFile: parseImportFile,
+      });
+
+      const { columns, ignoredColumns } = resolveColumnMapping(
+        resource,
+        headers,
+        mapping
+      );
+      const { records, errors } = await validateImportRows(
+        resource,
+        rows,
+        columns,
+        req.user
+      );
+
+      const report = {
+        resource,
+        dryRun,
+        totalRows: rows.length,
+        validRows: records.length,
+        invalidRows: new Set(errors.map((error) => error.row)).size,
+        columns: columns.map(({ header, field }) => ({ header, field })),
+        ignoredColumns,
+        errors,
+        createdCount: 0,
+        failedRows: [],
+      };
+
+      if (dryRun) {
+        return res
+          .status(HTTP_STATUS.OK)
+          .json(formatSuccessResponse({ report }, "Import validated"));
+      }
+
+      const { created, failedRows } = await commitImportRecords(
+        resource,
+        records,
+        req
+      );
+      report.createdCount = created.length;
+      report.failedRows = failedRows;
+
+      if (resource === IMPORT_RESOURCES.USERS) {
+        report.invitationsSent = await sendImportInvitations(
+          created,
+          organization
+        );
+      }
+
+      logger.info("Import completed", {
+        userId,
+        resource,
+        totalRows: report.totalRows,
+        createdCount: report.createdCount,
+        invalidRows: report.invalidRows,
+        failedRows: failedRows.length,
+        operationType: "IMPORT",
+      });
+
+      // Emit Socket.IO events for real-time updates
+      const { event, key } = IMPORT_CREATED_EVENTS[resource];
+      for (const document of created) {
+        emitToOrganization(event, { [key]: document }, organization._id);
+      }
+
+      return res
+        .status(created.length > 0 ? HTTP_STATUS.CREATED : HTTP_STATUS.OK)
+        .json(
+          formatSuccessResponse(
+            { report },
+            `${created.length} of ${rows.length} ${resource} imported`
+          )
+        );
+    } catch (error) {
+      logger.error("Import failed", {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.userId,
+        resource,
+      });
+      next(error);
+    }
+  });
+
+/**
+ * Import materials
+ * Departments are given by name or ID (default: the importing user's department)
+ *
+ * @route POST /api/imports/materials
+ * @access Private (SuperAdmin, Admin, Manager)
+ */
+export const importMaterials = createImportHandler(IMPORT_RESOURCES.MATERIALS);
+
+/**
+ * Import vendors
+ *
+ * @route POST /api/imports/vendors
+ * @access Private (SuperAdmin, Admin)
+ */
+export const importVendors = createImportHandler(IMPORT_RESOURCES.VENDORS);
+
+/**
+ * Import users
+ * Users get a generated password and a welcome invitation to set their own
+ *
+ * @route POST /api/imports/users
+ * @access Private (SuperAdmin, Admin)
+ */
+export const importUsers = createImportHandler(IMPORT_RESOURCES.USERS);
+
+export default {
+  importMaterials,
+  importVendors,
+  importUsers,
+};
@@ -2,7 +2,13 @@ import asyncHandler from "express-async-handler";
 import mongoose from "mongoose";
 import { Material } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
-import { HTTP_STATUS, ERROR_CODES, USER_ROLES } from "../utils/constants.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  USER_ROLES,
+  MATERIAL_PRICE_SOURCES,
+  AUDIT_OPERATIONS,
+} from "../utils/constants.js";
 import logger from "../utils/logger.js";
 import {
   formatSuccessResponse,
@@ -18,10 +24,25 @@ import {
   handleCascadeResult,
 } from "../utils/controllerHelpers.js";
 import { emitToOrganization } from "../utils/socketEmitter.js";
+import {
+  findMaterialsBelowReorderPoint,
+  getMaterialStockOnHand,
+} from "../services/stockService.js";
+import {
+  recordMaterialPrice as recordPriceEntry,
+  buildMaterialPriceTrend,
+} from "../services/materialPriceService.js";
+import { streamListExport } from "../services/exportService.js";
+import {
+  getAuditSnapshot,
+  recordAuditLog,
+} from "../services/auditService.js";
 
 /**
  * Material Controller
  * Handles material management operations: list, read, create, update, delete, restore
+ * Price changes are kept in the material price history; vendor quotes can be
+ * accepted as the material price
  *
  * Requirements: 40.1, 40.2, 40.3, 40.4, 40.5, 40.6, 40.7, 40.8, 40.9, 40.10, 40.11, 40.12, 40.14
  */
@@ -32,7 +53,10 @@ import { emitToOrganization } from "../utils/socketEmitter.js";
  * @property {string} name - Material name
  * @property {string} unit - Unit of measurement
  * @property {string} category - Material category
- * @property {number} price - Material price
+ * @property {number} price - Material price (price effective now)
+ * @property {Array<Object>} quotes - Vendor quotes (vendor, unitPrice, minimumQuantity, validUntil, acceptedAt)
+ * @property {number|null} reorderPoint - Own department stock at or below which HODs are alerted
+ * @property {number|null} reorderQuantity - Suggested quantity to reorder
  * @property {mongoose.Types.ObjectId} organization - Organization reference
  * @property {mongoose.Types.ObjectId} department - Department reference
  * @property {mongoose.Types.ObjectId} createdBy - User who created the material
@@ -68,11 +92,17 @@ const MATERIAL_POPULATE_CONFIG = [
     path: "department",
     select: "name",
   },
+  {
+    path: "quotes.vendor",
+    select: "name",
+  },
 ];
 
 /**
  * Get all materials with pagination and filtering
  * Filtered by organization and department scope
+ * Each material includes quantityOnHand (stock in its own department) and
+ * isBelowReorder; belowReorder=true lists only materials at or below their reorder point
  *
  * @route GET /api/materials
  * @access Private (SuperAdmin, Admin, Manager, User)
@@ -97,6 +127,9 @@ export const getAllMaterials = asyncHandler(async (req, res, next) => {
       category,
       organization,
       department,
+      belowReorder = false,
+      format,
+      columns,
     } = req.validated.query || {};
 
     logger.info("Get all materials request", {
@@ -110,6 +143,7 @@ export const getAllMaterials = asyncHandler(async (req, res, next) => {
         category,
         organization,
         department,
+        belowReorder,
       },
     });
 
@@ -140,6 +174,14 @@ export const getAllMaterials = asyncHandler(async (req, res, next) => {
       filter.name = { $regex: escapeRegex(search), $options: "i" };
     }
 
+    // Reorder Filter (materials at or below their reorder point)
+    if (belowReorder) {
+      const belowReorderMaterials = await findMaterialsBelowReorderPoint({
+        organization: userOrganization._id,
+      });
+      filter._id = { $in: belowReorderMaterials.map(({ _id }) => _id) };
+    }
+
     // Get pagination options
     const paginationOptions = getPaginationOptions(page, limit);
 
@@ -156,9 +198,46 @@ export const getAllMaterials = asyncHandler(async (req, res, next) => {
     if (deleted === "true" || deleted === true) query = query.withDeleted();
     else if (deleted === "only") query = query.onlyDeleted();
 
+    // Export every matching material (CSV/XLSX/PDF) instead of a page
+    if (format) {
+      const rowCount = await streamListExport(res, {
+        resource: "materials",
+        format,
+        columns,
+        query: query.populate(options.populate).sort(options.sort),
+        organizationId: userOrganization._id,
+        enrichBatch: async (batch) => {
+          const stockOnHand = await getMaterialStockOnHand(batch);
+          return batch.map((material) => ({
+            ...material,
+            quantityOnHand: stockOnHand.get(material._id.toString()),
+          }));
+        },
+      });
+      logger.info("Materials exported", {
+        userId: req.user.userId,
+        format,
+        rowCount,
+      });
+      return;
+    }
+
     // Execute paginated query
     const result = await Material.paginate(query, options);
 
+    // Attach stock on hand for reorder monitoring
+    const stockOnHand = await getMaterialStockOnHand(result.docs);
+    const materials = result.docs.map((material) => {
+      const quantityOnHand = stockOnHand.get(material._id.toString());
+      return {
+        ...material,
+        quantityOnHand,
+        isBelowReorder:
+          material.reorderPoint != null &&
+          quantityOnHand <= material.reorderPoint,
+      };
+    });
+
     logger.info("Materials retrieved successfully", {
       userId: req.user.userId,
       totalDocs: result.totalDocs,
@@ -170,7 +249,7 @@ export const getAllMaterials = asyncHandler(async (req, res, next) => {
     return res.status(HTTP_STATUS.OK).json(
       formatSuccessResponse(
         {
-          materials: result.docs,
+          materials,
           pagination: {
             total: result.totalDocs,
             page: result.page,
@@ -254,6 +333,67 @@ export const getMaterialById = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Get material price trend
+ * Price history with effective dates and vendors, step points for the trend
+ * chart and the vendor quotes (cheapest first)
+ *
+ * @route GET /api/materials/:materialId/price-trend
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getMaterialPriceTrend = asyncHandler(async (req, res, next) => {
+  try {
+    const { materialId } = req.params;
+    const { months } = req.validated.query || {};
+
+    logger.info("Get material price trend request", {
+      userId: req.user.userId,
+      materialId,
+      months,
+    });
+
+    // Find material (including soft-deleted) using helper
+    const material = await findResourceById(Material, materialId, {
+      includeDeleted: true,
+      resourceType: "Material",
+    });
+
+    // Validate organization scope
+    validateOrganizationScope(material, req.user, "access", "material");
+
+    await material.populate({ path: "quotes.vendor", select: "name" });
+    const priceTrend = await buildMaterialPriceTrend(material.toObject(), {
+      months,
+    });
+
+    logger.info("Material price trend retrieved successfully", {
+      userId: req.user.userId,
+      materialId: material._id,
+      entryCount: priceTrend.history.length,
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { priceTrend },
+          "Material price trend retrieved successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Get material price trend failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      materialId: req.params.materialId,
+    });
+    next(error);
+  }
+});
+
 /**
  * Create new material
  * Transactional
@@ -292,6 +432,22 @@ export const createMaterial = asyncHandler(async (req, res, next) => {
     const material = new Material(materialData);
     await material.save({ session });
 
+    // Open the price history with the initial price
+    await recordPriceEntry(
+      material,
+      { price: material.price, recordedBy: userId },
+      { session }
+    );
+
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.CREATE,
+        document: material,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -367,6 +523,19 @@ export const updateMaterial = asyncHandler(async (req, res, next) => {
 
     // Validate organization scope
     validateOrganizationScope(material, req.user, "update", "material");
+    const auditBefore = getAuditSnapshot(material);
+
+    // Record a price change in the price history (effective now)
+    if (
+      updateData.price !== undefined &&
+      Number(updateData.price) !== material.price
+    ) {
+      await recordPriceEntry(
+        material,
+        { price: Number(updateData.price), recordedBy: req.user.userId },
+        { session }
+      );
+    }
 
     // Update fields
     Object.keys(updateData).forEach((key) => {
@@ -376,6 +545,16 @@ export const updateMaterial = asyncHandler(async (req, res, next) => {
     // Save with session
     await material.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: material,
+        before: auditBefore,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -414,6 +593,398 @@ export const updateMaterial = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Record material price
+ * Adds an entry to the price history; the material price changes when the
+ * entry is the latest effective one (a backdated entry only corrects history)
+ * Transactional
+ * Filtered by organization scope
+ *
+ * @route POST /api/materials/:materialId/prices
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const recordMaterialPrice = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { materialId } = req.params;
+    const { price, effectiveFrom, vendor, note } = req.validated.body;
+
+    logger.info("Record material price request", {
+      userId: req.user.userId,
+      materialId,
+      price,
+      effectiveFrom,
+    });
+
+    const material = await findResourceById(Material, materialId, {
+      session,
+      resourceType: "Material",
+    });
+    validateNotDeleted(material, "update", "material");
+    validateOrganizationScope(material, req.user, "update", "material");
+    const auditBefore = getAuditSnapshot(material);
+
+    const priceEntry = await recordPriceEntry(
+      material,
+      {
+        price,
+        effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
+        vendor: vendor || null,
+        note,
+        recordedBy: req.user.userId,
+      },
+      { session }
+    );
+
+    await material.save({ session });
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: material,
+        before: auditBefore,
+        action: "record-price",
+      },
+      { session }
+    );
+    await session.commitTransaction();
+
+    // Populate references for response
+    await material.populate(MATERIAL_POPULATE_CONFIG);
+
+    logger.info("Material price recorded successfully", {
+      userId: req.user.userId,
+      materialId: material._id,
+      priceEntryId: priceEntry._id,
+      operationType: "CREATE",
+      resourceType: "MATERIAL_PRICE",
+    });
+
+    emitToOrganization("material:updated", { material }, material.organization);
+
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        formatSuccessResponse(
+          { material, priceEntry },
+          "Material price recorded successfully"
+        )
+      );
+  } catch (error) {
+    await safeAbortTransaction(session, error, logger);
+
+    logger.error("Record material price failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      materialId: req.params.materialId,
+    });
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * Add vendor quote to material
+ * Transactional
+ * Filtered by organization scope
+ *
+ * @route POST /api/materials/:materialId/quotes
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const addMaterialQuote = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { materialId } = req.params;
+    const quoteData = req.validated.body;
+
+    logger.info("Add material quote request", {
+      userId: req.user.userId,
+      materialId,
+      vendorId: quoteData.vendor,
+    });
+
+    const material = await findResourceById(Material, materialId, {
+      session,
+      resourceType: "Material",
+    });
+    validateNotDeleted(material, "update", "material");
+    validateOrganizationScope(material, req.user, "update", "material");
+    const auditBefore = getAuditSnapshot(material);
+
+    material.quotes.push({ ...quoteData, createdBy: req.user.userId });
+    const quote = material.quotes[material.quotes.length - 1];
+
+    await material.save({ session });
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: material,
+        before: auditBefore,
+        action: "add-quote",
+      },
+      { session }
+    );
+    await session.commitTransaction();
+
+    // Populate references for response
+    await material.populate(MATERIAL_POPULATE_CONFIG);
+
+    logger.info("Material quote added successfully", {
+      userId: req.user.userId,
+      materialId: material._id,
+      quoteId: quote._id,
+      operationType: "CREATE",
+      resourceType: "MATERIAL_QUOTE",
+    });
+
+    emitToOrganization("material:updated", { material }, material.organization);
+
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        formatSuccessResponse({ material }, "Material quote added successfully")
+      );
+  } catch (error) {
+    await safeAbortTransaction(session, error, logger);
+
+    logger.error("Add material quote failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      materialId: req.params.materialId,
+    });
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * Delete vendor quote from material
+ * Transactional
+ * Filtered by organization scope
+ *
+ * @route DELETE /api/materials/:materialId/quotes/:quoteId
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const deleteMaterialQuote = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { materialId, quoteId } = req.params;
+
+    logger.info("Delete material quote request", {
+      userId: req.user.userId,
+      materialId,
+      quoteId,
+    });
+
+    const material = await findResourceById(Material, materialId, {
+      session,
+      resourceType: "Material",
+    });
+    validateNotDeleted(material, "update", "material");
+    validateOrganizationScope(material, req.user, "update", "material");
+    const auditBefore = getAuditSnapshot(material);
+
+    const quote = material.quotes.id(quoteId);
+    if (!quote) {
+      throw new CustomError(
+        `Material quote with ID ${quoteId} not found`,
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.NOT_FOUND_ERROR
+      );
+    }
+    quote.deleteOne();
+
+    await material.save({ session });
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: material,
+        before: auditBefore,
+        action: "delete-quote",
+      },
+      { session }
+    );
+    await session.commitTransaction();
+
+    // Populate references for response
+    await material.populate(MATERIAL_POPULATE_CONFIG);
+
+    logger.info("Material quote deleted successfully", {
+      userId: req.user.userId,
+      materialId: material._id,
+      quoteId,
+      operationType: "DELETE",
+      resourceType: "MATERIAL_QUOTE",
+    });
+
+    emitToOrganization("material:updated", { material }, material.organization);
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { material },
+          "Material quote deleted successfully"
+        )
+      );
+  } catch (error) {
+    await safeAbortTransaction(session, error, logger);
+
+    logger.error("Delete material quote failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      materialId: req.params.materialId,
+      quoteId: req.params.quoteId,
+    });
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * Accept vendor quote as the material price
+ * Records the quoted price, effective now, in the price history with the vendor
+ * Transactional
+ * Filtered by organization scope
+ *
+ * @route POST /api/materials/:materialId/quotes/:quoteId/accept
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const acceptMaterialQuote = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { materialId, quoteId } = req.params;
+
+    logger.info("Accept material quote request", {
+      userId: req.user.userId,
+      materialId,
+      quoteId,
+    });
+
+    const material = await findResourceById(Material, materialId, {
+      session,
+      resourceType: "Material",
+    });
+    validateNotDeleted(material, "update", "material");
+    validateOrganizationScope(material, req.user, "update", "material");
+    const auditBefore = getAuditSnapshot(material);
+
+    const quote = material.quotes.id(quoteId);
+    if (!quote) {
+      throw new CustomError(
+        `Material quote with ID ${quoteId} not found`,
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.NOT_FOUND_ERROR
+      );
+    }
+    if (quote.acceptedAt) {
+      throw new CustomError(
+        "Material quote is already accepted",
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.CONFLICT_ERROR
+      );
+    }
+    if (quote.validUntil && quote.validUntil < new Date()) {
+      throw new CustomError(
+        "Cannot accept expired material quote",
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    const priceEntry = await recordPriceEntry(
+      material,
+      {
+        price: quote.unitPrice,
+        vendor: quote.vendor,
+        source: MATERIAL_PRICE_SOURCES.QUOTE,
+        note: quote.note,
+        recordedBy: req.user.userId,
+      },
+      { session }
+    );
+    quote.acceptedAt = priceEntry.effectiveFrom;
+    quote.acceptedBy = req.user.userId;
+
+    await material.save({ session });
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: material,
+        before: auditBefore,
+        action: "accept-quote",
+      },
+      { session }
+    );
+    await session.commitTransaction();
+
+    // Populate references for response
+    await material.populate(MATERIAL_POPULATE_CONFIG);
+
+    logger.info("Material quote accepted successfully", {
+      userId: req.user.userId,
+      materialId: material._id,
+      quoteId,
+      priceEntryId: priceEntry._id,
+      operationType: "UPDATE",
+      resourceType: "MATERIAL_QUOTE",
+    });
+
+    emitToOrganization("material:updated", { material }, material.organization);
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { material, priceEntry },
+          "Material quote accepted successfully"
+        )
+      );
+  } catch (error) {
+    await safeAbortTransaction(session, error, logger);
+
+    logger.error("Accept material quote failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      materialId: req.params.materialId,
+      quoteId: req.params.quoteId,
+    });
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
 /**
  * Soft delete material with cascade operations
  * Filtered by organization scope
@@ -471,6 +1042,15 @@ export const deleteMaterial = asyncHandler(async (req, res, next) => {
     // Handle cascade result
     handleCascadeResult(cascadeResult, "delete", userId, logger, "MATERIAL");
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.DELETE,
+        document: material,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -564,6 +1144,15 @@ export const restoreMaterial = asyncHandler(async (req, res, next) => {
     // Handle cascade result
     handleCascadeResult(cascadeResult, "restore", userId, logger, "MATERIAL");
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.RESTORE,
+        document: material,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -613,8 +1202,13 @@ export const restoreMaterial = asyncHandler(async (req, res, next) => {
 export default {
   getAllMaterials,
   getMaterialById,
+  getMaterialPriceTrend,
   createMaterial,
   updateMaterial,
+  recordMaterialPrice,
+  addMaterialQuote,
+  deleteMaterialQuote,
+  acceptMaterialQuote,
   deleteMaterial,
   restoreMaterial,
 };
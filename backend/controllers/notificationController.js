@@ -2,7 +2,12 @@ import asyncHandler from "express-async-handler";
 import mongoose from "mongoose";
 import { Notification } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
-import { HTTP_STATUS, ERROR_CODES, USER_ROLES } from "../utils/constants.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  USER_ROLES,
+  AUDIT_OPERATIONS,
+} from "../utils/constants.js";
 import logger from "../utils/logger.js";
 import {
   formatSuccessResponse,
@@ -17,10 +22,13 @@ import {
   handleCascadeResult,
 } from "../utils/controllerHelpers.js";
 import { emitToUser } from "../utils/socketEmitter.js";
+import { recordAuditLog } from "../services/auditService.js";
 
 /**
  * Notification Controller
- * Handles notification management operations: list, read, mark as read, batch mark as read, delete
+ * Handles notification management operations: list, read, unread count, mark as read,
+ * batch mark as read, batch mark as seen, archive, delete
+ * Read/seen/archived state is tracked per recipient on Notification.recipientStates
  *
  * Requirements: 40.1, 40.2, 40.3, 40.4, 40.5, 40.6, 40.7, 40.8, 40.9, 40.10, 40.11, 40.12, 40.14
  */
@@ -31,8 +39,8 @@ import { emitToUser } from "../utils/socketEmitter.js";
  * @property {string} title - Notification title
  * @property {string} message - Notification message
  * @property {string} type - Notification type
- * @property {boolean} isRead - Read status
  * @property {Array<mongoose.Types.ObjectId>} recipients - User recipients
+ * @property {Array<Object>} recipientStates - Per-recipient readAt/seenAt/archivedAt
  * @property {mongoose.Types.ObjectId} entity - Entity reference
  * @property {string} entityModel - Entity model type
  * @property {mongoose.Types.ObjectId} organization - Organization reference
@@ -48,10 +56,44 @@ import { emitToUser } from "../utils/socketEmitter.js";
  * @property {Function} toObject - Convert to plain object
  */
 
+/**
+ * Validate the requesting user is a recipient of the notification
+ * Read/seen/archived state is personal, so this applies to every role
+ * @param {NotificationDocument} notification - Notification document
+ * @param {string} userId - Requesting user ID
+ * @param {string} message - Error message when not a recipient
+ * @throws {CustomError} If user is not a recipient
+ */
+const validateIsRecipient = (notification, userId, message) => {
+  const isRecipient = notification.recipients.some(
+    (recipient) => (recipient._id || recipient).toString() === userId
+  );
+  if (!isRecipient) {
+    throw new CustomError(
+      message,
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN_ERROR
+    );
+  }
+};
+
+/**
+ * Merge the requesting user's own state into a notification object
+ * @param {Object} notification - Plain notification object
+ * @param {string} userId - Requesting user ID
+ * @returns {Object} Notification with isRead, readAt, seenAt, archivedAt
+ */
+const withRecipientState = (notification, userId) => ({
+  ...notification,
+  ...Notification.getRecipientState(notification, userId),
+});
+
 /**
  * Get all notifications with pagination and filtering
  * Filtered by organization and department scope
  * Users can only see notifications where they are recipients
+ * isRead/isSeen/isArchived filter by the requesting user's own state
+ * Archived notifications are excluded unless isArchived=true
  *
  * @route GET /api/notifications
  * @access Private (SuperAdmin, Admin, Manager, User)
@@ -76,6 +118,8 @@ export const getAllNotifications = asyncHandler(async (req, res, next) => {
       search = "",
       type,
       isRead,
+      isSeen,
+      isArchived = false,
       recipient,
       organization,
       department,
@@ -92,6 +136,8 @@ export const getAllNotifications = asyncHandler(async (req, res, next) => {
         search,
         type,
         isRead,
+        isSeen,
+        isArchived,
         recipient,
         organization,
         department,
@@ -130,9 +176,25 @@ export const getAllNotifications = asyncHandler(async (req, res, next) => {
       filter.type = type;
     }
 
-    // Read Status Filter
-    if (isRead !== undefined) {
-      filter.isRead = isRead;
+    // Read/Seen/Archived Filters (requesting user's own state)
+    filter.$and = [];
+    if (isRead !== undefined || isSeen !== undefined) {
+      filter.$and.push(
+        Notification.buildRecipientStateFilter(userId, { isRead, isSeen })
+      );
+    }
+    if (isArchived) {
+      filter.$and.push(
+        Notification.buildRecipientStateFilter(userId, { isArchived: true })
+      );
+    } else {
+      filter.$and.push({
+        recipientStates: {
+          $not: Notification.buildRecipientStateFilter(userId, {
+            isArchived: true,
+          }).recipientStates,
+        },
+      });
     }
 
     // Entity Model Filter
@@ -192,7 +254,9 @@ export const getAllNotifications = asyncHandler(async (req, res, next) => {
     return res.status(HTTP_STATUS.OK).json(
       formatSuccessResponse(
         {
-          notifications: result.docs,
+          notifications: result.docs.map((doc) =>
+            withRecipientState(doc, userId)
+          ),
           pagination: {
             total: result.totalDocs,
             page: result.page,
@@ -260,7 +324,7 @@ export const getNotificationById = asyncHandler(async (req, res, next) => {
         select: "name",
       },
     ]);
-    const notificationObj = notification.toObject();
+    const notificationObj = withRecipientState(notification.toObject(), userId);
 
     // Validate organization scope
     validateOrganizationScope(
@@ -314,7 +378,7 @@ export const getNotificationById = asyncHandler(async (req, res, next) => {
  * Mark notification as read
  * Transactional
  * Filtered by organization scope
- * Users can only mark their own notifications as read
+ * Users can only mark their own notifications as read (all roles)
  *
  * @route PUT /api/notifications/:notificationId/read
  * @access Private (SuperAdmin, Admin, Manager, User)
@@ -348,23 +412,17 @@ export const markAsRead = asyncHandler(async (req, res, next) => {
     // Validate organization scope
     validateOrganizationScope(notification, req.user, "update", "notification");
 
-    // Validate user is a recipient (unless SuperAdmin/Admin/Manager)
-    if (req.user.role === USER_ROLES.USER) {
-      const isRecipient = notification.recipients.some(
-        (recipient) => recipient.toString() === userId
-      );
-      if (!isRecipient) {
-        throw new CustomError(
-          "You can only mark your own notifications as read",
-          HTTP_STATUS.FORBIDDEN,
-          ERROR_CODES.FORBIDDEN_ERROR
-        );
-      }
-    }
+    // Validate user is a recipient (read state is per recipient)
+    validateIsRecipient(
+      notification,
+      userId,
+      "You can only mark your own notifications as read"
+    );
 
-    // Mark as read using static method
+    // Mark as read for the requesting user using static method
     const updatedNotification = await Notification.markAsRead(
       notificationId,
+      userId,
       session
     );
 
@@ -394,19 +452,20 @@ export const markAsRead = asyncHandler(async (req, res, next) => {
       resourceType: "NOTIFICATION",
     });
 
-    // Emit Socket.IO event for real-time updates
-    emitToUser(
-      "notification:read",
-      { notification: updatedNotification },
+    const notificationObj = withRecipientState(
+      updatedNotification.toObject(),
       userId
     );
 
+    // Emit Socket.IO event for real-time updates
+    emitToUser("notification:read", { notification: notificationObj }, userId);
+
     // Return success response
     return res
       .status(HTTP_STATUS.OK)
       .json(
         formatSuccessResponse(
-          { notification: updatedNotification },
+          { notification: notificationObj },
           "Notification marked as read successfully"
         )
       );
@@ -430,7 +489,7 @@ export const markAsRead = asyncHandler(async (req, res, next) => {
  * Batch mark notifications as read
  * Transactional
  * Filtered by organization scope
- * Users can only mark their own notifications as read
+ * Users can only mark their own notifications as read (all roles)
  *
  * @route PUT /api/notifications/batch-read
  * @access Private (SuperAdmin, Admin, Manager, User)
@@ -484,23 +543,20 @@ export const batchMarkAsRead = asyncHandler(async (req, res, next) => {
         "notification"
       );
 
-      // Validate user is a recipient (unless SuperAdmin/Admin/Manager)
-      if (req.user.role === USER_ROLES.USER) {
-        const isRecipient = notification.recipients.some(
-          (recipient) => recipient.toString() === userId
-        );
-        if (!isRecipient) {
-          throw new CustomError(
-            "You can only mark your own notifications as read",
-            HTTP_STATUS.FORBIDDEN,
-            ERROR_CODES.FORBIDDEN_ERROR
-          );
-        }
-      }
+      // Validate user is a recipient (read state is per recipient)
+      validateIsRecipient(
+        notification,
+        userId,
+        "You can only mark your own notifications as read"
+      );
     }
 
-    // Batch mark as read using static method
-    const result = await Notification.batchMarkAsRead(notificationIds, session);
+    // Batch mark as read for the requesting user using static method
+    const result = await Notification.batchMarkAsRead(
+      notificationIds,
+      userId,
+      session
+    );
 
     // Commit transaction
     await session.commitTransaction();
@@ -544,6 +600,255 @@ export const batchMarkAsRead = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Get unread and unseen notification counts for the requesting user
+ * Counts span all departments in the organization (recipients may be HODs
+ * watching tasks in other departments); archived notifications are excluded
+ *
+ * @route GET /api/notifications/unread-count
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getUnreadCount = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId, organization } = req.user;
+
+    const { unreadCount, unseenCount } = await Notification.countUnread(
+      userId,
+      organization._id
+    );
+
+    logger.info("Notification unread count retrieved successfully", {
+      userId,
+      unreadCount,
+      unseenCount,
+    });
+
+    // Return success response
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { unreadCount, unseenCount },
+          "Unread count retrieved successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Get notification unread count failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Batch mark notifications as seen (e.g. notification list opened)
+ * Seen clears the badge without marking notifications as read
+ * Transactional
+ * Filtered by organization scope
+ * Users can only mark their own notifications as seen (all roles)
+ *
+ * @route PUT /api/notifications/batch-seen
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const batchMarkAsSeen = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { notificationIds } = req.validated.body;
+    const { userId } = req.user;
+
+    logger.info("Batch mark notifications as seen request", {
+      userId,
+      notificationCount: notificationIds.length,
+      role: req.user.role,
+    });
+
+    // Find all notifications with session
+    const notifications = await Notification.find({
+      _id: { $in: notificationIds },
+    }).session(session);
+
+    if (notifications.length !== notificationIds.length) {
+      throw new CustomError(
+        "One or more notifications not found",
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.NOT_FOUND_ERROR
+      );
+    }
+
+    // Validate all notifications
+    for (const notification of notifications) {
+      validateOrganizationScope(
+        notification,
+        req.user,
+        "update",
+        "notification"
+      );
+      validateIsRecipient(
+        notification,
+        userId,
+        "You can only mark your own notifications as seen"
+      );
+    }
+
+    // Batch mark as seen for the requesting user using static method
+    const result = await Notification.batchMarkAsSeen(
+      notificationIds,
+      userId,
+      session
+    );
+
+    // Commit transaction
+    await session.commitTransaction();
+
+    logger.info("Notifications marked as seen successfully", {
+      userId,
+      updatedCount: result.modifiedCount,
+      operationType: "BATCH_MARK_AS_SEEN",
+      resourceType: "NOTIFICATION",
+    });
+
+    // Emit Socket.IO event for real-time updates
+    emitToUser(
+      "notifications:batch-seen",
+      { notificationIds, updatedCount: result.modifiedCount },
+      userId
+    );
+
+    // Return success response
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          updatedCount: result.modifiedCount,
+          notificationIds,
+        },
+        "Notifications marked as seen successfully"
+      )
+    );
+  } catch (error) {
+    // Rollback transaction on error
+    await safeAbortTransaction(session, error, logger);
+
+    logger.error("Batch mark notifications as seen failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * Archive notification for the requesting user
+ * Archived notifications are hidden from the list and unread counts
+ * Other recipients are not affected
+ * Transactional
+ * Filtered by organization scope
+ *
+ * @route PUT /api/notifications/:notificationId/archive
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const archiveNotification = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { notificationId } = req.params;
+    const { userId } = req.user;
+
+    logger.info("Archive notification request", {
+      userId,
+      notificationId,
+      role: req.user.role,
+    });
+
+    // Find notification with session
+    const notification = await findResourceById(Notification, notificationId, {
+      session,
+      resourceType: "Notification",
+    });
+
+    // Validate notification is not soft-deleted
+    validateNotDeleted(notification, "archive", "notification");
+
+    // Validate organization scope
+    validateOrganizationScope(notification, req.user, "update", "notification");
+
+    // Validate user is a recipient (archive state is per recipient)
+    validateIsRecipient(
+      notification,
+      userId,
+      "You can only archive your own notifications"
+    );
+
+    // Archive for the requesting user using static method
+    const updatedNotification = await Notification.archive(
+      notificationId,
+      userId,
+      session
+    );
+
+    // Commit transaction
+    await session.commitTransaction();
+
+    const notificationObj = withRecipientState(
+      updatedNotification.toObject(),
+      userId
+    );
+
+    logger.info("Notification archived successfully", {
+      userId,
+      notificationId,
+      operationType: "ARCHIVE",
+      resourceType: "NOTIFICATION",
+    });
+
+    // Emit Socket.IO event for real-time updates
+    emitToUser(
+      "notification:archived",
+      { notification: notificationObj },
+      userId
+    );
+
+    // Return success response
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { notification: notificationObj },
+          "Notification archived successfully"
+        )
+      );
+  } catch (error) {
+    // Rollback transaction on error
+    await safeAbortTransaction(session, error, logger);
+
+    logger.error("Archive notification failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      notificationId: req.params.notificationId,
+    });
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
 /**
  * Soft delete notification with cascade operations
  * Filtered by organization scope
@@ -625,6 +930,12 @@ export const deleteNotification = asyncHandler(async (req, res, next) => {
       "NOTIFICATION"
     );
 
+    await recordAuditLog(
+      req,
+      { operation: AUDIT_OPERATIONS.DELETE, document: notification },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -674,7 +985,10 @@ export const deleteNotification = asyncHandler(async (req, res, next) => {
 export default {
   getAllNotifications,
   getNotificationById,
+  getUnreadCount,
   markAsRead,
   batchMarkAsRead,
+  batchMarkAsSeen,
+  archiveNotification,
   deleteNotification,
 };
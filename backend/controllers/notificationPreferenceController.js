@@ -0,0 +1,299 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import { NotificationPreference } from "../models/index.js";
+import { HTTP_STATUS, AUDIT_OPERATIONS } from "../utils/constants.js";
+import logger from "../utils/logger.js";
+import { formatSuccessResponse, withTransaction } from "../utils/helpers.js";
+import {
+  getAuditSnapshot,
+  recordAuditLog,
+} from "../services/auditService.js";
+
+/**
+ * Notification Preference Controller
+ * Lets each user choose delivery channels per notification type, quiet hours,
+ * and muted tasks. Preferences always belong to the requesting user.
+ * Users without a stored document get DEFAULT_NOTIFICATION_CHANNELS
+ */
+
+/**
+ * Find the requesting user's preference document or start a new one
+ * @param {Object} user - req.user
+ * @param {mongoose.ClientSession} session - MongoDB session
+ * @returns {Promise<mongoose.Document>} Preference document (unsaved if new)
+ */
+const findOrInitPreferences = async (user, session) => {
+  const preferences = await NotificationPreference.findOne({
+    user: user.userId,
+  }).session(session);
+
+  return (
+    preferences ||
+    new NotificationPreference({
+      user: user.userId,
+      organization: user.organization._id,
+    })
+  );
+};
+
+/**
+ * Get notification preferences of the requesting user
+ * Muted tasks are populated with title, description and task type
+ *
+ * @route GET /api/notifications/preferences
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getNotificationPreferences = asyncHandler(
+  async (req, res, next) => {
+    try {
+      const { userId, organization } = req.user;
+
+      const preferences =
+        (await NotificationPreference.findOne({ user: userId })
+          .populate("mutedTasks", "title description taskType")
+          .lean()) ||
+        NotificationPreference.getDefaults(userId, organization._id);
+
+      logger.info("Notification preferences retrieved successfully", {
+        userId,
+      });
+
+      return res
+        .status(HTTP_STATUS.OK)
+        .json(
+          formatSuccessResponse(
+            { preferences },
+            "Notification preferences retrieved successfully"
+          )
+        );
+    } catch (error) {
+      logger.error("Get notification preferences failed", {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.userId,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * Update notification preferences of the requesting user
+ * Channels are merged per notification type; quiet hours fields and digest
+ * frequency are merged
+ * Transactional
+ *
+ * @route PUT /api/notifications/preferences
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateNotificationPreferences = asyncHandler(
+  async (req, res, next) => {
+    try {
+      const { userId } = req.user;
+      const {
+        channels = {},
+        quietHours = {},
+        digest = {},
+      } = req.validated.body;
+
+      logger.info("Update notification preferences request", {
+        userId,
+        channelTypes: Object.keys(channels),
+        quietHours,
+        digest,
+      });
+
+      const preferences = await withTransaction(async (session) => {
+        const doc = await findOrInitPreferences(req.user, session);
+        const auditOperation = doc.isNew
+          ? AUDIT_OPERATIONS.CREATE
+          : AUDIT_OPERATIONS.UPDATE;
+        const auditBefore = getAuditSnapshot(doc.isNew ? null : doc);
+
+        Object.entries(channels).forEach(([type, typeChannels]) => {
+          doc.set(`channels.${type}`, [...new Set(typeChannels)]);
+        });
+        Object.entries(quietHours).forEach(([field, value]) => {
+          doc.set(`quietHours.${field}`, value);
+        });
+        if (digest.frequency) {
+          doc.set("digest.frequency", digest.frequency);
+        }
+
+        await doc.save({ session });
+
+        await recordAuditLog(
+          req,
+          { operation: auditOperation, document: doc, before: auditBefore },
+          { session }
+        );
+
+        return doc;
+      }, logger);
+
+      logger.info("Notification preferences updated successfully", {
+        userId,
+        operationType: "UPDATE",
+        resourceType: "NOTIFICATION_PREFERENCE",
+      });
+
+      return res
+        .status(HTTP_STATUS.OK)
+        .json(
+          formatSuccessResponse(
+            { preferences },
+            "Notification preferences updated successfully"
+          )
+        );
+    } catch (error) {
+      logger.error("Update notification preferences failed", {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.userId,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * Mute all notifications about a task for the requesting user
+ * Transactional, idempotent
+ *
+ * @route PUT /api/notifications/preferences/muted-tasks/:taskId
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const muteTask = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { taskId } = req.params;
+
+    const preferences = await withTransaction(async (session) => {
+      const doc = await findOrInitPreferences(req.user, session);
+
+      if (!doc.mutedTasks.some((id) => id.toString() === taskId)) {
+        const auditOperation = doc.isNew
+          ? AUDIT_OPERATIONS.CREATE
+          : AUDIT_OPERATIONS.UPDATE;
+        const auditBefore = getAuditSnapshot(doc.isNew ? null : doc);
+
+        doc.mutedTasks.push(taskId);
+        await doc.save({ session });
+        await recordAuditLog(
+          req,
+          {
+            operation: auditOperation,
+            document: doc,
+            before: auditBefore,
+            action: "mute-task",
+          },
+          { session }
+        );
+      }
+      return doc;
+    }, logger);
+
+    logger.info("Task notifications muted successfully", {
+      userId,
+      taskId,
+      operationType: "MUTE_TASK",
+      resourceType: "NOTIFICATION_PREFERENCE",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { preferences },
+          "Task notifications muted successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Mute task notifications failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      taskId: req.params.taskId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Unmute notifications about a task for the requesting user
+ * Transactional, idempotent
+ *
+ * @route DELETE /api/notifications/preferences/muted-tasks/:taskId
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const unmuteTask = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { taskId } = req.params;
+
+    const preferences = await withTransaction(async (session) => {
+      const doc = await findOrInitPreferences(req.user, session);
+
+      if (doc.mutedTasks.some((id) => id.toString() === taskId)) {
+        const auditBefore = getAuditSnapshot(doc);
+
+        doc.mutedTasks.pull(taskId);
+        await doc.save({ session });
+        await recordAuditLog(
+          req,
+          {
+            operation: AUDIT_OPERATIONS.UPDATE,
+            document: doc,
+            before: auditBefore,
+            action: "unmute-task",
+          },
+          { session }
+        );
+      }
+      return doc;
+    }, logger);
+
+    logger.info("Task notifications unmuted successfully", {
+      userId,
+      taskId,
+      operationType: "UNMUTE_TASK",
+      resourceType: "NOTIFICATION_PREFERENCE",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { preferences },
+          "Task notifications unmuted successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Unmute task notifications failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      taskId: req.params.taskId,
+    });
+    next(error);
+  }
+});
+
+export default {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  muteTask,
+  unmuteTask,
+};
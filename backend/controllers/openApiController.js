@@ -0,0 +1,78 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import asyncHandler from "express-async-handler";
+import { getOpenApiSpec } from "../services/openApiService.js";
+import { HTTP_STATUS } from "../utils/constants.js";
+import logger from "../utils/logger.js";
+
+/**
+ * OpenAPI Controller
+ * Serves the OpenAPI document generated from the routes and validators, and
+ * the browsable docs page rendering it (static files in public/api-docs)
+ */
+
+// Get current file directory (ES modules)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DOCS_DIR = path.join(__dirname, "../public/api-docs");
+
+/**
+ * Get the OpenAPI document
+ *
+ * @route GET /api/openapi.json
+ * @access Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getOpenApiDocument = asyncHandler(async (req, res, next) => {
+  try {
+    const spec = await getOpenApiSpec();
+
+    res.set("Cache-Control", "public, max-age=300");
+    return res.status(HTTP_STATUS.OK).json(spec);
+  } catch (error) {
+    logger.error("Get OpenAPI document failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Get the API docs page
+ *
+ * @route GET /api/docs
+ * @access Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getApiDocsPage = (req, res, next) => {
+  res.sendFile(path.join(DOCS_DIR, "index.html"), (error) => {
+    if (error) next(error);
+  });
+};
+
+/**
+ * Get the script of the API docs page
+ *
+ * @route GET /api/docs/docs.js
+ * @access Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getApiDocsScript = (req, res, next) => {
+  res.sendFile(path.join(DOCS_DIR, "docs.js"), (error) => {
+    if (error) next(error);
+  });
+};
+
+export default {
+  getOpenApiDocument,
+  getApiDocsPage,
+  getApiDocsScript,
+};
@@ -2,7 +2,11 @@ import asyncHandler from "express-async-handler";
 import mongoose from "mongoose";
 import { Organization } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
-import { HTTP_STATUS, ERROR_CODES } from "../utils/constants.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  AUDIT_OPERATIONS,
+} from "../utils/constants.js";
 import logger from "../utils/logger.js";
 import {
   formatSuccessResponse,
@@ -12,6 +16,10 @@ import {
   safeAbortTransaction,
 } from "../utils/helpers.js";
 import { emitToOrganization } from "../utils/socketEmitter.js";
+import {
+  getAuditSnapshot,
+  recordAuditLog,
+} from "../services/auditService.js";
 
 /**
  * @typedef {Object} OrganizationDocument
@@ -36,6 +44,10 @@ import { emitToOrganization } from "../utils/socketEmitter.js";
  * @property {string} settings.timezone - Timezone
  * @property {string} settings.dateFormat - Date format
  * @property {string} settings.language - Language
+ * @property {boolean} settings.allowNegativeStock - Allow stock balances below zero
+ * @property {Array<number>} settings.budgetAlertThresholds - Budget percentages that trigger spend notifications
+ * @property {number} settings.vendorExpiryWarningDays - Days before a vendor document expires at which Admins are warned
+ * @property {string|null} settings.vendorLapseStatus - Status given to vendors whose mandatory document lapsed
  * @property {boolean} isDeleted - Soft delete flag
  * @property {Date} deletedAt - Deletion timestamp
  * @property {mongoose.Types.ObjectId} deletedBy - User who deleted
@@ -365,6 +377,8 @@ export const updateOrganization = async (req, res, next) => {
       }
     }
 
+    const auditBefore = getAuditSnapshot(organization);
+
     // Update organization fields (let Mongoose handle validation)
     Object.keys(updateData).forEach((key) => {
       organization[key] = updateData[key];
@@ -373,6 +387,16 @@ export const updateOrganization = async (req, res, next) => {
     // Save organization with session (Requirement 40.4)
     await organization.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: organization,
+        before: auditBefore,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -527,6 +551,15 @@ export const deleteOrganization = async (req, res, next) => {
       );
     }
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.DELETE,
+        document: organization,
+      },
+      { session }
+    );
+
     // Commit transaction (Requirement 40.4)
     await session.commitTransaction();
 
@@ -670,6 +703,15 @@ export const restoreOrganization = async (req, res, next) => {
       );
     }
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.RESTORE,
+        document: organization,
+      },
+      { session }
+    );
+
     // Commit transaction (Requirement 40.4)
     await session.commitTransaction();
 
@@ -0,0 +1,1186 @@
+import asyncHandler from "express-async-handler";
+import {
+  PurchaseOrder,
+  Organization,
+  Material,
+  User,
+} from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  USER_ROLES,
+  PURCHASE_ORDER_STATUS,
+  PURCHASE_ORDER_VALIDATION,
+  STOCK_MOVEMENT_TYPES,
+  STOCK_SOURCE_MODELS,
+  STOCK_VALIDATION,
+  ENTITY_MODEL_TYPES,
+  AUDIT_OPERATIONS,
+} from "../utils/constants.js";
+import logger from "../utils/logger.js";
+import {
+  formatSuccessResponse,
+  getPaginationOptions,
+  withTransaction,
+  escapeRegex,
+} from "../utils/helpers.js";
+import {
+  validateOrganizationScope,
+  findResourceById,
+} from "../utils/controllerHelpers.js";
+import { emitToOrganization } from "../utils/socketEmitter.js";
+import { postStockMovement } from "../services/stockService.js";
+import { createSystemAlertNotification } from "../services/notificationService.js";
+import { createPurchaseOrderPdf } from "../services/purchaseOrderPdfService.js";
+import {
+  getAuditSnapshot,
+  recordAuditLog,
+} from "../services/auditService.js";
+
+/**
+ * Purchase Order Controller
+ * Handles purchase orders to vendors: list, read, create, update (drafts),
+ * the approval workflow (submit, approve, reject, cancel, close), receipts
+ * that post stock, and the printable PDF
+ * Filtered by organization scope; Users (not HOD) only see their own department,
+ * and roles below Admin only change orders of their own department
+ */
+
+/**
+ * @typedef {Object} PurchaseOrderDocument
+ * @property {mongoose.Types.ObjectId} _id - Purchase order ID
+ * @property {mongoose.Types.ObjectId} organization - Organization reference
+ * @property {mongoose.Types.ObjectId} department - Department receiving the stock
+ * @property {mongoose.Types.ObjectId} vendor - Vendor reference
+ * @property {mongoose.Types.ObjectId|null} projectTask - Linked project task
+ * @property {string} poNumber - Order number (PO-000001)
+ * @property {string} status - DRAFT, SUBMITTED, APPROVED, PARTIALLY_RECEIVED, RECEIVED, CLOSED, CANCELLED
+ * @property {Array<Object>} lineItems - Line items ({ _id, material, quantity, unitPrice, receivedQuantity })
+ * @property {number} totalAmount - Sum of quantity x unitPrice
+ * @property {Date|null} expectedDate - Expected delivery date
+ * @property {string|null} notes - Notes printed on the order
+ * @property {Array<Object>} receipts - Receipts ({ receivedBy, receivedAt, note, lines })
+ * @property {mongoose.Types.ObjectId} createdBy - User who created the order
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Update timestamp
+ * @property {Function} save - Save document
+ * @property {Function} populate - Populate references
+ */
+
+/**
+ * Population configuration for purchase orders
+ * @constant
+ */
+const PURCHASE_ORDER_POPULATE_CONFIG = [
+  { path: "vendor", select: "name email phone address status" },
+  { path: "department", select: "name" },
+  { path: "projectTask", select: "title status" },
+  { path: "lineItems.material", select: "name unit category price" },
+  { path: "createdBy", select: "firstName lastName email profilePicture" },
+  { path: "submittedBy", select: "firstName lastName email" },
+  { path: "approvedBy", select: "firstName lastName email" },
+  { path: "rejectedBy", select: "firstName lastName email" },
+  { path: "receipts.receivedBy", select: "firstName lastName email" },
+];
+
+/**
+ * Population configuration for stock movements posted by receipts
+ * @constant
+ */
+const RECEIPT_MOVEMENT_POPULATE_CONFIG = [
+  { path: "material", select: "name unit category" },
+  { path: "department", select: "name" },
+];
+
+/**
+ * Round a quantity to STOCK_VALIDATION.PRECISION decimal places
+ * @param {number} value - Quantity
+ * @returns {number} Rounded quantity
+ */
+const roundQuantity = (value) =>
+  Number(value.toFixed(STOCK_VALIDATION.PRECISION));
+
+/**
+ * Check whether the user sees orders of every department
+ * @param {Object} user - req.user
+ * @returns {boolean} True unless the user is a User (not HOD)
+ */
+const canReadAllDepartments = (user) =>
+  user.isHod || user.role !== USER_ROLES.USER;
+
+/**
+ * Validate the user may change orders of a department
+ * SuperAdmin and Admin change orders of any department of their organization,
+ * other roles only of their own department
+ * @param {Object} user - req.user
+ * @param {mongoose.Types.ObjectId|string} departmentId - Department of the order
+ * @throws {CustomError} If the department is outside the user's scope
+ */
+const validateDepartmentWriteScope = (user, departmentId) => {
+  const isOrganizationWide =
+    user.role === USER_ROLES.SUPER_ADMIN || user.role === USER_ROLES.ADMIN;
+
+  if (
+    !isOrganizationWide &&
+    departmentId.toString() !== user.department._id.toString()
+  ) {
+    throw new CustomError(
+      "You can only change purchase orders of your own department",
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN_ERROR
+    );
+  }
+};
+
+/**
+ * Validate an order is in one of the statuses a transition starts from
+ * @param {Object} purchaseOrder - Purchase order
+ * @param {Array<string>} statuses - Allowed PURCHASE_ORDER_STATUS values
+ * @param {string} action - Action being performed (for error message)
+ * @throws {CustomError} If the order is in another status
+ */
+const validateStatus = (purchaseOrder, statuses, action) => {
+  if (!statuses.includes(purchaseOrder.status)) {
+    throw new CustomError(
+      `Cannot ${action} a purchase order with status ${purchaseOrder.status}`,
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.CONFLICT_ERROR
+    );
+  }
+};
+
+/**
+ * Find a purchase order the user may access
+ * @param {string} purchaseOrderId - Purchase order ID
+ * @param {Object} user - req.user
+ * @param {string} action - Action being performed (for error message)
+ * @param {mongoose.ClientSession} [session=null] - MongoDB session
+ * @returns {Promise<mongoose.Document>} Purchase order
+ * @throws {CustomError} If not found or outside the user's organization/department
+ */
+const findPurchaseOrder = async (
+  purchaseOrderId,
+  user,
+  action,
+  session = null
+) => {
+  const purchaseOrder = await findResourceById(PurchaseOrder, purchaseOrderId, {
+    session,
+    resourceType: "Purchase order",
+  });
+
+  validateOrganizationScope(purchaseOrder, user, action, "purchase order");
+
+  if (
+    !canReadAllDepartments(user) &&
+    purchaseOrder.department.toString() !== user.department._id.toString()
+  ) {
+    throw new CustomError(
+      `You do not have permission to ${action} this purchase order`,
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN_ERROR
+    );
+  }
+
+  return purchaseOrder;
+};
+
+/**
+ * Fill in the current material price on line items without a unit price
+ * @param {Array<Object>} lineItems - Line items ({ material, quantity, unitPrice })
+ * @param {mongoose.ClientSession} [session=null] - MongoDB session
+ * @returns {Promise<Array<Object>>} Line items with unit prices
+ */
+const priceLineItems = async (lineItems, session = null) => {
+  const materials = await Material.find({
+    _id: { $in: lineItems.map((item) => item.material) },
+  })
+    .select("price")
+    .session(session)
+    .lean();
+  const prices = new Map(
+    materials.map((material) => [material._id.toString(), material.price || 0])
+  );
+
+  return lineItems.map((item) => ({
+    material: item.material,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice ?? prices.get(item.material.toString()) ?? 0,
+  }));
+};
+
+/**
+ * Issue the next purchase order number of an organization
+ * @param {mongoose.Types.ObjectId} organizationId - Organization ID
+ * @param {mongoose.ClientSession} session - MongoDB session
+ * @returns {Promise<string>} Order number (PO-000001)
+ */
+const issuePurchaseOrderNumber = async (organizationId, session) => {
+  const { purchaseOrderSequence } = await Organization.findByIdAndUpdate(
+    organizationId,
+    { $inc: { purchaseOrderSequence: 1 } },
+    { new: true, session, projection: { purchaseOrderSequence: 1 } }
+  ).lean();
+
+  return `${PURCHASE_ORDER_VALIDATION.NUMBER_PREFIX}${String(
+    purchaseOrderSequence
+  ).padStart(PURCHASE_ORDER_VALIDATION.NUMBER_DIGITS, "0")}`;
+};
+
+/**
+ * Move an order to a new status in a transaction
+ * The order is loaded and its status checked inside the transaction, so of two
+ * concurrent transitions (e.g. approve and cancel) only one succeeds, and the
+ * audit entry commits with the status change
+ * @param {import('express').Request} req - Express request (user, audit)
+ * @param {string} purchaseOrderId - Purchase order ID
+ * @param {string} action - Transition (scope check, error message, audit action)
+ * @param {Array<string>} statuses - PURCHASE_ORDER_STATUS values the transition starts from
+ * @param {Function} applyTransition - Sets the new status and its fields on the order
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.checkDepartment=true] - Validate the department write scope
+ * @returns {Promise<mongoose.Document>} Updated purchase order
+ */
+const transitionPurchaseOrder = (
+  req,
+  purchaseOrderId,
+  action,
+  statuses,
+  applyTransition,
+  { checkDepartment = true } = {}
+) =>
+  withTransaction(async (session) => {
+    const order = await findPurchaseOrder(
+      purchaseOrderId,
+      req.user,
+      action,
+      session
+    );
+    if (checkDepartment) {
+      validateDepartmentWriteScope(req.user, order.department);
+    }
+    validateStatus(order, statuses, action);
+    const auditBefore = getAuditSnapshot(order);
+
+    applyTransition(order);
+    await order.save({ session });
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: order,
+        before: auditBefore,
+        action,
+      },
+      { session }
+    );
+
+    return order;
+  }, logger);
+
+/**
+ * Send a SYSTEM_ALERT about an order; failures are logged, not thrown
+ * @param {Object} purchaseOrder - Purchase order
+ * @param {Array<mongoose.Types.ObjectId>} recipientIds - Recipients
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @returns {Promise<void>}
+ */
+const notifyPurchaseOrder = async (
+  purchaseOrder,
+  recipientIds,
+  title,
+  message
+) => {
+  if (recipientIds.length === 0) return;
+
+  const result = await createSystemAlertNotification({
+    title,
+    message,
+    recipientIds,
+    organizationId: purchaseOrder.organization,
+    departmentId: purchaseOrder.department,
+    entityId: purchaseOrder._id,
+    entityModel: ENTITY_MODEL_TYPES.PURCHASE_ORDER,
+  });
+
+  if (!result.success) {
+    logger.warn("Failed to create purchase order notification", {
+      purchaseOrderId: purchaseOrder._id,
+      title,
+      error: result.error,
+    });
+  }
+};
+
+/**
+ * Populate an order and notify the organization
+ * @param {mongoose.Document} purchaseOrder - Purchase order
+ * @param {string} event - Socket event
+ * @returns {Promise<mongoose.Document>} Populated purchase order
+ */
+const publishPurchaseOrder = async (purchaseOrder, event) => {
+  await purchaseOrder.populate(PURCHASE_ORDER_POPULATE_CONFIG);
+
+  emitToOrganization(event, { purchaseOrder }, purchaseOrder.organization);
+
+  return purchaseOrder;
+};
+
+/**
+ * Format a paginate-v2 result as the standard pagination object
+ * @param {Object} result - mongoose-paginate-v2 result
+ * @returns {Object} Pagination metadata
+ */
+const formatPagination = (result) => ({
+  total: result.totalDocs,
+  page: result.page,
+  limit: result.limit,
+  totalPages: result.totalPages,
+  hasNextPage: result.hasNextPage,
+  hasPrevPage: result.hasPrevPage,
+  nextPage: result.nextPage,
+  prevPage: result.prevPage,
+});
+
+/**
+ * Get purchase orders with pagination and filtering (newest first)
+ *
+ * @route GET /api/purchase-orders
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getPurchaseOrders = asyncHandler(async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      vendor,
+      department,
+      projectTask,
+      search,
+    } = req.validated.query || {};
+
+    logger.info("Get purchase orders request", {
+      userId: req.user.userId,
+      role: req.user.role,
+      filters: { page, limit, status, vendor, department, projectTask, search },
+    });
+
+    const filter = { organization: req.user.organization._id };
+    if (!canReadAllDepartments(req.user)) {
+      filter.department = req.user.department._id;
+    } else if (department) {
+      filter.department = department;
+    }
+    if (status) filter.status = status;
+    if (vendor) filter.vendor = vendor;
+    if (projectTask) filter.projectTask = projectTask;
+    if (search) {
+      filter.poNumber = { $regex: escapeRegex(search), $options: "i" };
+    }
+
+    const paginationOptions = getPaginationOptions(page, limit);
+    const result = await PurchaseOrder.paginate(filter, {
+      page: paginationOptions.page,
+      limit: paginationOptions.limit,
+      sort: { createdAt: -1, _id: -1 },
+      select: "-receipts",
+      populate: PURCHASE_ORDER_POPULATE_CONFIG.filter(
+        ({ path }) => !path.startsWith("receipts")
+      ),
+      lean: true,
+    });
+
+    logger.info("Purchase orders retrieved successfully", {
+      userId: req.user.userId,
+      totalDocs: result.totalDocs,
+      page: result.page,
+    });
+
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          purchaseOrders: result.docs,
+          pagination: formatPagination(result),
+        },
+        "Purchase orders retrieved successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Get purchase orders failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Get purchase order by ID (with receipts)
+ *
+ * @route GET /api/purchase-orders/:purchaseOrderId
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getPurchaseOrder = asyncHandler(async (req, res, next) => {
+  try {
+    const { purchaseOrderId } = req.params;
+
+    logger.info("Get purchase order request", {
+      userId: req.user.userId,
+      purchaseOrderId,
+    });
+
+    const purchaseOrder = await findPurchaseOrder(
+      purchaseOrderId,
+      req.user,
+      "access"
+    );
+    await purchaseOrder.populate(PURCHASE_ORDER_POPULATE_CONFIG);
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { purchaseOrder },
+          "Purchase order retrieved successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Get purchase order failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      purchaseOrderId: req.params.purchaseOrderId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Create a purchase order (DRAFT)
+ * Line items without a unit price use the current material price
+ * Transactional (order number and order are created together)
+ *
+ * @route POST /api/purchase-orders
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createPurchaseOrder = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId, organization } = req.user;
+    const {
+      vendor,
+      department,
+      projectTask = null,
+      lineItems,
+      expectedDate = null,
+      notes = null,
+    } = req.validated.body;
+
+    logger.info("Create purchase order request", {
+      userId,
+      role: req.user.role,
+      vendor,
+      department,
+      lineItemCount: lineItems.length,
+    });
+
+    validateDepartmentWriteScope(req.user, department);
+
+    const purchaseOrder = await withTransaction(async (session) => {
+      const poNumber = await issuePurchaseOrderNumber(
+        organization._id,
+        session
+      );
+
+      const [created] = await PurchaseOrder.create(
+        [
+          {
+            organization: organization._id,
+            department,
+            vendor,
+            projectTask,
+            poNumber,
+            lineItems: await priceLineItems(lineItems, session),
+            expectedDate,
+            notes,
+            createdBy: userId,
+          },
+        ],
+        { session }
+      );
+
+      await recordAuditLog(
+        req,
+        {
+          operation: AUDIT_OPERATIONS.CREATE,
+          document: created,
+        },
+        { session }
+      );
+
+      return created;
+    }, logger);
+
+    await publishPurchaseOrder(purchaseOrder, "purchaseOrder:created");
+
+    logger.info("Purchase order created successfully", {
+      userId,
+      purchaseOrderId: purchaseOrder._id,
+      poNumber: purchaseOrder.poNumber,
+      operationType: "CREATE",
+      resourceType: "PURCHASE_ORDER",
+    });
+
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        formatSuccessResponse(
+          { purchaseOrder },
+          "Purchase order created successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Create purchase order failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Update a DRAFT purchase order
+ *
+ * @route PUT /api/purchase-orders/:purchaseOrderId
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updatePurchaseOrder = asyncHandler(async (req, res, next) => {
+  try {
+    const { purchaseOrderId } = req.params;
+    const { lineItems, ...updates } = req.validated.body;
+
+    logger.info("Update purchase order request", {
+      userId: req.user.userId,
+      purchaseOrderId,
+      fields: Object.keys(req.validated.body),
+    });
+
+    const purchaseOrder = await findPurchaseOrder(
+      purchaseOrderId,
+      req.user,
+      "update"
+    );
+    validateDepartmentWriteScope(req.user, purchaseOrder.department);
+    validateStatus(purchaseOrder, [PURCHASE_ORDER_STATUS.DRAFT], "update");
+    const auditBefore = getAuditSnapshot(purchaseOrder);
+    if (updates.department) {
+      validateDepartmentWriteScope(req.user, updates.department);
+    }
+
+    Object.assign(purchaseOrder, updates);
+    if (lineItems) {
+      purchaseOrder.lineItems = await priceLineItems(lineItems);
+    }
+    await purchaseOrder.save();
+    await recordAuditLog(req, {
+      operation: AUDIT_OPERATIONS.UPDATE,
+      document: purchaseOrder,
+      before: auditBefore,
+    });
+
+    await publishPurchaseOrder(purchaseOrder, "purchaseOrder:updated");
+
+    logger.info("Purchase order updated successfully", {
+      userId: req.user.userId,
+      purchaseOrderId: purchaseOrder._id,
+      operationType: "UPDATE",
+      resourceType: "PURCHASE_ORDER",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { purchaseOrder },
+          "Purchase order updated successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Update purchase order failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      purchaseOrderId: req.params.purchaseOrderId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Submit a DRAFT purchase order for approval
+ * Notifies the Admins (and SuperAdmins) of the organization
+ * Transactional
+ *
+ * @route PUT /api/purchase-orders/:purchaseOrderId/submit
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const submitPurchaseOrder = asyncHandler(async (req, res, next) => {
+  try {
+    const { purchaseOrderId } = req.params;
+    const { userId, fullName } = req.user;
+
+    logger.info("Submit purchase order request", { userId, purchaseOrderId });
+
+    const purchaseOrder = await transitionPurchaseOrder(
+      req,
+      purchaseOrderId,
+      "submit",
+      [PURCHASE_ORDER_STATUS.DRAFT],
+      (order) => {
+        order.status = PURCHASE_ORDER_STATUS.SUBMITTED;
+        order.submittedBy = userId;
+        order.submittedAt = new Date();
+      }
+    );
+
+    const approvers = await User.find({
+      organization: purchaseOrder.organization,
+      role: { $in: [USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN] },
+      _id: { $ne: userId },
+    })
+      .select("_id")
+      .lean();
+    await notifyPurchaseOrder(
+      purchaseOrder,
+      approvers.map((approver) => approver._id),
+      "Purchase Order Awaiting Approval",
+      `${fullName} submitted purchase order ${purchaseOrder.poNumber} (total ${purchaseOrder.totalAmount}) for approval.`
+    );
+
+    await publishPurchaseOrder(purchaseOrder, "purchaseOrder:updated");
+
+    logger.info("Purchase order submitted successfully", {
+      userId,
+      purchaseOrderId: purchaseOrder._id,
+      operationType: "SUBMIT",
+      resourceType: "PURCHASE_ORDER",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { purchaseOrder },
+          "Purchase order submitted successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Submit purchase order failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      purchaseOrderId: req.params.purchaseOrderId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Approve a SUBMITTED purchase order
+ * Notifies the user who created the order
+ * Transactional
+ *
+ * @route PUT /api/purchase-orders/:purchaseOrderId/approve
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const approvePurchaseOrder = asyncHandler(async (req, res, next) => {
+  try {
+    const { purchaseOrderId } = req.params;
+    const { userId, fullName } = req.user;
+
+    logger.info("Approve purchase order request", { userId, purchaseOrderId });
+
+    const purchaseOrder = await transitionPurchaseOrder(
+      req,
+      purchaseOrderId,
+      "approve",
+      [PURCHASE_ORDER_STATUS.SUBMITTED],
+      (order) => {
+        order.status = PURCHASE_ORDER_STATUS.APPROVED;
+        order.approvedBy = userId;
+        order.approvedAt = new Date();
+      },
+      { checkDepartment: false }
+    );
+
+    await notifyPurchaseOrder(
+      purchaseOrder,
+      [purchaseOrder.createdBy].filter(
+        (id) => id.toString() !== userId.toString()
+      ),
+      "Purchase Order Approved",
+      `${fullName} approved purchase order ${purchaseOrder.poNumber}.`
+    );
+
+    await publishPurchaseOrder(purchaseOrder, "purchaseOrder:updated");
+
+    logger.info("Purchase order approved successfully", {
+      userId,
+      purchaseOrderId: purchaseOrder._id,
+      operationType: "APPROVE",
+      resourceType: "PURCHASE_ORDER",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { purchaseOrder },
+          "Purchase order approved successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Approve purchase order failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      purchaseOrderId: req.params.purchaseOrderId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Reject a SUBMITTED purchase order (returns it to DRAFT)
+ * Notifies the user who created the order
+ * Transactional
+ *
+ * @route PUT /api/purchase-orders/:purchaseOrderId/reject
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const rejectPurchaseOrder = asyncHandler(async (req, res, next) => {
+  try {
+    const { purchaseOrderId } = req.params;
+    const { reason } = req.validated.body;
+    const { userId, fullName } = req.user;
+
+    logger.info("Reject purchase order request", { userId, purchaseOrderId });
+
+    const purchaseOrder = await transitionPurchaseOrder(
+      req,
+      purchaseOrderId,
+      "reject",
+      [PURCHASE_ORDER_STATUS.SUBMITTED],
+      (order) => {
+        order.status = PURCHASE_ORDER_STATUS.DRAFT;
+        order.rejectedBy = userId;
+        order.rejectedAt = new Date();
+        order.rejectionReason = reason;
+      },
+      { checkDepartment: false }
+    );
+
+    await notifyPurchaseOrder(
+      purchaseOrder,
+      [purchaseOrder.createdBy].filter(
+        (id) => id.toString() !== userId.toString()
+      ),
+      "Purchase Order Rejected",
+      `${fullName} rejected purchase order ${purchaseOrder.poNumber}: ${reason}`
+    );
+
+    await publishPurchaseOrder(purchaseOrder, "purchaseOrder:updated");
+
+    logger.info("Purchase order rejected successfully", {
+      userId,
+      purchaseOrderId: purchaseOrder._id,
+      operationType: "REJECT",
+      resourceType: "PURCHASE_ORDER",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { purchaseOrder },
+          "Purchase order rejected successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Reject purchase order failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      purchaseOrderId: req.params.purchaseOrderId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Receive (part of) an APPROVED or PARTIALLY_RECEIVED purchase order
+ * Posts a RECEIPT stock movement per line for the receiving department and
+ * moves the order to RECEIVED once every line is fully received
+ * Transactional
+ *
+ * @route PUT /api/purchase-orders/:purchaseOrderId/receive
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const receivePurchaseOrder = asyncHandler(async (req, res, next) => {
+  try {
+    const { purchaseOrderId } = req.params;
+    const { lines, note = null } = req.validated.body;
+    const { userId } = req.user;
+
+    logger.info("Receive purchase order request", {
+      userId,
+      purchaseOrderId,
+      lineCount: lines.length,
+    });
+
+    const { purchaseOrder, movements } = await withTransaction(
+      async (session) => {
+        const order = await findPurchaseOrder(
+          purchaseOrderId,
+          req.user,
+          "receive",
+          session
+        );
+        validateDepartmentWriteScope(req.user, order.department);
+        const auditBefore = getAuditSnapshot(order);
+        validateStatus(
+          order,
+          [
+            PURCHASE_ORDER_STATUS.APPROVED,
+            PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+          ],
+          "receive"
+        );
+
+        const receiptLines = lines.map(({ lineItem, quantity }) => {
+          const item = order.lineItems.id(lineItem);
+          if (!item) {
+            throw new CustomError(
+              `Line item ${lineItem} is not on this purchase order`,
+              HTTP_STATUS.BAD_REQUEST,
+              ERROR_CODES.VALIDATION_ERROR
+            );
+          }
+
+          const outstanding = roundQuantity(
+            item.quantity - item.receivedQuantity
+          );
+          if (quantity > outstanding) {
+            throw new CustomError(
+              `Cannot receive ${quantity} on line item ${lineItem}: ${outstanding} outstanding`,
+              HTTP_STATUS.BAD_REQUEST,
+              ERROR_CODES.VALIDATION_ERROR
+            );
+          }
+
+          item.receivedQuantity = roundQuantity(
+            item.receivedQuantity + quantity
+          );
+          return { lineItem: item._id, material: item.material, quantity };
+        });
+
+        const posted = [];
+        for (const line of receiptLines) {
+          posted.push(
+            await postStockMovement(
+              {
+                organization: order.organization,
+                department: order.department,
+                material: line.material,
+                type: STOCK_MOVEMENT_TYPES.RECEIPT,
+                quantity: line.quantity,
+                note: note || `Received on ${order.poNumber}`,
+                performedBy: userId,
+                source: order._id,
+                sourceModel: STOCK_SOURCE_MODELS.PURCHASE_ORDER,
+              },
+              { session }
+            )
+          );
+        }
+
+        order.receipts.push({ receivedBy: userId, note, lines: receiptLines });
+        order.status = order.lineItems.every(
+          (item) => item.receivedQuantity >= item.quantity
+        )
+          ? PURCHASE_ORDER_STATUS.RECEIVED
+          : PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED;
+        await order.save({ session });
+        await recordAuditLog(
+          req,
+          {
+            operation: AUDIT_OPERATIONS.UPDATE,
+            document: order,
+            before: auditBefore,
+            action: "receive",
+          },
+          { session }
+        );
+
+        return { purchaseOrder: order, movements: posted };
+      },
+      logger
+    );
+
+    for (const movement of movements) {
+      await movement.populate(RECEIPT_MOVEMENT_POPULATE_CONFIG);
+    }
+    emitToOrganization(
+      "stock:updated",
+      { movements },
+      purchaseOrder.organization
+    );
+    await publishPurchaseOrder(purchaseOrder, "purchaseOrder:updated");
+
+    logger.info("Purchase order received successfully", {
+      userId,
+      purchaseOrderId: purchaseOrder._id,
+      status: purchaseOrder.status,
+      movementCount: movements.length,
+      operationType: "RECEIVE",
+      resourceType: "PURCHASE_ORDER",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { purchaseOrder, movements },
+          "Purchase order received successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Receive purchase order failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      purchaseOrderId: req.params.purchaseOrderId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Close a received purchase order
+ * Partially received orders can be closed when nothing more will be delivered
+ * Transactional
+ *
+ * @route PUT /api/purchase-orders/:purchaseOrderId/close
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const closePurchaseOrder = asyncHandler(async (req, res, next) => {
+  try {
+    const { purchaseOrderId } = req.params;
+    const { userId } = req.user;
+
+    logger.info("Close purchase order request", { userId, purchaseOrderId });
+
+    const purchaseOrder = await transitionPurchaseOrder(
+      req,
+      purchaseOrderId,
+      "close",
+      [
+        PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+        PURCHASE_ORDER_STATUS.RECEIVED,
+      ],
+      (order) => {
+        order.status = PURCHASE_ORDER_STATUS.CLOSED;
+        order.closedBy = userId;
+        order.closedAt = new Date();
+      }
+    );
+
+    await publishPurchaseOrder(purchaseOrder, "purchaseOrder:updated");
+
+    logger.info("Purchase order closed successfully", {
+      userId,
+      purchaseOrderId: purchaseOrder._id,
+      operationType: "CLOSE",
+      resourceType: "PURCHASE_ORDER",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { purchaseOrder },
+          "Purchase order closed successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Close purchase order failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      purchaseOrderId: req.params.purchaseOrderId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Cancel a purchase order that has not been received
+ * Transactional
+ *
+ * @route PUT /api/purchase-orders/:purchaseOrderId/cancel
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const cancelPurchaseOrder = asyncHandler(async (req, res, next) => {
+  try {
+    const { purchaseOrderId } = req.params;
+    const { userId } = req.user;
+
+    logger.info("Cancel purchase order request", { userId, purchaseOrderId });
+
+    const purchaseOrder = await transitionPurchaseOrder(
+      req,
+      purchaseOrderId,
+      "cancel",
+      [
+        PURCHASE_ORDER_STATUS.DRAFT,
+        PURCHASE_ORDER_STATUS.SUBMITTED,
+        PURCHASE_ORDER_STATUS.APPROVED,
+      ],
+      (order) => {
+        order.status = PURCHASE_ORDER_STATUS.CANCELLED;
+        order.cancelledBy = userId;
+        order.cancelledAt = new Date();
+      }
+    );
+
+    await publishPurchaseOrder(purchaseOrder, "purchaseOrder:updated");
+
+    logger.info("Purchase order cancelled successfully", {
+      userId,
+      purchaseOrderId: purchaseOrder._id,
+      operationType: "CANCEL",
+      resourceType: "PURCHASE_ORDER",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { purchaseOrder },
+          "Purchase order cancelled successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Cancel purchase order failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      purchaseOrderId: req.params.purchaseOrderId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Download a purchase order as a printable PDF
+ *
+ * @route GET /api/purchase-orders/:purchaseOrderId/pdf
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getPurchaseOrderPdf = asyncHandler(async (req, res, next) => {
+  try {
+    const { purchaseOrderId } = req.params;
+
+    logger.info("Get purchase order PDF request", {
+      userId: req.user.userId,
+      purchaseOrderId,
+    });
+
+    const purchaseOrder = await findPurchaseOrder(
+      purchaseOrderId,
+      req.user,
+      "access"
+    );
+    await purchaseOrder.populate(PURCHASE_ORDER_POPULATE_CONFIG);
+
+    const organization = await Organization.findById(
+      purchaseOrder.organization
+    )
+      .select("name email phone address settings")
+      .lean();
+
+    const pdf = createPurchaseOrderPdf(purchaseOrder, organization);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="${purchaseOrder.poNumber}.pdf"`,
+    });
+    pdf.on("error", (error) => {
+      logger.error("Purchase order PDF stream failed", {
+        error: error.message,
+        purchaseOrderId,
+      });
+      res.destroy(error);
+    });
+    pdf.pipe(res);
+  } catch (error) {
+    logger.error("Get purchase order PDF failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      purchaseOrderId: req.params.purchaseOrderId,
+    });
+    next(error);
+  }
+});
+
+export default {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  submitPurchaseOrder,
+  approvePurchaseOrder,
+  rejectPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder,
+  getPurchaseOrderPdf,
+};
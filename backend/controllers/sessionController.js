@@ -0,0 +1,272 @@
+import asyncHandler from "express-async-handler";
+import { Session } from "../models/index.js";
+import { HTTP_STATUS, SESSION_REVOKE_REASONS } from "../utils/constants.js";
+import logger from "../utils/logger.js";
+import {
+  formatSuccessResponse,
+  getPaginationOptions,
+} from "../utils/helpers.js";
+import { clearTokenCookies } from "../utils/generateTokens.js";
+import { revokeSessions } from "../services/sessionService.js";
+
+/**
+ * Session Controller
+ * Lists and revokes sign-in sessions (one per device). Users manage their own
+ * sessions; admins can list and revoke all sessions of a user in their scope.
+ * Revoked sessions stop authenticating immediately and are kept (with
+ * revokedAt/revokedBy/revokedReason) until they expire.
+ */
+
+/**
+ * List sessions with pagination, most recently used first
+ * @param {Object} filter - Owner filter ({ user })
+ * @param {Object} query - Validated query ({ page, limit, includeRevoked })
+ * @param {string} [currentSessionId] - Session of the request (flagged isCurrent)
+ * @returns {Promise<Object>} { sessions, pagination }
+ */
+const listSessions = async (filter, query = {}, currentSessionId = null) => {
+  const { page = 1, limit = 10, includeRevoked = false } = query;
+
+  const sessionFilter = includeRevoked
+    ? filter
+    : { ...filter, ...Session.getActiveFilter() };
+
+  const paginationOptions = getPaginationOptions(page, limit);
+  const result = await Session.paginate(sessionFilter, {
+    page: paginationOptions.page,
+    limit: paginationOptions.limit,
+    sort: { lastSeenAt: -1 },
+    populate: [{ path: "revokedBy", select: "firstName lastName email" }],
+    lean: true,
+  });
+
+  return {
+    sessions: result.docs.map((userSession) => ({
+      ...userSession,
+      isCurrent: userSession._id.toString() === currentSessionId,
+    })),
+    pagination: {
+      total: result.totalDocs,
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      hasNextPage: result.hasNextPage,
+      hasPrevPage: result.hasPrevPage,
+      nextPage: result.nextPage,
+      prevPage: result.prevPage,
+    },
+  };
+};
+
+/**
+ * Get the requesting user's sessions
+ *
+ * @route GET /api/auth/sessions
+ * @access Private (requires authentication)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getMySessions = asyncHandler(async (req, res, next) => {
+  try {
+    const data = await listSessions(
+      { user: req.user.userId },
+      req.validated.query,
+      req.user.sessionId
+    );
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(formatSuccessResponse(data, "Sessions retrieved successfully"));
+  } catch (error) {
+    logger.error("Get sessions failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Revoke one of the requesting user's sessions
+ * Revoking the current session also clears its cookies (logout)
+ *
+ * @route DELETE /api/auth/sessions/:sessionId
+ * @access Private (requires authentication)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const revokeMySession = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { sessionId } = req.validated.params;
+
+    const [userSession] = await revokeSessions(
+      req,
+      { _id: sessionId, user: userId },
+      { reason: SESSION_REVOKE_REASONS.USER_REVOKED, revokedBy: userId }
+    );
+
+    const isCurrent = sessionId === req.user.sessionId;
+    if (isCurrent) clearTokenCookies(res);
+
+    logger.info("Session revoked", {
+      userId,
+      sessionId,
+      isCurrent,
+      operationType: "REVOKE",
+      resourceType: "SESSION",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { session: userSession },
+          "Session revoked successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Revoke session failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      sessionId: req.params.sessionId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Revoke all sessions of the requesting user except the current one
+ * (sign out of all other devices)
+ *
+ * @route DELETE /api/auth/sessions
+ * @access Private (requires authentication)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const revokeMyOtherSessions = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId, sessionId } = req.user;
+
+    const userSessions = await revokeSessions(
+      req,
+      { user: userId, _id: { $ne: sessionId } },
+      { reason: SESSION_REVOKE_REASONS.USER_REVOKED, revokedBy: userId }
+    );
+
+    logger.info("Other sessions revoked", {
+      userId,
+      revokedCount: userSessions.length,
+      operationType: "REVOKE",
+      resourceType: "SESSION",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { revokedCount: userSessions.length },
+          "Other sessions revoked successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Revoke other sessions failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Get the sessions of a user
+ *
+ * @route GET /api/users/:userId/sessions
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getUserSessions = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.validated.params;
+
+    const data = await listSessions(
+      { user: userId },
+      req.validated.query,
+      req.user.sessionId
+    );
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(data, "User sessions retrieved successfully")
+      );
+  } catch (error) {
+    logger.error("Get user sessions failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      targetUserId: req.params.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Revoke all sessions of a user (signs the user out of every device)
+ *
+ * @route DELETE /api/users/:userId/sessions
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const revokeUserSessions = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.validated.params;
+
+    const userSessions = await revokeSessions(
+      req,
+      { user: userId },
+      {
+        reason: SESSION_REVOKE_REASONS.ADMIN_REVOKED,
+        revokedBy: req.user.userId,
+      }
+    );
+
+    // Admins revoking their own sessions are signed out here too
+    if (userId === req.user.userId.toString()) clearTokenCookies(res);
+
+    logger.info("User sessions revoked", {
+      userId: req.user.userId,
+      targetUserId: userId,
+      revokedCount: userSessions.length,
+      operationType: "REVOKE",
+      resourceType: "SESSION",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { revokedCount: userSessions.length },
+          "User sessions revoked successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Revoke user sessions failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      targetUserId: req.params.userId,
+    });
+    next(error);
+  }
+});
@@ -0,0 +1,605 @@
+import asyncHandler from "express-async-handler";
+import { StockLevel, StockMovement, ReorderAlert } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  USER_ROLES,
+  STOCK_MOVEMENT_TYPES,
+  AUDIT_OPERATIONS,
+} from "../utils/constants.js";
+import logger from "../utils/logger.js";
+import {
+  formatSuccessResponse,
+  getPaginationOptions,
+  withTransaction,
+} from "../utils/helpers.js";
+import { emitToOrganization } from "../utils/socketEmitter.js";
+import {
+  postStockMovement,
+  transferStock,
+} from "../services/stockService.js";
+import {
+  recordAuditLog,
+  recordAuditLogs,
+} from "../services/auditService.js";
+
+/**
+ * Stock Controller
+ * Handles the stock ledger: balances per material and department, ledger entries,
+ * receipts, adjustments and transfers between departments, and the history of
+ * low-stock (reorder) alerts raised by the reorder scheduler
+ * Consumption is posted by activities and routine tasks, not through this controller
+ * Filtered by organization scope; Users (not HOD) only see their own department
+ */
+
+/**
+ * Population configuration for stock levels
+ * @constant
+ */
+const STOCK_LEVEL_POPULATE_CONFIG = [
+  { path: "material", select: "name unit category price" },
+  { path: "department", select: "name" },
+];
+
+/**
+ * Population configuration for stock movements
+ * @constant
+ */
+const STOCK_MOVEMENT_POPULATE_CONFIG = [
+  { path: "material", select: "name unit category" },
+  { path: "department", select: "name" },
+  { path: "counterpartDepartment", select: "name" },
+  { path: "performedBy", select: "firstName lastName email profilePicture" },
+];
+
+/**
+ * Population configuration for reorder alerts
+ * @constant
+ */
+const REORDER_ALERT_POPULATE_CONFIG = [
+  {
+    path: "material",
+    select: "name unit category reorderPoint reorderQuantity",
+  },
+  { path: "department", select: "name" },
+  { path: "recipients", select: "firstName lastName email profilePicture" },
+];
+
+/**
+ * Build the organization/department scope of a stock query
+ * @param {Object} user - req.user
+ * @param {string} [department] - Requested department
+ * @returns {Object} MongoDB filter
+ */
+const buildStockScopeFilter = (user, department) => {
+  const filter = { organization: user.organization._id };
+
+  if (department) {
+    filter.department = department;
+  } else if (!user.isHod && user.role === USER_ROLES.USER) {
+    filter.department = user.department._id;
+  }
+
+  return filter;
+};
+
+/**
+ * Validate the user may post movements for a department
+ * SuperAdmin and Admin post for any department of their organization,
+ * other roles only for their own department
+ * @param {Object} user - req.user
+ * @param {string} departmentId - Department the movement changes
+ * @throws {CustomError} If the department is outside the user's scope
+ */
+const validateDepartmentWriteScope = (user, departmentId) => {
+  const isOrganizationWide =
+    user.role === USER_ROLES.SUPER_ADMIN || user.role === USER_ROLES.ADMIN;
+
+  if (
+    !isOrganizationWide &&
+    departmentId.toString() !== user.department._id.toString()
+  ) {
+    throw new CustomError(
+      "You can only change stock of your own department",
+      HTTP_STATUS.FORBIDDEN,
+      ERROR_CODES.FORBIDDEN_ERROR
+    );
+  }
+};
+
+/**
+ * Format a paginate-v2 result as the standard pagination object
+ * @param {Object} result - mongoose-paginate-v2 result
+ * @returns {Object} Pagination metadata
+ */
+const formatPagination = (result) => ({
+  total: result.totalDocs,
+  page: result.page,
+  limit: result.limit,
+  totalPages: result.totalPages,
+  hasNextPage: result.hasNextPage,
+  hasPrevPage: result.hasPrevPage,
+  nextPage: result.nextPage,
+  prevPage: result.prevPage,
+});
+
+/**
+ * Populate posted movements and notify the organization
+ * @param {Array<mongoose.Document>} movements - Posted movements
+ * @returns {Promise<Array<mongoose.Document>>} Populated movements
+ */
+const publishMovements = async (movements) => {
+  for (const movement of movements) {
+    await movement.populate(STOCK_MOVEMENT_POPULATE_CONFIG);
+  }
+
+  emitToOrganization(
+    "stock:updated",
+    { movements },
+    movements[0].organization
+  );
+
+  return movements;
+};
+
+/**
+ * Get stock balances per material and department
+ *
+ * @route GET /api/stock/levels
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getStockLevels = asyncHandler(async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      material,
+      department,
+      negative,
+    } = req.validated.query || {};
+
+    logger.info("Get stock levels request", {
+      userId: req.user.userId,
+      role: req.user.role,
+      filters: { page, limit, material, department, negative },
+    });
+
+    const filter = buildStockScopeFilter(req.user, department);
+    if (material) filter.material = material;
+    if (negative === true) filter.quantity = { $lt: 0 };
+
+    const paginationOptions = getPaginationOptions(page, limit);
+    const result = await StockLevel.paginate(filter, {
+      page: paginationOptions.page,
+      limit: paginationOptions.limit,
+      sort: { lastMovementAt: -1 },
+      populate: STOCK_LEVEL_POPULATE_CONFIG,
+      lean: true,
+    });
+
+    logger.info("Stock levels retrieved successfully", {
+      userId: req.user.userId,
+      totalDocs: result.totalDocs,
+      page: result.page,
+    });
+
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          stockLevels: result.docs,
+          pagination: formatPagination(result),
+        },
+        "Stock levels retrieved successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Get stock levels failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Get reorder alert history (newest first)
+ *
+ * @route GET /api/stock/reorder-alerts
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getReorderAlerts = asyncHandler(async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      material,
+      department,
+      status,
+    } = req.validated.query || {};
+
+    logger.info("Get reorder alerts request", {
+      userId: req.user.userId,
+      role: req.user.role,
+      filters: { page, limit, material, department, status },
+    });
+
+    const filter = buildStockScopeFilter(req.user, department);
+    if (material) filter.material = material;
+    if (status) filter.status = status;
+
+    const paginationOptions = getPaginationOptions(page, limit);
+    const result = await ReorderAlert.paginate(filter, {
+      page: paginationOptions.page,
+      limit: paginationOptions.limit,
+      sort: { createdAt: -1, _id: -1 },
+      populate: REORDER_ALERT_POPULATE_CONFIG,
+      lean: true,
+    });
+
+    logger.info("Reorder alerts retrieved successfully", {
+      userId: req.user.userId,
+      totalDocs: result.totalDocs,
+      page: result.page,
+    });
+
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          reorderAlerts: result.docs,
+          pagination: formatPagination(result),
+        },
+        "Reorder alerts retrieved successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Get reorder alerts failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Get stock ledger entries (newest first)
+ *
+ * @route GET /api/stock/movements
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getStockMovements = asyncHandler(async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      material,
+      department,
+      type,
+      source,
+      sourceModel,
+      startDate,
+      endDate,
+    } = req.validated.query || {};
+
+    logger.info("Get stock movements request", {
+      userId: req.user.userId,
+      role: req.user.role,
+      filters: {
+        page,
+        limit,
+        material,
+        department,
+        type,
+        source,
+        sourceModel,
+        startDate,
+        endDate,
+      },
+    });
+
+    const filter = buildStockScopeFilter(req.user, department);
+    if (material) filter.material = material;
+    if (type) filter.type = type;
+    if (source) filter.source = source;
+    if (sourceModel) filter.sourceModel = sourceModel;
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const paginationOptions = getPaginationOptions(page, limit);
+    const result = await StockMovement.paginate(filter, {
+      page: paginationOptions.page,
+      limit: paginationOptions.limit,
+      sort: { createdAt: -1, _id: -1 },
+      populate: STOCK_MOVEMENT_POPULATE_CONFIG,
+      lean: true,
+    });
+
+    logger.info("Stock movements retrieved successfully", {
+      userId: req.user.userId,
+      totalDocs: result.totalDocs,
+      page: result.page,
+    });
+
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          movements: result.docs,
+          pagination: formatPagination(result),
+        },
+        "Stock movements retrieved successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Get stock movements failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Record received stock (e.g. a delivery) for a department
+ * Transactional
+ *
+ * @route POST /api/stock/receipts
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createStockReceipt = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId, organization } = req.user;
+    const { material, department, quantity, note } = req.validated.body;
+
+    logger.info("Create stock receipt request", {
+      userId,
+      role: req.user.role,
+      material,
+      department,
+      quantity,
+    });
+
+    validateDepartmentWriteScope(req.user, department);
+
+    const movement = await withTransaction(async (session) => {
+      const posted = await postStockMovement(
+        {
+          organization: organization._id,
+          department,
+          material,
+          type: STOCK_MOVEMENT_TYPES.RECEIPT,
+          quantity,
+          note,
+          performedBy: userId,
+        },
+        { session }
+      );
+
+      await recordAuditLog(
+        req,
+        {
+          operation: AUDIT_OPERATIONS.CREATE,
+          document: posted,
+        },
+        { session }
+      );
+
+      return posted;
+    }, logger);
+
+    const [receipt] = await publishMovements([movement]);
+
+    logger.info("Stock receipt created successfully", {
+      userId,
+      movementId: receipt._id,
+      balanceAfter: receipt.balanceAfter,
+      operationType: "CREATE",
+      resourceType: "STOCK_MOVEMENT",
+    });
+
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        formatSuccessResponse(
+          { movement: receipt },
+          "Stock receipt created successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Create stock receipt failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Correct the balance of a department (e.g. after a stock count)
+ * Transactional; a reduction below zero follows the organization's negative stock setting
+ *
+ * @route POST /api/stock/adjustments
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createStockAdjustment = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId, organization } = req.user;
+    const { material, department, quantity, note } = req.validated.body;
+
+    logger.info("Create stock adjustment request", {
+      userId,
+      role: req.user.role,
+      material,
+      department,
+      quantity,
+    });
+
+    validateDepartmentWriteScope(req.user, department);
+
+    const movement = await withTransaction(async (session) => {
+      const posted = await postStockMovement(
+        {
+          organization: organization._id,
+          department,
+          material,
+          type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+          quantity,
+          note,
+          performedBy: userId,
+        },
+        { session }
+      );
+
+      await recordAuditLog(
+        req,
+        {
+          operation: AUDIT_OPERATIONS.CREATE,
+          document: posted,
+        },
+        { session }
+      );
+
+      return posted;
+    }, logger);
+
+    const [adjustment] = await publishMovements([movement]);
+
+    logger.info("Stock adjustment created successfully", {
+      userId,
+      movementId: adjustment._id,
+      balanceAfter: adjustment.balanceAfter,
+      operationType: "CREATE",
+      resourceType: "STOCK_MOVEMENT",
+    });
+
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        formatSuccessResponse(
+          { movement: adjustment },
+          "Stock adjustment created successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Create stock adjustment failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Move stock of a material between two departments
+ * Transactional; the source department must hold enough stock unless the
+ * organization allows negative stock
+ *
+ * @route POST /api/stock/transfers
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createStockTransfer = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId, organization } = req.user;
+    const { material, fromDepartment, toDepartment, quantity, note } =
+      req.validated.body;
+
+    logger.info("Create stock transfer request", {
+      userId,
+      role: req.user.role,
+      material,
+      fromDepartment,
+      toDepartment,
+      quantity,
+    });
+
+    // Stock leaves the source department, so that is the one that must be in scope
+    validateDepartmentWriteScope(req.user, fromDepartment);
+
+    const transferMovements = await withTransaction(async (session) => {
+      const posted = await transferStock(
+        {
+          organization: organization._id,
+          material,
+          fromDepartment,
+          toDepartment,
+          quantity,
+          note,
+          performedBy: userId,
+        },
+        { session }
+      );
+
+      // Record both sides of the transfer in the audit trail
+      await recordAuditLogs(
+        req,
+        posted.map((movement) => ({
+          operation: AUDIT_OPERATIONS.CREATE,
+          document: movement,
+        })),
+        { session }
+      );
+
+      return posted;
+    }, logger);
+
+    const movements = await publishMovements(transferMovements);
+
+    logger.info("Stock transfer created successfully", {
+      userId,
+      transferId: movements[0].transferId,
+      operationType: "CREATE",
+      resourceType: "STOCK_MOVEMENT",
+    });
+
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        formatSuccessResponse(
+          { movements },
+          "Stock transfer created successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Create stock transfer failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+export default {
+  getStockLevels,
+  getStockMovements,
+  getReorderAlerts,
+  createStockReceipt,
+  createStockAdjustment,
+  createStockTransfer,
+};
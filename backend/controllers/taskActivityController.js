@@ -1,6 +1,6 @@
 import asyncHandler from "express-async-handler";
 import mongoose from "mongoose";
-import { TaskActivity } from "../models/index.js";
+import { Task, TaskActivity } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
 import {
   HTTP_STATUS,
@@ -8,6 +8,8 @@ import {
   USER_ROLES,
   ACTIVITY_ERROR_MESSAGES,
   ACTIVITY_LOG_MESSAGES,
+  STOCK_SOURCE_MODELS,
+  AUDIT_OPERATIONS,
 } from "../utils/constants.js";
 import logger from "../utils/logger.js";
 import {
@@ -15,6 +17,7 @@ import {
   getPaginationOptions,
   safeAbortTransaction,
   escapeRegex,
+  truncate,
 } from "../utils/helpers.js";
 import {
   validateOrganizationScope,
@@ -24,6 +27,25 @@ import {
   handleCascadeResult,
 } from "../utils/controllerHelpers.js";
 import { emitToOrganization } from "../utils/socketEmitter.js";
+import { getTaskParticipantIds } from "../utils/taskHelpers.js";
+import { normalizeMaterialLineUnits } from "../utils/modelHelpers.js";
+import {
+  createTaskUpdateNotification,
+  deliverCreatedNotifications,
+} from "../services/notificationService.js";
+import {
+  syncStockConsumption,
+  syncActivityStockConsumption,
+} from "../services/stockService.js";
+import {
+  keepMaterialPriceSnapshots,
+  checkBudgetThresholds,
+} from "../services/costService.js";
+import { streamListExport } from "../services/exportService.js";
+import {
+  getAuditSnapshot,
+  recordAuditLog,
+} from "../services/auditService.js";
 
 /**
  * TaskActivity Controller
@@ -41,7 +63,7 @@ import { emitToOrganization } from "../utils/socketEmitter.js";
  * @property {mongoose.Types.ObjectId} createdBy - User reference
  * @property {mongoose.Types.ObjectId} organization - Organization reference
  * @property {mongoose.Types.ObjectId} department - Department reference
- * @property {Array<{material: mongoose.Types.ObjectId, quantity: number}>} materials - Materials used
+ * @property {Array<{material: mongoose.Types.ObjectId, quantity: number, unitPrice: number, enteredQuantity: number|null, enteredUnit: string|null}>} materials - Materials used in the material's unit (unitPrice snapshotted at time of use; entered quantity/unit when another unit was used)
  * @property {Array<{url: string, name: string}>} attachments - Attachments
  * @property {boolean} isDeleted - Soft delete flag
  * @property {Date} deletedAt - Deletion timestamp
@@ -82,6 +104,8 @@ export const getAllTaskActivities = asyncHandler(async (req, res, next) => {
       organization,
       department,
       createdBy,
+      format,
+      columns,
     } = req.validated.query || {};
 
     logger.info(ACTIVITY_LOG_MESSAGES.GET_ALL_REQUEST, {
@@ -172,6 +196,23 @@ export const getAllTaskActivities = asyncHandler(async (req, res, next) => {
     if (deleted === "true" || deleted === true) query = query.withDeleted();
     else if (deleted === "only") query = query.onlyDeleted();
 
+    // Export every matching activity (CSV/XLSX/PDF) instead of a page
+    if (format) {
+      const rowCount = await streamListExport(res, {
+        resource: "activities",
+        format,
+        columns,
+        query: query.populate(options.populate).sort(options.sort),
+        organizationId: userOrganization._id,
+      });
+      logger.info("Task activities exported", {
+        userId: req.user.userId,
+        format,
+        rowCount,
+      });
+      return;
+    }
+
     // Execute paginated query
     const result = await TaskActivity.paginate(query, options);
 
@@ -298,6 +339,9 @@ export const getTaskActivityById = asyncHandler(async (req, res, next) => {
  * Create new task activity
  * Transactional
  * Filtered by organization scope
+ * Notifies task participants in the same transaction
+ * Posts material consumption to the stock ledger in the same transaction
+ * Snapshots material prices and checks the project budget alert thresholds
  *
  * @route POST /api/task-activities
  * @access Private (SuperAdmin, Admin, Manager, User)
@@ -330,10 +374,53 @@ export const createTaskActivity = asyncHandler(async (req, res, next) => {
       );
     }
 
+    // Convert lines entered in other units to the materials' units
+    if (activityData.materials) {
+      activityData.materials = await normalizeMaterialLineUnits(
+        activityData.materials,
+        session
+      );
+    }
+
     // Create activity with session
     const activity = new TaskActivity(activityData);
     await activity.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.CREATE,
+        document: activity,
+      },
+      { session }
+    );
+
+    // Post material consumption (rejected if stock runs short)
+    await syncStockConsumption([activity], STOCK_SOURCE_MODELS.TASK_ACTIVITY, {
+      session,
+      performedBy: userId,
+    });
+
+    // Notify task participants about the new activity
+    const task = await Task.findById(taskId).session(session).lean();
+    const activityPreview = truncate(activity.activity, 100);
+    const notificationResult = await createTaskUpdateNotification({
+      taskId,
+      taskTitle: task.title || truncate(task.description, 50),
+      recipientIds: getTaskParticipantIds(task),
+      updatedBy: userId,
+      updatedByName: req.user.fullName,
+      updateDescription: `added ${activity.activityType} activity: ${activityPreview}`,
+      organizationId: task.organization,
+      departmentId: task.department,
+      session,
+    });
+
+    // Notify when project spend passes a budget alert threshold
+    const budgetNotifications = await checkBudgetThresholds(taskId, {
+      session,
+    });
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -361,9 +448,15 @@ export const createTaskActivity = asyncHandler(async (req, res, next) => {
       resourceType: "TASK_ACTIVITY",
     });
 
-    // Emit Socket.IO event for real-time updates
+    // Emit Socket.IO events for real-time updates
     emitToOrganization("activity:created", { activity }, activity.organization);
 
+    // Deliver notifications per recipient preferences (not awaited, failures are logged)
+    deliverCreatedNotifications([
+      ...notificationResult.notifications,
+      ...budgetNotifications,
+    ]);
+
     // Return success response
     return res
       .status(HTTP_STATUS.CREATED)
@@ -392,6 +485,8 @@ export const createTaskActivity = asyncHandler(async (req, res, next) => {
  * Update task activity
  * Transactional
  * Filtered by organization scope
+ * Changed material lines post or reverse stock consumption in the same transaction
+ * Unchanged materials keep their price snapshot; project budget alerts are re-checked
  *
  * @route PUT /api/task-activities/:taskActivityId
  * @access Private (SuperAdmin, Admin, Manager, User - own activities)
@@ -426,6 +521,15 @@ export const updateTaskActivity = asyncHandler(async (req, res, next) => {
     // Validate organization scope
     validateOrganizationScope(activity, req.user, "update", "activity");
 
+    // Task history entries are recorded by task updates only
+    if (activity.isSystem) {
+      throw new CustomError(
+        ACTIVITY_ERROR_MESSAGES.SYSTEM_ACTIVITY_READ_ONLY,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
     // Check ownership if User role (Managers/Admins can edit any in their scope typically, but requirement isn't explicit so I'll assume standard RBAC: Users edit own, Managers/Admins edit any in scope. Wait, usually activities are immutable logs or comment-like. Requirements 11.1 says "Activities/updates on ProjectTask". Often activities are history. But if it wraps "materials added", maybe editable. Given we have an update route, we support it. I will enforce createdBy check for strictness unless Admin/Manager.)
     // Actually, authorization matrix says: User - Read/Write access to own resources.
     if (
@@ -439,6 +543,17 @@ export const updateTaskActivity = asyncHandler(async (req, res, next) => {
       );
     }
 
+    const auditBefore = getAuditSnapshot(activity);
+
+    // Lines entered in other units are converted to the materials' units;
+    // materials that stay on the activity keep the price recorded at time of use
+    if ("materials" in updateData) {
+      updateData.materials = keepMaterialPriceSnapshots(
+        await normalizeMaterialLineUnits(updateData.materials, session),
+        activity.materials
+      );
+    }
+
     // Update fields
     Object.keys(updateData).forEach((key) => {
       activity[key] = updateData[key];
@@ -447,6 +562,30 @@ export const updateTaskActivity = asyncHandler(async (req, res, next) => {
     // Save with session
     await activity.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: activity,
+        before: auditBefore,
+      },
+      { session }
+    );
+
+    // Post or reverse consumption for changed material lines
+    let budgetNotifications = [];
+    if ("materials" in updateData) {
+      await syncStockConsumption(
+        [activity],
+        STOCK_SOURCE_MODELS.TASK_ACTIVITY,
+        { session, performedBy: req.user.userId }
+      );
+
+      budgetNotifications = await checkBudgetThresholds(activity.task, {
+        session,
+      });
+    }
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -476,6 +615,9 @@ export const updateTaskActivity = asyncHandler(async (req, res, next) => {
     // Emit Socket.IO event for real-time updates
     emitToOrganization("activity:updated", { activity }, activity.organization);
 
+    // Deliver budget alerts per recipient preferences (not awaited, failures are logged)
+    deliverCreatedNotifications(budgetNotifications);
+
     // Return success response
     return res
       .status(HTTP_STATUS.OK)
@@ -504,6 +646,8 @@ export const updateTaskActivity = asyncHandler(async (req, res, next) => {
 /**
  * Soft delete task activity with cascade operations
  * Filtered by organization scope
+ * Reverses the activity's material consumption in the same transaction
+ * and re-arms project budget alert thresholds if spend dropped below them
  *
  * @route DELETE /api/task-activities/:taskActivityId
  * @access Private (SuperAdmin, Admin, Manager)
@@ -563,6 +707,24 @@ export const deleteTaskActivity = asyncHandler(async (req, res, next) => {
       "TASK_ACTIVITY"
     );
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.DELETE,
+        document: activity,
+      },
+      { session }
+    );
+
+    // Return consumed materials to stock
+    await syncActivityStockConsumption(activityId, {
+      session,
+      performedBy: userId,
+    });
+
+    // Spend dropped: re-arm project budget alert thresholds
+    await checkBudgetThresholds(activity.task, { session });
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -612,6 +774,8 @@ export const deleteTaskActivity = asyncHandler(async (req, res, next) => {
 /**
  * Restore soft-deleted task activity with cascade operations
  * Filtered by organization scope
+ * Posts the activity's material consumption again (flagged, not rejected, if stock runs short)
+ * and re-checks the project budget alert thresholds
  *
  * @route PUT /api/task-activities/:taskActivityId/restore
  * @access Private (SuperAdmin, Admin, Manager)
@@ -665,6 +829,27 @@ export const restoreTaskActivity = asyncHandler(async (req, res, next) => {
       "TASK_ACTIVITY"
     );
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.RESTORE,
+        document: activity,
+      },
+      { session }
+    );
+
+    // Consumption already happened, so a shortage is flagged rather than rejected
+    await syncActivityStockConsumption(activityId, {
+      session,
+      performedBy: userId,
+      allowNegative: true,
+    });
+
+    // Notify when project spend passes a budget alert threshold again
+    const budgetNotifications = await checkBudgetThresholds(activity.task, {
+      session,
+    });
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -684,6 +869,9 @@ export const restoreTaskActivity = asyncHandler(async (req, res, next) => {
       activity.organization
     );
 
+    // Deliver budget alerts per recipient preferences (not awaited, failures are logged)
+    deliverCreatedNotifications(budgetNotifications);
+
     // Return success response
     return res.status(HTTP_STATUS.OK).json(
       formatSuccessResponse(
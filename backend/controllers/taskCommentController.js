@@ -8,6 +8,7 @@ import {
   USER_ROLES,
   COMMENT_ERROR_MESSAGES,
   COMMENT_LOG_MESSAGES,
+  AUDIT_OPERATIONS,
 } from "../utils/constants.js";
 import logger from "../utils/logger.js";
 import {
@@ -15,6 +16,7 @@ import {
   getPaginationOptions,
   safeAbortTransaction,
   escapeRegex,
+  truncate,
 } from "../utils/helpers.js";
 import {
   validateOrganizationScope,
@@ -31,7 +33,13 @@ import {
 import {
   createCommentNotification,
   createMentionNotification,
+  deliverCreatedNotifications,
 } from "../services/notificationService.js";
+import { getCommentThreadContext } from "../utils/taskHelpers.js";
+import {
+  getAuditSnapshot,
+  recordAuditLog,
+} from "../services/auditService.js";
 
 /**
  * TaskComment Controller
@@ -316,6 +324,7 @@ export const getTaskCommentById = asyncHandler(async (req, res, next) => {
  * Transactional
  * Filtered by organization scope
  * Validates depth does not exceed 3 levels
+ * Notifies thread participants and mentioned users in the same transaction
  *
  * @route POST /api/tasks/comments
  * @access Private (SuperAdmin, Admin, Manager, User)
@@ -351,6 +360,62 @@ export const createTaskComment = asyncHandler(async (req, res, next) => {
     const comment = new TaskComment(commentData);
     await comment.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.CREATE,
+        document: comment,
+      },
+      { session }
+    );
+
+    // Resolve task and thread participants for notifications
+    const { task, participantIds } = await getCommentThreadContext(
+      comment,
+      session
+    );
+    const parentTitle = task
+      ? task.title || truncate(task.description, 50)
+      : "Unknown";
+    const commentPreview = truncate(comment.comment, 100);
+    const mentionIds = comment.mentions.map((m) => m.toString());
+    const notifications = [];
+
+    // Notify thread participants (mentioned users get a mention notification instead)
+    const commentResult = await createCommentNotification({
+      commentId: comment._id,
+      parentId: comment.parent,
+      parentModel: comment.parentModel,
+      parentTitle,
+      recipientIds: participantIds.filter((id) => !mentionIds.includes(id)),
+      commentedBy: userId,
+      commentedByName: req.user.fullName,
+      commentPreview,
+      organizationId: comment.organization,
+      departmentId: comment.department,
+      taskId: task?._id,
+      session,
+    });
+    notifications.push(...commentResult.notifications);
+
+    // Notify mentioned users
+    if (mentionIds.length > 0) {
+      const mentionResult = await createMentionNotification({
+        entityId: comment._id,
+        entityModel: "TaskComment",
+        entityTitle: parentTitle,
+        mentionedUserIds: mentionIds,
+        mentionedBy: userId,
+        mentionedByName: req.user.fullName,
+        contextPreview: commentPreview,
+        organizationId: comment.organization,
+        departmentId: comment.department,
+        taskId: task?._id,
+        session,
+      });
+      notifications.push(...mentionResult.notifications);
+    }
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -378,54 +443,11 @@ export const createTaskComment = asyncHandler(async (req, res, next) => {
       resourceType: "TASK_COMMENT",
     });
 
-    // Emit Socket.IO event for real-time updates
-    const recipientIds = comment.mentions || [];
-    emitCommentAdded(comment, comment.organization, recipientIds);
-
-    // Create notification for comment added
-    if (comment.parent && comment.parentModel) {
-      const parentTitle =
-        comment.parent.title ||
-        comment.parent.activity ||
-        comment.parent.comment ||
-        "Unknown";
-      const commentPreview = comment.comment.substring(0, 100);
-
-      await createCommentNotification({
-        commentId: comment._id,
-        parentId: comment.parent._id || comment.parent,
-        parentModel: comment.parentModel,
-        parentTitle,
-        recipientIds,
-        commentedBy: userId,
-        commentedByName: `${req.user.firstName} ${req.user.lastName}`,
-        commentPreview,
-        organizationId: comment.organization,
-        departmentId: comment.department,
-      });
-    }
+    // Emit Socket.IO events for real-time updates
+    emitCommentAdded(comment, comment.organization, mentionIds);
 
-    // Create notification for mentions
-    if (comment.mentions && comment.mentions.length > 0) {
-      const entityTitle =
-        comment.parent?.title ||
-        comment.parent?.activity ||
-        comment.parent?.comment ||
-        "Unknown";
-      const contextPreview = comment.comment.substring(0, 100);
-
-      await createMentionNotification({
-        entityId: comment._id,
-        entityModel: "TaskComment",
-        entityTitle,
-        mentionedUserIds: comment.mentions.map((m) => m._id || m),
-        mentionedBy: userId,
-        mentionedByName: `${req.user.firstName} ${req.user.lastName}`,
-        contextPreview,
-        organizationId: comment.organization,
-        departmentId: comment.department,
-      });
-    }
+    // Deliver notifications per recipient preferences (not awaited, failures are logged)
+    deliverCreatedNotifications(notifications);
 
     // Return success response
     return res
@@ -500,6 +522,8 @@ export const updateTaskComment = asyncHandler(async (req, res, next) => {
       );
     }
 
+    const auditBefore = getAuditSnapshot(comment);
+
     // Track edit history if comment content is being updated
     if (updateData.comment && updateData.comment !== comment.comment) {
       comment.addEditHistory();
@@ -513,6 +537,16 @@ export const updateTaskComment = asyncHandler(async (req, res, next) => {
     // Save with session
     await comment.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: comment,
+        before: auditBefore,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -627,6 +661,15 @@ export const deleteTaskComment = asyncHandler(async (req, res, next) => {
       "TASK_COMMENT"
     );
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.DELETE,
+        document: comment,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -726,6 +769,15 @@ export const restoreTaskComment = asyncHandler(async (req, res, next) => {
       "TASK_COMMENT"
     );
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.RESTORE,
+        document: comment,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
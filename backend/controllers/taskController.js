@@ -8,6 +8,12 @@ import {
   TASK_ERROR_MESSAGES,
   TASK_LOG_MESSAGES,
   QUERY_FILTERS,
+  TASK_TYPES,
+  TASK_STATUS,
+  RECURRENCE_UPDATE_SCOPE,
+  STOCK_SOURCE_MODELS,
+  AUDIT_OPERATIONS,
+  TASK_TIMELINE,
 } from "../utils/constants.js";
 import logger from "../utils/logger.js";
 import {
@@ -23,6 +29,7 @@ import {
   handleCascadeResult,
 } from "../utils/controllerHelpers.js";
 import { getTaskModel } from "../utils/taskTypeRegistry.js";
+import { normalizeMaterialLineUnits } from "../utils/modelHelpers.js";
 import {
   buildTaskFilter,
   getTaskPopulateConfig,
@@ -33,6 +40,31 @@ import {
   emitTaskUpdated,
   emitTaskDeleted,
 } from "../utils/socketEmitter.js";
+import {
+  createTaskChangeNotifications,
+  deliverCreatedNotifications,
+} from "../services/notificationService.js";
+import {
+  syncStockConsumption,
+  syncTaskStockConsumption,
+} from "../services/stockService.js";
+import {
+  calculateProjectTaskCosts,
+  checkBudgetThresholds,
+} from "../services/costService.js";
+import {
+  keepMilestoneCompletionDates,
+  refreshVendorRating,
+} from "../services/vendorScorecardService.js";
+import { streamListExport } from "../services/exportService.js";
+import {
+  getAuditSnapshot,
+  recordAuditLog,
+} from "../services/auditService.js";
+import {
+  recordTaskHistory,
+  getTaskTimelineItems,
+} from "../services/taskHistoryService.js";
 
 /**
  * @typedef {Object} TaskDocument
@@ -89,6 +121,8 @@ export const getAllTasks = asyncHandler(async (req, res, next) => {
       page = 1,
       limit = 10,
       search = "",
+      format,
+      columns,
       ...filters // taskType, status, priority, organization, department, createdBy, assignee, vendor, startDate, endDate
     } = req.validated.query || {};
 
@@ -137,6 +171,26 @@ export const getAllTasks = asyncHandler(async (req, res, next) => {
         ? Task.find(filter).onlyDeleted()
         : Task.find(filter);
 
+    // Export every matching task (CSV/XLSX/PDF) instead of a page
+    if (format) {
+      const rowCount = await streamListExport(res, {
+        resource: "tasks",
+        format,
+        columns,
+        query: query
+          .select(options.select)
+          .populate(populateConfig)
+          .sort(options.sort),
+        organizationId: userOrganization._id,
+      });
+      logger.info("Tasks exported", {
+        userId: req.user.userId,
+        format,
+        rowCount,
+      });
+      return;
+    }
+
     // Execute paginated query
     const result = await Task.paginate(query, options);
 
@@ -235,6 +289,158 @@ export const getTaskById = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Get the cost breakdown of a project task
+ * Budget vs actual spend: material cost per material and activity (price
+ * snapshotted at time of use) plus vendor charges
+ * Filtered by organization scope
+ *
+ * @route GET /api/tasks/:taskId/costs
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getTaskCosts = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId } = req.params;
+
+    logger.info(TASK_LOG_MESSAGES.GET_COSTS_REQUEST, {
+      userId: req.user.userId,
+      taskId,
+      role: req.user.role,
+    });
+
+    // Find task (including soft-deleted) using helper
+    const task = await findResourceById(Task, taskId, {
+      includeDeleted: true,
+      resourceType: "Task",
+    });
+
+    // Validate organization scope (Requirement 40.1)
+    validateOrganizationScope(task, req.user, "access", "task");
+
+    if (task.taskType !== TASK_TYPES.PROJECT) {
+      throw new CustomError(
+        TASK_ERROR_MESSAGES.COSTS_PROJECT_ONLY,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    const costs = (await calculateProjectTaskCosts([task])).get(
+      task._id.toString()
+    );
+
+    logger.info(TASK_LOG_MESSAGES.GET_COSTS_SUCCESS, {
+      userId: req.user.userId,
+      taskId: task._id,
+      total: costs.actual.total,
+    });
+
+    // Return success response
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          task: { _id: task._id, title: task.title, status: task.status },
+          costs,
+        },
+        TASK_LOG_MESSAGES.GET_COSTS_SUCCESS
+      )
+    );
+  } catch (error) {
+    logger.error(TASK_LOG_MESSAGES.GET_COSTS_FAILED, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      taskId: req.params.taskId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Get task timeline: activities (manual and task history) and comments merged by date
+ * Filtered by organization scope
+ *
+ * @route GET /api/tasks/:taskId/timeline
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getTaskTimeline = asyncHandler(async (req, res, next) => {
+  try {
+    const { taskId } = req.params;
+    const {
+      page = 1,
+      limit = 10,
+      order = TASK_TIMELINE.ORDER.ASC,
+    } = req.validated.query || {};
+
+    logger.info(TASK_LOG_MESSAGES.GET_TIMELINE_REQUEST, {
+      userId: req.user.userId,
+      taskId,
+      role: req.user.role,
+      filters: { page, limit, order },
+    });
+
+    // Find task (including soft-deleted) using helper
+    const task = await findResourceById(Task, taskId, {
+      includeDeleted: true,
+      resourceType: "Task",
+    });
+
+    // Validate organization scope (Requirement 40.1)
+    validateOrganizationScope(task, req.user, "access", "task");
+
+    const paginationOptions = getPaginationOptions(page, limit);
+    const { items, total } = await getTaskTimelineItems(task._id, {
+      ...paginationOptions,
+      order,
+    });
+    const totalPages = Math.ceil(total / paginationOptions.limit);
+
+    logger.info(TASK_LOG_MESSAGES.GET_TIMELINE_SUCCESS, {
+      userId: req.user.userId,
+      taskId: task._id,
+      total,
+    });
+
+    // Return success response
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          timeline: items,
+          pagination: {
+            total,
+            page: paginationOptions.page,
+            limit: paginationOptions.limit,
+            totalPages,
+            hasNextPage: paginationOptions.page < totalPages,
+            hasPrevPage: paginationOptions.page > 1,
+            nextPage:
+              paginationOptions.page < totalPages
+                ? paginationOptions.page + 1
+                : null,
+            prevPage:
+              paginationOptions.page > 1 ? paginationOptions.page - 1 : null,
+          },
+        },
+        TASK_LOG_MESSAGES.GET_TIMELINE_SUCCESS
+      )
+    );
+  } catch (error) {
+    logger.error(TASK_LOG_MESSAGES.GET_TIMELINE_FAILED, {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      taskId: req.params.taskId,
+    });
+    next(error);
+  }
+});
+
 /**
  * Create new task (all task types)
  * Filtered by organization scope
@@ -267,15 +473,49 @@ export const createTask = asyncHandler(async (req, res, next) => {
     }
 
     // Execute within transaction using helper
-    const task = await withTransaction(async (session) => {
+    const { task, notifications } = await withTransaction(async (session) => {
       // Get appropriate task model based on task type using registry
       const TaskModel = getTaskModel(taskData.taskType);
 
+      // Convert RoutineTask lines entered in other units to the materials' units
+      if (taskData.taskType === TASK_TYPES.ROUTINE && taskData.materials) {
+        taskData.materials = await normalizeMaterialLineUnits(
+          taskData.materials,
+          session
+        );
+      }
+
       // Create task with session (Requirement 40.4)
       const newTask = new TaskModel(taskData);
       await newTask.save({ session });
 
-      return newTask;
+      await recordAuditLog(
+        req,
+        {
+          operation: AUDIT_OPERATIONS.CREATE,
+          document: newTask,
+        },
+        { session }
+      );
+
+      // RoutineTask materials are consumed directly (rejected if stock runs short)
+      if (newTask.taskType === TASK_TYPES.ROUTINE) {
+        await syncStockConsumption(
+          [newTask],
+          STOCK_SOURCE_MODELS.ROUTINE_TASK,
+          { session, performedBy: userId }
+        );
+      }
+
+      // Notify assignees and watchers within the same transaction
+      const createdNotifications = await createTaskChangeNotifications({
+        task: newTask,
+        actorId: userId,
+        actorName: req.user.fullName,
+        session,
+      });
+
+      return { task: newTask, notifications: createdNotifications };
     }, logger);
 
     // Populate references for response (after transaction commit to avoid locking issues)
@@ -289,9 +529,12 @@ export const createTask = asyncHandler(async (req, res, next) => {
       resourceType: "TASK",
     });
 
-    // Emit Socket.IO event for real-time updates
+    // Emit Socket.IO events for real-time updates
     emitTaskCreated(task, task.organization);
 
+    // Deliver notifications per recipient preferences (not awaited, failures are logged)
+    deliverCreatedNotifications(notifications);
+
     // Return success response
     return res
       .status(HTTP_STATUS.CREATED)
@@ -310,6 +553,12 @@ export const createTask = asyncHandler(async (req, res, next) => {
  * Update task (all task types)
  * Filtered by organization scope
  * Validates assignees/watchers belong to same organization
+ * Recurring RoutineTask edits honor updateScope (this occurrence only / this and future)
+ * Changed RoutineTask material lines post or reverse stock consumption
+ * Changed ProjectTask budget or vendor charges re-check the budget alert thresholds
+ * ProjectTask completion (with an optional vendorRating) recomputes the vendor's rating
+ * Changes to status, priority, assignees, dates, milestones or vendor are recorded
+ * as system activities (task history)
  *
  * @route PUT /api/tasks/:taskId
  * @access Private (SuperAdmin, Admin, Manager, User - own tasks)
@@ -320,17 +569,22 @@ export const createTask = asyncHandler(async (req, res, next) => {
 export const updateTask = asyncHandler(async (req, res, next) => {
   try {
     const { taskId } = req.params;
-    const updateData = req.validated.body;
+    const {
+      updateScope = RECURRENCE_UPDATE_SCOPE.THIS_OCCURRENCE,
+      vendorRating,
+      ...updateData
+    } = req.validated.body;
 
     logger.info(TASK_LOG_MESSAGES.UPDATE_REQUEST, {
       userId: req.user.userId,
       taskId,
       role: req.user.role,
       updateFields: Object.keys(updateData),
+      updateScope,
     });
 
     // Execute within transaction using helper
-    const task = await withTransaction(async (session) => {
+    const updateResult = await withTransaction(async (session) => {
       // Find task with session using helper (Requirement 40.4)
       const foundTask = await findResourceById(Task, taskId, {
         session,
@@ -342,18 +596,136 @@ export const updateTask = asyncHandler(async (req, res, next) => {
 
       // Validate organization scope (Requirement 40.1)
       validateOrganizationScope(foundTask, req.user, "update", "task");
+      const auditBefore = getAuditSnapshot(foundTask);
+
+      // Capture participants before the update to detect additions
+      const previousAssigneeIds = [...(foundTask.assignees || [])];
+      const previousWatcherIds = [...(foundTask.watchers || [])];
+
+      // Milestones that stay completed keep their completion date
+      const changes = updateData.milestones
+        ? {
+            ...updateData,
+            milestones: keepMilestoneCompletionDates(
+              updateData.milestones,
+              foundTask.milestones
+            ),
+          }
+        : updateData;
 
       // Update task fields (let Mongoose handle validation)
-      Object.keys(updateData).forEach((key) => {
-        foundTask[key] = updateData[key];
+      Object.keys(changes).forEach((key) => {
+        foundTask[key] = changes[key];
       });
 
+      // Rate the vendor of a completed project task
+      if (vendorRating !== undefined) {
+        if (foundTask.status !== TASK_STATUS.COMPLETED) {
+          throw new CustomError(
+            TASK_ERROR_MESSAGES.VENDOR_RATING_COMPLETED_ONLY,
+            HTTP_STATUS.BAD_REQUEST,
+            ERROR_CODES.VALIDATION_ERROR
+          );
+        }
+        foundTask.set("vendorPerformance.rating", vendorRating);
+        foundTask.set("vendorPerformance.ratedBy", req.user.userId);
+        foundTask.set("vendorPerformance.ratedAt", new Date());
+      }
+
+      // Propagate through the recurrence series according to update scope
+      let seriesResult = { seriesUpdatedCount: 0 };
+      if (foundTask.taskType === TASK_TYPES.ROUTINE) {
+        const TaskModel = getTaskModel(foundTask.taskType);
+        seriesResult = await TaskModel.applySeriesUpdate(
+          foundTask,
+          updateData,
+          updateScope,
+          session
+        );
+      }
+
       // Save task with session (Requirement 40.4)
       await foundTask.save({ session });
 
-      return foundTask;
+      await recordAuditLog(
+        req,
+        {
+          operation: AUDIT_OPERATIONS.UPDATE,
+          document: foundTask,
+          before: auditBefore,
+        },
+        { session }
+      );
+
+      // Record changed status, assignees, dates, etc. in the task history
+      await recordTaskHistory(foundTask, auditBefore, {
+        userId: req.user.userId,
+        session,
+      });
+
+      // Post or reverse consumption for changed material lines, and when the
+      // date or status decides whether a generated occurrence is due
+      if (
+        foundTask.taskType === TASK_TYPES.ROUTINE &&
+        ["materials", "date", "status"].some((field) => field in updateData)
+      ) {
+        await syncStockConsumption(
+          [foundTask],
+          STOCK_SOURCE_MODELS.ROUTINE_TASK,
+          { session, performedBy: req.user.userId }
+        );
+
+        // Later occurrences that received the change (already generated, so flagged on shortage)
+        if ("materials" in updateData && seriesResult.seriesUpdatedCount > 0) {
+          const TaskModel = getTaskModel(foundTask.taskType);
+          const occurrences = await TaskModel.find({
+            series: foundTask.series || foundTask._id,
+            date: { $gt: foundTask.date },
+            isSeriesException: { $ne: true },
+          }).session(session);
+
+          await syncStockConsumption(
+            occurrences,
+            STOCK_SOURCE_MODELS.ROUTINE_TASK,
+            { session, performedBy: req.user.userId, allowNegative: true }
+          );
+        }
+      }
+
+      // Notify new assignees/watchers and existing participants
+      const notifications = await createTaskChangeNotifications({
+        task: foundTask,
+        previousAssigneeIds,
+        previousWatcherIds,
+        updatedFields: Object.keys(updateData),
+        actorId: req.user.userId,
+        actorName: req.user.fullName,
+        session,
+      });
+
+      // Notify when project spend passes a budget alert threshold
+      if (
+        foundTask.taskType === TASK_TYPES.PROJECT &&
+        ("budget" in updateData || "vendorCharges" in updateData)
+      ) {
+        notifications.push(
+          ...(await checkBudgetThresholds(foundTask._id, { session }))
+        );
+      }
+
+      // Completion, reopening and ratings change the vendor's computed rating
+      if (
+        foundTask.taskType === TASK_TYPES.PROJECT &&
+        ("status" in updateData || vendorRating !== undefined)
+      ) {
+        await refreshVendorRating(foundTask.vendor, { session });
+      }
+
+      return { task: foundTask, notifications, ...seriesResult };
     }, logger);
 
+    const { task, notifications, seriesUpdatedCount } = updateResult;
+
     // Populate references for response (after transaction commit to avoid locking issues)
     await task.populate(getTaskPopulateConfig());
 
@@ -361,17 +733,26 @@ export const updateTask = asyncHandler(async (req, res, next) => {
       userId: req.user.userId,
       taskId: task._id,
       taskType: task.taskType,
+      seriesUpdatedCount,
       operationType: "UPDATE",
       resourceType: "TASK",
     });
 
-    // Emit Socket.IO event for real-time updates
+    // Emit Socket.IO events for real-time updates
     emitTaskUpdated(task, task.organization, task.watchers || []);
 
+    // Deliver notifications per recipient preferences (not awaited, failures are logged)
+    deliverCreatedNotifications(notifications);
+
     // Return success response
     return res
       .status(HTTP_STATUS.OK)
-      .json(formatSuccessResponse({ task }, TASK_LOG_MESSAGES.UPDATE_SUCCESS));
+      .json(
+        formatSuccessResponse(
+          { task, seriesUpdatedCount },
+          TASK_LOG_MESSAGES.UPDATE_SUCCESS
+        )
+      );
   } catch (error) {
     logger.error(TASK_LOG_MESSAGES.UPDATE_FAILED, {
       error: error.message,
@@ -386,6 +767,7 @@ export const updateTask = asyncHandler(async (req, res, next) => {
 /**
  * Soft delete task with cascade operations
  * Filtered by organization scope
+ * Reverses the material consumption of the task (RoutineTask) or its activities
  *
  * @route DELETE /api/tasks/:taskId
  * @access Private (SuperAdmin, Admin, Manager)
@@ -427,6 +809,25 @@ export const deleteTask = asyncHandler(async (req, res, next) => {
         force: false,
       });
 
+      if (result.success) {
+        await recordAuditLog(
+          req,
+          {
+            operation: AUDIT_OPERATIONS.DELETE,
+            document: foundTask,
+          },
+          { session }
+        );
+      }
+
+      // Return consumed materials to stock
+      await syncTaskStockConsumption(taskId, { session, performedBy: userId });
+
+      // Deleted projects no longer count towards the vendor's rating
+      if (foundTask.taskType === TASK_TYPES.PROJECT) {
+        await refreshVendorRating(foundTask.vendor, { session });
+      }
+
       return { task: foundTask, cascadeResult: result };
     }, logger);
 
@@ -471,6 +872,7 @@ export const deleteTask = asyncHandler(async (req, res, next) => {
 /**
  * Restore soft-deleted task with cascade operations
  * Filtered by organization scope
+ * Posts the material consumption again (flagged, not rejected, if stock runs short)
  *
  * @route PUT /api/tasks/:taskId/restore
  * @access Private (SuperAdmin, Admin, Manager)
@@ -513,6 +915,28 @@ export const restoreTask = asyncHandler(async (req, res, next) => {
         validateParents: true,
       });
 
+      if (result.success) {
+        await recordAuditLog(
+          req,
+          {
+            operation: AUDIT_OPERATIONS.RESTORE,
+            document: foundTask,
+          },
+          { session }
+        );
+      }
+
+      // Consumption already happened, so a shortage is flagged rather than rejected
+      await syncTaskStockConsumption(taskId, {
+        session,
+        performedBy: userId,
+        allowNegative: true,
+      });
+
+      if (foundTask.taskType === TASK_TYPES.PROJECT) {
+        await refreshVendorRating(foundTask.vendor, { session });
+      }
+
       return { task: foundTask, cascadeResult: result };
     }, logger);
 
@@ -557,6 +981,8 @@ export const restoreTask = asyncHandler(async (req, res, next) => {
 export default {
   getAllTasks,
   getTaskById,
+  getTaskCosts,
+  getTaskTimeline,
   createTask,
   updateTask,
   deleteTask,
@@ -2,7 +2,12 @@ import asyncHandler from "express-async-handler";
 import mongoose from "mongoose";
 import { User } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
-import { HTTP_STATUS, ERROR_CODES } from "../utils/constants.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  AUDIT_OPERATIONS,
+  SESSION_REVOKE_REASONS,
+} from "../utils/constants.js";
 import logger from "../utils/logger.js";
 import {
   formatSuccessResponse,
@@ -11,6 +16,12 @@ import {
   safeAbortTransaction,
 } from "../utils/helpers.js";
 import { emitToOrganization } from "../utils/socketEmitter.js";
+import { streamListExport } from "../services/exportService.js";
+import {
+  getAuditSnapshot,
+  recordAuditLog,
+} from "../services/auditService.js";
+import { revokeSessions } from "../services/sessionService.js";
 
 /**
  * @typedef {Object} UserDocument
@@ -221,6 +232,8 @@ export const getAllUsers = asyncHandler(async (req, res, next) => {
       department,
       isPlatformUser,
       isHod,
+      format,
+      columns,
     } = req.validated.query || {};
 
     logger.info("Get all users request", {
@@ -293,6 +306,26 @@ export const getAllUsers = asyncHandler(async (req, res, next) => {
     if (deleted === "true" || deleted === true) query = query.withDeleted();
     else if (deleted === "only") query = query.onlyDeleted();
 
+    // Export every matching user (CSV/XLSX/PDF) instead of a page
+    if (format) {
+      const rowCount = await streamListExport(res, {
+        resource: "users",
+        format,
+        columns,
+        query: query
+          .select(options.select)
+          .populate(options.populate)
+          .sort(options.sort),
+        organizationId: userOrganization._id,
+      });
+      logger.info("Users exported", {
+        userId: req.user.userId,
+        format,
+        rowCount,
+      });
+      return;
+    }
+
     // Execute paginated query
     const result = await User.paginate(query, options);
 
@@ -425,6 +458,15 @@ export const createUser = asyncHandler(async (req, res, next) => {
 
     await user.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.CREATE,
+        document: user,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -496,6 +538,7 @@ export const updateUser = asyncHandler(async (req, res, next) => {
 
     // Validate organization scope (Requirement 40.1)
     validateOrganizationScope(user, req.user, "update");
+    const auditBefore = getAuditSnapshot(user);
 
     // Update user fields (let Mongoose handle validation)
     Object.keys(updateData).forEach((key) => {
@@ -505,6 +548,16 @@ export const updateUser = asyncHandler(async (req, res, next) => {
     // Save user with session (Requirement 40.4)
     await user.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: user,
+        before: auditBefore,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -595,6 +648,26 @@ export const deleteUser = asyncHandler(async (req, res, next) => {
     // Handle cascade result
     handleCascadeResult(cascadeResult, "delete", currentUserId, logger);
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.DELETE,
+        document: user,
+      },
+      { session }
+    );
+
+    // Sign the user out of every device (sessions stay ended after a restore)
+    await revokeSessions(
+      req,
+      { user: userId },
+      {
+        reason: SESSION_REVOKE_REASONS.ADMIN_REVOKED,
+        revokedBy: currentUserId,
+        session,
+      }
+    );
+
     // Commit transaction (Requirement 40.4)
     await session.commitTransaction();
 
@@ -684,6 +757,15 @@ export const restoreUser = asyncHandler(async (req, res, next) => {
     // Handle cascade result
     handleCascadeResult(cascadeResult, "restore", currentUserId, logger);
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.RESTORE,
+        document: user,
+      },
+      { session }
+    );
+
     // Commit transaction (Requirement 40.4)
     await session.commitTransaction();
 
@@ -735,6 +817,7 @@ export const restoreUser = asyncHandler(async (req, res, next) => {
  * Change user password
  * Validates old password before updating
  * Hashes new password (schema hook)
+ * Signs the user out of every other device (the current session is kept)
  *
  * @route PUT /api/users/:userId/password
  * @access Private (User - own profile, SuperAdmin, Admin)
@@ -764,6 +847,7 @@ export const changePassword = asyncHandler(async (req, res, next) => {
 
     // Validate organization scope (Requirement 40.1)
     validateOrganizationScope(user, req.user, "change password for");
+    const auditBefore = getAuditSnapshot(user);
 
     // Verify old password (Requirement 39.9)
     const isPasswordValid = await user.comparePassword(oldPassword);
@@ -782,6 +866,28 @@ export const changePassword = asyncHandler(async (req, res, next) => {
     // Save user with session (Requirement 40.4)
     await user.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: user,
+        before: auditBefore,
+        action: "change-password",
+      },
+      { session }
+    );
+
+    // Revoke the user's sessions except the one making the request
+    const sessionFilter = { user: user._id };
+    if (req.user.sessionId) {
+      sessionFilter._id = { $ne: req.user.sessionId };
+    }
+    await revokeSessions(req, sessionFilter, {
+      reason: SESSION_REVOKE_REASONS.PASSWORD_CHANGE,
+      revokedBy: req.user.userId,
+      session,
+    });
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -854,6 +960,7 @@ export const changeEmail = asyncHandler(async (req, res, next) => {
 
     // Validate organization scope (Requirement 40.1)
     validateOrganizationScope(user, req.user, "change email for");
+    const auditBefore = getAuditSnapshot(user);
 
     // Store old email for logging
     const oldEmail = user.email;
@@ -864,6 +971,17 @@ export const changeEmail = asyncHandler(async (req, res, next) => {
     // Save user with session (Requirement 40.4)
     await user.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: user,
+        before: auditBefore,
+        action: "change-email",
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -941,6 +1059,7 @@ export const uploadAvatar = asyncHandler(async (req, res, next) => {
 
     // Validate organization scope (Requirement 40.1)
     validateOrganizationScope(user, req.user, "upload avatar for");
+    const auditBefore = getAuditSnapshot(user);
 
     // Update profile picture
     user.profilePicture = {
@@ -951,6 +1070,17 @@ export const uploadAvatar = asyncHandler(async (req, res, next) => {
     // Save user with session (Requirement 40.4)
     await user.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: user,
+        before: auditBefore,
+        action: "upload-avatar",
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
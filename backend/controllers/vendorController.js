@@ -2,7 +2,11 @@ import asyncHandler from "express-async-handler";
 import mongoose from "mongoose";
 import { Vendor } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
-import { HTTP_STATUS, ERROR_CODES } from "../utils/constants.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  AUDIT_OPERATIONS,
+} from "../utils/constants.js";
 import logger from "../utils/logger.js";
 import {
   formatSuccessResponse,
@@ -18,10 +22,18 @@ import {
   handleCascadeResult,
 } from "../utils/controllerHelpers.js";
 import { emitToOrganization } from "../utils/socketEmitter.js";
+import { buildVendorScorecard } from "../services/vendorScorecardService.js";
+import { releaseComplianceHold } from "../services/vendorComplianceService.js";
+import { streamListExport } from "../services/exportService.js";
+import {
+  getAuditSnapshot,
+  recordAuditLog,
+} from "../services/auditService.js";
 
 /**
  * Vendor Controller
- * Handles vendor management operations: list, read, create, update, delete, restore
+ * Handles vendor management operations: list, read, create, update, delete, restore,
+ * and the vendor's compliance documents
  *
  * Requirements: 40.1, 40.2, 40.3, 40.4, 40.5, 40.6, 40.7, 40.8, 40.9, 40.10, 40.11, 40.12, 40.14
  */
@@ -34,9 +46,11 @@ import { emitToOrganization } from "../utils/socketEmitter.js";
  * @property {string} phone - Vendor phone
  * @property {mongoose.Types.ObjectId} organization - Organization reference
  * @property {mongoose.Types.ObjectId} createdBy - User who created the vendor
- * @property {number} rating - Vendor rating (1-5)
+ * @property {number} rating - Vendor rating (1-5), recomputed from completed project tasks
  * @property {string} status - Vendor status (ACTIVE, INACTIVE, BLOCKED)
  * @property {string} address - Vendor address
+ * @property {Array<Object>} documents - Compliance documents (type, title, issueDate, expiryDate, isMandatory, attachment)
+ * @property {boolean} complianceHold - Status was changed because a mandatory document lapsed
  * @property {boolean} isDeleted - Soft delete flag
  * @property {Date} deletedAt - Deletion timestamp
  * @property {mongoose.Types.ObjectId} deletedBy - User who deleted
@@ -71,6 +85,8 @@ export const getAllVendors = asyncHandler(async (req, res, next) => {
       organization,
       minRating,
       maxRating,
+      format,
+      columns,
     } = req.validated.query || {};
 
     logger.info("Get all vendors request", {
@@ -145,6 +161,23 @@ export const getAllVendors = asyncHandler(async (req, res, next) => {
     if (deleted === "true" || deleted === true) query = query.withDeleted();
     else if (deleted === "only") query = query.onlyDeleted();
 
+    // Export every matching vendor (CSV/XLSX/PDF) instead of a page
+    if (format) {
+      const rowCount = await streamListExport(res, {
+        resource: "vendors",
+        format,
+        columns,
+        query: query.populate(options.populate).sort(options.sort),
+        organizationId: userOrganization._id,
+      });
+      logger.info("Vendors exported", {
+        userId: req.user.userId,
+        format,
+        rowCount,
+      });
+      return;
+    }
+
     // Execute paginated query
     const result = await Vendor.paginate(query, options);
 
@@ -252,6 +285,64 @@ export const getVendorById = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Get vendor performance scorecard
+ * On-time %, average delay, milestone slippage and average rating of completed
+ * project tasks, with a monthly trend
+ *
+ * @route GET /api/vendors/:vendorId/scorecard
+ * @access Private (SuperAdmin, Admin, Manager, User)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getVendorScorecard = asyncHandler(async (req, res, next) => {
+  try {
+    const { vendorId } = req.params;
+    const { months } = req.validated.query || {};
+
+    logger.info("Get vendor scorecard request", {
+      userId: req.user.userId,
+      vendorId,
+      months,
+    });
+
+    // Find vendor (including soft-deleted) using helper
+    const vendor = await findResourceById(Vendor, vendorId, {
+      includeDeleted: true,
+      resourceType: "Vendor",
+    });
+
+    // Validate organization scope
+    validateOrganizationScope(vendor, req.user, "access", "vendor");
+
+    const scorecard = await buildVendorScorecard(vendor, { months });
+
+    logger.info("Vendor scorecard retrieved successfully", {
+      userId: req.user.userId,
+      vendorId: vendor._id,
+      completedCount: scorecard.summary.completedCount,
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { scorecard },
+          "Vendor scorecard retrieved successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Get vendor scorecard failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      vendorId: req.params.vendorId,
+    });
+    next(error);
+  }
+});
+
 /**
  * Create new vendor
  * Transactional
@@ -290,6 +381,15 @@ export const createVendor = asyncHandler(async (req, res, next) => {
     const vendor = new Vendor(vendorData);
     await vendor.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.CREATE,
+        document: vendor,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -372,15 +472,31 @@ export const updateVendor = asyncHandler(async (req, res, next) => {
 
     // Validate organization scope
     validateOrganizationScope(vendor, req.user, "update", "vendor");
+    const auditBefore = getAuditSnapshot(vendor);
 
     // Update fields
     Object.keys(updateData).forEach((key) => {
       vendor[key] = updateData[key];
     });
 
+    // A status set by hand replaces a compliance hold
+    if (updateData.status !== undefined) {
+      vendor.complianceHold = false;
+    }
+
     // Save with session
     await vendor.save({ session });
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: vendor,
+        before: auditBefore,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -426,6 +542,320 @@ export const updateVendor = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Add a compliance document to a vendor
+ * Transactional
+ * Filtered by organization scope
+ *
+ * @route POST /api/vendors/:vendorId/documents
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const addVendorDocument = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { vendorId } = req.params;
+    const documentData = req.validated.body;
+
+    logger.info("Add vendor document request", {
+      userId: req.user.userId,
+      vendorId,
+      type: documentData.type,
+    });
+
+    const vendor = await findResourceById(Vendor, vendorId, {
+      session,
+      resourceType: "Vendor",
+    });
+    validateNotDeleted(vendor, "update", "vendor");
+    validateOrganizationScope(vendor, req.user, "update", "vendor");
+    const auditBefore = getAuditSnapshot(vendor);
+
+    vendor.documents.push({ ...documentData, createdBy: req.user.userId });
+    const document = vendor.documents[vendor.documents.length - 1];
+
+    // A renewal added as a new document can end a compliance hold
+    releaseComplianceHold(vendor);
+
+    await vendor.save({ session });
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: vendor,
+        before: auditBefore,
+        action: "add-document",
+      },
+      { session }
+    );
+    await session.commitTransaction();
+
+    // Populate references for response
+    await vendor.populate([
+      {
+        path: "createdBy",
+        select: "firstName lastName email profilePicture",
+      },
+      {
+        path: "organization",
+        select: "name",
+      },
+    ]);
+
+    logger.info("Vendor document added successfully", {
+      userId: req.user.userId,
+      vendorId: vendor._id,
+      documentId: document._id,
+      operationType: "CREATE",
+      resourceType: "VENDOR_DOCUMENT",
+    });
+
+    emitToOrganization("vendor:updated", { vendor }, vendor.organization);
+
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        formatSuccessResponse({ vendor }, "Vendor document added successfully")
+      );
+  } catch (error) {
+    await safeAbortTransaction(session, error, logger);
+
+    logger.error("Add vendor document failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      vendorId: req.params.vendorId,
+    });
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * Update a compliance document of a vendor
+ * A new expiry date re-arms the expiry warning; renewing the lapsed
+ * mandatory documents reactivates a vendor held for compliance
+ * Transactional
+ * Filtered by organization scope
+ *
+ * @route PUT /api/vendors/:vendorId/documents/:documentId
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateVendorDocument = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { vendorId, documentId } = req.params;
+    const updateData = req.validated.body;
+
+    logger.info("Update vendor document request", {
+      userId: req.user.userId,
+      vendorId,
+      documentId,
+      updateFields: Object.keys(updateData),
+    });
+
+    const vendor = await findResourceById(Vendor, vendorId, {
+      session,
+      resourceType: "Vendor",
+    });
+    validateNotDeleted(vendor, "update", "vendor");
+    validateOrganizationScope(vendor, req.user, "update", "vendor");
+    const auditBefore = getAuditSnapshot(vendor);
+
+    const document = vendor.documents.id(documentId);
+    if (!document) {
+      throw new CustomError(
+        `Vendor document with ID ${documentId} not found`,
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.NOT_FOUND_ERROR
+      );
+    }
+
+    if (
+      updateData.expiryDate !== undefined &&
+      new Date(updateData.expiryDate).getTime() !==
+        document.expiryDate.getTime()
+    ) {
+      document.expiryWarningSentAt = null;
+      document.lapseNotifiedAt = null;
+    }
+    document.set(updateData);
+
+    releaseComplianceHold(vendor);
+
+    await vendor.save({ session });
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: vendor,
+        before: auditBefore,
+        action: "update-document",
+      },
+      { session }
+    );
+    await session.commitTransaction();
+
+    // Populate references for response
+    await vendor.populate([
+      {
+        path: "createdBy",
+        select: "firstName lastName email profilePicture",
+      },
+      {
+        path: "organization",
+        select: "name",
+      },
+    ]);
+
+    logger.info("Vendor document updated successfully", {
+      userId: req.user.userId,
+      vendorId: vendor._id,
+      documentId,
+      operationType: "UPDATE",
+      resourceType: "VENDOR_DOCUMENT",
+    });
+
+    emitToOrganization("vendor:updated", { vendor }, vendor.organization);
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { vendor },
+          "Vendor document updated successfully"
+        )
+      );
+  } catch (error) {
+    await safeAbortTransaction(session, error, logger);
+
+    logger.error("Update vendor document failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      vendorId: req.params.vendorId,
+      documentId: req.params.documentId,
+    });
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * Remove a compliance document from a vendor
+ * The uploaded file stays with the vendor's attachments
+ * Transactional
+ * Filtered by organization scope
+ *
+ * @route DELETE /api/vendors/:vendorId/documents/:documentId
+ * @access Private (SuperAdmin, Admin, Manager)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const deleteVendorDocument = asyncHandler(async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { vendorId, documentId } = req.params;
+
+    logger.info("Delete vendor document request", {
+      userId: req.user.userId,
+      vendorId,
+      documentId,
+    });
+
+    const vendor = await findResourceById(Vendor, vendorId, {
+      session,
+      resourceType: "Vendor",
+    });
+    validateNotDeleted(vendor, "update", "vendor");
+    validateOrganizationScope(vendor, req.user, "update", "vendor");
+    const auditBefore = getAuditSnapshot(vendor);
+
+    const document = vendor.documents.id(documentId);
+    if (!document) {
+      throw new CustomError(
+        `Vendor document with ID ${documentId} not found`,
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.NOT_FOUND_ERROR
+      );
+    }
+    document.deleteOne();
+
+    releaseComplianceHold(vendor);
+
+    await vendor.save({ session });
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.UPDATE,
+        document: vendor,
+        before: auditBefore,
+        action: "delete-document",
+      },
+      { session }
+    );
+    await session.commitTransaction();
+
+    // Populate references for response
+    await vendor.populate([
+      {
+        path: "createdBy",
+        select: "firstName lastName email profilePicture",
+      },
+      {
+        path: "organization",
+        select: "name",
+      },
+    ]);
+
+    logger.info("Vendor document deleted successfully", {
+      userId: req.user.userId,
+      vendorId: vendor._id,
+      documentId,
+      operationType: "DELETE",
+      resourceType: "VENDOR_DOCUMENT",
+    });
+
+    emitToOrganization("vendor:updated", { vendor }, vendor.organization);
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { vendor },
+          "Vendor document deleted successfully"
+        )
+      );
+  } catch (error) {
+    await safeAbortTransaction(session, error, logger);
+
+    logger.error("Delete vendor document failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      vendorId: req.params.vendorId,
+      documentId: req.params.documentId,
+    });
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
 /**
  * Soft delete vendor with cascade operations
  * Filtered by organization scope
@@ -483,6 +913,15 @@ export const deleteVendor = asyncHandler(async (req, res, next) => {
     // Handle cascade result
     handleCascadeResult(cascadeResult, "delete", userId, logger, "VENDOR");
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.DELETE,
+        document: vendor,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -576,6 +1015,15 @@ export const restoreVendor = asyncHandler(async (req, res, next) => {
     // Handle cascade result
     handleCascadeResult(cascadeResult, "restore", userId, logger, "VENDOR");
 
+    await recordAuditLog(
+      req,
+      {
+        operation: AUDIT_OPERATIONS.RESTORE,
+        document: vendor,
+      },
+      { session }
+    );
+
     // Commit transaction
     await session.commitTransaction();
 
@@ -625,8 +1073,12 @@ export const restoreVendor = asyncHandler(async (req, res, next) => {
 export default {
   getAllVendors,
   getVendorById,
+  getVendorScorecard,
   createVendor,
   updateVendor,
+  addVendorDocument,
+  updateVendorDocument,
+  deleteVendorDocument,
   deleteVendor,
   restoreVendor,
 };
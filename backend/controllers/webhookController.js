@@ -0,0 +1,542 @@
+import asyncHandler from "express-async-handler";
+import { Webhook, WebhookDelivery } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  SOCKET_EVENTS,
+  WEBHOOK_DELIVERY,
+  WEBHOOK_DELIVERY_STATUS,
+  AUDIT_OPERATIONS,
+} from "../utils/constants.js";
+import logger from "../utils/logger.js";
+import {
+  formatSuccessResponse,
+  getPaginationOptions,
+  withTransaction,
+} from "../utils/helpers.js";
+import {
+  generateWebhookSecret,
+  queueWebhookEvent,
+} from "../services/webhookService.js";
+import {
+  getAuditSnapshot,
+  recordAuditLog,
+} from "../services/auditService.js";
+
+/**
+ * Webhook Controller
+ * Lets admins subscribe HTTP endpoints to organization events, inspect the
+ * delivery log and redeliver events
+ * Webhooks are scoped to the admin's organization (validators check the scope)
+ * The signing secret is only returned when it is set (create, or update with a new secret)
+ */
+
+// Fields returned in the delivery log (the payload is returned by the redeliver response only)
+const DELIVERY_LIST_SELECT_FIELDS = "-payload";
+
+// Fields admins can change on a webhook
+const UPDATABLE_FIELDS = ["url", "events", "secret", "description", "isActive"];
+
+/**
+ * Format pagination metadata of a paginate() result
+ * @param {Object} result - mongoose-paginate-v2 result
+ * @returns {Object} Pagination metadata
+ */
+const formatPagination = (result) => ({
+  total: result.totalDocs,
+  page: result.page,
+  limit: result.limit,
+  totalPages: result.totalPages,
+  hasNextPage: result.hasNextPage,
+  hasPrevPage: result.hasPrevPage,
+  nextPage: result.nextPage,
+  prevPage: result.prevPage,
+});
+
+/**
+ * Get webhooks of the organization with pagination
+ *
+ * @route GET /api/webhooks
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getWebhooks = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId, organization } = req.user;
+    const { page = 1, limit = 10, isActive, event } = req.validated.query || {};
+
+    const filter = { organization: organization._id };
+    if (isActive !== undefined) filter.isActive = isActive;
+    if (event) filter.events = event;
+
+    const paginationOptions = getPaginationOptions(page, limit);
+    const result = await Webhook.paginate(filter, {
+      page: paginationOptions.page,
+      limit: paginationOptions.limit,
+      sort: { createdAt: -1 },
+      populate: [{ path: "createdBy", select: "firstName lastName email" }],
+      lean: true,
+    });
+
+    logger.info("Webhooks retrieved successfully", {
+      userId,
+      totalDocs: result.totalDocs,
+      page: result.page,
+    });
+
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          webhooks: result.docs,
+          pagination: formatPagination(result),
+        },
+        "Webhooks retrieved successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Get webhooks failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Get a webhook by ID
+ *
+ * @route GET /api/webhooks/:webhookId
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getWebhookById = asyncHandler(async (req, res, next) => {
+  try {
+    const { webhookId } = req.validated.params;
+
+    const webhook = await Webhook.findById(webhookId)
+      .populate("createdBy", "firstName lastName email")
+      .lean();
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse({ webhook }, "Webhook retrieved successfully")
+      );
+  } catch (error) {
+    logger.error("Get webhook failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      webhookId: req.params.webhookId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Create a webhook
+ * A secret is generated when none is provided; it is only returned by this request
+ *
+ * @route POST /api/webhooks
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createWebhook = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId, organization } = req.user;
+    const { url, events, secret, description, isActive } = req.validated.body;
+
+    const signingSecret = secret || generateWebhookSecret();
+    const webhook = await Webhook.create({
+      organization: organization._id,
+      url,
+      events,
+      secret: signingSecret,
+      description,
+      isActive,
+      createdBy: userId,
+    });
+    await recordAuditLog(req, {
+      operation: AUDIT_OPERATIONS.CREATE,
+      document: webhook,
+    });
+
+    logger.info("Webhook created", {
+      userId,
+      webhookId: webhook._id,
+      events,
+      operationType: "CREATE",
+      resourceType: "WEBHOOK",
+    });
+
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        formatSuccessResponse(
+          { webhook, secret: signingSecret },
+          "Webhook created successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Create webhook failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Update a webhook
+ * Setting a new secret returns it; disabling a webhook fails its pending deliveries
+ * when the worker picks them up
+ *
+ * @route PUT /api/webhooks/:webhookId
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateWebhook = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { webhookId } = req.validated.params;
+    const updates = req.validated.body;
+
+    const webhook = await Webhook.findById(webhookId);
+    const auditBefore = getAuditSnapshot(webhook);
+    for (const field of UPDATABLE_FIELDS) {
+      if (updates[field] !== undefined) webhook[field] = updates[field];
+    }
+    await webhook.save();
+    await recordAuditLog(req, {
+      operation: AUDIT_OPERATIONS.UPDATE,
+      document: webhook,
+      before: auditBefore,
+    });
+
+    logger.info("Webhook updated", {
+      userId,
+      webhookId,
+      updatedFields: Object.keys(updates),
+      operationType: "UPDATE",
+      resourceType: "WEBHOOK",
+    });
+
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          webhook,
+          ...(updates.secret !== undefined && { secret: updates.secret }),
+        },
+        "Webhook updated successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Update webhook failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      webhookId: req.params.webhookId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Delete a webhook
+ * Pending deliveries are marked FAILED; the delivery log expires after
+ * WEBHOOK_DELIVERY.DELIVERED_RETENTION
+ * Transactional
+ *
+ * @route DELETE /api/webhooks/:webhookId
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const deleteWebhook = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { webhookId } = req.validated.params;
+
+    await withTransaction(async (session) => {
+      const now = new Date();
+
+      await WebhookDelivery.updateMany(
+        {
+          webhook: webhookId,
+          status: {
+            $in: [
+              WEBHOOK_DELIVERY_STATUS.PENDING,
+              WEBHOOK_DELIVERY_STATUS.SENDING,
+            ],
+          },
+        },
+        {
+          $set: {
+            status: WEBHOOK_DELIVERY_STATUS.FAILED,
+            lastError: "Webhook was deleted",
+            lockedUntil: null,
+            failedAt: now,
+          },
+        },
+        { session }
+      );
+      await WebhookDelivery.updateMany(
+        { webhook: webhookId },
+        {
+          $set: {
+            expiresAt: new Date(
+              now.getTime() + WEBHOOK_DELIVERY.DELIVERED_RETENTION * 1000
+            ),
+          },
+        },
+        { session }
+      );
+      const webhook = await Webhook.findById(webhookId).session(session);
+      await Webhook.deleteOne({ _id: webhookId }, { session });
+      await recordAuditLog(
+        req,
+        { operation: AUDIT_OPERATIONS.DELETE, document: webhook },
+        { session }
+      );
+    }, logger);
+
+    logger.info("Webhook deleted", {
+      userId,
+      webhookId,
+      operationType: "DELETE",
+      resourceType: "WEBHOOK",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(formatSuccessResponse(null, "Webhook deleted successfully"));
+  } catch (error) {
+    logger.error("Delete webhook failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      webhookId: req.params.webhookId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Queue a test event (webhook:ping) for a webhook
+ * Sent even when the webhook is not subscribed to any matching event
+ *
+ * @route POST /api/webhooks/:webhookId/ping
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const pingWebhook = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId, organization } = req.user;
+    const { webhookId } = req.validated.params;
+
+    const webhook = await Webhook.findById(webhookId).lean();
+    if (!webhook.isActive) {
+      throw new CustomError(
+        "Disabled webhooks cannot be pinged",
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    const result = await queueWebhookEvent(
+      SOCKET_EVENTS.WEBHOOK_PING,
+      {
+        webhook: { _id: webhook._id, url: webhook.url, events: webhook.events },
+      },
+      organization._id,
+      { webhook }
+    );
+    if (!result.success) {
+      throw new CustomError(
+        "Failed to queue webhook ping",
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        ERROR_CODES.INTERNAL_ERROR
+      );
+    }
+
+    const [delivery] = result.deliveries;
+
+    logger.info("Webhook ping queued", {
+      userId,
+      webhookId,
+      deliveryId: delivery._id,
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(formatSuccessResponse({ delivery }, "Webhook ping queued"));
+  } catch (error) {
+    logger.error("Ping webhook failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      webhookId: req.params.webhookId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Get the delivery log of a webhook with pagination
+ * Each delivery includes its attempt log (status code, response excerpt, error, duration)
+ *
+ * @route GET /api/webhooks/:webhookId/deliveries
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getWebhookDeliveries = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { webhookId } = req.validated.params;
+    const { page = 1, limit = 10, status, event } = req.validated.query || {};
+
+    const filter = { webhook: webhookId };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const paginationOptions = getPaginationOptions(page, limit);
+    const result = await WebhookDelivery.paginate(filter, {
+      page: paginationOptions.page,
+      limit: paginationOptions.limit,
+      sort: { createdAt: -1 },
+      select: DELIVERY_LIST_SELECT_FIELDS,
+      populate: [{ path: "redeliveredBy", select: "firstName lastName email" }],
+      lean: true,
+    });
+
+    logger.info("Webhook deliveries retrieved successfully", {
+      userId,
+      webhookId,
+      totalDocs: result.totalDocs,
+      page: result.page,
+    });
+
+    return res.status(HTTP_STATUS.OK).json(
+      formatSuccessResponse(
+        {
+          deliveries: result.docs,
+          pagination: formatPagination(result),
+        },
+        "Webhook deliveries retrieved successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Get webhook deliveries failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      webhookId: req.params.webhookId,
+    });
+    next(error);
+  }
+});
+
+/**
+ * Redeliver a delivered or failed event
+ * The same event ID is sent again; attempts restart from zero so the full
+ * backoff schedule applies
+ *
+ * @route POST /api/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * @access Private (SuperAdmin, Admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const redeliverWebhookDelivery = asyncHandler(async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const { webhookId, deliveryId } = req.validated.params;
+
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        _id: deliveryId,
+        webhook: webhookId,
+        status: {
+          $in: [
+            WEBHOOK_DELIVERY_STATUS.DELIVERED,
+            WEBHOOK_DELIVERY_STATUS.FAILED,
+          ],
+        },
+      },
+      {
+        $set: {
+          status: WEBHOOK_DELIVERY_STATUS.PENDING,
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          lockedUntil: null,
+          deliveredAt: null,
+          failedAt: null,
+          expiresAt: null,
+          redeliveredBy: userId,
+        },
+      },
+      { new: true, lean: true }
+    );
+    if (!delivery) {
+      throw new CustomError(
+        "Webhook delivery not found",
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.NOT_FOUND_ERROR
+      );
+    }
+
+    logger.info("Webhook delivery queued for redelivery", {
+      userId,
+      webhookId,
+      deliveryId,
+      eventId: delivery.eventId,
+      operationType: "REDELIVER",
+      resourceType: "WEBHOOK_DELIVERY",
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        formatSuccessResponse(
+          { delivery },
+          "Webhook delivery queued for redelivery"
+        )
+      );
+  } catch (error) {
+    logger.error("Redeliver webhook delivery failed", {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.userId,
+      webhookId: req.params.webhookId,
+      deliveryId: req.params.deliveryId,
+    });
+    next(error);
+  }
+});
+
+export default {
+  getWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  pingWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery,
+};
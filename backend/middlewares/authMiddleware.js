@@ -2,11 +2,17 @@ import { verifyToken } from "../utils/generateTokens.js";
 import CustomError from "../errorHandler/CustomError.js";
 import { HTTP_STATUS, ERROR_CODES } from "../utils/constants.js";
 import logger from "../utils/logger.js";
+import { isSessionActive } from "../services/sessionService.js";
 import mongoose from "mongoose";
 
 /**
  * Authentication Middleware
  * Verifies JWT token from httpOnly cookies and attaches user to req.user
+ * Machine clients can instead send an API key or personal access token as
+ * "Authorization: Bearer <token>"; req.user is then the token's acting user and
+ * req.user.apiToken holds the token scopes (enforced by authorize())
+ * Access tokens belong to a sign-in session (req.user.sessionId); they stop
+ * working as soon as the session is revoked or expires
  * Returns 401 for authentication failures
  *
  * Enhanced with comprehensive checks:
@@ -36,7 +42,7 @@ const AUTH_USER_FIELDS = [
  * @param {string} userId - User ID from JWT token
  * @returns {Promise<Object|null>} User object with populated relations or null
  */
-const fetchUserWithRelations = async (userId) => {
+export const fetchUserWithRelations = async (userId) => {
   const User = mongoose.model("User");
 
   const user = await User.findById(userId)
@@ -63,6 +69,64 @@ const fetchUserWithRelations = async (userId) => {
   return user;
 };
 
+/**
+ * Helper: Extract an API token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} Bearer token with an API token prefix, or null
+ */
+const getBearerApiToken = (req) => {
+  const header = req.get("authorization");
+  if (!header?.startsWith("Bearer ")) {
+    return null;
+  }
+
+  const token = header.slice("Bearer ".length).trim();
+  return mongoose.model("ApiToken").isApiToken(token) ? token : null;
+};
+
+/**
+ * Helper: Find an API token that can authenticate
+ * @param {string} token - Plain API token
+ * @param {string} ip - Request IP address for logging
+ * @returns {Promise<Object>} Lean token document
+ * @throws {CustomError} If the token is unknown, revoked or expired
+ */
+const authenticateApiToken = async (token, ip) => {
+  const ApiToken = mongoose.model("ApiToken");
+
+  const apiToken = await ApiToken.findByToken(token);
+  if (!apiToken) {
+    throw new CustomError(
+      "Invalid API token",
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_CODES.UNAUTHENTICATED_ERROR
+    );
+  }
+
+  if (apiToken.revokedAt) {
+    logger.warn("Revoked API token used", {
+      tokenId: apiToken._id,
+      userId: apiToken.user,
+      ip,
+    });
+    throw new CustomError(
+      "API token has been revoked",
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_CODES.UNAUTHENTICATED_ERROR
+    );
+  }
+
+  if (apiToken.expiresAt && new Date(apiToken.expiresAt) <= new Date()) {
+    throw new CustomError(
+      "API token has expired",
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_CODES.UNAUTHENTICATED_ERROR
+    );
+  }
+
+  return apiToken;
+};
+
 /**
  * Helper: Validate user and related entities are not deleted
  * @param {Object} user - User object with populated relations
@@ -192,7 +256,7 @@ const validateSubscription = (user, userId, ip) => {
  * @param {Object} user - User object with populated relations
  * @returns {boolean} True if valid, false otherwise
  */
-const isUserValid = (user) => {
+export const isUserValid = (user) => {
   if (
     !user ||
     user.isDeleted ||
@@ -224,7 +288,7 @@ const isUserValid = (user) => {
  * @param {Object} user - User object with populated organization and department
  * @returns {Object} Comprehensive user object for req.user
  */
-const buildReqUser = (user) => {
+export const buildReqUser = (user) => {
   return {
     // User Core Fields
     userId: user._id,
@@ -271,10 +335,11 @@ const buildReqUser = (user) => {
  */
 const authMiddleware = async (req, res, next) => {
   try {
-    // Extract access token from httpOnly cookie
+    // Extract API token from Authorization header, or access token from httpOnly cookie
+    const bearerApiToken = getBearerApiToken(req);
     const accessToken = req.cookies?.accessToken;
 
-    if (!accessToken) {
+    if (!bearerApiToken && !accessToken) {
       throw new CustomError(
         "Authentication required - No token provided",
         HTTP_STATUS.UNAUTHORIZED,
@@ -282,25 +347,81 @@ const authMiddleware = async (req, res, next) => {
       );
     }
 
-    // Verify access token
-    const decoded = verifyToken(accessToken, "access");
+    // API tokens take precedence: a client sending one asks for its narrower scopes
+    let userId;
+    let sessionId = null;
+    let apiToken = null;
+    if (bearerApiToken) {
+      apiToken = await authenticateApiToken(bearerApiToken, req.ip);
+      userId = apiToken.user;
+    } else {
+      // Verify access token
+      const decoded = verifyToken(accessToken, "access");
+      userId = decoded.userId;
+      sessionId = decoded.sessionId;
+
+      // Session must still be active (not revoked, e.g. signed out remotely)
+      if (!(await isSessionActive(sessionId, userId))) {
+        throw new CustomError(
+          "Session has ended. Please log in again.",
+          HTTP_STATUS.UNAUTHORIZED,
+          ERROR_CODES.UNAUTHENTICATED_ERROR
+        );
+      }
+    }
 
     // Fetch user with populated organization and department (include deleted to check status)
-    const user = await fetchUserWithRelations(decoded.userId);
+    const user = await fetchUserWithRelations(userId);
 
     // Validate user and related entities are not deleted
-    validateUserNotDeleted(user, decoded.userId, req.ip);
+    validateUserNotDeleted(user, userId, req.ip);
 
     // Validate organization subscription is active
-    validateSubscription(user, decoded.userId, req.ip);
+    validateSubscription(user, userId, req.ip);
+
+    // API token must belong to the acting user's organization
+    if (
+      apiToken &&
+      apiToken.organization.toString() !== user.organization._id.toString()
+    ) {
+      throw new CustomError(
+        "Invalid API token",
+        HTTP_STATUS.UNAUTHORIZED,
+        ERROR_CODES.UNAUTHENTICATED_ERROR
+      );
+    }
 
     // Attach user information to request object
     req.user = buildReqUser(user);
 
+    if (sessionId) {
+      req.user.sessionId = sessionId;
+    }
+
+    if (apiToken) {
+      req.user.apiToken = {
+        _id: apiToken._id,
+        type: apiToken.type,
+        scopes: apiToken.scopes,
+      };
+
+      // Last-used tracking must not delay or fail the request
+      mongoose
+        .model("ApiToken")
+        .recordUse(apiToken._id, req.ip)
+        .catch((error) =>
+          logger.warn("Failed to record API token use", {
+            error: error.message,
+            tokenId: apiToken._id,
+          })
+        );
+    }
+
     logger.debug("User authenticated successfully", {
       userId: req.user.userId,
       email: req.user.email,
       role: req.user.role,
+      apiTokenId: apiToken?._id,
       path: req.path,
       method: req.method,
     });
@@ -338,6 +459,37 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Require a browser session (reject API token authentication)
+ * For session operations with no resource scope to check (e.g. logout)
+ * Must run after authMiddleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+export const requireSessionAuth = (req, res, next) => {
+  if (!req.user?.apiToken) {
+    return next();
+  }
+
+  logger.warn("API token used for a session-only route", {
+    userId: req.user.userId,
+    apiTokenId: req.user.apiToken._id,
+    path: req.path,
+    method: req.method,
+  });
+
+  return res.status(HTTP_STATUS.FORBIDDEN).json({
+    success: false,
+    error: {
+      code: ERROR_CODES.FORBIDDEN_ERROR,
+      message: "API tokens cannot be used for this operation",
+      timestamp: new Date().toISOString(),
+    },
+  });
+};
+
 /**
  * Optional authentication middleware
  * Attaches user to req.user if token is present, but doesn't fail if missing
@@ -367,9 +519,12 @@ export const optionalAuth = async (req, _res, next) => {
     const user = await fetchUserWithRelations(decoded.userId);
 
     // If any check fails, continue without authentication (optional auth)
-    if (!isUserValid(user)) {
+    if (
+      !isUserValid(user) ||
+      !(await isSessionActive(decoded.sessionId, decoded.userId))
+    ) {
       logger.debug(
-        "Optional authentication failed due to deleted entities or subscription",
+        "Optional authentication failed due to deleted entities, subscription or ended session",
         {
           userId: decoded.userId,
         }
@@ -379,6 +534,7 @@ export const optionalAuth = async (req, _res, next) => {
 
     // Attach user information to request object
     req.user = buildReqUser(user);
+    req.user.sessionId = decoded.sessionId;
 
     logger.debug("User optionally authenticated", {
       userId: req.user.userId,
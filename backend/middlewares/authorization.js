@@ -4,6 +4,7 @@ import {
   checkScopeAccess,
   checkPlatformSuperAdminAccess,
   canDeleteOrganization,
+  hasTokenScope,
 } from "../utils/authorizationMatrix.js";
 import CustomError from "../errorHandler/CustomError.js";
 import { HTTP_STATUS, ERROR_CODES, USER_ROLES } from "../utils/constants.js";
@@ -14,6 +15,7 @@ import logger from "../utils/logger.js";
  * Checks user role against authorization matrix
  * Validates organization/department scope
  * Verifies ownership for "own" permissions
+ * Limits API token requests to the token scopes
  * Returns 403 for authorization failures (not 401)
  *
  * Requirements: 6.1, 6.2, 6.3, 6.6, 6.7, 6.8, 6.9, 6.10, 39.2
@@ -47,7 +49,7 @@ const sendErrorResponse = (res, error) => {
  * @returns {Function} Express middleware function
  */
 export const authorize = (resource, operation, options = {}) => {
-  return async (req, res, next) => {
+  const authorizeMiddleware = async (req, res, next) => {
     try {
       // Ensure user is authenticated (should be set by authMiddleware)
       if (!req.user) {
@@ -80,6 +82,27 @@ export const authorize = (resource, operation, options = {}) => {
         );
       }
 
+      // API tokens: the operation must also be granted by the token scopes
+      if (
+        req.user.apiToken &&
+        !hasTokenScope(req.user.apiToken.scopes, resource, operation)
+      ) {
+        logger.warn("Authorization failed - API token scope", {
+          userId,
+          apiTokenId: req.user.apiToken._id,
+          resource,
+          operation,
+          path: req.path,
+          method: req.method,
+        });
+
+        throw new CustomError(
+          `API token scope does not include ${resource}:${operation}`,
+          HTTP_STATUS.FORBIDDEN,
+          ERROR_CODES.FORBIDDEN_ERROR
+        );
+      }
+
       // If checkOwnership or checkScope is enabled, get the document
       if (options.checkOwnership || options.checkScope) {
         let document = null;
@@ -220,6 +243,11 @@ export const authorize = (resource, operation, options = {}) => {
       });
     }
   };
+
+  // Required permission, read by the OpenAPI generator
+  authorizeMiddleware.permission = { resource, operation };
+
+  return authorizeMiddleware;
 };
 
 /**
@@ -0,0 +1,200 @@
+import { body, param, query } from "express-validator";
+import {
+  API_TOKEN_TYPES,
+  API_TOKEN_VALIDATION,
+  COMMON_VALIDATION,
+  SEARCH_VALIDATION,
+} from "../../utils/constants.js";
+import { ApiToken } from "../../models/index.js";
+import { getAssignableScopes } from "../../utils/authorizationMatrix.js";
+
+/**
+ * API Token Validators
+ * Validates personal access token and organization API key requests
+ * Uses express-validator for validation
+ * Personal access tokens must belong to the user; API keys to the user's organization
+ * Scopes must be permitted by the user's role (tokens never outrank their creator)
+ */
+
+/**
+ * Filter of the tokens of a type visible to the user
+ * @param {string} type - API_TOKEN_TYPES value
+ * @param {Object} user - req.user
+ * @returns {Object} MongoDB filter
+ */
+const getOwnerFilter = (type, user) =>
+  type === API_TOKEN_TYPES.PERSONAL_ACCESS_TOKEN
+    ? { type, user: user.userId }
+    : { type, organization: user.organization._id };
+
+/**
+ * List API Tokens Validator
+ * Validates query parameters for listing tokens (personal or API keys)
+ */
+export const listApiTokensValidator = [
+  query("page")
+    .optional()
+    .isInt({ min: SEARCH_VALIDATION.PAGE.MIN, max: SEARCH_VALIDATION.PAGE.MAX })
+    .withMessage(
+      `Page must be between ${SEARCH_VALIDATION.PAGE.MIN} and ${SEARCH_VALIDATION.PAGE.MAX}`
+    )
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({
+      min: SEARCH_VALIDATION.LIMIT.MIN,
+      max: SEARCH_VALIDATION.LIMIT.MAX,
+    })
+    .withMessage(
+      `Limit must be between ${SEARCH_VALIDATION.LIMIT.MIN} and ${SEARCH_VALIDATION.LIMIT.MAX}`
+    )
+    .toInt(),
+
+  query("includeRevoked")
+    .optional()
+    .isBoolean()
+    .withMessage("includeRevoked must be a boolean")
+    .toBoolean(),
+];
+
+/**
+ * Create token validator chains
+ * @param {string} type - API_TOKEN_TYPES value
+ * @returns {Array<ValidationChain>} Validated name, scopes, expiresAt and token limit
+ */
+const createApiTokenChains = (type) => [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Token name is required")
+    .isLength({
+      min: API_TOKEN_VALIDATION.NAME.MIN_LENGTH,
+      max: API_TOKEN_VALIDATION.NAME.MAX_LENGTH,
+    })
+    .withMessage(
+      `Token name must be between ${API_TOKEN_VALIDATION.NAME.MIN_LENGTH} and ${API_TOKEN_VALIDATION.NAME.MAX_LENGTH} characters`
+    ),
+
+  body("scopes")
+    .isArray({ min: API_TOKEN_VALIDATION.SCOPES.MIN_COUNT })
+    .withMessage("Token must have at least one scope")
+    .custom((value, { req }) => {
+      const assignable = getAssignableScopes(req.user.role);
+      for (const scope of value) {
+        if (typeof scope !== "string" || !assignable.includes(scope)) {
+          throw new Error(`Scope ${scope} is not allowed for your role`);
+        }
+      }
+      return true;
+    })
+    .customSanitizer((value) => [...new Set(value)]),
+
+  body("expiresAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Expiry must be a valid date")
+    .toDate()
+    .custom((value) => {
+      const now = Date.now();
+      const maxDate =
+        now + API_TOKEN_VALIDATION.EXPIRES_AT.MAX_DAYS * 24 * 60 * 60 * 1000;
+      if (value.getTime() <= now) {
+        throw new Error("Expiry must be in the future");
+      }
+      if (value.getTime() > maxDate) {
+        throw new Error(
+          `Expiry must be within ${API_TOKEN_VALIDATION.EXPIRES_AT.MAX_DAYS} days`
+        );
+      }
+      return true;
+    }),
+
+  body().custom(async (_value, { req }) => {
+    const isPersonal = type === API_TOKEN_TYPES.PERSONAL_ACCESS_TOKEN;
+    const max = isPersonal
+      ? API_TOKEN_VALIDATION.MAX_PERSONAL_PER_USER
+      : API_TOKEN_VALIDATION.MAX_API_KEYS_PER_ORGANIZATION;
+
+    const count = await ApiToken.countDocuments({
+      ...getOwnerFilter(type, req.user),
+      ...ApiToken.getActiveFilter(),
+    });
+    if (count >= max) {
+      throw new Error(
+        isPersonal
+          ? `You can have at most ${max} active personal access tokens`
+          : `Organizations can have at most ${max} active API keys`
+      );
+    }
+    return true;
+  }),
+];
+
+/**
+ * Revoke token validator chains
+ * @param {string} type - API_TOKEN_TYPES value
+ * @returns {Array<ValidationChain>} Validated tokenId
+ */
+const revokeApiTokenChains = (type) => [
+  param("tokenId")
+    .trim()
+    .notEmpty()
+    .withMessage("Token ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid token ID format")
+    .custom(async (value, { req }) => {
+      // SCOPING: Missing and out-of-scope tokens are reported the same way
+      const token = await ApiToken.findOne({
+        _id: value,
+        ...getOwnerFilter(type, req.user),
+      })
+        .select("revokedAt")
+        .lean();
+      if (!token) {
+        throw new Error("Token not found");
+      }
+      if (token.revokedAt) {
+        throw new Error("Token is already revoked");
+      }
+      return true;
+    }),
+];
+
+/**
+ * Create Personal Access Token Validator
+ */
+export const createPersonalAccessTokenValidator = createApiTokenChains(
+  API_TOKEN_TYPES.PERSONAL_ACCESS_TOKEN
+);
+
+/**
+ * Revoke Personal Access Token Validator
+ * Token must belong to the user
+ */
+export const revokePersonalAccessTokenValidator = revokeApiTokenChains(
+  API_TOKEN_TYPES.PERSONAL_ACCESS_TOKEN
+);
+
+/**
+ * Create API Key Validator
+ */
+export const createApiKeyValidator = createApiTokenChains(
+  API_TOKEN_TYPES.API_KEY
+);
+
+/**
+ * Revoke API Key Validator
+ * Key must belong to the user's organization
+ */
+export const revokeApiKeyValidator = revokeApiTokenChains(
+  API_TOKEN_TYPES.API_KEY
+);
+
+export default {
+  listApiTokensValidator,
+  createPersonalAccessTokenValidator,
+  revokePersonalAccessTokenValidator,
+  createApiKeyValidator,
+  revokeApiKeyValidator,
+};
@@ -4,6 +4,7 @@ import {
   CLOUDINARY_VALIDATION,
   FILE_TYPES,
   PARENT_MODEL_TYPES,
+  THUMBNAIL_SIZES,
   COMMON_VALIDATION,
   SEARCH_VALIDATION,
 } from "../../utils/constants.js";
@@ -12,6 +13,7 @@ import {
   Task,
   TaskActivity,
   TaskComment,
+  Vendor,
   User,
   Department,
 } from "../../models/index.js";
@@ -121,6 +123,55 @@ export const listAttachmentsValidator = [
     .withMessage("Invalid uploadedBy ID format"),
 ];
 
+/**
+ * Upload Attachments Validator
+ * Validates the parent the uploaded files are attached to (query parameters,
+ * since the multipart body is streamed by the controller)
+ */
+export const uploadAttachmentsValidator = [
+  query("parentModel")
+    .trim()
+    .notEmpty()
+    .withMessage("Parent model is required")
+    .isIn(Object.values(PARENT_MODEL_TYPES))
+    .withMessage("Invalid parent model"),
+
+  query("parent")
+    .trim()
+    .notEmpty()
+    .withMessage("Parent reference is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid parent ID format")
+    .custom(async (value, { req }) => {
+      const { parentModel } = req.query;
+
+      let parent;
+      if (parentModel === PARENT_MODEL_TYPES.TASK) {
+        parent = await Task.findById(value).withDeleted().lean();
+      } else if (parentModel === PARENT_MODEL_TYPES.TASK_ACTIVITY) {
+        parent = await TaskActivity.findById(value).withDeleted().lean();
+      } else if (parentModel === PARENT_MODEL_TYPES.TASK_COMMENT) {
+        parent = await TaskComment.findById(value).withDeleted().lean();
+      } else if (parentModel === PARENT_MODEL_TYPES.VENDOR) {
+        parent = await Vendor.findById(value).withDeleted().lean();
+      }
+
+      if (!parent) {
+        throw new Error("Parent not found");
+      }
+      if (parent.isDeleted) {
+        throw new Error("Cannot attach file to deleted parent");
+      }
+      // SCOPING: Parent must belong to req.user's organization
+      if (
+        parent.organization.toString() !== req.user.organization._id.toString()
+      ) {
+        throw new Error("Parent must belong to your organization");
+      }
+      return true;
+    }),
+];
+
 /**
  * Create Attachment Validator
  */
@@ -193,6 +244,8 @@ export const createAttachmentValidator = [
         parent = await TaskActivity.findById(value).withDeleted().lean();
       } else if (parentModel === PARENT_MODEL_TYPES.TASK_COMMENT) {
         parent = await TaskComment.findById(value).withDeleted().lean();
+      } else if (parentModel === PARENT_MODEL_TYPES.VENDOR) {
+        parent = await Vendor.findById(value).withDeleted().lean();
       }
 
       if (!parent) {
@@ -396,6 +449,8 @@ export const restoreAttachmentValidator = [
         parent = await TaskComment.findById(attachment.parent)
           .withDeleted()
           .lean();
+      } else if (attachment.parentModel === PARENT_MODEL_TYPES.VENDOR) {
+        parent = await Vendor.findById(attachment.parent).withDeleted().lean();
       }
       if (parent && parent.isDeleted) {
         throw new Error("Cannot restore attachment with deleted parent");
@@ -431,11 +486,29 @@ export const getAttachmentByIdValidator = [
     }),
 ];
 
+/**
+ * Get Attachment Thumbnail Validator
+ */
+export const getAttachmentThumbnailValidator = [
+  ...getAttachmentByIdValidator,
+
+  param("size")
+    .trim()
+    .isIn(Object.values(THUMBNAIL_SIZES))
+    .withMessage(
+      `Thumbnail size must be one of: ${Object.values(THUMBNAIL_SIZES).join(
+        ", "
+      )}`
+    ),
+];
+
 export default {
   listAttachmentsValidator,
+  uploadAttachmentsValidator,
   createAttachmentValidator,
   updateAttachmentValidator,
   deleteAttachmentValidator,
   restoreAttachmentValidator,
   getAttachmentByIdValidator,
+  getAttachmentThumbnailValidator,
 };
@@ -0,0 +1,101 @@
+import { query } from "express-validator";
+import {
+  AUDIT_OPERATIONS,
+  AUDIT_RESOURCES,
+  AUDIT_LOG_VALIDATION,
+  COMMON_VALIDATION,
+  SEARCH_VALIDATION,
+} from "../../utils/constants.js";
+import { validateExportQuery } from "./commonValidators.js";
+
+/**
+ * Audit Log Validators
+ * Validates admin audit trail requests (list and export)
+ * Uses express-validator for validation
+ */
+
+/**
+ * Validate an optional ObjectId query filter
+ * @param {string} field - Query field
+ * @param {string} label - Field label used in the message
+ * @returns {ValidationChain} Validation chain
+ */
+const optionalObjectIdQuery = (field, label) =>
+  query(field)
+    .optional()
+    .trim()
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage(`Invalid ${label} ID format`);
+
+/**
+ * List Audit Logs Validator
+ * Validates query parameters for listing and exporting audit entries
+ */
+export const listAuditLogsValidator = [
+  query("page")
+    .optional()
+    .isInt({ min: SEARCH_VALIDATION.PAGE.MIN, max: SEARCH_VALIDATION.PAGE.MAX })
+    .withMessage(
+      `Page must be between ${SEARCH_VALIDATION.PAGE.MIN} and ${SEARCH_VALIDATION.PAGE.MAX}`
+    )
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({
+      min: SEARCH_VALIDATION.LIMIT.MIN,
+      max: SEARCH_VALIDATION.LIMIT.MAX,
+    })
+    .withMessage(
+      `Limit must be between ${SEARCH_VALIDATION.LIMIT.MIN} and ${SEARCH_VALIDATION.LIMIT.MAX}`
+    )
+    .toInt(),
+
+  query("resource")
+    .optional()
+    .trim()
+    .isIn(Object.values(AUDIT_RESOURCES))
+    .withMessage("Invalid audit resource filter"),
+
+  optionalObjectIdQuery("resourceId", "resource"),
+
+  query("operation")
+    .optional()
+    .trim()
+    .isIn(Object.values(AUDIT_OPERATIONS))
+    .withMessage("Invalid audit operation filter"),
+
+  query("action")
+    .optional()
+    .trim()
+    .isLength({ max: AUDIT_LOG_VALIDATION.ACTION.MAX_LENGTH })
+    .withMessage(
+      `Action filter must not exceed ${AUDIT_LOG_VALIDATION.ACTION.MAX_LENGTH} characters`
+    ),
+
+  optionalObjectIdQuery("actor", "actor"),
+
+  query("requestId")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Request ID must be between 1 and 200 characters"),
+
+  query("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid start date format"),
+
+  query("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid end date format"),
+
+  optionalObjectIdQuery("organization", "organization"),
+
+  ...validateExportQuery(),
+];
+
+export default {
+  listAuditLogsValidator,
+};
@@ -0,0 +1,33 @@
+import { param, query } from "express-validator";
+import { CALENDAR_FEED } from "../../utils/constants.js";
+
+/**
+ * Calendar Validators
+ * Validates calendar feed requests
+ * Uses express-validator for validation
+ */
+
+/**
+ * Get Calendar Feed Validator
+ * Validates the feed token of the URL and the feed options
+ */
+export const getCalendarFeedValidator = [
+  param("token")
+    .isHexadecimal()
+    .withMessage("Invalid calendar feed token")
+    .isLength({
+      min: CALENDAR_FEED.TOKEN_BYTES * 2,
+      max: CALENDAR_FEED.TOKEN_BYTES * 2,
+    })
+    .withMessage("Invalid calendar feed token"),
+
+  query("todos")
+    .optional()
+    .isBoolean()
+    .withMessage("todos must be a boolean")
+    .toBoolean(),
+];
+
+export default {
+  getCalendarFeedValidator,
+};
@@ -1,5 +1,9 @@
-import { param, body } from "express-validator";
-import { COMMON_VALIDATION } from "../../utils/constants.js";
+import { param, body, query } from "express-validator";
+import {
+  COMMON_VALIDATION,
+  EXPORT_FORMATS,
+  EXPORT_VALIDATION,
+} from "../../utils/constants.js";
 
 /**
  * Common Validators
@@ -286,6 +290,38 @@ export const validateStringField = (fieldName, validation, required = true) => {
   return chain;
 };
 
+/**
+ * Validates list export query parameters (format, columns)
+ * columns is a comma-separated list of column keys, sanitized to an array
+ * (the keys themselves are checked by the export service)
+ * @returns {Array<ValidationChain>}
+ */
+export const validateExportQuery = () => [
+  query("format")
+    .optional()
+    .trim()
+    .isIn(Object.values(EXPORT_FORMATS))
+    .withMessage(
+      `Format must be one of: ${Object.values(EXPORT_FORMATS).join(", ")}`
+    ),
+
+  query("columns")
+    .optional()
+    .isString()
+    .withMessage("Columns must be a comma-separated list")
+    .bail()
+    .customSanitizer((value) =>
+      value
+        .split(",")
+        .map((column) => column.trim())
+        .filter(Boolean)
+    )
+    .isArray({ max: EXPORT_VALIDATION.COLUMNS.MAX_COUNT })
+    .withMessage(
+      `A maximum of ${EXPORT_VALIDATION.COLUMNS.MAX_COUNT} columns can be selected`
+    ),
+];
+
 export default {
   validateObjectIdParam,
   validateResourceExists,
@@ -295,4 +331,5 @@ export default {
   validateParentNotDeleted,
   validateSameOrganization,
   validateStringField,
+  validateExportQuery,
 };
@@ -0,0 +1,153 @@
+import { body, param, query } from "express-validator";
+import {
+  EMAIL_OUTBOX_STATUS,
+  EMAIL_TEMPLATES,
+  COMMON_VALIDATION,
+  SEARCH_VALIDATION,
+} from "../../utils/constants.js";
+import { EmailOutbox } from "../../models/index.js";
+import { isPlatformSuperAdmin } from "../../utils/helpers.js";
+
+/**
+ * Email Outbox Validators
+ * Validates admin outbox requests (list, resend failed messages)
+ * Uses express-validator for validation
+ * Messages must belong to the user's organization (Platform SuperAdmin: any organization)
+ */
+
+/**
+ * Check that outbox messages exist, are in the user's scope, and have FAILED
+ * @param {Array<string>} messageIds - Outbox message IDs
+ * @param {Object} user - req.user
+ * @returns {Promise<boolean>} True if valid
+ * @throws {Error} If a message is missing, out of scope, or not failed
+ */
+const validateResendableMessages = async (messageIds, user) => {
+  const messages = await EmailOutbox.find({ _id: { $in: messageIds } })
+    .select("organization status")
+    .lean();
+
+  // SCOPING: Missing and other-organization messages are reported the same way
+  const inScope = messages.filter(
+    (message) =>
+      isPlatformSuperAdmin(user) ||
+      message.organization?.toString() === user.organization._id.toString()
+  );
+  if (inScope.length !== messageIds.length) {
+    throw new Error(
+      messageIds.length === 1
+        ? "Email message not found"
+        : "One or more email messages not found"
+    );
+  }
+
+  if (
+    inScope.some((message) => message.status !== EMAIL_OUTBOX_STATUS.FAILED)
+  ) {
+    throw new Error("Only failed email messages can be resent");
+  }
+  return true;
+};
+
+/**
+ * List Email Outbox Validator
+ * Validates query parameters for listing outbox messages
+ */
+export const listEmailOutboxValidator = [
+  query("page")
+    .optional()
+    .isInt({ min: SEARCH_VALIDATION.PAGE.MIN, max: SEARCH_VALIDATION.PAGE.MAX })
+    .withMessage(
+      `Page must be between ${SEARCH_VALIDATION.PAGE.MIN} and ${SEARCH_VALIDATION.PAGE.MAX}`
+    )
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({
+      min: SEARCH_VALIDATION.LIMIT.MIN,
+      max: SEARCH_VALIDATION.LIMIT.MAX,
+    })
+    .withMessage(
+      `Limit must be between ${SEARCH_VALIDATION.LIMIT.MIN} and ${SEARCH_VALIDATION.LIMIT.MAX}`
+    )
+    .toInt(),
+
+  query("search")
+    .optional()
+    .trim()
+    .isLength({
+      min: SEARCH_VALIDATION.QUERY.MIN_LENGTH,
+      max: SEARCH_VALIDATION.QUERY.MAX_LENGTH,
+    })
+    .withMessage(
+      `Search query must be between ${SEARCH_VALIDATION.QUERY.MIN_LENGTH} and ${SEARCH_VALIDATION.QUERY.MAX_LENGTH} characters`
+    ),
+
+  query("status")
+    .optional()
+    .trim()
+    .isIn(Object.values(EMAIL_OUTBOX_STATUS))
+    .withMessage("Invalid email status filter"),
+
+  query("template")
+    .optional()
+    .trim()
+    .isIn(Object.values(EMAIL_TEMPLATES))
+    .withMessage("Invalid email template filter"),
+
+  query("organization")
+    .optional()
+    .trim()
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid organization ID format"),
+];
+
+/**
+ * Resend Email Validator
+ * Message must exist in scope and have FAILED
+ */
+export const resendEmailValidator = [
+  param("messageId")
+    .trim()
+    .notEmpty()
+    .withMessage("Email message ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid email message ID format")
+    .custom((value, { req }) => validateResendableMessages([value], req.user)),
+];
+
+/**
+ * Batch Resend Emails Validator
+ * All messages must exist in scope and have FAILED
+ */
+export const batchResendEmailsValidator = [
+  body("messageIds")
+    .notEmpty()
+    .withMessage("Email message IDs are required")
+    .isArray({ max: SEARCH_VALIDATION.LIMIT.MAX })
+    .withMessage(
+      `Email message IDs must be an array of at most ${SEARCH_VALIDATION.LIMIT.MAX} items`
+    )
+    .custom((value) => {
+      if (value.length === 0) {
+        throw new Error("At least one email message ID is required");
+      }
+      // Validate each ID format
+      for (const id of value) {
+        if (!COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN.test(id)) {
+          throw new Error("Invalid email message ID format");
+        }
+      }
+      return true;
+    })
+    .custom((value, { req }) =>
+      validateResendableMessages([...new Set(value)], req.user)
+    ),
+];
+
+export default {
+  listEmailOutboxValidator,
+  resendEmailValidator,
+  batchResendEmailsValidator,
+};
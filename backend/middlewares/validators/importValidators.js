@@ -0,0 +1,49 @@
+import { query } from "express-validator";
+import { IMPORT_VALIDATION } from "../../utils/constants.js";
+
+/**
+ * Import Validators
+ * Validates bulk import options (the file itself is validated while it is
+ * received, and its rows with the resource's create validator)
+ * Uses express-validator for validation
+ */
+
+/**
+ * Import Records Validator
+ * Validates query parameters of a materials, vendors or users import
+ */
+export const importRecordsValidator = [
+  query("dryRun")
+    .optional()
+    .isBoolean()
+    .withMessage("dryRun must be a boolean")
+    .toBoolean(),
+
+  query("mapping")
+    .optional()
+    .isJSON({ allow_primitives: false })
+    .withMessage("Mapping must be a JSON object of column header to field")
+    .bail()
+    .customSanitizer((value) => JSON.parse(value))
+    .custom((value) => {
+      if (Array.isArray(value)) {
+        throw new Error(
+          "Mapping must be a JSON object of column header to field"
+        );
+      }
+      const entries = Object.entries(value);
+      if (entries.length > IMPORT_VALIDATION.MAPPING.MAX_COLUMNS) {
+        throw new Error(
+          `Mapping must not exceed ${IMPORT_VALIDATION.MAPPING.MAX_COLUMNS} columns`
+        );
+      }
+      if (entries.some(([, field]) => typeof field !== "string")) {
+        throw new Error("Mapped fields must be strings");
+      }
+      return true;
+    }),
+];
+
+export default {
+  importRecordsValidator,
+};
@@ -2,6 +2,9 @@ import { body, param, query } from "express-validator";
 import {
   MATERIAL_VALIDATION,
   MATERIAL_CATEGORY,
+  MATERIAL_PRICE_VALIDATION,
+  STOCK_VALIDATION,
+  COST_VALIDATION,
   COMMON_VALIDATION,
   SEARCH_VALIDATION,
 } from "../../utils/constants.js";
@@ -10,7 +13,9 @@ import {
   User,
   Department,
   Organization,
+  Vendor,
 } from "../../models/index.js";
+import { validateExportQuery } from "./commonValidators.js";
 
 /**
  * Material Validators
@@ -22,6 +27,113 @@ import {
  * Requirements: 41.1, 41.2, 41.3, 41.9, 41.10
  */
 
+/**
+ * Optional reorder setting (reorderPoint, reorderQuantity)
+ * Accepts a number between 0 and STOCK_VALIDATION.QUANTITY.MAX, or null to clear it
+ * @param {string} field - Body field
+ * @param {string} label - Field label for messages
+ * @returns {import('express-validator').ValidationChain} Validation chain
+ */
+const reorderValueValidator = (field, label) =>
+  body(field)
+    .optional()
+    .custom((value) => {
+      if (value === null) return true;
+      const number = Number(value);
+      if (
+        value === "" ||
+        !Number.isFinite(number) ||
+        number < 0 ||
+        number > STOCK_VALIDATION.QUANTITY.MAX
+      ) {
+        throw new Error(
+          `${label} must be between 0 and ${STOCK_VALIDATION.QUANTITY.MAX}`
+        );
+      }
+      return true;
+    })
+    .customSanitizer((value) => (value === null ? null : Number(value)));
+
+/**
+ * Check that a vendor can price the material of the request
+ * @param {string} vendorId - Vendor ID
+ * @param {Object} meta - express-validator meta ({ req })
+ * @returns {Promise<boolean>} True when valid
+ * @throws {Error} If the vendor is missing, deleted, or in another organization
+ */
+const validatePriceVendor = async (vendorId, { req }) => {
+  const material = await Material.findById(req.params.materialId)
+    .withDeleted()
+    .lean();
+  const vendor = await Vendor.findById(vendorId).withDeleted().lean();
+  // SCOPING: Other-organization vendors are reported as missing
+  if (
+    !vendor ||
+    !material ||
+    vendor.organization.toString() !== material.organization.toString()
+  ) {
+    throw new Error("Vendor not found");
+  }
+  if (vendor.isDeleted) {
+    throw new Error("Cannot use deleted vendor");
+  }
+  return true;
+};
+
+/**
+ * Material ID of a request that changes the material
+ * @returns {import('express-validator').ValidationChain} Validation chain
+ */
+const activeMaterialIdValidator = () =>
+  param("materialId")
+    .trim()
+    .notEmpty()
+    .withMessage("Material ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid material ID format")
+    .custom(async (value) => {
+      const material = await Material.findById(value).withDeleted().lean();
+      if (!material) {
+        throw new Error("Material not found");
+      }
+      if (material.isDeleted) {
+        throw new Error("Cannot update deleted material");
+      }
+      return true;
+    });
+
+/**
+ * Unit price of a price entry or quote
+ * @param {string} field - Body field
+ * @param {string} label - Field label for messages
+ * @returns {import('express-validator').ValidationChain} Validation chain
+ */
+const unitPriceValidator = (field, label) =>
+  body(field)
+    .notEmpty()
+    .withMessage(`${label} is required`)
+    .isFloat({
+      min: COST_VALIDATION.AMOUNT.MIN,
+      max: COST_VALIDATION.AMOUNT.MAX,
+    })
+    .withMessage(
+      `${label} must be between ${COST_VALIDATION.AMOUNT.MIN} and ${COST_VALIDATION.AMOUNT.MAX}`
+    )
+    .toFloat();
+
+/**
+ * Note of a price entry or quote
+ * @returns {import('express-validator').ValidationChain} Validation chain
+ */
+const priceNoteValidator = () =>
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: MATERIAL_PRICE_VALIDATION.NOTE.MAX_LENGTH })
+    .withMessage(
+      `Note must not exceed ${MATERIAL_PRICE_VALIDATION.NOTE.MAX_LENGTH} characters`
+    );
+
 /**
  * List Materials Validator
  * Validates query parameters for listing materials
@@ -97,6 +209,14 @@ export const listMaterialsValidator = [
     .trim()
     .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
     .withMessage("Invalid department ID format"),
+
+  query("belowReorder")
+    .optional()
+    .isBoolean()
+    .withMessage("Below reorder must be a boolean")
+    .toBoolean(),
+
+  ...validateExportQuery(),
 ];
 
 /**
@@ -136,8 +256,17 @@ export const createMaterialValidator = [
 
   body("price")
     .optional()
-    .isFloat({ min: 0 })
-    .withMessage("Price must be a positive number"),
+    .isFloat({
+      min: COST_VALIDATION.AMOUNT.MIN,
+      max: COST_VALIDATION.AMOUNT.MAX,
+    })
+    .withMessage(
+      `Price must be between ${COST_VALIDATION.AMOUNT.MIN} and ${COST_VALIDATION.AMOUNT.MAX}`
+    ),
+
+  reorderValueValidator("reorderPoint", "Reorder point"),
+
+  reorderValueValidator("reorderQuantity", "Reorder quantity"),
 
   body("organization")
     .trim()
@@ -291,8 +420,17 @@ export const updateMaterialValidator = [
 
   body("price")
     .optional()
-    .isFloat({ min: 0 })
-    .withMessage("Price must be a positive number"),
+    .isFloat({
+      min: COST_VALIDATION.AMOUNT.MIN,
+      max: COST_VALIDATION.AMOUNT.MAX,
+    })
+    .withMessage(
+      `Price must be between ${COST_VALIDATION.AMOUNT.MIN} and ${COST_VALIDATION.AMOUNT.MAX}`
+    ),
+
+  reorderValueValidator("reorderPoint", "Reorder point"),
+
+  reorderValueValidator("reorderQuantity", "Reorder quantity"),
 
   body("addedBy")
     .optional()
@@ -396,6 +534,117 @@ export const getMaterialByIdValidator = [
     }),
 ];
 
+/**
+ * Get Material Price Trend Validator
+ */
+export const getMaterialPriceTrendValidator = [
+  ...getMaterialByIdValidator,
+
+  query("months")
+    .optional()
+    .isInt({
+      min: MATERIAL_PRICE_VALIDATION.TREND_MONTHS.MIN,
+      max: MATERIAL_PRICE_VALIDATION.TREND_MONTHS.MAX,
+    })
+    .withMessage(
+      `Months must be between ${MATERIAL_PRICE_VALIDATION.TREND_MONTHS.MIN} and ${MATERIAL_PRICE_VALIDATION.TREND_MONTHS.MAX}`
+    )
+    .toInt(),
+];
+
+/**
+ * Record Material Price Validator
+ * The price may take effect now or at a past date (backdated correction)
+ */
+export const recordMaterialPriceValidator = [
+  activeMaterialIdValidator(),
+
+  unitPriceValidator("price", "Price"),
+
+  body("effectiveFrom")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid effective date format")
+    .custom((value) => {
+      if (new Date(value) > new Date()) {
+        throw new Error("Effective date cannot be in the future");
+      }
+      return true;
+    }),
+
+  body("vendor")
+    .optional({ values: "null" })
+    .trim()
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid vendor ID format")
+    .custom(validatePriceVendor),
+
+  priceNoteValidator(),
+];
+
+/**
+ * Add Material Quote Validator
+ */
+export const addMaterialQuoteValidator = [
+  activeMaterialIdValidator().custom(async (value) => {
+    const material = await Material.findById(value).withDeleted().lean();
+    if (
+      (material.quotes || []).length >=
+      MATERIAL_PRICE_VALIDATION.QUOTES.MAX_COUNT
+    ) {
+      throw new Error(
+        `Maximum ${MATERIAL_PRICE_VALIDATION.QUOTES.MAX_COUNT} quotes allowed`
+      );
+    }
+    return true;
+  }),
+
+  body("vendor")
+    .trim()
+    .notEmpty()
+    .withMessage("Vendor is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid vendor ID format")
+    .custom(validatePriceVendor),
+
+  unitPriceValidator("unitPrice", "Unit price"),
+
+  body("minimumQuantity")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: STOCK_VALIDATION.QUANTITY.MAX })
+    .withMessage(
+      `Minimum quantity must be between 0 and ${STOCK_VALIDATION.QUANTITY.MAX}`
+    )
+    .toFloat(),
+
+  body("validUntil")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Invalid valid until date format")
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error("Valid until date must be in the future");
+      }
+      return true;
+    }),
+
+  priceNoteValidator(),
+];
+
+/**
+ * Material Quote Validator (delete, accept)
+ */
+export const materialQuoteValidator = [
+  activeMaterialIdValidator(),
+
+  param("quoteId")
+    .trim()
+    .notEmpty()
+    .withMessage("Quote ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid quote ID format"),
+];
+
 export default {
   listMaterialsValidator,
   createMaterialValidator,
@@ -403,4 +652,8 @@ export default {
   deleteMaterialValidator,
   restoreMaterialValidator,
   getMaterialByIdValidator,
+  getMaterialPriceTrendValidator,
+  recordMaterialPriceValidator,
+  addMaterialQuoteValidator,
+  materialQuoteValidator,
 };
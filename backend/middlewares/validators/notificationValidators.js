@@ -6,12 +6,20 @@ import {
   ENTITY_MODEL_TYPES,
   COMMON_VALIDATION,
   SEARCH_VALIDATION,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_PREFERENCE_VALIDATION,
+  DIGEST_FREQUENCY,
 } from "../../utils/constants.js";
-import { Notification, User, Department } from "../../models/index.js";
+import {
+  Notification,
+  User,
+  Department,
+  Task,
+} from "../../models/index.js";
 
 /**
  * Notification Validators
- * Validates notification-related requests (create, update, mark as read)
+ * Validates notification-related requests (create, update, mark as read, preferences)
  * Uses express-validator for validation
  * Strictly validates fields with constants from backend/utils/constants.js
  * Validates existence and uniqueness using withDeleted()
@@ -89,6 +97,18 @@ export const listNotificationsValidator = [
     .withMessage("isRead must be a boolean value")
     .toBoolean(),
 
+  query("isSeen")
+    .optional()
+    .isBoolean()
+    .withMessage("isSeen must be a boolean value")
+    .toBoolean(),
+
+  query("isArchived")
+    .optional()
+    .isBoolean()
+    .withMessage("isArchived must be a boolean value")
+    .toBoolean(),
+
   query("recipient")
     .optional()
     .trim()
@@ -349,6 +369,175 @@ export const batchMarkAsReadValidator = [
     }),
 ];
 
+/**
+ * Batch Mark Notifications As Seen Validator
+ */
+export const batchMarkAsSeenValidator = [
+  body("notificationIds")
+    .notEmpty()
+    .withMessage("Notification IDs are required")
+    .isArray()
+    .withMessage("Notification IDs must be an array")
+    .custom((value) => {
+      if (value.length === 0) {
+        throw new Error("At least one notification ID is required");
+      }
+      // Validate each ID format
+      for (const id of value) {
+        if (!COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN.test(id)) {
+          throw new Error("Invalid notification ID format");
+        }
+      }
+      return true;
+    })
+    .custom(async (value) => {
+      // Check if all notifications exist
+      const notifications = await Notification.find({ _id: { $in: value } })
+        .withDeleted()
+        .lean();
+      if (notifications.length !== value.length) {
+        throw new Error("One or more notifications not found");
+      }
+      const deletedNotifications = notifications.filter((n) => n.isDeleted);
+      if (deletedNotifications.length > 0) {
+        throw new Error("Cannot mark deleted notifications as seen");
+      }
+      return true;
+    }),
+];
+
+/**
+ * Archive Notification Validator
+ */
+export const archiveNotificationValidator = [
+  param("notificationId")
+    .trim()
+    .notEmpty()
+    .withMessage("Notification ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid notification ID format")
+    .custom(async (value) => {
+      const notification = await Notification.findById(value)
+        .withDeleted()
+        .lean();
+      if (!notification) {
+        throw new Error("Notification not found");
+      }
+      if (notification.isDeleted) {
+        throw new Error("Cannot archive deleted notification");
+      }
+      return true;
+    }),
+];
+
+/**
+ * Update Notification Preferences Validator
+ * channels: per notification type, a list of NOTIFICATION_CHANNELS (empty turns the type off)
+ * quietHours: enabled flag and HH:mm start/end in the organization timezone
+ * digest: email digest frequency (DIGEST_FREQUENCY)
+ */
+export const updateNotificationPreferencesValidator = [
+  body("channels")
+    .optional()
+    .isObject()
+    .withMessage("Channels must be an object keyed by notification type")
+    .custom((value) => {
+      const invalidTypes = Object.keys(value).filter(
+        (type) => !Object.values(NOTIFICATION_TYPES).includes(type)
+      );
+      if (invalidTypes.length > 0) {
+        throw new Error(
+          `Invalid notification type(s): ${invalidTypes.join(", ")}`
+        );
+      }
+      return true;
+    }),
+
+  body("channels.*")
+    .isArray()
+    .withMessage("Channels for each notification type must be an array")
+    .custom((value) => {
+      if (
+        value.some(
+          (channel) => !Object.values(NOTIFICATION_CHANNELS).includes(channel)
+        )
+      ) {
+        throw new Error("Invalid notification channel");
+      }
+      if (value.includes(NOTIFICATION_CHANNELS.DIGEST) && value.length > 1) {
+        throw new Error(
+          "Digest delivery cannot be combined with other channels"
+        );
+      }
+      return true;
+    }),
+
+  body("quietHours")
+    .optional()
+    .isObject()
+    .withMessage("Quiet hours must be an object"),
+
+  body("quietHours.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Quiet hours enabled must be a boolean value")
+    .toBoolean(),
+
+  body("quietHours.start")
+    .optional()
+    .trim()
+    .matches(NOTIFICATION_PREFERENCE_VALIDATION.QUIET_HOURS.TIME_PATTERN)
+    .withMessage("Quiet hours start must be in HH:mm format"),
+
+  body("quietHours.end")
+    .optional()
+    .trim()
+    .matches(NOTIFICATION_PREFERENCE_VALIDATION.QUIET_HOURS.TIME_PATTERN)
+    .withMessage("Quiet hours end must be in HH:mm format"),
+
+  body("digest")
+    .optional()
+    .isObject()
+    .withMessage("Digest must be an object"),
+
+  body("digest.frequency")
+    .optional()
+    .trim()
+    .isIn(Object.values(DIGEST_FREQUENCY))
+    .withMessage(
+      `Digest frequency must be one of: ${Object.values(DIGEST_FREQUENCY).join(", ")}`
+    ),
+];
+
+/**
+ * Mute/Unmute Task Notifications Validator
+ * Task must exist, not be deleted, and belong to the user's organization
+ */
+export const muteTaskValidator = [
+  param("taskId")
+    .trim()
+    .notEmpty()
+    .withMessage("Task ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid task ID format")
+    .custom(async (value, { req }) => {
+      const task = await Task.findById(value).withDeleted().lean();
+      if (!task) {
+        throw new Error("Task not found");
+      }
+      // SCOPING: Task must belong to req.user's organization
+      if (
+        task.organization.toString() !== req.user.organization._id.toString()
+      ) {
+        throw new Error("Task must belong to your organization");
+      }
+      if (task.isDeleted && req.method !== "DELETE") {
+        throw new Error("Cannot mute a deleted task");
+      }
+      return true;
+    }),
+];
+
 /**
  * Delete Notification Validator
  */
@@ -432,6 +621,10 @@ export default {
   updateNotificationValidator,
   markAsReadValidator,
   batchMarkAsReadValidator,
+  batchMarkAsSeenValidator,
+  archiveNotificationValidator,
+  updateNotificationPreferencesValidator,
+  muteTaskValidator,
   deleteNotificationValidator,
   restoreNotificationValidator,
   getNotificationByIdValidator,
@@ -3,6 +3,8 @@ import {
   ORGANIZATION_VALIDATION,
   SUBSCRIPTION_VALIDATION,
   SETTINGS_VALIDATION,
+  COST_VALIDATION,
+  VENDOR_COMPLIANCE,
   IMAGE_VALIDATION,
   COMMON_VALIDATION,
   INDUSTRIES,
@@ -323,6 +325,54 @@ export const updateOrganizationValidator = [
         ", "
       )}`
     ),
+
+  body("settings.allowNegativeStock")
+    .optional()
+    .isBoolean()
+    .withMessage("Allow negative stock must be a boolean")
+    .toBoolean(),
+
+  body("settings.budgetAlertThresholds")
+    .optional()
+    .isArray({ max: COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.MAX_COUNT })
+    .withMessage(
+      `Budget alert thresholds must be an array of at most ${COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.MAX_COUNT} percentages`
+    ),
+
+  body("settings.budgetAlertThresholds.*")
+    .isInt({
+      min: COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.MIN,
+      max: COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.MAX,
+    })
+    .withMessage(
+      `Each budget alert threshold must be a whole percentage between ${COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.MIN} and ${COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.MAX}`
+    )
+    .toInt(),
+
+  body("settings.vendorExpiryWarningDays")
+    .optional()
+    .isInt({
+      min: VENDOR_COMPLIANCE.EXPIRY_WARNING_DAYS.MIN,
+      max: VENDOR_COMPLIANCE.EXPIRY_WARNING_DAYS.MAX,
+    })
+    .withMessage(
+      `Vendor expiry warning must be between ${VENDOR_COMPLIANCE.EXPIRY_WARNING_DAYS.MIN} and ${VENDOR_COMPLIANCE.EXPIRY_WARNING_DAYS.MAX} days`
+    )
+    .toInt(),
+
+  body("settings.vendorLapseStatus")
+    .optional()
+    .custom((value) => {
+      // null keeps the vendor status when a mandatory document lapses
+      if (value !== null && !VENDOR_COMPLIANCE.LAPSE_STATUSES.includes(value)) {
+        throw new Error(
+          `Vendor lapse status must be null or one of: ${VENDOR_COMPLIANCE.LAPSE_STATUSES.join(
+            ", "
+          )}`
+        );
+      }
+      return true;
+    }),
 ];
 
 /**
@@ -0,0 +1,448 @@
+import { body, param, query } from "express-validator";
+import {
+  PURCHASE_ORDER_STATUS,
+  PURCHASE_ORDER_VALIDATION,
+  COST_VALIDATION,
+  STOCK_VALIDATION,
+  VENDOR_STATUS,
+  TASK_TYPES,
+  COMMON_VALIDATION,
+  SEARCH_VALIDATION,
+} from "../../utils/constants.js";
+import {
+  PurchaseOrder,
+  Vendor,
+  Material,
+  Department,
+  Task,
+} from "../../models/index.js";
+
+/**
+ * Purchase Order Validators
+ * Validates purchase order requests (list, create, update, workflow transitions, receipts)
+ * Uses express-validator for validation
+ * Vendors, departments, materials and project tasks must exist, not be deleted,
+ * and belong to the user's organization
+ */
+
+/**
+ * Check that a vendor can receive orders
+ * @param {string} vendorId - Vendor ID
+ * @param {Object} user - req.user
+ * @returns {Promise<boolean>} True if valid
+ * @throws {Error} If the vendor is missing, deleted, not active, or in another organization
+ */
+const validateOrderVendor = async (vendorId, user) => {
+  const vendor = await Vendor.findById(vendorId).withDeleted().lean();
+  // SCOPING: Other-organization vendors are reported as missing
+  if (
+    !vendor ||
+    vendor.organization.toString() !== user.organization._id.toString()
+  ) {
+    throw new Error("Vendor not found");
+  }
+  if (vendor.isDeleted) {
+    throw new Error("Cannot order from deleted vendor");
+  }
+  if (vendor.status !== VENDOR_STATUS.ACTIVE) {
+    throw new Error("Cannot order from inactive or blocked vendor");
+  }
+  return true;
+};
+
+/**
+ * Check that a department can receive ordered stock
+ * @param {string} departmentId - Department ID
+ * @param {Object} user - req.user
+ * @returns {Promise<boolean>} True if valid
+ * @throws {Error} If the department is missing, deleted, or in another organization
+ */
+const validateOrderDepartment = async (departmentId, user) => {
+  const department = await Department.findById(departmentId)
+    .withDeleted()
+    .lean();
+  // SCOPING: Other-organization departments are reported as missing
+  if (
+    !department ||
+    department.organization.toString() !== user.organization._id.toString()
+  ) {
+    throw new Error("Department not found");
+  }
+  if (department.isDeleted) {
+    throw new Error("Cannot order for deleted department");
+  }
+  return true;
+};
+
+/**
+ * Check that a project task can be linked to an order
+ * @param {string|null} taskId - Task ID (null unlinks)
+ * @param {Object} user - req.user
+ * @returns {Promise<boolean>} True if valid
+ * @throws {Error} If the task is missing, deleted, not a project task, or in another organization
+ */
+const validateOrderProjectTask = async (taskId, user) => {
+  if (taskId === null) return true;
+
+  const task = await Task.findById(taskId).withDeleted().lean();
+  // SCOPING: Other-organization tasks are reported as missing
+  if (
+    !task ||
+    task.organization.toString() !== user.organization._id.toString()
+  ) {
+    throw new Error("Project task not found");
+  }
+  if (task.isDeleted) {
+    throw new Error("Cannot link deleted task");
+  }
+  if (task.taskType !== TASK_TYPES.PROJECT) {
+    throw new Error("Purchase orders can only be linked to project tasks");
+  }
+  return true;
+};
+
+/**
+ * Validate Line Items Helper
+ * Checks count, duplicates, quantities and unit prices of order line items
+ * @param {Array} lineItems - Array of line items ({ material, quantity, unitPrice })
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+function validateLineItems(lineItems) {
+  const { LINE_ITEMS } = PURCHASE_ORDER_VALIDATION;
+
+  if (
+    lineItems.length < LINE_ITEMS.MIN_COUNT ||
+    lineItems.length > LINE_ITEMS.MAX_COUNT
+  ) {
+    throw new Error(
+      `Purchase order must have between ${LINE_ITEMS.MIN_COUNT} and ${LINE_ITEMS.MAX_COUNT} line items`
+    );
+  }
+
+  const materialIds = lineItems.map((item) => item?.material?.toString());
+  if (new Set(materialIds).size !== materialIds.length) {
+    throw new Error("Duplicate materials are not allowed");
+  }
+
+  for (const item of lineItems) {
+    if (
+      !item?.material ||
+      !COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN.test(item.material)
+    ) {
+      throw new Error("Each line item requires a valid material ID");
+    }
+    const quantity = Number(item.quantity);
+    if (
+      !Number.isFinite(quantity) ||
+      quantity <= STOCK_VALIDATION.QUANTITY.MIN ||
+      quantity > STOCK_VALIDATION.QUANTITY.MAX
+    ) {
+      throw new Error(
+        `Line item quantity must be greater than ${STOCK_VALIDATION.QUANTITY.MIN} and at most ${STOCK_VALIDATION.QUANTITY.MAX}`
+      );
+    }
+    if (item.unitPrice !== undefined && item.unitPrice !== null) {
+      const unitPrice = Number(item.unitPrice);
+      if (
+        item.unitPrice === "" ||
+        !Number.isFinite(unitPrice) ||
+        unitPrice < COST_VALIDATION.AMOUNT.MIN ||
+        unitPrice > COST_VALIDATION.AMOUNT.MAX
+      ) {
+        throw new Error(
+          `Line item unit price must be between ${COST_VALIDATION.AMOUNT.MIN} and ${COST_VALIDATION.AMOUNT.MAX}`
+        );
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Shared validators for the lineItems field
+ * Unit prices are optional; the controller fills in the material price
+ */
+const lineItemsValidators = (isOptional) => [
+  (isOptional ? body("lineItems").optional() : body("lineItems"))
+    .isArray()
+    .withMessage("Line items must be an array")
+    .custom(validateLineItems)
+    .custom(async (value, { req }) => {
+      // SCOPING: Materials must exist in req.user's organization and not be deleted
+      const materialIds = value.map((item) => item.material);
+      const materials = await Material.find({ _id: { $in: materialIds } })
+        .withDeleted()
+        .lean();
+      const invalidMaterials = materials.filter(
+        (material) =>
+          material.isDeleted ||
+          material.organization.toString() !==
+            req.user.organization._id.toString()
+      );
+      if (
+        materials.length !== materialIds.length ||
+        invalidMaterials.length > 0
+      ) {
+        throw new Error(
+          "All materials must exist in your organization and not be deleted"
+        );
+      }
+      return true;
+    })
+    .customSanitizer((value) =>
+      value.map((item) => ({
+        material: item.material,
+        quantity: Number(item.quantity),
+        unitPrice:
+          item.unitPrice === undefined || item.unitPrice === null
+            ? null
+            : Number(item.unitPrice),
+      }))
+    ),
+];
+
+/**
+ * Shared validators for optional order fields
+ */
+const orderDetailValidators = [
+  body("projectTask")
+    .optional()
+    .custom((value) => {
+      if (
+        value !== null &&
+        !COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN.test(value)
+      ) {
+        throw new Error("Invalid project task ID format");
+      }
+      return true;
+    })
+    .custom((value, { req }) => validateOrderProjectTask(value, req.user)),
+
+  body("expectedDate")
+    .optional()
+    .custom((value) => {
+      if (value !== null && Number.isNaN(new Date(value).getTime())) {
+        throw new Error("Invalid expected date format");
+      }
+      return true;
+    }),
+
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: PURCHASE_ORDER_VALIDATION.NOTES.MAX_LENGTH })
+    .withMessage(
+      `Notes must not exceed ${PURCHASE_ORDER_VALIDATION.NOTES.MAX_LENGTH} characters`
+    ),
+];
+
+/**
+ * Purchase Order ID param validator
+ */
+const purchaseOrderIdValidator = param("purchaseOrderId")
+  .trim()
+  .notEmpty()
+  .withMessage("Purchase order ID is required")
+  .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+  .withMessage("Invalid purchase order ID format")
+  .custom(async (value) => {
+    const purchaseOrder = await PurchaseOrder.findById(value).lean();
+    if (!purchaseOrder) {
+      throw new Error("Purchase order not found");
+    }
+    return true;
+  });
+
+/**
+ * List Purchase Orders Validator
+ * Validates query parameters for listing purchase orders
+ */
+export const listPurchaseOrdersValidator = [
+  query("page")
+    .optional()
+    .isInt({ min: SEARCH_VALIDATION.PAGE.MIN, max: SEARCH_VALIDATION.PAGE.MAX })
+    .withMessage(
+      `Page must be between ${SEARCH_VALIDATION.PAGE.MIN} and ${SEARCH_VALIDATION.PAGE.MAX}`
+    )
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({
+      min: SEARCH_VALIDATION.LIMIT.MIN,
+      max: SEARCH_VALIDATION.LIMIT.MAX,
+    })
+    .withMessage(
+      `Limit must be between ${SEARCH_VALIDATION.LIMIT.MIN} and ${SEARCH_VALIDATION.LIMIT.MAX}`
+    )
+    .toInt(),
+
+  query("status")
+    .optional()
+    .trim()
+    .isIn(Object.values(PURCHASE_ORDER_STATUS))
+    .withMessage("Invalid purchase order status"),
+
+  query("vendor")
+    .optional()
+    .trim()
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid vendor ID format"),
+
+  query("department")
+    .optional()
+    .trim()
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid department ID format"),
+
+  query("projectTask")
+    .optional()
+    .trim()
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid project task ID format"),
+
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ max: SEARCH_VALIDATION.QUERY.MAX_LENGTH })
+    .withMessage(
+      `Search query must not exceed ${SEARCH_VALIDATION.QUERY.MAX_LENGTH} characters`
+    ),
+];
+
+/**
+ * Create Purchase Order Validator
+ * Orders are created as DRAFT
+ */
+export const createPurchaseOrderValidator = [
+  body("vendor")
+    .trim()
+    .notEmpty()
+    .withMessage("Vendor is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid vendor ID format")
+    .custom((value, { req }) => validateOrderVendor(value, req.user)),
+
+  body("department")
+    .trim()
+    .notEmpty()
+    .withMessage("Department is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid department ID format")
+    .custom((value, { req }) => validateOrderDepartment(value, req.user)),
+
+  ...lineItemsValidators(false),
+  ...orderDetailValidators,
+];
+
+/**
+ * Update Purchase Order Validator
+ * Only DRAFT orders can be updated (checked by the controller)
+ */
+export const updatePurchaseOrderValidator = [
+  purchaseOrderIdValidator,
+
+  body("vendor")
+    .optional()
+    .trim()
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid vendor ID format")
+    .custom((value, { req }) => validateOrderVendor(value, req.user)),
+
+  body("department")
+    .optional()
+    .trim()
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid department ID format")
+    .custom((value, { req }) => validateOrderDepartment(value, req.user)),
+
+  ...lineItemsValidators(true),
+  ...orderDetailValidators,
+];
+
+/**
+ * Get Purchase Order By ID Validator
+ * Also used by transitions without a body (submit, approve, close, cancel) and the PDF
+ */
+export const getPurchaseOrderByIdValidator = [purchaseOrderIdValidator];
+
+/**
+ * Reject Purchase Order Validator
+ */
+export const rejectPurchaseOrderValidator = [
+  purchaseOrderIdValidator,
+
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("Rejection reason is required")
+    .isLength({
+      min: PURCHASE_ORDER_VALIDATION.REJECTION_REASON.MIN_LENGTH,
+      max: PURCHASE_ORDER_VALIDATION.REJECTION_REASON.MAX_LENGTH,
+    })
+    .withMessage(
+      `Rejection reason must be between ${PURCHASE_ORDER_VALIDATION.REJECTION_REASON.MIN_LENGTH} and ${PURCHASE_ORDER_VALIDATION.REJECTION_REASON.MAX_LENGTH} characters`
+    ),
+];
+
+/**
+ * Receive Purchase Order Validator
+ * Quantities are checked against the outstanding quantity by the controller
+ */
+export const receivePurchaseOrderValidator = [
+  purchaseOrderIdValidator,
+
+  body("lines")
+    .isArray({ min: 1 })
+    .withMessage("At least one received line is required")
+    .custom((lines) => {
+      const lineItemIds = lines.map((line) => line?.lineItem?.toString());
+      if (new Set(lineItemIds).size !== lineItemIds.length) {
+        throw new Error("Duplicate line items are not allowed");
+      }
+      for (const line of lines) {
+        if (
+          !line?.lineItem ||
+          !COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN.test(line.lineItem)
+        ) {
+          throw new Error("Each received line requires a valid line item ID");
+        }
+        const quantity = Number(line.quantity);
+        if (
+          !Number.isFinite(quantity) ||
+          quantity <= STOCK_VALIDATION.QUANTITY.MIN ||
+          quantity > STOCK_VALIDATION.QUANTITY.MAX
+        ) {
+          throw new Error(
+            `Received quantity must be greater than ${STOCK_VALIDATION.QUANTITY.MIN} and at most ${STOCK_VALIDATION.QUANTITY.MAX}`
+          );
+        }
+      }
+      return true;
+    })
+    .customSanitizer((lines) =>
+      lines.map((line) => ({
+        lineItem: line.lineItem,
+        quantity: Number(line.quantity),
+      }))
+    ),
+
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: PURCHASE_ORDER_VALIDATION.RECEIPT_NOTE.MAX_LENGTH })
+    .withMessage(
+      `Note must not exceed ${PURCHASE_ORDER_VALIDATION.RECEIPT_NOTE.MAX_LENGTH} characters`
+    ),
+];
+
+export default {
+  listPurchaseOrdersValidator,
+  createPurchaseOrderValidator,
+  updatePurchaseOrderValidator,
+  getPurchaseOrderByIdValidator,
+  rejectPurchaseOrderValidator,
+  receivePurchaseOrderValidator,
+};
@@ -0,0 +1,120 @@
+import { param, query } from "express-validator";
+import {
+  COMMON_VALIDATION,
+  SEARCH_VALIDATION,
+} from "../../utils/constants.js";
+import { Session, User } from "../../models/index.js";
+
+/**
+ * Session Validators
+ * Validates sign-in session requests (own sessions and admin session management)
+ * Uses express-validator for validation
+ * Own sessions must belong to the requesting user
+ */
+
+/**
+ * List session query chains
+ * @returns {Array<ValidationChain>} Validated page, limit and includeRevoked
+ */
+const listSessionsChains = () => [
+  query("page")
+    .optional()
+    .isInt({ min: SEARCH_VALIDATION.PAGE.MIN, max: SEARCH_VALIDATION.PAGE.MAX })
+    .withMessage(
+      `Page must be between ${SEARCH_VALIDATION.PAGE.MIN} and ${SEARCH_VALIDATION.PAGE.MAX}`
+    )
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({
+      min: SEARCH_VALIDATION.LIMIT.MIN,
+      max: SEARCH_VALIDATION.LIMIT.MAX,
+    })
+    .withMessage(
+      `Limit must be between ${SEARCH_VALIDATION.LIMIT.MIN} and ${SEARCH_VALIDATION.LIMIT.MAX}`
+    )
+    .toInt(),
+
+  query("includeRevoked")
+    .optional()
+    .isBoolean()
+    .withMessage("includeRevoked must be a boolean")
+    .toBoolean(),
+];
+
+/**
+ * User ID param chain (user must exist, soft-deleted included)
+ * @returns {ValidationChain} Validated userId
+ */
+const userIdChain = () =>
+  param("userId")
+    .trim()
+    .notEmpty()
+    .withMessage("User ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid user ID format")
+    .custom(async (value) => {
+      const user = await User.findById(value).withDeleted().lean();
+      if (!user) {
+        throw new Error("User not found");
+      }
+      return true;
+    });
+
+/**
+ * List Own Sessions Validator
+ * Validates query parameters for listing the requesting user's sessions
+ */
+export const listSessionsValidator = listSessionsChains();
+
+/**
+ * Revoke Own Session Validator
+ * Session must belong to the requesting user and still be active
+ */
+export const revokeSessionValidator = [
+  param("sessionId")
+    .trim()
+    .notEmpty()
+    .withMessage("Session ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid session ID format")
+    .custom(async (value, { req }) => {
+      // SCOPING: Missing and other users' sessions are reported the same way
+      const userSession = await Session.findOne({
+        _id: value,
+        user: req.user.userId,
+      })
+        .select("revokedAt expiresAt")
+        .lean();
+      if (!userSession) {
+        throw new Error("Session not found");
+      }
+      if (userSession.revokedAt || userSession.expiresAt <= new Date()) {
+        throw new Error("Session has already ended");
+      }
+      return true;
+    }),
+];
+
+/**
+ * List User Sessions Validator
+ * Validates user ID and query parameters for listing a user's sessions (admins)
+ */
+export const listUserSessionsValidator = [
+  userIdChain(),
+  ...listSessionsChains(),
+];
+
+/**
+ * Revoke User Sessions Validator
+ * Validates user ID for revoking all sessions of a user (admins)
+ */
+export const revokeUserSessionsValidator = [userIdChain()];
+
+export default {
+  listSessionsValidator,
+  revokeSessionValidator,
+  listUserSessionsValidator,
+  revokeUserSessionsValidator,
+};
@@ -0,0 +1,300 @@
+import { body, query } from "express-validator";
+import {
+  STOCK_MOVEMENT_TYPES,
+  STOCK_SOURCE_MODELS,
+  STOCK_VALIDATION,
+  REORDER_ALERT_STATUS,
+  COMMON_VALIDATION,
+  SEARCH_VALIDATION,
+} from "../../utils/constants.js";
+import { Material, Department } from "../../models/index.js";
+
+/**
+ * Stock Validators
+ * Validates stock ledger requests (balances, movements, receipts, adjustments, transfers, reorder alerts)
+ * Uses express-validator for validation
+ * Materials and departments must exist, not be deleted, and belong to the user's organization
+ */
+
+/**
+ * Check that a material can take stock movements
+ * @param {string} materialId - Material ID
+ * @param {Object} user - req.user
+ * @returns {Promise<boolean>} True if valid
+ * @throws {Error} If the material is missing, deleted, or in another organization
+ */
+const validateStockMaterial = async (materialId, user) => {
+  const material = await Material.findById(materialId).withDeleted().lean();
+  // SCOPING: Other-organization materials are reported as missing
+  if (
+    !material ||
+    material.organization.toString() !== user.organization._id.toString()
+  ) {
+    throw new Error("Material not found");
+  }
+  if (material.isDeleted) {
+    throw new Error("Cannot move stock of deleted material");
+  }
+  return true;
+};
+
+/**
+ * Check that a department can hold stock
+ * @param {string} departmentId - Department ID
+ * @param {Object} user - req.user
+ * @returns {Promise<boolean>} True if valid
+ * @throws {Error} If the department is missing, deleted, or in another organization
+ */
+const validateStockDepartment = async (departmentId, user) => {
+  const department = await Department.findById(departmentId)
+    .withDeleted()
+    .lean();
+  // SCOPING: Other-organization departments are reported as missing
+  if (
+    !department ||
+    department.organization.toString() !== user.organization._id.toString()
+  ) {
+    throw new Error("Department not found");
+  }
+  if (department.isDeleted) {
+    throw new Error("Cannot move stock of deleted department");
+  }
+  return true;
+};
+
+/**
+ * Shared pagination validators for stock lists
+ */
+const paginationValidators = [
+  query("page")
+    .optional()
+    .isInt({ min: SEARCH_VALIDATION.PAGE.MIN, max: SEARCH_VALIDATION.PAGE.MAX })
+    .withMessage(
+      `Page must be between ${SEARCH_VALIDATION.PAGE.MIN} and ${SEARCH_VALIDATION.PAGE.MAX}`
+    )
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({
+      min: SEARCH_VALIDATION.LIMIT.MIN,
+      max: SEARCH_VALIDATION.LIMIT.MAX,
+    })
+    .withMessage(
+      `Limit must be between ${SEARCH_VALIDATION.LIMIT.MIN} and ${SEARCH_VALIDATION.LIMIT.MAX}`
+    )
+    .toInt(),
+
+  query("material")
+    .optional()
+    .trim()
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid material ID format"),
+
+  query("department")
+    .optional()
+    .trim()
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid department ID format"),
+];
+
+/**
+ * List Stock Levels Validator
+ * Validates query parameters for listing balances
+ */
+export const listStockLevelsValidator = [
+  ...paginationValidators,
+
+  query("negative")
+    .optional()
+    .isBoolean()
+    .withMessage("Negative must be a boolean")
+    .toBoolean(),
+];
+
+/**
+ * List Stock Movements Validator
+ * Validates query parameters for listing ledger entries
+ */
+export const listStockMovementsValidator = [
+  ...paginationValidators,
+
+  query("type")
+    .optional()
+    .trim()
+    .isIn(Object.values(STOCK_MOVEMENT_TYPES))
+    .withMessage("Invalid stock movement type"),
+
+  query("sourceModel")
+    .optional()
+    .trim()
+    .isIn(Object.values(STOCK_SOURCE_MODELS))
+    .withMessage("Invalid source model"),
+
+  query("source")
+    .optional()
+    .trim()
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid source ID format"),
+
+  query("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid start date format"),
+
+  query("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid end date format"),
+];
+
+/**
+ * List Reorder Alerts Validator
+ * Validates query parameters for listing the reorder alert history
+ */
+export const listReorderAlertsValidator = [
+  ...paginationValidators,
+
+  query("status")
+    .optional()
+    .trim()
+    .isIn(Object.values(REORDER_ALERT_STATUS))
+    .withMessage("Invalid reorder alert status"),
+];
+
+/**
+ * Shared validators for movements posted by users
+ */
+const movementValidators = [
+  body("material")
+    .trim()
+    .notEmpty()
+    .withMessage("Material is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid material ID format")
+    .custom((value, { req }) => validateStockMaterial(value, req.user)),
+
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: STOCK_VALIDATION.NOTE.MAX_LENGTH })
+    .withMessage(
+      `Note must not exceed ${STOCK_VALIDATION.NOTE.MAX_LENGTH} characters`
+    ),
+];
+
+/**
+ * Create Stock Receipt Validator
+ */
+export const createStockReceiptValidator = [
+  ...movementValidators,
+
+  body("department")
+    .trim()
+    .notEmpty()
+    .withMessage("Department is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid department ID format")
+    .custom((value, { req }) => validateStockDepartment(value, req.user)),
+
+  body("quantity")
+    .notEmpty()
+    .withMessage("Quantity is required")
+    .isFloat({
+      gt: STOCK_VALIDATION.QUANTITY.MIN,
+      max: STOCK_VALIDATION.QUANTITY.MAX,
+    })
+    .withMessage(
+      `Quantity must be greater than ${STOCK_VALIDATION.QUANTITY.MIN} and at most ${STOCK_VALIDATION.QUANTITY.MAX}`
+    )
+    .toFloat(),
+];
+
+/**
+ * Create Stock Adjustment Validator
+ * Quantity is signed (negative removes stock); a note explaining the adjustment is required
+ */
+export const createStockAdjustmentValidator = [
+  ...movementValidators,
+
+  body("department")
+    .trim()
+    .notEmpty()
+    .withMessage("Department is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid department ID format")
+    .custom((value, { req }) => validateStockDepartment(value, req.user)),
+
+  body("quantity")
+    .notEmpty()
+    .withMessage("Quantity is required")
+    .isFloat({
+      min: -STOCK_VALIDATION.QUANTITY.MAX,
+      max: STOCK_VALIDATION.QUANTITY.MAX,
+    })
+    .withMessage(
+      `Quantity must be between -${STOCK_VALIDATION.QUANTITY.MAX} and ${STOCK_VALIDATION.QUANTITY.MAX}`
+    )
+    .toFloat()
+    .custom((value) => {
+      if (value === 0) {
+        throw new Error("Quantity cannot be zero");
+      }
+      return true;
+    }),
+
+  body("note")
+    .notEmpty()
+    .withMessage("A note explaining the adjustment is required"),
+];
+
+/**
+ * Create Stock Transfer Validator
+ */
+export const createStockTransferValidator = [
+  ...movementValidators,
+
+  body("fromDepartment")
+    .trim()
+    .notEmpty()
+    .withMessage("Source department is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid source department ID format")
+    .custom((value, { req }) => validateStockDepartment(value, req.user)),
+
+  body("toDepartment")
+    .trim()
+    .notEmpty()
+    .withMessage("Destination department is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid destination department ID format")
+    .custom(async (value, { req }) => {
+      if (value === req.body.fromDepartment) {
+        throw new Error(
+          "Destination department must differ from source department"
+        );
+      }
+      return validateStockDepartment(value, req.user);
+    }),
+
+  body("quantity")
+    .notEmpty()
+    .withMessage("Quantity is required")
+    .isFloat({
+      gt: STOCK_VALIDATION.QUANTITY.MIN,
+      max: STOCK_VALIDATION.QUANTITY.MAX,
+    })
+    .withMessage(
+      `Quantity must be greater than ${STOCK_VALIDATION.QUANTITY.MIN} and at most ${STOCK_VALIDATION.QUANTITY.MAX}`
+    )
+    .toFloat(),
+];
+
+export default {
+  listStockLevelsValidator,
+  listStockMovementsValidator,
+  listReorderAlertsValidator,
+  createStockReceiptValidator,
+  createStockAdjustmentValidator,
+  createStockTransferValidator,
+};
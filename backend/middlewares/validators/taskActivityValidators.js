@@ -14,6 +14,8 @@ import {
   Material,
   Department,
 } from "../../models/index.js";
+import { validateMaterialLineUnits } from "../../utils/unitConversion.js";
+import { validateExportQuery } from "./commonValidators.js";
 
 /**
  * TaskActivity Validators
@@ -25,6 +27,17 @@ import {
  * Requirements: 41.1, 41.2, 41.3, 41.8, 41.9, 41.10
  */
 
+/**
+ * Task ID of the nested activity routes (/api/tasks/:taskId/activities/:activityId)
+ * Absent when the activity is addressed through its own mount
+ */
+const optionalTaskIdParam = () =>
+  param("taskId")
+    .optional()
+    .trim()
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid task ID format");
+
 /**
  * List Task Activities Validator
  * Validates query parameters for listing task activities
@@ -113,6 +126,8 @@ export const listTaskActivitiesValidator = [
     .trim()
     .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
     .withMessage("Invalid createdBy ID format"),
+
+  ...validateExportQuery(),
 ];
 
 /**
@@ -283,6 +298,8 @@ export const createTaskActivityValidator = [
           "All materials must belong to your organization and department and not be deleted"
         );
       }
+      // Entered units must convert to the material's unit
+      validateMaterialLineUnits(value, materials);
       return true;
     }),
 
@@ -304,6 +321,8 @@ export const createTaskActivityValidator = [
  * Update TaskActivity Validator
  */
 export const updateTaskActivityValidator = [
+  optionalTaskIdParam(),
+
   param("activityId")
     .trim()
     .notEmpty()
@@ -393,6 +412,8 @@ export const updateTaskActivityValidator = [
           "All materials must belong to the same organization and department and not be deleted"
         );
       }
+      // Entered units must convert to the material's unit
+      validateMaterialLineUnits(value, materials);
       return true;
     }),
 
@@ -414,6 +435,8 @@ export const updateTaskActivityValidator = [
  * Delete TaskActivity Validator
  */
 export const deleteTaskActivityValidator = [
+  optionalTaskIdParam(),
+
   param("activityId")
     .trim()
     .notEmpty()
@@ -436,6 +459,8 @@ export const deleteTaskActivityValidator = [
  * Restore TaskActivity Validator
  */
 export const restoreTaskActivityValidator = [
+  optionalTaskIdParam(),
+
   param("activityId")
     .trim()
     .notEmpty()
@@ -470,6 +495,8 @@ export const restoreTaskActivityValidator = [
  * Get TaskActivity By ID Validator
  */
 export const getTaskActivityByIdValidator = [
+  optionalTaskIdParam(),
+
   param("activityId")
     .trim()
     .notEmpty()
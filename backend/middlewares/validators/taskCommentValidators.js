@@ -24,6 +24,17 @@ import {
  * Requirements: 41.1, 41.2, 41.3, 41.8, 41.9, 41.10
  */
 
+/**
+ * Task ID of the nested comment routes (/api/tasks/:taskId/comments/:taskCommentId)
+ * Absent when the comment is addressed through its own mount
+ */
+const optionalTaskIdParam = () =>
+  param("taskId")
+    .optional()
+    .trim()
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid task ID format");
+
 /**
  * List Task Comments Validator
  * Validates query parameters for listing task comments
@@ -287,6 +298,8 @@ export const createTaskCommentValidator = [
  * Update TaskComment Validator
  */
 export const updateTaskCommentValidator = [
+  optionalTaskIdParam(),
+
   param("taskCommentId")
     .trim()
     .notEmpty()
@@ -366,6 +379,8 @@ export const updateTaskCommentValidator = [
  * Delete TaskComment Validator
  */
 export const deleteTaskCommentValidator = [
+  optionalTaskIdParam(),
+
   param("taskCommentId")
     .trim()
     .notEmpty()
@@ -388,6 +403,8 @@ export const deleteTaskCommentValidator = [
  * Restore TaskComment Validator
  */
 export const restoreTaskCommentValidator = [
+  optionalTaskIdParam(),
+
   param("taskCommentId")
     .trim()
     .notEmpty()
@@ -433,6 +450,8 @@ export const restoreTaskCommentValidator = [
  * Get TaskComment By ID Validator
  */
 export const getTaskCommentByIdValidator = [
+  optionalTaskIdParam(),
+
   param("taskCommentId")
     .trim()
     .notEmpty()
@@ -8,9 +8,13 @@ import {
   COMMON_VALIDATION,
   RECURRENCE_FREQUENCY,
   RECURRENCE_VALIDATION,
+  RECURRENCE_UPDATE_SCOPE,
   MATERIAL_VALIDATION,
   MILESTONE_VALIDATION,
+  COST_VALIDATION,
+  VENDOR_VALIDATION,
   SEARCH_VALIDATION,
+  TASK_TIMELINE,
 } from "../../utils/constants.js";
 import {
   Task,
@@ -19,6 +23,9 @@ import {
   Material,
   Department,
 } from "../../models/index.js";
+import { getLapsedDocuments } from "../../services/vendorComplianceService.js";
+import { validateMaterialLineUnits } from "../../utils/unitConversion.js";
+import { validateExportQuery } from "./commonValidators.js";
 
 /**
  * Task Validators
@@ -97,6 +104,95 @@ async function validateAssignees(assigneeIds, organizationId) {
   }
 }
 
+/**
+ * Validate Vendor Charges Helper
+ * Reusable validation logic for the vendorCharges field of project tasks
+ * @param {Array} charges - Array of vendor charges ({ description, amount, date })
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+function validateVendorCharges(charges) {
+  const { AMOUNT, VENDOR_CHARGE } = COST_VALIDATION;
+
+  if (charges.length > VENDOR_CHARGE.MAX_COUNT) {
+    throw new Error(
+      `Maximum ${VENDOR_CHARGE.MAX_COUNT} vendor charges allowed`
+    );
+  }
+
+  for (const charge of charges) {
+    const description = charge?.description?.trim() || "";
+    if (
+      description.length < VENDOR_CHARGE.DESCRIPTION.MIN_LENGTH ||
+      description.length > VENDOR_CHARGE.DESCRIPTION.MAX_LENGTH
+    ) {
+      throw new Error(
+        `Vendor charge description must be between ${VENDOR_CHARGE.DESCRIPTION.MIN_LENGTH} and ${VENDOR_CHARGE.DESCRIPTION.MAX_LENGTH} characters`
+      );
+    }
+    const amount = Number(charge.amount);
+    if (
+      charge.amount === null ||
+      charge.amount === "" ||
+      !Number.isFinite(amount) ||
+      amount < AMOUNT.MIN ||
+      amount > AMOUNT.MAX
+    ) {
+      throw new Error(
+        `Vendor charge amount must be between ${AMOUNT.MIN} and ${AMOUNT.MAX}`
+      );
+    }
+    if (charge.date && Number.isNaN(new Date(charge.date).getTime())) {
+      throw new Error("Invalid vendor charge date");
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Validate Milestones Helper
+ * Reusable validation logic for the milestones field of project tasks
+ * @param {Array} milestones - Array of milestones ({ name, dueDate, status })
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+function validateMilestones(milestones) {
+  for (const milestone of milestones) {
+    if (
+      !milestone.name ||
+      milestone.name.trim().length < MILESTONE_VALIDATION.NAME.MIN_LENGTH
+    ) {
+      throw new Error(
+        `Milestone name must be at least ${MILESTONE_VALIDATION.NAME.MIN_LENGTH} characters`
+      );
+    }
+    if (milestone.name.length > MILESTONE_VALIDATION.NAME.MAX_LENGTH) {
+      throw new Error(
+        `Milestone name must not exceed ${MILESTONE_VALIDATION.NAME.MAX_LENGTH} characters`
+      );
+    }
+    if (!milestone.dueDate) {
+      throw new Error("Milestone due date is required");
+    }
+    if (
+      milestone.status &&
+      !MILESTONE_VALIDATION.STATUS.VALUES.includes(milestone.status)
+    ) {
+      throw new Error("Invalid milestone status");
+    }
+  }
+  return true;
+}
+
+/**
+ * Keep only client-settable milestone fields (completedAt is recorded on save)
+ * @param {Array} milestones - Array of milestones
+ * @returns {Array} Milestones ({ name, dueDate, status })
+ */
+const sanitizeMilestones = (milestones) =>
+  milestones.map(({ name, dueDate, status }) => ({ name, dueDate, status }));
+
 /**
  * List Tasks Validator
  * Validates query parameters for listing tasks
@@ -212,6 +308,8 @@ export const listTasksValidator = [
     .optional()
     .isISO8601()
     .withMessage("Invalid end date format"),
+
+  ...validateExportQuery(),
 ];
 
 /**
@@ -411,6 +509,15 @@ export const createProjectTaskValidator = [
       ) {
         throw new Error("Vendor must belong to your organization");
       }
+      // Vendor must not have a lapsed mandatory compliance document
+      const lapsedDocuments = getLapsedDocuments(vendor);
+      if (lapsedDocuments.length > 0) {
+        throw new Error(
+          `Vendor is not compliant: ${lapsedDocuments
+            .map((document) => document.title)
+            .join(", ")} expired`
+        );
+      }
       return true;
     }),
 
@@ -439,35 +546,25 @@ export const createProjectTaskValidator = [
     .optional()
     .isArray()
     .withMessage("Milestones must be an array")
-    .custom((value) => {
-      if (!value || value.length === 0) return true;
-      // Validate each milestone
-      for (const milestone of value) {
-        if (
-          !milestone.name ||
-          milestone.name.trim().length < MILESTONE_VALIDATION.NAME.MIN_LENGTH
-        ) {
-          throw new Error(
-            `Milestone name must be at least ${MILESTONE_VALIDATION.NAME.MIN_LENGTH} characters`
-          );
-        }
-        if (milestone.name.length > MILESTONE_VALIDATION.NAME.MAX_LENGTH) {
-          throw new Error(
-            `Milestone name must not exceed ${MILESTONE_VALIDATION.NAME.MAX_LENGTH} characters`
-          );
-        }
-        if (!milestone.dueDate) {
-          throw new Error("Milestone due date is required");
-        }
-        if (
-          milestone.status &&
-          !MILESTONE_VALIDATION.STATUS.VALUES.includes(milestone.status)
-        ) {
-          throw new Error("Invalid milestone status");
-        }
-      }
-      return true;
-    }),
+    .custom(validateMilestones)
+    .customSanitizer(sanitizeMilestones),
+
+  body("budget")
+    .optional({ values: "null" })
+    .isFloat({
+      min: COST_VALIDATION.AMOUNT.MIN,
+      max: COST_VALIDATION.AMOUNT.MAX,
+    })
+    .withMessage(
+      `Budget must be between ${COST_VALIDATION.AMOUNT.MIN} and ${COST_VALIDATION.AMOUNT.MAX}`
+    )
+    .toFloat(),
+
+  body("vendorCharges")
+    .optional()
+    .isArray()
+    .withMessage("Vendor charges must be an array")
+    .custom(validateVendorCharges),
 
   body("attachments")
     .optional()
@@ -573,6 +670,8 @@ export const createRoutineTaskValidator = [
           "All materials must belong to your organization and department and not be deleted"
         );
       }
+      // Entered units must convert to the material's unit
+      validateMaterialLineUnits(value, materials);
       return true;
     }),
 
@@ -826,6 +925,93 @@ export const updateTaskValidator = [
     .optional()
     .isArray()
     .withMessage("Attachments must be an array"),
+
+  // ProjectTask only: budget (null clears it) and vendor charges
+  body("budget")
+    .optional()
+    .custom(async (value, { req }) => {
+      const task = await Task.findById(req.params.taskId).withDeleted().lean();
+      if (task.taskType !== TASK_TYPES.PROJECT) {
+        throw new Error("Budget is only supported for project tasks");
+      }
+      if (value === null) return true;
+      const number = Number(value);
+      if (
+        value === "" ||
+        !Number.isFinite(number) ||
+        number < COST_VALIDATION.AMOUNT.MIN ||
+        number > COST_VALIDATION.AMOUNT.MAX
+      ) {
+        throw new Error(
+          `Budget must be between ${COST_VALIDATION.AMOUNT.MIN} and ${COST_VALIDATION.AMOUNT.MAX}`
+        );
+      }
+      return true;
+    })
+    .customSanitizer((value) => (value === null ? null : Number(value))),
+
+  body("vendorCharges")
+    .optional()
+    .isArray()
+    .withMessage("Vendor charges must be an array")
+    .custom(validateVendorCharges)
+    .custom(async (value, { req }) => {
+      const task = await Task.findById(req.params.taskId).withDeleted().lean();
+      if (task.taskType !== TASK_TYPES.PROJECT) {
+        throw new Error("Vendor charges are only supported for project tasks");
+      }
+      return true;
+    }),
+
+  // ProjectTask only: milestones (completion dates are recorded on save)
+  body("milestones")
+    .optional()
+    .isArray()
+    .withMessage("Milestones must be an array")
+    .custom(validateMilestones)
+    .custom(async (value, { req }) => {
+      const task = await Task.findById(req.params.taskId).withDeleted().lean();
+      if (task.taskType !== TASK_TYPES.PROJECT) {
+        throw new Error("Milestones are only supported for project tasks");
+      }
+      return true;
+    })
+    .customSanitizer(sanitizeMilestones),
+
+  // ProjectTask only: rating of the vendor (task must be completed)
+  body("vendorRating")
+    .optional()
+    .isInt({
+      min: VENDOR_VALIDATION.RATING.MIN,
+      max: VENDOR_VALIDATION.RATING.MAX,
+    })
+    .withMessage(
+      `Vendor rating must be between ${VENDOR_VALIDATION.RATING.MIN} and ${VENDOR_VALIDATION.RATING.MAX}`
+    )
+    .toInt()
+    .custom(async (value, { req }) => {
+      const task = await Task.findById(req.params.taskId).withDeleted().lean();
+      if (task.taskType !== TASK_TYPES.PROJECT) {
+        throw new Error("Vendor rating is only supported for project tasks");
+      }
+      return true;
+    }),
+
+  // Recurring RoutineTask only: "this occurrence only" vs "this and future"
+  body("updateScope")
+    .optional()
+    .trim()
+    .isIn(Object.values(RECURRENCE_UPDATE_SCOPE))
+    .withMessage("Invalid update scope")
+    .custom(async (value, { req }) => {
+      const task = await Task.findById(req.params.taskId).withDeleted().lean();
+      // A missing task is reported by the taskId check
+      if (!task) return true;
+      if (task.taskType !== TASK_TYPES.ROUTINE) {
+        throw new Error("Update scope is only supported for routine tasks");
+      }
+      return true;
+    }),
 ];
 
 /**
@@ -899,6 +1085,41 @@ export const getTaskByIdValidator = [
     }),
 ];
 
+/**
+ * Get Task Timeline Validator
+ * Validates the task ID and timeline pagination
+ */
+export const getTaskTimelineValidator = [
+  ...getTaskByIdValidator,
+
+  query("page")
+    .optional()
+    .isInt({ min: SEARCH_VALIDATION.PAGE.MIN, max: SEARCH_VALIDATION.PAGE.MAX })
+    .withMessage(
+      `Page must be between ${SEARCH_VALIDATION.PAGE.MIN} and ${SEARCH_VALIDATION.PAGE.MAX}`
+    )
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({
+      min: SEARCH_VALIDATION.LIMIT.MIN,
+      max: SEARCH_VALIDATION.LIMIT.MAX,
+    })
+    .withMessage(
+      `Limit must be between ${SEARCH_VALIDATION.LIMIT.MIN} and ${SEARCH_VALIDATION.LIMIT.MAX}`
+    )
+    .toInt(),
+
+  query("order")
+    .optional()
+    .trim()
+    .isIn(Object.values(TASK_TIMELINE.ORDER))
+    .withMessage(
+      `Order must be one of: ${Object.values(TASK_TIMELINE.ORDER).join(", ")}`
+    ),
+];
+
 /**
  * Create Task Validator (Dynamic)
  * Validates task creation based on taskType
@@ -961,6 +1182,16 @@ export const createTaskValidator = (req, res, next) => {
     .catch(next);
 };
 
+// Body schema per task type, read by the OpenAPI generator (oneOf on taskType)
+createTaskValidator.variants = {
+  discriminator: "taskType",
+  chains: {
+    [TASK_TYPES.PROJECT]: createProjectTaskValidator,
+    [TASK_TYPES.ROUTINE]: createRoutineTaskValidator,
+    [TASK_TYPES.ASSIGNED]: createAssignedTaskValidator,
+  },
+};
+
 export default {
   listTasksValidator,
   createProjectTaskValidator,
@@ -971,4 +1202,5 @@ export default {
   deleteTaskValidator,
   restoreTaskValidator,
   getTaskByIdValidator,
+  getTaskTimelineValidator,
 };
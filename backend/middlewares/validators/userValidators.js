@@ -8,6 +8,7 @@ import {
   SEARCH_VALIDATION,
 } from "../../utils/constants.js";
 import { User, Organization, Department } from "../../models/index.js";
+import { validateExportQuery } from "./commonValidators.js";
 
 /**
  * User Validators
@@ -106,6 +107,8 @@ export const listUsersValidator = [
     .isBoolean()
     .withMessage("isHod must be a boolean value")
     .toBoolean(),
+
+  ...validateExportQuery(),
 ];
 
 /**
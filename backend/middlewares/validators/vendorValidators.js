@@ -2,14 +2,24 @@ import { body, param, query } from "express-validator";
 import {
   VENDOR_VALIDATION,
   VENDOR_STATUS,
+  VENDOR_SCORECARD,
+  VENDOR_DOCUMENT_TYPES,
+  VENDOR_COMPLIANCE,
+  PARENT_MODEL_TYPES,
   COMMON_VALIDATION,
   SEARCH_VALIDATION,
 } from "../../utils/constants.js";
-import { Vendor, User, Organization } from "../../models/index.js";
+import {
+  Vendor,
+  User,
+  Organization,
+  Attachment,
+} from "../../models/index.js";
+import { validateExportQuery } from "./commonValidators.js";
 
 /**
  * Vendor Validators
- * Validates vendor-related requests (create, update, delete)
+ * Validates vendor-related requests (create, update, delete, compliance documents)
  * Uses express-validator for validation
  * Strictly validates fields with constants from backend/utils/constants.js
  * Validates existence and uniqueness using withDeleted()
@@ -17,6 +27,31 @@ import { Vendor, User, Organization } from "../../models/index.js";
  * Requirements: 41.1, 41.2, 41.3, 41.9, 41.10
  */
 
+/**
+ * Validate Document Attachment Helper
+ * The attachment of a compliance document must be a file uploaded to the vendor
+ * @param {string|null} value - Attachment ID (null removes the attachment)
+ * @param {Object} meta - express-validator meta ({ req })
+ * @returns {Promise<boolean>} True if valid
+ * @throws {Error} If the attachment is not a file of the vendor
+ */
+async function validateDocumentAttachment(value, { req }) {
+  if (value === null) return true;
+
+  if (!COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN.test(value)) {
+    throw new Error("Invalid attachment ID format");
+  }
+  const attachment = await Attachment.findById(value).lean();
+  if (
+    !attachment ||
+    attachment.parentModel !== PARENT_MODEL_TYPES.VENDOR ||
+    attachment.parent.toString() !== req.params.vendorId
+  ) {
+    throw new Error("Attachment must be a file uploaded to this vendor");
+  }
+  return true;
+}
+
 /**
  * List Vendors Validator
  * Validates query parameters for listing vendors
@@ -108,6 +143,8 @@ export const listVendorsValidator = [
       `Max rating must be between ${VENDOR_VALIDATION.RATING.MIN} and ${VENDOR_VALIDATION.RATING.MAX}`
     )
     .toFloat(),
+
+  ...validateExportQuery(),
 ];
 
 /**
@@ -243,16 +280,6 @@ export const createVendorValidator = [
       return true;
     }),
 
-  body("rating")
-    .optional()
-    .isFloat({
-      min: VENDOR_VALIDATION.RATING.MIN,
-      max: VENDOR_VALIDATION.RATING.MAX,
-    })
-    .withMessage(
-      `Rating must be between ${VENDOR_VALIDATION.RATING.MIN} and ${VENDOR_VALIDATION.RATING.MAX}`
-    ),
-
   body("status")
     .optional()
     .trim()
@@ -380,16 +407,6 @@ export const updateVendorValidator = [
       return true;
     }),
 
-  body("rating")
-    .optional()
-    .isFloat({
-      min: VENDOR_VALIDATION.RATING.MIN,
-      max: VENDOR_VALIDATION.RATING.MAX,
-    })
-    .withMessage(
-      `Rating must be between ${VENDOR_VALIDATION.RATING.MIN} and ${VENDOR_VALIDATION.RATING.MAX}`
-    ),
-
   body("status")
     .optional()
     .trim()
@@ -476,6 +493,225 @@ export const getVendorByIdValidator = [
     }),
 ];
 
+/**
+ * Get Vendor Scorecard Validator
+ * Validates the vendor ID and the number of months in the trend
+ */
+export const getVendorScorecardValidator = [
+  ...getVendorByIdValidator,
+
+  query("months")
+    .optional()
+    .isInt({
+      min: VENDOR_SCORECARD.TREND_MONTHS.MIN,
+      max: VENDOR_SCORECARD.TREND_MONTHS.MAX,
+    })
+    .withMessage(
+      `Months must be between ${VENDOR_SCORECARD.TREND_MONTHS.MIN} and ${VENDOR_SCORECARD.TREND_MONTHS.MAX}`
+    )
+    .toInt(),
+];
+
+/**
+ * Add Vendor Document Validator
+ * Validates a new compliance document (contract, insurance, license)
+ */
+export const addVendorDocumentValidator = [
+  param("vendorId")
+    .trim()
+    .notEmpty()
+    .withMessage("Vendor ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid vendor ID format")
+    .custom(async (value) => {
+      const vendor = await Vendor.findById(value).withDeleted().lean();
+      if (!vendor) {
+        throw new Error("Vendor not found");
+      }
+      if (vendor.isDeleted) {
+        throw new Error("Cannot update deleted vendor");
+      }
+      if (vendor.documents.length >= VENDOR_COMPLIANCE.DOCUMENTS.MAX_COUNT) {
+        throw new Error(
+          `Maximum ${VENDOR_COMPLIANCE.DOCUMENTS.MAX_COUNT} compliance documents allowed`
+        );
+      }
+      return true;
+    }),
+
+  body("type")
+    .trim()
+    .notEmpty()
+    .withMessage("Document type is required")
+    .isIn(Object.values(VENDOR_DOCUMENT_TYPES))
+    .withMessage(
+      `Document type must be one of: ${Object.values(
+        VENDOR_DOCUMENT_TYPES
+      ).join(", ")}`
+    ),
+
+  body("title")
+    .trim()
+    .notEmpty()
+    .withMessage("Document title is required")
+    .isLength({
+      min: VENDOR_COMPLIANCE.TITLE.MIN_LENGTH,
+      max: VENDOR_COMPLIANCE.TITLE.MAX_LENGTH,
+    })
+    .withMessage(
+      `Document title must be between ${VENDOR_COMPLIANCE.TITLE.MIN_LENGTH} and ${VENDOR_COMPLIANCE.TITLE.MAX_LENGTH} characters`
+    ),
+
+  body("referenceNumber")
+    .optional()
+    .trim()
+    .isLength({ max: VENDOR_COMPLIANCE.REFERENCE_NUMBER.MAX_LENGTH })
+    .withMessage(
+      `Reference number must not exceed ${VENDOR_COMPLIANCE.REFERENCE_NUMBER.MAX_LENGTH} characters`
+    ),
+
+  body("issueDate")
+    .notEmpty()
+    .withMessage("Issue date is required")
+    .isISO8601()
+    .withMessage("Invalid issue date format"),
+
+  body("expiryDate")
+    .notEmpty()
+    .withMessage("Expiry date is required")
+    .isISO8601()
+    .withMessage("Invalid expiry date format")
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.issueDate)) {
+        throw new Error("Expiry date must be after issue date");
+      }
+      return true;
+    }),
+
+  body("isMandatory")
+    .optional()
+    .isBoolean()
+    .withMessage("Is mandatory must be a boolean")
+    .toBoolean(),
+
+  body("attachment").optional().custom(validateDocumentAttachment),
+];
+
+/**
+ * Update Vendor Document Validator
+ * All fields optional; the expiry date must stay after the issue date
+ */
+export const updateVendorDocumentValidator = [
+  param("vendorId")
+    .trim()
+    .notEmpty()
+    .withMessage("Vendor ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid vendor ID format")
+    .custom(async (value) => {
+      const vendor = await Vendor.findById(value).withDeleted().lean();
+      if (!vendor) {
+        throw new Error("Vendor not found");
+      }
+      if (vendor.isDeleted) {
+        throw new Error("Cannot update deleted vendor");
+      }
+      return true;
+    }),
+
+  param("documentId")
+    .trim()
+    .notEmpty()
+    .withMessage("Document ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid document ID format"),
+
+  body("type")
+    .optional()
+    .trim()
+    .isIn(Object.values(VENDOR_DOCUMENT_TYPES))
+    .withMessage(
+      `Document type must be one of: ${Object.values(
+        VENDOR_DOCUMENT_TYPES
+      ).join(", ")}`
+    ),
+
+  body("title")
+    .optional()
+    .trim()
+    .isLength({
+      min: VENDOR_COMPLIANCE.TITLE.MIN_LENGTH,
+      max: VENDOR_COMPLIANCE.TITLE.MAX_LENGTH,
+    })
+    .withMessage(
+      `Document title must be between ${VENDOR_COMPLIANCE.TITLE.MIN_LENGTH} and ${VENDOR_COMPLIANCE.TITLE.MAX_LENGTH} characters`
+    ),
+
+  body("referenceNumber")
+    .optional()
+    .trim()
+    .isLength({ max: VENDOR_COMPLIANCE.REFERENCE_NUMBER.MAX_LENGTH })
+    .withMessage(
+      `Reference number must not exceed ${VENDOR_COMPLIANCE.REFERENCE_NUMBER.MAX_LENGTH} characters`
+    ),
+
+  body("issueDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid issue date format"),
+
+  body("expiryDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid expiry date format")
+    .custom((value, { req }) => {
+      if (
+        req.body.issueDate &&
+        new Date(value) <= new Date(req.body.issueDate)
+      ) {
+        throw new Error("Expiry date must be after issue date");
+      }
+      return true;
+    }),
+
+  body("isMandatory")
+    .optional()
+    .isBoolean()
+    .withMessage("Is mandatory must be a boolean")
+    .toBoolean(),
+
+  body("attachment").optional().custom(validateDocumentAttachment),
+];
+
+/**
+ * Delete Vendor Document Validator
+ */
+export const deleteVendorDocumentValidator = [
+  param("vendorId")
+    .trim()
+    .notEmpty()
+    .withMessage("Vendor ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid vendor ID format")
+    .custom(async (value) => {
+      const vendor = await Vendor.findById(value).withDeleted().lean();
+      if (!vendor) {
+        throw new Error("Vendor not found");
+      }
+      if (vendor.isDeleted) {
+        throw new Error("Cannot update deleted vendor");
+      }
+      return true;
+    }),
+
+  param("documentId")
+    .trim()
+    .notEmpty()
+    .withMessage("Document ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid document ID format"),
+];
+
 export default {
   listVendorsValidator,
   createVendorValidator,
@@ -483,4 +719,8 @@ export default {
   deleteVendorValidator,
   restoreVendorValidator,
   getVendorByIdValidator,
+  getVendorScorecardValidator,
+  addVendorDocumentValidator,
+  updateVendorDocumentValidator,
+  deleteVendorDocumentValidator,
 };
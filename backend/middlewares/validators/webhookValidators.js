@@ -0,0 +1,276 @@
+import { body, param, query } from "express-validator";
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_VALIDATION,
+  WEBHOOK_DELIVERY_STATUS,
+  SOCKET_EVENTS,
+  COMMON_VALIDATION,
+  SEARCH_VALIDATION,
+} from "../../utils/constants.js";
+import { Webhook, WebhookDelivery } from "../../models/index.js";
+import { assertPublicWebhookUrl } from "../../services/webhookService.js";
+
+/**
+ * Webhook Validators
+ * Validates webhook management requests (CRUD, ping, delivery log, redelivery)
+ * Uses express-validator for validation
+ * Webhooks and deliveries must belong to the user's organization
+ */
+
+// Receiver URLs: https only in production (payloads must not travel in clear text),
+// http allowed in development. Hosts must resolve to public addresses unless
+// WEBHOOK_ALLOW_PRIVATE_URLS=true in development (see assertPublicWebhookUrl)
+const WEBHOOK_URL_PROTOCOLS =
+  process.env.NODE_ENV === "production" ? ["https"] : ["http", "https"];
+
+/**
+ * Check that a webhook exists in the user's organization
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} user - req.user
+ * @returns {Promise<boolean>} True if valid
+ * @throws {Error} If the webhook is missing or belongs to another organization
+ */
+const validateWebhookInScope = async (webhookId, user) => {
+  // SCOPING: Missing and other-organization webhooks are reported the same way
+  const exists = await Webhook.exists({
+    _id: webhookId,
+    organization: user.organization._id,
+  });
+  if (!exists) {
+    throw new Error("Webhook not found");
+  }
+  return true;
+};
+
+/**
+ * Webhook ID param chain
+ * @returns {ValidationChain} Validated webhookId param
+ */
+const webhookIdParam = () =>
+  param("webhookId")
+    .trim()
+    .notEmpty()
+    .withMessage("Webhook ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid webhook ID format")
+    .custom((value, { req }) => validateWebhookInScope(value, req.user));
+
+/**
+ * Pagination query chains
+ * @returns {Array<ValidationChain>} Validated page and limit
+ */
+const paginationQuery = () => [
+  query("page")
+    .optional()
+    .isInt({ min: SEARCH_VALIDATION.PAGE.MIN, max: SEARCH_VALIDATION.PAGE.MAX })
+    .withMessage(
+      `Page must be between ${SEARCH_VALIDATION.PAGE.MIN} and ${SEARCH_VALIDATION.PAGE.MAX}`
+    )
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({
+      min: SEARCH_VALIDATION.LIMIT.MIN,
+      max: SEARCH_VALIDATION.LIMIT.MAX,
+    })
+    .withMessage(
+      `Limit must be between ${SEARCH_VALIDATION.LIMIT.MIN} and ${SEARCH_VALIDATION.LIMIT.MAX}`
+    )
+    .toInt(),
+];
+
+/**
+ * Webhook body chains shared by create and update
+ * @param {boolean} isUpdate - Fields are optional on update
+ * @returns {Array<ValidationChain>} Validated url, events, secret, description, isActive
+ */
+const webhookBody = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field("url")
+      .trim()
+      .notEmpty()
+      .withMessage("Webhook URL is required")
+      .isLength({ max: WEBHOOK_VALIDATION.URL.MAX_LENGTH })
+      .withMessage(
+        `Webhook URL must not exceed ${WEBHOOK_VALIDATION.URL.MAX_LENGTH} characters`
+      )
+      .isURL({
+        protocols: WEBHOOK_URL_PROTOCOLS,
+        require_protocol: true,
+        require_tld: process.env.NODE_ENV === "production",
+        disallow_auth: true,
+      })
+      .withMessage(
+        `Webhook URL must be a valid ${WEBHOOK_URL_PROTOCOLS.join(" or ")} URL`
+      )
+      .bail()
+      .custom(assertPublicWebhookUrl),
+
+    field("events")
+      .isArray({ min: WEBHOOK_VALIDATION.EVENTS.MIN_COUNT })
+      .withMessage("Webhook must subscribe to at least one event")
+      .custom((value) => {
+        for (const event of value) {
+          if (!WEBHOOK_EVENTS.includes(event)) {
+            throw new Error(
+              `Invalid webhook event. Must be one of: ${WEBHOOK_EVENTS.join(
+                ", "
+              )}`
+            );
+          }
+        }
+        return true;
+      })
+      .customSanitizer((value) => [...new Set(value)]),
+
+    // Optional on create too: a secret is generated when omitted
+    body("secret")
+      .optional()
+      .isString()
+      .withMessage("Webhook secret must be a string")
+      .isLength({
+        min: WEBHOOK_VALIDATION.SECRET.MIN_LENGTH,
+        max: WEBHOOK_VALIDATION.SECRET.MAX_LENGTH,
+      })
+      .withMessage(
+        `Webhook secret must be between ${WEBHOOK_VALIDATION.SECRET.MIN_LENGTH} and ${WEBHOOK_VALIDATION.SECRET.MAX_LENGTH} characters`
+      ),
+
+    body("description")
+      .optional({ values: "null" })
+      .trim()
+      .isLength({ max: WEBHOOK_VALIDATION.DESCRIPTION.MAX_LENGTH })
+      .withMessage(
+        `Description must not exceed ${WEBHOOK_VALIDATION.DESCRIPTION.MAX_LENGTH} characters`
+      ),
+
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be a boolean")
+      .toBoolean(),
+  ];
+};
+
+/**
+ * List Webhooks Validator
+ * Validates query parameters for listing webhooks
+ */
+export const listWebhooksValidator = [
+  ...paginationQuery(),
+
+  query("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean")
+    .toBoolean(),
+
+  query("event")
+    .optional()
+    .trim()
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage("Invalid webhook event filter"),
+];
+
+/**
+ * Create Webhook Validator
+ * Organizations can have at most WEBHOOK_VALIDATION.MAX_PER_ORGANIZATION webhooks
+ */
+export const createWebhookValidator = [
+  ...webhookBody(false),
+
+  body().custom(async (_value, { req }) => {
+    const count = await Webhook.countDocuments({
+      organization: req.user.organization._id,
+    });
+    if (count >= WEBHOOK_VALIDATION.MAX_PER_ORGANIZATION) {
+      throw new Error(
+        `Organizations can have at most ${WEBHOOK_VALIDATION.MAX_PER_ORGANIZATION} webhooks`
+      );
+    }
+    return true;
+  }),
+];
+
+/**
+ * Update Webhook Validator
+ * Webhook must exist in the user's organization
+ */
+export const updateWebhookValidator = [webhookIdParam(), ...webhookBody(true)];
+
+/**
+ * Webhook ID Validator
+ * Used by get, delete and ping
+ */
+export const webhookIdValidator = [webhookIdParam()];
+
+/**
+ * List Webhook Deliveries Validator
+ * Validates the webhook and the delivery log filters
+ */
+export const listWebhookDeliveriesValidator = [
+  webhookIdParam(),
+
+  ...paginationQuery(),
+
+  query("status")
+    .optional()
+    .trim()
+    .isIn(Object.values(WEBHOOK_DELIVERY_STATUS))
+    .withMessage("Invalid delivery status filter"),
+
+  query("event")
+    .optional()
+    .trim()
+    .isIn([...WEBHOOK_EVENTS, SOCKET_EVENTS.WEBHOOK_PING])
+    .withMessage("Invalid webhook event filter"),
+];
+
+/**
+ * Redeliver Webhook Delivery Validator
+ * Delivery must belong to the webhook and be DELIVERED or FAILED
+ */
+export const redeliverWebhookDeliveryValidator = [
+  webhookIdParam(),
+
+  param("deliveryId")
+    .trim()
+    .notEmpty()
+    .withMessage("Delivery ID is required")
+    .matches(COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN)
+    .withMessage("Invalid delivery ID format")
+    .custom(async (value, { req }) => {
+      const delivery = await WebhookDelivery.findOne({
+        _id: value,
+        webhook: req.params.webhookId,
+      })
+        .select("status")
+        .lean();
+      if (!delivery) {
+        throw new Error("Webhook delivery not found");
+      }
+      if (
+        ![
+          WEBHOOK_DELIVERY_STATUS.DELIVERED,
+          WEBHOOK_DELIVERY_STATUS.FAILED,
+        ].includes(delivery.status)
+      ) {
+        throw new Error(
+          "Only delivered or failed deliveries can be redelivered"
+        );
+      }
+      return true;
+    }),
+];
+
+export default {
+  listWebhooksValidator,
+  createWebhookValidator,
+  updateWebhookValidator,
+  webhookIdValidator,
+  listWebhookDeliveriesValidator,
+  redeliverWebhookDeliveryValidator,
+};
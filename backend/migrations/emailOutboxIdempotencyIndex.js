@@ -0,0 +1,70 @@
+import dotenv from "dotenv";
+import connectDB, { closeConnection } from "../config/db.js";
+import { EmailOutbox } from "../models/index.js";
+import logger from "../utils/logger.js";
+import { EMAIL_OUTBOX_STATUS } from "../utils/constants.js";
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Email Outbox Idempotency Index Migration
+ * The idempotency key is now optional and only unique among messages that have
+ * one: rebuilds the unique idempotencyKey index as a partial index, and clears
+ * the keys of FAILED messages and the content hashes that used to be generated
+ * for emails queued without a key, so they no longer block new emails
+ *
+ * Usage: npm run migrate:email-outbox-keys
+ */
+
+/**
+ * Clear content-hash and FAILED idempotency keys, then rebuild the indexes
+ * @returns {Promise<Object>} Migration result
+ */
+export const migrateEmailOutboxIdempotencyIndex = async () => {
+  // Drop the old (non-partial) unique index first: it allows a single null key
+  try {
+    await EmailOutbox.collection.dropIndex("idempotencyKey_1");
+  } catch (error) {
+    if (error.codeName !== "IndexNotFound") throw error;
+  }
+
+  // Generated keys were hex SHA-256 hashes; event keys are "<event>:<id>..."
+  const result = await EmailOutbox.updateMany(
+    {
+      $or: [
+        { status: EMAIL_OUTBOX_STATUS.FAILED },
+        { idempotencyKey: { $regex: /^[0-9a-f]{64}$/ } },
+      ],
+      idempotencyKey: { $type: "string" },
+    },
+    { $set: { idempotencyKey: null } }
+  );
+
+  const droppedIndexes = await EmailOutbox.syncIndexes();
+
+  return {
+    success: true,
+    matchedCount: result.matchedCount,
+    modifiedCount: result.modifiedCount,
+    droppedIndexes,
+  };
+};
+
+try {
+  await connectDB();
+
+  logger.info("Starting email outbox idempotency index migration");
+  const result = await migrateEmailOutboxIdempotencyIndex();
+  logger.info("Email outbox idempotency index migration completed", result);
+
+  await closeConnection();
+  process.exit(0);
+} catch (error) {
+  logger.error("Email outbox idempotency index migration failed", {
+    error: error.message,
+    stack: error.stack,
+  });
+  await closeConnection();
+  process.exit(1);
+}
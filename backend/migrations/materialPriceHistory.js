@@ -0,0 +1,86 @@
+import dotenv from "dotenv";
+import connectDB, { closeConnection } from "../config/db.js";
+import { Material, MaterialPrice } from "../models/index.js";
+import logger from "../utils/logger.js";
+import { MATERIAL_PRICE_SOURCES } from "../utils/constants.js";
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Material Price History Migration
+ * Opens the price history of materials created before it existed: each material
+ * without MaterialPrice entries gets one with its current price, effective
+ * from the material's creation date (so past costs keep the current price)
+ * Runs server-side (aggregation with $merge) and can be re-run safely
+ *
+ * Usage: npm run migrate:material-prices
+ */
+
+/**
+ * Create the opening price entry of materials without price history
+ * @returns {Promise<Object>} Migration result
+ */
+export const migrateMaterialPriceHistory = async () => {
+  const countBefore = await MaterialPrice.countDocuments();
+
+  // Raw collection: soft-deleted materials are included
+  await Material.collection
+    .aggregate([
+      {
+        $lookup: {
+          from: MaterialPrice.collection.collectionName,
+          localField: "_id",
+          foreignField: "material",
+          as: "priceHistory",
+        },
+      },
+      { $match: { priceHistory: { $size: 0 } } },
+      {
+        $project: {
+          _id: 0,
+          organization: "$organization",
+          material: "$_id",
+          price: { $ifNull: ["$price", 0] },
+          effectiveFrom: { $ifNull: ["$createdAt", "$$NOW"] },
+          vendor: null,
+          source: MATERIAL_PRICE_SOURCES.MANUAL,
+          note: "Opening price",
+          recordedBy: { $ifNull: ["$createdBy", null] },
+          createdAt: "$$NOW",
+        },
+      },
+      {
+        $merge: {
+          into: MaterialPrice.collection.collectionName,
+          whenNotMatched: "insert",
+        },
+      },
+    ])
+    .toArray();
+
+  const createdCount = (await MaterialPrice.countDocuments()) - countBefore;
+
+  return {
+    success: true,
+    createdCount,
+  };
+};
+
+try {
+  await connectDB();
+
+  logger.info("Starting material price history migration");
+  const result = await migrateMaterialPriceHistory();
+  logger.info("Material price history migration completed", result);
+
+  await closeConnection();
+  process.exit(0);
+} catch (error) {
+  logger.error("Material price history migration failed", {
+    error: error.message,
+    stack: error.stack,
+  });
+  await closeConnection();
+  process.exit(1);
+}
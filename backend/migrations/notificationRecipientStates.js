@@ -0,0 +1,76 @@
+import dotenv from "dotenv";
+import connectDB, { closeConnection } from "../config/db.js";
+import { Notification } from "../models/index.js";
+import logger from "../utils/logger.js";
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Notification Recipient States Migration
+ * Moves the shared Notification.isRead flag to per-recipient state
+ * Existing read notifications are marked read and seen for every recipient at updatedAt
+ * Runs server-side (pipeline update) so large organizations are migrated without
+ * loading documents into memory, then syncs indexes (drops the old isRead index)
+ *
+ * Usage: npm run migrate:notification-states
+ */
+
+/**
+ * Build recipientStates from the legacy isRead flag
+ * @returns {Promise<Object>} Migration result
+ */
+export const migrateNotificationRecipientStates = async () => {
+  const readTimestamp = { $cond: ["$isRead", "$updatedAt", null] };
+
+  // Raw collection: isRead is no longer part of the schema
+  const result = await Notification.collection.updateMany(
+    { recipientStates: { $exists: false } },
+    [
+      {
+        $set: {
+          recipientStates: {
+            $map: {
+              input: "$recipients",
+              as: "recipient",
+              in: {
+                user: "$$recipient",
+                readAt: readTimestamp,
+                seenAt: readTimestamp,
+                archivedAt: null,
+              },
+            },
+          },
+        },
+      },
+      { $unset: "isRead" },
+    ]
+  );
+
+  const droppedIndexes = await Notification.syncIndexes();
+
+  return {
+    success: true,
+    matchedCount: result.matchedCount,
+    modifiedCount: result.modifiedCount,
+    droppedIndexes,
+  };
+};
+
+try {
+  await connectDB();
+
+  logger.info("Starting notification recipient states migration");
+  const result = await migrateNotificationRecipientStates();
+  logger.info("Notification recipient states migration completed", result);
+
+  await closeConnection();
+  process.exit(0);
+} catch (error) {
+  logger.error("Notification recipient states migration failed", {
+    error: error.message,
+    stack: error.stack,
+  });
+  await closeConnection();
+  process.exit(1);
+}
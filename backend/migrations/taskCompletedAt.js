@@ -0,0 +1,56 @@
+import dotenv from "dotenv";
+import connectDB, { closeConnection } from "../config/db.js";
+import { Task } from "../models/index.js";
+import logger from "../utils/logger.js";
+import { TASK_STATUS } from "../utils/constants.js";
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Task Completion Time Migration
+ * Backfills Task.completedAt for tasks completed before it was recorded
+ * The completion time of those tasks is unknown: updatedAt is the best estimate
+ * Runs server-side (pipeline update), soft-deleted tasks included
+ *
+ * Usage: npm run migrate:task-completed-at
+ */
+
+/**
+ * Set completedAt of completed tasks that have none
+ * @returns {Promise<Object>} Migration result
+ */
+export const migrateTaskCompletedAt = async () => {
+  // Raw collection: skips the soft-delete filter and leaves updatedAt untouched
+  const result = await Task.collection.updateMany(
+    {
+      status: TASK_STATUS.COMPLETED,
+      completedAt: null,
+    },
+    [{ $set: { completedAt: "$updatedAt" } }]
+  );
+
+  return {
+    success: true,
+    matchedCount: result.matchedCount,
+    modifiedCount: result.modifiedCount,
+  };
+};
+
+try {
+  await connectDB();
+
+  logger.info("Starting task completion time migration");
+  const result = await migrateTaskCompletedAt();
+  logger.info("Task completion time migration completed", result);
+
+  await closeConnection();
+  process.exit(0);
+} catch (error) {
+  logger.error("Task completion time migration failed", {
+    error: error.message,
+    stack: error.stack,
+  });
+  await closeConnection();
+  process.exit(1);
+}
@@ -0,0 +1,235 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import {
+  API_TOKEN,
+  API_TOKEN_TYPES,
+  API_TOKEN_VALIDATION,
+} from "../utils/constants.js";
+
+/**
+ * Transform function to sanitize API token documents
+ * Removes virtual 'id', version key and the token hash from serialized output
+ */
+const transformApiTokenDocument = (_doc, ret) => {
+  delete ret.id;
+  delete ret.__v;
+  delete ret.tokenHash;
+  return ret;
+};
+
+/**
+ * Hash an API token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * ApiToken Model
+ *
+ * Credentials for machine clients, sent as "Authorization: Bearer <token>"
+ * - API_KEY: organization key managed by its admins, acts as the admin who created it
+ * - PERSONAL_ACCESS_TOKEN: acts as its owner
+ * Requests are limited to the token scopes ("resource:operation") AND the current
+ * role of the acting user, so tokens never outrank their user
+ * Only the SHA-256 hash is stored; the plain token is returned once at creation
+ * Tokens stop working when revoked, expired, or when the acting user can no
+ * longer authenticate (deleted, organization or department deleted, subscription lapsed)
+ *
+ * Not soft-deletable: revoked tokens are kept for auditing
+ */
+
+const apiTokenSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: {
+        values: Object.values(API_TOKEN_TYPES),
+        message: "Invalid API token type",
+      },
+      required: [true, "API token type is required"],
+    },
+
+    name: {
+      type: String,
+      required: [true, "API token name is required"],
+      trim: true,
+      minlength: [
+        API_TOKEN_VALIDATION.NAME.MIN_LENGTH,
+        `API token name must be at least ${API_TOKEN_VALIDATION.NAME.MIN_LENGTH} characters`,
+      ],
+      maxlength: [
+        API_TOKEN_VALIDATION.NAME.MAX_LENGTH,
+        `API token name must not exceed ${API_TOKEN_VALIDATION.NAME.MAX_LENGTH} characters`,
+      ],
+    },
+
+    // SHA-256 of the plain token
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      select: false,
+    },
+
+    // Start of the plain token, shown in lists to identify the token
+    prefix: {
+      type: String,
+      required: [true, "Token prefix is required"],
+    },
+
+    // Granted "resource:operation" pairs (see getAssignableScopes)
+    scopes: {
+      type: [String],
+      validate: {
+        validator: (scopes) =>
+          scopes.length >= API_TOKEN_VALIDATION.SCOPES.MIN_COUNT,
+        message: "API token must have at least one scope",
+      },
+    },
+
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+
+    // Acting user: owner of a personal access token, creator of an API key
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+
+    // Null = never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Last authenticated request (updated at most every LAST_USED_UPDATE_INTERVAL_MS)
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: transformApiTokenDocument,
+    },
+    toObject: {
+      virtuals: true,
+      transform: transformApiTokenDocument,
+    },
+  }
+);
+
+// Indexes
+// Token lookup on every authenticated request
+apiTokenSchema.index({ tokenHash: 1 }, { unique: true });
+// Personal access tokens of a user
+apiTokenSchema.index({ user: 1, type: 1, revokedAt: 1 });
+// API keys of an organization
+apiTokenSchema.index({ organization: 1, type: 1, revokedAt: 1 });
+
+/**
+ * Generate a new plain token of a type
+ * @param {string} type - API_TOKEN_TYPES value
+ * @returns {{token: string, tokenHash: string, prefix: string}} Plain token,
+ *   its hash and display prefix
+ */
+apiTokenSchema.statics.generateToken = function (type) {
+  const token = `${API_TOKEN.PREFIXES[type]}${crypto
+    .randomBytes(API_TOKEN.TOKEN_BYTES)
+    .toString("hex")}`;
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, API_TOKEN.DISPLAY_PREFIX_LENGTH),
+  };
+};
+
+/**
+ * Check if a bearer token looks like an API token (not a JWT)
+ * @param {string} token - Bearer token
+ * @returns {boolean} True if the token has an API token prefix
+ */
+apiTokenSchema.statics.isApiToken = function (token) {
+  return Object.values(API_TOKEN.PREFIXES).some((prefix) =>
+    token.startsWith(prefix)
+  );
+};
+
+/**
+ * Find the token document of a plain token (revoked and expired included)
+ * @param {string} token - Plain token
+ * @returns {Promise<Object|null>} Lean token document or null
+ */
+apiTokenSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token) }).lean();
+};
+
+/**
+ * Filter of tokens that can still authenticate
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object} MongoDB filter
+ */
+apiTokenSchema.statics.getActiveFilter = function (now = new Date()) {
+  return {
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  };
+};
+
+/**
+ * Record that a token was used (throttled to one write per LAST_USED_UPDATE_INTERVAL_MS)
+ * @param {mongoose.Types.ObjectId} tokenId - Token ID
+ * @param {string} ip - Request IP address
+ * @returns {Promise<Object>} Update result
+ */
+apiTokenSchema.statics.recordUse = function (tokenId, ip) {
+  const now = new Date();
+
+  return this.updateOne(
+    {
+      _id: tokenId,
+      $or: [
+        { lastUsedAt: null },
+        {
+          lastUsedAt: {
+            $lt: new Date(
+              now.getTime() - API_TOKEN.LAST_USED_UPDATE_INTERVAL_MS
+            ),
+          },
+        },
+      ],
+    },
+    { $set: { lastUsedAt: now, lastUsedIp: ip || null } }
+  );
+};
+
+// Apply plugins
+apiTokenSchema.plugin(mongoosePaginate); // Pagination plugin
+
+const ApiToken = mongoose.model("ApiToken", apiTokenSchema);
+
+export default ApiToken;
@@ -3,9 +3,10 @@ import mongoosePaginate from "mongoose-paginate-v2";
 import softDeletePlugin from "./plugins/softDelete.js";
 import {
   ATTACHMENT_VALIDATION,
-  CLOUDINARY_VALIDATION,
   FILE_TYPES,
   PARENT_MODEL_TYPES,
+  STORAGE_PROVIDERS,
+  THUMBNAIL_SIZES,
 } from "../utils/constants.js";
 
 /**
@@ -19,11 +20,72 @@ const transformAttachmentDocument = (_doc, ret) => {
   return ret;
 };
 
+/**
+ * Image details sub-schema (image attachments)
+ * EXIF data never includes GPS information
+ */
+const imageDetailsSchema = new mongoose.Schema(
+  {
+    width: {
+      type: Number,
+      min: [0, "Image width must be positive"],
+    },
+    height: {
+      type: Number,
+      min: [0, "Image height must be positive"],
+    },
+    exif: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Thumbnail sub-schema (image attachments)
+ * Cloudinary: public HTTPS URL; local: /api/attachments/{id}/thumbnails/{size}
+ */
+const thumbnailSchema = new mongoose.Schema(
+  {
+    size: {
+      type: String,
+      required: [true, "Thumbnail size is required"],
+      enum: {
+        values: Object.values(THUMBNAIL_SIZES),
+        message: "Invalid thumbnail size",
+      },
+    },
+    width: {
+      type: Number,
+      min: [0, "Thumbnail width must be positive"],
+    },
+    height: {
+      type: Number,
+      min: [0, "Thumbnail height must be positive"],
+    },
+    url: {
+      type: String,
+      required: [true, "Thumbnail URL is required"],
+      trim: true,
+    },
+    storageKey: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 /**
  * Attachment Model
  *
  * File attachments for tasks, activities, and comments
- * Uploaded to Cloudinary, URL stored in database
+ * Stored through a storage adapter (local disk or Cloudinary, see services/storage);
+ * storage and storageKey identify the stored file
+ * Local files have no public URL: fileUrl points to the download endpoint
+ * fileType and mimeType are verified against the file content (magic bytes);
+ * images also get dimensions, EXIF data (without GPS) and thumbnails
  *
  * TTL: 30 days
  *
@@ -47,15 +109,57 @@ const attachmentSchema = new mongoose.Schema(
       ],
     },
 
-    // File URL (Cloudinary) (Requirement 15.2)
+    // File URL (Requirement 15.2)
+    // Cloudinary: public HTTPS URL; local: /api/attachments/{id}/download
     fileUrl: {
       type: String,
       required: [true, "File URL is required"],
       trim: true,
-      match: [
-        CLOUDINARY_VALIDATION.URL_PATTERN,
-        "Please provide a valid Cloudinary URL",
-      ],
+      validate: {
+        validator: function (value) {
+          return this.storage === STORAGE_PROVIDERS.LOCAL
+            ? value.startsWith("/api/attachments/")
+            : /^https:\/\/\S+$/.test(value);
+        },
+        message: "Please provide a valid file URL",
+      },
+    },
+
+    // MIME type (verified against the file content on upload)
+    mimeType: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+
+    // Storage provider holding the file
+    // (attachments created before storage adapters are on Cloudinary)
+    storage: {
+      type: String,
+      enum: {
+        values: Object.values(STORAGE_PROVIDERS),
+        message: "Invalid storage provider",
+      },
+      default: STORAGE_PROVIDERS.CLOUDINARY,
+    },
+
+    // Provider-specific file key (local: relative path, Cloudinary: {resource_type}/{public_id})
+    storageKey: {
+      type: String,
+      default: null,
+    },
+
+    // Image details: dimensions and EXIF data (images only)
+    image: {
+      type: imageDetailsSchema,
+      default: null,
+    },
+
+    // Image thumbnails, one per THUMBNAIL_SIZES value (images only)
+    thumbnails: {
+      type: [thumbnailSchema],
+      default: [],
     },
 
     // File Type (Requirement 15.3)
@@ -0,0 +1,181 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import {
+  AUDIT_OPERATIONS,
+  AUDIT_RESOURCES,
+  AUDIT_LOG_VALIDATION,
+  USER_ROLES,
+} from "../utils/constants.js";
+
+/**
+ * Transform function to sanitize audit log documents
+ * Removes virtual 'id' and version key from serialized output
+ */
+const transformAuditLogDocument = (_doc, ret) => {
+  delete ret.id;
+  delete ret.__v;
+  return ret;
+};
+
+/**
+ * AuditLog Model
+ *
+ * Append-only audit trail: one entry per create, update, delete or restore
+ * made through the API, with the actor, the request (request ID and IP) and
+ * the changed fields (before/after values)
+ *
+ * Fields that are never returned by queries (select: false, e.g. passwords and
+ * token hashes) are recorded as changed with redacted values
+ *
+ * Entries are never updated or deleted (and not soft-deletable)
+ */
+
+/**
+ * Field change schema
+ * Values are stored as plain JSON (ObjectIds as strings)
+ */
+const auditChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: [true, "Changed field is required"],
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+
+    // User who made the change (null for system changes)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    actorRole: {
+      type: String,
+      enum: {
+        values: [...Object.values(USER_ROLES), null],
+        message: "Invalid actor role",
+      },
+      default: null,
+    },
+    // API token the request was authenticated with (null for sessions)
+    apiToken: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiToken",
+      default: null,
+    },
+
+    resource: {
+      type: String,
+      required: [true, "Resource is required"],
+      enum: {
+        values: Object.values(AUDIT_RESOURCES),
+        message: "Invalid audit resource",
+      },
+    },
+    resourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Resource ID is required"],
+    },
+
+    operation: {
+      type: String,
+      required: [true, "Operation is required"],
+      enum: {
+        values: Object.values(AUDIT_OPERATIONS),
+        message: "Invalid audit operation",
+      },
+    },
+    // Workflow action behind an UPDATE (e.g. approve, upload-avatar)
+    action: {
+      type: String,
+      trim: true,
+      maxlength: [
+        AUDIT_LOG_VALIDATION.ACTION.MAX_LENGTH,
+        `Action must not exceed ${AUDIT_LOG_VALIDATION.ACTION.MAX_LENGTH} characters`,
+      ],
+      default: null,
+    },
+
+    changes: {
+      type: [auditChangeSchema],
+      default: [],
+    },
+
+    // Request that made the change (X-Request-Id) and client IP
+    requestId: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: transformAuditLogDocument,
+    },
+    toObject: {
+      virtuals: true,
+      transform: transformAuditLogDocument,
+    },
+  }
+);
+
+// Indexes
+// Organization trail (newest first) and its common filters
+auditLogSchema.index({ organization: 1, createdAt: -1 });
+auditLogSchema.index({ organization: 1, resource: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ organization: 1, actor: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+// Apply plugins
+auditLogSchema.plugin(mongoosePaginate); // Pagination plugin
+
+// Append-only: existing entries cannot be changed
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Audit log entries cannot be modified"));
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error("Audit log entries cannot be modified or deleted"));
+  }
+);
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,253 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import { EMAIL_OUTBOX_STATUS, EMAIL_OUTBOX } from "../utils/constants.js";
+
+/**
+ * Transform function to sanitize outbox documents
+ * Removes virtual 'id' and version key from serialized output
+ */
+const transformOutboxDocument = (_doc, ret) => {
+  delete ret.id;
+  delete ret.__v;
+  return ret;
+};
+
+/**
+ * EmailOutbox Model
+ *
+ * Persistent queue of outgoing emails delivered by the outbox worker
+ * Failed deliveries are retried with exponential backoff up to EMAIL_OUTBOX.MAX_ATTEMPTS,
+ * then kept as FAILED (with the last error) until an admin resends them
+ * idempotencyKey (optional, scoped to the event that sends the email) is unique
+ * among messages so the same event never queues its email twice; messages
+ * without a key are never deduplicated
+ * Bodies of sent messages are dropped (they may contain one-time tokens) and
+ * sent messages expire after EMAIL_OUTBOX.SENT_RETENTION
+ *
+ * Not soft-deletable: outbox entries are operational records
+ */
+
+const emailOutboxSchema = new mongoose.Schema(
+  {
+    // Deduplication key of the sending event (e.g. notification:<id>:<recipient>)
+    idempotencyKey: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    // Template name (e.g. PASSWORD_RESET), for filtering and logs
+    template: {
+      type: String,
+      required: [true, "Email template is required"],
+      trim: true,
+    },
+
+    // Organization the email relates to (null for platform emails)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+
+    // Mail options
+    from: {
+      type: String,
+      required: [true, "Sender is required"],
+    },
+    to: {
+      type: String,
+      required: [true, "Recipient is required"],
+      lowercase: true,
+      trim: true,
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+    },
+    html: {
+      type: String,
+      default: null,
+    },
+    text: {
+      type: String,
+      default: null,
+    },
+
+    // Delivery state
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(EMAIL_OUTBOX_STATUS),
+        message: "Invalid email outbox status",
+      },
+      default: EMAIL_OUTBOX_STATUS.PENDING,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: [0, "Attempts cannot be negative"],
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Claim expiry while SENDING (reclaimed if a worker dies mid-send)
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    messageId: {
+      type: String,
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    failedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Admin who last requested a resend
+    resentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // TTL expiry (set once sent)
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: transformOutboxDocument,
+    },
+    toObject: {
+      virtuals: true,
+      transform: transformOutboxDocument,
+    },
+  }
+);
+
+// Indexes
+emailOutboxSchema.index(
+  { idempotencyKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { idempotencyKey: { $type: "string" } },
+  }
+);
+// Worker polling
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+// Admin listing
+emailOutboxSchema.index({ organization: 1, status: 1, createdAt: -1 });
+// TTL index for automatic expiry of sent messages
+emailOutboxSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Compute the retry delay after a failed attempt (exponential backoff)
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+emailOutboxSchema.statics.getRetryDelay = function (attempts) {
+  return Math.min(
+    EMAIL_OUTBOX.BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0),
+    EMAIL_OUTBOX.MAX_DELAY_MS
+  );
+};
+
+/**
+ * Atomically claim the next message due for delivery
+ * Picks PENDING messages whose nextAttemptAt has passed, and SENDING messages
+ * whose lock expired; increments attempts
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<mongoose.Document|null>} Claimed message or null
+ */
+emailOutboxSchema.statics.claimNext = function (now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        {
+          status: EMAIL_OUTBOX_STATUS.PENDING,
+          nextAttemptAt: { $lte: now },
+        },
+        {
+          status: EMAIL_OUTBOX_STATUS.SENDING,
+          lockedUntil: { $lte: now },
+        },
+      ],
+    },
+    {
+      $set: {
+        status: EMAIL_OUTBOX_STATUS.SENDING,
+        lockedUntil: new Date(now.getTime() + EMAIL_OUTBOX.LOCK_TIMEOUT_MS),
+        lastAttemptAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * Record the outcome of a delivery attempt
+ * Success: SENT, body dropped, expires after SENT_RETENTION
+ * Failure: PENDING with backoff, or FAILED once MAX_ATTEMPTS is reached
+ * @param {mongoose.Document} message - Claimed message
+ * @param {Object} result - Result of emailService.deliverEmail ({ success, messageId, error })
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<mongoose.Document>} Updated message
+ */
+emailOutboxSchema.methods.recordAttempt = async function (
+  result,
+  now = new Date()
+) {
+  this.lockedUntil = null;
+
+  if (result.success) {
+    this.status = EMAIL_OUTBOX_STATUS.SENT;
+    this.messageId = result.messageId || null;
+    this.sentAt = now;
+    this.lastError = null;
+    this.html = null;
+    this.text = null;
+    this.expiresAt = new Date(
+      now.getTime() + EMAIL_OUTBOX.SENT_RETENTION * 1000
+    );
+  } else if (this.attempts >= EMAIL_OUTBOX.MAX_ATTEMPTS) {
+    this.status = EMAIL_OUTBOX_STATUS.FAILED;
+    this.lastError = result.error;
+    this.failedAt = now;
+  } else {
+    this.status = EMAIL_OUTBOX_STATUS.PENDING;
+    this.lastError = result.error;
+    this.nextAttemptAt = new Date(
+      now.getTime() + this.constructor.getRetryDelay(this.attempts)
+    );
+  }
+
+  return this.save();
+};
+
+// Apply plugins
+emailOutboxSchema.plugin(mongoosePaginate); // Pagination plugin
+
+const EmailOutbox = mongoose.model("EmailOutbox", emailOutboxSchema);
+
+export default EmailOutbox;
@@ -1,7 +1,13 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
 import softDeletePlugin from "./plugins/softDelete.js";
-import { MATERIAL_VALIDATION, MATERIAL_CATEGORY } from "../utils/constants.js";
+import {
+  MATERIAL_VALIDATION,
+  MATERIAL_CATEGORY,
+  MATERIAL_PRICE_VALIDATION,
+  STOCK_VALIDATION,
+  COST_VALIDATION,
+} from "../utils/constants.js";
 
 /**
  * Material Model
@@ -11,12 +17,76 @@ import { MATERIAL_VALIDATION, MATERIAL_CATEGORY } from "../utils/constants.js";
  * - ProjectTask/AssignedTask: materials added to TaskActivity with quantities
  * - RoutineTask: materials added directly to task (no TaskActivity)
  *
+ * Stock on hand is kept in the stock ledger (StockLevel per department)
+ * reorderPoint/reorderQuantity apply to the stock of the material's own department:
+ * the department HOD is alerted when it falls to or below the reorder point
+ *
+ * price is the current price; every change is kept in the MaterialPrice history
+ * with its effective date, and costs use the price effective on the date of use
+ * Vendors' quotes are kept on the material until one is accepted as the price
+ *
  * When deleted, remove from Task/TaskActivity
  * TTL: 90 days
  *
  * Requirements: 13.1, 13.2, 13.3, 13.4, 13.5, 13.6, 13.7, 13.8
  */
 
+// Vendor quote for the material
+const materialQuoteSchema = new mongoose.Schema(
+  {
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      required: [true, "Vendor is required"],
+    },
+    unitPrice: {
+      type: Number,
+      required: [true, "Unit price is required"],
+      min: [COST_VALIDATION.AMOUNT.MIN, "Unit price cannot be negative"],
+      max: [
+        COST_VALIDATION.AMOUNT.MAX,
+        `Unit price must not exceed ${COST_VALIDATION.AMOUNT.MAX}`,
+      ],
+    },
+    // Smallest order quantity the quote applies to (optional)
+    minimumQuantity: {
+      type: Number,
+      min: [0, "Minimum quantity cannot be negative"],
+      default: null,
+    },
+    // Quote is valid until this moment (optional)
+    validUntil: {
+      type: Date,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [
+        MATERIAL_PRICE_VALIDATION.NOTE.MAX_LENGTH,
+        `Note must not exceed ${MATERIAL_PRICE_VALIDATION.NOTE.MAX_LENGTH} characters`,
+      ],
+      default: "",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Created by user is required"],
+    },
+    // Set when the quote is accepted as the material price
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
 const materialSchema = new mongoose.Schema(
   {
     // Name (Requirement 13.1)
@@ -67,6 +137,38 @@ const materialSchema = new mongoose.Schema(
       default: 0,
     },
 
+    // Vendor quotes
+    quotes: {
+      type: [materialQuoteSchema],
+      validate: {
+        validator: (quotes) =>
+          quotes.length <= MATERIAL_PRICE_VALIDATION.QUOTES.MAX_COUNT,
+        message: `Maximum ${MATERIAL_PRICE_VALIDATION.QUOTES.MAX_COUNT} quotes allowed`,
+      },
+    },
+
+    // Reorder point (optional): stock level at which the HOD is alerted
+    reorderPoint: {
+      type: Number,
+      min: [0, "Reorder point cannot be negative"],
+      max: [
+        STOCK_VALIDATION.QUANTITY.MAX,
+        `Reorder point must not exceed ${STOCK_VALIDATION.QUANTITY.MAX}`,
+      ],
+      default: null,
+    },
+
+    // Reorder quantity (optional): quantity suggested in the alert
+    reorderQuantity: {
+      type: Number,
+      min: [0, "Reorder quantity cannot be negative"],
+      max: [
+        STOCK_VALIDATION.QUANTITY.MAX,
+        `Reorder quantity must not exceed ${STOCK_VALIDATION.QUANTITY.MAX}`,
+      ],
+      default: null,
+    },
+
     // Organization and Department (Requirement 13.1)
     organization: {
       type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,141 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import {
+  COST_VALIDATION,
+  MATERIAL_PRICE_SOURCES,
+  MATERIAL_PRICE_VALIDATION,
+} from "../utils/constants.js";
+
+/**
+ * Transform function to sanitize material price documents
+ * Removes virtual 'id' and version key from serialized output
+ */
+const transformMaterialPriceDocument = (_doc, ret) => {
+  delete ret.id;
+  delete ret.__v;
+  return ret;
+};
+
+/**
+ * MaterialPrice Model
+ *
+ * Append-only price history of a material: each price change is recorded
+ * with the date it takes effect and, when supplied by a vendor, the vendor
+ * Material.price holds the price of the entry with the latest effectiveFrom;
+ * costs use the price that was effective on the date of use
+ *
+ * Entries are never updated or deleted (and not soft-deletable); a wrong
+ * price is corrected by recording a new entry
+ */
+
+const materialPriceSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Material",
+      required: [true, "Material is required"],
+    },
+
+    price: {
+      type: Number,
+      required: [true, "Price is required"],
+      min: [COST_VALIDATION.AMOUNT.MIN, "Price cannot be negative"],
+      max: [
+        COST_VALIDATION.AMOUNT.MAX,
+        `Price must not exceed ${COST_VALIDATION.AMOUNT.MAX}`,
+      ],
+    },
+
+    // Date from which the price applies
+    effectiveFrom: {
+      type: Date,
+      required: [true, "Effective date is required"],
+    },
+
+    // Vendor that supplied the price (null for internal prices)
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      default: null,
+    },
+
+    source: {
+      type: String,
+      enum: {
+        values: Object.values(MATERIAL_PRICE_SOURCES),
+        message: "Invalid material price source",
+      },
+      default: MATERIAL_PRICE_SOURCES.MANUAL,
+    },
+
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [
+        MATERIAL_PRICE_VALIDATION.NOTE.MAX_LENGTH,
+        `Note must not exceed ${MATERIAL_PRICE_VALIDATION.NOTE.MAX_LENGTH} characters`,
+      ],
+      default: "",
+    },
+
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: transformMaterialPriceDocument,
+    },
+    toObject: {
+      virtuals: true,
+      transform: transformMaterialPriceDocument,
+    },
+  }
+);
+
+// Indexes
+// Price history per material (resolution by date)
+materialPriceSchema.index({ material: 1, effectiveFrom: 1, createdAt: 1 });
+materialPriceSchema.index({ organization: 1, vendor: 1, effectiveFrom: -1 });
+
+// Apply plugins
+materialPriceSchema.plugin(mongoosePaginate); // Pagination plugin
+
+// Append-only: existing entries cannot be changed
+materialPriceSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Material prices cannot be modified"));
+  }
+  next();
+});
+
+materialPriceSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error("Material prices cannot be modified or deleted"));
+  }
+);
+
+const MaterialPrice = mongoose.model("MaterialPrice", materialPriceSchema);
+
+export default MaterialPrice;
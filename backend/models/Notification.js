@@ -58,10 +58,37 @@ const notificationSchema = new mongoose.Schema(
       },
     },
 
-    // Read Status (Requirement 16.3)
-    isRead: {
-      type: Boolean,
-      default: false,
+    // Per-recipient read/seen/archived state (Requirement 16.3)
+    // One entry per recipient, initialized on creation
+    recipientStates: {
+      type: [
+        {
+          user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: [true, "Recipient state user is required"],
+          },
+          readAt: {
+            type: Date,
+            default: null,
+          },
+          seenAt: {
+            type: Date,
+            default: null,
+          },
+          archivedAt: {
+            type: Date,
+            default: null,
+          },
+          // In-app push held back by quiet hours until this time (null once pushed)
+          pushAt: {
+            type: Date,
+            default: null,
+          },
+          _id: false, // Disable _id for subdocuments
+        },
+      ],
+      default: [],
     },
 
     // Recipients (Requirement 16.4)
@@ -147,7 +174,28 @@ const notificationSchema = new mongoose.Schema(
 
 // Indexes within organization and department scope
 notificationSchema.index(
-  { organization: 1, department: 1, recipients: 1, isRead: 1 },
+  { organization: 1, department: 1, recipients: 1, createdAt: -1 },
+  {
+    partialFilterExpression: { isDeleted: { $ne: true } },
+  }
+);
+// Per-recipient unread/unseen counts and state filters
+notificationSchema.index(
+  {
+    organization: 1,
+    "recipientStates.user": 1,
+    "recipientStates.readAt": 1,
+  },
+  {
+    partialFilterExpression: { isDeleted: { $ne: true } },
+  }
+);
+notificationSchema.index(
+  {
+    organization: 1,
+    "recipientStates.user": 1,
+    "recipientStates.seenAt": 1,
+  },
   {
     partialFilterExpression: { isDeleted: { $ne: true } },
   }
@@ -170,6 +218,13 @@ notificationSchema.index(
     partialFilterExpression: { isDeleted: { $ne: true } },
   }
 );
+// Deferred in-app pushes that are due
+notificationSchema.index(
+  { "recipientStates.pushAt": 1 },
+  {
+    partialFilterExpression: { "recipientStates.pushAt": { $type: "date" } },
+  }
+);
 // TTL index for automatic expiry (no partialFilterExpression needed)
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
@@ -177,6 +232,25 @@ notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 notificationSchema.plugin(softDeletePlugin); // Soft delete plugin (Requirement 16.10, 16.11)
 notificationSchema.plugin(mongoosePaginate); // Pagination plugin
 
+// Keep one recipient state per recipient (Requirement 16.3)
+notificationSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("recipients")) {
+    const recipientIds = this.recipients.map((id) => id.toString());
+    const existingStates = this.recipientStates.filter((state) =>
+      recipientIds.includes(state.user.toString())
+    );
+    const stateUserIds = existingStates.map((state) => state.user.toString());
+
+    this.recipientStates = [
+      ...existingStates,
+      ...this.recipients
+        .filter((id) => !stateUserIds.includes(id.toString()))
+        .map((id) => ({ user: id })),
+    ];
+  }
+  next();
+});
+
 // Validation middleware (Requirement 16.12)
 notificationSchema.pre("save", async function (next) {
   try {
@@ -219,30 +293,174 @@ notificationSchema.pre("save", async function (next) {
   }
 });
 
-// Static method to mark as read (Requirement 16.8)
+/**
+ * Build filter matching notifications by a recipient's own state
+ * @param {mongoose.Types.ObjectId|string} userId - Recipient user ID
+ * @param {Object} state - State flags to match
+ * @param {boolean} [state.isRead] - Match read (true) or unread (false)
+ * @param {boolean} [state.isSeen] - Match seen (true) or unseen (false)
+ * @param {boolean} [state.isArchived] - Match archived (true) or not archived (false)
+ * @returns {Object} MongoDB filter
+ */
+notificationSchema.statics.buildRecipientStateFilter = function (
+  userId,
+  { isRead, isSeen, isArchived } = {}
+) {
+  const stateFields = {
+    readAt: isRead,
+    seenAt: isSeen,
+    archivedAt: isArchived,
+  };
+  const elemMatch = { user: new mongoose.Types.ObjectId(userId.toString()) };
+
+  Object.entries(stateFields).forEach(([field, flag]) => {
+    if (flag !== undefined) {
+      elemMatch[field] = flag ? { $ne: null } : null;
+    }
+  });
+
+  return { recipientStates: { $elemMatch: elemMatch } };
+};
+
+/**
+ * Set a state timestamp for one recipient on many notifications
+ * Only unset timestamps are written so the first read/seen time is kept
+ * @private
+ * @param {mongoose.Model} Model - Notification model
+ * @param {Array<mongoose.Types.ObjectId>} notificationIds - Notification IDs
+ * @param {mongoose.Types.ObjectId|string} userId - Recipient user ID
+ * @param {Array<string>} fields - State fields to set (readAt, seenAt, archivedAt)
+ * @param {mongoose.ClientSession} session - MongoDB session
+ * @returns {Promise<Object>} Update result
+ */
+const setRecipientState = (Model, notificationIds, userId, fields, session) => {
+  const now = new Date();
+  const recipientId = new mongoose.Types.ObjectId(userId.toString());
+  const update = { $set: {} };
+  const arrayFilters = [];
+
+  fields.forEach((field) => {
+    update.$set[`recipientStates.$[${field}].${field}`] = now;
+    arrayFilters.push({
+      [`${field}.user`]: recipientId,
+      [`${field}.${field}`]: null,
+    });
+  });
+
+  return Model.updateMany(
+    { _id: { $in: notificationIds }, "recipientStates.user": recipientId },
+    update,
+    { arrayFilters, session }
+  );
+};
+
+// Static method to mark as read for one recipient (Requirement 16.8)
 notificationSchema.statics.markAsRead = async function (
   notificationId,
+  userId,
   session = null
 ) {
-  return this.findByIdAndUpdate(
-    notificationId,
-    { isRead: true },
-    { new: true, session }
+  await setRecipientState(
+    this,
+    [notificationId],
+    userId,
+    ["readAt", "seenAt"],
+    session
   );
+  return this.findById(notificationId).session(session);
 };
 
-// Static method to batch mark as read (Requirement 16.9)
+// Static method to batch mark as read for one recipient (Requirement 16.9)
 notificationSchema.statics.batchMarkAsRead = async function (
   notificationIds,
+  userId,
   session = null
 ) {
-  return this.updateMany(
-    { _id: { $in: notificationIds } },
-    { isRead: true },
-    { session }
+  return setRecipientState(
+    this,
+    notificationIds,
+    userId,
+    ["readAt", "seenAt"],
+    session
   );
 };
 
+// Static method to mark as seen (e.g. notification list opened) for one recipient
+notificationSchema.statics.batchMarkAsSeen = async function (
+  notificationIds,
+  userId,
+  session = null
+) {
+  return setRecipientState(this, notificationIds, userId, ["seenAt"], session);
+};
+
+// Static method to archive for one recipient
+notificationSchema.statics.archive = async function (
+  notificationId,
+  userId,
+  session = null
+) {
+  await setRecipientState(
+    this,
+    [notificationId],
+    userId,
+    ["archivedAt"],
+    session
+  );
+  return this.findById(notificationId).session(session);
+};
+
+/**
+ * Count unread and unseen notifications for a recipient
+ * Archived notifications are excluded
+ * @param {mongoose.Types.ObjectId|string} userId - Recipient user ID
+ * @param {mongoose.Types.ObjectId|string} organizationId - Organization ID
+ * @returns {Promise<{unreadCount: number, unseenCount: number}>}
+ */
+notificationSchema.statics.countUnread = async function (
+  userId,
+  organizationId
+) {
+  const organization = new mongoose.Types.ObjectId(organizationId.toString());
+  const [unreadCount, unseenCount] = await Promise.all([
+    this.countDocuments({
+      organization,
+      ...this.buildRecipientStateFilter(userId, {
+        isRead: false,
+        isArchived: false,
+      }),
+    }),
+    this.countDocuments({
+      organization,
+      ...this.buildRecipientStateFilter(userId, {
+        isSeen: false,
+        isArchived: false,
+      }),
+    }),
+  ]);
+
+  return { unreadCount, unseenCount };
+};
+
+/**
+ * Get a recipient's own state from a notification
+ * @param {Object} notification - Notification document or plain object
+ * @param {mongoose.Types.ObjectId|string} userId - Recipient user ID
+ * @returns {{isRead: boolean, readAt: Date|null, seenAt: Date|null, archivedAt: Date|null}}
+ */
+notificationSchema.statics.getRecipientState = function (notification, userId) {
+  const state = (notification.recipientStates || []).find(
+    (s) => (s.user._id || s.user).toString() === userId.toString()
+  );
+
+  return {
+    isRead: Boolean(state?.readAt),
+    readAt: state?.readAt || null,
+    seenAt: state?.seenAt || null,
+    archivedAt: state?.archivedAt || null,
+  };
+};
+
 /**
  * Validate deletion pre-conditions for Notification
  * @param {mongoose.Document} document - Notification document
@@ -0,0 +1,242 @@
+import mongoose from "mongoose";
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_PREFERENCE_VALIDATION,
+  DIGEST_FREQUENCY,
+} from "../utils/constants.js";
+
+/**
+ * Transform function to sanitize notification preference documents
+ * Removes virtual 'id' and version key from serialized output
+ */
+const transformPreferenceDocument = (_doc, ret) => {
+  delete ret.id;
+  delete ret.__v;
+  return ret;
+};
+
+/**
+ * Default delivery channels per notification type
+ * Assignments and mentions are emailed as well as pushed in-app
+ */
+export const DEFAULT_NOTIFICATION_CHANNELS = {
+  [NOTIFICATION_TYPES.TASK_ASSIGNED]: [
+    NOTIFICATION_CHANNELS.IN_APP,
+    NOTIFICATION_CHANNELS.EMAIL,
+  ],
+  [NOTIFICATION_TYPES.TASK_UPDATED]: [NOTIFICATION_CHANNELS.IN_APP],
+  [NOTIFICATION_TYPES.COMMENT_ADDED]: [NOTIFICATION_CHANNELS.IN_APP],
+  [NOTIFICATION_TYPES.MENTION]: [
+    NOTIFICATION_CHANNELS.IN_APP,
+    NOTIFICATION_CHANNELS.EMAIL,
+  ],
+  [NOTIFICATION_TYPES.SYSTEM_ALERT]: [NOTIFICATION_CHANNELS.IN_APP],
+};
+
+/**
+ * Channel list schema definition for a single notification type
+ * An empty list turns the notification type off entirely
+ * @param {string} notificationType - Notification type from NOTIFICATION_TYPES
+ * @returns {Object} Schema type definition
+ */
+const channelListDefinition = (notificationType) => ({
+  type: [
+    {
+      type: String,
+      enum: {
+        values: Object.values(NOTIFICATION_CHANNELS),
+        message: "Invalid notification channel",
+      },
+    },
+  ],
+  default: () => [...DEFAULT_NOTIFICATION_CHANNELS[notificationType]],
+  validate: {
+    validator: (channels) =>
+      !channels.includes(NOTIFICATION_CHANNELS.DIGEST) || channels.length === 1,
+    message: "Digest delivery cannot be combined with other channels",
+  },
+});
+
+/**
+ * NotificationPreference Model
+ *
+ * One document per user choosing how each notification type is delivered:
+ * in-app (Socket.IO push), email, or digest only
+ * Quiet hours are evaluated in the organization timezone (settings.timezone)
+ * and suppress push and email delivery; notifications are still stored in-app
+ * Muted tasks suppress all notifications about that task
+ * The email digest (daily or weekly) summarizes due, overdue and completed
+ * tasks, comments on watched tasks, mentions, and unread digest notifications
+ *
+ * Users without a document receive DEFAULT_NOTIFICATION_CHANNELS
+ */
+
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    // Owner
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+
+    // Organization
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+
+    // Delivery channels per notification type
+    channels: Object.fromEntries(
+      Object.values(NOTIFICATION_TYPES).map((notificationType) => [
+        notificationType,
+        channelListDefinition(notificationType),
+      ])
+    ),
+
+    // Quiet hours (HH:mm in organization timezone, may span midnight)
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      start: {
+        type: String,
+        match: [
+          NOTIFICATION_PREFERENCE_VALIDATION.QUIET_HOURS.TIME_PATTERN,
+          "Quiet hours start must be in HH:mm format",
+        ],
+        default: "22:00",
+      },
+      end: {
+        type: String,
+        match: [
+          NOTIFICATION_PREFERENCE_VALIDATION.QUIET_HOURS.TIME_PATTERN,
+          "Quiet hours end must be in HH:mm format",
+        ],
+        default: "07:00",
+      },
+    },
+
+    // Tasks the user no longer wants notifications about
+    mutedTasks: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Task",
+        },
+      ],
+      validate: {
+        validator: (v) =>
+          v.length <= NOTIFICATION_PREFERENCE_VALIDATION.MUTED_TASKS.MAX_COUNT,
+        message: `Cannot mute more than ${NOTIFICATION_PREFERENCE_VALIDATION.MUTED_TASKS.MAX_COUNT} tasks`,
+      },
+      default: [],
+    },
+
+    // Email digest
+    digest: {
+      frequency: {
+        type: String,
+        enum: {
+          values: Object.values(DIGEST_FREQUENCY),
+          message: "Invalid digest frequency",
+        },
+        default: DIGEST_FREQUENCY.NONE,
+      },
+      // When the last digest was sent (prevents duplicates within a period)
+      lastSentAt: {
+        type: Date,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: transformPreferenceDocument,
+    },
+    toObject: {
+      virtuals: true,
+      transform: transformPreferenceDocument,
+    },
+  }
+);
+
+// One preference document per user
+notificationPreferenceSchema.index({ user: 1 }, { unique: true });
+notificationPreferenceSchema.index({ organization: 1, user: 1 });
+
+/**
+ * Build default preferences for a user without a stored document
+ * @param {mongoose.Types.ObjectId|string} userId - User ID
+ * @param {mongoose.Types.ObjectId|string} [organizationId=null] - Organization ID
+ * @returns {Object} Plain preferences object
+ */
+notificationPreferenceSchema.statics.getDefaults = function (
+  userId,
+  organizationId = null
+) {
+  const defaults = new this({
+    user: userId,
+    organization: organizationId,
+  }).toObject();
+  delete defaults._id; // Not a stored document
+  return defaults;
+};
+
+/**
+ * Load preferences for many users, falling back to defaults
+ * @param {Array<mongoose.Types.ObjectId|string>} userIds - User IDs
+ * @param {mongoose.ClientSession} [session=null] - MongoDB session
+ * @returns {Promise<Map<string, Object>>} Preferences keyed by user ID string
+ */
+notificationPreferenceSchema.statics.getForUsers = async function (
+  userIds,
+  session = null
+) {
+  const stored = await this.find({ user: { $in: userIds } })
+    .session(session)
+    .lean();
+  const storedByUser = new Map(stored.map((p) => [p.user.toString(), p]));
+
+  return new Map(
+    userIds.map((id) => [
+      id.toString(),
+      storedByUser.get(id.toString()) || this.getDefaults(id),
+    ])
+  );
+};
+
+/**
+ * Resolve delivery channels for a notification type
+ * @param {Object} preferences - Preferences object
+ * @param {string} type - Notification type from NOTIFICATION_TYPES
+ * @param {mongoose.Types.ObjectId|string} [taskId=null] - Related task ID (for per-task mute)
+ * @returns {Array<string>} Channels (empty when the type is off or the task is muted)
+ */
+notificationPreferenceSchema.statics.resolveChannels = function (
+  preferences,
+  type,
+  taskId = null
+) {
+  const isMuted =
+    taskId &&
+    (preferences.mutedTasks || []).some(
+      (mutedTaskId) => mutedTaskId.toString() === taskId.toString()
+    );
+  if (isMuted) return [];
+
+  return preferences.channels?.[type] || DEFAULT_NOTIFICATION_CHANNELS[type];
+};
+
+const NotificationPreference = mongoose.model(
+  "NotificationPreference",
+  notificationPreferenceSchema
+);
+
+export default NotificationPreference;
@@ -5,6 +5,8 @@ import {
   ORGANIZATION_VALIDATION,
   SUBSCRIPTION_VALIDATION,
   SETTINGS_VALIDATION,
+  COST_VALIDATION,
+  VENDOR_COMPLIANCE,
   IMAGE_VALIDATION,
   INDUSTRIES,
   INDUSTRIES_SIZE,
@@ -197,6 +199,64 @@ const organizationSchema = new mongoose.Schema(
         },
         default: "en",
       },
+      // Record consumption beyond the stock on hand (flagged) instead of rejecting it
+      allowNegativeStock: {
+        type: Boolean,
+        default: false,
+      },
+      // Percentages of a project budget at which spend notifications are sent
+      budgetAlertThresholds: {
+        type: [
+          {
+            type: Number,
+            min: [
+              COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.MIN,
+              `Budget alert threshold must be at least ${COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.MIN}%`,
+            ],
+            max: [
+              COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.MAX,
+              `Budget alert threshold must not exceed ${COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.MAX}%`,
+            ],
+          },
+        ],
+        validate: {
+          validator: (thresholds) =>
+            thresholds.length <=
+            COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.MAX_COUNT,
+          message: `Maximum ${COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.MAX_COUNT} budget alert thresholds allowed`,
+        },
+        default: () => [...COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.DEFAULT],
+      },
+      // Days before a vendor document expires at which Admins are warned
+      vendorExpiryWarningDays: {
+        type: Number,
+        min: [
+          VENDOR_COMPLIANCE.EXPIRY_WARNING_DAYS.MIN,
+          `Vendor expiry warning must be at least ${VENDOR_COMPLIANCE.EXPIRY_WARNING_DAYS.MIN} day`,
+        ],
+        max: [
+          VENDOR_COMPLIANCE.EXPIRY_WARNING_DAYS.MAX,
+          `Vendor expiry warning must not exceed ${VENDOR_COMPLIANCE.EXPIRY_WARNING_DAYS.MAX} days`,
+        ],
+        default: VENDOR_COMPLIANCE.EXPIRY_WARNING_DAYS.DEFAULT,
+      },
+      // Status given to an ACTIVE vendor whose mandatory document lapsed
+      // (null keeps the status; the vendor is only flagged as non-compliant)
+      vendorLapseStatus: {
+        type: String,
+        enum: {
+          values: [...VENDOR_COMPLIANCE.LAPSE_STATUSES, null],
+          message: "Invalid vendor lapse status",
+        },
+        default: null,
+      },
+    },
+
+    // Last purchase order number issued (incremented atomically per order)
+    purchaseOrderSequence: {
+      type: Number,
+      default: 0,
+      select: false,
     },
   },
   {
@@ -3,6 +3,9 @@ import Task from "./Task.js";
 import {
   TASK_VALIDATION,
   MILESTONE_VALIDATION,
+  COST_VALIDATION,
+  VENDOR_VALIDATION,
+  VENDOR_SCORECARD,
   TASK_STATUS,
 } from "../utils/constants.js";
 
@@ -12,6 +15,17 @@ import {
  * Tasks outsourced to external vendors
  * Includes vendor reference and milestones
  *
+ * Costs: an optional budget is compared with the actual spend, i.e. the
+ * material cost of the task's activities (quantity x unit price snapshotted
+ * on each material line) plus the vendor charges recorded on the task
+ * (see services/costService.js)
+ *
+ * Vendor performance: when the task is completed, the on-time flag, delay
+ * and milestone slippage (milestone dueDate vs completedAt) are recorded in
+ * vendorPerformance together with a 1-5 rating of the vendor; reopening the
+ * task clears the record. Vendor scorecards and the computed Vendor.rating
+ * are built from these records (see services/vendorScorecardService.js)
+ *
  * Requirements: 10.5
  */
 
@@ -67,6 +81,11 @@ const projectTaskSchema = new mongoose.Schema({
           },
           default: TASK_STATUS.TODO,
         },
+        // Set when the milestone is marked COMPLETED, cleared when reopened
+        completedAt: {
+          type: Date,
+          default: null,
+        },
         _id: false,
       },
     ],
@@ -84,8 +103,132 @@ const projectTaskSchema = new mongoose.Schema({
     type: Date,
     required: [true, "Due date is required for project tasks"],
   },
+
+  // Budget (optional): planned spend on materials and vendor charges
+  budget: {
+    type: Number,
+    min: [COST_VALIDATION.AMOUNT.MIN, "Budget cannot be negative"],
+    max: [
+      COST_VALIDATION.AMOUNT.MAX,
+      `Budget must not exceed ${COST_VALIDATION.AMOUNT.MAX}`,
+    ],
+    default: null,
+  },
+
+  // Vendor Charges: amounts billed by the vendor (labour, services, fees)
+  vendorCharges: {
+    type: [
+      {
+        description: {
+          type: String,
+          required: [true, "Vendor charge description is required"],
+          trim: true,
+          minlength: [
+            COST_VALIDATION.VENDOR_CHARGE.DESCRIPTION.MIN_LENGTH,
+            `Vendor charge description must be at least ${COST_VALIDATION.VENDOR_CHARGE.DESCRIPTION.MIN_LENGTH} characters`,
+          ],
+          maxlength: [
+            COST_VALIDATION.VENDOR_CHARGE.DESCRIPTION.MAX_LENGTH,
+            `Vendor charge description must not exceed ${COST_VALIDATION.VENDOR_CHARGE.DESCRIPTION.MAX_LENGTH} characters`,
+          ],
+        },
+        amount: {
+          type: Number,
+          required: [true, "Vendor charge amount is required"],
+          min: [
+            COST_VALIDATION.AMOUNT.MIN,
+            "Vendor charge amount cannot be negative",
+          ],
+          max: [
+            COST_VALIDATION.AMOUNT.MAX,
+            `Vendor charge amount must not exceed ${COST_VALIDATION.AMOUNT.MAX}`,
+          ],
+        },
+        date: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
+      },
+    ],
+    validate: {
+      validator: (charges) =>
+        charges.length <= COST_VALIDATION.VENDOR_CHARGE.MAX_COUNT,
+      message: `Maximum ${COST_VALIDATION.VENDOR_CHARGE.MAX_COUNT} vendor charges allowed`,
+    },
+    default: [],
+  },
+
+  // Highest budget alert threshold (%) already notified; lowered when spend drops
+  budgetAlertLevel: {
+    type: Number,
+    default: 0,
+  },
+
+  // Vendor performance on this project (set on completion, null while open)
+  vendorPerformance: {
+    type: new mongoose.Schema(
+      {
+        completedAt: {
+          type: Date,
+          default: null,
+        },
+        isOnTime: {
+          type: Boolean,
+          default: null,
+        },
+        // Days completed after dueDate (0 when on time)
+        delayDays: {
+          type: Number,
+          default: null,
+        },
+        // Average days milestones were completed after their dueDate
+        // (null without milestones; open milestones count at task completion)
+        milestoneSlippageDays: {
+          type: Number,
+          default: null,
+        },
+        rating: {
+          type: Number,
+          min: [
+            VENDOR_VALIDATION.RATING.MIN,
+            `Vendor rating must be at least ${VENDOR_VALIDATION.RATING.MIN}`,
+          ],
+          max: [
+            VENDOR_VALIDATION.RATING.MAX,
+            `Vendor rating must not exceed ${VENDOR_VALIDATION.RATING.MAX}`,
+          ],
+          default: null,
+        },
+        ratedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        ratedAt: {
+          type: Date,
+          default: null,
+        },
+      },
+      { _id: false }
+    ),
+    default: null,
+  },
 });
 
+/**
+ * Days between a due date and a completion date, 0 when completed on time
+ * @param {Date} dueDate - Due date
+ * @param {Date} completedAt - Completion date
+ * @returns {number} Days late (VENDOR_SCORECARD.PRECISION decimals)
+ */
+const getDaysLate = (dueDate, completedAt) =>
+  Number(
+    Math.max(0, (completedAt - dueDate) / (24 * 60 * 60 * 1000)).toFixed(
+      VENDOR_SCORECARD.PRECISION
+    )
+  );
+
 // Pre-save middleware to validate dueDate is after startDate (Requirement 10.5)
 projectTaskSchema.pre("save", function (next) {
   if (this.startDate && this.dueDate && this.dueDate <= this.startDate) {
@@ -94,6 +237,56 @@ projectTaskSchema.pre("save", function (next) {
   next();
 });
 
+// Pre-save middleware to record milestone completion and vendor performance
+projectTaskSchema.pre("save", function (next) {
+  const now = new Date();
+
+  if (this.isModified("milestones")) {
+    this.milestones.forEach((milestone) => {
+      if (milestone.status !== TASK_STATUS.COMPLETED) {
+        milestone.completedAt = null;
+      } else if (!milestone.completedAt) {
+        milestone.completedAt = now;
+      }
+    });
+  }
+
+  if (this.isModified("status")) {
+    if (this.status !== TASK_STATUS.COMPLETED) {
+      this.vendorPerformance = null;
+    } else if (!this.vendorPerformance?.completedAt) {
+      // Cancelled milestones do not count towards slippage
+      const milestones = this.milestones.filter(
+        (milestone) =>
+          milestone.status !== MILESTONE_VALIDATION.STATUS.CANCELLED
+      );
+      const slippage = milestones.map((milestone) =>
+        getDaysLate(milestone.dueDate, milestone.completedAt || now)
+      );
+
+      this.vendorPerformance = {
+        rating: this.vendorPerformance?.rating ?? null,
+        ratedBy: this.vendorPerformance?.ratedBy ?? null,
+        ratedAt: this.vendorPerformance?.ratedAt ?? null,
+        completedAt: now,
+        isOnTime: now <= this.dueDate,
+        delayDays: getDaysLate(this.dueDate, now),
+        milestoneSlippageDays:
+          slippage.length > 0
+            ? Number(
+                (
+                  slippage.reduce((sum, days) => sum + days, 0) /
+                  slippage.length
+                ).toFixed(VENDOR_SCORECARD.PRECISION)
+              )
+            : null,
+      };
+    }
+  }
+
+  next();
+});
+
 // Pre-update middleware to validate dueDate is after startDate
 projectTaskSchema.pre("findOneAndUpdate", function (next) {
   const update = this.getUpdate();
@@ -113,6 +306,7 @@ projectTaskSchema.index(
     partialFilterExpression: { isDeleted: { $ne: true } },
   }
 );
+projectTaskSchema.index({ vendor: 1, "vendorPerformance.completedAt": -1 });
 
 /**
  * Validate deletion pre-conditions for ProjectTask
@@ -0,0 +1,291 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import {
+  PURCHASE_ORDER_STATUS,
+  PURCHASE_ORDER_VALIDATION,
+  COST_VALIDATION,
+  STOCK_VALIDATION,
+} from "../utils/constants.js";
+
+/**
+ * Transform function to sanitize purchase order documents
+ * Removes virtual 'id' and version key from serialized output
+ */
+const transformPurchaseOrderDocument = (_doc, ret) => {
+  delete ret.id;
+  delete ret.__v;
+  return ret;
+};
+
+/**
+ * PurchaseOrder Model
+ *
+ * Orders of materials from a vendor, optionally linked to a ProjectTask
+ * Lifecycle: DRAFT -> SUBMITTED -> APPROVED -> PARTIALLY_RECEIVED -> RECEIVED -> CLOSED
+ * - Managers create and submit orders, Admins approve or reject them
+ *   (rejected orders return to DRAFT with the reason recorded)
+ * - Each receipt posts RECEIPT stock movements for the receiving department
+ *   (source: the order) and adds to the receivedQuantity of its line items
+ * - Orders not yet received can be cancelled
+ *
+ * poNumber is issued per organization from Organization.purchaseOrderSequence
+ * Not soft-deletable: orders are kept for auditing (cancel instead)
+ */
+
+/**
+ * Line Item Schema
+ * Ordered material with the agreed unit price
+ */
+const lineItemSchema = new mongoose.Schema({
+  material: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Material",
+    required: [true, "Material is required"],
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [
+      STOCK_VALIDATION.QUANTITY.MIN,
+      `Quantity must be at least ${STOCK_VALIDATION.QUANTITY.MIN}`,
+    ],
+    max: [
+      STOCK_VALIDATION.QUANTITY.MAX,
+      `Quantity must not exceed ${STOCK_VALIDATION.QUANTITY.MAX}`,
+    ],
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, "Unit price is required"],
+    min: [
+      COST_VALIDATION.AMOUNT.MIN,
+      `Unit price must be at least ${COST_VALIDATION.AMOUNT.MIN}`,
+    ],
+    max: [
+      COST_VALIDATION.AMOUNT.MAX,
+      `Unit price must not exceed ${COST_VALIDATION.AMOUNT.MAX}`,
+    ],
+  },
+  // Total received so far over all receipts
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+  },
+});
+
+/**
+ * Receipt Schema
+ * One delivery against the order (may cover several line items)
+ */
+const receiptSchema = new mongoose.Schema({
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: [true, "Received by user is required"],
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [
+      PURCHASE_ORDER_VALIDATION.RECEIPT_NOTE.MAX_LENGTH,
+      `Receipt note must not exceed ${PURCHASE_ORDER_VALIDATION.RECEIPT_NOTE.MAX_LENGTH} characters`,
+    ],
+    default: null,
+  },
+  lines: [
+    {
+      _id: false,
+      lineItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, "Line item is required"],
+      },
+      material: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Material",
+        required: [true, "Material is required"],
+      },
+      quantity: {
+        type: Number,
+        required: [true, "Quantity is required"],
+      },
+    },
+  ],
+});
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+
+    // Department receiving the stock
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department is required"],
+    },
+
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      required: [true, "Vendor is required"],
+    },
+
+    // Project the materials are ordered for (optional)
+    projectTask: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+
+    poNumber: {
+      type: String,
+      required: [true, "Purchase order number is required"],
+      trim: true,
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(PURCHASE_ORDER_STATUS),
+        message: "Invalid purchase order status",
+      },
+      default: PURCHASE_ORDER_STATUS.DRAFT,
+    },
+
+    lineItems: {
+      type: [lineItemSchema],
+      validate: {
+        validator: (items) =>
+          items.length >= PURCHASE_ORDER_VALIDATION.LINE_ITEMS.MIN_COUNT &&
+          items.length <= PURCHASE_ORDER_VALIDATION.LINE_ITEMS.MAX_COUNT,
+        message: `Purchase order must have between ${PURCHASE_ORDER_VALIDATION.LINE_ITEMS.MIN_COUNT} and ${PURCHASE_ORDER_VALIDATION.LINE_ITEMS.MAX_COUNT} line items`,
+      },
+    },
+
+    // Sum of quantity x unitPrice over the line items (computed on save)
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    expectedDate: {
+      type: Date,
+      default: null,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [
+        PURCHASE_ORDER_VALIDATION.NOTES.MAX_LENGTH,
+        `Notes must not exceed ${PURCHASE_ORDER_VALIDATION.NOTES.MAX_LENGTH} characters`,
+      ],
+      default: null,
+    },
+
+    receipts: [receiptSchema],
+
+    // Workflow audit
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Created by user is required"],
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    approvedAt: {
+      type: Date,
+      default: null,
+    },
+    // Last rejection (kept after the order is resubmitted)
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    rejectedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: transformPurchaseOrderDocument,
+    },
+    toObject: {
+      virtuals: true,
+      transform: transformPurchaseOrderDocument,
+    },
+  }
+);
+
+// Indexes
+purchaseOrderSchema.index({ organization: 1, poNumber: 1 }, { unique: true });
+purchaseOrderSchema.index({ organization: 1, status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ organization: 1, vendor: 1, createdAt: -1 });
+purchaseOrderSchema.index({ organization: 1, department: 1, createdAt: -1 });
+purchaseOrderSchema.index({ projectTask: 1 });
+
+// Apply plugins
+purchaseOrderSchema.plugin(mongoosePaginate); // Pagination plugin
+
+// Pre-save middleware to keep the order total in line with its line items
+purchaseOrderSchema.pre("save", function (next) {
+  if (this.isModified("lineItems")) {
+    const total = this.lineItems.reduce(
+      (sum, item) => sum + item.quantity * item.unitPrice,
+      0
+    );
+    this.totalAmount = Number(total.toFixed(COST_VALIDATION.PRECISION));
+  }
+  next();
+});
+
+const PurchaseOrder = mongoose.model("PurchaseOrder", purchaseOrderSchema);
+
+export default PurchaseOrder;
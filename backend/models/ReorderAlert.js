@@ -0,0 +1,125 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import { REORDER_ALERT_STATUS } from "../utils/constants.js";
+
+/**
+ * Transform function to sanitize reorder alert documents
+ * Removes virtual 'id' and version key from serialized output
+ */
+const transformReorderAlertDocument = (_doc, ret) => {
+  delete ret.id;
+  delete ret.__v;
+  return ret;
+};
+
+/**
+ * ReorderAlert Model
+ *
+ * History of low-stock alerts raised by the reorder scheduler
+ * An alert opens when the stock of a material in its own department falls to
+ * or below the reorder point (the department HODs are notified) and resolves
+ * once the stock is above it again; the next drop opens a new alert
+ * At most one OPEN alert exists per material
+ *
+ * Not soft-deletable: alerts are kept for auditing
+ */
+
+const reorderAlertSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department is required"],
+    },
+
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Material",
+      required: [true, "Material is required"],
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(REORDER_ALERT_STATUS),
+        message: "Invalid reorder alert status",
+      },
+      default: REORDER_ALERT_STATUS.OPEN,
+    },
+
+    // Material settings and stock when the alert was raised
+    quantityOnHand: {
+      type: Number,
+      required: [true, "Quantity on hand is required"],
+    },
+    reorderPoint: {
+      type: Number,
+      required: [true, "Reorder point is required"],
+    },
+    reorderQuantity: {
+      type: Number,
+      default: null,
+    },
+
+    // HODs alerted and the notifications created for them
+    recipients: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    notifications: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Notification",
+      },
+    ],
+
+    // Set once stock is above the reorder point again (or the alert no longer applies)
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    resolvedQuantity: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: transformReorderAlertDocument,
+    },
+    toObject: {
+      virtuals: true,
+      transform: transformReorderAlertDocument,
+    },
+  }
+);
+
+// Indexes
+// One open alert per material
+reorderAlertSchema.index(
+  { material: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: REORDER_ALERT_STATUS.OPEN },
+  }
+);
+reorderAlertSchema.index({ organization: 1, department: 1, createdAt: -1 });
+reorderAlertSchema.index({ organization: 1, material: 1, createdAt: -1 });
+
+// Apply plugins
+reorderAlertSchema.plugin(mongoosePaginate); // Pagination plugin
+
+const ReorderAlert = mongoose.model("ReorderAlert", reorderAlertSchema);
+
+export default ReorderAlert;
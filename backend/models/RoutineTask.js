@@ -5,7 +5,9 @@ import {
   RECURRENCE_VALIDATION,
   MATERIAL_VALIDATION,
   TASK_PRIORITY,
+  RECURRENCE_UPDATE_SCOPE,
 } from "../utils/constants.js";
+import { getOccurrenceDate } from "../utils/recurrenceScheduler.js";
 
 /**
  * RoutineTask Model (Discriminator)
@@ -13,6 +15,8 @@ import {
  * Repetitive tasks for a given date
  * Materials added DIRECTLY to task (no TaskActivity)
  * Priority CANNOT be LOW - only MEDIUM, HIGH, or URGENT allowed
+ * Recurring tasks act as a series root; occurrences are generated by the
+ * recurrence scheduler and reference their root through `series`
  *
  * Requirements: 10.6
  */
@@ -52,6 +56,25 @@ const routineTaskSchema = new mongoose.Schema({
     },
   },
 
+  // Series root this occurrence was generated from (null for series roots)
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Task",
+    default: null,
+  },
+
+  // Occurrence edited on its own ("this occurrence only"), excluded from series edits
+  isSeriesException: {
+    type: Boolean,
+    default: false,
+  },
+
+  // When the recurrence scheduler posted the consumption of this due occurrence
+  stockPostedAt: {
+    type: Date,
+    default: null,
+  },
+
   // Materials (array max 20, added DIRECTLY) (Requirement 10.6)
   materials: {
     type: [
@@ -75,6 +98,17 @@ const routineTaskSchema = new mongoose.Schema({
             `Quantity must be at least ${MATERIAL_VALIDATION.QUANTITY.MIN}`,
           ],
         },
+        // Quantity and unit as entered when another unit than the material's
+        // was used (quantity holds the converted amount)
+        enteredQuantity: {
+          type: Number,
+          default: null,
+        },
+        enteredUnit: {
+          type: String,
+          trim: true,
+          default: null,
+        },
         _id: false, // Disable _id for subdocuments
       },
     ],
@@ -186,6 +220,116 @@ routineTaskSchema.index(
   }
 );
 
+// One occurrence per series and date (deleted occurrences included so they are not regenerated)
+routineTaskSchema.index(
+  { series: 1, date: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { series: { $type: "objectId" } },
+  }
+);
+
+// Generated occurrences that became due and still need their consumption posted
+routineTaskSchema.index(
+  { stockPostedAt: 1, date: 1 },
+  {
+    partialFilterExpression: { series: { $type: "objectId" } },
+  }
+);
+
+// Fields that belong to a single occurrence and never propagate through a series
+const OCCURRENCE_ONLY_FIELDS = ["status", "attachments"];
+
+/**
+ * Apply an update to a recurring routine task according to the update scope
+ * THIS_OCCURRENCE: Only the given task changes and is detached from later series edits
+ * THIS_AND_FUTURE: The series is split at the given task, which becomes the root of
+ * a new series carrying the update to every later non-exception occurrence; the new
+ * series ends where the original one would have (end date or MAX_OCCURRENCES)
+ * @param {mongoose.Document} task - RoutineTask document (already holding the update)
+ * @param {Object} updateData - Validated update fields
+ * @param {string} scope - RECURRENCE_UPDATE_SCOPE value
+ * @param {mongoose.ClientSession} session - MongoDB session
+ * @returns {Promise<{seriesUpdatedCount: number}>}
+ */
+routineTaskSchema.statics.applySeriesUpdate = async function (
+  task,
+  updateData,
+  scope,
+  session
+) {
+  const seriesFields = Object.keys(updateData).filter(
+    (key) => !OCCURRENCE_ONLY_FIELDS.includes(key)
+  );
+  const isRecurring = Boolean(task.series || task.recurrence?.frequency);
+
+  if (!isRecurring || seriesFields.length === 0) {
+    return { seriesUpdatedCount: 0 };
+  }
+
+  if (scope !== RECURRENCE_UPDATE_SCOPE.THIS_AND_FUTURE) {
+    task.isSeriesException = true;
+    return { seriesUpdatedCount: 0 };
+  }
+
+  // Split the series so earlier occurrences keep their current values
+  if (task.series) {
+    const root = await this.findById(task.series)
+      .session(session)
+      .withDeleted();
+
+    const rootEndDate = root?.recurrence?.endDate;
+    if (root && (!rootEndDate || rootEndDate > task.date)) {
+      // Occurrences are counted from the root: a split must not restart the count
+      const lastOccurrenceDate = getOccurrenceDate(
+        root.date,
+        root.recurrence,
+        RECURRENCE_VALIDATION.MAX_OCCURRENCES - 1
+      );
+      task.recurrence = {
+        frequency: root.recurrence.frequency,
+        interval: root.recurrence.interval,
+        endDate:
+          rootEndDate && rootEndDate < lastOccurrenceDate
+            ? rootEndDate
+            : lastOccurrenceDate,
+      };
+
+      // Re-point later occurrences (deleted ones too, to keep dedupe intact)
+      await this.updateMany(
+        { series: root._id, date: { $gt: task.date } },
+        { $set: { series: task._id } }
+      )
+        .session(session)
+        .withDeleted();
+
+      root.recurrence.endDate = new Date(task.date.getTime() - 1);
+      await root.save({ session });
+
+      task.series = null;
+    }
+  }
+
+  task.isSeriesException = false;
+
+  const updateSet = {};
+  seriesFields.forEach((key) => {
+    updateSet[key] = updateData[key];
+  });
+
+  const result = await this.updateMany(
+    {
+      series: task.series || task._id,
+      date: { $gt: task.date },
+      isSeriesException: { $ne: true },
+    },
+    { $set: updateSet },
+    { runValidators: true }
+  ).session(session);
+
+  return { seriesUpdatedCount: result.modifiedCount };
+};
+
 /**
  * Validate deletion pre-conditions for RoutineTask
  * @param {mongoose.Document} document - RoutineTask document
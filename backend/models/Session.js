@@ -0,0 +1,161 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import { SESSION, SESSION_REVOKE_REASONS } from "../utils/constants.js";
+
+/**
+ * Transform function to sanitize session documents
+ * Removes virtual 'id', version key and the refresh token hashes from serialized output
+ */
+const transformSessionDocument = (_doc, ret) => {
+  delete ret.id;
+  delete ret.__v;
+  delete ret.tokenHash;
+  delete ret.previousTokenHash;
+  return ret;
+};
+
+/**
+ * Session Model
+ *
+ * One session per signed-in device (browser), created at login
+ * Each session is a refresh token family: every refresh rotates its token and
+ * only the SHA-256 hash of the current (and previous) token is stored
+ * Presenting a rotated token again (outside SESSION.REUSE_GRACE_MS) means the
+ * token was copied: the whole session is revoked (TOKEN_REUSE)
+ * Access tokens carry the session ID, so revoked sessions stop authenticating
+ * immediately
+ *
+ * Not soft-deletable: ended sessions are kept for SESSION.EXPIRED_RETENTION
+ * after they expire, then removed by the TTL index
+ */
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+
+    // SHA-256 of the current refresh token
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      select: false,
+    },
+
+    // SHA-256 of the refresh token replaced by the last rotation
+    previousTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Device that signed in (updated on every refresh)
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Refresh token expiry (extended on every refresh)
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: {
+        values: [...Object.values(SESSION_REVOKE_REASONS), null],
+        message: "Invalid session revoke reason",
+      },
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: transformSessionDocument,
+    },
+    toObject: {
+      virtuals: true,
+      transform: transformSessionDocument,
+    },
+  }
+);
+
+// Indexes
+// Active sessions of a user (most recently used first)
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+// Remove ended sessions once the retention period is over
+sessionSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: SESSION.EXPIRED_RETENTION }
+);
+
+/**
+ * Hash a refresh token for storage and comparison
+ * @param {string} token - Refresh token (JWT)
+ * @returns {string} Hex SHA-256 hash
+ */
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+/**
+ * Filter of sessions that can still authenticate
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object} MongoDB filter
+ */
+sessionSchema.statics.getActiveFilter = function (now = new Date()) {
+  return {
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  };
+};
+
+/**
+ * Normalize the user agent of a request for storage
+ * @param {string} [userAgent] - User-Agent header
+ * @returns {string|null} Truncated user agent or null
+ */
+sessionSchema.statics.normalizeUserAgent = function (userAgent) {
+  return userAgent ? userAgent.slice(0, SESSION.USER_AGENT_MAX_LENGTH) : null;
+};
+
+// Apply plugins
+sessionSchema.plugin(mongoosePaginate); // Pagination plugin
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
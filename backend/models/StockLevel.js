@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+
+/**
+ * Transform function to sanitize stock level documents
+ * Removes virtual 'id' and version key from serialized output
+ */
+const transformStockLevelDocument = (_doc, ret) => {
+  delete ret.id;
+  delete ret.__v;
+  return ret;
+};
+
+/**
+ * StockLevel Model
+ *
+ * Running balance (quantity on hand) of a material in a department
+ * One document per material and department, created by the first movement
+ * Only changed by the stock service together with the StockMovement that
+ * explains the change, so the balance always equals the sum of the ledger
+ * A negative quantity means consumption was recorded without stock on hand
+ * (allowed when the organization permits negative stock)
+ *
+ * Not soft-deletable: balances follow the ledger
+ */
+
+const stockLevelSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+
+    // Department holding the stock (not necessarily the material's own department)
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department is required"],
+    },
+
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Material",
+      required: [true, "Material is required"],
+    },
+
+    // Quantity on hand, in the material's unit
+    quantity: {
+      type: Number,
+      default: 0,
+    },
+
+    // Last movement applied
+    lastMovementAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: transformStockLevelDocument,
+    },
+    toObject: {
+      virtuals: true,
+      transform: transformStockLevelDocument,
+    },
+  }
+);
+
+// Indexes
+stockLevelSchema.index({ material: 1, department: 1 }, { unique: true });
+stockLevelSchema.index({ organization: 1, department: 1, quantity: 1 });
+
+// Apply plugins
+stockLevelSchema.plugin(mongoosePaginate); // Pagination plugin
+
+const StockLevel = mongoose.model("StockLevel", stockLevelSchema);
+
+export default StockLevel;
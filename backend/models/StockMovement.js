@@ -0,0 +1,187 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import {
+  STOCK_MOVEMENT_TYPES,
+  STOCK_SOURCE_MODELS,
+  STOCK_VALIDATION,
+} from "../utils/constants.js";
+
+/**
+ * Transform function to sanitize stock movement documents
+ * Removes virtual 'id' and version key from serialized output
+ */
+const transformStockMovementDocument = (_doc, ret) => {
+  delete ret.id;
+  delete ret.__v;
+  return ret;
+};
+
+/**
+ * StockMovement Model
+ *
+ * Append-only stock ledger: every change of a StockLevel is recorded here
+ * Quantities are signed (positive adds stock, negative removes it) and
+ * balanceAfter holds the department balance right after the movement
+ *
+ * Consumption comes from the material lines of TaskActivity and RoutineTask
+ * (source/sourceModel); editing or deleting the source posts compensating
+ * movements instead of changing earlier ones
+ * Transfers post a TRANSFER_OUT/TRANSFER_IN pair sharing a transferId
+ * Purchase order receipts post RECEIPT movements with the order as source
+ *
+ * Movements are never updated or deleted (and not soft-deletable)
+ */
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department is required"],
+    },
+
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Material",
+      required: [true, "Material is required"],
+    },
+
+    type: {
+      type: String,
+      required: [true, "Movement type is required"],
+      enum: {
+        values: Object.values(STOCK_MOVEMENT_TYPES),
+        message: "Invalid stock movement type",
+      },
+    },
+
+    // Signed quantity in the material's unit
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      validate: {
+        validator: (value) => value !== 0,
+        message: "Quantity cannot be zero",
+      },
+    },
+
+    // Department balance after this movement
+    balanceAfter: {
+      type: Number,
+      required: [true, "Balance is required"],
+    },
+
+    // Set when the movement left the balance below zero
+    isNegativeBalance: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Activity, routine task or purchase order whose lines posted the movement
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "sourceModel",
+      default: null,
+    },
+    sourceModel: {
+      type: String,
+      enum: {
+        values: [...Object.values(STOCK_SOURCE_MODELS), null],
+        message: "Invalid stock movement source model",
+      },
+      default: null,
+    },
+
+    // Transfers: other side of the transfer
+    transferId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    counterpartDepartment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      default: null,
+    },
+
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [
+        STOCK_VALIDATION.NOTE.MAX_LENGTH,
+        `Note must not exceed ${STOCK_VALIDATION.NOTE.MAX_LENGTH} characters`,
+      ],
+      default: "",
+    },
+
+    // User who posted the movement (null for system postings such as recurrence generation)
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: transformStockMovementDocument,
+    },
+    toObject: {
+      virtuals: true,
+      transform: transformStockMovementDocument,
+    },
+  }
+);
+
+// Indexes
+// Ledger per material and department (newest first)
+stockMovementSchema.index({
+  organization: 1,
+  material: 1,
+  department: 1,
+  createdAt: -1,
+});
+stockMovementSchema.index({ organization: 1, type: 1, createdAt: -1 });
+// Net consumption per source
+stockMovementSchema.index(
+  { source: 1, sourceModel: 1 },
+  { partialFilterExpression: { source: { $type: "objectId" } } }
+);
+
+// Apply plugins
+stockMovementSchema.plugin(mongoosePaginate); // Pagination plugin
+
+// Append-only: existing movements cannot be changed
+stockMovementSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Stock movements cannot be modified"));
+  }
+  next();
+});
+
+stockMovementSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error("Stock movements cannot be modified or deleted"));
+  }
+);
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+
+export default StockMovement;
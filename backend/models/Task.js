@@ -49,6 +49,12 @@ const taskSchema = new mongoose.Schema(
       default: TASK_STATUS.TODO,
     },
 
+    // Completion time (set when status becomes COMPLETED, cleared when it changes)
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+
     // Priority (Requirement 10.3)
     priority: {
       type: String,
@@ -220,6 +226,17 @@ taskSchema.index(
 taskSchema.plugin(softDeletePlugin); // Soft delete plugin (Requirement 10.12)
 taskSchema.plugin(mongoosePaginate); // Pagination plugin
 
+// Pre-save middleware to record the completion time
+taskSchema.pre("save", function (next) {
+  if (this.isModified("status")) {
+    this.completedAt =
+      this.status === TASK_STATUS.COMPLETED
+        ? this.completedAt || new Date()
+        : null;
+  }
+  next();
+});
+
 // Pre-save middleware to validate assignees and watchers (Requirement 10.14, 10.15)
 taskSchema.pre("save", async function (next) {
   // Only validate if watchers are modified
@@ -291,6 +308,21 @@ taskSchema.virtual("isOverdue").get(function () {
   );
 });
 
+/**
+ * Build a query filter matching overdue tasks
+ * Mirrors the isOverdue virtual so queries and documents agree
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object} MongoDB filter
+ */
+taskSchema.statics.buildOverdueFilter = function (now = new Date()) {
+  return {
+    dueDate: { $ne: null, $lt: now },
+    status: {
+      $nin: [TASK_STATUS.COMPLETED, TASK_STATUS.CANCELLED].filter(Boolean),
+    },
+  };
+};
+
 /**
  * Validate deletion pre-conditions for Task
  * @param {mongoose.Document} document - Task document
@@ -7,13 +7,20 @@ import {
   MATERIAL_VALIDATION,
   TASK_TYPES,
 } from "../utils/constants.js";
-import { validateMaterialsScope } from "../utils/modelHelpers.js";
+import {
+  validateMaterialsScope,
+  snapshotMaterialPrices,
+} from "../utils/modelHelpers.js";
 
 /**
  * TaskActivity Model
  *
  * Activities/updates on ProjectTask and AssignedTask (NOT RoutineTask)
- * Materials added to TaskActivity with quantities
+ * System activities (isSystem) are the task history recorded by task updates:
+ * each holds the changed field with its old and new values and cannot be edited
+ * Materials added to TaskActivity with quantities; each line keeps the
+ * material price at the time of use (unitPrice) so later price changes do
+ * not alter recorded costs
  *
  * Cascade Delete: Comments, Attachments
  * TTL: 90 days
@@ -55,6 +62,34 @@ const taskActivitySchema = new mongoose.Schema(
       ],
     },
 
+    // Task history entry recorded by a task update (read-only)
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Changed task fields of a system activity (values as plain JSON)
+    changes: {
+      type: [
+        {
+          field: {
+            type: String,
+            required: [true, "Changed field is required"],
+          },
+          before: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+          },
+          after: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+          },
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+
     // Created By (Requirement 11.1)
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -98,6 +133,23 @@ const taskActivitySchema = new mongoose.Schema(
               `Quantity must be at least ${MATERIAL_VALIDATION.QUANTITY.MIN}`,
             ],
           },
+          // Material price when the line was recorded (cost = quantity x unitPrice)
+          unitPrice: {
+            type: Number,
+            min: [0, "Unit price cannot be negative"],
+            default: null,
+          },
+          // Quantity and unit as entered when another unit than the material's
+          // was used (quantity holds the converted amount)
+          enteredQuantity: {
+            type: Number,
+            default: null,
+          },
+          enteredUnit: {
+            type: String,
+            trim: true,
+            default: null,
+          },
           _id: false, // Disable _id for subdocuments
         },
       ],
@@ -244,6 +296,13 @@ taskActivitySchema.pre("save", async function (next) {
         this.department,
         session
       );
+
+      // Snapshot the price effective on the activity date for newly recorded lines
+      await snapshotMaterialPrices(
+        this.materials,
+        session,
+        this.createdAt || new Date()
+      );
     }
 
     next();
@@ -9,6 +9,7 @@ import {
   PASSWORD,
   IMAGE_VALIDATION,
   SKILL_VALIDATION,
+  CALENDAR_FEED,
 } from "../utils/constants.js";
 
 /**
@@ -25,12 +26,11 @@ const transformUserDocument = (doc, ret) => {
 
   // Remove sensitive fields (defense-in-depth: these have select: false)
   delete ret.password;
-  delete ret.refreshToken;
-  delete ret.refreshTokenExpiry;
   delete ret.passwordResetToken;
   delete ret.passwordResetExpiry;
   delete ret.emailVerificationToken;
   delete ret.emailVerificationExpiry;
+  delete ret.calendarFeedToken;
 
   return ret;
 };
@@ -40,7 +40,8 @@ const transformUserDocument = (doc, ret) => {
  *
  * System users belonging to department and organization
  * Password hashed using bcrypt with 12+ salt rounds
- * Sensitive fields (password, refreshToken, refreshTokenExpiry) have select: false
+ * Sensitive fields (password, reset and verification tokens) have select: false
+ * Refresh tokens belong to sign-in sessions (Session), one per device
  *
  * Cascade Delete: Tasks (createdBy), Activities (createdBy), Comments (createdBy),
  *                 Attachments (uploadedBy), Materials (addedBy), Notifications (remove from recipients),
@@ -267,19 +268,6 @@ const userSchema = new mongoose.Schema(
       },
     },
 
-    // Refresh Token (Requirement 9.7)
-    refreshToken: {
-      type: String,
-      select: false, // Exclude from queries by default
-      default: null,
-    },
-
-    refreshTokenExpiry: {
-      type: Date,
-      select: false, // Exclude from queries by default
-      default: null,
-    },
-
     // Last Login (Requirement 9.13)
     lastLogin: {
       type: Date,
@@ -327,6 +315,23 @@ const userSchema = new mongoose.Schema(
       select: false,
       default: null,
     },
+
+    // Calendar (ICS) Feed: hashed secret of the user's feed URL
+    calendarFeedToken: {
+      type: String,
+      select: false,
+      default: null,
+    },
+
+    calendarFeedCreatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    calendarFeedAccessedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -390,6 +395,15 @@ userSchema.index(
   }
 );
 
+// Unique index for calendar feed lookups (only users with an active feed)
+userSchema.index(
+  { calendarFeedToken: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { calendarFeedToken: { $type: "string" } },
+  }
+);
+
 // Apply plugins
 userSchema.plugin(softDeletePlugin); // Soft delete plugin (Requirement 9.10, 9.11)
 userSchema.plugin(mongoosePaginate); // Pagination plugin
@@ -496,6 +510,38 @@ userSchema.methods.clearEmailVerificationToken = function () {
   this.isEmailVerified = true;
 };
 
+// Instance Method: generateCalendarFeedToken
+// Replaces any previous feed token, so earlier feed URLs stop working
+userSchema.methods.generateCalendarFeedToken = function () {
+  // Generate random token
+  const feedToken = crypto
+    .randomBytes(CALENDAR_FEED.TOKEN_BYTES)
+    .toString("hex");
+
+  // Hash token and set to calendarFeedToken field
+  this.calendarFeedToken = crypto
+    .createHash("sha256")
+    .update(feedToken)
+    .digest("hex");
+  this.calendarFeedCreatedAt = new Date();
+  this.calendarFeedAccessedAt = null;
+
+  return feedToken;
+};
+
+// Instance Method: clearCalendarFeedToken
+userSchema.methods.clearCalendarFeedToken = function () {
+  this.calendarFeedToken = null;
+  this.calendarFeedCreatedAt = null;
+  this.calendarFeedAccessedAt = null;
+};
+
+// Static Method: Find the user of a calendar feed token
+userSchema.statics.findByCalendarFeedToken = function (token) {
+  const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+  return this.findOne({ calendarFeedToken: hashedToken });
+};
+
 // Static Method: Check if last SuperAdmin in organization
 userSchema.statics.isLastSuperAdminInOrg = async function (
   userId,
@@ -711,12 +757,12 @@ userSchema.statics.validateRestoration = async function (
       });
     }
 
-    // Warning: Password reset tokens and refresh tokens expire
-    if (document.passwordResetToken || document.refreshToken) {
+    // Warning: Password reset tokens expire
+    if (document.passwordResetToken) {
       warnings.push({
         code: "TOKENS_EXPIRED",
         message:
-          "Password reset tokens and refresh tokens have expired and cannot be restored",
+          "Password reset tokens have expired and cannot be restored; the user must log in again",
       });
     }
 
@@ -890,7 +936,12 @@ userSchema.statics.cascadeDelete = async function (
     const Notification = mongoose.model("Notification");
     await Notification.updateMany(
       { recipients: documentId },
-      { $pull: { recipients: documentId } },
+      {
+        $pull: {
+          recipients: documentId,
+          recipientStates: { user: documentId },
+        },
+      },
       { session }
     );
 
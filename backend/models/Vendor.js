@@ -1,7 +1,13 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
 import softDeletePlugin from "./plugins/softDelete.js";
-import { VENDOR_VALIDATION, VENDOR_STATUS } from "../utils/constants.js";
+import {
+  VENDOR_VALIDATION,
+  VENDOR_STATUS,
+  VENDOR_DOCUMENT_TYPES,
+  VENDOR_COMPLIANCE,
+} from "../utils/constants.js";
+import { isVendorCompliant } from "../services/vendorComplianceService.js";
 
 /**
  * Vendor Model
@@ -9,11 +15,93 @@ import { VENDOR_VALIDATION, VENDOR_STATUS } from "../utils/constants.js";
  * External clients/vendors who complete outsourced ProjectTasks
  * Name, email, and phone must be unique within organization
  *
+ * Compliance documents (contracts, insurance certificates, licenses) are kept
+ * on the vendor with their issue and expiry dates; the vendor compliance
+ * scheduler warns Admins before they expire and, per organization settings,
+ * moves vendors with a lapsed mandatory document out of ACTIVE
+ *
  * TTL: 90 days
  *
  * Requirements: 14.1, 14.2, 14.3, 14.4, 14.5, 14.6, 14.7, 14.8, 14.9, 14.10, 14.11, 14.12
  */
 
+// Compliance document (file uploaded as an attachment of the vendor)
+const vendorDocumentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "Document type is required"],
+      enum: {
+        values: Object.values(VENDOR_DOCUMENT_TYPES),
+        message: "Invalid document type",
+      },
+    },
+    title: {
+      type: String,
+      required: [true, "Document title is required"],
+      trim: true,
+      minlength: [
+        VENDOR_COMPLIANCE.TITLE.MIN_LENGTH,
+        `Document title must be at least ${VENDOR_COMPLIANCE.TITLE.MIN_LENGTH} characters`,
+      ],
+      maxlength: [
+        VENDOR_COMPLIANCE.TITLE.MAX_LENGTH,
+        `Document title must not exceed ${VENDOR_COMPLIANCE.TITLE.MAX_LENGTH} characters`,
+      ],
+    },
+    // Contract, policy or license number
+    referenceNumber: {
+      type: String,
+      trim: true,
+      maxlength: [
+        VENDOR_COMPLIANCE.REFERENCE_NUMBER.MAX_LENGTH,
+        `Reference number must not exceed ${VENDOR_COMPLIANCE.REFERENCE_NUMBER.MAX_LENGTH} characters`,
+      ],
+      default: "",
+    },
+    issueDate: {
+      type: Date,
+      required: [true, "Issue date is required"],
+    },
+    // Document is valid until this moment
+    expiryDate: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+      validate: {
+        validator: function (value) {
+          return !this.issueDate || value > this.issueDate;
+        },
+        message: "Expiry date must be after issue date",
+      },
+    },
+    // A lapsed mandatory document makes the vendor non-compliant
+    isMandatory: {
+      type: Boolean,
+      default: true,
+    },
+    attachment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Attachment",
+      default: null,
+    },
+    // Set by the compliance scheduler; cleared when the expiry date changes
+    expiryWarningSentAt: {
+      type: Date,
+      default: null,
+    },
+    lapseNotifiedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Created by user is required"],
+    },
+  },
+  { timestamps: true }
+);
+
 const vendorSchema = new mongoose.Schema(
   {
     // Name (Requirement 14.1, 14.2)
@@ -114,6 +202,35 @@ const vendorSchema = new mongoose.Schema(
       ],
       default: "",
     },
+
+    // Compliance documents
+    documents: {
+      type: [vendorDocumentSchema],
+      validate: {
+        validator: (documents) =>
+          documents.length <= VENDOR_COMPLIANCE.DOCUMENTS.MAX_COUNT,
+        message: `Maximum ${VENDOR_COMPLIANCE.DOCUMENTS.MAX_COUNT} compliance documents allowed`,
+      },
+      default: [],
+    },
+
+    // Set when the compliance scheduler moved the vendor out of ACTIVE because
+    // a mandatory document lapsed; the vendor is reactivated once compliant
+    complianceHold: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Attachments (array of references)
+    attachments: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Attachment",
+        },
+      ],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -182,6 +299,12 @@ vendorSchema.index(
     partialFilterExpression: { isDeleted: { $ne: true } },
   }
 );
+vendorSchema.index(
+  { organization: 1, "documents.expiryDate": 1 },
+  {
+    partialFilterExpression: { isDeleted: { $ne: true } },
+  }
+);
 
 // Apply plugins
 vendorSchema.plugin(softDeletePlugin); // Soft delete plugin (Requirement 14.7, 14.8)
@@ -222,6 +345,11 @@ vendorSchema.virtual("projectTaskCount", {
   count: true,
 });
 
+// Virtual for compliance (no lapsed mandatory document)
+vendorSchema.virtual("isCompliant").get(function () {
+  return isVendorCompliant(this);
+});
+
 // Virtual for attachment count
 vendorSchema.virtual("attachmentCount", {
   ref: "Attachment",
@@ -0,0 +1,135 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import { WEBHOOK_EVENTS, WEBHOOK_VALIDATION } from "../utils/constants.js";
+
+/**
+ * Transform function to sanitize webhook documents
+ * Removes virtual 'id', version key and the signing secret from serialized output
+ */
+const transformWebhookDocument = (_doc, ret) => {
+  delete ret.id;
+  delete ret.__v;
+  delete ret.secret;
+  return ret;
+};
+
+/**
+ * Webhook Model
+ *
+ * Organization-level subscription of an HTTP endpoint to events (WEBHOOK_EVENTS)
+ * Each matching event is queued as a WebhookDelivery, signed with the secret
+ * (HMAC-SHA256) and delivered by the webhook worker
+ * The secret has select: false and is only returned when it is set
+ *
+ * Not soft-deletable: deleting a webhook stops its pending deliveries,
+ * its delivery log is kept until it expires
+ */
+
+const webhookSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+
+    // Receiver endpoint (http(s) URL)
+    url: {
+      type: String,
+      required: [true, "Webhook URL is required"],
+      trim: true,
+      maxlength: [
+        WEBHOOK_VALIDATION.URL.MAX_LENGTH,
+        `Webhook URL must not exceed ${WEBHOOK_VALIDATION.URL.MAX_LENGTH} characters`,
+      ],
+    },
+
+    // Signing secret (HMAC-SHA256 key)
+    secret: {
+      type: String,
+      required: [true, "Webhook secret is required"],
+      select: false,
+      minlength: [
+        WEBHOOK_VALIDATION.SECRET.MIN_LENGTH,
+        `Webhook secret must be at least ${WEBHOOK_VALIDATION.SECRET.MIN_LENGTH} characters`,
+      ],
+      maxlength: [
+        WEBHOOK_VALIDATION.SECRET.MAX_LENGTH,
+        `Webhook secret must not exceed ${WEBHOOK_VALIDATION.SECRET.MAX_LENGTH} characters`,
+      ],
+    },
+
+    // Subscribed event types
+    events: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: WEBHOOK_EVENTS,
+            message: "Invalid webhook event",
+          },
+        },
+      ],
+      validate: {
+        validator: (events) =>
+          events.length >= WEBHOOK_VALIDATION.EVENTS.MIN_COUNT,
+        message: "Webhook must subscribe to at least one event",
+      },
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [
+        WEBHOOK_VALIDATION.DESCRIPTION.MAX_LENGTH,
+        `Description must not exceed ${WEBHOOK_VALIDATION.DESCRIPTION.MAX_LENGTH} characters`,
+      ],
+      default: null,
+    },
+
+    // Disabled webhooks receive no new deliveries
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Creator is required"],
+    },
+
+    // Outcome of the latest delivery attempt (shown in webhook lists)
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+    lastDeliveryStatus: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: transformWebhookDocument,
+    },
+    toObject: {
+      virtuals: true,
+      transform: transformWebhookDocument,
+    },
+  }
+);
+
+// Indexes
+// Event fan-out: active webhooks of an organization subscribed to an event
+webhookSchema.index({ organization: 1, isActive: 1, events: 1 });
+
+// Apply plugins
+webhookSchema.plugin(mongoosePaginate); // Pagination plugin
+
+const Webhook = mongoose.model("Webhook", webhookSchema);
+
+export default Webhook;
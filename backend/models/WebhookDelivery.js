@@ -0,0 +1,256 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import {
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOK_DELIVERY,
+} from "../utils/constants.js";
+
+/**
+ * Transform function to sanitize delivery documents
+ * Removes virtual 'id' and version key from serialized output
+ */
+const transformDeliveryDocument = (_doc, ret) => {
+  delete ret.id;
+  delete ret.__v;
+  return ret;
+};
+
+/**
+ * WebhookDelivery Model
+ *
+ * Persistent queue and delivery log of webhook events, delivered by the webhook worker
+ * Failed deliveries are retried with exponential backoff up to WEBHOOK_DELIVERY.MAX_ATTEMPTS,
+ * then kept as FAILED (with the last error) until an admin redelivers them
+ * eventId is the same for every attempt and redelivery, so receivers can deduplicate
+ * Every attempt is logged (status code, response excerpt, error, duration) and
+ * delivered events expire after WEBHOOK_DELIVERY.DELIVERED_RETENTION
+ *
+ * Not soft-deletable: deliveries are operational records
+ */
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: [true, "Webhook is required"],
+    },
+
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+
+    // Event type (SOCKET_EVENTS value) and unique event ID
+    event: {
+      type: String,
+      required: [true, "Event is required"],
+      trim: true,
+    },
+    eventId: {
+      type: String,
+      required: [true, "Event ID is required"],
+    },
+
+    // JSON body sent to the receiver ({ id, event, createdAt, organization, data })
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, "Payload is required"],
+    },
+
+    // Delivery state
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(WEBHOOK_DELIVERY_STATUS),
+        message: "Invalid webhook delivery status",
+      },
+      default: WEBHOOK_DELIVERY_STATUS.PENDING,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: [0, "Attempts cannot be negative"],
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Claim expiry while SENDING (reclaimed if a worker dies mid-delivery)
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    // HTTP status of the latest attempt (null when no response was received)
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    failedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Attempt log, most recent last
+    attemptLog: {
+      type: [
+        {
+          attemptedAt: { type: Date, required: true },
+          responseStatus: { type: Number, default: null },
+          responseBody: { type: String, default: null },
+          error: { type: String, default: null },
+          durationMs: { type: Number, default: null },
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+
+    // Admin who last requested a redelivery
+    redeliveredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // TTL expiry (set once delivered)
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: transformDeliveryDocument,
+    },
+    toObject: {
+      virtuals: true,
+      transform: transformDeliveryDocument,
+    },
+  }
+);
+
+// Indexes
+// Worker polling
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivery log of a webhook
+webhookDeliverySchema.index({ webhook: 1, status: 1, createdAt: -1 });
+// TTL index for automatic expiry of delivered events
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Compute the retry delay after a failed attempt (exponential backoff)
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+webhookDeliverySchema.statics.getRetryDelay = function (attempts) {
+  return Math.min(
+    WEBHOOK_DELIVERY.BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0),
+    WEBHOOK_DELIVERY.MAX_DELAY_MS
+  );
+};
+
+/**
+ * Atomically claim the next delivery that is due
+ * Picks PENDING deliveries whose nextAttemptAt has passed, and SENDING deliveries
+ * whose lock expired; increments attempts
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<mongoose.Document|null>} Claimed delivery or null
+ */
+webhookDeliverySchema.statics.claimNext = function (now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        {
+          status: WEBHOOK_DELIVERY_STATUS.PENDING,
+          nextAttemptAt: { $lte: now },
+        },
+        {
+          status: WEBHOOK_DELIVERY_STATUS.SENDING,
+          lockedUntil: { $lte: now },
+        },
+      ],
+    },
+    {
+      $set: {
+        status: WEBHOOK_DELIVERY_STATUS.SENDING,
+        lockedUntil: new Date(now.getTime() + WEBHOOK_DELIVERY.LOCK_TIMEOUT_MS),
+        lastAttemptAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * Record the outcome of a delivery attempt
+ * Success: DELIVERED, expires after DELIVERED_RETENTION
+ * Failure: PENDING with backoff, or FAILED once MAX_ATTEMPTS is reached
+ * (immediately when result.isFinal, e.g. the webhook was deleted)
+ * @param {Object} result - Result of webhookService.sendWebhookRequest
+ *   ({ success, responseStatus, responseBody, error, durationMs, isFinal })
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<mongoose.Document>} Updated delivery
+ */
+webhookDeliverySchema.methods.recordAttempt = async function (
+  result,
+  now = new Date()
+) {
+  this.lockedUntil = null;
+  this.responseStatus = result.responseStatus ?? null;
+  this.attemptLog.push({
+    attemptedAt: this.lastAttemptAt || now,
+    responseStatus: result.responseStatus ?? null,
+    responseBody: result.responseBody ?? null,
+    error: result.error ?? null,
+    durationMs: result.durationMs ?? null,
+  });
+
+  if (result.success) {
+    this.status = WEBHOOK_DELIVERY_STATUS.DELIVERED;
+    this.deliveredAt = now;
+    this.lastError = null;
+    this.expiresAt = new Date(
+      now.getTime() + WEBHOOK_DELIVERY.DELIVERED_RETENTION * 1000
+    );
+  } else if (result.isFinal || this.attempts >= WEBHOOK_DELIVERY.MAX_ATTEMPTS) {
+    this.status = WEBHOOK_DELIVERY_STATUS.FAILED;
+    this.lastError = result.error;
+    this.failedAt = now;
+  } else {
+    this.status = WEBHOOK_DELIVERY_STATUS.PENDING;
+    this.lastError = result.error;
+    this.nextAttemptAt = new Date(
+      now.getTime() + this.constructor.getRetryDelay(this.attempts)
+    );
+  }
+
+  return this.save();
+};
+
+// Apply plugins
+webhookDeliverySchema.plugin(mongoosePaginate); // Pagination plugin
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
+
+export default WebhookDelivery;
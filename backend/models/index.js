@@ -27,9 +27,25 @@ export { default as TaskComment } from "./TaskComment.js";
 export { default as Material } from "./Material.js";
 export { default as Vendor } from "./Vendor.js";
 
+// Inventory Models
+export { default as StockMovement } from "./StockMovement.js";
+export { default as StockLevel } from "./StockLevel.js";
+export { default as ReorderAlert } from "./ReorderAlert.js";
+export { default as MaterialPrice } from "./MaterialPrice.js";
+
+// Purchasing Models
+export { default as PurchaseOrder } from "./PurchaseOrder.js";
+
 // System Models
 export { default as Notification } from "./Notification.js";
+export { default as NotificationPreference } from "./NotificationPreference.js";
 export { default as Attachment } from "./Attachment.js";
+export { default as EmailOutbox } from "./EmailOutbox.js";
+export { default as Webhook } from "./Webhook.js";
+export { default as WebhookDelivery } from "./WebhookDelivery.js";
+export { default as ApiToken } from "./ApiToken.js";
+export { default as AuditLog } from "./AuditLog.js";
+export { default as Session } from "./Session.js";
 
 // Plugins
 export { default as softDeletePlugin } from "./plugins/softDelete.js";
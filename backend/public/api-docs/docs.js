@@ -0,0 +1,216 @@
+/**
+ * API Docs Page
+ * Renders the OpenAPI document (GET /api/openapi.json) grouped by tag
+ * Loaded from /api/docs/docs.js (the Content Security Policy only allows
+ * same-origin scripts, so the page has no inline script)
+ */
+
+(function () {
+  const SPEC_URL = new URL("../openapi.json", document.currentScript.src);
+  const METHODS = ["get", "post", "put", "patch", "delete"];
+
+  /**
+   * Create an element with text and children
+   * @param {string} tag - Element tag
+   * @param {Object} [attributes] - Attributes (className, textContent, ...)
+   * @param {Array<Node>} [children] - Child nodes
+   * @returns {HTMLElement} Element
+   */
+  const el = (tag, attributes = {}, children = []) => {
+    const node = document.createElement(tag);
+    Object.assign(node, attributes);
+    children.filter(Boolean).forEach((child) => node.appendChild(child));
+    return node;
+  };
+
+  /**
+   * Resolve a local "$ref" of the document
+   * @param {Object} spec - OpenAPI document
+   * @param {Object} value - Object that may be a reference
+   * @returns {Object} Referenced object or the value itself
+   */
+  const resolve = (spec, value) => {
+    if (!value || !value.$ref) return value;
+    return value.$ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((node, key) => (node ? node[key] : undefined), spec);
+  };
+
+  /**
+   * Describe a parameter schema in one line
+   * @param {Object} schema - Parameter schema
+   * @returns {string} Type and constraints
+   */
+  const describeSchema = (schema = {}) => {
+    const parts = [schema.type || "any"];
+    if (schema.format) parts.push(schema.format);
+    if (schema.enum) parts.push(`one of ${schema.enum.join(", ")}`);
+    if (schema.minimum !== undefined) parts.push(`min ${schema.minimum}`);
+    if (schema.maximum !== undefined) parts.push(`max ${schema.maximum}`);
+    if (schema.minLength !== undefined) {
+      parts.push(`min length ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined) {
+      parts.push(`max length ${schema.maxLength}`);
+    }
+    if (schema.pattern) parts.push(`pattern ${schema.pattern}`);
+    return parts.join("; ");
+  };
+
+  /**
+   * Render the details of an operation
+   * @param {Object} spec - OpenAPI document
+   * @param {Object} operation - OpenAPI operation
+   * @returns {HTMLElement} Operation body
+   */
+  const renderOperationBody = (spec, operation) => {
+    const body = el("div", { className: "body" });
+
+    if (operation.description) {
+      body.appendChild(
+        el("p", {
+          className: "description",
+          textContent: operation.description,
+        })
+      );
+    }
+
+    if (operation.parameters) {
+      body.appendChild(el("h4", { textContent: "Parameters" }));
+      const rows = operation.parameters.map((parameter) =>
+        el("tr", {}, [
+          el("td", {}, [el("code", { textContent: parameter.name })]),
+          el("td", { textContent: parameter.in }),
+          el("td", { textContent: parameter.required ? "yes" : "no" }),
+          el("td", { textContent: describeSchema(parameter.schema) }),
+          el("td", { textContent: parameter.description || "" }),
+        ])
+      );
+      body.appendChild(
+        el("table", {}, [
+          el("thead", {}, [
+            el("tr", {}, [
+              el("th", { textContent: "Name" }),
+              el("th", { textContent: "In" }),
+              el("th", { textContent: "Required" }),
+              el("th", { textContent: "Schema" }),
+              el("th", { textContent: "Description" }),
+            ]),
+          ]),
+          el("tbody", {}, rows),
+        ])
+      );
+    }
+
+    if (operation.requestBody) {
+      Object.entries(operation.requestBody.content).forEach(
+        ([contentType, { schema }]) => {
+          body.appendChild(
+            el("h4", { textContent: `Request body (${contentType})` })
+          );
+          body.appendChild(
+            el("pre", { textContent: JSON.stringify(schema, null, 2) })
+          );
+        }
+      );
+    }
+
+    body.appendChild(el("h4", { textContent: "Responses" }));
+    body.appendChild(
+      el(
+        "ul",
+        {},
+        Object.entries(operation.responses).map(([status, response]) =>
+          el("li", {
+            textContent: `${status}: ${resolve(spec, response).description}`,
+          })
+        )
+      )
+    );
+
+    return body;
+  };
+
+  /**
+   * Render the operations matching a filter, grouped by tag
+   * @param {Object} spec - OpenAPI document
+   * @param {string} filter - Case-insensitive filter text
+   */
+  const renderOperations = (spec, filter) => {
+    const container = document.getElementById("operations");
+    const needle = filter.trim().toLowerCase();
+    const groups = new Map(spec.tags.map((tag) => [tag.name, []]));
+
+    Object.entries(spec.paths).forEach(([path, pathItem]) => {
+      METHODS.filter((method) => pathItem[method]).forEach((method) => {
+        const operation = pathItem[method];
+        const haystack = [
+          method,
+          path,
+          operation.summary,
+          operation["x-permission"],
+        ]
+          .join(" ")
+          .toLowerCase();
+        if (needle && !haystack.includes(needle)) return;
+
+        const details = el("details", { className: "operation" }, [
+          el("summary", {}, [
+            el("span", {
+              className: `method ${method}`,
+              textContent: method.toUpperCase(),
+            }),
+            el("span", {
+              className: "path",
+              textContent: `${spec.servers[0].url}${path}`,
+            }),
+            el("span", {
+              className: "summary",
+              textContent: operation.summary || "",
+            }),
+          ]),
+        ]);
+        // Render the details on first open (the document has many operations)
+        details.addEventListener(
+          "toggle",
+          () => details.appendChild(renderOperationBody(spec, operation)),
+          { once: true }
+        );
+        groups.get(operation.tags[0]).push(details);
+      });
+    });
+
+    container.replaceChildren(
+      ...[...groups]
+        .filter(([, operations]) => operations.length > 0)
+        .flatMap(([tag, operations]) => [
+          el("h2", { textContent: tag }),
+          ...operations,
+        ])
+    );
+  };
+
+  fetch(SPEC_URL, { credentials: "same-origin" })
+    .then((response) => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then((spec) => {
+      document.title = `${spec.info.title} Reference`;
+      document.getElementById("title").textContent = spec.info.title;
+      document.getElementById("subtitle").textContent =
+        `Version ${spec.info.version} - OpenAPI ${spec.openapi} document: ` +
+        SPEC_URL.pathname;
+
+      const filterInput = document.getElementById("filter");
+      filterInput.addEventListener("input", () =>
+        renderOperations(spec, filterInput.value)
+      );
+      renderOperations(spec, "");
+    })
+    .catch((error) => {
+      document.getElementById("subtitle").textContent =
+        `Failed to load the OpenAPI document: ${error.message}`;
+    });
+})();
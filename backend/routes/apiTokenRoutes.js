@@ -0,0 +1,145 @@
+import express from "express";
+import {
+  getApiTokenScopes,
+  getPersonalAccessTokens,
+  createPersonalAccessToken,
+  revokePersonalAccessToken,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from "../controllers/apiTokenController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  listApiTokensValidator,
+  createPersonalAccessTokenValidator,
+  revokePersonalAccessTokenValidator,
+  createApiKeyValidator,
+  revokeApiKeyValidator,
+} from "../middlewares/validators/apiTokenValidators.js";
+import { validate } from "../middlewares/validation.js";
+
+/**
+ * API Token Routes
+ * Routes for personal access tokens and organization API keys
+ * Mounted at: /api/api-tokens
+ * Tokens are used as "Authorization: Bearer <token>" and cannot manage tokens
+ * themselves (apiTokens/apiKeys cannot be granted as scopes)
+ *
+ * MIDDLEWARE ORDER (Requirement 39.3):
+ * 1. Authentication (authMiddleware) - Verify JWT token
+ * 2. Authorization (authorize) - Check permissions
+ * 3. Validation (validators + validate) - Validate request data
+ * 4. Controller - Execute business logic
+ *
+ * Requirements: 39.1, 39.2, 39.3, 39.5
+ */
+
+const router = express.Router();
+
+// Apply authentication to all routes (Requirement 39.1)
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/api-tokens/scopes
+ * @desc    Get the scopes the requesting user can grant ("resource:operation")
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ */
+router.get("/scopes", authorize("apiTokens", "read"), getApiTokenScopes);
+
+/**
+ * @route   GET /api/api-tokens/personal
+ * @desc    Get the requesting user's personal access tokens (hashes are not returned)
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {boolean} includeRevoked - Include revoked tokens (default: false)
+ */
+router.get(
+  "/personal",
+  authorize("apiTokens", "read"),
+  listApiTokensValidator,
+  validate,
+  getPersonalAccessTokens
+);
+
+/**
+ * @route   POST /api/api-tokens/personal
+ * @desc    Create a personal access token acting as the requesting user
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @body    {string} name - Token name
+ * @body    {Array<string>} scopes - Granted scopes (must be permitted by the user's role)
+ * @body    {string} expiresAt - Expiry date (optional, ISO 8601, default: never)
+ * @note    The token is only returned by this request
+ */
+router.post(
+  "/personal",
+  authorize("apiTokens", "create"),
+  createPersonalAccessTokenValidator,
+  validate,
+  createPersonalAccessToken
+);
+
+/**
+ * @route   DELETE /api/api-tokens/personal/:tokenId
+ * @desc    Revoke a personal access token of the requesting user
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @param   {string} tokenId - Token ID
+ */
+router.delete(
+  "/personal/:tokenId",
+  authorize("apiTokens", "delete"),
+  revokePersonalAccessTokenValidator,
+  validate,
+  revokePersonalAccessToken
+);
+
+/**
+ * @route   GET /api/api-tokens/keys
+ * @desc    Get the organization's API keys (hashes are not returned)
+ * @access  Private (SuperAdmin, Admin)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {boolean} includeRevoked - Include revoked keys (default: false)
+ */
+router.get(
+  "/keys",
+  authorize("apiKeys", "read"),
+  listApiTokensValidator,
+  validate,
+  getApiKeys
+);
+
+/**
+ * @route   POST /api/api-tokens/keys
+ * @desc    Create an organization API key acting as the requesting admin
+ * @access  Private (SuperAdmin, Admin)
+ * @body    {string} name - Key name
+ * @body    {Array<string>} scopes - Granted scopes (must be permitted by the admin's role)
+ * @body    {string} expiresAt - Expiry date (optional, ISO 8601, default: never)
+ * @note    The key is only returned by this request; it stops working if its
+ *          creator can no longer authenticate
+ */
+router.post(
+  "/keys",
+  authorize("apiKeys", "create"),
+  createApiKeyValidator,
+  validate,
+  createApiKey
+);
+
+/**
+ * @route   DELETE /api/api-tokens/keys/:tokenId
+ * @desc    Revoke an organization API key
+ * @access  Private (SuperAdmin, Admin)
+ * @param   {string} tokenId - API key ID
+ */
+router.delete(
+  "/keys/:tokenId",
+  authorize("apiKeys", "delete"),
+  revokeApiKeyValidator,
+  validate,
+  revokeApiKey
+);
+
+export default router;
@@ -0,0 +1,185 @@
+import express from "express";
+import {
+  getAllAttachments,
+  uploadAttachments,
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment,
+} from "../controllers/attachmentController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  listAttachmentsValidator,
+  uploadAttachmentsValidator,
+  deleteAttachmentValidator,
+  getAttachmentByIdValidator,
+  getAttachmentThumbnailValidator,
+} from "../middlewares/validators/attachmentValidators.js";
+import { validate } from "../middlewares/validation.js";
+import { findResourceById } from "../utils/controllerHelpers.js";
+import { isValidObjectId } from "../utils/helpers.js";
+import { PARENT_MODEL_TYPES } from "../utils/constants.js";
+import {
+  Attachment,
+  Task,
+  TaskActivity,
+  TaskComment,
+  Vendor,
+} from "../models/index.js";
+
+/**
+ * Attachment Routes
+ * Routes for file attachments of tasks, activities and comments
+ * Mounted at: /api/attachments
+ *
+ * MIDDLEWARE ORDER (Requirement 39.3):
+ * 1. Authentication (authMiddleware) - Verify JWT token
+ * 2. Authorization (authorize) - Check permissions
+ * 3. Validation (validators + validate) - Validate request data
+ * 4. Controller - Execute business logic
+ *
+ * Uploads are multipart/form-data (one or more "file" parts); the parent is
+ * given in the query string so it is validated before the body is streamed
+ * File content must match the declared MIME type; images get thumbnails and
+ * are rejected when they cannot be re-encoded
+ *
+ * Requirements: 39.1, 39.2, 39.3, 39.5
+ */
+
+const router = express.Router();
+
+// Apply authentication to all routes (Requirement 39.1)
+router.use(authMiddleware);
+
+// Parent models by PARENT_MODEL_TYPES value
+const PARENT_MODELS = {
+  [PARENT_MODEL_TYPES.TASK]: Task,
+  [PARENT_MODEL_TYPES.TASK_ACTIVITY]: TaskActivity,
+  [PARENT_MODEL_TYPES.TASK_COMMENT]: TaskComment,
+  [PARENT_MODEL_TYPES.VENDOR]: Vendor,
+};
+
+/**
+ * Helper function to get the upload parent document from request
+ * Used by authorization middleware to check department scope
+ * @param {import('express').Request} req - Express request object
+ * @returns {Promise<Object|null>} Parent document or null
+ */
+const getParentDocument = async (req) => {
+  const { parent, parentModel } = req.query;
+  const ParentModel = PARENT_MODELS[parentModel];
+  if (!ParentModel || !isValidObjectId(parent)) return null;
+
+  return ParentModel.findById(parent).withDeleted();
+};
+
+/**
+ * Helper function to get attachment document from request
+ * Used by authorization middleware to check ownership and scope
+ * @param {import('express').Request} req - Express request object
+ * @returns {Promise<Object|null>} Attachment document or null
+ */
+const getAttachmentDocument = async (req) => {
+  const { attachmentId } = req.params;
+  if (!attachmentId) return null;
+
+  return findResourceById(Attachment, attachmentId, {
+    includeDeleted: true,
+  });
+};
+
+/**
+ * @route   GET /api/attachments
+ * @desc    Get all attachments with pagination and filtering
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @query   {boolean} deleted - Include deleted attachments (true/false/"only")
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {string} search - Search query for file name
+ * @query   {string} fileType - Filter by file type
+ * @query   {string} parent - Filter by parent ID
+ * @query   {string} parentModel - Filter by parent model (Task, TaskActivity, TaskComment, Vendor)
+ * @query   {string} department - Filter by department ID
+ * @query   {string} uploadedBy - Filter by uploader ID
+ */
+router.get(
+  "/",
+  authorize("attachments", "read"),
+  listAttachmentsValidator,
+  validate,
+  getAllAttachments
+);
+
+/**
+ * @route   POST /api/attachments
+ * @desc    Upload files (multipart/form-data) and attach them to a parent
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @query   {string} parent - Parent ID (required)
+ * @query   {string} parentModel - Parent model: Task, TaskActivity, TaskComment, Vendor (required)
+ * @body    {File[]} file - Files to upload (multipart; FILE_UPLOAD.MAX_SIZE each,
+ *          at most ACTIVITY_VALIDATION.ATTACHMENTS.MAX_COUNT per parent)
+ */
+router.post(
+  "/",
+  authorize("attachments", "create", {
+    checkScope: true,
+    getDocument: getParentDocument,
+  }),
+  uploadAttachmentsValidator,
+  validate,
+  uploadAttachments
+);
+
+/**
+ * @route   GET /api/attachments/:attachmentId/download
+ * @desc    Download attachment file (streamed, or redirect for Cloudinary files)
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @param   {string} attachmentId - Attachment ID
+ */
+router.get(
+  "/:attachmentId/download",
+  authorize("attachments", "read", {
+    checkScope: true,
+    getDocument: getAttachmentDocument,
+  }),
+  getAttachmentByIdValidator,
+  validate,
+  downloadAttachment
+);
+
+/**
+ * @route   GET /api/attachments/:attachmentId/thumbnails/:size
+ * @desc    Get image attachment thumbnail (streamed, or redirect for Cloudinary files)
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @param   {string} attachmentId - Attachment ID
+ * @param   {string} size - Thumbnail size (small, medium)
+ */
+router.get(
+  "/:attachmentId/thumbnails/:size",
+  authorize("attachments", "read", {
+    checkScope: true,
+    getDocument: getAttachmentDocument,
+  }),
+  getAttachmentThumbnailValidator,
+  validate,
+  getAttachmentThumbnail
+);
+
+/**
+ * @route   DELETE /api/attachments/:attachmentId
+ * @desc    Soft delete attachment (file removed by TTL cleanup)
+ * @access  Private (SuperAdmin, Admin)
+ * @param   {string} attachmentId - Attachment ID
+ */
+router.delete(
+  "/:attachmentId",
+  authorize("attachments", "delete", {
+    checkScope: true,
+    getDocument: getAttachmentDocument,
+  }),
+  deleteAttachmentValidator,
+  validate,
+  deleteAttachment
+);
+
+export default router;
@@ -0,0 +1,53 @@
+import express from "express";
+import { getAuditLogs } from "../controllers/auditLogController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import { listAuditLogsValidator } from "../middlewares/validators/auditLogValidators.js";
+import { validate } from "../middlewares/validation.js";
+
+/**
+ * Audit Log Routes
+ * Routes for reviewing and exporting the audit trail
+ * Mounted at: /api/audit-logs
+ *
+ * MIDDLEWARE ORDER (Requirement 39.3):
+ * 1. Authentication (authMiddleware) - Verify JWT token
+ * 2. Authorization (authorize) - Check permissions
+ * 3. Validation (validators + validate) - Validate request data
+ * 4. Controller - Execute business logic
+ *
+ * Requirements: 39.1, 39.2, 39.3, 39.5
+ */
+
+const router = express.Router();
+
+// Apply authentication to all routes (Requirement 39.1)
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/audit-logs
+ * @desc    Get audit entries (newest first) with filtering and pagination, or export them
+ * @access  Private (SuperAdmin, Admin)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {string} resource - Filter by resource (Task, Material, User, etc.)
+ * @query   {string} resourceId - Filter by resource ID
+ * @query   {string} operation - Filter by operation (CREATE, UPDATE, DELETE, RESTORE)
+ * @query   {string} action - Filter by workflow action (approve, change-password, etc.)
+ * @query   {string} actor - Filter by acting user ID
+ * @query   {string} requestId - Filter by request ID (X-Request-Id)
+ * @query   {string} startDate - Entries on or after this date
+ * @query   {string} endDate - Entries on or before this date
+ * @query   {string} organization - Filter by organization ID (Platform SuperAdmin only)
+ * @query   {string} format - Export all matching entries as csv, xlsx or pdf
+ * @query   {string} columns - Comma-separated export column keys (default: all)
+ */
+router.get(
+  "/",
+  authorize("auditLogs", "read"),
+  listAuditLogsValidator,
+  validate,
+  getAuditLogs
+);
+
+export default router;
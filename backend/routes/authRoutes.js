@@ -9,6 +9,11 @@ import {
   verifyEmail,
   resendVerification,
 } from "../controllers/authController.js";
+import {
+  getMySessions,
+  revokeMySession,
+  revokeMyOtherSessions,
+} from "../controllers/sessionController.js";
 import {
   registerValidator,
   loginValidator,
@@ -19,8 +24,14 @@ import {
   verifyEmailValidator,
   resendVerificationValidator,
 } from "../middlewares/validators/authValidators.js";
+import {
+  listSessionsValidator,
+  revokeSessionValidator,
+} from "../middlewares/validators/sessionValidators.js";
 import { validate } from "../middlewares/validation.js";
-import authMiddleware from "../middlewares/authMiddleware.js";
+import authMiddleware, {
+  requireSessionAuth,
+} from "../middlewares/authMiddleware.js";
 import {
   authLimiter,
   passwordResetLimiter,
@@ -73,17 +84,75 @@ router.post("/login", authLimiter, loginValidator, validate, login);
  * @desc    Refresh access and refresh tokens
  * @access  Public
  * @validation refreshTokenValidator
+ * @note    The refresh token is rotated; presenting a rotated token again
+ *          revokes its session (all devices keep their own session)
  */
 router.post("/refresh", refreshTokenValidator, validate, refreshToken);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user and clear tokens
+ * @desc    Logout user (revoke the current session) and clear tokens
  * @access  Private (requires authentication)
  * @validation logoutValidator
- * @middleware authMiddleware
+ * @middleware authMiddleware, requireSessionAuth (API tokens cannot log out)
+ */
+router.post(
+  "/logout",
+  authMiddleware,
+  requireSessionAuth,
+  logoutValidator,
+  validate,
+  logout
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get the requesting user's sessions (one per signed-in device)
+ * @access  Private (requires authentication)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {boolean} includeRevoked - Include revoked and expired sessions (default: false)
+ * @middleware authMiddleware, requireSessionAuth (API tokens cannot manage sessions)
+ * @note    The session of the request is flagged with isCurrent
  */
-router.post("/logout", authMiddleware, logoutValidator, validate, logout);
+router.get(
+  "/sessions",
+  authMiddleware,
+  requireSessionAuth,
+  listSessionsValidator,
+  validate,
+  getMySessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke all sessions of the requesting user except the current one
+ * @access  Private (requires authentication)
+ * @middleware authMiddleware, requireSessionAuth (API tokens cannot manage sessions)
+ */
+router.delete(
+  "/sessions",
+  authMiddleware,
+  requireSessionAuth,
+  revokeMyOtherSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one of the requesting user's sessions (signs that device out)
+ * @access  Private (requires authentication)
+ * @param   {string} sessionId - Session ID
+ * @middleware authMiddleware, requireSessionAuth (API tokens cannot manage sessions)
+ * @note    Revoking the current session also clears its cookies
+ */
+router.delete(
+  "/sessions/:sessionId",
+  authMiddleware,
+  requireSessionAuth,
+  revokeSessionValidator,
+  validate,
+  revokeMySession
+);
 
 /**
  * @route   POST /api/auth/forgot-password
@@ -0,0 +1,71 @@
+import express from "express";
+import {
+  getCalendarFeedState,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed,
+} from "../controllers/calendarController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import { readLimiter } from "../middlewares/rateLimiter.js";
+import { getCalendarFeedValidator } from "../middlewares/validators/calendarValidators.js";
+import { validate } from "../middlewares/validation.js";
+
+/**
+ * Calendar Routes
+ * Routes for the requesting user's iCalendar (ICS) feed
+ * Mounted at: /api/calendar
+ * The feed itself is public: calendar apps authenticate with the secret token
+ * of the feed URL instead of cookies
+ *
+ * MIDDLEWARE ORDER (Requirement 39.3):
+ * 1. Authentication (authMiddleware) - Verify JWT token (feed management only)
+ * 2. Authorization (authorize) - Check permissions
+ * 3. Validation (validators + validate) - Validate request data
+ * 4. Controller - Execute business logic
+ */
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/calendar/feeds/:token.ics
+ * @desc    Get the ICS feed of a user's tasks (subscribe from a calendar app)
+ * @access  Public (feed token)
+ * @param   {string} token - Secret feed token
+ * @query   {boolean} todos - Also emit a VTODO per assigned/project task (optional, default: false)
+ * @rateLimit readLimiter (200 requests per 15 minutes)
+ */
+router.get(
+  "/feeds/:token.ics",
+  readLimiter,
+  getCalendarFeedValidator,
+  validate,
+  getCalendarFeed
+);
+
+// Apply authentication to the remaining routes (Requirement 39.1)
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Get whether the requesting user has a feed URL and when it was last used
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ */
+router.get("/feed", authorize("tasks", "read"), getCalendarFeedState);
+
+/**
+ * @route   POST /api/calendar/feed
+ * @desc    Create the feed URL of the requesting user (replaces the previous URL)
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @note    The URL is only returned by this request
+ */
+router.post("/feed", authorize("tasks", "read"), createCalendarFeed);
+
+/**
+ * @route   DELETE /api/calendar/feed
+ * @desc    Revoke the feed URL of the requesting user
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ */
+router.delete("/feed", authorize("tasks", "read"), revokeCalendarFeed);
+
+export default router;
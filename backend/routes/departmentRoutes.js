@@ -2,6 +2,7 @@ import express from "express";
 import {
   getAllDepartments,
   getDepartmentById,
+  getDepartmentCosts,
   createDepartment,
   updateDepartment,
   deleteDepartment,
@@ -91,6 +92,27 @@ router.get(
   getDepartmentById
 );
 
+/**
+ * @route   GET /api/departments/:departmentId/costs
+ * @desc    Get project cost summary (budget vs actual spend per project task)
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @middleware authMiddleware - Verify JWT token (Requirement 39.1)
+ * @middleware getDepartmentByIdValidator - Validate department ID
+ * @middleware validate - Process validation results
+ * @middleware authorize - Check permissions (Requirement 39.2)
+ */
+router.get(
+  "/:departmentId/costs",
+  authMiddleware,
+  getDepartmentByIdValidator,
+  validate,
+  authorize("departments", "read", {
+    checkScope: true,
+    getDocument: getDepartmentDocument,
+  }),
+  getDepartmentCosts
+);
+
 /**
  * @route   POST /api/departments
  * @desc    Create new department
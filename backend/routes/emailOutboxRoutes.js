@@ -0,0 +1,83 @@
+import express from "express";
+import {
+  getEmailOutbox,
+  resendEmail,
+  batchResendEmails,
+} from "../controllers/emailOutboxController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  listEmailOutboxValidator,
+  resendEmailValidator,
+  batchResendEmailsValidator,
+} from "../middlewares/validators/emailOutboxValidators.js";
+import { validate } from "../middlewares/validation.js";
+
+/**
+ * Email Outbox Routes
+ * Routes for inspecting the outgoing email queue and resending failed emails
+ * Mounted at: /api/email-outbox
+ *
+ * MIDDLEWARE ORDER (Requirement 39.3):
+ * 1. Authentication (authMiddleware) - Verify JWT token
+ * 2. Authorization (authorize) - Check permissions
+ * 3. Validation (validators + validate) - Validate request data
+ * 4. Controller - Execute business logic
+ *
+ * Requirements: 39.1, 39.2, 39.3, 39.5
+ */
+
+const router = express.Router();
+
+// Apply authentication to all routes (Requirement 39.1)
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/email-outbox
+ * @desc    Get outbox messages with pagination and filtering (bodies are not returned)
+ * @access  Private (SuperAdmin, Admin)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {string} search - Search query for recipient or subject
+ * @query   {string} status - Filter by status (PENDING, SENDING, SENT, FAILED)
+ * @query   {string} template - Filter by email template (PASSWORD_RESET, WELCOME, etc.)
+ * @query   {string} organization - Filter by organization ID (Platform SuperAdmin only)
+ */
+router.get(
+  "/",
+  authorize("emails", "read"),
+  listEmailOutboxValidator,
+  validate,
+  getEmailOutbox
+);
+
+/**
+ * @route   POST /api/email-outbox/batch-resend
+ * @desc    Queue several failed emails for delivery again
+ * @access  Private (SuperAdmin, Admin)
+ * @body    {Array<string>} messageIds - Outbox message IDs (all must have FAILED)
+ */
+router.post(
+  "/batch-resend",
+  authorize("emails", "update"),
+  batchResendEmailsValidator,
+  validate,
+  batchResendEmails
+);
+
+/**
+ * @route   POST /api/email-outbox/:messageId/resend
+ * @desc    Queue a failed email for delivery again
+ * @access  Private (SuperAdmin, Admin)
+ * @param   {string} messageId - Outbox message ID
+ * @note    Attempts restart from zero; only FAILED messages can be resent
+ */
+router.post(
+  "/:messageId/resend",
+  authorize("emails", "update"),
+  resendEmailValidator,
+  validate,
+  resendEmail
+);
+
+export default router;
@@ -0,0 +1,78 @@
+import express from "express";
+import {
+  importMaterials,
+  importVendors,
+  importUsers,
+} from "../controllers/importController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import { importRecordsValidator } from "../middlewares/validators/importValidators.js";
+import { validate } from "../middlewares/validation.js";
+
+/**
+ * Import Routes
+ * Routes for bulk imports from CSV/XLSX files (multipart/form-data, one file)
+ * Mounted at: /api/imports
+ * Importing requires the create permission of the imported resource
+ *
+ * MIDDLEWARE ORDER (Requirement 39.3):
+ * 1. Authentication (authMiddleware) - Verify JWT token
+ * 2. Authorization (authorize) - Check permissions
+ * 3. Validation (validators + validate) - Validate request data
+ * 4. Controller - Execute business logic (rows are validated per row)
+ */
+
+const router = express.Router();
+
+// Apply authentication to all routes (Requirement 39.1)
+router.use(authMiddleware);
+
+/**
+ * @route   POST /api/imports/materials
+ * @desc    Import materials from a CSV/XLSX file
+ * @access  Private (SuperAdmin, Admin, Manager)
+ * @body    {File} file - CSV/XLSX file, headers in row 1 (name, unit, category, price, reorderPoint, reorderQuantity, department)
+ * @query   {boolean} dryRun - Validate only and return the report (optional, default: false)
+ * @query   {string} mapping - JSON object of column header to field (optional)
+ */
+router.post(
+  "/materials",
+  authorize("materials", "create"),
+  importRecordsValidator,
+  validate,
+  importMaterials
+);
+
+/**
+ * @route   POST /api/imports/vendors
+ * @desc    Import vendors from a CSV/XLSX file
+ * @access  Private (SuperAdmin, Admin)
+ * @body    {File} file - CSV/XLSX file, headers in row 1 (name, email, phone, address, status, rating)
+ * @query   {boolean} dryRun - Validate only and return the report (optional, default: false)
+ * @query   {string} mapping - JSON object of column header to field (optional)
+ */
+router.post(
+  "/vendors",
+  authorize("vendors", "create"),
+  importRecordsValidator,
+  validate,
+  importVendors
+);
+
+/**
+ * @route   POST /api/imports/users
+ * @desc    Import users from a CSV/XLSX file and send them welcome invitations
+ * @access  Private (SuperAdmin, Admin)
+ * @body    {File} file - CSV/XLSX file, headers in row 1 (firstName, lastName, email, role, department, employeeId, phone, joinedAt, dateOfBirth)
+ * @query   {boolean} dryRun - Validate only and return the report (optional, default: false)
+ * @query   {string} mapping - JSON object of column header to field (optional)
+ */
+router.post(
+  "/users",
+  authorize("users", "create"),
+  importRecordsValidator,
+  validate,
+  importUsers
+);
+
+export default router;
@@ -14,6 +14,16 @@ import taskCommentRoutes from "./taskCommentRoutes.js";
 import materialRoutes from "./materialRoutes.js";
 import vendorRoutes from "./vendorRoutes.js";
 import notificationRoutes from "./notificationRoutes.js";
+import emailOutboxRoutes from "./emailOutboxRoutes.js";
+import attachmentRoutes from "./attachmentRoutes.js";
+import stockRoutes from "./stockRoutes.js";
+import purchaseOrderRoutes from "./purchaseOrderRoutes.js";
+import importRoutes from "./importRoutes.js";
+import calendarRoutes from "./calendarRoutes.js";
+import webhookRoutes from "./webhookRoutes.js";
+import apiTokenRoutes from "./apiTokenRoutes.js";
+import auditLogRoutes from "./auditLogRoutes.js";
+import openApiRoutes from "./openApiRoutes.js";
 
 const router = express.Router();
 
@@ -28,5 +38,15 @@ router.use("/tasks/comments", taskCommentRoutes);
 router.use("/materials", materialRoutes);
 router.use("/vendors", vendorRoutes);
 router.use("/notifications", notificationRoutes);
+router.use("/email-outbox", emailOutboxRoutes);
+router.use("/attachments", attachmentRoutes);
+router.use("/stock", stockRoutes);
+router.use("/purchase-orders", purchaseOrderRoutes);
+router.use("/imports", importRoutes);
+router.use("/calendar", calendarRoutes);
+router.use("/webhooks", webhookRoutes);
+router.use("/api-tokens", apiTokenRoutes);
+router.use("/audit-logs", auditLogRoutes);
+router.use("/", openApiRoutes);
 
 export default router;
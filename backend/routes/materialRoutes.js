@@ -2,8 +2,13 @@ import express from "express";
 import {
   getAllMaterials,
   getMaterialById,
+  getMaterialPriceTrend,
   createMaterial,
   updateMaterial,
+  recordMaterialPrice,
+  addMaterialQuote,
+  deleteMaterialQuote,
+  acceptMaterialQuote,
   deleteMaterial,
   restoreMaterial,
 } from "../controllers/materialController.js";
@@ -16,6 +21,10 @@ import {
   deleteMaterialValidator,
   restoreMaterialValidator,
   getMaterialByIdValidator,
+  getMaterialPriceTrendValidator,
+  recordMaterialPriceValidator,
+  addMaterialQuoteValidator,
+  materialQuoteValidator,
 } from "../middlewares/validators/materialValidators.js";
 import { validate } from "../middlewares/validation.js";
 import { findResourceById } from "../utils/controllerHelpers.js";
@@ -66,6 +75,9 @@ const getMaterialDocument = async (req) => {
  * @query   {string} category - Filter by material category
  * @query   {string} organization - Filter by organization ID
  * @query   {string} department - Filter by department ID
+ * @query   {boolean} belowReorder - Only materials at or below their reorder point
+ * @query   {string} format - Export all matching materials as csv, xlsx or pdf
+ * @query   {string} columns - Comma-separated export column keys (default: all)
  */
 router.get(
   "/",
@@ -83,6 +95,8 @@ router.get(
  * @body    {string} unit - Unit of measurement (required)
  * @body    {string} category - Material category (required)
  * @body    {number} price - Material price (optional)
+ * @body    {number} reorderPoint - Stock level that triggers a low-stock alert (optional)
+ * @body    {number} reorderQuantity - Suggested quantity to reorder (optional)
  * @body    {string} organization - Organization ID (required)
  * @body    {string} department - Department ID (required)
  * @body    {string} createdBy - Creator user ID (required)
@@ -113,6 +127,24 @@ router.get(
   getMaterialById
 );
 
+/**
+ * @route   GET /api/materials/:materialId/price-trend
+ * @desc    Get material price history, trend chart points and vendor quotes
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @param   {string} materialId - Material ID
+ * @query   {number} months - Months in the trend (default: 12)
+ */
+router.get(
+  "/:materialId/price-trend",
+  authorize("materials", "read", {
+    checkScope: true,
+    getDocument: getMaterialDocument,
+  }),
+  getMaterialPriceTrendValidator,
+  validate,
+  getMaterialPriceTrend
+);
+
 /**
  * @route   PUT /api/materials/:materialId
  * @desc    Update material
@@ -122,6 +154,8 @@ router.get(
  * @body    {string} unit - Unit of measurement (optional)
  * @body    {string} category - Material category (optional)
  * @body    {number} price - Material price (optional)
+ * @body    {number|null} reorderPoint - Stock level that triggers a low-stock alert (optional, null clears)
+ * @body    {number|null} reorderQuantity - Suggested quantity to reorder (optional, null clears)
  * @body    {string} addedBy - User who added the material (optional)
  */
 router.put(
@@ -135,6 +169,85 @@ router.put(
   updateMaterial
 );
 
+/**
+ * @route   POST /api/materials/:materialId/prices
+ * @desc    Record material price in the price history
+ * @access  Private (SuperAdmin, Admin, Manager)
+ * @param   {string} materialId - Material ID
+ * @body    {number} price - Price (required)
+ * @body    {string} effectiveFrom - Date from which the price applies, not in the future (optional, default: now)
+ * @body    {string} vendor - Vendor supplying the price (optional)
+ * @body    {string} note - Note (optional)
+ */
+router.post(
+  "/:materialId/prices",
+  authorize("materials", "update", {
+    checkScope: true,
+    getDocument: getMaterialDocument,
+  }),
+  recordMaterialPriceValidator,
+  validate,
+  recordMaterialPrice
+);
+
+/**
+ * @route   POST /api/materials/:materialId/quotes
+ * @desc    Add vendor quote to material
+ * @access  Private (SuperAdmin, Admin, Manager)
+ * @param   {string} materialId - Material ID
+ * @body    {string} vendor - Vendor ID (required)
+ * @body    {number} unitPrice - Quoted unit price (required)
+ * @body    {number} minimumQuantity - Smallest order quantity (optional)
+ * @body    {string} validUntil - Quote expiry date (optional)
+ * @body    {string} note - Note (optional)
+ */
+router.post(
+  "/:materialId/quotes",
+  authorize("materials", "update", {
+    checkScope: true,
+    getDocument: getMaterialDocument,
+  }),
+  addMaterialQuoteValidator,
+  validate,
+  addMaterialQuote
+);
+
+/**
+ * @route   DELETE /api/materials/:materialId/quotes/:quoteId
+ * @desc    Delete vendor quote from material
+ * @access  Private (SuperAdmin, Admin, Manager)
+ * @param   {string} materialId - Material ID
+ * @param   {string} quoteId - Quote ID
+ */
+router.delete(
+  "/:materialId/quotes/:quoteId",
+  authorize("materials", "update", {
+    checkScope: true,
+    getDocument: getMaterialDocument,
+  }),
+  materialQuoteValidator,
+  validate,
+  deleteMaterialQuote
+);
+
+/**
+ * @route   POST /api/materials/:materialId/quotes/:quoteId/accept
+ * @desc    Accept vendor quote as the material price (effective now)
+ * @access  Private (SuperAdmin, Admin, Manager)
+ * @param   {string} materialId - Material ID
+ * @param   {string} quoteId - Quote ID
+ */
+router.post(
+  "/:materialId/quotes/:quoteId/accept",
+  authorize("materials", "update", {
+    checkScope: true,
+    getDocument: getMaterialDocument,
+  }),
+  materialQuoteValidator,
+  validate,
+  acceptMaterialQuote
+);
+
 /**
  * @route   DELETE /api/materials/:materialId
  * @desc    Soft delete material with cascade operations
@@ -2,10 +2,19 @@ import express from "express";
 import {
   getAllNotifications,
   getNotificationById,
+  getUnreadCount,
   markAsRead,
   batchMarkAsRead,
+  batchMarkAsSeen,
+  archiveNotification,
   deleteNotification,
 } from "../controllers/notificationController.js";
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  muteTask,
+  unmuteTask,
+} from "../controllers/notificationPreferenceController.js";
 import authMiddleware from "../middlewares/authMiddleware.js";
 import { authorize } from "../middlewares/authorization.js";
 import {
@@ -13,6 +22,10 @@ import {
   getNotificationByIdValidator,
   markAsReadValidator,
   batchMarkAsReadValidator,
+  batchMarkAsSeenValidator,
+  archiveNotificationValidator,
+  updateNotificationPreferencesValidator,
+  muteTaskValidator,
   deleteNotificationValidator,
 } from "../middlewares/validators/notificationValidators.js";
 import { validate } from "../middlewares/validation.js";
@@ -62,7 +75,9 @@ const getNotificationDocument = async (req) => {
  * @query   {number} limit - Items per page (default: 10)
  * @query   {string} search - Search query for notification title or message
  * @query   {string} type - Filter by notification type (TASK_CREATED, TASK_UPDATED, etc.)
- * @query   {boolean} isRead - Filter by read status (true/false)
+ * @query   {boolean} isRead - Filter by the requesting user's read status (true/false)
+ * @query   {boolean} isSeen - Filter by the requesting user's seen status (true/false)
+ * @query   {boolean} isArchived - Show the requesting user's archived notifications (default: false)
  * @query   {string} recipient - Filter by recipient user ID
  * @query   {string} organization - Filter by organization ID
  * @query   {string} department - Filter by department ID
@@ -76,13 +91,80 @@ router.get(
   getAllNotifications
 );
 
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get unread and unseen notification counts for the requesting user
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @note    Archived notifications are not counted
+ */
+router.get(
+  "/unread-count",
+  authorize("notifications", "read"),
+  getUnreadCount
+);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get notification preferences of the requesting user
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @note    Returns defaults when the user has not saved preferences yet
+ */
+router.get(
+  "/preferences",
+  authorize("notifications", "read"),
+  getNotificationPreferences
+);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Update notification preferences of the requesting user
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @body    {Object} channels - Per notification type: array of IN_APP, EMAIL or DIGEST (DIGEST alone; empty turns the type off)
+ * @body    {Object} quietHours - { enabled, start, end } with HH:mm times in the organization timezone
+ * @body    {Object} digest - { frequency } email digest frequency (DAILY, WEEKLY or NONE)
+ */
+router.put(
+  "/preferences",
+  authorize("notifications", "update"),
+  updateNotificationPreferencesValidator,
+  validate,
+  updateNotificationPreferences
+);
+
+/**
+ * @route   PUT /api/notifications/preferences/muted-tasks/:taskId
+ * @desc    Mute all notifications about a task for the requesting user
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @param   {string} taskId - Task ID
+ */
+router.put(
+  "/preferences/muted-tasks/:taskId",
+  authorize("notifications", "update"),
+  muteTaskValidator,
+  validate,
+  muteTask
+);
+
+/**
+ * @route   DELETE /api/notifications/preferences/muted-tasks/:taskId
+ * @desc    Unmute notifications about a task for the requesting user
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @param   {string} taskId - Task ID
+ */
+router.delete(
+  "/preferences/muted-tasks/:taskId",
+  authorize("notifications", "update"),
+  muteTaskValidator,
+  validate,
+  unmuteTask
+);
+
 /**
  * @route   PUT /api/notifications/batch-read
- * @desc    Batch mark notifications as read
+ * @desc    Batch mark notifications as read for the requesting user
  * @access  Private (SuperAdmin, Admin, Manager, User)
  * @body    {Array<string>} notificationIds - Array of notification IDs to mark as read (required)
- * @note    Users can only mark their own notifications as read
- * @note    SuperAdmin/Admin can mark any notification in their scope as read
+ * @note    All roles can only mark notifications where they are recipients
  */
 router.put(
   "/batch-read",
@@ -92,6 +174,21 @@ router.put(
   batchMarkAsRead
 );
 
+/**
+ * @route   PUT /api/notifications/batch-seen
+ * @desc    Batch mark notifications as seen for the requesting user
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @body    {Array<string>} notificationIds - Array of notification IDs to mark as seen (required)
+ * @note    All roles can only mark notifications where they are recipients
+ */
+router.put(
+  "/batch-seen",
+  authorize("notifications", "update"),
+  batchMarkAsSeenValidator,
+  validate,
+  batchMarkAsSeen
+);
+
 /**
  * @route   GET /api/notifications/:notificationId
  * @desc    Get notification by ID
@@ -112,11 +209,10 @@ router.get(
 
 /**
  * @route   PUT /api/notifications/:notificationId/read
- * @desc    Mark notification as read
+ * @desc    Mark notification as read for the requesting user
  * @access  Private (SuperAdmin, Admin, Manager, User)
  * @param   {string} notificationId - Notification ID
- * @note    Users can only mark their own notifications as read
- * @note    SuperAdmin/Admin can mark any notification in their scope as read
+ * @note    All roles can only mark notifications where they are recipients
  */
 router.put(
   "/:notificationId/read",
@@ -129,6 +225,25 @@ router.put(
   markAsRead
 );
 
+/**
+ * @route   PUT /api/notifications/:notificationId/archive
+ * @desc    Archive notification for the requesting user
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @param   {string} notificationId - Notification ID
+ * @note    All roles can only archive notifications where they are recipients
+ * @note    Other recipients are not affected
+ */
+router.put(
+  "/:notificationId/archive",
+  authorize("notifications", "update", {
+    checkScope: true,
+    getDocument: getNotificationDocument,
+  }),
+  archiveNotificationValidator,
+  validate,
+  archiveNotification
+);
+
 /**
  * @route   DELETE /api/notifications/:notificationId
  * @desc    Soft delete notification with cascade operations
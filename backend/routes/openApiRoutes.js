@@ -0,0 +1,46 @@
+import express from "express";
+import {
+  getOpenApiDocument,
+  getApiDocsPage,
+  getApiDocsScript,
+} from "../controllers/openApiController.js";
+import { readLimiter } from "../middlewares/rateLimiter.js";
+
+/**
+ * OpenAPI Routes
+ * Routes for the machine-readable API contract and its docs page
+ * Mounted at: /api
+ * Public: the document only describes the API (every other route still
+ * requires authentication)
+ *
+ * The document is generated from the route JSDoc and validators; run
+ * `npm run openapi:check` to find routes with an incomplete contract
+ */
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/openapi.json
+ * @desc    Get the OpenAPI 3 document of the API
+ * @access  Public
+ * @rateLimit readLimiter (200 requests per 15 minutes)
+ */
+router.get("/openapi.json", readLimiter, getOpenApiDocument);
+
+/**
+ * @route   GET /api/docs
+ * @desc    Get the browsable API docs page
+ * @access  Public
+ * @rateLimit readLimiter (200 requests per 15 minutes)
+ */
+router.get("/docs", readLimiter, getApiDocsPage);
+
+/**
+ * @route   GET /api/docs/docs.js
+ * @desc    Get the script of the API docs page
+ * @access  Public
+ * @rateLimit readLimiter (200 requests per 15 minutes)
+ */
+router.get("/docs/docs.js", readLimiter, getApiDocsScript);
+
+export default router;
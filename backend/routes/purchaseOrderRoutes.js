@@ -0,0 +1,209 @@
+import express from "express";
+import {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  submitPurchaseOrder,
+  approvePurchaseOrder,
+  rejectPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder,
+  getPurchaseOrderPdf,
+} from "../controllers/purchaseOrderController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  listPurchaseOrdersValidator,
+  createPurchaseOrderValidator,
+  updatePurchaseOrderValidator,
+  getPurchaseOrderByIdValidator,
+  rejectPurchaseOrderValidator,
+  receivePurchaseOrderValidator,
+} from "../middlewares/validators/purchaseOrderValidators.js";
+import { validate } from "../middlewares/validation.js";
+
+/**
+ * Purchase Order Routes
+ * Routes for purchase orders to vendors
+ * Mounted at: /api/purchase-orders
+ *
+ * MIDDLEWARE ORDER (Requirement 39.3):
+ * 1. Authentication (authMiddleware) - Verify JWT token
+ * 2. Authorization (authorize) - Check permissions
+ * 3. Validation (validators + validate) - Validate request data
+ * 4. Controller - Execute business logic
+ *
+ * Managers create, submit and receive orders ("update"); approving and
+ * rejecting submitted orders is the "approve" operation (SuperAdmin, Admin)
+ *
+ * Requirements: 39.1, 39.2, 39.3, 39.5
+ */
+
+const router = express.Router();
+
+// Apply authentication to all routes (Requirement 39.1)
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/purchase-orders
+ * @desc    Get purchase orders (newest first)
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {string} status - Filter by status
+ * @query   {string} vendor - Filter by vendor ID
+ * @query   {string} department - Filter by receiving department ID
+ * @query   {string} projectTask - Filter by linked project task ID
+ * @query   {string} search - Search by order number
+ */
+router.get(
+  "/",
+  authorize("purchaseOrders", "read"),
+  listPurchaseOrdersValidator,
+  validate,
+  getPurchaseOrders
+);
+
+/**
+ * @route   GET /api/purchase-orders/:purchaseOrderId
+ * @desc    Get purchase order by ID (with receipts)
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ */
+router.get(
+  "/:purchaseOrderId",
+  authorize("purchaseOrders", "read"),
+  getPurchaseOrderByIdValidator,
+  validate,
+  getPurchaseOrder
+);
+
+/**
+ * @route   GET /api/purchase-orders/:purchaseOrderId/pdf
+ * @desc    Download the purchase order as a printable PDF
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ */
+router.get(
+  "/:purchaseOrderId/pdf",
+  authorize("purchaseOrders", "read"),
+  getPurchaseOrderByIdValidator,
+  validate,
+  getPurchaseOrderPdf
+);
+
+/**
+ * @route   POST /api/purchase-orders
+ * @desc    Create a purchase order (DRAFT)
+ * @access  Private (SuperAdmin, Admin, Manager - own department)
+ * @body    {string} vendor - Vendor ID (required, ACTIVE)
+ * @body    {string} department - Department receiving the stock (required)
+ * @body    {Array} lineItems - Line items [{ material, quantity, unitPrice }] (required; unitPrice defaults to the material price)
+ * @body    {string} projectTask - Linked project task ID (optional)
+ * @body    {string} expectedDate - Expected delivery date (optional)
+ * @body    {string} notes - Notes printed on the order (optional)
+ */
+router.post(
+  "/",
+  authorize("purchaseOrders", "create"),
+  createPurchaseOrderValidator,
+  validate,
+  createPurchaseOrder
+);
+
+/**
+ * @route   PUT /api/purchase-orders/:purchaseOrderId
+ * @desc    Update a DRAFT purchase order
+ * @access  Private (SuperAdmin, Admin, Manager - own department)
+ * @body    Same fields as create (all optional)
+ */
+router.put(
+  "/:purchaseOrderId",
+  authorize("purchaseOrders", "update"),
+  updatePurchaseOrderValidator,
+  validate,
+  updatePurchaseOrder
+);
+
+/**
+ * @route   PUT /api/purchase-orders/:purchaseOrderId/submit
+ * @desc    Submit a DRAFT purchase order for approval
+ * @access  Private (SuperAdmin, Admin, Manager - own department)
+ */
+router.put(
+  "/:purchaseOrderId/submit",
+  authorize("purchaseOrders", "update"),
+  getPurchaseOrderByIdValidator,
+  validate,
+  submitPurchaseOrder
+);
+
+/**
+ * @route   PUT /api/purchase-orders/:purchaseOrderId/approve
+ * @desc    Approve a SUBMITTED purchase order
+ * @access  Private (SuperAdmin, Admin)
+ */
+router.put(
+  "/:purchaseOrderId/approve",
+  authorize("purchaseOrders", "approve"),
+  getPurchaseOrderByIdValidator,
+  validate,
+  approvePurchaseOrder
+);
+
+/**
+ * @route   PUT /api/purchase-orders/:purchaseOrderId/reject
+ * @desc    Reject a SUBMITTED purchase order (back to DRAFT)
+ * @access  Private (SuperAdmin, Admin)
+ * @body    {string} reason - Rejection reason (required)
+ */
+router.put(
+  "/:purchaseOrderId/reject",
+  authorize("purchaseOrders", "approve"),
+  rejectPurchaseOrderValidator,
+  validate,
+  rejectPurchaseOrder
+);
+
+/**
+ * @route   PUT /api/purchase-orders/:purchaseOrderId/receive
+ * @desc    Receive (part of) an approved purchase order; posts stock receipts
+ * @access  Private (SuperAdmin, Admin, Manager - own department)
+ * @body    {Array} lines - Received lines [{ lineItem, quantity }] (required)
+ * @body    {string} note - Note, e.g. delivery reference (optional)
+ */
+router.put(
+  "/:purchaseOrderId/receive",
+  authorize("purchaseOrders", "update"),
+  receivePurchaseOrderValidator,
+  validate,
+  receivePurchaseOrder
+);
+
+/**
+ * @route   PUT /api/purchase-orders/:purchaseOrderId/close
+ * @desc    Close a received or partially received purchase order
+ * @access  Private (SuperAdmin, Admin, Manager - own department)
+ */
+router.put(
+  "/:purchaseOrderId/close",
+  authorize("purchaseOrders", "update"),
+  getPurchaseOrderByIdValidator,
+  validate,
+  closePurchaseOrder
+);
+
+/**
+ * @route   PUT /api/purchase-orders/:purchaseOrderId/cancel
+ * @desc    Cancel a purchase order that has not been received
+ * @access  Private (SuperAdmin, Admin, Manager - own department)
+ */
+router.put(
+  "/:purchaseOrderId/cancel",
+  authorize("purchaseOrders", "update"),
+  getPurchaseOrderByIdValidator,
+  validate,
+  cancelPurchaseOrder
+);
+
+export default router;
@@ -0,0 +1,155 @@
+import express from "express";
+import {
+  getStockLevels,
+  getStockMovements,
+  getReorderAlerts,
+  createStockReceipt,
+  createStockAdjustment,
+  createStockTransfer,
+} from "../controllers/stockController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  listStockLevelsValidator,
+  listStockMovementsValidator,
+  listReorderAlertsValidator,
+  createStockReceiptValidator,
+  createStockAdjustmentValidator,
+  createStockTransferValidator,
+} from "../middlewares/validators/stockValidators.js";
+import { validate } from "../middlewares/validation.js";
+
+/**
+ * Stock Routes
+ * Routes for the material stock ledger
+ * Mounted at: /api/stock
+ *
+ * MIDDLEWARE ORDER (Requirement 39.3):
+ * 1. Authentication (authMiddleware) - Verify JWT token
+ * 2. Authorization (authorize) - Check permissions
+ * 3. Validation (validators + validate) - Validate request data
+ * 4. Controller - Execute business logic
+ *
+ * Consumption is posted by task activities and routine tasks; these routes
+ * cover balances, ledger entries, receipts, adjustments, transfers and the
+ * reorder alert history
+ *
+ * Requirements: 39.1, 39.2, 39.3, 39.5
+ */
+
+const router = express.Router();
+
+// Apply authentication to all routes (Requirement 39.1)
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/stock/levels
+ * @desc    Get stock balances per material and department
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {string} material - Filter by material ID
+ * @query   {string} department - Filter by department ID
+ * @query   {boolean} negative - Only balances below zero
+ */
+router.get(
+  "/levels",
+  authorize("stock", "read"),
+  listStockLevelsValidator,
+  validate,
+  getStockLevels
+);
+
+/**
+ * @route   GET /api/stock/movements
+ * @desc    Get stock ledger entries (newest first)
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {string} material - Filter by material ID
+ * @query   {string} department - Filter by department ID
+ * @query   {string} type - Filter by movement type
+ * @query   {string} sourceModel - Filter by source model (TaskActivity, RoutineTask)
+ * @query   {string} source - Filter by source ID
+ * @query   {string} startDate - Movements on or after this date
+ * @query   {string} endDate - Movements on or before this date
+ */
+router.get(
+  "/movements",
+  authorize("stock", "read"),
+  listStockMovementsValidator,
+  validate,
+  getStockMovements
+);
+
+/**
+ * @route   GET /api/stock/reorder-alerts
+ * @desc    Get low-stock (reorder) alert history (newest first)
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {string} material - Filter by material ID
+ * @query   {string} department - Filter by department ID
+ * @query   {string} status - Filter by alert status (OPEN, RESOLVED)
+ */
+router.get(
+  "/reorder-alerts",
+  authorize("stock", "read"),
+  listReorderAlertsValidator,
+  validate,
+  getReorderAlerts
+);
+
+/**
+ * @route   POST /api/stock/receipts
+ * @desc    Record received stock for a department
+ * @access  Private (SuperAdmin, Admin, Manager - own department)
+ * @body    {string} material - Material ID (required)
+ * @body    {string} department - Department receiving the stock (required)
+ * @body    {number} quantity - Quantity received (required, positive)
+ * @body    {string} note - Note, e.g. delivery reference (optional)
+ */
+router.post(
+  "/receipts",
+  authorize("stock", "create"),
+  createStockReceiptValidator,
+  validate,
+  createStockReceipt
+);
+
+/**
+ * @route   POST /api/stock/adjustments
+ * @desc    Correct the stock balance of a department
+ * @access  Private (SuperAdmin, Admin, Manager - own department)
+ * @body    {string} material - Material ID (required)
+ * @body    {string} department - Department ID (required)
+ * @body    {number} quantity - Signed correction, negative removes stock (required)
+ * @body    {string} note - Reason for the adjustment (required)
+ */
+router.post(
+  "/adjustments",
+  authorize("stock", "create"),
+  createStockAdjustmentValidator,
+  validate,
+  createStockAdjustment
+);
+
+/**
+ * @route   POST /api/stock/transfers
+ * @desc    Move stock of a material between departments
+ * @access  Private (SuperAdmin, Admin, Manager - from own department)
+ * @body    {string} material - Material ID (required)
+ * @body    {string} fromDepartment - Department giving the stock (required)
+ * @body    {string} toDepartment - Department receiving the stock (required)
+ * @body    {number} quantity - Quantity to move (required, positive)
+ * @body    {string} note - Note (optional)
+ */
+router.post(
+  "/transfers",
+  authorize("stock", "create"),
+  createStockTransferValidator,
+  validate,
+  createStockTransfer
+);
+
+export default router;
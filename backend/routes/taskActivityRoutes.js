@@ -24,7 +24,7 @@ import { TaskActivity } from "../models/index.js";
 /**
  * TaskActivity Routes
  * Routes for task activity management
- * Mounted at: /api/task-activities
+ * Mounted at: /api/tasks/activities (nested routes: /api/tasks/:taskId/activities in taskRoutes)
  *
  * Requirements: 11.1 - 11.11
  */
@@ -50,9 +50,11 @@ const getTaskActivityDocument = async (req) => {
 };
 
 /**
- * @route GET /api/tasks/:taskId/activities
+ * @route GET /api/tasks/activities
  * @desc Get all task activities for a specific task with pagination and filtering
  * @access Private (SuperAdmin, Admin, Manager, User)
+ * @query {string} format - Export all matching activities as csv, xlsx or pdf
+ * @query {string} columns - Comma-separated export column keys (default: all)
  */
 router.get(
   "/",
@@ -63,7 +65,7 @@ router.get(
 );
 
 /**
- * @route POST /api/tasks/:taskId/activities
+ * @route POST /api/tasks/activities
  * @desc Create new task activity for a specific task
  * @access Private (SuperAdmin, Admin, Manager, User)
  */
@@ -76,7 +78,7 @@ router.post(
 );
 
 /**
- * @route GET /api/tasks/:taskId/activities/:activityId
+ * @route GET /api/tasks/activities/:activityId
  * @desc Get task activity by ID
  * @access Private (SuperAdmin, Admin, Manager, User)
  */
@@ -92,7 +94,7 @@ router.get(
 );
 
 /**
- * @route PUT /api/tasks/:taskId/activities/:activityId
+ * @route PUT /api/tasks/activities/:activityId
  * @desc Update task activity
  * @access Private (SuperAdmin, Admin, Manager, User)
  */
@@ -108,7 +110,7 @@ router.put(
 );
 
 /**
- * @route DELETE /api/tasks/:taskId/activities/:activityId
+ * @route DELETE /api/tasks/activities/:activityId
  * @desc Soft delete task activity
  * @access Private (SuperAdmin, Admin, Manager)
  */
@@ -124,7 +126,7 @@ router.delete(
 );
 
 /**
- * @route PUT /api/tasks/:taskId/activities/:activityId/restore
+ * @route PUT /api/tasks/activities/:activityId/restore
  * @desc Restore soft-deleted task activity
  * @access Private (SuperAdmin, Admin, Manager)
  */
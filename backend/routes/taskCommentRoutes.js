@@ -99,7 +99,7 @@ router.post(
 );
 
 /**
- * @route   GET /api/tasks/:taskId/comments/:taskCommentId
+ * @route   GET /api/tasks/comments/:taskId/comments/:taskCommentId
  * @desc    Get task comment by ID
  * @access  Private (SuperAdmin, Admin, Manager, User)
  * @param   {string} taskId - Task ID (for route consistency, not used in query)
@@ -117,7 +117,7 @@ router.get(
 );
 
 /**
- * @route   PUT /api/tasks/:taskId/comments/:taskCommentId
+ * @route   PUT /api/tasks/comments/:taskId/comments/:taskCommentId
  * @desc    Update task comment
  * @access  Private (SuperAdmin, Admin, Manager, User - own comments)
  * @param   {string} taskId - Task ID (for route consistency, not used in query)
@@ -138,7 +138,7 @@ router.put(
 );
 
 /**
- * @route   DELETE /api/tasks/:taskId/comments/:taskCommentId
+ * @route   DELETE /api/tasks/comments/:taskId/comments/:taskCommentId
  * @desc    Soft delete task comment with cascade operations
  * @access  Private (SuperAdmin, Admin, Manager)
  * @param   {string} taskId - Task ID (for route consistency, not used in query)
@@ -157,7 +157,7 @@ router.delete(
 );
 
 /**
- * @route   PUT /api/tasks/:taskId/comments/:taskCommentId/restore
+ * @route   PUT /api/tasks/comments/:taskId/comments/:taskCommentId/restore
  * @desc    Restore soft-deleted task comment with cascade operations
  * @access  Private (SuperAdmin, Admin, Manager)
  * @param   {string} taskId - Task ID (for route consistency, not used in query)
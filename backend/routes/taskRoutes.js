@@ -2,6 +2,8 @@ import express from "express";
 import {
   getAllTasks,
   getTaskById,
+  getTaskCosts,
+  getTaskTimeline,
   createTask,
   updateTask,
   deleteTask,
@@ -30,6 +32,7 @@ import {
   deleteTaskValidator,
   restoreTaskValidator,
   getTaskByIdValidator,
+  getTaskTimelineValidator,
 } from "../middlewares/validators/taskValidators.js";
 import {
   listTaskActivitiesValidator,
@@ -125,6 +128,8 @@ const getTaskCommentDocument = async (req) => {
  * @route   GET /api/tasks
  * @desc    Get all tasks with pagination and filtering
  * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @query   {string} format - Export all matching tasks as csv, xlsx or pdf
+ * @query   {string} columns - Comma-separated export column keys (default: all)
  */
 router.get(
   "/",
@@ -150,6 +155,43 @@ router.get(
   getTaskById
 );
 
+/**
+ * @route   GET /api/tasks/:taskId/costs
+ * @desc    Get project task cost breakdown (budget vs material cost and vendor charges)
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ */
+router.get(
+  "/:taskId/costs",
+  authorize("tasks", "read", {
+    checkScope: true,
+    getDocument: getTaskDocument,
+  }),
+  getTaskByIdValidator,
+  validate,
+  getTaskCosts
+);
+
+/**
+ * @route   GET /api/tasks/:taskId/timeline
+ * @desc    Get task timeline: activities (manual and task history) and comments merged by date
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {string} order - Date order: asc (oldest first, default) or desc
+ * @note    Task history entries (isSystem) are recorded when status, priority,
+ *          assignees, dates, milestones or vendor change
+ */
+router.get(
+  "/:taskId/timeline",
+  authorize("tasks", "read", {
+    checkScope: true,
+    getDocument: getTaskDocument,
+  }),
+  getTaskTimelineValidator,
+  validate,
+  getTaskTimeline
+);
+
 /**
  * @route   POST /api/tasks
  * @desc    Create new task (all task types)
@@ -10,6 +10,10 @@ import {
   changeEmail,
   uploadAvatar,
 } from "../controllers/userController.js";
+import {
+  getUserSessions,
+  revokeUserSessions,
+} from "../controllers/sessionController.js";
 import {
   listUsersValidator,
   getUserByIdValidator,
@@ -21,6 +25,10 @@ import {
   changeEmailValidator,
   uploadAvatarValidator,
 } from "../middlewares/validators/userValidators.js";
+import {
+  listUserSessionsValidator,
+  revokeUserSessionsValidator,
+} from "../middlewares/validators/sessionValidators.js";
 import { validate } from "../middlewares/validation.js";
 import authMiddleware from "../middlewares/authMiddleware.js";
 import { authorize } from "../middlewares/authorization.js";
@@ -60,6 +68,8 @@ const getUserDocument = async (req) => {
  * @route   GET /api/users
  * @desc    Get all users with pagination and filtering
  * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @query   {string} format - Export all matching users as csv, xlsx or pdf
+ * @query   {string} columns - Comma-separated export column keys (default: all)
  * @middleware authMiddleware - Verify JWT token (Requirement 39.1)
  * @middleware listUsersValidator - Validate query parameters
  * @middleware validate - Process validation results
@@ -239,4 +249,49 @@ router.post(
   uploadAvatar
 );
 
+/**
+ * @route   GET /api/users/:userId/sessions
+ * @desc    Get the sessions of a user (one per signed-in device)
+ * @access  Private (SuperAdmin, Admin)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {boolean} includeRevoked - Include revoked and expired sessions (default: false)
+ * @middleware authMiddleware - Verify JWT token (Requirement 39.1)
+ * @middleware listUserSessionsValidator - Validate user ID and query
+ * @middleware validate - Process validation results
+ * @middleware authorize - Check permissions (Requirement 39.2)
+ */
+router.get(
+  "/:userId/sessions",
+  authMiddleware,
+  listUserSessionsValidator,
+  validate,
+  authorize("sessions", "read", {
+    checkScope: true,
+    getDocument: getUserDocument,
+  }),
+  getUserSessions
+);
+
+/**
+ * @route   DELETE /api/users/:userId/sessions
+ * @desc    Revoke all sessions of a user (signs the user out of every device)
+ * @access  Private (SuperAdmin, Admin)
+ * @middleware authMiddleware - Verify JWT token (Requirement 39.1)
+ * @middleware revokeUserSessionsValidator - Validate user ID
+ * @middleware validate - Process validation results
+ * @middleware authorize - Check permissions (Requirement 39.2)
+ */
+router.delete(
+  "/:userId/sessions",
+  authMiddleware,
+  revokeUserSessionsValidator,
+  validate,
+  authorize("sessions", "delete", {
+    checkScope: true,
+    getDocument: getUserDocument,
+  }),
+  revokeUserSessions
+);
+
 export default router;
@@ -2,8 +2,12 @@ import express from "express";
 import {
   getAllVendors,
   getVendorById,
+  getVendorScorecard,
   createVendor,
   updateVendor,
+  addVendorDocument,
+  updateVendorDocument,
+  deleteVendorDocument,
   deleteVendor,
   restoreVendor,
 } from "../controllers/vendorController.js";
@@ -16,6 +20,10 @@ import {
   deleteVendorValidator,
   restoreVendorValidator,
   getVendorByIdValidator,
+  getVendorScorecardValidator,
+  addVendorDocumentValidator,
+  updateVendorDocumentValidator,
+  deleteVendorDocumentValidator,
 } from "../middlewares/validators/vendorValidators.js";
 import { validate } from "../middlewares/validation.js";
 import { findResourceById } from "../utils/controllerHelpers.js";
@@ -67,6 +75,8 @@ const getVendorDocument = async (req) => {
  * @query   {string} organization - Filter by organization ID
  * @query   {number} minRating - Filter by minimum rating (1-5)
  * @query   {number} maxRating - Filter by maximum rating (1-5)
+ * @query   {string} format - Export all matching vendors as csv, xlsx or pdf
+ * @query   {string} columns - Comma-separated export column keys (default: all)
  */
 router.get(
   "/",
@@ -85,7 +95,6 @@ router.get(
  * @body    {string} phone - Vendor phone (required)
  * @body    {string} organization - Organization ID (required)
  * @body    {string} createdBy - Creator user ID (required)
- * @body    {number} rating - Vendor rating (optional, 1-5)
  * @body    {string} status - Vendor status (optional, ACTIVE/INACTIVE/BLOCKED)
  * @body    {string} address - Vendor address (optional)
  */
@@ -114,6 +123,24 @@ router.get(
   getVendorById
 );
 
+/**
+ * @route   GET /api/vendors/:vendorId/scorecard
+ * @desc    Get vendor performance scorecard (computed from completed project tasks)
+ * @access  Private (SuperAdmin, Admin, Manager, User)
+ * @param   {string} vendorId - Vendor ID
+ * @query   {number} months - Months in the trend (default: 12)
+ */
+router.get(
+  "/:vendorId/scorecard",
+  authorize("vendors", "read", {
+    checkScope: true,
+    getDocument: getVendorDocument,
+  }),
+  getVendorScorecardValidator,
+  validate,
+  getVendorScorecard
+);
+
 /**
  * @route   PUT /api/vendors/:vendorId
  * @desc    Update vendor
@@ -122,7 +149,6 @@ router.get(
  * @body    {string} name - Vendor name (optional)
  * @body    {string} email - Vendor email (optional)
  * @body    {string} phone - Vendor phone (optional)
- * @body    {number} rating - Vendor rating (optional, 1-5)
  * @body    {string} status - Vendor status (optional, ACTIVE/INACTIVE/BLOCKED)
  * @body    {string} address - Vendor address (optional)
  */
@@ -137,6 +163,67 @@ router.put(
   updateVendor
 );
 
+/**
+ * @route   POST /api/vendors/:vendorId/documents
+ * @desc    Add a compliance document (contract, insurance certificate, license)
+ * @access  Private (SuperAdmin, Admin, Manager)
+ * @param   {string} vendorId - Vendor ID
+ * @body    {string} type - Document type (required, CONTRACT/INSURANCE/LICENSE)
+ * @body    {string} title - Document title (required)
+ * @body    {string} referenceNumber - Contract, policy or license number (optional)
+ * @body    {string} issueDate - Issue date (required)
+ * @body    {string} expiryDate - Expiry date (required, after issue date)
+ * @body    {boolean} isMandatory - Vendor is non-compliant once it lapses (optional, default: true)
+ * @body    {string} attachment - Attachment uploaded to the vendor (optional)
+ */
+router.post(
+  "/:vendorId/documents",
+  authorize("vendors", "update", {
+    checkScope: true,
+    getDocument: getVendorDocument,
+  }),
+  addVendorDocumentValidator,
+  validate,
+  addVendorDocument
+);
+
+/**
+ * @route   PUT /api/vendors/:vendorId/documents/:documentId
+ * @desc    Update a compliance document (e.g. renew with a new expiry date)
+ * @access  Private (SuperAdmin, Admin, Manager)
+ * @param   {string} vendorId - Vendor ID
+ * @param   {string} documentId - Document ID
+ * @body    Same fields as add (all optional; attachment may be null)
+ */
+router.put(
+  "/:vendorId/documents/:documentId",
+  authorize("vendors", "update", {
+    checkScope: true,
+    getDocument: getVendorDocument,
+  }),
+  updateVendorDocumentValidator,
+  validate,
+  updateVendorDocument
+);
+
+/**
+ * @route   DELETE /api/vendors/:vendorId/documents/:documentId
+ * @desc    Remove a compliance document
+ * @access  Private (SuperAdmin, Admin, Manager)
+ * @param   {string} vendorId - Vendor ID
+ * @param   {string} documentId - Document ID
+ */
+router.delete(
+  "/:vendorId/documents/:documentId",
+  authorize("vendors", "update", {
+    checkScope: true,
+    getDocument: getVendorDocument,
+  }),
+  deleteVendorDocumentValidator,
+  validate,
+  deleteVendorDocument
+);
+
 /**
  * @route   DELETE /api/vendors/:vendorId
  * @desc    Soft delete vendor with cascade operations
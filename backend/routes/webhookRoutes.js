@@ -0,0 +1,175 @@
+import express from "express";
+import {
+  getWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  pingWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery,
+} from "../controllers/webhookController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  listWebhooksValidator,
+  createWebhookValidator,
+  updateWebhookValidator,
+  webhookIdValidator,
+  listWebhookDeliveriesValidator,
+  redeliverWebhookDeliveryValidator,
+} from "../middlewares/validators/webhookValidators.js";
+import { validate } from "../middlewares/validation.js";
+
+/**
+ * Webhook Routes
+ * Routes for managing the organization's outbound webhooks and their delivery log
+ * Mounted at: /api/webhooks
+ *
+ * MIDDLEWARE ORDER (Requirement 39.3):
+ * 1. Authentication (authMiddleware) - Verify JWT token
+ * 2. Authorization (authorize) - Check permissions
+ * 3. Validation (validators + validate) - Validate request data
+ * 4. Controller - Execute business logic
+ *
+ * Requirements: 39.1, 39.2, 39.3, 39.5
+ */
+
+const router = express.Router();
+
+// Apply authentication to all routes (Requirement 39.1)
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Get the organization's webhooks with pagination (secrets are not returned)
+ * @access  Private (SuperAdmin, Admin)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {boolean} isActive - Filter by active state
+ * @query   {string} event - Filter by subscribed event (task:created, material:updated, etc.)
+ */
+router.get(
+  "/",
+  authorize("webhooks", "read"),
+  listWebhooksValidator,
+  validate,
+  getWebhooks
+);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Create a webhook
+ * @access  Private (SuperAdmin, Admin)
+ * @body    {string} url - Receiver URL (https required in production, must resolve
+ *   to a public address)
+ * @body    {Array<string>} events - Subscribed events (WEBHOOK_EVENTS)
+ * @body    {string} secret - Signing secret (optional, generated when omitted)
+ * @body    {string} description - Description (optional)
+ * @body    {boolean} isActive - Active state (optional, default: true)
+ * @note    The secret is only returned by this request
+ */
+router.post(
+  "/",
+  authorize("webhooks", "create"),
+  createWebhookValidator,
+  validate,
+  createWebhook
+);
+
+/**
+ * @route   GET /api/webhooks/:webhookId
+ * @desc    Get a webhook by ID
+ * @access  Private (SuperAdmin, Admin)
+ * @param   {string} webhookId - Webhook ID
+ */
+router.get(
+  "/:webhookId",
+  authorize("webhooks", "read"),
+  webhookIdValidator,
+  validate,
+  getWebhookById
+);
+
+/**
+ * @route   PUT /api/webhooks/:webhookId
+ * @desc    Update a webhook
+ * @access  Private (SuperAdmin, Admin)
+ * @param   {string} webhookId - Webhook ID
+ * @body    {string} url - Receiver URL (optional)
+ * @body    {Array<string>} events - Subscribed events (optional)
+ * @body    {string} secret - New signing secret (optional, returned once)
+ * @body    {string} description - Description (optional)
+ * @body    {boolean} isActive - Active state (optional)
+ */
+router.put(
+  "/:webhookId",
+  authorize("webhooks", "update"),
+  updateWebhookValidator,
+  validate,
+  updateWebhook
+);
+
+/**
+ * @route   DELETE /api/webhooks/:webhookId
+ * @desc    Delete a webhook (pending deliveries are marked FAILED)
+ * @access  Private (SuperAdmin, Admin)
+ * @param   {string} webhookId - Webhook ID
+ */
+router.delete(
+  "/:webhookId",
+  authorize("webhooks", "delete"),
+  webhookIdValidator,
+  validate,
+  deleteWebhook
+);
+
+/**
+ * @route   POST /api/webhooks/:webhookId/ping
+ * @desc    Queue a webhook:ping test event for a webhook
+ * @access  Private (SuperAdmin, Admin)
+ * @param   {string} webhookId - Webhook ID
+ */
+router.post(
+  "/:webhookId/ping",
+  authorize("webhooks", "update"),
+  webhookIdValidator,
+  validate,
+  pingWebhook
+);
+
+/**
+ * @route   GET /api/webhooks/:webhookId/deliveries
+ * @desc    Get the delivery log of a webhook with pagination (payloads are not returned)
+ * @access  Private (SuperAdmin, Admin)
+ * @param   {string} webhookId - Webhook ID
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 10)
+ * @query   {string} status - Filter by status (PENDING, SENDING, DELIVERED, FAILED)
+ * @query   {string} event - Filter by event
+ */
+router.get(
+  "/:webhookId/deliveries",
+  authorize("webhooks", "read"),
+  listWebhookDeliveriesValidator,
+  validate,
+  getWebhookDeliveries
+);
+
+/**
+ * @route   POST /api/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * @desc    Queue a delivered or failed event for delivery again
+ * @access  Private (SuperAdmin, Admin)
+ * @param   {string} webhookId - Webhook ID
+ * @param   {string} deliveryId - Delivery ID
+ * @note    The event keeps its ID (X-Webhook-Id); attempts restart from zero
+ */
+router.post(
+  "/:webhookId/deliveries/:deliveryId/redeliver",
+  authorize("webhooks", "update"),
+  redeliverWebhookDeliveryValidator,
+  validate,
+  redeliverWebhookDelivery
+);
+
+export default router;
@@ -0,0 +1,26 @@
+import apiRoutes from "../routes/index.js";
+import { generateOpenApiSpec } from "../services/openApiService.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Check OpenAPI Script
+ * Generates the OpenAPI document and fails when a route has an incomplete
+ * contract: no @route JSDoc, a path parameter without a validator, documented
+ * body fields without a validator schema, or a documented route that is not mounted
+ *
+ * Usage: npm run openapi:check
+ */
+
+const { spec, issues } = generateOpenApiSpec(apiRoutes);
+const operationCount = Object.values(spec.paths).reduce(
+  (count, pathItem) => count + Object.keys(pathItem).length,
+  0
+);
+
+if (issues.length > 0) {
+  logger.error("OpenAPI check failed", { operationCount, issues });
+  process.exit(1);
+}
+
+logger.info("OpenAPI check passed", { operationCount });
+process.exit(0);
@@ -0,0 +1,45 @@
+import dotenv from "dotenv";
+import connectDB, { closeConnection } from "../config/db.js";
+import "../models/index.js";
+import { runDigestJob } from "../utils/digestScheduler.js";
+import { processEmailOutbox } from "../utils/emailOutboxWorker.js";
+import logger from "../utils/logger.js";
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Send Digest Script
+ * Runs the email digest job once, outside the server schedule, then delivers
+ * the queued digests through the email outbox
+ * Point SMTP_HOST/SMTP_PORT at a local SMTP stand-in (e.g. MailHog on localhost:1025)
+ * to inspect digests without delivering real email
+ *
+ * Usage: npm run digest:send -- [--email=user@example.com] [--force]
+ *   --email  Only process the user with this email
+ *   --force  Ignore the send schedule (users with digest frequency NONE are still skipped)
+ */
+
+const args = process.argv.slice(2);
+const emailArg = args.find((arg) => arg.startsWith("--email="));
+
+try {
+  await connectDB();
+
+  const result = await runDigestJob({
+    email: emailArg ? emailArg.split("=")[1] : null,
+    force: args.includes("--force"),
+  });
+  const delivery = await processEmailOutbox();
+  logger.info("Digest script completed", { ...result, delivery });
+
+  await closeConnection();
+  process.exit(result.success ? 0 : 1);
+} catch (error) {
+  logger.error("Digest script failed", {
+    error: error.message,
+    stack: error.stack,
+  });
+  await closeConnection();
+  process.exit(1);
+}
@@ -6,6 +6,13 @@ import logger from "./utils/logger.js";
 import { initializeSocketIO } from "./utils/socket.js";
 import { setSocketIO } from "./utils/socketInstance.js";
 import { startTTLCleanupScheduler } from "./utils/ttlCleanup.js";
+import { startRecurrenceScheduler } from "./utils/recurrenceScheduler.js";
+import { startDigestScheduler } from "./utils/digestScheduler.js";
+import { startEmailOutboxWorker } from "./utils/emailOutboxWorker.js";
+import { startReorderScheduler } from "./utils/reorderScheduler.js";
+import { startVendorComplianceScheduler } from "./utils/vendorComplianceScheduler.js";
+import { startWebhookWorker } from "./utils/webhookWorker.js";
+import { startNotificationDeliveryScheduler } from "./utils/notificationDeliveryScheduler.js";
 
 // Connect to MongoDB
 await connectDB();
@@ -25,6 +32,13 @@ const server = app.listen(PORT, () => {
  * 2. HTTP server starts listening
  * 3. Socket.IO initialized (requires HTTP server)
  * 4. TTL cleanup scheduler started (requires MongoDB)
+ * 5. Recurrence scheduler started (requires MongoDB, emits via Socket.IO)
+ * 6. Digest scheduler started (requires MongoDB, queues emails in the outbox)
+ * 7. Email outbox worker started (requires MongoDB and SMTP configuration)
+ * 8. Reorder scheduler started (requires MongoDB, delivers notifications via Socket.IO)
+ * 9. Vendor compliance scheduler started (requires MongoDB, delivers notifications via Socket.IO)
+ * 10. Webhook worker started (requires MongoDB, sends queued webhook deliveries)
+ * 11. Notification delivery scheduler started (requires MongoDB, pushes deferred notifications via Socket.IO)
  */
 
 // Initialize Socket.IO with error handling
@@ -52,6 +66,90 @@ try {
   // Non-critical, don't exit process
 }
 
+// Start recurrence scheduler with error handling
+try {
+  startRecurrenceScheduler();
+  logger.info("✅ Recurrence scheduler started");
+} catch (error) {
+  logger.error("Failed to start recurrence scheduler", {
+    error: error.message,
+    stack: error.stack,
+  });
+  // Non-critical, don't exit process
+}
+
+// Start digest scheduler with error handling
+try {
+  startDigestScheduler();
+  logger.info("✅ Digest scheduler started");
+} catch (error) {
+  logger.error("Failed to start digest scheduler", {
+    error: error.message,
+    stack: error.stack,
+  });
+  // Non-critical, don't exit process
+}
+
+// Start email outbox worker with error handling
+try {
+  startEmailOutboxWorker();
+  logger.info("✅ Email outbox worker started");
+} catch (error) {
+  logger.error("Failed to start email outbox worker", {
+    error: error.message,
+    stack: error.stack,
+  });
+  // Non-critical, don't exit process
+}
+
+// Start reorder scheduler with error handling
+try {
+  startReorderScheduler();
+  logger.info("✅ Reorder scheduler started");
+} catch (error) {
+  logger.error("Failed to start reorder scheduler", {
+    error: error.message,
+    stack: error.stack,
+  });
+  // Non-critical, don't exit process
+}
+
+// Start vendor compliance scheduler with error handling
+try {
+  startVendorComplianceScheduler();
+  logger.info("✅ Vendor compliance scheduler started");
+} catch (error) {
+  logger.error("Failed to start vendor compliance scheduler", {
+    error: error.message,
+    stack: error.stack,
+  });
+  // Non-critical, don't exit process
+}
+
+// Start webhook worker with error handling
+try {
+  startWebhookWorker();
+  logger.info("✅ Webhook worker started");
+} catch (error) {
+  logger.error("Failed to start webhook worker", {
+    error: error.message,
+    stack: error.stack,
+  });
+  // Non-critical, don't exit process
+}
+
+// Start notification delivery scheduler with error handling
+try {
+  startNotificationDeliveryScheduler();
+  logger.info("✅ Notification delivery scheduler started");
+} catch (error) {
+  logger.error("Failed to start notification delivery scheduler", {
+    error: error.message,
+    stack: error.stack,
+  });
+  // Non-critical, don't exit process
+}
+
 // Graceful shutdown handlers
 const gracefulShutdown = async (signal) => {
   logger.info(`${signal} signal received: closing HTTP server`);
@@ -0,0 +1,156 @@
+import path from "path";
+import { Readable } from "stream";
+import { buffer } from "stream/consumers";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  IMAGE_PROCESSING,
+  HTTP_STATUS,
+  ERROR_CODES,
+} from "../utils/constants.js";
+import logger from "../utils/logger.js";
+import { getStorageAdapter } from "./storage/index.js";
+import { isProcessableImage, processImage } from "./imageService.js";
+
+/**
+ * Attachment File Service
+ * Stores uploaded attachment files through a storage adapter, together with
+ * the thumbnails of images, and removes them again
+ */
+
+/**
+ * Store an uploaded file (from receiveMultipartFiles)
+ * Images are read into memory (at most FILE_UPLOAD.MAX_SIZE) so dimensions,
+ * EXIF data and thumbnails can be produced, and are stored re-encoded without
+ * metadata (no GPS location); other files are streamed through
+ * An image that cannot be re-encoded (corrupt or over IMAGE_PROCESSING.MAX_PIXELS)
+ * is rejected: its original bytes would keep their metadata
+ *
+ * @param {import('stream').Readable} stream - Verified file stream (stream.mimeType once read)
+ * @param {Object} file - File metadata
+ * @param {string} file.filename - Original file name
+ * @param {string} file.mimeType - Declared MIME type
+ * @param {Object} options - Storage options
+ * @param {string} options.provider - Storage provider (STORAGE_PROVIDERS)
+ * @param {string} options.folder - Folder to store the file in
+ * @returns {Promise<Object>} Stored file: filename, mimeType (verified), storageKey, size, url,
+ *   image ({width, height, exif} or null) and thumbnails ([{size, width, height, storageKey, url}])
+ * @throws {CustomError} If an image cannot be processed
+ */
+export const storeAttachmentFile = async (
+  stream,
+  { filename, mimeType },
+  { provider, folder }
+) => {
+  const storage = getStorageAdapter(provider);
+
+  if (!mimeType.startsWith("image/")) {
+    const stored = await storage.upload(stream, { filename, mimeType, folder });
+    return {
+      filename,
+      mimeType: stream.mimeType,
+      ...stored,
+      image: null,
+      thumbnails: [],
+    };
+  }
+
+  const content = await buffer(stream);
+
+  let processed = null;
+  if (isProcessableImage(stream.mimeType)) {
+    try {
+      processed = await processImage(content);
+    } catch (error) {
+      logger.warn("Image processing failed, attachment rejected", {
+        error: error.message,
+        filename,
+        mimeType: stream.mimeType,
+      });
+      throw new CustomError(
+        `Image ${filename} could not be processed`,
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+  }
+
+  const stored = await storage.upload(
+    Readable.from([processed?.content || content]),
+    {
+      filename,
+      mimeType: stream.mimeType,
+      folder,
+    }
+  );
+  const result = {
+    filename,
+    mimeType: stream.mimeType,
+    ...stored,
+    image: null,
+    thumbnails: [],
+  };
+
+  if (!processed) return result;
+
+  const { width, height, exif, thumbnails } = processed;
+  result.image = { width, height, exif };
+
+  try {
+    const baseName = path.parse(filename).name;
+    for (const thumbnail of thumbnails) {
+      const storedThumbnail = await storage.upload(
+        Readable.from([thumbnail.content]),
+        {
+          filename: `${baseName}-${thumbnail.size}${IMAGE_PROCESSING.THUMBNAIL.EXTENSION}`,
+          mimeType: IMAGE_PROCESSING.THUMBNAIL.MIME_TYPE,
+          folder: `${folder}/thumbnails`,
+        }
+      );
+      result.thumbnails.push({
+        size: thumbnail.size,
+        width: thumbnail.width,
+        height: thumbnail.height,
+        storageKey: storedThumbnail.storageKey,
+        url: storedThumbnail.url,
+      });
+    }
+  } catch (error) {
+    logger.warn(
+      "Thumbnail upload failed, attachment stored without all thumbnails",
+      {
+        error: error.message,
+        filename,
+        mimeType: result.mimeType,
+      }
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Delete the stored file of an attachment and its thumbnails
+ * @param {Object} attachment - Attachment (storage, storageKey, fileUrl, thumbnails)
+ * @returns {Promise<boolean>} True if every file is gone
+ * @throws {Error} If the storage provider rejects a deletion
+ */
+export const removeAttachmentFiles = async (attachment) => {
+  const storage = getStorageAdapter(attachment.storage);
+
+  let isRemoved = true;
+  for (const thumbnail of attachment.thumbnails || []) {
+    const removed = await storage.remove({
+      storageKey: thumbnail.storageKey,
+      fileUrl: thumbnail.url,
+    });
+    isRemoved = isRemoved && removed;
+  }
+
+  const removed = await storage.remove(attachment);
+  return isRemoved && removed;
+};
+
+export default {
+  storeAttachmentFile,
+  removeAttachmentFiles,
+};
@@ -0,0 +1,200 @@
+import AuditLog from "../models/AuditLog.js";
+import {
+  AUDIT_OPERATIONS,
+  AUDIT_RESOURCES,
+  AUDIT_LOG_VALIDATION,
+} from "../utils/constants.js";
+
+/**
+ * Audit Service
+ * Records the append-only audit trail (AuditLog) of the mutations made
+ * through the API: controllers take a snapshot of a document before changing
+ * it and record the entry with the changed document, in the same transaction
+ *
+ * Usage:
+ *   const before = getAuditSnapshot(material);
+ *   ...change and save material...
+ *   await recordAuditLog(req, { operation: AUDIT_OPERATIONS.UPDATE, document: material, before }, { session });
+ *
+ * Deletes and restores usually run by ID (cascades), so their state after the
+ * change is read back from the database
+ * Changes are compared per top-level field; fields with select: false are
+ * recorded with redacted values
+ */
+
+/**
+ * Take a plain JSON snapshot of a document (references as IDs, dates as ISO strings)
+ * @param {mongoose.Document|null} document - Document
+ * @returns {Object} Snapshot ({} when there is no document)
+ */
+export const getAuditSnapshot = (document) => {
+  if (!document) return {};
+
+  return JSON.parse(
+    JSON.stringify(
+      document.toObject({
+        depopulate: true,
+        virtuals: false,
+        transform: false,
+      })
+    )
+  );
+};
+
+/**
+ * Compare two snapshots field by field
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} after - Snapshot after the change
+ * @param {mongoose.Schema} [schema] - Schema of the document (hidden fields are redacted)
+ * @returns {Array<{field: string, before: *, after: *}>} Changed fields
+ */
+export const diffAuditSnapshots = (before, after, schema = null) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  for (const field of fields) {
+    if (AUDIT_LOG_VALIDATION.IGNORED_FIELDS.includes(field)) continue;
+
+    const beforeValue = before[field] ?? null;
+    const afterValue = after[field] ?? null;
+    if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) continue;
+
+    const isHidden = schema?.path(field)?.options?.select === false;
+    const redact = (value) =>
+      isHidden && value !== null ? AUDIT_LOG_VALIDATION.REDACTED_VALUE : value;
+
+    changes.push({
+      field,
+      before: redact(beforeValue),
+      after: redact(afterValue),
+    });
+  }
+
+  return changes;
+};
+
+/**
+ * Read the stored state of a document (soft-deleted included)
+ * @param {mongoose.Document} document - Document
+ * @param {mongoose.ClientSession|null} session - MongoDB session
+ * @returns {Promise<mongoose.Document|null>} Stored document, null once hard deleted
+ */
+const findStoredDocument = (document, session) => {
+  let query = document.constructor.findById(document._id).session(session);
+  if (typeof query.withDeleted === "function") query = query.withDeleted();
+  return query;
+};
+
+/**
+ * Build the audit entry of a change
+ * @param {import('express').Request} req - Request making the change
+ * @param {Object} entry - Change (see recordAuditLog)
+ * @param {mongoose.ClientSession|null} session - MongoDB session
+ * @returns {Promise<Object|null>} AuditLog data, null for an update without changes
+ */
+const buildAuditEntry = async (
+  req,
+  {
+    operation,
+    document,
+    before,
+    action = null,
+    resource = null,
+    organization = null,
+    actor = null,
+  },
+  session
+) => {
+  const isStateChange = [
+    AUDIT_OPERATIONS.DELETE,
+    AUDIT_OPERATIONS.RESTORE,
+  ].includes(operation);
+  const after = isStateChange
+    ? await findStoredDocument(document, session)
+    : document;
+
+  const model = document.constructor;
+  const auditResource = resource || model.baseModelName || model.modelName;
+  const changes = diffAuditSnapshots(
+    before || (isStateChange ? getAuditSnapshot(document) : {}),
+    getAuditSnapshot(after),
+    document.schema
+  );
+
+  if (operation === AUDIT_OPERATIONS.UPDATE && changes.length === 0) {
+    return null;
+  }
+
+  const auditOrganization =
+    organization ||
+    (auditResource === AUDIT_RESOURCES.ORGANIZATION
+      ? document._id
+      : document.organization?._id || document.organization) ||
+    req.user?.organization?._id;
+
+  return {
+    organization: auditOrganization,
+    actor: actor || req.user?.userId || null,
+    actorRole: req.user?.role || null,
+    apiToken: req.user?.apiToken?._id || null,
+    resource: auditResource,
+    resourceId: document._id,
+    operation,
+    action,
+    changes,
+    requestId: req.id || null,
+    ip: req.ip || null,
+  };
+};
+
+/**
+ * Record audit entries for several changes of a request
+ * Throws on failure: inside a transaction the change is rolled back with its entry
+ * @param {import('express').Request} req - Request making the changes
+ * @param {Array<Object>} entries - Changes (see recordAuditLog)
+ * @param {Object} [options] - Options
+ * @param {mongoose.ClientSession} [options.session=null] - MongoDB session
+ * @returns {Promise<Array<mongoose.Document>>} Created entries
+ */
+export const recordAuditLogs = async (req, entries, { session = null } = {}) => {
+  const auditEntries = [];
+  for (const entry of entries) {
+    const auditEntry = await buildAuditEntry(req, entry, session);
+    if (auditEntry) auditEntries.push(auditEntry);
+  }
+  if (auditEntries.length === 0) return [];
+
+  return AuditLog.insertMany(auditEntries, { session });
+};
+
+/**
+ * Record the audit entry of a change
+ * Updates that changed no field are not recorded
+ * @param {import('express').Request} req - Request making the change (actor, request ID, IP)
+ * @param {Object} entry - Change
+ * @param {string} entry.operation - Operation (AUDIT_OPERATIONS)
+ * @param {mongoose.Document} entry.document - Document after the change (deletes and
+ *   restores: the document as loaded before it, the stored state is read back)
+ * @param {Object} [entry.before] - getAuditSnapshot of the document before the change
+ *   (default: {} for creates, the document itself for deletes and restores)
+ * @param {string} [entry.action=null] - Workflow action behind an update (e.g. approve)
+ * @param {string} [entry.resource] - Audited resource (default: model name of the document)
+ * @param {mongoose.Types.ObjectId|string} [entry.organization] - Organization of the
+ *   change (default: organization of the document)
+ * @param {mongoose.Types.ObjectId|string} [entry.actor] - Actor when the request is not
+ *   authenticated (e.g. registration, password reset)
+ * @param {Object} [options] - Options
+ * @param {mongoose.ClientSession} [options.session=null] - MongoDB session
+ * @returns {Promise<mongoose.Document|null>} Created entry, null if nothing changed
+ */
+export const recordAuditLog = async (req, entry, { session = null } = {}) => {
+  const [auditLog = null] = await recordAuditLogs(req, [entry], { session });
+  return auditLog;
+};
+
+export default {
+  getAuditSnapshot,
+  diffAuditSnapshots,
+  recordAuditLog,
+  recordAuditLogs,
+};
@@ -0,0 +1,407 @@
+import dayjs from "dayjs";
+import { Organization, Task, RoutineTask } from "../models/index.js";
+import {
+  CALENDAR_FEED,
+  RECURRENCE_FREQUENCY,
+  RECURRENCE_VALIDATION,
+  TASK_PRIORITY,
+  TASK_STATUS,
+  TASK_TYPES,
+} from "../utils/constants.js";
+import { truncate, getFrontendUrl, toTimezone } from "../utils/helpers.js";
+import { buildTaskFilter } from "../utils/taskHelpers.js";
+import { getOccurrenceDate } from "../utils/recurrenceScheduler.js";
+
+/**
+ * Calendar Feed Service
+ * Builds the iCalendar (RFC 5545) feed of a single user's tasks: tasks the user
+ * is assigned to, watches or created, scoped to the organization and department
+ * like the task list (buildTaskFilter)
+ * - AssignedTask/ProjectTask: all-day VEVENT from start to due date, plus a VTODO
+ *   due on the due date when to-dos are requested
+ * - ProjectTask milestones: all-day VEVENT on their due date
+ * - RoutineTask: all-day VEVENT on its date; series roots carry an RRULE, deleted
+ *   occurrences become EXDATEs and occurrences edited on their own override the rule
+ * Days are the calendar days of the organization timezone
+ */
+
+/**
+ * iCalendar PRIORITY per task priority (1 = highest, 9 = lowest)
+ * @constant
+ * @private
+ */
+const ICS_PRIORITIES = {
+  [TASK_PRIORITY.URGENT]: 1,
+  [TASK_PRIORITY.HIGH]: 3,
+  [TASK_PRIORITY.MEDIUM]: 5,
+  [TASK_PRIORITY.LOW]: 9,
+};
+
+/**
+ * iCalendar VTODO STATUS per task status
+ * @constant
+ * @private
+ */
+const ICS_TODO_STATUSES = {
+  [TASK_STATUS.TODO]: "NEEDS-ACTION",
+  [TASK_STATUS.PENDING]: "NEEDS-ACTION",
+  [TASK_STATUS.IN_PROGRESS]: "IN-PROCESS",
+  [TASK_STATUS.COMPLETED]: "COMPLETED",
+};
+
+/**
+ * Fields read from tasks to build the feed
+ * @constant
+ * @private
+ */
+const FEED_TASK_FIELDS = [
+  "title",
+  "description",
+  "taskType",
+  "status",
+  "priority",
+  "tags",
+  "startDate",
+  "dueDate",
+  "date",
+  "recurrence",
+  "series",
+  "isSeriesException",
+  "milestones",
+  "createdAt",
+  "updatedAt",
+].join(" ");
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold a content line into lines of at most 75 octets
+ * Continuation lines start with a space; characters are never split
+ * @param {string} line - Content line
+ * @returns {string} Folded line (CRLF separated)
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let part = "";
+  let size = 0;
+
+  for (const character of line) {
+    const characterSize = Buffer.byteLength(character);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + characterSize > limit) {
+      parts.push(part);
+      part = "";
+      size = 0;
+    }
+    part += character;
+    size += characterSize;
+  }
+  parts.push(part);
+
+  return parts.join("\r\n ");
+};
+
+/**
+ * Format the calendar day of a date in a timezone (DATE value)
+ * @param {Date} date - Date
+ * @param {string} timezone - IANA timezone
+ * @returns {string} YYYYMMDD
+ */
+const toIcsDate = (date, timezone) =>
+  toTimezone(date, timezone).format("YYYYMMDD");
+
+/**
+ * Format a date as a UTC DATE-TIME value
+ * @param {Date} date - Date
+ * @returns {string} YYYYMMDDTHHmmssZ
+ */
+const toIcsDateTime = (date) => toTimezone(date).format("YYYYMMDD[T]HHmmss[Z]");
+
+/**
+ * Get the calendar day after the day of a date in a timezone
+ * (exclusive end of an all-day event)
+ * @param {Date} date - Date
+ * @param {string} timezone - IANA timezone
+ * @returns {string} YYYYMMDD
+ */
+const toIcsNextDate = (date, timezone) =>
+  toTimezone(date, timezone).add(1, "day").format("YYYYMMDD");
+
+/**
+ * Get the summary of a task (routine tasks have no title)
+ * @param {Object} task - Lean task
+ * @returns {string} Title, or the first line of the description
+ */
+const getTaskSummary = (task) =>
+  task.title ||
+  truncate(
+    (task.description || "").split(/\r?\n/)[0],
+    CALENDAR_FEED.SUMMARY_MAX_LENGTH
+  );
+
+/**
+ * Build the number of occurrences of a recurring series
+ * Mirrors the recurrence scheduler: at most MAX_OCCURRENCES (root included),
+ * none after the recurrence end date
+ * @param {Object} task - Series root (date, recurrence)
+ * @returns {number} Occurrence count
+ */
+const getSeriesOccurrenceCount = (task) => {
+  const { endDate } = task.recurrence;
+  if (!endDate) return RECURRENCE_VALIDATION.MAX_OCCURRENCES;
+
+  let count = 1;
+  while (
+    count < RECURRENCE_VALIDATION.MAX_OCCURRENCES &&
+    getOccurrenceDate(task.date, task.recurrence, count) <= endDate
+  ) {
+    count += 1;
+  }
+  return count;
+};
+
+/**
+ * Build the filter of the tasks in a user's feed
+ * @param {Object} user - Feed owner (userId, organization, department, isHod)
+ * @param {Date} now - Time the feed is built
+ * @returns {Object} MongoDB filter query
+ */
+export const buildCalendarFeedFilter = (user, now) => {
+  const since = dayjs(now).subtract(CALENDAR_FEED.PAST_DAYS, "day").toDate();
+  const recurring = {
+    "recurrence.frequency": { $in: Object.values(RECURRENCE_FREQUENCY) },
+  };
+
+  const filter = buildTaskFilter({}, user);
+  filter.$and = [
+    {
+      $or: [
+        { assignees: user.userId },
+        { watchers: user.userId },
+        { createdBy: user.userId },
+      ],
+    },
+    // Generated occurrences are covered by their root's RRULE
+    { $or: [{ series: null }, { isSeriesException: true }] },
+    {
+      $or: [
+        { dueDate: { $gte: since } },
+        { "milestones.dueDate": { $gte: since } },
+        { date: { $gte: since } },
+        { ...recurring, "recurrence.endDate": null },
+        { ...recurring, "recurrence.endDate": { $gte: since } },
+      ],
+    },
+  ];
+
+  return filter;
+};
+
+/**
+ * Build the properties shared by every component of a task
+ * @param {Object} task - Lean task
+ * @param {Object} context - Feed context (uidDomain)
+ * @param {string} uid - Component UID (without domain)
+ * @param {string} [summary] - Summary (default: task summary)
+ * @returns {Array<string>} Content lines
+ */
+const buildTaskProperties = (task, context, uid, summary) => {
+  const url = `${getFrontendUrl()}/dashboard/tasks/${task._id}`;
+  const description = truncate(
+    task.description,
+    CALENDAR_FEED.DESCRIPTION_MAX_LENGTH
+  );
+  const categories = [task.taskType, ...(task.tags || [])];
+
+  return [
+    `UID:${uid}@${context.uidDomain}`,
+    `DTSTAMP:${toIcsDateTime(task.updatedAt || task.createdAt)}`,
+    `CREATED:${toIcsDateTime(task.createdAt)}`,
+    `LAST-MODIFIED:${toIcsDateTime(task.updatedAt || task.createdAt)}`,
+    `SUMMARY:${escapeText(summary || getTaskSummary(task))}`,
+    `DESCRIPTION:${escapeText(`${description}\n\n${url}`)}`,
+    `URL:${url}`,
+    `CATEGORIES:${categories.map(escapeText).join(",")}`,
+    `PRIORITY:${ICS_PRIORITIES[task.priority] || 0}`,
+  ];
+};
+
+/**
+ * Build the components of an AssignedTask or ProjectTask
+ * @param {Object} task - Lean task
+ * @param {Object} context - Feed context (timezone, uidDomain, includeTodos)
+ * @returns {Array<string>} Content lines
+ */
+const buildScheduledTaskComponents = (task, context) => {
+  const { timezone } = context;
+  const lines = [
+    "BEGIN:VEVENT",
+    ...buildTaskProperties(task, context, task._id),
+    `DTSTART;VALUE=DATE:${toIcsDate(task.startDate, timezone)}`,
+    `DTEND;VALUE=DATE:${toIcsNextDate(task.dueDate, timezone)}`,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ];
+
+  (task.milestones || []).forEach((milestone, index) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      ...buildTaskProperties(
+        task,
+        context,
+        `${task._id}-milestone-${index}`,
+        `${milestone.name} (${getTaskSummary(task)})`
+      ),
+      `DTSTART;VALUE=DATE:${toIcsDate(milestone.dueDate, timezone)}`,
+      `DTEND;VALUE=DATE:${toIcsNextDate(milestone.dueDate, timezone)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  });
+
+  if (context.includeTodos) {
+    lines.push(
+      "BEGIN:VTODO",
+      ...buildTaskProperties(task, context, `${task._id}-todo`),
+      `DUE;VALUE=DATE:${toIcsDate(task.dueDate, timezone)}`,
+      `STATUS:${ICS_TODO_STATUSES[task.status] || "NEEDS-ACTION"}`,
+      "END:VTODO"
+    );
+  }
+
+  return lines;
+};
+
+/**
+ * Build the VEVENT of a RoutineTask
+ * Series roots repeat with an RRULE; an occurrence edited on its own overrides
+ * its date in the series of its root (when the root is in the feed)
+ * @param {Object} task - Lean routine task
+ * @param {Object} context - Feed context (timezone, uidDomain, feedTaskIds, deletedDates)
+ * @returns {Array<string>} Content lines
+ */
+const buildRoutineTaskComponents = (task, context) => {
+  const { timezone } = context;
+  const date = toIcsDate(task.date, timezone);
+  const isOverride =
+    Boolean(task.series) && context.feedTaskIds.has(task.series.toString());
+  const lines = [
+    "BEGIN:VEVENT",
+    ...buildTaskProperties(task, context, isOverride ? task.series : task._id),
+    `DTSTART;VALUE=DATE:${date}`,
+    `DTEND;VALUE=DATE:${toIcsNextDate(task.date, timezone)}`,
+    "TRANSP:TRANSPARENT",
+  ];
+
+  if (isOverride) {
+    lines.push(`RECURRENCE-ID;VALUE=DATE:${date}`);
+  } else if (!task.series && task.recurrence?.frequency) {
+    const { frequency, interval = 1 } = task.recurrence;
+    lines.push(
+      `RRULE:FREQ=${frequency.toUpperCase()};INTERVAL=${interval};COUNT=${getSeriesOccurrenceCount(
+        task
+      )}`
+    );
+
+    const deletedDates = context.deletedDates.get(task._id.toString()) || [];
+    if (deletedDates.length > 0) {
+      lines.push(
+        `EXDATE;VALUE=DATE:${deletedDates
+          .map((deletedDate) => toIcsDate(deletedDate, timezone))
+          .join(",")}`
+      );
+    }
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+/**
+ * Generate the iCalendar feed of a user
+ * @param {Object} user - Feed owner, shaped like req.user (userId, fullName,
+ *   organization, department, isHod)
+ * @param {Object} [options] - Feed options
+ * @param {boolean} [options.includeTodos=false] - Add a VTODO per AssignedTask/ProjectTask
+ * @param {Date} [options.now=new Date()] - Time the feed is built
+ * @returns {Promise<string>} iCalendar document
+ */
+export const generateCalendarFeed = async (
+  user,
+  { includeTodos = false, now = new Date() } = {}
+) => {
+  const [organization, tasks] = await Promise.all([
+    Organization.findById(user.organization._id).select("name settings").lean(),
+    Task.find(buildCalendarFeedFilter(user, now))
+      .select(FEED_TASK_FIELDS)
+      .sort({ createdAt: 1 })
+      .lean(),
+  ]);
+  const timezone = organization?.settings?.timezone;
+
+  // Deleted occurrences of the series in the feed are excluded from their RRULE
+  const rootIds = tasks
+    .filter((task) => !task.series && task.recurrence?.frequency)
+    .map((task) => task._id);
+  const deletedOccurrences =
+    rootIds.length > 0
+      ? await RoutineTask.find({ series: { $in: rootIds } })
+          .onlyDeleted()
+          .select("series date")
+          .lean()
+      : [];
+  const deletedDates = new Map();
+  deletedOccurrences.forEach(({ series, date }) => {
+    const key = series.toString();
+    deletedDates.set(key, [...(deletedDates.get(key) || []), date]);
+  });
+
+  const context = {
+    timezone,
+    includeTodos,
+    uidDomain: new URL(getFrontendUrl()).hostname,
+    feedTaskIds: new Set(tasks.map((task) => task._id.toString())),
+    deletedDates,
+  };
+  const appName = process.env.APP_NAME || "Task Manager";
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${escapeText(appName)}//Task Calendar Feed//EN`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(
+      `${organization?.name || user.organization.name} - ${user.fullName}`
+    )}`,
+    ...(timezone ? [`X-WR-TIMEZONE:${timezone}`] : []),
+    `REFRESH-INTERVAL;VALUE=DURATION:${CALENDAR_FEED.REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${CALENDAR_FEED.REFRESH_INTERVAL}`,
+  ];
+
+  for (const task of tasks) {
+    lines.push(
+      ...(task.taskType === TASK_TYPES.ROUTINE
+        ? buildRoutineTaskComponents(task, context)
+        : buildScheduledTaskComponents(task, context))
+    );
+  }
+  lines.push("END:VCALENDAR");
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+export default {
+  buildCalendarFeedFilter,
+  generateCalendarFeed,
+};
@@ -0,0 +1,353 @@
+import Material from "../models/Material.js";
+import Organization from "../models/Organization.js";
+import ProjectTask from "../models/ProjectTask.js";
+import TaskActivity from "../models/TaskActivity.js";
+import User from "../models/User.js";
+import logger from "../utils/logger.js";
+import { getTaskParticipantIds } from "../utils/taskHelpers.js";
+import {
+  getPriceEffectiveAt,
+  loadMaterialPriceHistories,
+} from "../utils/modelHelpers.js";
+import { createSystemAlertNotification } from "./notificationService.js";
+import { COST_VALIDATION, ENTITY_MODEL_TYPES } from "../utils/constants.js";
+
+/**
+ * Cost Service
+ * Rolls up the actual spend of project tasks and compares it with their budget
+ *
+ * Actual spend = material cost + vendor charges
+ * - Material cost: quantity x unitPrice of the material lines of the task's
+ *   activities (unitPrice is the material price effective on the activity date,
+ *   snapshotted when the line was recorded); lines recorded before snapshots
+ *   existed use the price effective on the activity date from the price
+ *   history (current price without history) and are reported as estimated
+ * - Vendor charges: amounts recorded on the task
+ *
+ * Budget alerts: when spend passes one of the organization's
+ * settings.budgetAlertThresholds (% of budget) the task creator, watchers and
+ * department HODs receive a SYSTEM_ALERT; task.budgetAlertLevel remembers the
+ * highest threshold notified so each threshold alerts once per crossing
+ */
+
+/**
+ * Round an amount to COST_VALIDATION.PRECISION decimal places
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+const roundCost = (value) => Number(value.toFixed(COST_VALIDATION.PRECISION));
+
+/**
+ * Summarize spend against a budget
+ * @param {number|null} budget - Budget (null when not set)
+ * @param {number} total - Actual spend
+ * @returns {{remaining: number|null, percentUsed: number|null, isOverBudget: boolean}} Budget status
+ */
+const getBudgetStatus = (budget, total) => {
+  const hasBudget = budget !== null && budget !== undefined;
+  return {
+    remaining: hasBudget ? roundCost(budget - total) : null,
+    percentUsed:
+      hasBudget && budget > 0 ? roundCost((total / budget) * 100) : null,
+    isOverBudget: hasBudget && total > budget,
+  };
+};
+
+/**
+ * Keep the price snapshot of material lines that remain on an activity
+ * Lines for materials not previously on the activity get no unitPrice, so the
+ * current price is snapshotted when the activity is saved
+ * @param {Array<Object>} lines - New material lines ({ material, quantity })
+ * @param {Array<Object>} previousLines - Material lines before the change
+ * @returns {Array<Object>} Lines with unitPrice where one was recorded
+ */
+export const keepMaterialPriceSnapshots = (lines, previousLines = []) => {
+  const previousPrices = new Map(
+    previousLines.map((line) => [
+      (line.material._id || line.material).toString(),
+      line.unitPrice,
+    ])
+  );
+
+  return lines.map((line) => ({
+    ...line,
+    unitPrice: previousPrices.get(line.material.toString()) ?? null,
+  }));
+};
+
+/**
+ * Calculate the actual spend of project tasks
+ * @param {Array<Object>} tasks - Project tasks (budget and vendorCharges loaded)
+ * @param {mongoose.ClientSession} [session=null] - MongoDB session
+ * @returns {Promise<Map<string, Object>>} Cost breakdown by task ID
+ */
+export const calculateProjectTaskCosts = async (tasks, session = null) => {
+  const activities = await TaskActivity.find({
+    task: { $in: tasks.map((task) => task._id) },
+  })
+    .select("task activityType activity materials createdAt")
+    .session(session)
+    .lean();
+
+  const materialIds = new Set();
+  activities.forEach((activity) =>
+    activity.materials.forEach((line) =>
+      materialIds.add(line.material.toString())
+    )
+  );
+  const materials = await Material.find({ _id: { $in: [...materialIds] } })
+    .withDeleted()
+    .select("name unit price")
+    .session(session)
+    .lean();
+  const materialsById = new Map(
+    materials.map((material) => [material._id.toString(), material])
+  );
+  const priceHistories = await loadMaterialPriceHistories(
+    [...materialIds],
+    session
+  );
+
+  const activitiesByTask = new Map();
+  activities.forEach((activity) => {
+    const taskId = activity.task.toString();
+    activitiesByTask.set(taskId, [
+      ...(activitiesByTask.get(taskId) || []),
+      activity,
+    ]);
+  });
+
+  const costs = new Map();
+  for (const task of tasks) {
+    const byMaterial = new Map();
+    const activityCosts = [];
+
+    for (const activity of activitiesByTask.get(task._id.toString()) || []) {
+      let activityCost = 0;
+
+      for (const line of activity.materials) {
+        const materialId = line.material.toString();
+        const material = materialsById.get(materialId);
+        const isEstimated =
+          line.unitPrice === null || line.unitPrice === undefined;
+        const unitPrice = isEstimated
+          ? getPriceEffectiveAt(
+              priceHistories.get(materialId),
+              activity.createdAt
+            ) ??
+            material?.price ??
+            0
+          : line.unitPrice;
+        const cost = line.quantity * unitPrice;
+
+        const entry = byMaterial.get(materialId) || {
+          material: {
+            _id: line.material,
+            name: material?.name ?? null,
+            unit: material?.unit ?? null,
+          },
+          quantity: 0,
+          cost: 0,
+          isEstimated: false,
+        };
+        entry.quantity += line.quantity;
+        entry.cost += cost;
+        entry.isEstimated = entry.isEstimated || isEstimated;
+        byMaterial.set(materialId, entry);
+
+        activityCost += cost;
+      }
+
+      if (activity.materials.length > 0) {
+        activityCosts.push({
+          _id: activity._id,
+          activityType: activity.activityType,
+          activity: activity.activity,
+          createdAt: activity.createdAt,
+          cost: roundCost(activityCost),
+        });
+      }
+    }
+
+    const materialCost = [...byMaterial.values()].reduce(
+      (sum, entry) => sum + entry.cost,
+      0
+    );
+    const vendorCharges = (task.vendorCharges || []).reduce(
+      (sum, charge) => sum + charge.amount,
+      0
+    );
+    const total = roundCost(materialCost + vendorCharges);
+    const budget = task.budget ?? null;
+
+    costs.set(task._id.toString(), {
+      budget,
+      actual: {
+        materials: roundCost(materialCost),
+        vendorCharges: roundCost(vendorCharges),
+        total,
+      },
+      ...getBudgetStatus(budget, total),
+      materials: [...byMaterial.values()].map((entry) => ({
+        ...entry,
+        cost: roundCost(entry.cost),
+      })),
+      activities: activityCosts,
+      vendorCharges: task.vendorCharges || [],
+    });
+  }
+
+  return costs;
+};
+
+/**
+ * Summarize the budgets and actual spend of a department's project tasks
+ * @param {Object} department - Department (_id, name, organization)
+ * @returns {Promise<Object>} Department totals and per-task rows
+ */
+export const getDepartmentCostSummary = async (department) => {
+  const tasks = await ProjectTask.find({
+    organization: department.organization,
+    department: department._id,
+  })
+    .select("title status vendor budget vendorCharges startDate dueDate")
+    .populate({ path: "vendor", select: "name" })
+    .sort({ startDate: -1 })
+    .lean();
+
+  const costs = await calculateProjectTaskCosts(tasks);
+
+  const totals = {
+    budget: 0,
+    materials: 0,
+    vendorCharges: 0,
+    total: 0,
+  };
+  let overBudgetCount = 0;
+
+  const taskRows = tasks.map((task) => {
+    const { budget, actual, remaining, percentUsed, isOverBudget } =
+      costs.get(task._id.toString());
+
+    totals.budget += budget || 0;
+    totals.materials += actual.materials;
+    totals.vendorCharges += actual.vendorCharges;
+    totals.total += actual.total;
+    if (isOverBudget) overBudgetCount++;
+
+    return {
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      vendor: task.vendor,
+      startDate: task.startDate,
+      dueDate: task.dueDate,
+      budget,
+      actual,
+      remaining,
+      percentUsed,
+      isOverBudget,
+    };
+  });
+
+  return {
+    department: { _id: department._id, name: department.name },
+    taskCount: tasks.length,
+    overBudgetCount,
+    budget: roundCost(totals.budget),
+    actual: {
+      materials: roundCost(totals.materials),
+      vendorCharges: roundCost(totals.vendorCharges),
+      total: roundCost(totals.total),
+    },
+    tasks: taskRows,
+  };
+};
+
+/**
+ * Notify when a project task's spend passes a budget alert threshold
+ * Notifications are created in the caller's session; deliver them after commit
+ * @param {mongoose.Types.ObjectId|string} taskId - Task ID (other task types are ignored)
+ * @param {Object} [options] - Options
+ * @param {mongoose.ClientSession} [options.session=null] - MongoDB session
+ * @returns {Promise<Array<Object>>} Created notifications
+ */
+export const checkBudgetThresholds = async (
+  taskId,
+  { session = null } = {}
+) => {
+  // ProjectTask queries only match project tasks
+  const task = await ProjectTask.findById(taskId).session(session).lean();
+  if (!task) return [];
+
+  const costs = (await calculateProjectTaskCosts([task], session)).get(
+    task._id.toString()
+  );
+
+  const organization = await Organization.findById(task.organization)
+    .select("settings.budgetAlertThresholds")
+    .session(session)
+    .lean();
+  const thresholds = [
+    ...new Set(
+      organization?.settings?.budgetAlertThresholds ??
+        COST_VALIDATION.BUDGET_ALERT_THRESHOLDS.DEFAULT
+    ),
+  ].sort((a, b) => a - b);
+
+  const passedThresholds =
+    costs.percentUsed === null
+      ? []
+      : thresholds.filter((threshold) => costs.percentUsed >= threshold);
+  const alertLevel = passedThresholds.at(-1) ?? 0;
+  const previousLevel = task.budgetAlertLevel || 0;
+  if (alertLevel === previousLevel) return [];
+
+  await ProjectTask.updateOne(
+    { _id: task._id },
+    { $set: { budgetAlertLevel: alertLevel } }
+  ).session(session);
+
+  // Spend dropped (or budget raised): re-arm thresholds without notifying
+  if (alertLevel < previousLevel) return [];
+
+  const hods = await User.find({
+    organization: task.organization,
+    department: task.department,
+    isHod: true,
+  })
+    .select("_id")
+    .session(session)
+    .lean();
+
+  const result = await createSystemAlertNotification({
+    title: costs.isOverBudget ? "Project Over Budget" : "Project Budget Alert",
+    message: `Spend on "${task.title}" reached ${costs.percentUsed}% of its budget (${costs.actual.total} of ${costs.budget}), passing the ${alertLevel}% alert threshold.`,
+    recipientIds: [
+      ...getTaskParticipantIds(task),
+      ...hods.map((hod) => hod._id),
+    ],
+    organizationId: task.organization,
+    departmentId: task.department,
+    entityId: task._id,
+    entityModel: ENTITY_MODEL_TYPES.TASK,
+    session,
+  });
+
+  if (!result.success) {
+    logger.warn("Failed to create budget alert notification", {
+      taskId: task._id,
+      alertLevel,
+      error: result.error,
+    });
+  }
+
+  return result.notifications || [];
+};
+
+export default {
+  keepMaterialPriceSnapshots,
+  calculateProjectTaskCosts,
+  getDepartmentCostSummary,
+  checkBudgetThresholds,
+};
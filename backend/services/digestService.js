@@ -0,0 +1,349 @@
+import dayjs from "dayjs";
+import Notification from "../models/Notification.js";
+import NotificationPreference from "../models/NotificationPreference.js";
+import Task from "../models/Task.js";
+import TaskActivity from "../models/TaskActivity.js";
+import TaskComment from "../models/TaskComment.js";
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  DIGEST_FREQUENCY,
+  PARENT_MODEL_TYPES,
+  COMMENT_VALIDATION,
+  TASK_STATUS,
+} from "../utils/constants.js";
+import { truncate, getFrontendUrl, toTimezone } from "../utils/helpers.js";
+
+/**
+ * Digest Service
+ * Builds the periodic email digest of a single user
+ * Sections: tasks due today and overdue (user is assignee, watcher or creator),
+ * new comments on watched tasks, mentions, tasks completed in the user's department,
+ * and unread notifications delivered through the DIGEST channel
+ * Days and dates are computed and formatted in the organization timezone and dateFormat
+ */
+
+/**
+ * Maximum items listed per digest section (totals are still reported)
+ * @constant
+ * @private
+ */
+const SECTION_ITEM_LIMIT = 20;
+
+/**
+ * dayjs unit of the period covered by each digest frequency
+ * @constant
+ * @private
+ */
+const PERIOD_UNITS = {
+  [DIGEST_FREQUENCY.DAILY]: "day",
+  [DIGEST_FREQUENCY.WEEKLY]: "week",
+};
+
+/**
+ * Display label of a task (routine tasks have no title)
+ * @param {Object} task - Task document
+ * @returns {string} Task label
+ */
+const getTaskLabel = (task) => task.title || truncate(task.description, 80);
+
+/**
+ * Frontend URL of a task details page
+ * @param {mongoose.Types.ObjectId|string} taskId - Task ID
+ * @returns {string} Task URL
+ */
+const getTaskUrl = (taskId) => `${getFrontendUrl()}/dashboard/tasks/${taskId}`;
+
+/**
+ * Build a digest section, keeping the total but listing at most SECTION_ITEM_LIMIT items
+ * @param {string} title - Section title
+ * @param {Array<Object>} items - Section items ({ label, detail, url })
+ * @returns {Object} Section ({ title, total, items })
+ */
+const buildSection = (title, items) => ({
+  title,
+  total: items.length,
+  items: items.slice(0, SECTION_ITEM_LIMIT),
+});
+
+/**
+ * Resolve the task each comment belongs to
+ * Walks reply chains and activity parents level by level (bounded by COMMENT_VALIDATION.MAX_DEPTH)
+ * @param {Array<Object>} comments - Comments (parent, parentModel)
+ * @returns {Promise<Map<string, string>>} Task ID keyed by comment ID
+ */
+const resolveCommentTaskIds = async (comments) => {
+  const taskIdByComment = new Map();
+  let cursors = comments.map((comment) => ({
+    commentId: comment._id.toString(),
+    parent: comment.parent,
+    parentModel: comment.parentModel,
+  }));
+
+  for (
+    let level = 0;
+    level <= COMMENT_VALIDATION.MAX_DEPTH + 1 && cursors.length > 0;
+    level++
+  ) {
+    const parentIds = (model) =>
+      cursors.filter((c) => c.parentModel === model).map((c) => c.parent);
+
+    const [parentComments, activities] = await Promise.all([
+      TaskComment.find({
+        _id: { $in: parentIds(PARENT_MODEL_TYPES.TASK_COMMENT) },
+      })
+        .select("parent parentModel")
+        .withDeleted()
+        .lean(),
+      TaskActivity.find({
+        _id: { $in: parentIds(PARENT_MODEL_TYPES.TASK_ACTIVITY) },
+      })
+        .select("task")
+        .withDeleted()
+        .lean(),
+    ]);
+    const commentsById = new Map(
+      parentComments.map((c) => [c._id.toString(), c])
+    );
+    const activitiesById = new Map(
+      activities.map((a) => [a._id.toString(), a])
+    );
+
+    const nextCursors = [];
+    cursors.forEach((cursor) => {
+      const parentId = cursor.parent.toString();
+
+      if (cursor.parentModel === PARENT_MODEL_TYPES.TASK) {
+        taskIdByComment.set(cursor.commentId, parentId);
+      } else if (cursor.parentModel === PARENT_MODEL_TYPES.TASK_ACTIVITY) {
+        const activity = activitiesById.get(parentId);
+        if (activity) {
+          taskIdByComment.set(cursor.commentId, activity.task.toString());
+        }
+      } else {
+        const parentComment = commentsById.get(parentId);
+        if (parentComment) {
+          nextCursors.push({
+            commentId: cursor.commentId,
+            parent: parentComment.parent,
+            parentModel: parentComment.parentModel,
+          });
+        }
+      }
+    });
+    cursors = nextCursors;
+  }
+
+  return taskIdByComment;
+};
+
+/**
+ * Get the time range a digest covers
+ * Starts at the previous digest (at most one period back) and ends now
+ * @param {string} frequency - Digest frequency (DAILY or WEEKLY)
+ * @param {Date|null} lastSentAt - When the previous digest was sent
+ * @param {Date} now - Reference time
+ * @returns {{ start: Date, end: Date }} Digest period
+ */
+export const getDigestPeriod = (frequency, lastSentAt, now) => {
+  const earliest = dayjs(now).subtract(1, PERIOD_UNITS[frequency]).toDate();
+
+  return {
+    start: lastSentAt && lastSentAt > earliest ? lastSentAt : earliest,
+    end: now,
+  };
+};
+
+/**
+ * Build the digest of a single user
+ * @param {Object} user - User (_id, organization, department)
+ * @param {Object} preferences - Notification preferences of the user
+ * @param {Object} settings - Organization settings (timezone, dateFormat)
+ * @param {{ start: Date, end: Date }} period - Digest period
+ * @returns {Promise<Object>} Digest ({ frequency, periodLabel, sections, isEmpty, dashboardUrl, settingsUrl })
+ */
+export const buildUserDigest = async (user, preferences, settings, period) => {
+  const { timezone, dateFormat = "DD/MM/YYYY" } = settings || {};
+  const userId = user._id.toString();
+  const frequency = preferences.digest?.frequency || DIGEST_FREQUENCY.DAILY;
+  const now = period.end;
+  const startOfToday = toTimezone(now, timezone).startOf("day").toDate();
+  const endOfToday = toTimezone(now, timezone).endOf("day").toDate();
+  const formatDate = (date) => toTimezone(date, timezone).format(dateFormat);
+
+  // Tasks the user is involved in
+  const involvementFilter = {
+    organization: user.organization,
+    $or: [
+      { assignees: user._id },
+      { watchers: user._id },
+      { createdBy: user._id },
+    ],
+  };
+
+  // Comments of interest: on the user's watched tasks and their activities, or mentioning the user
+  const watchedTaskIds = (
+    await Task.find({ organization: user.organization, watchers: user._id })
+      .select("_id")
+      .lean()
+  ).map(({ _id }) => _id);
+  const watchedActivityIds =
+    watchedTaskIds.length > 0
+      ? (
+          await TaskActivity.find({ task: { $in: watchedTaskIds } })
+            .select("_id")
+            .lean()
+        ).map(({ _id }) => _id)
+      : [];
+
+  // Notification types the user receives through the digest
+  const digestTypes = Object.values(NOTIFICATION_TYPES).filter((type) =>
+    NotificationPreference.resolveChannels(preferences, type).includes(
+      NOTIFICATION_CHANNELS.DIGEST
+    )
+  );
+
+  const [dueToday, overdue, completed, comments, notifications] =
+    await Promise.all([
+      Task.find({
+        ...involvementFilter,
+        dueDate: { $gte: startOfToday, $lte: endOfToday },
+        status: { $ne: TASK_STATUS.COMPLETED },
+      })
+        .select("title description dueDate priority")
+        .sort({ dueDate: 1 })
+        .lean(),
+      // Overdue (Task.isOverdue) and due before today; today's tasks are listed above
+      Task.find({
+        ...involvementFilter,
+        $and: [
+          Task.buildOverdueFilter(now),
+          { dueDate: { $lt: startOfToday } },
+        ],
+      })
+        .select("title description dueDate priority")
+        .sort({ dueDate: 1 })
+        .lean(),
+      Task.find({
+        organization: user.organization,
+        department: user.department,
+        status: TASK_STATUS.COMPLETED,
+        completedAt: { $gte: period.start, $lt: period.end },
+      })
+        .select("title description completedAt")
+        .sort({ completedAt: -1 })
+        .lean(),
+      TaskComment.find({
+        organization: user.organization,
+        createdBy: { $ne: user._id },
+        createdAt: { $gte: period.start, $lt: period.end },
+        $or: [
+          { mentions: user._id },
+          { parent: { $in: [...watchedTaskIds, ...watchedActivityIds] } },
+        ],
+      })
+        .select("comment parent parentModel mentions createdBy createdAt")
+        .populate("createdBy", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .lean(),
+      digestTypes.length > 0
+        ? Notification.find({
+            organization: user.organization,
+            recipients: user._id,
+            type: { $in: digestTypes },
+            createdAt: { $gte: period.start, $lt: period.end },
+            ...Notification.buildRecipientStateFilter(userId, {
+              isRead: false,
+              isArchived: false,
+            }),
+          })
+            .select("title message createdAt")
+            .sort({ createdAt: -1 })
+            .lean()
+        : [],
+    ]);
+
+  // Comments: mentions of the user, and other comments on tasks the user watches
+  const taskIdByComment = await resolveCommentTaskIds(comments);
+  const commentTasks = await Task.find({
+    _id: { $in: [...new Set(taskIdByComment.values())] },
+  })
+    .select("title description watchers")
+    .lean();
+  const commentTasksById = new Map(
+    commentTasks.map((t) => [t._id.toString(), t])
+  );
+
+  const mentions = [];
+  const watchedComments = [];
+  comments.forEach((comment) => {
+    const task = commentTasksById.get(
+      taskIdByComment.get(comment._id.toString())
+    );
+    if (!task) return;
+
+    const author = comment.createdBy
+      ? `${comment.createdBy.firstName} ${comment.createdBy.lastName}`
+      : "Someone";
+    const item = {
+      label: `${author} on "${getTaskLabel(task)}"`,
+      detail: truncate(comment.comment, 140),
+      url: getTaskUrl(task._id),
+    };
+
+    if (comment.mentions.some((id) => id.toString() === userId)) {
+      mentions.push(item);
+    } else if (task.watchers.some((id) => id.toString() === userId)) {
+      watchedComments.push(item);
+    }
+  });
+
+  const taskItem = (detail) => (task) => ({
+    label: getTaskLabel(task),
+    detail: detail(task),
+    url: getTaskUrl(task._id),
+  });
+
+  const sections = [
+    buildSection(
+      "Due today",
+      dueToday.map(taskItem((t) => `Priority: ${t.priority}`))
+    ),
+    buildSection(
+      "Overdue",
+      overdue.map(taskItem((t) => `Due ${formatDate(t.dueDate)}`))
+    ),
+    buildSection("Mentions", mentions),
+    buildSection("New comments on watched tasks", watchedComments),
+    buildSection(
+      "Completed in your department",
+      completed.map(taskItem((t) => `Completed ${formatDate(t.completedAt)}`))
+    ),
+    buildSection(
+      "Unread notifications",
+      notifications.map((n) => ({
+        label: n.title,
+        detail: n.message,
+        url: `${getFrontendUrl()}/dashboard`,
+      }))
+    ),
+  ].filter((section) => section.total > 0);
+
+  const periodStart = toTimezone(period.start, timezone);
+  return {
+    frequency,
+    periodLabel:
+      frequency === DIGEST_FREQUENCY.WEEKLY
+        ? `${periodStart.format(dateFormat)} - ${formatDate(now)}`
+        : formatDate(now),
+    sections,
+    isEmpty: sections.length === 0,
+    dashboardUrl: `${getFrontendUrl()}/dashboard`,
+    settingsUrl: `${getFrontendUrl()}/dashboard/settings`,
+  };
+};
+
+export default {
+  getDigestPeriod,
+  buildUserDigest,
+};
@@ -1,14 +1,39 @@
 import nodemailer from "nodemailer";
+import EmailOutbox from "../models/EmailOutbox.js";
 import logger from "../utils/logger.js";
+import {
+  DIGEST_FREQUENCY,
+  EMAIL_OUTBOX_STATUS,
+  EMAIL_TEMPLATES,
+} from "../utils/constants.js";
 
 /**
  * Email Service
  * Handles email sending using nodemailer with Gmail SMTP
- * Provides email templates for password reset, email verification, and task assignments
+ * Any other SMTP_HOST (e.g. a local MailHog/smtp4dev stand-in on port 1025) is used as-is
+ * Provides email templates for password reset, email verification, task assignments,
+ * notifications delivered by email, and the periodic email digest
+ * Templates are queued in the EmailOutbox collection (deduplicated by idempotency key)
+ * and delivered by the outbox worker (utils/emailOutboxWorker.js) with retries
  */
 
+/**
+ * Escape user-provided text before embedding it in HTML templates
+ * @param {string} value - Raw text
+ * @returns {string} HTML-safe text
+ */
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
 /**
  * Create nodemailer transporter with Gmail SMTP configuration
+ * Gmail service settings are only applied when SMTP_HOST is a Gmail host
+ * SMTP_TLS_REJECT_UNAUTHORIZED=false allows self-signed certificates (local development)
  * @returns {nodemailer.Transporter} Configured transporter instance
  */
 const createTransporter = () => {
@@ -27,9 +52,11 @@ const createTransporter = () => {
 
     const smtpPort = parseInt(process.env.SMTP_PORT, 10);
     const isSecure = smtpPort === 465;
+    const isGmail = /(^|\.)gmail\.com$/i.test(process.env.SMTP_HOST);
 
     const transporter = nodemailer.createTransport({
-      service: "gmail", // Use Gmail service for better compatibility
+      // Use Gmail service for better compatibility
+      ...(isGmail && { service: "gmail" }),
       host: process.env.SMTP_HOST,
       port: smtpPort,
       secure: isSecure, // true for 465, false for other ports
@@ -48,7 +75,7 @@ const createTransporter = () => {
       maxMessages: 100,
       // TLS options for Gmail
       tls: {
-        rejectUnauthorized: true,
+        rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== "false",
         minVersion: "TLSv1.2",
       },
       // Disable debug output in production
@@ -82,12 +109,12 @@ const getTransporter = () => {
 };
 
 /**
- * Send email with error handling
+ * Send email through the SMTP transporter with error handling
+ * Used by the outbox worker; templates enqueue instead of calling this directly
  * @param {Object} mailOptions - Email options (from, to, subject, html, text)
  * @returns {Promise<Object>} Email send result
- * @throws {Error} If email sending fails
  */
-const sendEmail = async (mailOptions) => {
+export const deliverEmail = async (mailOptions) => {
   try {
     logger.info("Attempting to send email", {
       to: mailOptions.to,
@@ -123,17 +150,89 @@ const sendEmail = async (mailOptions) => {
   }
 };
 
+/**
+ * Queue an email in the outbox for delivery by the outbox worker
+ * An idempotency key scoped to the sending event (e.g.
+ * notification:<notificationId>:<recipientId>) queues the email once per event;
+ * a FAILED message does not block its key. Without a key, the email is always queued
+ * @param {string} template - Template name from EMAIL_TEMPLATES
+ * @param {Object} mailOptions - Email options (from, to, subject, html, text)
+ * @param {Object} [options] - Outbox options
+ * @param {mongoose.Types.ObjectId|string} [options.organization=null] - Related organization
+ * @param {string} [options.idempotencyKey=null] - Deduplication key of the sending event
+ * @param {Date} [options.nextAttemptAt] - Earliest delivery time (default: now)
+ * @returns {Promise<Object>} Email queue result ({ success, queued, outboxId, error })
+ */
+const enqueueEmail = async (template, mailOptions, options = {}) => {
+  const { organization = null, idempotencyKey = null, nextAttemptAt } = options;
+
+  try {
+    const message = await EmailOutbox.create({
+      ...mailOptions,
+      template,
+      organization,
+      idempotencyKey,
+      ...(nextAttemptAt && { nextAttemptAt }),
+    });
+
+    logger.info("Email queued", {
+      outboxId: message._id,
+      template,
+      to: mailOptions.to,
+    });
+
+    return {
+      success: true,
+      queued: true,
+      outboxId: message._id,
+    };
+  } catch (error) {
+    if (error.code === 11000) {
+      // A FAILED message releases its key so the event can queue its email again
+      const released = await EmailOutbox.updateOne(
+        { idempotencyKey, status: EMAIL_OUTBOX_STATUS.FAILED },
+        { $set: { idempotencyKey: null } }
+      );
+      if (released.modifiedCount > 0) {
+        return enqueueEmail(template, mailOptions, options);
+      }
+
+      // Duplicate idempotency key: the email of this event is already queued or sent
+      logger.info("Duplicate email not queued", {
+        template,
+        to: mailOptions.to,
+        idempotencyKey,
+      });
+      return { success: true, queued: false };
+    }
+
+    logger.error("Failed to queue email", {
+      error: error.message,
+      stack: error.stack,
+      template,
+      to: mailOptions.to,
+    });
+
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
 /**
  * Email template for password reset
  * @param {string} recipientEmail - Recipient email address
  * @param {string} recipientName - Recipient full name
  * @param {string} resetUrl - Password reset URL
- * @returns {Promise<Object>} Email send result
+ * @param {Object} [options] - Outbox options (organization, idempotencyKey)
+ * @returns {Promise<Object>} Email queue result
  */
 export const sendPasswordResetEmail = async (
   recipientEmail,
   recipientName,
-  resetUrl
+  resetUrl,
+  options = {}
 ) => {
   const appName = process.env.APP_NAME || "Task Manager";
   const fromEmail = process.env.SMTP_USER;
@@ -248,7 +347,11 @@ export const sendPasswordResetEmail = async (
     `,
   };
 
-  return await sendEmail(mailOptions);
+  return await enqueueEmail(
+    EMAIL_TEMPLATES.PASSWORD_RESET,
+    mailOptions,
+    options
+  );
 };
 
 /**
@@ -256,12 +359,14 @@ export const sendPasswordResetEmail = async (
  * @param {string} recipientEmail - Recipient email address
  * @param {string} recipientName - Recipient full name
  * @param {string} verificationUrl - Email verification URL
- * @returns {Promise<Object>} Email send result
+ * @param {Object} [options] - Outbox options (organization, idempotencyKey)
+ * @returns {Promise<Object>} Email queue result
  */
 export const sendEmailVerificationEmail = async (
   recipientEmail,
   recipientName,
-  verificationUrl
+  verificationUrl,
+  options = {}
 ) => {
   const appName = process.env.APP_NAME || "Task Manager";
   const fromEmail = process.env.SMTP_USER;
@@ -376,7 +481,11 @@ export const sendEmailVerificationEmail = async (
     `,
   };
 
-  return await sendEmail(mailOptions);
+  return await enqueueEmail(
+    EMAIL_TEMPLATES.EMAIL_VERIFICATION,
+    mailOptions,
+    options
+  );
 };
 
 /**
@@ -386,14 +495,16 @@ export const sendEmailVerificationEmail = async (
  * @param {Object} task - Task object with details
  * @param {string} assignedBy - Name of user who assigned the task
  * @param {string} taskUrl - URL to view the task
- * @returns {Promise<Object>} Email send result
+ * @param {Object} [options] - Outbox options (organization, idempotencyKey)
+ * @returns {Promise<Object>} Email queue result
  */
 export const sendTaskAssignmentEmail = async (
   recipientEmail,
   recipientName,
   task,
   assignedBy,
-  taskUrl
+  taskUrl,
+  options = {}
 ) => {
   const appName = process.env.APP_NAME || "Task Manager";
   const fromEmail = process.env.SMTP_USER;
@@ -568,7 +679,11 @@ export const sendTaskAssignmentEmail = async (
     `,
   };
 
-  return await sendEmail(mailOptions);
+  return await enqueueEmail(
+    EMAIL_TEMPLATES.TASK_ASSIGNMENT,
+    mailOptions,
+    options
+  );
 };
 
 /**
@@ -577,13 +692,15 @@ export const sendTaskAssignmentEmail = async (
  * @param {string} recipientName - Recipient full name
  * @param {string} organizationName - Organization name
  * @param {string} loginUrl - URL to login
- * @returns {Promise<Object>} Email send result
+ * @param {Object} [options] - Outbox options (organization, idempotencyKey)
+ * @returns {Promise<Object>} Email queue result
  */
 export const sendWelcomeEmail = async (
   recipientEmail,
   recipientName,
   organizationName,
-  loginUrl
+  loginUrl,
+  options = {}
 ) => {
   const appName = process.env.APP_NAME || "Task Manager";
   const fromEmail = process.env.SMTP_USER;
@@ -718,7 +835,293 @@ export const sendWelcomeEmail = async (
     `,
   };
 
-  return await sendEmail(mailOptions);
+  return await enqueueEmail(EMAIL_TEMPLATES.WELCOME, mailOptions, options);
+};
+
+/**
+ * Email template for an in-app notification delivered by email
+ * Used for notification types the recipient chose to receive by email
+ * @param {string} recipientEmail - Recipient email address
+ * @param {string} recipientName - Recipient full name
+ * @param {Object} notification - Notification object (title, message)
+ * @param {string} notificationUrl - URL to view the related entity
+ * @param {Object} [options] - Outbox options (organization, idempotencyKey)
+ * @returns {Promise<Object>} Email queue result
+ */
+export const sendNotificationEmail = async (
+  recipientEmail,
+  recipientName,
+  notification,
+  notificationUrl,
+  options = {}
+) => {
+  const appName = process.env.APP_NAME || "Task Manager";
+  const fromEmail = process.env.SMTP_USER;
+
+  const mailOptions = {
+    from: `"${appName}" <${fromEmail}>`,
+    to: recipientEmail,
+    subject: `${notification.title} - ${appName}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body {
+              font-family: Arial, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .header {
+              background-color: #1976d2;
+              color: white;
+              padding: 20px;
+              text-align: center;
+              border-radius: 5px 5px 0 0;
+            }
+            .content {
+              background-color: #f9f9f9;
+              padding: 30px;
+              border-radius: 0 0 5px 5px;
+            }
+            .button {
+              display: inline-block;
+              padding: 12px 30px;
+              background-color: #1976d2;
+              color: white;
+              text-decoration: none;
+              border-radius: 5px;
+              margin: 20px 0;
+            }
+            .message {
+              background-color: white;
+              border: 1px solid #ddd;
+              border-radius: 5px;
+              padding: 20px;
+              margin: 20px 0;
+            }
+            .footer {
+              margin-top: 30px;
+              padding-top: 20px;
+              border-top: 1px solid #ddd;
+              font-size: 12px;
+              color: #666;
+              text-align: center;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <h1>${appName}</h1>
+          </div>
+          <div class="content">
+            <h2>🔔 ${notification.title}</h2>
+            <p>Hello ${recipientName},</p>
+
+            <div class="message">
+              <p style="margin: 0;">${notification.message}</p>
+            </div>
+
+            <div style="text-align: center;">
+              <a href="${notificationUrl}" class="button">View Details</a>
+            </div>
+
+            <p>Best regards,<br>${appName} Team</p>
+          </div>
+          <div class="footer">
+            <p>You are receiving this email because of your notification preferences. You can change them in your account settings.</p>
+            <p>&copy; ${new Date().getFullYear()} ${appName}. All rights reserved.</p>
+          </div>
+        </body>
+      </html>
+    `,
+    text: `
+      ${notification.title} - ${appName}
+
+      Hello ${recipientName},
+
+      ${notification.message}
+
+      View details: ${notificationUrl}
+
+      Best regards,
+      ${appName} Team
+
+      You are receiving this email because of your notification preferences. You can change them in your account settings.
+    `,
+  };
+
+  return await enqueueEmail(EMAIL_TEMPLATES.NOTIFICATION, mailOptions, options);
+};
+
+/**
+ * Email template for the periodic digest
+ * @param {string} recipientEmail - Recipient email address
+ * @param {string} recipientName - Recipient full name
+ * @param {Object} digest - Digest built by digestService.buildUserDigest
+ * @param {string} digest.frequency - Digest frequency (DAILY or WEEKLY)
+ * @param {string} digest.periodLabel - Period covered, formatted in the organization dateFormat
+ * @param {Array<Object>} digest.sections - Sections ({ title, total, items: [{ label, detail, url }] })
+ * @param {string} digest.dashboardUrl - Dashboard URL
+ * @param {string} digest.settingsUrl - Notification settings URL
+ * @param {Object} [options] - Outbox options (organization, idempotencyKey)
+ * @returns {Promise<Object>} Email queue result
+ */
+export const sendDigestEmail = async (
+  recipientEmail,
+  recipientName,
+  digest,
+  options = {}
+) => {
+  const appName = process.env.APP_NAME || "Task Manager";
+  const fromEmail = process.env.SMTP_USER;
+  const digestName =
+    digest.frequency === DIGEST_FREQUENCY.WEEKLY
+      ? "Weekly Digest"
+      : "Daily Digest";
+
+  const htmlSections = digest.sections
+    .map(
+      (section) => `
+            <h3>${escapeHtml(section.title)} (${section.total})</h3>
+            <ul>
+              ${section.items
+                .map(
+                  (item) => `
+              <li>
+                <a href="${escapeHtml(item.url)}">${escapeHtml(item.label)}</a>
+                ${item.detail ? `<div class="detail">${escapeHtml(item.detail)}</div>` : ""}
+              </li>`
+                )
+                .join("")}
+            </ul>
+            ${section.total > section.items.length ? `<p class="detail">and ${section.total - section.items.length} more</p>` : ""}`
+    )
+    .join("");
+
+  const textSections = digest.sections
+    .map((section) =>
+      [
+        `${section.title} (${section.total})`,
+        ...section.items.map(
+          (item) =>
+            `- ${item.label}${item.detail ? `: ${item.detail}` : ""}\n  ${item.url}`
+        ),
+        ...(section.total > section.items.length
+          ? [`  and ${section.total - section.items.length} more`]
+          : []),
+      ].join("\n")
+    )
+    .join("\n\n");
+
+  const mailOptions = {
+    from: `"${appName}" <${fromEmail}>`,
+    to: recipientEmail,
+    subject: `${digestName} (${digest.periodLabel}) - ${appName}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body {
+              font-family: Arial, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .header {
+              background-color: #1976d2;
+              color: white;
+              padding: 20px;
+              text-align: center;
+              border-radius: 5px 5px 0 0;
+            }
+            .content {
+              background-color: #f9f9f9;
+              padding: 30px;
+              border-radius: 0 0 5px 5px;
+            }
+            .content h3 {
+              border-bottom: 1px solid #ddd;
+              padding-bottom: 5px;
+            }
+            .content a {
+              color: #1976d2;
+            }
+            .detail {
+              font-size: 13px;
+              color: #666;
+            }
+            .button {
+              display: inline-block;
+              padding: 12px 30px;
+              background-color: #1976d2;
+              color: white !important;
+              text-decoration: none;
+              border-radius: 5px;
+              margin: 20px 0;
+            }
+            .footer {
+              margin-top: 30px;
+              padding-top: 20px;
+              border-top: 1px solid #ddd;
+              font-size: 12px;
+              color: #666;
+              text-align: center;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <h1>${appName}</h1>
+          </div>
+          <div class="content">
+            <h2>📋 ${digestName} - ${escapeHtml(digest.periodLabel)}</h2>
+            <p>Hello ${escapeHtml(recipientName)},</p>
+            <p>Here is what happened in your tasks:</p>
+            ${htmlSections}
+
+            <div style="text-align: center;">
+              <a href="${digest.dashboardUrl}" class="button">Open Dashboard</a>
+            </div>
+
+            <p>Best regards,<br>${appName} Team</p>
+          </div>
+          <div class="footer">
+            <p>You are receiving this digest because of your notification preferences. <a href="${digest.settingsUrl}">Change digest settings</a>.</p>
+            <p>&copy; ${new Date().getFullYear()} ${appName}. All rights reserved.</p>
+          </div>
+        </body>
+      </html>
+    `,
+    text: `
+${digestName} - ${digest.periodLabel} - ${appName}
+
+Hello ${recipientName},
+
+Here is what happened in your tasks:
+
+${textSections}
+
+Open dashboard: ${digest.dashboardUrl}
+
+Best regards,
+${appName} Team
+
+You are receiving this digest because of your notification preferences. Change them at: ${digest.settingsUrl}
+    `,
+  };
+
+  return await enqueueEmail(EMAIL_TEMPLATES.DIGEST, mailOptions, options);
 };
 
 /**
@@ -744,5 +1147,8 @@ export default {
   sendEmailVerificationEmail,
   sendTaskAssignmentEmail,
   sendWelcomeEmail,
+  sendNotificationEmail,
+  sendDigestEmail,
+  deliverEmail,
   verifyEmailConnection,
 };
@@ -0,0 +1,570 @@
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
+import Organization from "../models/Organization.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { toTimezone } from "../utils/helpers.js";
+import logger from "../utils/logger.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_VALIDATION,
+  HTTP_STATUS,
+  ERROR_CODES,
+} from "../utils/constants.js";
+
+/**
+ * Export Service
+ * Streams list results (tasks, materials, vendors, users, activities, audit
+ * logs) as CSV, XLSX or PDF: documents are read from a cursor in batches of
+ * EXPORT_VALIDATION.BATCH_SIZE and written as they arrive, so exports of any
+ * size run in constant memory
+ * Dates use the organization's timezone and date format
+ */
+
+/**
+ * Full name of a populated user
+ * @param {Object|null} user - User (firstName, lastName)
+ * @returns {string} Full name, or "" when not set
+ */
+const getUserName = (user) =>
+  user ? `${user.firstName || ""} ${user.lastName || ""}`.trim() : "";
+
+/**
+ * Text of an audit change value
+ * @param {*} value - Recorded value (plain JSON)
+ * @returns {string} Value, "-" when not set
+ */
+const formatAuditValue = (value) => {
+  if (value === null || value === undefined) return "-";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Exportable columns per list, in default order
+ * type: text, number, date (dateFormat) or datetime (dateFormat HH:mm)
+ * value: reads the cell value from a lean document
+ */
+const EXPORT_COLUMNS = {
+  tasks: [
+    { key: "title", label: "Title", value: (task) => task.title },
+    { key: "taskType", label: "Type", value: (task) => task.taskType },
+    { key: "status", label: "Status", value: (task) => task.status },
+    { key: "priority", label: "Priority", value: (task) => task.priority },
+    {
+      key: "department",
+      label: "Department",
+      value: (task) => task.department?.name,
+    },
+    {
+      key: "createdBy",
+      label: "Created By",
+      value: (task) => getUserName(task.createdBy),
+    },
+    {
+      key: "assignees",
+      label: "Assignees",
+      value: (task) => (task.assignees || []).map(getUserName).join(", "),
+    },
+    { key: "vendor", label: "Vendor", value: (task) => task.vendor?.name },
+    {
+      key: "startDate",
+      label: "Start Date",
+      type: "date",
+      value: (task) => task.startDate || task.date,
+    },
+    {
+      key: "dueDate",
+      label: "Due Date",
+      type: "date",
+      value: (task) => task.dueDate,
+    },
+    {
+      key: "tags",
+      label: "Tags",
+      value: (task) => (task.tags || []).join(", "),
+    },
+    {
+      key: "createdAt",
+      label: "Created At",
+      type: "datetime",
+      value: (task) => task.createdAt,
+    },
+  ],
+  materials: [
+    { key: "name", label: "Name", value: (material) => material.name },
+    {
+      key: "category",
+      label: "Category",
+      value: (material) => material.category,
+    },
+    { key: "unit", label: "Unit", value: (material) => material.unit },
+    {
+      key: "price",
+      label: "Price",
+      type: "number",
+      value: (material) => material.price,
+    },
+    {
+      key: "quantityOnHand",
+      label: "On Hand",
+      type: "number",
+      value: (material) => material.quantityOnHand,
+    },
+    {
+      key: "reorderPoint",
+      label: "Reorder Point",
+      type: "number",
+      value: (material) => material.reorderPoint,
+    },
+    {
+      key: "reorderQuantity",
+      label: "Reorder Quantity",
+      type: "number",
+      value: (material) => material.reorderQuantity,
+    },
+    {
+      key: "department",
+      label: "Department",
+      value: (material) => material.department?.name,
+    },
+    {
+      key: "createdBy",
+      label: "Created By",
+      value: (material) => getUserName(material.createdBy),
+    },
+    {
+      key: "createdAt",
+      label: "Created At",
+      type: "datetime",
+      value: (material) => material.createdAt,
+    },
+  ],
+  vendors: [
+    { key: "name", label: "Name", value: (vendor) => vendor.name },
+    { key: "email", label: "Email", value: (vendor) => vendor.email },
+    { key: "phone", label: "Phone", value: (vendor) => vendor.phone },
+    { key: "address", label: "Address", value: (vendor) => vendor.address },
+    { key: "status", label: "Status", value: (vendor) => vendor.status },
+    {
+      key: "rating",
+      label: "Rating",
+      type: "number",
+      value: (vendor) => vendor.rating,
+    },
+    {
+      key: "createdAt",
+      label: "Created At",
+      type: "datetime",
+      value: (vendor) => vendor.createdAt,
+    },
+  ],
+  users: [
+    {
+      key: "employeeId",
+      label: "Employee ID",
+      value: (user) => user.employeeId,
+    },
+    { key: "firstName", label: "First Name", value: (user) => user.firstName },
+    { key: "lastName", label: "Last Name", value: (user) => user.lastName },
+    { key: "email", label: "Email", value: (user) => user.email },
+    { key: "role", label: "Role", value: (user) => user.role },
+    {
+      key: "department",
+      label: "Department",
+      value: (user) => user.department?.name,
+    },
+    {
+      key: "isHod",
+      label: "Head of Department",
+      value: (user) => (user.isHod ? "Yes" : "No"),
+    },
+    { key: "phone", label: "Phone", value: (user) => user.phone },
+    {
+      key: "joinedAt",
+      label: "Joined",
+      type: "date",
+      value: (user) => user.joinedAt,
+    },
+    {
+      key: "lastLogin",
+      label: "Last Login",
+      type: "datetime",
+      value: (user) => user.lastLogin,
+    },
+  ],
+  activities: [
+    {
+      key: "createdAt",
+      label: "Date",
+      type: "datetime",
+      value: (activity) => activity.createdAt,
+    },
+    {
+      key: "task",
+      label: "Task",
+      value: (activity) => activity.task?.title,
+    },
+    {
+      key: "activityType",
+      label: "Type",
+      value: (activity) => activity.activityType,
+    },
+    {
+      key: "activity",
+      label: "Activity",
+      value: (activity) => activity.activity,
+    },
+    {
+      key: "createdBy",
+      label: "Created By",
+      value: (activity) => getUserName(activity.createdBy),
+    },
+    {
+      key: "department",
+      label: "Department",
+      value: (activity) => activity.department?.name,
+    },
+    {
+      key: "materials",
+      label: "Materials",
+      value: (activity) =>
+        (activity.materials || [])
+          .map(
+            (line) =>
+              `${line.material?.name || "-"} ${line.quantity} ${
+                line.material?.unit || ""
+              }`
+          )
+          .join("; "),
+    },
+  ],
+  auditLogs: [
+    {
+      key: "createdAt",
+      label: "Date",
+      type: "datetime",
+      value: (entry) => entry.createdAt,
+    },
+    {
+      key: "actor",
+      label: "Actor",
+      value: (entry) => getUserName(entry.actor),
+    },
+    {
+      key: "actorRole",
+      label: "Actor Role",
+      value: (entry) => entry.actorRole,
+    },
+    {
+      key: "apiToken",
+      label: "API Token",
+      value: (entry) => entry.apiToken?.name,
+    },
+    { key: "resource", label: "Resource", value: (entry) => entry.resource },
+    {
+      key: "resourceId",
+      label: "Resource ID",
+      value: (entry) => entry.resourceId?.toString(),
+    },
+    {
+      key: "operation",
+      label: "Operation",
+      value: (entry) => entry.operation,
+    },
+    { key: "action", label: "Action", value: (entry) => entry.action },
+    {
+      key: "changes",
+      label: "Changes",
+      value: (entry) =>
+        (entry.changes || [])
+          .map(
+            (change) =>
+              `${change.field}: ${formatAuditValue(
+                change.before
+              )} -> ${formatAuditValue(change.after)}`
+          )
+          .join("; "),
+    },
+    {
+      key: "requestId",
+      label: "Request ID",
+      value: (entry) => entry.requestId,
+    },
+    { key: "ip", label: "IP Address", value: (entry) => entry.ip },
+  ],
+};
+
+/**
+ * Resolve the columns of an export
+ * @param {string} resource - Exported list (key of EXPORT_COLUMNS)
+ * @param {Array<string>} [keys=[]] - Requested column keys (default: all columns)
+ * @returns {Array<Object>} Columns in requested order
+ * @throws {CustomError} If a requested column does not exist
+ */
+export const resolveExportColumns = (resource, keys = []) => {
+  const columns = EXPORT_COLUMNS[resource];
+  if (keys.length === 0) return columns;
+
+  return keys.map((key) => {
+    const column = columns.find((candidate) => candidate.key === key);
+    if (!column) {
+      throw new CustomError(
+        `Unknown column ${key}; available columns: ${columns
+          .map((candidate) => candidate.key)
+          .join(", ")}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+    return column;
+  });
+};
+
+/**
+ * Format the cell value of a column
+ * @param {Object} column - Export column
+ * @param {Object} document - Lean document
+ * @param {Object} settings - Organization settings (timezone, dateFormat)
+ * @returns {string|number} Cell value ("" when not set; numbers stay numbers)
+ */
+const formatCell = (column, document, settings) => {
+  const value = column.value(document);
+  if (value === null || value === undefined || value === "") return "";
+
+  if (column.type === "date" || column.type === "datetime") {
+    const dateFormat = settings.dateFormat || "DD/MM/YYYY";
+    return toTimezone(value, settings.timezone).format(
+      column.type === "datetime" ? `${dateFormat} HH:mm` : dateFormat
+    );
+  }
+  if (column.type === "number") return Number(value);
+  return String(value);
+};
+
+/**
+ * Quote a CSV field when needed
+ * Values starting with a formula character are prefixed with a quote so
+ * spreadsheet programs do not evaluate them
+ * @param {string|number} value - Cell value
+ * @returns {string} CSV field
+ */
+const toCsvField = (value) => {
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Create the row writer of an export format
+ * @param {string} format - Export format (EXPORT_FORMATS)
+ * @param {import('express').Response} res - Express response object
+ * @param {Object} options - Writer options
+ * @param {Array<Object>} options.columns - Export columns
+ * @param {string} options.title - Document title
+ * @param {Object} options.organization - Organization (name, settings)
+ * @returns {{writeRow: (values: Array) => Promise<void>, end: () => Promise<void>}} Row writer
+ */
+const createRowWriter = (format, res, { columns, title, organization }) => {
+  const labels = columns.map((column) => column.label);
+
+  if (format === EXPORT_FORMATS.CSV) {
+    // Wait for the client when the response buffer is full
+    const write = (line) =>
+      res.write(`${line}\r\n`)
+        ? Promise.resolve()
+        : new Promise((resolve) => res.once("drain", resolve));
+
+    // Byte order mark: spreadsheet programs open the file as UTF-8
+    res.write(`\uFEFF${labels.map(toCsvField).join(",")}\r\n`);
+    return {
+      writeRow: (values) => write(values.map(toCsvField).join(",")),
+      end: async () => {
+        res.end();
+      },
+    };
+  }
+
+  if (format === EXPORT_FORMATS.XLSX) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: true,
+    });
+    const worksheet = workbook.addWorksheet(title.slice(0, 31));
+    worksheet.columns = columns.map((column) => ({
+      header: column.label,
+      width: Math.max(column.label.length + 2, 14),
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+    return {
+      writeRow: async (values) => {
+        worksheet.addRow(values).commit();
+      },
+      end: async () => {
+        await worksheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  // PDF: landscape table, header repeated on every page
+  const margin = 40;
+  const rowHeight = 16;
+  const doc = new PDFDocument({
+    size: "A4",
+    layout: "landscape",
+    margin,
+    info: { Title: title, Author: organization.name },
+  });
+  doc.pipe(res);
+
+  const columnWidth = (doc.page.width - margin * 2) / columns.length;
+  let y = margin;
+  const writeCells = (values) => {
+    values.forEach((value, index) => {
+      doc.text(String(value), margin + index * columnWidth, y, {
+        width: columnWidth - 4,
+        height: rowHeight,
+        lineBreak: false,
+        ellipsis: true,
+      });
+    });
+    y += rowHeight;
+  };
+  const writeHeader = () => {
+    doc.font("Helvetica-Bold").fontSize(8);
+    writeCells(labels);
+    doc
+      .moveTo(margin, y - 4)
+      .lineTo(doc.page.width - margin, y - 4)
+      .stroke();
+    doc.font("Helvetica");
+  };
+
+  doc.font("Helvetica-Bold").fontSize(14).text(title, margin, y);
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .text(
+      `${organization.name} | ${toTimezone(
+        new Date(),
+        organization.settings?.timezone
+      ).format(`${organization.settings?.dateFormat || "DD/MM/YYYY"} HH:mm`)}`
+    );
+  y = doc.y + 10;
+  writeHeader();
+
+  return {
+    writeRow: async (values) => {
+      if (y + rowHeight > doc.page.height - margin) {
+        doc.addPage();
+        y = margin;
+        writeHeader();
+      }
+      writeCells(values);
+    },
+    end: async () => {
+      doc.end();
+    },
+  };
+};
+
+/**
+ * Stream a list export to the response
+ * Counts the documents first for PDF (EXPORT_VALIDATION.PDF_MAX_ROWS); after
+ * the first byte is sent, failures end the response instead of an error response
+ *
+ * @param {import('express').Response} res - Express response object
+ * @param {Object} options - Export options
+ * @param {string} options.resource - Exported list (tasks, materials, vendors, users, activities, auditLogs)
+ * @param {string} options.format - Export format (EXPORT_FORMATS)
+ * @param {Array<string>} [options.columns=[]] - Column keys (default: all columns)
+ * @param {import('mongoose').Query} options.query - Filtered, sorted and populated list query
+ * @param {mongoose.Types.ObjectId|string} options.organizationId - Organization of the list
+ * @param {(documents: Array<Object>) => Promise<Array<Object>>} [options.enrichBatch] - Adds
+ *   computed fields to a batch of lean documents (e.g. stock on hand)
+ * @returns {Promise<number>} Number of exported rows
+ * @throws {CustomError} If a column does not exist or the list is too long for PDF
+ */
+export const streamListExport = async (
+  res,
+  { resource, format, columns: keys = [], query, organizationId, enrichBatch }
+) => {
+  const columns = resolveExportColumns(resource, keys);
+
+  if (format === EXPORT_FORMATS.PDF) {
+    // Clone keeps the soft delete options (withDeleted/onlyDeleted)
+    const count = await query.clone().countDocuments();
+    if (count > EXPORT_VALIDATION.PDF_MAX_ROWS) {
+      throw new CustomError(
+        `PDF exports are limited to ${EXPORT_VALIDATION.PDF_MAX_ROWS} rows (${count} found); use csv or xlsx`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+  }
+
+  const organization = await Organization.findById(organizationId)
+    .select("name settings")
+    .lean();
+  const settings = organization?.settings || {};
+  const title = `${resource.charAt(0).toUpperCase()}${resource.slice(1)}`;
+  const filename = `${resource}-${toTimezone(
+    new Date(),
+    settings.timezone
+  ).format("YYYYMMDD-HHmm")}.${format}`;
+
+  res.set({
+    "Content-Type": EXPORT_VALIDATION.CONTENT_TYPES[format],
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+
+  const writer = createRowWriter(format, res, {
+    columns,
+    title,
+    organization: organization || { name: "", settings },
+  });
+  let rowCount = 0;
+
+  const writeBatch = async (batch) => {
+    const documents = enrichBatch ? await enrichBatch(batch) : batch;
+    for (const document of documents) {
+      await writer.writeRow(
+        columns.map((column) => formatCell(column, document, settings))
+      );
+      rowCount += 1;
+    }
+  };
+
+  try {
+    let batch = [];
+    for await (const document of query
+      .lean()
+      .cursor({ batchSize: EXPORT_VALIDATION.BATCH_SIZE })) {
+      batch.push(document);
+      if (batch.length === EXPORT_VALIDATION.BATCH_SIZE) {
+        await writeBatch(batch);
+        batch = [];
+      }
+    }
+    await writeBatch(batch);
+    await writer.end();
+  } catch (error) {
+    // Headers are sent: end the download so the client sees it fail
+    logger.error("List export stream failed", {
+      resource,
+      format,
+      rowCount,
+      error: error.message,
+    });
+    res.destroy(error);
+  }
+
+  return rowCount;
+};
+
+export default {
+  resolveExportColumns,
+  streamListExport,
+};
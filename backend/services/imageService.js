@@ -0,0 +1,128 @@
+import sharp from "sharp";
+import exifReader from "exif-reader";
+import { IMAGE_PROCESSING, THUMBNAIL_SIZES } from "../utils/constants.js";
+
+/**
+ * Image Service
+ * Reads image dimensions and EXIF data and generates thumbnails for image attachments
+ * GPS data is never kept: it is dropped from the captured EXIF data, and the
+ * stored image and its thumbnails are written without any metadata
+ */
+
+// EXIF groups captured (GPSInfo is deliberately left out)
+const EXIF_GROUPS = ["Image", "Photo"];
+
+// Tags not captured: pointers to other EXIF groups and opaque vendor data
+const EXIF_OMITTED_TAGS = [
+  "ExifTag",
+  "GPSTag",
+  "InteroperabilityTag",
+  "MakerNote",
+  "PrintImageMatching",
+  "UserComment",
+];
+
+/**
+ * Check whether thumbnails can be generated for a MIME type
+ * @param {string} mimeType - Verified MIME type
+ * @returns {boolean} True for raster images (IMAGE_PROCESSING.MIME_TYPES)
+ */
+export const isProcessableImage = (mimeType) =>
+  IMAGE_PROCESSING.MIME_TYPES.includes(mimeType);
+
+/**
+ * Check whether an EXIF value can be stored as is
+ * @param {*} value - EXIF value
+ * @returns {boolean} True for strings, finite numbers, dates and arrays of numbers
+ */
+const isStorableExifValue = (value) =>
+  typeof value === "string" ||
+  value instanceof Date ||
+  Number.isFinite(value) ||
+  (Array.isArray(value) && value.every(Number.isFinite));
+
+/**
+ * Parse raw EXIF data into plain tag/value pairs without GPS data
+ * @param {Buffer} [exifBuffer] - Raw EXIF data (from sharp metadata)
+ * @returns {Object|null} EXIF tags, or null if there are none or the data is unreadable
+ */
+const parseExif = (exifBuffer) => {
+  if (!exifBuffer) return null;
+
+  let exif;
+  try {
+    exif = exifReader(exifBuffer);
+  } catch {
+    return null;
+  }
+
+  const tags = {};
+  for (const group of EXIF_GROUPS) {
+    for (const [tag, value] of Object.entries(exif[group] || {})) {
+      if (EXIF_OMITTED_TAGS.includes(tag) || !isStorableExifValue(value)) {
+        continue;
+      }
+      // EXIF strings are often NUL-padded
+      tags[tag] =
+        typeof value === "string" ? value.replace(/\0+$/, "").trim() : value;
+    }
+  }
+
+  return Object.keys(tags).length > 0 ? tags : null;
+};
+
+/**
+ * Read image details, re-encode the image without metadata and generate one
+ * thumbnail per THUMBNAIL_SIZES value
+ * The re-encoded image (same format, ICC profile kept) and the thumbnails follow
+ * the EXIF orientation; thumbnails are never larger than the image
+ * @param {Buffer} content - Image content
+ * @returns {Promise<{content: Buffer, width: number, height: number, exif: Object|null, thumbnails: Array<{size: string, width: number, height: number, content: Buffer}>}>}
+ * @throws {Error} If the image cannot be decoded or exceeds IMAGE_PROCESSING.MAX_PIXELS
+ */
+export const processImage = async (content) => {
+  const options = { limitInputPixels: IMAGE_PROCESSING.MAX_PIXELS };
+  const metadata = await sharp(content, options).metadata();
+
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const isRotated = metadata.orientation >= 5;
+
+  // Image to store: upright, without EXIF (GPS), XMP or IPTC metadata
+  const image = await sharp(content, { ...options, animated: true })
+    .rotate()
+    .keepIccProfile()
+    .toBuffer();
+
+  const thumbnails = [];
+  for (const size of Object.values(THUMBNAIL_SIZES)) {
+    const maxDimension = IMAGE_PROCESSING.THUMBNAIL.MAX_DIMENSIONS[size];
+    const { data, info } = await sharp(content, options)
+      .rotate()
+      .resize(maxDimension, maxDimension, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .webp({ quality: IMAGE_PROCESSING.THUMBNAIL.QUALITY })
+      .toBuffer({ resolveWithObject: true });
+
+    thumbnails.push({
+      size,
+      width: info.width,
+      height: info.height,
+      content: data,
+    });
+  }
+
+  return {
+    content: image,
+    width: isRotated ? metadata.height : metadata.width,
+    height: isRotated ? metadata.width : metadata.height,
+    exif: parseExif(metadata.exif),
+    thumbnails,
+  };
+};
+
+export default {
+  isProcessableImage,
+  processImage,
+};
@@ -0,0 +1,544 @@
+import crypto from "crypto";
+import path from "path";
+import ExcelJS from "exceljs";
+import { validationResult, matchedData } from "express-validator";
+import Department from "../models/Department.js";
+import Material from "../models/Material.js";
+import User from "../models/User.js";
+import Vendor from "../models/Vendor.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { createMaterialValidator } from "../middlewares/validators/materialValidators.js";
+import { createVendorValidator } from "../middlewares/validators/vendorValidators.js";
+import { createUserValidator } from "../middlewares/validators/userValidators.js";
+import { recordMaterialPrice } from "./materialPriceService.js";
+import { sendWelcomeEmail } from "./emailService.js";
+import { recordAuditLogs } from "./auditService.js";
+import { getFrontendUrl, withTransaction } from "../utils/helpers.js";
+import logger from "../utils/logger.js";
+import {
+  IMPORT_RESOURCES,
+  IMPORT_VALIDATION,
+  HTTP_STATUS,
+  ERROR_CODES,
+  AUDIT_OPERATIONS,
+} from "../utils/constants.js";
+
+/**
+ * Import Service
+ * Bulk creates materials, vendors and users from a CSV or XLSX file
+ * Columns are mapped to fields by header (or an explicit mapping) and every
+ * row is checked with the resource's create validator, so imported records
+ * follow the same rules as records created one by one
+ * Valid rows are committed in chunks of IMPORT_VALIDATION.CHUNK_SIZE, one
+ * transaction per chunk; a chunk that fails is rolled back and reported
+ */
+
+/**
+ * Import definition per resource
+ * fields: importable field -> extra header aliases (headers are compared
+ * lower-case without spaces and punctuation; the field name always matches)
+ * uniqueFields: field groups that must be unique within the file
+ */
+const IMPORT_DEFINITIONS = {
+  [IMPORT_RESOURCES.MATERIALS]: {
+    Model: Material,
+    validator: createMaterialValidator,
+    fields: {
+      name: ["material", "materialname"],
+      unit: ["uom", "unitofmeasure"],
+      category: [],
+      price: ["unitprice", "cost"],
+      reorderPoint: [],
+      reorderQuantity: ["reorderqty"],
+      department: ["departmentname"],
+    },
+    requiredFields: ["name", "unit", "category"],
+    uniqueFields: [["department", "name"]],
+  },
+  [IMPORT_RESOURCES.VENDORS]: {
+    Model: Vendor,
+    validator: createVendorValidator,
+    fields: {
+      name: ["vendor", "vendorname"],
+      email: ["emailaddress"],
+      phone: ["phonenumber", "telephone"],
+      address: [],
+      status: [],
+    },
+    requiredFields: ["name", "email", "phone"],
+    uniqueFields: [["name"], ["email"], ["phone"]],
+  },
+  [IMPORT_RESOURCES.USERS]: {
+    Model: User,
+    validator: createUserValidator,
+    fields: {
+      firstName: ["givenname"],
+      lastName: ["surname", "familyname"],
+      email: ["emailaddress"],
+      role: [],
+      department: ["departmentname"],
+      employeeId: ["employeeno", "employeenumber"],
+      phone: ["phonenumber", "telephone"],
+      joinedAt: ["joineddate", "joindate", "startdate"],
+      dateOfBirth: ["dob", "birthdate"],
+    },
+    requiredFields: ["firstName", "lastName", "email", "role", "employeeId"],
+    uniqueFields: [["email"], ["employeeId"]],
+  },
+};
+
+/**
+ * Get the import definition of a resource
+ * @param {string} resource - Import resource (IMPORT_RESOURCES)
+ * @returns {Object} Import definition
+ * @throws {CustomError} If the resource cannot be imported
+ */
+const getImportDefinition = (resource) => {
+  const definition = IMPORT_DEFINITIONS[resource];
+  if (!definition) {
+    throw new CustomError(
+      `Import of ${resource} is not supported`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+  return definition;
+};
+
+/**
+ * Normalize a column header for alias matching
+ * @param {string} header - Column header
+ * @returns {string} Lower-case header without spaces and punctuation
+ */
+const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Get the text of a worksheet cell value
+ * Handles formulas (result), hyperlinks and rich text; dates become ISO strings
+ * @param {*} value - Cell value (ExcelJS)
+ * @returns {string} Trimmed cell text ("" when empty)
+ */
+const getCellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) {
+      return value.richText
+        .map((part) => part.text)
+        .join("")
+        .trim();
+    }
+    if ("result" in value) return getCellText(value.result);
+    if ("text" in value) return getCellText(value.text);
+    return "";
+  }
+  // Byte order mark of CSV files saved by spreadsheet programs
+  return String(value)
+    .replace(/^\uFEFF/, "")
+    .trim();
+};
+
+/**
+ * Read the first worksheet of an uploaded import file
+ * CSV values are kept as text (no number or date conversion), so leading
+ * zeros of employee IDs and phone numbers survive
+ * @param {import('stream').Readable} stream - File stream
+ * @param {{filename: string, mimeType: string}} file - Uploaded file
+ * @returns {Promise<{headers: Array<string>, rows: Array<{row: number, values: Array<string>}>}>}
+ *   Column headers and non-empty rows (row = row number in the file)
+ * @throws {CustomError} If the file type is not supported, the file has no
+ *   header row or too many rows
+ */
+export const parseImportFile = async (stream, { filename, mimeType }) => {
+  const extension = path.extname(filename).toLowerCase();
+  const mimeTypes = IMPORT_VALIDATION.FILE_TYPES[extension];
+  if (!mimeTypes || !mimeTypes.includes(mimeType)) {
+    stream.resume();
+    throw new CustomError(
+      `Import files must be one of: ${Object.keys(
+        IMPORT_VALIDATION.FILE_TYPES
+      ).join(", ")}`,
+      HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  // The stream fails on size or signature errors, which the readers do not report
+  const worksheet = await new Promise((resolve, reject) => {
+    stream.once("error", reject);
+    const workbook = new ExcelJS.Workbook();
+    const reading =
+      extension === ".csv"
+        ? workbook.csv.read(stream, { map: (value) => value })
+        : workbook.xlsx.read(stream).then(() => workbook.worksheets[0]);
+    reading.then(resolve, reject);
+  }).catch((error) => {
+    if (error instanceof CustomError) throw error;
+    throw new CustomError(
+      `Unable to read import file: ${error.message}`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  });
+
+  const headers = [];
+  const rows = [];
+  worksheet?.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    // row.values is 1-based
+    const values = row.values.slice(1).map(getCellText);
+    if (rowNumber === 1) {
+      headers.push(...values);
+    } else if (values.some(Boolean)) {
+      rows.push({ row: rowNumber, values });
+    }
+  });
+
+  if (!headers.some(Boolean)) {
+    throw new CustomError(
+      "Import file must have a header row",
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+  if (rows.length > IMPORT_VALIDATION.MAX_ROWS) {
+    throw new CustomError(
+      `Import file must not exceed ${IMPORT_VALIDATION.MAX_ROWS} rows`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  return { headers, rows };
+};
+
+/**
+ * Map the columns of an import file to resource fields
+ * Explicitly mapped headers take precedence; other headers are matched by
+ * field name or alias, and unmatched ones are ignored
+ * @param {string} resource - Import resource (IMPORT_RESOURCES)
+ * @param {Array<string>} headers - Column headers
+ * @param {Object<string, string>} [mapping={}] - Header -> field mapping
+ * @returns {{columns: Array<{index: number, header: string, field: string}>, ignoredColumns: Array<string>}}
+ *   Mapped and ignored columns
+ * @throws {CustomError} If the mapping is invalid or required fields have no column
+ */
+export const resolveColumnMapping = (resource, headers, mapping = {}) => {
+  const { fields, requiredFields } = getImportDefinition(resource);
+
+  for (const [header, field] of Object.entries(mapping)) {
+    if (!Object.hasOwn(fields, field)) {
+      throw new CustomError(
+        `Cannot map column "${header}" to ${field}; importable fields: ${Object.keys(
+          fields
+        ).join(", ")}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+    if (!headers.includes(header)) {
+      throw new CustomError(
+        `Mapped column "${header}" is not in the import file`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+  }
+
+  const aliases = new Map();
+  for (const [field, fieldAliases] of Object.entries(fields)) {
+    for (const alias of [normalizeHeader(field), ...fieldAliases]) {
+      aliases.set(alias, field);
+    }
+  }
+
+  const columns = [];
+  const ignoredColumns = [];
+  headers.forEach((header, index) => {
+    if (!header) return;
+    const field = Object.hasOwn(mapping, header)
+      ? mapping[header]
+      : aliases.get(normalizeHeader(header));
+
+    if (!field) {
+      ignoredColumns.push(header);
+    } else if (columns.some((column) => column.field === field)) {
+      throw new CustomError(
+        `Columns "${
+          columns.find((column) => column.field === field).header
+        }" and "${header}" are both mapped to ${field}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    } else {
+      columns.push({ index, header, field });
+    }
+  });
+
+  const missingFields = requiredFields.filter(
+    (field) => !columns.some((column) => column.field === field)
+  );
+  if (missingFields.length > 0) {
+    throw new CustomError(
+      `Import file has no column for: ${missingFields.join(", ")}`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  return { columns, ignoredColumns };
+};
+
+/**
+ * Generate a random password for an imported user
+ * Satisfies USER_VALIDATION.PASSWORD in every environment; users choose their
+ * own password through the password reset link of the invitation
+ * @returns {string} Password
+ */
+const generateImportPassword = () =>
+  `${crypto.randomBytes(16).toString("hex")}Aa1@`;
+
+/**
+ * Build the create request body of an import row
+ * Organization and creator are taken from the importing user; departments are
+ * given by name or ID and default to the importing user's department
+ * @param {string} resource - Import resource (IMPORT_RESOURCES)
+ * @param {Object<string, string>} data - Mapped row values (empty cells omitted)
+ * @param {Object} user - Importing user (req.user)
+ * @param {Map<string, string>} departments - Lower-case name and ID -> department ID
+ * @returns {{body: Object, errors: Array<{field: string, message: string, value: *}>}}
+ *   Request body and errors of values that cannot be resolved
+ */
+const buildRowBody = (resource, data, user, departments) => {
+  const body = { ...data, organization: user.organization._id.toString() };
+  const errors = [];
+
+  if (resource !== IMPORT_RESOURCES.VENDORS) {
+    body.department = user.department._id.toString();
+    if (data.department) {
+      const departmentId = departments.get(data.department.toLowerCase());
+      if (departmentId) {
+        body.department = departmentId;
+      } else {
+        errors.push({
+          field: "department",
+          message: `Department "${data.department}" not found`,
+          value: data.department,
+        });
+      }
+    }
+  }
+
+  if (resource === IMPORT_RESOURCES.USERS) {
+    body.password = generateImportPassword();
+  } else {
+    body.createdBy = user.userId.toString();
+  }
+
+  return { body, errors };
+};
+
+/**
+ * Validate the rows of an import file
+ * Runs the resource's create validator on each row and checks that unique
+ * fields are not repeated within the file
+ * @param {string} resource - Import resource (IMPORT_RESOURCES)
+ * @param {Array<{row: number, values: Array<string>}>} rows - File rows
+ * @param {Array<{index: number, field: string}>} columns - Mapped columns
+ * @param {Object} user - Importing user (req.user)
+ * @returns {Promise<{records: Array<{row: number, data: Object}>, errors: Array<{row: number, field: string, message: string, value: *}>}>}
+ *   Validated records (create data) and row-level errors
+ */
+export const validateImportRows = async (resource, rows, columns, user) => {
+  const { validator, uniqueFields } = getImportDefinition(resource);
+
+  const departments = new Map();
+  if (resource !== IMPORT_RESOURCES.VENDORS) {
+    const organizationDepartments = await Department.find({
+      organization: user.organization._id,
+    })
+      .select("name")
+      .lean();
+    for (const department of organizationDepartments) {
+      departments.set(department.name.toLowerCase(), department._id.toString());
+      departments.set(department._id.toString(), department._id.toString());
+    }
+  }
+
+  const records = [];
+  const errors = [];
+  // Unique key -> first row using it
+  const seenKeys = new Map();
+
+  for (const { row, values } of rows) {
+    const data = {};
+    for (const { index, field } of columns) {
+      if (values[index]) data[field] = values[index];
+    }
+
+    const { body, errors: rowErrors } = buildRowBody(
+      resource,
+      data,
+      user,
+      departments
+    );
+
+    // Same validation as the create endpoint (express-validator on the row)
+    const rowRequest = { body, user, params: {}, query: {}, headers: {} };
+    for (const chain of validator) {
+      await chain.run(rowRequest);
+    }
+    for (const error of validationResult(rowRequest).array()) {
+      rowErrors.push({
+        field: error.path,
+        message: error.msg,
+        value: error.path === "password" ? undefined : error.value,
+      });
+    }
+    const validated = matchedData(rowRequest, { locations: ["body"] });
+
+    for (const fieldGroup of uniqueFields) {
+      if (fieldGroup.some((field) => !validated[field])) continue;
+      const key = `${fieldGroup.join("+")}:${fieldGroup
+        .map((field) => String(validated[field]).toLowerCase())
+        .join("|")}`;
+      const field = fieldGroup[fieldGroup.length - 1];
+      if (seenKeys.has(key)) {
+        rowErrors.push({
+          field,
+          message: `Duplicate ${field} (same as row ${seenKeys.get(key)})`,
+          value: validated[field],
+        });
+      } else {
+        seenKeys.set(key, row);
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors.map((error) => ({ row, ...error })));
+    } else {
+      records.push({ row, data: validated });
+    }
+  }
+
+  return { records, errors };
+};
+
+/**
+ * Create the records of an import
+ * Records are saved in chunks of IMPORT_VALIDATION.CHUNK_SIZE, each in its own
+ * transaction; when a chunk fails its rows are reported and the import
+ * continues with the next chunk. Materials get their opening price entry and
+ * every created record is recorded in the audit trail with its chunk.
+ * @param {string} resource - Import resource (IMPORT_RESOURCES)
+ * @param {Array<{row: number, data: Object}>} records - Validated records
+ * @param {import('express').Request} req - Import request (importing user in req.user)
+ * @returns {Promise<{created: Array<mongoose.Document>, failedRows: Array<{row: number, message: string}>}>}
+ *   Created documents and rows of failed chunks
+ */
+export const commitImportRecords = async (resource, records, req) => {
+  const { Model } = getImportDefinition(resource);
+  const created = [];
+  const failedRows = [];
+
+  for (
+    let start = 0;
+    start < records.length;
+    start += IMPORT_VALIDATION.CHUNK_SIZE
+  ) {
+    const chunk = records.slice(start, start + IMPORT_VALIDATION.CHUNK_SIZE);
+    try {
+      const documents = await withTransaction(async (session) => {
+        const saved = [];
+        for (const { data } of chunk) {
+          const document = new Model(data);
+          await document.save({ session });
+          if (resource === IMPORT_RESOURCES.MATERIALS) {
+            await recordMaterialPrice(
+              document,
+              { price: document.price, recordedBy: req.user.userId },
+              { session }
+            );
+          }
+          saved.push(document);
+        }
+        await recordAuditLogs(
+          req,
+          saved.map((document) => ({
+            operation: AUDIT_OPERATIONS.CREATE,
+            document,
+          })),
+          { session }
+        );
+        return saved;
+      }, logger);
+      created.push(...documents);
+    } catch (error) {
+      logger.error("Import chunk failed", {
+        resource,
+        rows: chunk.map(({ row }) => row),
+        error: error.message,
+      });
+      failedRows.push(
+        ...chunk.map(({ row }) => ({ row, message: error.message }))
+      );
+    }
+  }
+
+  return { created, failedRows };
+};
+
+/**
+ * Send welcome invitations to imported users
+ * The invitation links to the password reset page, where users replace the
+ * generated password; failures are logged and do not fail the import
+ * @param {Array<mongoose.Document>} users - Imported users
+ * @param {Object} organization - Organization (name)
+ * @returns {Promise<number>} Number of invitations queued
+ */
+export const sendImportInvitations = async (users, organization) => {
+  const loginUrl = `${getFrontendUrl()}/forgot-password`;
+  let sentCount = 0;
+
+  for (const user of users) {
+    try {
+      const result = await sendWelcomeEmail(
+        user.email,
+        `${user.firstName} ${user.lastName}`,
+        organization.name,
+        loginUrl,
+        {
+          organization: user.organization,
+          idempotencyKey: `welcome:${user._id}`,
+        }
+      );
+      if (result.success) {
+        sentCount += 1;
+      } else {
+        logger.error("Failed to send import invitation", {
+          userId: user._id,
+          email: user.email,
+          error: result.error,
+        });
+      }
+    } catch (error) {
+      logger.error("Import invitation sending failed", {
+        userId: user._id,
+        email: user.email,
+        error: error.message,
+      });
+    }
+  }
+
+  return sentCount;
+};
+
+export default {
+  parseImportFile,
+  resolveColumnMapping,
+  validateImportRows,
+  commitImportRecords,
+  sendImportInvitations,
+};
@@ -0,0 +1,163 @@
+import MaterialPrice from "../models/MaterialPrice.js";
+import Organization from "../models/Organization.js";
+import { toTimezone } from "../utils/helpers.js";
+import { getPriceEffectiveAt } from "../utils/modelHelpers.js";
+import {
+  COST_VALIDATION,
+  MATERIAL_PRICE_SOURCES,
+  MATERIAL_PRICE_VALIDATION,
+} from "../utils/constants.js";
+
+/**
+ * Material Price Service
+ * Keeps the append-only price history of materials (MaterialPrice) and the
+ * current price on the material (Material.price = price effective now)
+ * Prices may be backdated; a later effective entry keeps the current price
+ */
+
+/**
+ * Round an amount to COST_VALIDATION.PRECISION decimal places
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+const roundPrice = (value) => Number(value.toFixed(COST_VALIDATION.PRECISION));
+
+/**
+ * Record a price of a material
+ * Sets Material.price when the entry is the latest effective one; the caller
+ * saves the material
+ * @param {mongoose.Document} material - Material document
+ * @param {Object} entry - Price entry
+ * @param {number} entry.price - Price
+ * @param {Date} [entry.effectiveFrom=new Date()] - Date from which the price applies
+ * @param {mongoose.Types.ObjectId|string|null} [entry.vendor=null] - Vendor supplying the price
+ * @param {string} [entry.source=MATERIAL_PRICE_SOURCES.MANUAL] - Price source
+ * @param {string} [entry.note=""] - Note
+ * @param {mongoose.Types.ObjectId|string|null} [entry.recordedBy=null] - User recording the price
+ * @param {Object} [options] - Options
+ * @param {mongoose.ClientSession} [options.session=null] - MongoDB session
+ * @returns {Promise<mongoose.Document>} Created price entry
+ */
+export const recordMaterialPrice = async (
+  material,
+  {
+    price,
+    effectiveFrom = new Date(),
+    vendor = null,
+    source = MATERIAL_PRICE_SOURCES.MANUAL,
+    note = "",
+    recordedBy = null,
+  },
+  { session = null } = {}
+) => {
+  const laterEntry = await MaterialPrice.exists({
+    material: material._id,
+    effectiveFrom: { $gt: effectiveFrom },
+  }).session(session);
+
+  const [entry] = await MaterialPrice.create(
+    [
+      {
+        organization: material.organization._id || material.organization,
+        material: material._id,
+        price,
+        effectiveFrom,
+        vendor,
+        source,
+        note,
+        recordedBy,
+      },
+    ],
+    { session }
+  );
+
+  if (!laterEntry) {
+    material.price = price;
+  }
+
+  return entry;
+};
+
+/**
+ * Build the price trend of a material
+ * @param {Object} material - Material (_id, name, unit, price, organization, quotes)
+ * @param {Object} [options] - Options
+ * @param {number} [options.months=MATERIAL_PRICE_VALIDATION.TREND_MONTHS.DEFAULT] - Months in the trend
+ * @returns {Promise<Object>} Period, price history, chart points, summary and quotes
+ */
+export const buildMaterialPriceTrend = async (
+  material,
+  { months = MATERIAL_PRICE_VALIDATION.TREND_MONTHS.DEFAULT } = {}
+) => {
+  const organization = await Organization.findById(
+    material.organization._id || material.organization
+  )
+    .select("settings.timezone")
+    .lean();
+  const timezone = organization?.settings?.timezone;
+
+  const now = new Date();
+  const from = toTimezone(now, timezone)
+    .subtract(months, "month")
+    .startOf("day")
+    .toDate();
+
+  const history = await MaterialPrice.find({ material: material._id })
+    .populate("vendor", "name")
+    .populate("recordedBy", "firstName lastName")
+    .sort({ effectiveFrom: 1, createdAt: 1 })
+    .lean();
+
+  // Step points: the price at the start of the period, every change within
+  // the period and the current price
+  const points = [];
+  const startPrice = getPriceEffectiveAt(history, from);
+  if (startPrice !== null) {
+    points.push({ date: from, price: startPrice });
+  }
+  history
+    .filter((entry) => entry.effectiveFrom > from)
+    .forEach((entry) => {
+      points.push({
+        date: entry.effectiveFrom,
+        price: entry.price,
+        vendor: entry.vendor,
+      });
+    });
+  const current = getPriceEffectiveAt(history, now) ?? material.price ?? 0;
+  points.push({ date: now, price: current });
+
+  const prices = points.map((point) => point.price);
+  const first = prices[0];
+
+  return {
+    material: {
+      _id: material._id,
+      name: material.name,
+      unit: material.unit,
+      price: material.price,
+    },
+    from,
+    to: now,
+    history: history.filter((entry) => entry.effectiveFrom > from).reverse(),
+    points,
+    summary: {
+      current,
+      min: Math.min(...prices),
+      max: Math.max(...prices),
+      changePercent:
+        first > 0 ? roundPrice(((current - first) / first) * 100) : null,
+    },
+    quotes: (material.quotes || [])
+      .map((quote) => ({
+        ...quote,
+        isExpired: Boolean(quote.validUntil && quote.validUntil < now),
+      }))
+      .sort((a, b) => a.unitPrice - b.unitPrice),
+  };
+};
+
+export default {
+  recordMaterialPrice,
+  buildMaterialPriceTrend,
+};
@@ -1,15 +1,26 @@
 import mongoose from "mongoose";
 import Notification from "../models/Notification.js";
+import NotificationPreference from "../models/NotificationPreference.js";
+import Organization from "../models/Organization.js";
 import User from "../models/User.js";
 import logger from "../utils/logger.js";
-import { NOTIFICATION_TYPES, SOCKET_EVENTS } from "../utils/constants.js";
-import { getSocketIO } from "../utils/socketInstance.js";
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+} from "../utils/constants.js";
+import { truncate, getFrontendUrl, toTimezone } from "../utils/helpers.js";
+import { emitNotificationCreated } from "../utils/socketEmitter.js";
+import { sendNotificationEmail } from "./emailService.js";
 
 /**
  * Notification Service
  * Handles notification creation for task assignments, task updates, comments, mentions, and system alerts
- * Validates recipients belong to same organization and department
- * Emits Socket.IO events for real-time notifications
+ * Validates recipients belong to same organization
+ * Skips recipients who turned the notification type off or muted the related task
+ * Creates one notification per recipient department (notifications are department scoped)
+ * Delivers via Socket.IO (IN_APP) and email (EMAIL) per recipient preferences; delivery
+ * during quiet hours is deferred until they end
+ * When a session is provided, delivery is left to the caller after the transaction commits
  *
  * Requirements: 48.4, 48.5, 48.6, 48.7, 48.8
  */
@@ -22,28 +33,23 @@ import { getSocketIO } from "../utils/socketInstance.js";
 const LOG_MESSAGES = {
   VALIDATION_FAILED: "Recipient validation failed",
   NO_RECIPIENTS: "No recipients after filtering",
+  DELIVERY_FAILED: "Failed to deliver notifications",
   NOTIFICATION_CREATED: "Notification created successfully",
   NOTIFICATION_FAILED: "Failed to create notification",
-  SOCKET_EMIT_SUCCESS: "Notification emitted via Socket.IO",
-  SOCKET_EMIT_FAILED: "Failed to emit notification via Socket.IO",
-  SOCKET_UNAVAILABLE:
-    "Socket.IO instance not available, skipping real-time emit",
 };
 
 /**
- * Validate recipients belong to same organization and department
+ * Validate recipients belong to same organization and group them by department
  * @private
  * @param {Array<mongoose.Types.ObjectId>} recipientIds - Array of recipient user IDs
  * @param {mongoose.Types.ObjectId} organizationId - Organization ID
- * @param {mongoose.Types.ObjectId} departmentId - Department ID
  * @param {mongoose.ClientSession} [session=null] - MongoDB session
- * @returns {Promise<{valid: boolean, invalidRecipients: Array<mongoose.Types.ObjectId>, message: string}>} Validation result
+ * @returns {Promise<{valid: boolean, invalidRecipients: Array<mongoose.Types.ObjectId>, recipientsByDepartment: Map<string, Array<mongoose.Types.ObjectId>>, message: string}>} Validation result
  * @throws {Error} If database query fails
  */
 const validateRecipients = async (
   recipientIds,
   organizationId,
-  departmentId,
   session = null
 ) => {
   try {
@@ -90,21 +96,20 @@ const validateRecipients = async (
       };
     }
 
-    // Check if all recipients belong to same department
-    const invalidDeptRecipients = recipients.filter(
-      (r) => r.department.toString() !== departmentId.toString()
-    );
-    if (invalidDeptRecipients.length > 0) {
-      return {
-        valid: false,
-        invalidRecipients: invalidDeptRecipients.map((r) => r._id),
-        message: "All recipients must belong to the same department",
-      };
-    }
+    // Group recipients by department
+    const recipientsByDepartment = new Map();
+    recipients.forEach((r) => {
+      const departmentKey = r.department.toString();
+      if (!recipientsByDepartment.has(departmentKey)) {
+        recipientsByDepartment.set(departmentKey, []);
+      }
+      recipientsByDepartment.get(departmentKey).push(r._id);
+    });
 
     return {
       valid: true,
       invalidRecipients: [],
+      recipientsByDepartment,
       message: "All recipients are valid",
     };
   } catch (error) {
@@ -113,7 +118,6 @@ const validateRecipients = async (
       stack: error.stack,
       recipientIds,
       organizationId,
-      departmentId,
     });
 
     return {
@@ -124,52 +128,10 @@ const validateRecipients = async (
   }
 };
 
-/**
- * Emit Socket.IO event for real-time notification
- * @private
- * @param {Object} notification - Notification document
- * @returns {boolean} True if emission successful, false otherwise
- */
-const emitNotificationEvent = (notification) => {
-  try {
-    const io = getSocketIO();
-
-    if (!io) {
-      logger.warn(LOG_MESSAGES.SOCKET_UNAVAILABLE, {
-        notificationId: notification._id,
-      });
-      return false;
-    }
-
-    // Emit to each recipient's room
-    notification.recipients.forEach((recipientId) => {
-      const room = `user:${recipientId.toString()}`;
-      io.to(room).emit(SOCKET_EVENTS.NOTIFICATION_CREATED, {
-        notification: notification.toObject(),
-      });
-
-      logger.info(LOG_MESSAGES.SOCKET_EMIT_SUCCESS, {
-        notificationId: notification._id,
-        recipientId,
-        room,
-        type: notification.type,
-      });
-    });
-
-    return true;
-  } catch (error) {
-    logger.error(LOG_MESSAGES.SOCKET_EMIT_FAILED, {
-      error: error.message,
-      stack: error.stack,
-      notificationId: notification._id,
-    });
-    return false;
-  }
-};
-
 /**
  * Generic notification creation helper
- * Handles validation, creation, and Socket.IO emission
+ * Handles validation, recipient preferences, creation (one notification per recipient department), and delivery
+ * Delivers immediately only when no session is provided; transactional callers deliver after commit
  * @private
  * @param {Object} params - Notification parameters
  * @param {string} params.title - Notification title
@@ -177,12 +139,13 @@ const emitNotificationEvent = (notification) => {
  * @param {string} params.type - Notification type from NOTIFICATION_TYPES
  * @param {Array<mongoose.Types.ObjectId>} params.recipientIds - Array of recipient user IDs
  * @param {mongoose.Types.ObjectId} params.organizationId - Organization ID
- * @param {mongoose.Types.ObjectId} params.departmentId - Department ID
+ * @param {mongoose.Types.ObjectId} params.departmentId - Department ID of the originating entity
  * @param {mongoose.Types.ObjectId} [params.entityId=null] - Entity ID (Task, TaskActivity, TaskComment)
  * @param {string} [params.entityModel=null] - Entity model name
  * @param {mongoose.Types.ObjectId} [params.actorId=null] - User who triggered the action (to filter out)
+ * @param {mongoose.Types.ObjectId} [params.taskId=null] - Related task for per-task mute (defaults to entityId for Task entities)
  * @param {mongoose.ClientSession} [params.session=null] - MongoDB session
- * @returns {Promise<{success: boolean, notification: Object|null, error: string|null}>} Creation result
+ * @returns {Promise<{success: boolean, notification: Object|null, notifications: Array<Object>, error: string|null}>} Creation result
  */
 const createNotificationWithValidation = async ({
   title,
@@ -194,25 +157,30 @@ const createNotificationWithValidation = async ({
   entityId = null,
   entityModel = null,
   actorId = null,
+  taskId = null,
   session = null,
 }) => {
   try {
-    // Filter out actor if provided (don't notify the person who triggered the action)
-    const filteredRecipientIds = actorId
-      ? recipientIds.filter((id) => id.toString() !== actorId.toString())
-      : recipientIds;
+    // Filter out actor and duplicates (don't notify the person who triggered the action)
+    const filteredRecipientIds = [
+      ...new Set(recipientIds.filter(Boolean).map((id) => id.toString())),
+    ].filter((id) => !actorId || id !== actorId.toString());
 
     // Skip if no recipients after filtering
     if (filteredRecipientIds.length === 0) {
       logger.info(LOG_MESSAGES.NO_RECIPIENTS, { type, actorId });
-      return { success: true, notification: null, error: null };
+      return {
+        success: true,
+        notification: null,
+        notifications: [],
+        error: null,
+      };
     }
 
     // Validate recipients
     const validation = await validateRecipients(
       filteredRecipientIds,
       organizationId,
-      departmentId,
       session
     );
 
@@ -222,46 +190,312 @@ const createNotificationWithValidation = async ({
         invalidRecipients: validation.invalidRecipients,
         message: validation.message,
       });
-      return { success: false, notification: null, error: validation.message };
+      return {
+        success: false,
+        notification: null,
+        notifications: [],
+        error: validation.message,
+      };
     }
 
-    // Create notification
-    const notification = await Notification.create(
-      [
-        {
-          title,
-          message,
-          type,
-          recipients: filteredRecipientIds,
-          entity: entityId,
-          entityModel,
-          organization: organizationId,
-          department: departmentId,
-        },
-      ],
-      { session }
+    // Skip recipients who turned this type off or muted the related task
+    const relatedTaskId = taskId || (entityModel === "Task" ? entityId : null);
+    const preferencesByUser = await NotificationPreference.getForUsers(
+      filteredRecipientIds,
+      session
+    );
+    const recipientsByDepartment = new Map();
+    validation.recipientsByDepartment.forEach((ids, recipientDepartmentId) => {
+      const subscribedIds = ids.filter(
+        (id) =>
+          NotificationPreference.resolveChannels(
+            preferencesByUser.get(id.toString()),
+            type,
+            relatedTaskId
+          ).length > 0
+      );
+      if (subscribedIds.length > 0) {
+        recipientsByDepartment.set(recipientDepartmentId, subscribedIds);
+      }
+    });
+
+    if (recipientsByDepartment.size === 0) {
+      logger.info(LOG_MESSAGES.NO_RECIPIENTS, {
+        type,
+        actorId,
+        reason: "preferences",
+      });
+      return {
+        success: true,
+        notification: null,
+        notifications: [],
+        error: null,
+      };
+    }
+
+    // Create one notification per recipient department (originating department first)
+    const originDepartmentId = departmentId.toString();
+    const departmentIds = [...recipientsByDepartment.keys()].sort(
+      (a, b) => (b === originDepartmentId) - (a === originDepartmentId)
+    );
+    const notifications = await Notification.create(
+      departmentIds.map((recipientDepartmentId) => ({
+        title,
+        message,
+        type,
+        recipients: recipientsByDepartment.get(recipientDepartmentId),
+        entity: entityId,
+        entityModel,
+        organization: organizationId,
+        department: recipientDepartmentId,
+      })),
+      { session, ordered: true }
     );
 
     logger.info(LOG_MESSAGES.NOTIFICATION_CREATED, {
-      notificationId: notification[0]._id,
+      notificationIds: notifications.map((n) => n._id),
       type,
       recipientCount: filteredRecipientIds.length,
     });
 
-    // Emit Socket.IO event
-    emitNotificationEvent(notification[0]);
+    // Deliver (transactional callers deliver after commit)
+    if (!session) {
+      deliverCreatedNotifications(notifications);
+    }
 
-    return { success: true, notification: notification[0], error: null };
+    return {
+      success: true,
+      notification: notifications[0],
+      notifications,
+      error: null,
+    };
   } catch (error) {
     logger.error(LOG_MESSAGES.NOTIFICATION_FAILED, {
       error: error.message,
       stack: error.stack,
       type,
     });
-    return { success: false, notification: null, error: error.message };
+    return {
+      success: false,
+      notification: null,
+      notifications: [],
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Check whether quiet hours are active at a given time
+ * Start/end are HH:mm in the organization timezone; windows may span midnight
+ * @private
+ * @param {Object} quietHours - Quiet hours preference (enabled, start, end)
+ * @param {string} timezone - Organization timezone
+ * @param {Date} [date=new Date()] - Time to check
+ * @returns {boolean} True if notifications should be held back
+ */
+const isWithinQuietHours = (quietHours, timezone, date = new Date()) => {
+  if (!quietHours?.enabled || quietHours.start === quietHours.end) return false;
+
+  const currentTime = toTimezone(date, timezone).format("HH:mm");
+  const { start, end } = quietHours;
+
+  return start < end
+    ? currentTime >= start && currentTime < end
+    : currentTime >= start || currentTime < end;
+};
+
+/**
+ * Get the end of the quiet hours active at a given time
+ * @private
+ * @param {Object} quietHours - Quiet hours preference (enabled, start, end)
+ * @param {string} timezone - Organization timezone
+ * @param {Date} [date=new Date()] - Time to check
+ * @returns {Date|null} When quiet hours end, or null if they are not active
+ */
+const getQuietHoursEnd = (quietHours, timezone, date = new Date()) => {
+  if (!isWithinQuietHours(quietHours, timezone, date)) return null;
+
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+  };
+  const localDate = toTimezone(date, timezone).startOf("minute");
+  const currentMinutes = toMinutes(localDate.format("HH:mm"));
+  const minutesLeft =
+    (toMinutes(quietHours.end) - currentMinutes + 24 * 60) % (24 * 60);
+
+  return localDate.add(minutesLeft, "minute").toDate();
+};
+
+/**
+ * Build the link included in notification emails
+ * @private
+ * @param {Object} notification - Notification document
+ * @returns {string} Frontend URL for the notification
+ */
+const getNotificationUrl = (notification) => {
+  const frontendUrl = getFrontendUrl();
+  return notification.entityModel === "Task" && notification.entity
+    ? `${frontendUrl}/dashboard/tasks/${notification.entity}`
+    : `${frontendUrl}/dashboard`;
+};
+
+/**
+ * Deliver created notifications according to each recipient's preferences
+ * IN_APP recipients get notification:created via Socket.IO, EMAIL recipients get an email
+ * During quiet hours, the email is queued for when they end and the push is recorded on
+ * the recipient state (pushAt) for deliverDeferredNotifications
+ * DIGEST recipients are left to the digest job
+ * Call after the transaction that created them commits; never throws
+ * @param {Array<Object>} notifications - Notification documents
+ * @returns {Promise<void>}
+ */
+export const deliverCreatedNotifications = async (notifications) => {
+  if (notifications.length === 0) return;
+
+  try {
+    const recipientIds = [
+      ...new Set(
+        notifications.flatMap((n) => n.recipients.map((id) => id.toString()))
+      ),
+    ];
+    const organizationIds = [
+      ...new Set(notifications.map((n) => n.organization.toString())),
+    ];
+
+    const [preferencesByUser, recipients, organizations] = await Promise.all([
+      NotificationPreference.getForUsers(recipientIds),
+      User.find({ _id: { $in: recipientIds } })
+        .select("firstName lastName email")
+        .lean(),
+      Organization.find({ _id: { $in: organizationIds } })
+        .select("settings.timezone")
+        .lean(),
+    ]);
+    const recipientsById = new Map(
+      recipients.map((r) => [r._id.toString(), r])
+    );
+    const timezoneByOrganization = new Map(
+      organizations.map((o) => [o._id.toString(), o.settings?.timezone])
+    );
+    const now = new Date();
+    const emails = [];
+    const deferredPushes = [];
+
+    notifications.forEach((notification) => {
+      const timezone = timezoneByOrganization.get(
+        notification.organization.toString()
+      );
+      const pushRecipientIds = [];
+
+      notification.recipients.forEach((recipientId) => {
+        const preferences = preferencesByUser.get(recipientId.toString());
+        const deliverAt = getQuietHoursEnd(
+          preferences.quietHours,
+          timezone,
+          now
+        );
+
+        const channels = NotificationPreference.resolveChannels(
+          preferences,
+          notification.type
+        );
+        if (channels.includes(NOTIFICATION_CHANNELS.IN_APP)) {
+          if (deliverAt) {
+            deferredPushes.push({
+              updateOne: {
+                filter: {
+                  _id: notification._id,
+                  "recipientStates.user": recipientId,
+                },
+                update: { $set: { "recipientStates.$.pushAt": deliverAt } },
+              },
+            });
+          } else {
+            pushRecipientIds.push(recipientId);
+          }
+        }
+
+        const recipient = recipientsById.get(recipientId.toString());
+        if (channels.includes(NOTIFICATION_CHANNELS.EMAIL) && recipient) {
+          emails.push(
+            sendNotificationEmail(
+              recipient.email,
+              `${recipient.firstName} ${recipient.lastName}`,
+              notification,
+              getNotificationUrl(notification),
+              {
+                organization: notification.organization,
+                idempotencyKey: `notification:${notification._id}:${recipientId}`,
+                ...(deliverAt && { nextAttemptAt: deliverAt }),
+              }
+            )
+          );
+        }
+      });
+
+      if (pushRecipientIds.length > 0) {
+        emitNotificationCreated(notification, pushRecipientIds);
+      }
+    });
+
+    if (deferredPushes.length > 0) {
+      await Notification.bulkWrite(deferredPushes);
+    }
+
+    const results = await Promise.all(emails);
+    const failedCount = results.filter((result) => !result.success).length;
+    if (failedCount > 0) {
+      logger.error(LOG_MESSAGES.DELIVERY_FAILED, {
+        channel: NOTIFICATION_CHANNELS.EMAIL,
+        failedCount,
+        totalCount: results.length,
+      });
+    }
+  } catch (error) {
+    logger.error(LOG_MESSAGES.DELIVERY_FAILED, {
+      error: error.message,
+      stack: error.stack,
+      notificationIds: notifications.map((n) => n._id),
+    });
   }
 };
 
+/**
+ * Push the in-app notifications deferred by quiet hours that are now due
+ * Recipients who read or archived the notification in the meantime are not pushed
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<{pushedCount: number}>} Number of recipients pushed
+ */
+export const deliverDeferredNotifications = async (now = new Date()) => {
+  const notifications = await Notification.find({
+    recipientStates: { $elemMatch: { pushAt: { $lte: now } } },
+  });
+
+  let pushedCount = 0;
+  for (const notification of notifications) {
+    const dueStates = notification.recipientStates.filter(
+      (state) => state.pushAt && state.pushAt <= now
+    );
+
+    await Notification.updateOne(
+      { _id: notification._id },
+      { $set: { "recipientStates.$[state].pushAt": null } },
+      { arrayFilters: [{ "state.pushAt": { $lte: now } }] }
+    );
+
+    const recipientIds = dueStates
+      .filter((state) => !state.readAt && !state.archivedAt)
+      .map((state) => state.user);
+    if (recipientIds.length > 0) {
+      emitNotificationCreated(notification, recipientIds);
+      pushedCount += recipientIds.length;
+    }
+  }
+
+  return { pushedCount };
+};
+
 /**
  * Create notification for task assignment (Requirement 48.4)
  * @param {Object} params - Notification parameters
@@ -370,6 +604,7 @@ export const createTaskUpdateNotification = async ({
  * @param {string} params.commentPreview - Preview of comment content (first 100 chars)
  * @param {mongoose.Types.ObjectId} params.organizationId - Organization ID
  * @param {mongoose.Types.ObjectId} params.departmentId - Department ID
+ * @param {mongoose.Types.ObjectId} [params.taskId=null] - Task the comment thread belongs to (for per-task mute)
  * @param {mongoose.ClientSession} [params.session=null] - MongoDB session
  * @returns {Promise<{success: boolean, notification: Object|null, error: string|null}>} Creation result
  */
@@ -384,6 +619,7 @@ export const createCommentNotification = async ({
   commentPreview,
   organizationId,
   departmentId,
+  taskId = null,
   session = null,
 }) => {
   logger.info("Creating comment notification", {
@@ -406,6 +642,7 @@ export const createCommentNotification = async ({
     entityId: commentId,
     entityModel: "TaskComment",
     actorId: commentedBy,
+    taskId,
     session,
   });
 };
@@ -422,6 +659,7 @@ export const createCommentNotification = async ({
  * @param {string} params.contextPreview - Preview of context where mention occurred
  * @param {mongoose.Types.ObjectId} params.organizationId - Organization ID
  * @param {mongoose.Types.ObjectId} params.departmentId - Department ID
+ * @param {mongoose.Types.ObjectId} [params.taskId=null] - Related task (for per-task mute)
  * @param {mongoose.ClientSession} [params.session=null] - MongoDB session
  * @returns {Promise<{success: boolean, notification: Object|null, error: string|null}>} Creation result
  */
@@ -435,6 +673,7 @@ export const createMentionNotification = async ({
   contextPreview,
   organizationId,
   departmentId,
+  taskId = null,
   session = null,
 }) => {
   logger.info("Creating mention notification", {
@@ -456,6 +695,7 @@ export const createMentionNotification = async ({
     entityId,
     entityModel,
     actorId: mentionedBy,
+    taskId,
     session,
   });
 };
@@ -506,10 +746,124 @@ export const createSystemAlertNotification = async ({
   });
 };
 
+/**
+ * Describe updated task fields for notification messages
+ * @private
+ * @param {Object} task - Task document (after update)
+ * @param {Array<string>} updatedFields - Names of updated fields
+ * @returns {string} Human readable update description
+ */
+const describeTaskUpdate = (task, updatedFields) => {
+  return updatedFields
+    .map((field) =>
+      ["status", "priority"].includes(field)
+        ? `${field} changed to ${task[field]}`
+        : `${field} updated`
+    )
+    .join(", ");
+};
+
+/**
+ * Create notifications for task creation or update
+ * New assignees receive an assignment notification, new watchers are told they watch the task,
+ * and existing participants (creator, assignees, watchers) receive an update notification
+ * @param {Object} params - Notification parameters
+ * @param {Object} params.task - Task document (after create/update)
+ * @param {Array<mongoose.Types.ObjectId>} [params.previousAssigneeIds=[]] - Assignees before the change
+ * @param {Array<mongoose.Types.ObjectId>} [params.previousWatcherIds=[]] - Watchers before the change
+ * @param {Array<string>} [params.updatedFields=[]] - Updated field names (empty on creation)
+ * @param {mongoose.Types.ObjectId} params.actorId - User who created/updated the task
+ * @param {string} params.actorName - Name of user who created/updated the task
+ * @param {mongoose.ClientSession} [params.session=null] - MongoDB session
+ * @returns {Promise<Array<Object>>} Created notifications
+ */
+export const createTaskChangeNotifications = async ({
+  task,
+  previousAssigneeIds = [],
+  previousWatcherIds = [],
+  updatedFields = [],
+  actorId,
+  actorName,
+  session = null,
+}) => {
+  const taskTitle = task.title || truncate(task.description, 50);
+  const previousAssignees = previousAssigneeIds.map((id) => id.toString());
+  const previousWatchers = previousWatcherIds.map((id) => id.toString());
+  const assigneeIds = (task.assignees || []).map((id) => id.toString());
+  const watcherIds = (task.watchers || []).map((id) => id.toString());
+
+  const addedAssigneeIds = assigneeIds.filter(
+    (id) => !previousAssignees.includes(id)
+  );
+  const addedWatcherIds = watcherIds.filter(
+    (id) => !previousWatchers.includes(id) && !addedAssigneeIds.includes(id)
+  );
+  const results = [];
+
+  if (addedAssigneeIds.length > 0) {
+    results.push(
+      await createTaskAssignmentNotification({
+        taskId: task._id,
+        taskTitle,
+        assigneeIds: addedAssigneeIds,
+        assignedBy: actorId,
+        assignedByName: actorName,
+        organizationId: task.organization,
+        departmentId: task.department,
+        session,
+      })
+    );
+  }
+
+  if (addedWatcherIds.length > 0) {
+    results.push(
+      await createTaskUpdateNotification({
+        taskId: task._id,
+        taskTitle,
+        recipientIds: addedWatcherIds,
+        updatedBy: actorId,
+        updatedByName: actorName,
+        updateDescription: "you were added as a watcher",
+        organizationId: task.organization,
+        departmentId: task.department,
+        session,
+      })
+    );
+  }
+
+  // Remaining participants only hear about changes to an existing task
+  const otherParticipantIds = [task.createdBy, ...assigneeIds, ...watcherIds]
+    .map((id) => id.toString())
+    .filter(
+      (id) => !addedAssigneeIds.includes(id) && !addedWatcherIds.includes(id)
+    );
+
+  if (updatedFields.length > 0 && otherParticipantIds.length > 0) {
+    results.push(
+      await createTaskUpdateNotification({
+        taskId: task._id,
+        taskTitle,
+        recipientIds: otherParticipantIds,
+        updatedBy: actorId,
+        updatedByName: actorName,
+        updateDescription: describeTaskUpdate(task, updatedFields),
+        organizationId: task.organization,
+        departmentId: task.department,
+        session,
+      })
+    );
+  }
+
+  return results.flatMap((result) => result.notifications);
+};
+
 export default {
   createTaskAssignmentNotification,
   createTaskUpdateNotification,
   createCommentNotification,
   createMentionNotification,
   createSystemAlertNotification,
+  createTaskChangeNotifications,
+  deliverCreatedNotifications,
+  deliverDeferredNotifications,
 };
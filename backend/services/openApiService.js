@@ -0,0 +1,730 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { COMMON_VALIDATION } from "../utils/constants.js";
+
+/**
+ * OpenAPI Service
+ * Generates an OpenAPI 3 document from the Express router tree:
+ * - Paths, methods and path parameters from the mounted routes
+ * - Parameter and request body schemas from the express-validator chains of each
+ *   route (lengths, ranges, enums from constants.js, patterns, required fields)
+ * - Summaries, descriptions and field descriptions from the route JSDoc
+ *   (@route, @desc, @access, @note, @param, @query, @body)
+ * - Security from authMiddleware, required permission from authorize()
+ *
+ * The generator also reports routes whose contract is incomplete (see
+ * generateOpenApiSpec issues), checked by `npm run openapi:check`
+ */
+
+// Get current file directory (ES modules)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROUTES_DIR = path.join(__dirname, "../routes");
+const BASE_PATH = "/api";
+
+// Methods whose request body is documented
+const BODY_METHODS = ["post", "put", "patch"];
+
+// express-validator locations mapped to OpenAPI parameter locations
+const PARAMETER_LOCATIONS = { params: "path", query: "query", headers: "header" };
+
+// Constraints a validator applies to each element when the value is an array
+const ELEMENT_CONSTRAINTS = [
+  "enum",
+  "pattern",
+  "format",
+  "minLength",
+  "maxLength",
+  "minimum",
+  "maximum",
+];
+
+// Cached document (routes do not change at runtime)
+let cachedSpec = null;
+
+/**
+ * Convert an Express path to an OpenAPI path (":taskId" -> "{taskId}")
+ * @param {string} expressPath - Express route path
+ * @returns {string} OpenAPI path
+ */
+const toOpenApiPath = (expressPath) =>
+  expressPath.replace(/:(\w+)/g, "{$1}").replace(/\/+$/, "") || "/";
+
+/**
+ * Get the mount path of a router-level layer
+ * @param {Object} layer - Express router layer
+ * @returns {string|null} Mount path ("" for router.use(fn)), null if not a plain path
+ */
+const getMountPath = (layer) => {
+  if (layer.regexp.fast_slash) return "";
+
+  const match = layer.regexp.source.match(
+    /^\^((?:\\\/[\w.-]+)+)\\\/\?\(\?=\\\/\|\$\)$/
+  );
+  return match ? match[1].replace(/\\\//g, "/") : null;
+};
+
+/**
+ * Parse a JSDoc field tag ("{type} name - description")
+ * @param {string} value - Tag value
+ * @returns {{name: string, type: string, description: string}|null} Field or null
+ */
+const parseFieldTag = (value) => {
+  const match = value.match(/^\{([^}]+)\}\s+([\w.[\]*]+)\s*(?:-\s*(.*))?$/);
+  if (!match) return null;
+  return { type: match[1], name: match[2], description: match[3] || "" };
+};
+
+/**
+ * Parse the route JSDoc of every route file
+ * @returns {Map<string, Object>} Route docs by "METHOD /openapi/path"
+ *   ({ tag, desc, access, notes, params, query, body, file })
+ */
+const parseRouteDocs = () => {
+  const docs = new Map();
+  const files = fs
+    .readdirSync(ROUTES_DIR)
+    .filter((file) => file.endsWith(".js") && file !== "index.js");
+
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(ROUTES_DIR, file), "utf8");
+    const blocks = source.match(/\/\*\*[\s\S]*?\*\//g) || [];
+
+    // Tag: "<Name> Routes" title of the file header comment
+    const title = blocks[0]?.match(/^\s*\*\s+(.+?) Routes\s*$/m);
+    const tag = title ? title[1] : file.replace(/Routes\.js$/, "");
+
+    for (const block of blocks) {
+      const tags = [];
+      for (const rawLine of block.split(/\r?\n/)) {
+        const line = rawLine
+          .replace(/^\s*\/?\*+\/?\s?/, "")
+          .replace(/\*\/$/, "")
+          .trim();
+        const tagMatch = line.match(/^@(\w+)\s*(.*)$/);
+        if (tagMatch) {
+          tags.push({ name: tagMatch[1], value: tagMatch[2].trim() });
+        } else if (line && tags.length > 0) {
+          // Continuation line of the previous tag
+          tags[tags.length - 1].value += ` ${line}`;
+        }
+      }
+
+      const route = tags.find((t) => t.name === "route");
+      const routeMatch = route?.value.match(/^(\w+)\s+(\S+)/);
+      if (!routeMatch) continue;
+
+      const [, method, routePath] = routeMatch;
+      const entry = {
+        tag,
+        file,
+        desc: "",
+        access: "",
+        notes: [],
+        params: {},
+        query: {},
+        body: {},
+      };
+      for (const { name, value } of tags) {
+        if (name === "desc") entry.desc = value;
+        if (name === "access") entry.access = value;
+        if (name === "note") entry.notes.push(value);
+        if (["param", "query", "body"].includes(name)) {
+          const field = parseFieldTag(value);
+          if (field) entry[name === "param" ? "params" : name][field.name] = field;
+        }
+      }
+
+      const openApiPath = toOpenApiPath(
+        routePath.startsWith(BASE_PATH)
+          ? routePath.slice(BASE_PATH.length)
+          : routePath
+      );
+      docs.set(`${method.toUpperCase()} ${openApiPath}`, entry);
+    }
+  }
+
+  return docs;
+};
+
+/**
+ * Map a JSDoc type to a schema
+ * @param {string} type - JSDoc type (string, number, boolean, Array<string>, Object, File, File[])
+ * @returns {Object} JSON schema
+ */
+const schemaFromDocType = (type = "") => {
+  const normalized = type.toLowerCase();
+  if (normalized.endsWith("[]")) {
+    return { type: "array", items: schemaFromDocType(type.slice(0, -2)) };
+  }
+  if (normalized.startsWith("array")) {
+    const itemType = type.match(/<(.+)>/)?.[1];
+    return { type: "array", items: itemType ? schemaFromDocType(itemType) : {} };
+  }
+  if (normalized === "file") return { type: "string", format: "binary" };
+  if (normalized === "date") return { type: "string", format: "date-time" };
+  if (["string", "number", "boolean", "object", "integer"].includes(normalized)) {
+    return { type: normalized };
+  }
+  return {};
+};
+
+/**
+ * Build the schema of a field from its validation chain items
+ * Validators and sanitizers of validator.js are read by name; the built-in
+ * custom validators (isArray, isObject, isString) by their source
+ * @param {Array<Object>} stack - Context items of the chain
+ * @returns {Object} JSON schema
+ */
+const schemaFromChainStack = (stack) => {
+  const schema = {};
+  const setRange = (options = {}, minKey, maxKey) => {
+    if (options.min !== undefined) schema[minKey] = options.min;
+    if (options.max !== undefined) schema[maxKey] = options.max;
+  };
+
+  for (const item of stack) {
+    const kind = item.constructor.name;
+
+    if (kind === "StandardValidation" && !item.negated) {
+      const [option] = item.options;
+      switch (item.validator.name) {
+        case "isLength":
+          setRange(option, "minLength", "maxLength");
+          break;
+        case "isInt":
+          schema.type = "integer";
+          setRange(option, "minimum", "maximum");
+          break;
+        case "isFloat":
+        case "isDecimal":
+        case "isNumeric":
+          schema.type = "number";
+          setRange(option, "minimum", "maximum");
+          break;
+        case "isBoolean":
+          schema.type = "boolean";
+          break;
+        case "isIn":
+          schema.enum = [...new Set(option)];
+          break;
+        case "matches":
+          schema.pattern = option instanceof RegExp ? option.source : option;
+          break;
+        case "isMongoId":
+          schema.pattern = COMMON_VALIDATION.MONGODB_OBJECTID.PATTERN.source;
+          break;
+        case "isEmail":
+          schema.format = "email";
+          break;
+        case "isURL":
+          schema.format = "uri";
+          break;
+        case "isUUID":
+          schema.format = "uuid";
+          break;
+        case "isISO8601":
+          schema.format = "date-time";
+          break;
+        case "isDate":
+          schema.format = "date";
+          break;
+        default:
+          break;
+      }
+    } else if (kind === "StandardValidation" && item.validator.name === "isEmpty") {
+      // notEmpty()
+      if (schema.minLength === undefined) schema.minLength = 1;
+    } else if (kind === "CustomValidation" && !item.negated) {
+      const source = item.validator.toString();
+      if (source.includes("Array.isArray(value) &&")) schema.type = "array";
+      else if (source.includes("typeof value === 'object'")) schema.type = "object";
+      else if (source.includes("typeof value === 'string'")) schema.type = "string";
+    } else if (kind === "Sanitization" && !item.custom) {
+      const sanitizerTypes = {
+        toInt: { type: "integer" },
+        toFloat: { type: "number" },
+        toBoolean: { type: "boolean" },
+        toDate: { type: "string", format: "date-time" },
+      };
+      const typeSchema = sanitizerTypes[item.sanitizer.name];
+      if (typeSchema) Object.assign(schema, typeSchema);
+    }
+  }
+
+  if (schema.type === "array") {
+    // Standard validators run on each element of an array value
+    const items = {};
+    for (const key of ELEMENT_CONSTRAINTS) {
+      if (schema[key] !== undefined) {
+        items[key] = schema[key];
+        delete schema[key];
+      }
+    }
+    if (Object.keys(items).length > 0) {
+      schema.items = { type: "string", ...items };
+    }
+  } else if (
+    !schema.type &&
+    ["minLength", "maxLength", "pattern", "format", "enum"].some(
+      (key) => schema[key] !== undefined
+    )
+  ) {
+    schema.type = "string";
+  }
+
+  return schema;
+};
+
+/**
+ * Add a (possibly nested) body field to an object schema
+ * "items.*.quantity" becomes items: array of objects with a quantity property
+ * @param {Object} root - Object schema
+ * @param {string} field - Field path
+ * @param {Object} schema - Field schema
+ * @param {boolean} required - Field is required
+ */
+const addBodyField = (root, field, schema, required) => {
+  const segments = field.replace(/\[(\*|\d+)\]/g, ".*").split(".");
+  let node = root;
+
+  segments.forEach((segment, index) => {
+    const isLast = index === segments.length - 1;
+
+    if (segment === "*") {
+      node.type = "array";
+      node.items = node.items || {};
+      if (isLast) Object.assign(node.items, schema);
+      node = node.items;
+      return;
+    }
+
+    if (node.type !== "array") node.type = "object";
+    node.properties = node.properties || {};
+    node.properties[segment] = node.properties[segment] || {};
+
+    if (isLast) {
+      Object.assign(node.properties[segment], schema);
+      if (required) {
+        node.required = [...new Set([...(node.required || []), segment])];
+      }
+    }
+    node = node.properties[segment];
+  });
+};
+
+/**
+ * Collect parameter and body schemas of validation chains
+ * @param {Array<Function>} chains - express-validator chains
+ * @returns {{parameters: Object, body: Object|null}} Schemas by location
+ */
+const collectChainSchemas = (chains) => {
+  const parameters = { path: {}, query: {}, header: {} };
+  let body = null;
+
+  for (const chain of chains) {
+    const { fields, locations, stack, optional } = chain.builder;
+    const schema = schemaFromChainStack(stack);
+
+    for (const location of locations) {
+      for (const field of fields) {
+        if (location === "body") {
+          // body() without a field validates the whole body (cross-field checks)
+          if (!field) continue;
+          body = body || { type: "object", properties: {} };
+          addBodyField(body, field, { ...schema }, !optional);
+        } else if (PARAMETER_LOCATIONS[location] && field) {
+          const parameterLocation = PARAMETER_LOCATIONS[location];
+          parameters[parameterLocation][field] = {
+            schema: { ...parameters[parameterLocation][field]?.schema, ...schema },
+            required: !optional,
+          };
+        }
+      }
+    }
+  }
+
+  return { parameters, body };
+};
+
+/**
+ * Build an operation ID from a method and path
+ * @param {string} method - HTTP method
+ * @param {string} openApiPath - OpenAPI path
+ * @returns {string} Operation ID (e.g. getTasksTaskIdCosts)
+ */
+const buildOperationId = (method, openApiPath) =>
+  method +
+  openApiPath
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+
+/**
+ * Collect the routes of a router tree
+ * @param {Function} router - Express router
+ * @param {string} prefix - Mount path of the router
+ * @param {Array<Function>} inherited - Router-level middleware applying to the routes
+ * @param {Array<Object>} routes - Collected routes ({ method, path, handlers })
+ * @returns {Array<Object>} Collected routes
+ */
+const collectRoutes = (router, prefix = "", inherited = [], routes = []) => {
+  const middleware = [...inherited];
+
+  for (const layer of router.stack) {
+    if (layer.route) {
+      const handlers = layer.route.stack.map((routeLayer) => routeLayer.handle);
+      for (const method of Object.keys(layer.route.methods)) {
+        if (method === "_all") continue;
+        routes.push({
+          method,
+          path: toOpenApiPath(`${prefix}${layer.route.path}`),
+          handlers: [...middleware, ...handlers],
+        });
+      }
+      continue;
+    }
+
+    const mountPath = getMountPath(layer);
+    if (mountPath === null) continue;
+
+    if (layer.handle.stack) {
+      collectRoutes(layer.handle, `${prefix}${mountPath}`, middleware, routes);
+    } else if (mountPath === "") {
+      // router.use(fn): applies to the routes declared after it
+      middleware.push(layer.handle);
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * Build the OpenAPI operation of a route
+ * @param {Object} route - Collected route ({ method, path, handlers })
+ * @param {Object|undefined} doc - Route JSDoc
+ * @param {Array<string>} issues - Incomplete contract messages (appended)
+ * @returns {Object} OpenAPI operation
+ */
+const buildOperation = (route, doc, issues) => {
+  const { method, path: openApiPath, handlers } = route;
+  const label = `${method.toUpperCase()} ${BASE_PATH}${openApiPath}`;
+
+  const chains = handlers.filter((handler) => handler.builder);
+  const variants = handlers.find((handler) => handler.variants)?.variants;
+  const permission = handlers.find((handler) => handler.permission)?.permission;
+  const isAuthenticated = handlers.includes(authMiddleware);
+  const { parameters, body } = collectChainSchemas(chains);
+
+  if (!doc) {
+    issues.push(`${label}: missing @route JSDoc`);
+  }
+
+  // Path parameters
+  const pathParams = [...openApiPath.matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+  const operationParameters = pathParams.map((name) => {
+    if (!parameters.path[name]) {
+      issues.push(`${label}: path parameter "${name}" has no validator`);
+    }
+    return {
+      name,
+      in: "path",
+      required: true,
+      description: doc?.params[name]?.description || undefined,
+      schema: parameters.path[name]?.schema || { type: "string" },
+    };
+  });
+
+  // Query and header parameters
+  for (const location of ["query", "header"]) {
+    for (const [name, { schema, required }] of Object.entries(
+      parameters[location]
+    )) {
+      operationParameters.push({
+        name,
+        in: location,
+        required: location === "query" ? false : required,
+        description:
+          (location === "query" && doc?.query[name]?.description) || undefined,
+        schema,
+      });
+    }
+  }
+
+  // Query parameters documented but not validated (read as-is by the controller)
+  for (const [name, field] of Object.entries(doc?.query || {})) {
+    if (!parameters.query[name]) {
+      operationParameters.push({
+        name,
+        in: "query",
+        required: false,
+        description: field.description || undefined,
+        schema: schemaFromDocType(field.type),
+      });
+    }
+  }
+
+  // Request body
+  let requestBody;
+  if (BODY_METHODS.includes(method)) {
+    const docFields = Object.values(doc?.body || {});
+    let schema = body;
+
+    if (variants) {
+      const variantSchemas = Object.entries(variants.chains).map(
+        ([value, variantChains]) => {
+          const variantSchema = collectChainSchemas(variantChains).body || {
+            type: "object",
+            properties: {},
+          };
+          variantSchema.properties[variants.discriminator] = {
+            type: "string",
+            enum: [value],
+          };
+          variantSchema.required = [
+            ...new Set([...(variantSchema.required || []), variants.discriminator]),
+          ];
+          return variantSchema;
+        }
+      );
+      schema = {
+        oneOf: variantSchemas,
+        discriminator: { propertyName: variants.discriminator },
+      };
+    }
+
+    // Multipart bodies are validated while the files are received
+    const isMultipart = docFields.some((field) => /^file/i.test(field.type));
+    if (docFields.length > 0 && !schema && !isMultipart) {
+      issues.push(`${label}: @body fields have no validator schema`);
+    }
+
+    if (schema || docFields.length > 0) {
+      schema = schema || { type: "object", properties: {} };
+
+      // Field descriptions (and documented fields without validators)
+      for (const field of docFields) {
+        const targets = schema.oneOf || [schema];
+        for (const target of targets) {
+          target.properties = target.properties || {};
+          const property = target.properties[field.name];
+          if (property) {
+            if (field.description) property.description = field.description;
+          } else if (!variants && !field.name.includes(".")) {
+            target.properties[field.name] = {
+              ...schemaFromDocType(field.type),
+              ...(field.description && { description: field.description }),
+            };
+          }
+        }
+      }
+
+      requestBody = {
+        required: Boolean(
+          schema.required?.length || schema.oneOf || isMultipart
+        ),
+        content: {
+          [isMultipart ? "multipart/form-data" : "application/json"]: {
+            schema,
+          },
+        },
+      };
+    }
+  }
+
+  // Description: access, permission and notes
+  const descriptionParts = [];
+  if (doc?.access) descriptionParts.push(`Access: ${doc.access}`);
+  if (permission) {
+    descriptionParts.push(
+      `Requires permission \`${permission.resource}:${permission.operation}\` (also the API token scope)`
+    );
+  }
+  descriptionParts.push(...(doc?.notes || []));
+
+  const responses = {
+    "2XX": { $ref: "#/components/responses/Success" },
+  };
+  if (chains.length > 0 || variants) {
+    responses[400] = { $ref: "#/components/responses/ValidationError" };
+  }
+  if (isAuthenticated) {
+    responses[401] = { $ref: "#/components/responses/Unauthenticated" };
+  }
+  if (permission) {
+    responses[403] = { $ref: "#/components/responses/Forbidden" };
+  }
+  responses[429] = { $ref: "#/components/responses/TooManyRequests" };
+
+  return {
+    tags: [doc?.tag || openApiPath.split("/")[1] || "default"],
+    summary: doc?.desc || undefined,
+    description: descriptionParts.join("\n\n") || undefined,
+    operationId: buildOperationId(method, openApiPath),
+    ...(permission && {
+      "x-permission": `${permission.resource}:${permission.operation}`,
+    }),
+    security: isAuthenticated ? [{ cookieAuth: [] }, { bearerAuth: [] }] : [],
+    parameters: operationParameters.length > 0 ? operationParameters : undefined,
+    requestBody,
+    responses,
+  };
+};
+
+/**
+ * Shared components (envelopes, error responses, security schemes)
+ * @returns {Object} OpenAPI components
+ */
+const buildComponents = () => {
+  const errorResponse = (description) => ({
+    description,
+    content: {
+      "application/json": {
+        schema: { $ref: "#/components/schemas/ErrorResponse" },
+      },
+    },
+  });
+
+  return {
+    schemas: {
+      SuccessResponse: {
+        type: "object",
+        properties: {
+          success: { type: "boolean", enum: [true] },
+          message: { type: "string" },
+          data: {},
+        },
+      },
+      ErrorResponse: {
+        type: "object",
+        properties: {
+          success: { type: "boolean", enum: [false] },
+          error: {
+            type: "object",
+            properties: {
+              code: { type: "string" },
+              message: { type: "string" },
+              timestamp: { type: "string", format: "date-time" },
+            },
+          },
+        },
+      },
+    },
+    responses: {
+      Success: {
+        description: "Successful response",
+        content: {
+          "application/json": {
+            schema: { $ref: "#/components/schemas/SuccessResponse" },
+          },
+        },
+      },
+      ValidationError: errorResponse("Invalid request (VALIDATION_ERROR)"),
+      Unauthenticated: errorResponse(
+        "Missing, invalid or expired credentials (UNAUTHENTICATED_ERROR)"
+      ),
+      Forbidden: errorResponse(
+        "Role or API token scope does not allow the operation (FORBIDDEN_ERROR)"
+      ),
+      TooManyRequests: errorResponse("Rate limit exceeded (TOO_MANY_REQUESTS_ERROR)"),
+    },
+    securitySchemes: {
+      cookieAuth: {
+        type: "apiKey",
+        in: "cookie",
+        name: "accessToken",
+        description: "JWT access token set by POST /api/auth/login",
+      },
+      bearerAuth: {
+        type: "http",
+        scheme: "bearer",
+        description:
+          "Personal access token or organization API key (see /api/api-tokens)",
+      },
+    },
+  };
+};
+
+/**
+ * Generate the OpenAPI document of a router
+ * @param {Function} router - Express router mounted at /api
+ * @returns {{spec: Object, issues: Array<string>}} OpenAPI document and
+ *   incomplete contracts (undocumented routes, unvalidated path parameters,
+ *   documented bodies without validators, documented routes that are not mounted)
+ */
+export const generateOpenApiSpec = (router) => {
+  const docs = parseRouteDocs();
+  const routes = collectRoutes(router);
+  const issues = [];
+  const paths = {};
+  const operationIds = new Set();
+  const mountedKeys = new Set();
+
+  for (const route of routes) {
+    const key = `${route.method.toUpperCase()} ${route.path}`;
+    const operation = buildOperation(route, docs.get(key), issues);
+    mountedKeys.add(key);
+
+    // Keep operation IDs unique
+    let { operationId } = operation;
+    for (let i = 2; operationIds.has(operationId); i++) {
+      operationId = `${operation.operationId}${i}`;
+    }
+    operation.operationId = operationId;
+    operationIds.add(operationId);
+
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = operation;
+  }
+
+  for (const [key, doc] of docs) {
+    if (mountedKeys.has(key)) continue;
+    issues.push(`${key.replace(" ", ` ${BASE_PATH}`)}: documented in ${doc.file} but not mounted`);
+  }
+
+  const packageJson = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "../package.json"), "utf8")
+  );
+  const appName = process.env.APP_NAME || "Task Manager";
+
+  const spec = {
+    openapi: "3.0.3",
+    info: {
+      title: `${appName} API`,
+      version: packageJson.version,
+      description:
+        "Generated from the route definitions and their validators. Responses use the { success, message, data } envelope; errors use { success: false, error: { code, message, timestamp } }.",
+    },
+    servers: [{ url: BASE_PATH }],
+    tags: [...new Set(Object.values(paths).flatMap((ops) => Object.values(ops).map((op) => op.tags[0])))]
+      .sort()
+      .map((name) => ({ name })),
+    paths,
+    components: buildComponents(),
+  };
+
+  // Drop undefined keys (JSON output and stable diffs)
+  return { spec: JSON.parse(JSON.stringify(spec)), issues };
+};
+
+/**
+ * Get the OpenAPI document of the API (generated once)
+ * @returns {Promise<Object>} OpenAPI document
+ */
+export const getOpenApiSpec = async () => {
+  if (!cachedSpec) {
+    // Imported lazily: the routes import the controller serving this document
+    const { default: apiRoutes } = await import("../routes/index.js");
+    cachedSpec = generateOpenApiSpec(apiRoutes).spec;
+  }
+  return cachedSpec;
+};
+
+export default {
+  generateOpenApiSpec,
+  getOpenApiSpec,
+};
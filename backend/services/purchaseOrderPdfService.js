@@ -0,0 +1,190 @@
+import PDFDocument from "pdfkit";
+import { COST_VALIDATION } from "../utils/constants.js";
+import { toTimezone } from "../utils/helpers.js";
+
+/**
+ * Purchase Order PDF Service
+ * Renders a printable purchase order (A4): organization and vendor details,
+ * line items with ordered/received quantities, and the order total
+ * Dates use the organization's timezone and date format
+ */
+
+// Page layout (points)
+const PAGE_MARGIN = 50;
+const ROW_HEIGHT = 18;
+
+// Line item table columns: x position, width and alignment
+const COLUMNS = [
+  { key: "index", label: "#", x: 50, width: 25, align: "left" },
+  { key: "material", label: "Material", x: 75, width: 175, align: "left" },
+  { key: "quantity", label: "Quantity", x: 250, width: 70, align: "right" },
+  { key: "received", label: "Received", x: 320, width: 70, align: "right" },
+  { key: "unitPrice", label: "Unit Price", x: 390, width: 75, align: "right" },
+  { key: "amount", label: "Amount", x: 465, width: 80, align: "right" },
+];
+
+/**
+ * Format an amount with COST_VALIDATION.PRECISION decimal places
+ * @param {number} value - Amount
+ * @returns {string} Formatted amount
+ */
+const formatAmount = (value) =>
+  Number(value || 0).toLocaleString("en-US", {
+    minimumFractionDigits: COST_VALIDATION.PRECISION,
+    maximumFractionDigits: COST_VALIDATION.PRECISION,
+  });
+
+/**
+ * Format a date in the organization's timezone and date format
+ * @param {Date|null} date - Date
+ * @param {Object} settings - Organization settings (timezone, dateFormat)
+ * @returns {string} Formatted date, or "-" when not set
+ */
+const formatDate = (date, settings = {}) =>
+  date
+    ? toTimezone(date, settings.timezone).format(
+        settings.dateFormat || "DD/MM/YYYY"
+      )
+    : "-";
+
+/**
+ * Write one row of the line item table
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} values - Cell text by column key
+ * @param {number} y - Row position
+ */
+const writeRow = (doc, values, y) => {
+  COLUMNS.forEach(({ key, x, width, align }) => {
+    doc.text(values[key], x, y, { width, align, lineBreak: false });
+  });
+};
+
+/**
+ * Render a purchase order as a PDF document
+ * The document is ended before it is returned; pipe it to the response
+ * @param {Object} purchaseOrder - Purchase order (vendor, department, projectTask,
+ *   lineItems.material and the workflow users populated)
+ * @param {Object} organization - Organization (name, email, phone, address, settings)
+ * @returns {PDFDocument} Readable PDF stream
+ */
+export const createPurchaseOrderPdf = (purchaseOrder, organization) => {
+  const { settings = {} } = organization;
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `Purchase Order ${purchaseOrder.poNumber}`,
+      Author: organization.name,
+    },
+  });
+
+  // Header: organization and order number
+  doc.font("Helvetica-Bold").fontSize(18).text(organization.name);
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .text(organization.address)
+    .text(`${organization.email} | ${organization.phone}`);
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(16)
+    .text("PURCHASE ORDER", PAGE_MARGIN, PAGE_MARGIN, { align: "right" });
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .text(purchaseOrder.poNumber, { align: "right" })
+    .text(`Status: ${purchaseOrder.status}`, { align: "right" });
+
+  // Order details and vendor
+  const detailsY = 130;
+  const { vendor } = purchaseOrder;
+  doc.font("Helvetica-Bold").text("Vendor", PAGE_MARGIN, detailsY);
+  doc.font("Helvetica").text(vendor?.name || "-");
+  if (vendor?.address) doc.text(vendor.address);
+  if (vendor?.email) doc.text(vendor.email);
+  if (vendor?.phone) doc.text(vendor.phone);
+
+  const approver = purchaseOrder.approvedBy;
+  doc.font("Helvetica-Bold").text("Order Details", 320, detailsY);
+  doc
+    .font("Helvetica")
+    .text(`Date: ${formatDate(purchaseOrder.createdAt, settings)}`)
+    .text(`Expected: ${formatDate(purchaseOrder.expectedDate, settings)}`)
+    .text(`Deliver to: ${purchaseOrder.department?.name || "-"}`);
+  if (purchaseOrder.projectTask) {
+    doc.text(`Project: ${purchaseOrder.projectTask.title}`);
+  }
+  if (approver) {
+    doc.text(
+      `Approved: ${approver.firstName} ${approver.lastName}, ${formatDate(
+        purchaseOrder.approvedAt,
+        settings
+      )}`
+    );
+  }
+
+  // Line items
+  let y = Math.max(doc.y, 220) + 20;
+  doc.font("Helvetica-Bold").fontSize(9);
+  writeRow(
+    doc,
+    Object.fromEntries(COLUMNS.map(({ key, label }) => [key, label])),
+    y
+  );
+  y += ROW_HEIGHT;
+  doc
+    .moveTo(PAGE_MARGIN, y - 5)
+    .lineTo(doc.page.width - PAGE_MARGIN, y - 5)
+    .stroke();
+
+  doc.font("Helvetica");
+  purchaseOrder.lineItems.forEach((item, index) => {
+    if (y > doc.page.height - PAGE_MARGIN - ROW_HEIGHT * 3) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+
+    const unit = item.material?.unit || "";
+    writeRow(
+      doc,
+      {
+        index: String(index + 1),
+        material: item.material?.name || "-",
+        quantity: `${item.quantity} ${unit}`,
+        received: `${item.receivedQuantity} ${unit}`,
+        unitPrice: formatAmount(item.unitPrice),
+        amount: formatAmount(item.quantity * item.unitPrice),
+      },
+      y
+    );
+    y += ROW_HEIGHT;
+  });
+
+  doc
+    .moveTo(PAGE_MARGIN, y - 5)
+    .lineTo(doc.page.width - PAGE_MARGIN, y - 5)
+    .stroke();
+  doc
+    .font("Helvetica-Bold")
+    .text("Total", 390, y, { width: 75, align: "right" })
+    .text(formatAmount(purchaseOrder.totalAmount), 465, y, {
+      width: 80,
+      align: "right",
+    });
+
+  if (purchaseOrder.notes) {
+    doc
+      .font("Helvetica-Bold")
+      .text("Notes", PAGE_MARGIN, y + ROW_HEIGHT * 2)
+      .font("Helvetica")
+      .text(purchaseOrder.notes, { width: 495 });
+  }
+
+  doc.end();
+  return doc;
+};
+
+export default {
+  createPurchaseOrderPdf,
+};
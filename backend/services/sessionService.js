@@ -0,0 +1,253 @@
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  generateTokens,
+  refreshTokens as refreshTokensUtil,
+} from "../utils/generateTokens.js";
+import {
+  AUDIT_OPERATIONS,
+  ERROR_CODES,
+  HTTP_STATUS,
+  SESSION,
+  SESSION_REVOKE_REASONS,
+  TOKEN_EXPIRY_MS,
+} from "../utils/constants.js";
+import logger from "../utils/logger.js";
+import { disconnectSessions } from "../utils/socketEmitter.js";
+import { getAuditSnapshot, recordAuditLogs } from "./auditService.js";
+
+/**
+ * Session Service
+ * Manages sign-in sessions: one Session per device, created at login
+ *
+ * Refresh token rotation: every refresh issues a new refresh token and stores
+ * its hash as the session's current token. The previous token is accepted for
+ * SESSION.REUSE_GRACE_MS (concurrent refreshes of the same browser) and gets
+ * an access token only. Any other rotated token means it was copied: the
+ * session (the whole token family) is revoked with TOKEN_REUSE
+ *
+ * Revocations are recorded in the audit trail and disconnect the session's sockets
+ */
+
+/**
+ * Build a 401 error for a refresh that cannot continue the session
+ * @param {string} message - Error message
+ * @returns {CustomError} Authentication error
+ */
+const sessionError = (message) =>
+  new CustomError(
+    message,
+    HTTP_STATUS.UNAUTHORIZED,
+    ERROR_CODES.UNAUTHENTICATED_ERROR
+  );
+
+/**
+ * Device details of a request
+ * @param {import('express').Request} req - Express request
+ * @returns {{userAgent: string|null, ip: string|null}} User agent and IP
+ */
+const getDevice = (req) => ({
+  userAgent: Session.normalizeUserAgent(req.get("user-agent")),
+  ip: req.ip || null,
+});
+
+/**
+ * Start a session for a user who signed in
+ * @param {Object} user - User document (organization populated or ID)
+ * @param {import('express').Request} req - Login request (user agent, IP)
+ * @returns {Promise<{userSession: mongoose.Document, accessToken: string, refreshToken: string}>}
+ *   Created session and its tokens
+ */
+export const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { accessToken, refreshToken } = generateTokens(user, sessionId);
+
+  const userSession = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    organization: user.organization._id || user.organization,
+    tokenHash: Session.hashToken(refreshToken),
+    ...getDevice(req),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + TOKEN_EXPIRY_MS.REFRESH),
+  });
+
+  logger.info("Session created", {
+    userId: user._id,
+    sessionId,
+    ip: userSession.ip,
+  });
+
+  return { userSession, accessToken, refreshToken };
+};
+
+/**
+ * Revoke the active sessions matching a filter
+ * @param {import('express').Request} req - Request revoking the sessions (audit)
+ * @param {Object} filter - MongoDB filter (e.g. { user } or { _id })
+ * @param {Object} options - Options
+ * @param {string} options.reason - SESSION_REVOKE_REASONS value
+ * @param {mongoose.Types.ObjectId|string} [options.revokedBy=null] - User revoking
+ *   the sessions, recorded as the audit actor (null for automatic revocations)
+ * @param {mongoose.ClientSession} [options.session=null] - MongoDB session
+ * @returns {Promise<Array<mongoose.Document>>} Revoked sessions
+ */
+export const revokeSessions = async (
+  req,
+  filter,
+  { reason, revokedBy = null, session = null }
+) => {
+  const userSessions = await Session.find({
+    ...filter,
+    ...Session.getActiveFilter(),
+  }).session(session);
+  if (userSessions.length === 0) return [];
+
+  const revokedAt = new Date();
+  const auditEntries = [];
+  for (const userSession of userSessions) {
+    const before = getAuditSnapshot(userSession);
+    userSession.revokedAt = revokedAt;
+    userSession.revokedBy = revokedBy;
+    userSession.revokedReason = reason;
+    await userSession.save({ session });
+    auditEntries.push({
+      operation: AUDIT_OPERATIONS.UPDATE,
+      document: userSession,
+      before,
+      action: "revoke",
+      actor: revokedBy,
+    });
+  }
+  await recordAuditLogs(req, auditEntries, { session });
+
+  // Sockets disconnected before a rolled back revocation simply reconnect
+  disconnectSessions(userSessions.map((userSession) => userSession._id));
+
+  logger.info("Sessions revoked", {
+    sessionIds: userSessions.map((userSession) => userSession._id),
+    reason,
+    revokedBy,
+  });
+
+  return userSessions;
+};
+
+/**
+ * Rotate the refresh token of a session
+ * @param {string} sessionId - Session ID (from the refresh token)
+ * @param {string} refreshToken - Presented (verified) refresh token
+ * @param {Object} user - User document of the token, already checked
+ * @param {import('express').Request} req - Refresh request (user agent, IP)
+ * @returns {Promise<{userSession: mongoose.Document, accessToken: string, refreshToken: string|null}>}
+ *   Session and new tokens (refreshToken is null for a concurrent refresh:
+ *   the token set by the first refresh stays in use)
+ * @throws {CustomError} 401 if the session is unknown, revoked or expired, or
+ *   the token was already rotated (the session is then revoked)
+ */
+export const rotateSession = async (sessionId, refreshToken, user, req) => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    throw sessionError("Invalid refresh token");
+  }
+
+  const userSession = await Session.findOne({
+    _id: sessionId,
+    user: user._id,
+  }).select("+tokenHash +previousTokenHash");
+  if (!userSession) {
+    throw sessionError("Invalid refresh token");
+  }
+
+  const now = new Date();
+  if (userSession.revokedAt) {
+    logger.warn("Refresh attempted on a revoked session", {
+      userId: user._id,
+      sessionId,
+      revokedReason: userSession.revokedReason,
+      ip: req.ip,
+    });
+    throw sessionError("Session has been revoked. Please log in again.");
+  }
+  if (userSession.expiresAt <= now) {
+    throw sessionError("Refresh token expired");
+  }
+
+  const tokenHash = Session.hashToken(refreshToken);
+  if (tokenHash !== userSession.tokenHash) {
+    const isConcurrentRefresh =
+      tokenHash === userSession.previousTokenHash &&
+      now - userSession.rotatedAt <= SESSION.REUSE_GRACE_MS;
+
+    if (!isConcurrentRefresh) {
+      logger.warn("Refresh token reuse detected, revoking session", {
+        userId: user._id,
+        sessionId,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+      await revokeSessions(
+        req,
+        { _id: userSession._id },
+        { reason: SESSION_REVOKE_REASONS.TOKEN_REUSE }
+      );
+      throw sessionError(
+        "Refresh token has already been used. Please log in again."
+      );
+    }
+
+    const { accessToken } = generateTokens(user, userSession._id);
+    return { userSession, accessToken, refreshToken: null };
+  }
+
+  const tokens = refreshTokensUtil(refreshToken, user);
+
+  // Conditional on the current hash: of two concurrent rotations only one wins
+  const rotatedSession = await Session.findOneAndUpdate(
+    { _id: userSession._id, tokenHash, ...Session.getActiveFilter(now) },
+    {
+      $set: {
+        tokenHash: Session.hashToken(tokens.refreshToken),
+        previousTokenHash: tokenHash,
+        rotatedAt: now,
+        ...getDevice(req),
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + TOKEN_EXPIRY_MS.REFRESH),
+      },
+    },
+    { new: true }
+  );
+  if (!rotatedSession) {
+    return {
+      userSession,
+      accessToken: tokens.accessToken,
+      refreshToken: null,
+    };
+  }
+
+  return { userSession: rotatedSession, ...tokens };
+};
+
+/**
+ * Check whether a session can still authenticate (access tokens)
+ * @param {string} sessionId - Session ID (from the access token)
+ * @param {mongoose.Types.ObjectId|string} userId - User of the token
+ * @returns {Promise<boolean>} True if the session is active and belongs to the user
+ */
+export const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return false;
+
+  const userSession = await Session.exists({
+    _id: sessionId,
+    user: userId,
+    ...Session.getActiveFilter(),
+  });
+  return Boolean(userSession);
+};
+
+export default {
+  createSession,
+  revokeSessions,
+  rotateSession,
+  isSessionActive,
+};
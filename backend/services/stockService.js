@@ -0,0 +1,445 @@
+import mongoose from "mongoose";
+import Material from "../models/Material.js";
+import Organization from "../models/Organization.js";
+import StockLevel from "../models/StockLevel.js";
+import StockMovement from "../models/StockMovement.js";
+import Task from "../models/Task.js";
+import TaskActivity from "../models/TaskActivity.js";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  STOCK_MOVEMENT_TYPES,
+  STOCK_SOURCE_MODELS,
+  STOCK_VALIDATION,
+  TASK_TYPES,
+  TASK_STATUS,
+  HTTP_STATUS,
+  ERROR_CODES,
+} from "../utils/constants.js";
+
+/**
+ * Stock Service
+ * Posts movements to the stock ledger (StockMovement) and keeps the balance
+ * per material and department (StockLevel) in step with it
+ * Every function runs in the caller's session, so movements commit or roll
+ * back together with the change that caused them
+ *
+ * Negative stock: a movement that would take a balance below zero is rejected
+ * (409) unless the organization allows negative stock (settings.allowNegativeStock)
+ * or the caller passes allowNegative; accepted ones are flagged isNegativeBalance
+ */
+
+/**
+ * Round a quantity to STOCK_VALIDATION.PRECISION decimal places
+ * Keeps floating point noise out of balances and comparisons
+ * @param {number} value - Quantity
+ * @returns {number} Rounded quantity
+ */
+const roundQuantity = (value) =>
+  Number(value.toFixed(STOCK_VALIDATION.PRECISION));
+
+/**
+ * Check whether an organization allows negative stock balances
+ * @param {mongoose.Types.ObjectId} organizationId - Organization ID
+ * @param {mongoose.ClientSession} session - MongoDB session
+ * @returns {Promise<boolean>} True if negative balances are allowed
+ */
+const isNegativeStockAllowed = async (organizationId, session) => {
+  const organization = await Organization.findById(organizationId)
+    .select("settings.allowNegativeStock")
+    .session(session)
+    .lean();
+
+  return Boolean(organization?.settings?.allowNegativeStock);
+};
+
+/**
+ * Post a movement and apply it to the department balance
+ * @param {Object} movement - Movement data
+ * @param {mongoose.Types.ObjectId} movement.organization - Organization ID
+ * @param {mongoose.Types.ObjectId} movement.department - Department holding the stock
+ * @param {mongoose.Types.ObjectId} movement.material - Material ID
+ * @param {string} movement.type - STOCK_MOVEMENT_TYPES value
+ * @param {number} movement.quantity - Signed quantity (positive adds stock)
+ * @param {Object} [movement.details] - Other StockMovement fields (source, sourceModel,
+ *   transferId, counterpartDepartment, note, performedBy)
+ * @param {Object} options - Posting options
+ * @param {mongoose.ClientSession} options.session - MongoDB session (required)
+ * @param {boolean} [options.allowNegative] - Accept a balance below zero
+ *   (defaults to the organization setting)
+ * @returns {Promise<mongoose.Document>} Created movement
+ * @throws {CustomError} If the balance would go below zero and that is not allowed;
+ *   the balance is already changed, so the caller's transaction must be aborted
+ */
+export const postStockMovement = async (
+  { organization, department, material, type, quantity, ...details },
+  { session, allowNegative }
+) => {
+  const change = roundQuantity(quantity);
+
+  const level = await StockLevel.findOneAndUpdate(
+    { material, department },
+    {
+      $inc: { quantity: change },
+      $set: { lastMovementAt: new Date() },
+      $setOnInsert: { organization },
+    },
+    { new: true, upsert: true, session }
+  );
+
+  const balanceAfter = roundQuantity(level.quantity);
+  const isNegativeBalance = change < 0 && balanceAfter < 0;
+
+  if (isNegativeBalance) {
+    const isAllowed =
+      allowNegative ?? (await isNegativeStockAllowed(organization, session));
+
+    if (!isAllowed) {
+      const { name = "material", unit = "" } =
+        (await Material.findById(material)
+          .select("name unit")
+          .session(session)
+          .withDeleted()
+          .lean()) || {};
+
+      throw new CustomError(
+        `Insufficient stock of ${name}: ${roundQuantity(
+          balanceAfter - change
+        )} ${unit} on hand, ${-change} ${unit} required`,
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.CONFLICT_ERROR
+      );
+    }
+  }
+
+  const [stockMovement] = await StockMovement.create(
+    [
+      {
+        organization,
+        department,
+        material,
+        type,
+        quantity: change,
+        balanceAfter,
+        isNegativeBalance,
+        ...details,
+      },
+    ],
+    { session }
+  );
+
+  return stockMovement;
+};
+
+/**
+ * Move stock of a material from one department to another
+ * Posts a TRANSFER_OUT/TRANSFER_IN pair sharing a transferId
+ * @param {Object} transfer - Transfer data
+ * @param {mongoose.Types.ObjectId} transfer.organization - Organization ID
+ * @param {mongoose.Types.ObjectId} transfer.material - Material ID
+ * @param {mongoose.Types.ObjectId} transfer.fromDepartment - Department giving the stock
+ * @param {mongoose.Types.ObjectId} transfer.toDepartment - Department receiving the stock
+ * @param {number} transfer.quantity - Quantity to move (positive)
+ * @param {string} [transfer.note] - Note
+ * @param {mongoose.Types.ObjectId} transfer.performedBy - User moving the stock
+ * @param {Object} options - Posting options (see postStockMovement)
+ * @returns {Promise<Array<mongoose.Document>>} Outgoing and incoming movements
+ * @throws {CustomError} If the giving department does not hold enough stock
+ */
+export const transferStock = async (
+  {
+    organization,
+    material,
+    fromDepartment,
+    toDepartment,
+    quantity,
+    note,
+    performedBy,
+  },
+  options
+) => {
+  const transferId = new mongoose.Types.ObjectId();
+
+  const outgoing = await postStockMovement(
+    {
+      organization,
+      department: fromDepartment,
+      material,
+      type: STOCK_MOVEMENT_TYPES.TRANSFER_OUT,
+      quantity: -quantity,
+      transferId,
+      counterpartDepartment: toDepartment,
+      note,
+      performedBy,
+    },
+    options
+  );
+
+  const incoming = await postStockMovement(
+    {
+      organization,
+      department: toDepartment,
+      material,
+      type: STOCK_MOVEMENT_TYPES.TRANSFER_IN,
+      quantity,
+      transferId,
+      counterpartDepartment: fromDepartment,
+      note,
+      performedBy,
+    },
+    options
+  );
+
+  return [outgoing, incoming];
+};
+
+/**
+ * Get the net quantity per material consumed so far by a source
+ * @param {Object} source - Activity or routine task
+ * @param {string} sourceModel - STOCK_SOURCE_MODELS value
+ * @param {mongoose.ClientSession} session - MongoDB session
+ * @returns {Promise<Map<string, number>>} Consumed quantity by material ID
+ */
+const getConsumedQuantities = async (source, sourceModel, session) => {
+  const movements = await StockMovement.find({
+    source: source._id,
+    sourceModel,
+  })
+    .select("material quantity")
+    .session(session)
+    .lean();
+
+  const consumed = new Map();
+  for (const { material, quantity } of movements) {
+    const materialId = material.toString();
+    consumed.set(
+      materialId,
+      roundQuantity((consumed.get(materialId) || 0) - quantity)
+    );
+  }
+  return consumed;
+};
+
+/**
+ * Check whether a routine task consumes its materials yet
+ * Generated occurrences (series set) consume once their date has come or they
+ * are completed; other routine tasks consume from creation
+ * @param {Object} task - Routine task (series, date, status)
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} True if the materials are consumed
+ */
+export const isRoutineConsumptionDue = (task, now = new Date()) =>
+  !task.series || task.date <= now || task.status === TASK_STATUS.COMPLETED;
+
+/**
+ * Bring the ledger in line with the material lines of activities or routine tasks
+ * Posts CONSUMPTION for added or increased lines and CONSUMPTION_REVERSAL for
+ * removed or decreased ones; deleted sources and generated occurrences that are
+ * not due yet (isRoutineConsumptionDue) are fully reversed
+ * Safe to call repeatedly: only the difference to earlier postings is posted
+ * @param {Array<Object>} sources - Activities or routine tasks (after the change)
+ * @param {string} sourceModel - STOCK_SOURCE_MODELS value
+ * @param {Object} options - Posting options
+ * @param {mongoose.ClientSession} options.session - MongoDB session (required)
+ * @param {mongoose.Types.ObjectId|string|null} [options.performedBy=null] - Acting user (null for system postings)
+ * @param {boolean} [options.allowNegative] - Accept balances below zero
+ *   (defaults to the organization setting)
+ * @returns {Promise<Array<mongoose.Document>>} Posted movements
+ * @throws {CustomError} If consumption exceeds the stock on hand and that is not allowed
+ */
+export const syncStockConsumption = async (
+  sources,
+  sourceModel,
+  { session, performedBy = null, allowNegative }
+) => {
+  const movements = [];
+
+  for (const source of sources) {
+    const required = new Map();
+    const isConsuming =
+      sourceModel !== STOCK_SOURCE_MODELS.ROUTINE_TASK ||
+      isRoutineConsumptionDue(source);
+    if (!source.isDeleted && isConsuming) {
+      for (const line of source.materials || []) {
+        const materialId = (line.material._id || line.material).toString();
+        required.set(materialId, line.quantity);
+      }
+    }
+
+    const consumed = await getConsumedQuantities(source, sourceModel, session);
+    const materialIds = new Set([...required.keys(), ...consumed.keys()]);
+
+    for (const materialId of materialIds) {
+      const difference = roundQuantity(
+        (required.get(materialId) || 0) - (consumed.get(materialId) || 0)
+      );
+      if (difference === 0) continue;
+
+      const movement = await postStockMovement(
+        {
+          organization: source.organization,
+          department: source.department,
+          material: materialId,
+          type:
+            difference > 0
+              ? STOCK_MOVEMENT_TYPES.CONSUMPTION
+              : STOCK_MOVEMENT_TYPES.CONSUMPTION_REVERSAL,
+          quantity: -difference,
+          source: source._id,
+          sourceModel,
+          performedBy,
+        },
+        { session, allowNegative }
+      );
+      movements.push(movement);
+    }
+  }
+
+  return movements;
+};
+
+/**
+ * Bring the ledger in line with an activity after it was deleted or restored
+ * @param {mongoose.Types.ObjectId|string} activityId - TaskActivity ID
+ * @param {Object} options - Posting options (see syncStockConsumption)
+ * @returns {Promise<Array<mongoose.Document>>} Posted movements
+ */
+export const syncActivityStockConsumption = async (activityId, options) => {
+  // Read the current state: cascade operations work on their own copies
+  const activity = await TaskActivity.findById(activityId)
+    .select("organization department materials isDeleted")
+    .session(options.session)
+    .withDeleted()
+    .lean();
+  if (!activity) return [];
+
+  return syncStockConsumption(
+    [activity],
+    STOCK_SOURCE_MODELS.TASK_ACTIVITY,
+    options
+  );
+};
+
+/**
+ * Bring the ledger in line with a task after it was deleted or restored
+ * RoutineTask consumes through its own material lines, other task types
+ * through their activities (which follow the task on delete/restore)
+ * @param {mongoose.Types.ObjectId|string} taskId - Task ID
+ * @param {Object} options - Posting options (see syncStockConsumption)
+ * @returns {Promise<Array<mongoose.Document>>} Posted movements
+ */
+export const syncTaskStockConsumption = async (taskId, options) => {
+  // Read the current state: cascade operations work on their own copies
+  const task = await Task.findById(taskId)
+    .session(options.session)
+    .withDeleted()
+    .lean();
+  if (!task) return [];
+
+  if (task.taskType === TASK_TYPES.ROUTINE) {
+    return syncStockConsumption(
+      [task],
+      STOCK_SOURCE_MODELS.ROUTINE_TASK,
+      options
+    );
+  }
+
+  const activities = await TaskActivity.find({ task: task._id })
+    .select("organization department materials isDeleted")
+    .session(options.session)
+    .withDeleted()
+    .lean();
+
+  return syncStockConsumption(
+    activities,
+    STOCK_SOURCE_MODELS.TASK_ACTIVITY,
+    options
+  );
+};
+
+/**
+ * Find materials whose own department stock is at or below their reorder point
+ * Materials without a reorder point are never included; no StockLevel counts as zero
+ * @param {Object} [match={}] - Additional Material filter (ObjectIds, aggregate does not cast)
+ * @returns {Promise<Array<Object>>} Materials with quantityOnHand
+ */
+export const findMaterialsBelowReorderPoint = async (match = {}) => {
+  return Material.aggregate([
+    { $match: { ...match, reorderPoint: { $ne: null } } },
+    {
+      $lookup: {
+        from: StockLevel.collection.name,
+        let: { material: "$_id", department: "$department" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$material", "$$material"] },
+                  { $eq: ["$department", "$$department"] },
+                ],
+              },
+            },
+          },
+          { $project: { quantity: 1 } },
+        ],
+        as: "stockLevel",
+      },
+    },
+    {
+      $addFields: {
+        quantityOnHand: {
+          $ifNull: [{ $arrayElemAt: ["$stockLevel.quantity", 0] }, 0],
+        },
+      },
+    },
+    { $match: { $expr: { $lte: ["$quantityOnHand", "$reorderPoint"] } } },
+    {
+      $project: {
+        organization: 1,
+        department: 1,
+        name: 1,
+        unit: 1,
+        reorderPoint: 1,
+        reorderQuantity: 1,
+        quantityOnHand: 1,
+      },
+    },
+  ]);
+};
+
+/**
+ * Get the stock on hand of materials in their own departments
+ * @param {Array<Object>} materials - Materials (with _id and department)
+ * @returns {Promise<Map<string, number>>} Quantity on hand by material ID (zero when no stock was recorded)
+ */
+export const getMaterialStockOnHand = async (materials) => {
+  if (materials.length === 0) return new Map();
+
+  const stockLevels = await StockLevel.find({
+    $or: materials.map((material) => ({
+      material: material._id,
+      department: material.department?._id || material.department,
+    })),
+  })
+    .select("material department quantity")
+    .lean();
+
+  const onHand = new Map(
+    materials.map((material) => [material._id.toString(), 0])
+  );
+  for (const stockLevel of stockLevels) {
+    onHand.set(stockLevel.material.toString(), stockLevel.quantity);
+  }
+  return onHand;
+};
+
+export default {
+  postStockMovement,
+  transferStock,
+  isRoutineConsumptionDue,
+  syncStockConsumption,
+  syncActivityStockConsumption,
+  syncTaskStockConsumption,
+  findMaterialsBelowReorderPoint,
+  getMaterialStockOnHand,
+};
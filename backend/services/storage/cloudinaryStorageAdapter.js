@@ -0,0 +1,211 @@
+import crypto from "crypto";
+import path from "path";
+
+/**
+ * Cloudinary Storage Adapter
+ * Streams attachment files to the Cloudinary upload API (or any API
+ * compatible with it) using signed uploads; no SDK required
+ * Files are served from the returned secure URL (downloads redirect to it)
+ * Storage keys are {resource_type}/{public_id}
+ *
+ * Configuration: CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET,
+ * CLOUDINARY_API_URL (optional, default: https://api.cloudinary.com/v1_1)
+ */
+
+const DEFAULT_API_URL = "https://api.cloudinary.com/v1_1";
+
+/**
+ * Read Cloudinary configuration from the environment
+ * @returns {{apiUrl: string, cloudName: string, apiKey: string, apiSecret: string}}
+ * @throws {Error} If Cloudinary is not configured
+ */
+const getConfig = () => {
+  const {
+    CLOUDINARY_API_URL,
+    CLOUDINARY_CLOUD_NAME,
+    CLOUDINARY_API_KEY,
+    CLOUDINARY_API_SECRET,
+  } = process.env;
+
+  if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
+    throw new Error("Cloudinary storage is not configured");
+  }
+
+  return {
+    apiUrl: (CLOUDINARY_API_URL || DEFAULT_API_URL).replace(/\/+$/, ""),
+    cloudName: CLOUDINARY_CLOUD_NAME,
+    apiKey: CLOUDINARY_API_KEY,
+    apiSecret: CLOUDINARY_API_SECRET,
+  };
+};
+
+/**
+ * Sign API parameters (sorted key=value pairs joined by "&", plus the secret, SHA-1)
+ * @param {Object} params - Parameters to sign
+ * @param {string} apiSecret - API secret
+ * @returns {string} Hex signature
+ */
+const signParams = (params, apiSecret) => {
+  const toSign = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join("&");
+
+  return crypto
+    .createHash("sha1")
+    .update(`${toSign}${apiSecret}`)
+    .digest("hex");
+};
+
+/**
+ * Build signed request parameters
+ * @param {Object} params - Parameters to sign
+ * @param {Object} config - Cloudinary configuration
+ * @returns {Object} Parameters with timestamp, api_key and signature
+ */
+const buildSignedParams = (params, config) => {
+  const signed = { ...params, timestamp: Math.floor(Date.now() / 1000) };
+  return {
+    ...signed,
+    api_key: config.apiKey,
+    signature: signParams(signed, config.apiSecret),
+  };
+};
+
+/**
+ * Parse a Cloudinary JSON response
+ * @param {Response} response - Fetch response
+ * @param {string} action - Action name (for error message)
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} If the request failed
+ */
+const parseResponse = async (response, action) => {
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(
+      `Cloudinary ${action} failed: ${data.error?.message || response.status}`
+    );
+  }
+  return data;
+};
+
+/**
+ * Derive the storage key of a Cloudinary URL (attachments created before storageKey was stored)
+ * URL format: https://res.cloudinary.com/{cloud_name}/{resource_type}/upload/v{version}/{public_id}.{format}
+ * @param {string} fileUrl - Cloudinary file URL
+ * @returns {string|null} Storage key or null if the URL is not recognized
+ */
+const getStorageKeyFromUrl = (fileUrl) => {
+  const match = /\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/.exec(
+    fileUrl || ""
+  );
+  if (!match) return null;
+
+  const [, resourceType, publicIdWithFormat] = match;
+  // Raw files keep their extension in the public ID
+  const publicId =
+    resourceType === "raw"
+      ? publicIdWithFormat
+      : publicIdWithFormat.slice(
+          0,
+          publicIdWithFormat.length - path.extname(publicIdWithFormat).length
+        );
+
+  return `${resourceType}/${publicId}`;
+};
+
+/**
+ * Upload a file stream to Cloudinary
+ * The multipart request body is streamed, so the file is never buffered in memory
+ * @param {import('stream').Readable} stream - File content
+ * @param {Object} file - File metadata
+ * @param {string} file.filename - Original file name
+ * @param {string} file.mimeType - MIME type
+ * @param {string} file.folder - Folder to store the file in
+ * @returns {Promise<{storageKey: string, size: number, url: string}>} Stored file
+ */
+export const upload = async (stream, { filename, mimeType, folder }) => {
+  const config = getConfig();
+  const params = buildSignedParams({ folder }, config);
+  const boundary = `----TaskManagerBoundary${crypto
+    .randomBytes(12)
+    .toString("hex")}`;
+  const safeFilename = filename.replace(/["\r\n]/g, "_");
+
+  let size = 0;
+  async function* multipartBody() {
+    for (const [name, value] of Object.entries(params)) {
+      yield Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+      );
+    }
+    yield Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${safeFilename}"\r\nContent-Type: ${mimeType}\r\n\r\n`
+    );
+    for await (const chunk of stream) {
+      size += chunk.length;
+      yield chunk;
+    }
+    yield Buffer.from(`\r\n--${boundary}--\r\n`);
+  }
+
+  const response = await fetch(
+    `${config.apiUrl}/${config.cloudName}/auto/upload`,
+    {
+      method: "POST",
+      headers: { "Content-Type": `multipart/form-data; boundary=${boundary}` },
+      body: multipartBody(),
+      duplex: "half",
+    }
+  );
+  const data = await parseResponse(response, "upload");
+
+  return {
+    storageKey: `${data.resource_type}/${data.public_id}`,
+    size: data.bytes ?? size,
+    url: data.secure_url,
+  };
+};
+
+/**
+ * Cloudinary files are public: downloads redirect to the file URL
+ * @param {Object} attachment - Attachment (fileUrl)
+ * @returns {Promise<{redirectUrl: string}>} Redirect target
+ */
+export const download = async ({ fileUrl }) => ({ redirectUrl: fileUrl });
+
+/**
+ * Delete a file from Cloudinary (files already gone are ignored)
+ * @param {Object} attachment - Attachment (storageKey, fileUrl)
+ * @returns {Promise<boolean>} True when the file is gone
+ */
+export const remove = async ({ storageKey, fileUrl }) => {
+  const key = storageKey || getStorageKeyFromUrl(fileUrl);
+  if (!key) {
+    throw new Error("Cannot determine Cloudinary public ID");
+  }
+
+  const config = getConfig();
+  const separatorIndex = key.indexOf("/");
+  const resourceType = key.slice(0, separatorIndex);
+  const publicId = key.slice(separatorIndex + 1);
+
+  const response = await fetch(
+    `${config.apiUrl}/${config.cloudName}/${resourceType}/destroy`,
+    {
+      method: "POST",
+      body: new URLSearchParams(
+        buildSignedParams({ public_id: publicId }, config)
+      ),
+    }
+  );
+  const data = await parseResponse(response, "delete");
+
+  return data.result === "ok" || data.result === "not found";
+};
+
+export default {
+  upload,
+  download,
+  remove,
+};
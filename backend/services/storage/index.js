@@ -0,0 +1,50 @@
+import { STORAGE_PROVIDERS } from "../../utils/constants.js";
+import localStorageAdapter from "./localStorageAdapter.js";
+import cloudinaryStorageAdapter from "./cloudinaryStorageAdapter.js";
+
+/**
+ * Attachment Storage
+ * Resolves the storage adapter for a provider (STORAGE_PROVIDERS)
+ * New uploads use STORAGE_PROVIDER (default: local); existing attachments
+ * keep using the provider recorded on the document
+ *
+ * Every adapter implements the same interface:
+ * @typedef {Object} StorageAdapter
+ * @property {(stream: import('stream').Readable, file: {filename: string, mimeType: string, folder: string}) => Promise<{storageKey: string, size: number, url: string|null}>} upload
+ *   Store a file; url is null when the file is only served through the download endpoint
+ * @property {(attachment: Object) => Promise<{stream?: import('stream').Readable, size?: number, redirectUrl?: string}>} download
+ *   Open a stored file, or return a URL to redirect to
+ * @property {(attachment: Object) => Promise<boolean>} remove
+ *   Delete a stored file
+ */
+
+const STORAGE_ADAPTERS = {
+  [STORAGE_PROVIDERS.LOCAL]: localStorageAdapter,
+  [STORAGE_PROVIDERS.CLOUDINARY]: cloudinaryStorageAdapter,
+};
+
+/**
+ * Get the provider used for new uploads
+ * @returns {string} Storage provider
+ */
+export const getDefaultStorageProvider = () =>
+  process.env.STORAGE_PROVIDER || STORAGE_PROVIDERS.LOCAL;
+
+/**
+ * Get the storage adapter of a provider
+ * @param {string} [provider] - Storage provider (default: STORAGE_PROVIDER)
+ * @returns {StorageAdapter} Storage adapter
+ * @throws {Error} If the provider is unknown
+ */
+export const getStorageAdapter = (provider = getDefaultStorageProvider()) => {
+  const adapter = STORAGE_ADAPTERS[provider];
+  if (!adapter) {
+    throw new Error(`Unknown storage provider: ${provider}`);
+  }
+  return adapter;
+};
+
+export default {
+  getDefaultStorageProvider,
+  getStorageAdapter,
+};
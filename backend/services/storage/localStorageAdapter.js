@@ -0,0 +1,123 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import CustomError from "../../errorHandler/CustomError.js";
+import { HTTP_STATUS, ERROR_CODES } from "../../utils/constants.js";
+
+/**
+ * Local Disk Storage Adapter
+ * Stores attachment files under LOCAL_STORAGE_DIR (default: ./uploads)
+ * Files are served through GET /api/attachments/:attachmentId/download
+ * (no public URL), so access always goes through authorization
+ * Storage keys are relative paths: {folder}/{uuid}{extension}
+ */
+
+/**
+ * Get the absolute storage root directory
+ * @returns {string} Storage root
+ */
+const getStorageRoot = () =>
+  path.resolve(process.env.LOCAL_STORAGE_DIR || "uploads");
+
+/**
+ * Resolve a storage key to an absolute file path inside the storage root
+ * @param {string} storageKey - Relative storage key
+ * @returns {string} Absolute file path
+ * @throws {Error} If the key resolves outside the storage root
+ */
+const resolveFilePath = (storageKey) => {
+  const root = getStorageRoot();
+  const filePath = path.resolve(root, storageKey);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error("Invalid storage key");
+  }
+  return filePath;
+};
+
+/**
+ * Store a file stream on disk
+ * @param {import('stream').Readable} stream - File content
+ * @param {Object} file - File metadata
+ * @param {string} file.filename - Original file name (extension is kept)
+ * @param {string} file.folder - Folder to store the file in
+ * @returns {Promise<{storageKey: string, size: number, url: null}>} Stored file
+ */
+export const upload = async (stream, { filename, folder }) => {
+  const extension = path.extname(filename).toLowerCase();
+  const storageKey = path.posix.join(
+    folder,
+    `${crypto.randomUUID()}${extension}`
+  );
+  const filePath = resolveFilePath(storageKey);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  let size = 0;
+  const counter = new Transform({
+    transform(chunk, _encoding, callback) {
+      size += chunk.length;
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(
+      stream,
+      counter,
+      fs.createWriteStream(filePath, { flags: "wx" })
+    );
+  } catch (error) {
+    // Do not leave partial files behind
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+
+  return { storageKey, size, url: null };
+};
+
+/**
+ * Open a stored file for reading
+ * @param {Object} attachment - Attachment (storageKey)
+ * @returns {Promise<{stream: import('stream').Readable, size: number}>} File stream
+ * @throws {CustomError} If the file no longer exists
+ */
+export const download = async ({ storageKey }) => {
+  const filePath = resolveFilePath(storageKey);
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new CustomError(
+        "Attachment file not found",
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.NOT_FOUND_ERROR
+      );
+    }
+    throw error;
+  }
+
+  return { stream: fs.createReadStream(filePath), size: stats.size };
+};
+
+/**
+ * Delete a stored file (missing files are ignored)
+ * @param {Object} attachment - Attachment (storageKey)
+ * @returns {Promise<boolean>} True when the file is gone
+ */
+export const remove = async ({ storageKey }) => {
+  if (!storageKey) return true;
+
+  await fs.promises.rm(resolveFilePath(storageKey), { force: true });
+  return true;
+};
+
+export default {
+  upload,
+  download,
+  remove,
+};
@@ -0,0 +1,353 @@
+import TaskActivity from "../models/TaskActivity.js";
+import TaskComment from "../models/TaskComment.js";
+import User from "../models/User.js";
+import Vendor from "../models/Vendor.js";
+import { diffAuditSnapshots, getAuditSnapshot } from "./auditService.js";
+import {
+  ACTIVITY_TYPES,
+  ACTIVITY_VALIDATION,
+  PARENT_MODEL_TYPES,
+  TASK_HISTORY,
+  TASK_STATUS,
+  TASK_TIMELINE,
+  TASK_TYPES,
+  TIMELINE_ITEM_TYPES,
+} from "../utils/constants.js";
+
+/**
+ * Task History Service
+ * Records the history of a task as system activities and builds its timeline
+ *
+ * History: when updateTask changes one of TASK_HISTORY.TRACKED_FIELDS, one
+ * system TaskActivity (isSystem) is recorded per changed field with its old
+ * and new values (changes) and a readable description
+ * - status: STATUS_CHANGE (COMPLETION when the task becomes COMPLETED)
+ * - assignees: ASSIGNMENT
+ * - priority, start/due dates, milestones, vendor: FIELD_CHANGE
+ * RoutineTasks have no activities, so their changes are not recorded
+ *
+ * Timeline: activities (manual and system) and comments of a task merged by
+ * date. Comments are those on the task and on its activities; replies stay
+ * threaded under their comment
+ */
+
+// Labels of tracked fields used in descriptions
+const FIELD_LABELS = {
+  status: "Status",
+  priority: "Priority",
+  assignees: "Assignees",
+  startDate: "Start date",
+  dueDate: "Due date",
+  milestones: "Milestones",
+  vendor: "Vendor",
+};
+
+// Populated references of timeline items
+const TIMELINE_POPULATE = {
+  [TIMELINE_ITEM_TYPES.ACTIVITY]: [
+    { path: "createdBy", select: "firstName lastName email profilePicture" },
+    { path: "materials.material", select: "name unit price" },
+  ],
+  [TIMELINE_ITEM_TYPES.COMMENT]: [
+    { path: "createdBy", select: "firstName lastName email profilePicture" },
+    { path: "mentions", select: "firstName lastName email" },
+  ],
+};
+
+/**
+ * Format a snapshot value for a description
+ * @param {*} value - Snapshot value (dates as ISO strings)
+ * @param {boolean} [isDate=false] - Value is a date
+ * @returns {string} Readable value
+ */
+const formatValue = (value, isDate = false) => {
+  if (value === null || value === undefined || value === "") {
+    return TASK_HISTORY.EMPTY_VALUE;
+  }
+  return isDate ? String(value).slice(0, 10) : String(value);
+};
+
+/**
+ * Check whether two ID lists hold the same IDs (order ignored)
+ * @param {Array<string>} a - IDs
+ * @param {Array<string>} b - IDs
+ * @returns {boolean} True if both lists hold the same IDs
+ */
+const isSameIdSet = (a = [], b = []) =>
+  a.length === b.length && a.every((id) => b.includes(id));
+
+/**
+ * Load the names of the users and vendors referenced by changes
+ * @param {Array<Object>} changes - Field changes
+ * @param {mongoose.ClientSession|null} session - MongoDB session
+ * @returns {Promise<Map<string, string>>} Name per ID (deleted included)
+ */
+const loadReferenceNames = async (changes, session) => {
+  const userIds = new Set();
+  const vendorIds = new Set();
+
+  for (const { field, before, after } of changes) {
+    if (field === "assignees") {
+      [...(before || []), ...(after || [])].forEach((id) => userIds.add(id));
+    }
+    if (field === "vendor") {
+      [before, after].filter(Boolean).forEach((id) => vendorIds.add(id));
+    }
+  }
+
+  const [users, vendors] = await Promise.all([
+    userIds.size > 0
+      ? User.find({ _id: { $in: [...userIds] } })
+          .withDeleted()
+          .select("firstName lastName")
+          .session(session)
+          .lean()
+      : [],
+    vendorIds.size > 0
+      ? Vendor.find({ _id: { $in: [...vendorIds] } })
+          .withDeleted()
+          .select("name")
+          .session(session)
+          .lean()
+      : [],
+  ]);
+
+  return new Map([
+    ...users.map((user) => [
+      user._id.toString(),
+      `${user.firstName} ${user.lastName}`.trim(),
+    ]),
+    ...vendors.map((vendor) => [vendor._id.toString(), vendor.name]),
+  ]);
+};
+
+/**
+ * Describe a change of the task assignees
+ * @param {Array<string>} before - Previous assignee IDs
+ * @param {Array<string>} after - New assignee IDs
+ * @param {Map<string, string>} names - Name per ID
+ * @returns {string} Description
+ */
+const describeAssignees = (before = [], after = [], names) => {
+  const nameOf = (id) => names.get(id) || id;
+  const added = after.filter((id) => !before.includes(id)).map(nameOf);
+  const removed = before.filter((id) => !after.includes(id)).map(nameOf);
+
+  const parts = [];
+  if (added.length > 0) parts.push(`Assigned ${added.join(", ")}`);
+  if (removed.length > 0) parts.push(`Unassigned ${removed.join(", ")}`);
+  return parts.join("; ");
+};
+
+/**
+ * Describe a change of the project milestones (matched by name)
+ * @param {Array<Object>} before - Previous milestones
+ * @param {Array<Object>} after - New milestones
+ * @returns {string} Description
+ */
+const describeMilestones = (before = [], after = []) => {
+  const previous = new Map(
+    before.map((milestone) => [milestone.name, milestone])
+  );
+  const current = new Map(
+    after.map((milestone) => [milestone.name, milestone])
+  );
+  const parts = [];
+
+  for (const [name, milestone] of current) {
+    const old = previous.get(name);
+    if (!old) {
+      parts.push(`added "${name}"`);
+      continue;
+    }
+    if (old.status !== milestone.status) {
+      parts.push(`"${name}" ${old.status} -> ${milestone.status}`);
+    }
+    if (old.dueDate !== milestone.dueDate) {
+      parts.push(
+        `"${name}" due ${formatValue(old.dueDate, true)} -> ${formatValue(
+          milestone.dueDate,
+          true
+        )}`
+      );
+    }
+  }
+  for (const name of previous.keys()) {
+    if (!current.has(name)) parts.push(`removed "${name}"`);
+  }
+
+  return parts.length > 0
+    ? `Milestones updated: ${parts.join("; ")}`
+    : "Milestones updated";
+};
+
+/**
+ * Build the system activity type and description of a field change
+ * @param {Object} change - Field change ({ field, before, after })
+ * @param {Map<string, string>} names - Name per referenced ID
+ * @returns {{activityType: string, activity: string}} Activity type and description
+ */
+const describeChange = ({ field, before, after }, names) => {
+  switch (field) {
+    case "status":
+      return {
+        activityType:
+          after === TASK_STATUS.COMPLETED
+            ? ACTIVITY_TYPES.COMPLETION
+            : ACTIVITY_TYPES.STATUS_CHANGE,
+        activity: `Status changed from ${formatValue(before)} to ${formatValue(
+          after
+        )}`,
+      };
+    case "assignees":
+      return {
+        activityType: ACTIVITY_TYPES.ASSIGNMENT,
+        activity: describeAssignees(before || [], after || [], names),
+      };
+    case "milestones":
+      return {
+        activityType: ACTIVITY_TYPES.FIELD_CHANGE,
+        activity: describeMilestones(before || [], after || []),
+      };
+    case "vendor":
+      return {
+        activityType: ACTIVITY_TYPES.FIELD_CHANGE,
+        activity: `Vendor changed from ${formatValue(
+          names.get(before) || before
+        )} to ${formatValue(names.get(after) || after)}`,
+      };
+    default: {
+      const isDate = field === "startDate" || field === "dueDate";
+      return {
+        activityType: ACTIVITY_TYPES.FIELD_CHANGE,
+        activity: `${FIELD_LABELS[field]} changed from ${formatValue(
+          before,
+          isDate
+        )} to ${formatValue(after, isDate)}`,
+      };
+    }
+  }
+};
+
+/**
+ * Record the history of a task update as system activities
+ * Must run after the task is saved, in the update transaction
+ * @param {mongoose.Document} task - Saved task
+ * @param {Object} before - getAuditSnapshot of the task before the update
+ * @param {Object} options - Options
+ * @param {mongoose.Types.ObjectId|string} options.userId - User who updated the task
+ * @param {mongoose.ClientSession} [options.session=null] - MongoDB session
+ * @returns {Promise<Array<mongoose.Document>>} Created system activities
+ */
+export const recordTaskHistory = async (
+  task,
+  before,
+  { userId, session = null }
+) => {
+  if (task.taskType === TASK_TYPES.ROUTINE) return [];
+
+  const changes = diffAuditSnapshots(before, getAuditSnapshot(task))
+    .filter(({ field }) => TASK_HISTORY.TRACKED_FIELDS.includes(field))
+    // Reordered assignees are not a change
+    .filter(
+      ({ field, before: previous, after }) =>
+        field !== "assignees" || !isSameIdSet(previous || [], after || [])
+    )
+    .sort(
+      (a, b) =>
+        TASK_HISTORY.TRACKED_FIELDS.indexOf(a.field) -
+        TASK_HISTORY.TRACKED_FIELDS.indexOf(b.field)
+    );
+  if (changes.length === 0) return [];
+
+  const names = await loadReferenceNames(changes, session);
+  const activities = changes.map((change) => {
+    const { activityType, activity } = describeChange(change, names);
+    return {
+      task: task._id,
+      activityType,
+      activity: activity.slice(0, ACTIVITY_VALIDATION.DESCRIPTION.MAX_LENGTH),
+      isSystem: true,
+      changes: [change],
+      createdBy: userId,
+      organization: task.organization,
+      department: task.department,
+    };
+  });
+
+  return TaskActivity.create(activities, { session, ordered: true });
+};
+
+/**
+ * Get the timeline of a task: its activities and comments merged by date
+ * Soft-deleted activities and comments are left out
+ * @param {mongoose.Types.ObjectId} taskId - Task ID
+ * @param {Object} [options] - Options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=10] - Items per page
+ * @param {string} [options.order=TASK_TIMELINE.ORDER.ASC] - Date order (asc: oldest first)
+ * @returns {Promise<{items: Array<Object>, total: number}>} Page of timeline items
+ *   (itemType: activity or comment) and the number of items
+ */
+export const getTaskTimelineItems = async (
+  taskId,
+  { page = 1, limit = 10, order = TASK_TIMELINE.ORDER.ASC } = {}
+) => {
+  const direction = order === TASK_TIMELINE.ORDER.DESC ? -1 : 1;
+  const activities = await TaskActivity.find({ task: taskId })
+    .select("_id")
+    .lean();
+  const activityIds = activities.map((activity) => activity._id);
+
+  // Soft delete plugin filters the activities; comments are filtered here
+  const [result] = await TaskActivity.aggregate([
+    { $match: { task: taskId } },
+    { $addFields: { itemType: TIMELINE_ITEM_TYPES.ACTIVITY } },
+    {
+      $unionWith: {
+        coll: TaskComment.collection.name,
+        pipeline: [
+          {
+            $match: {
+              isDeleted: { $ne: true },
+              $or: [
+                { parentModel: PARENT_MODEL_TYPES.TASK, parent: taskId },
+                {
+                  parentModel: PARENT_MODEL_TYPES.TASK_ACTIVITY,
+                  parent: { $in: activityIds },
+                },
+              ],
+            },
+          },
+          { $addFields: { itemType: TIMELINE_ITEM_TYPES.COMMENT } },
+        ],
+      },
+    },
+    { $sort: { createdAt: direction, _id: direction } },
+    {
+      $facet: {
+        items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const { items } = result;
+  await Promise.all([
+    TaskActivity.populate(
+      items.filter((item) => item.itemType === TIMELINE_ITEM_TYPES.ACTIVITY),
+      TIMELINE_POPULATE[TIMELINE_ITEM_TYPES.ACTIVITY]
+    ),
+    TaskComment.populate(
+      items.filter((item) => item.itemType === TIMELINE_ITEM_TYPES.COMMENT),
+      TIMELINE_POPULATE[TIMELINE_ITEM_TYPES.COMMENT]
+    ),
+  ]);
+
+  return { items, total: result.total[0]?.count || 0 };
+};
+
+export default {
+  recordTaskHistory,
+  getTaskTimelineItems,
+};
@@ -0,0 +1,48 @@
+import { VENDOR_STATUS } from "../utils/constants.js";
+
+/**
+ * Vendor Compliance Service
+ * A vendor is compliant while none of its mandatory documents has expired
+ * Non-compliant vendors cannot be given new project tasks; the vendor
+ * compliance scheduler can also move them out of ACTIVE (complianceHold)
+ */
+
+/**
+ * Get the lapsed mandatory documents of a vendor
+ * @param {Object} vendor - Vendor (document or lean object) with documents
+ * @param {Date} [at=new Date()] - Moment to check
+ * @returns {Array<Object>} Mandatory documents that expired before `at`
+ */
+export const getLapsedDocuments = (vendor, at = new Date()) =>
+  (vendor.documents || []).filter(
+    (document) => document.isMandatory && document.expiryDate < at
+  );
+
+/**
+ * Check whether a vendor is compliant
+ * @param {Object} vendor - Vendor (document or lean object) with documents
+ * @param {Date} [at=new Date()] - Moment to check
+ * @returns {boolean} True when no mandatory document has lapsed
+ */
+export const isVendorCompliant = (vendor, at = new Date()) =>
+  getLapsedDocuments(vendor, at).length === 0;
+
+/**
+ * Reactivate a vendor held for compliance once it is compliant again
+ * Changes the document only; the caller saves it
+ * @param {mongoose.Document} vendor - Vendor document
+ * @returns {boolean} True when the hold was released
+ */
+export const releaseComplianceHold = (vendor) => {
+  if (!vendor.complianceHold || !isVendorCompliant(vendor)) return false;
+
+  vendor.status = VENDOR_STATUS.ACTIVE;
+  vendor.complianceHold = false;
+  return true;
+};
+
+export default {
+  getLapsedDocuments,
+  isVendorCompliant,
+  releaseComplianceHold,
+};
@@ -0,0 +1,207 @@
+import Organization from "../models/Organization.js";
+import ProjectTask from "../models/ProjectTask.js";
+import Vendor from "../models/Vendor.js";
+import { toTimezone } from "../utils/helpers.js";
+import { VENDOR_SCORECARD, VENDOR_VALIDATION } from "../utils/constants.js";
+
+/**
+ * Vendor Scorecard Service
+ * Derives vendor performance from the vendorPerformance records of completed
+ * project tasks (on-time flag, delay, milestone slippage and the 1-5 rating
+ * given on completion)
+ *
+ * Vendor.rating = RATING_WEIGHT x average project rating
+ *               + ON_TIME_WEIGHT x on-time score (on-time rate mapped onto 1-5)
+ * Without rated projects the on-time score alone is used; vendors without
+ * completed projects get their rating cleared (null)
+ */
+
+/**
+ * Round a value to VENDOR_SCORECARD.PRECISION decimal places
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+const roundScore = (value) =>
+  Number(value.toFixed(VENDOR_SCORECARD.PRECISION));
+
+/**
+ * Average of the non-null values
+ * @param {Array<number|null>} values - Values
+ * @returns {number|null} Rounded average, null when there are no values
+ */
+const average = (values) => {
+  const present = values.filter(
+    (value) => value !== null && value !== undefined
+  );
+  return present.length > 0
+    ? roundScore(
+        present.reduce((sum, value) => sum + value, 0) / present.length
+      )
+    : null;
+};
+
+/**
+ * Summarize vendor performance records
+ * @param {Array<Object>} records - vendorPerformance of completed project tasks
+ * @returns {Object} Counts, on-time %, average delay, slippage and rating, and the score
+ */
+const summarizePerformance = (records) => {
+  const onTimeCount = records.filter((record) => record.isOnTime).length;
+  const averageRating = average(records.map((record) => record.rating));
+
+  let score = null;
+  if (records.length > 0) {
+    const { MIN, MAX } = VENDOR_VALIDATION.RATING;
+    const onTimeScore = MIN + (MAX - MIN) * (onTimeCount / records.length);
+    score = roundScore(
+      averageRating === null
+        ? onTimeScore
+        : VENDOR_SCORECARD.RATING_WEIGHT * averageRating +
+            VENDOR_SCORECARD.ON_TIME_WEIGHT * onTimeScore
+    );
+  }
+
+  return {
+    completedCount: records.length,
+    ratedCount: records.filter((record) => record.rating !== null).length,
+    onTimeCount,
+    onTimePercent:
+      records.length > 0
+        ? roundScore((onTimeCount / records.length) * 100)
+        : null,
+    averageDelayDays: average(records.map((record) => record.delayDays)),
+    averageMilestoneSlippageDays: average(
+      records.map((record) => record.milestoneSlippageDays)
+    ),
+    averageRating,
+    score,
+  };
+};
+
+/**
+ * Find the completed project tasks of a vendor
+ * @param {mongoose.Types.ObjectId|string} vendorId - Vendor ID
+ * @param {mongoose.ClientSession} [session=null] - MongoDB session
+ * @returns {Promise<Array<Object>>} Tasks (newest completion first)
+ */
+const findCompletedProjects = (vendorId, session = null) =>
+  ProjectTask.find({
+    vendor: vendorId,
+    "vendorPerformance.completedAt": { $ne: null },
+  })
+    .select("title department dueDate vendorPerformance")
+    .sort({ "vendorPerformance.completedAt": -1 })
+    .session(session)
+    .lean();
+
+/**
+ * Keep the completion date of milestones that stay completed
+ * Milestones are matched by name; the others get their completion date when saved
+ * @param {Array<Object>} milestones - New milestones ({ name, dueDate, status })
+ * @param {Array<Object>} previousMilestones - Milestones before the change
+ * @returns {Array<Object>} Milestones with completedAt where one was recorded
+ */
+export const keepMilestoneCompletionDates = (
+  milestones,
+  previousMilestones = []
+) => {
+  const completionDates = new Map(
+    previousMilestones.map((milestone) => [
+      milestone.name.trim().toLowerCase(),
+      milestone.completedAt,
+    ])
+  );
+
+  return milestones.map((milestone) => ({
+    ...milestone,
+    completedAt:
+      completionDates.get(milestone.name.trim().toLowerCase()) ?? null,
+  }));
+};
+
+/**
+ * Recompute Vendor.rating from the vendor's completed project tasks
+ * @param {mongoose.Types.ObjectId|string} vendorId - Vendor ID
+ * @param {Object} [options] - Options
+ * @param {mongoose.ClientSession} [options.session=null] - MongoDB session
+ * @returns {Promise<number|null>} New rating, null (rating cleared) when the vendor has
+ *   no completed projects
+ */
+export const refreshVendorRating = async (
+  vendorId,
+  { session = null } = {}
+) => {
+  const projects = await findCompletedProjects(vendorId, session);
+  const { score } = summarizePerformance(
+    projects.map((project) => project.vendorPerformance)
+  );
+  await Vendor.updateOne(
+    { _id: vendorId },
+    { $set: { rating: score } }
+  ).session(session);
+
+  return score;
+};
+
+/**
+ * Build the scorecard of a vendor
+ * @param {Object} vendor - Vendor (_id, name, rating, organization)
+ * @param {Object} [options] - Options
+ * @param {number} [options.months=VENDOR_SCORECARD.TREND_MONTHS.DEFAULT] - Months in the trend
+ * @returns {Promise<Object>} Summary, monthly trend and the latest completed projects
+ */
+export const buildVendorScorecard = async (
+  vendor,
+  { months = VENDOR_SCORECARD.TREND_MONTHS.DEFAULT } = {}
+) => {
+  const organization = await Organization.findById(vendor.organization)
+    .select("settings.timezone")
+    .lean();
+  const timezone = organization?.settings?.timezone;
+
+  const projects = await findCompletedProjects(vendor._id);
+  const records = projects.map((project) => project.vendorPerformance);
+
+  // Monthly buckets in the organization's timezone, oldest first (empty months included)
+  const currentMonth = toTimezone(new Date(), timezone).startOf("month");
+  const trend = Array.from({ length: months }, (_, index) => {
+    const period = currentMonth
+      .subtract(months - 1 - index, "month")
+      .format("YYYY-MM");
+    const periodRecords = records.filter(
+      (record) =>
+        toTimezone(record.completedAt, timezone).format("YYYY-MM") === period
+    );
+    const { completedCount, onTimePercent, averageDelayDays, averageRating } =
+      summarizePerformance(periodRecords);
+
+    return {
+      period,
+      completedCount,
+      onTimePercent,
+      averageDelayDays,
+      averageRating,
+    };
+  });
+
+  return {
+    vendor: { _id: vendor._id, name: vendor.name, rating: vendor.rating },
+    summary: summarizePerformance(records),
+    trend,
+    projects: projects
+      .slice(0, VENDOR_SCORECARD.RECENT_PROJECTS)
+      .map((project) => ({
+        _id: project._id,
+        title: project.title,
+        department: project.department,
+        dueDate: project.dueDate,
+        ...project.vendorPerformance,
+      })),
+  };
+};
+
+export default {
+  keepMilestoneCompletionDates,
+  refreshVendorRating,
+  buildVendorScorecard,
+};
@@ -0,0 +1,286 @@
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY,
+  WEBHOOK_VALIDATION,
+} from "../utils/constants.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Webhook Service
+ * Queues organization events for their subscribed webhooks and sends signed
+ * deliveries (the webhook worker drives retries)
+ *
+ * Request sent to the receiver (POST, application/json):
+ * - Body: { id, event, createdAt, organization, data }
+ * - X-Webhook-Id: event ID (same for every retry and redelivery)
+ * - X-Webhook-Event: event type
+ * - X-Webhook-Timestamp: Unix time (seconds) of the attempt
+ * - X-Webhook-Signature: "sha256=" + hex HMAC-SHA256 of "<timestamp>.<raw body>"
+ *   keyed with the webhook secret
+ * Any 2xx response counts as delivered; redirects are not followed
+ *
+ * Receivers must resolve to public addresses: loopback, private, link-local,
+ * CGNAT, unique-local and reserved ranges are rejected when the webhook is saved
+ * and again before every attempt (DNS may change in between). Local receivers
+ * are only allowed in development with WEBHOOK_ALLOW_PRIVATE_URLS=true
+ */
+
+// Address ranges webhook receivers must not resolve to
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local (cloud metadata endpoints)
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4], // Reserved and broadcast
+].forEach(([address, prefix]) =>
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128], // Unspecified
+  ["::1", 128], // Loopback
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7], // Unique-local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+].forEach(([address, prefix]) =>
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+/**
+ * Check whether local receivers are allowed (development opt-in)
+ * @returns {boolean} True if webhook URLs may resolve to any address
+ */
+const allowsPrivateWebhookUrls = () =>
+  process.env.NODE_ENV !== "production" &&
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+/**
+ * Check that a webhook URL resolves to public addresses only
+ * @param {string} url - Webhook URL
+ * @returns {Promise<boolean>} True if every address of the host is public
+ * @throws {Error} If the host cannot be resolved or resolves to a blocked address
+ */
+export const assertPublicWebhookUrl = async (url) => {
+  if (allowsPrivateWebhookUrls()) return true;
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch {
+    throw new Error(`Webhook URL host ${hostname} could not be resolved`);
+  }
+
+  const blocked = addresses.some(({ address, family }) =>
+    BLOCKED_WEBHOOK_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4")
+  );
+  if (addresses.length === 0 || blocked) {
+    throw new Error(
+      "Webhook URL must not point to a private, loopback or link-local address"
+    );
+  }
+  return true;
+};
+
+/**
+ * Generate a webhook signing secret
+ * @returns {string} Random hex secret
+ */
+export const generateWebhookSecret = () =>
+  crypto.randomBytes(WEBHOOK_VALIDATION.SECRET.GENERATED_BYTES).toString("hex");
+
+/**
+ * Sign a webhook request body
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - X-Webhook-Timestamp value
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+export const signWebhookPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+/**
+ * Queue an event for the webhooks of an organization subscribed to it
+ * Never throws: webhook failures must not break the operation that emitted the event
+ * @param {string} event - Event type (WEBHOOK_EVENTS; other events are ignored)
+ * @param {Object} data - Event data (documents are serialized with toJSON)
+ * @param {mongoose.Types.ObjectId|string} organizationId - Organization of the event
+ * @param {Object} [options] - Queue options
+ * @param {Object} [options.webhook=null] - Queue for this webhook only, whatever
+ *   its events (webhook pings)
+ * @returns {Promise<Object>} Queue result ({ success, queuedCount, deliveries, error })
+ */
+export const queueWebhookEvent = async (
+  event,
+  data,
+  organizationId,
+  { webhook = null } = {}
+) => {
+  try {
+    if (!organizationId || (!webhook && !WEBHOOK_EVENTS.includes(event))) {
+      return { success: true, queuedCount: 0, deliveries: [] };
+    }
+
+    const webhooks = webhook
+      ? [webhook]
+      : await Webhook.find({
+          organization: organizationId,
+          isActive: true,
+          events: event,
+        })
+          .select("_id")
+          .lean();
+    if (webhooks.length === 0) {
+      return { success: true, queuedCount: 0, deliveries: [] };
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      organization: organizationId.toString(),
+      data: JSON.parse(JSON.stringify(data)),
+    };
+
+    const deliveries = await WebhookDelivery.insertMany(
+      webhooks.map(({ _id }) => ({
+        webhook: _id,
+        organization: organizationId,
+        event,
+        eventId: payload.id,
+        payload,
+      }))
+    );
+
+    logger.info("Webhook event queued", {
+      event,
+      eventId: payload.id,
+      organizationId,
+      webhookCount: deliveries.length,
+    });
+
+    return { success: true, queuedCount: deliveries.length, deliveries };
+  } catch (error) {
+    logger.error("Failed to queue webhook event", {
+      error: error.message,
+      stack: error.stack,
+      event,
+      organizationId,
+    });
+
+    return {
+      success: false,
+      queuedCount: 0,
+      deliveries: [],
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Read the start of a response body (the rest is discarded)
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string|null>} At most RESPONSE_BODY_MAX_LENGTH characters
+ */
+const readResponseExcerpt = async (response) => {
+  if (!response.body) return null;
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+
+  while (text.length < WEBHOOK_DELIVERY.RESPONSE_BODY_MAX_LENGTH) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value, { stream: true });
+  }
+  await reader.cancel().catch(() => {});
+
+  return text.slice(0, WEBHOOK_DELIVERY.RESPONSE_BODY_MAX_LENGTH) || null;
+};
+
+/**
+ * Send a delivery to its webhook
+ * @param {Object} webhook - Webhook with its secret (url, secret)
+ * @param {Object} delivery - Webhook delivery (event, eventId, payload)
+ * @returns {Promise<Object>} Attempt result
+ *   ({ success, responseStatus, responseBody, error, durationMs })
+ */
+export const sendWebhookRequest = async (webhook, delivery) => {
+  const { HEADERS } = WEBHOOK_DELIVERY;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const appName = process.env.APP_NAME || "Task Manager";
+  const startedAt = Date.now();
+
+  try {
+    // Checked again right before sending: the host may now resolve elsewhere
+    await assertPublicWebhookUrl(webhook.url);
+
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": `${appName} Webhooks`,
+        [HEADERS.ID]: delivery.eventId,
+        [HEADERS.EVENT]: delivery.event,
+        [HEADERS.TIMESTAMP]: timestamp,
+        [HEADERS.SIGNATURE]: `sha256=${signWebhookPayload(
+          webhook.secret,
+          timestamp,
+          body
+        )}`,
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(WEBHOOK_DELIVERY.TIMEOUT_MS),
+    });
+    const responseBody = await readResponseExcerpt(response);
+    const success = response.status >= 200 && response.status < 300;
+
+    return {
+      success,
+      responseStatus: response.status,
+      responseBody,
+      error: success ? null : `Receiver responded with HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      responseStatus: null,
+      responseBody: null,
+      error:
+        error.name === "TimeoutError"
+          ? `No response within ${WEBHOOK_DELIVERY.TIMEOUT_MS / 1000} seconds`
+          : error.cause?.message || error.message,
+      durationMs: Date.now() - startedAt,
+    };
+  }
+};
+
+export default {
+  generateWebhookSecret,
+  signWebhookPayload,
+  queueWebhookEvent,
+  assertPublicWebhookUrl,
+  sendWebhookRequest,
+};
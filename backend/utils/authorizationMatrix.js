@@ -1,7 +1,7 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { USER_ROLES } from "./constants.js";
+import { USER_ROLES, API_TOKEN } from "./constants.js";
 import logger from "./logger.js";
 
 /**
@@ -335,6 +335,35 @@ export const canDeleteOrganization = (organization) => {
   }
 };
 
+/**
+ * Get the scopes a role can grant to API tokens
+ * Scopes are "resource:operation" pairs the role is permitted by the matrix,
+ * except token management (API_TOKEN.RESTRICTED_RESOURCES)
+ * @param {string} role - User role
+ * @returns {Array<string>} Assignable scopes (e.g. "tasks:read")
+ */
+export const getAssignableScopes = (role) => {
+  const resources = authorizationMatrix[role]?.resources || {};
+
+  return Object.entries(resources)
+    .filter(([resource]) => !API_TOKEN.RESTRICTED_RESOURCES.includes(resource))
+    .flatMap(([resource, operations]) =>
+      operations.map((operation) => `${resource}:${operation}`)
+    );
+};
+
+/**
+ * Check if API token scopes allow an operation on a resource
+ * Tokens never exceed the role: authorize() checks the role permission first
+ * @param {Array<string>} scopes - Token scopes ("resource:operation")
+ * @param {string} resource - Resource name
+ * @param {string} operation - Operation
+ * @returns {boolean} True if the scope is granted
+ */
+export const hasTokenScope = (scopes, resource, operation) => {
+  return Array.isArray(scopes) && scopes.includes(`${resource}:${operation}`);
+};
+
 export default {
   getPermissions,
   hasPermission,
@@ -344,4 +373,6 @@ export default {
   checkScopeAccess,
   checkPlatformSuperAdminAccess,
   canDeleteOrganization,
+  getAssignableScopes,
+  hasTokenScope,
 };
@@ -0,0 +1,276 @@
+import mongoose from "mongoose";
+import logger from "./logger.js";
+import { toTimezone } from "./helpers.js";
+import { DIGEST_FREQUENCY } from "./constants.js";
+import { getDigestPeriod, buildUserDigest } from "../services/digestService.js";
+import { sendDigestEmail } from "../services/emailService.js";
+
+/**
+ * Digest Scheduler
+ * Sends the daily/weekly email digest per user notification preferences
+ * Digests are sent at DIGEST_SEND_HOUR in the organization timezone
+ * (weekly digests on Monday), or within DIGEST_SEND_WINDOW_HOURS after it
+ * when the server was down at that time
+ * digest.lastSentAt prevents duplicates; failed sends are retried on the next run
+ * Users are processed independently so one failure does not stop the others
+ */
+
+// Check interval: Run every hour (3600000 ms)
+const DIGEST_INTERVAL = 60 * 60 * 1000;
+
+// Local hour (organization timezone) at which digests are sent
+const DIGEST_SEND_HOUR = 7;
+
+// Day of week on which weekly digests are sent (0 = Sunday, 1 = Monday)
+const DIGEST_WEEKLY_DAY = 1;
+
+// Digests missed by more than this many hours wait for the next period
+const DIGEST_SEND_WINDOW_HOURS = 12;
+
+// Store interval ID for the digest job
+let digestIntervalId = null;
+
+/**
+ * Get the most recent scheduled send time of a digest frequency
+ * @param {string} frequency - Digest frequency (DAILY or WEEKLY)
+ * @param {string} timezone - Organization timezone
+ * @param {Date} now - Reference time
+ * @returns {Date} Latest scheduled send time at or before now
+ */
+export const getScheduledSendTime = (frequency, timezone, now) => {
+  const isWeekly = frequency === DIGEST_FREQUENCY.WEEKLY;
+  let scheduled = toTimezone(now, timezone)
+    .startOf("day")
+    .add(DIGEST_SEND_HOUR, "hour");
+
+  if (isWeekly) {
+    scheduled = scheduled.subtract(
+      (scheduled.day() - DIGEST_WEEKLY_DAY + 7) % 7,
+      "day"
+    );
+  }
+  if (scheduled.isAfter(now)) {
+    scheduled = scheduled.subtract(1, isWeekly ? "week" : "day");
+  }
+
+  return scheduled.toDate();
+};
+
+/**
+ * Check whether a user's digest is due
+ * @param {Object} preferences - Notification preferences of the user
+ * @param {string} timezone - Organization timezone
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if the digest should be sent now
+ */
+const isDigestDue = (preferences, timezone, now) => {
+  const { frequency, lastSentAt } = preferences.digest || {};
+  if (frequency === DIGEST_FREQUENCY.NONE) return false;
+
+  const scheduled = getScheduledSendTime(frequency, timezone, now);
+  const isWithinWindow =
+    now - scheduled < DIGEST_SEND_WINDOW_HOURS * 60 * 60 * 1000;
+
+  return isWithinWindow && (!lastSentAt || lastSentAt < scheduled);
+};
+
+/**
+ * Build and send the digest of a single user, then record lastSentAt
+ * Empty digests are not emailed but still count as sent for the period
+ * @param {Object} user - User (email, names, organization, department)
+ * @param {Object} preferences - Notification preferences of the user
+ * @param {Object} settings - Organization settings (timezone, dateFormat)
+ * @param {Date} now - Reference time
+ * @returns {Promise<string>} "sent" or "empty"
+ * @throws {Error} If the email could not be queued
+ */
+const sendUserDigest = async (user, preferences, settings, now) => {
+  const NotificationPreference = mongoose.model("NotificationPreference");
+  const frequency = preferences.digest?.frequency || DIGEST_FREQUENCY.DAILY;
+
+  const period = getDigestPeriod(
+    frequency,
+    preferences.digest?.lastSentAt,
+    now
+  );
+  const digest = await buildUserDigest(user, preferences, settings, period);
+
+  if (!digest.isEmpty) {
+    const result = await sendDigestEmail(
+      user.email,
+      `${user.firstName} ${user.lastName}`,
+      digest,
+      {
+        organization: user.organization,
+        idempotencyKey: `digest:${user._id}:${period.start.toISOString()}`,
+      }
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+
+  await NotificationPreference.updateOne(
+    { user: user._id },
+    {
+      $set: { "digest.lastSentAt": now },
+      $setOnInsert: { organization: user.organization },
+    },
+    { upsert: true }
+  );
+
+  return digest.isEmpty ? "empty" : "sent";
+};
+
+/**
+ * Run the digest job for all organizations
+ * @param {Object} [options] - Job options
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @param {string} [options.email=null] - Only process the user with this email
+ * @param {boolean} [options.force=false] - Ignore the schedule (frequency NONE is still skipped)
+ * @returns {Promise<Object>} Job result
+ */
+export const runDigestJob = async ({
+  now = new Date(),
+  email = null,
+  force = false,
+} = {}) => {
+  try {
+    logger.info("Starting digest job", {
+      timestamp: now.toISOString(),
+      email,
+      force,
+    });
+
+    const Organization = mongoose.model("Organization");
+    const User = mongoose.model("User");
+    const NotificationPreference = mongoose.model("NotificationPreference");
+
+    const organizations = await Organization.find()
+      .select("settings.timezone settings.dateFormat")
+      .lean();
+
+    const counts = { sent: 0, empty: 0, failed: 0 };
+
+    for (const organization of organizations) {
+      const users = await User.find({
+        organization: organization._id,
+        ...(email && { email: email.toLowerCase() }),
+      })
+        .select("firstName lastName email organization department")
+        .lean();
+      if (users.length === 0) continue;
+
+      const preferencesByUser = await NotificationPreference.getForUsers(
+        users.map((user) => user._id)
+      );
+
+      for (const user of users) {
+        const preferences = preferencesByUser.get(user._id.toString());
+        const isDue = force
+          ? preferences.digest?.frequency !== DIGEST_FREQUENCY.NONE
+          : isDigestDue(preferences, organization.settings?.timezone, now);
+        if (!isDue) continue;
+
+        try {
+          const outcome = await sendUserDigest(
+            user,
+            preferences,
+            organization.settings,
+            now
+          );
+          counts[outcome]++;
+        } catch (error) {
+          counts.failed++;
+          logger.error("Failed to send digest", {
+            error: error.message,
+            userId: user._id,
+            organizationId: organization._id,
+          });
+        }
+      }
+    }
+
+    logger.info("Digest job completed", {
+      timestamp: new Date().toISOString(),
+      sentCount: counts.sent,
+      emptyCount: counts.empty,
+      failedCount: counts.failed,
+    });
+
+    return {
+      success: true,
+      sentCount: counts.sent,
+      emptyCount: counts.empty,
+      failedCount: counts.failed,
+    };
+  } catch (error) {
+    logger.error("Digest job failed", {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Start digest scheduler
+ * Runs every hour
+ */
+export const startDigestScheduler = () => {
+  if (digestIntervalId) {
+    logger.warn("Digest scheduler already running");
+    return;
+  }
+
+  logger.info("Starting digest scheduler", {
+    interval: `${DIGEST_INTERVAL / 1000 / 60} minutes`,
+    sendHour: DIGEST_SEND_HOUR,
+  });
+
+  // Run immediately on start
+  runDigestJob();
+
+  // Schedule recurring runs
+  digestIntervalId = setInterval(() => {
+    runDigestJob();
+  }, DIGEST_INTERVAL);
+
+  logger.info("Digest scheduler started successfully");
+};
+
+/**
+ * Stop digest scheduler
+ */
+export const stopDigestScheduler = () => {
+  if (!digestIntervalId) {
+    logger.warn("Digest scheduler not running");
+    return;
+  }
+
+  clearInterval(digestIntervalId);
+  digestIntervalId = null;
+
+  logger.info("Digest scheduler stopped");
+};
+
+/**
+ * Check if digest scheduler is running
+ * @returns {boolean} True if scheduler is running
+ */
+export const isDigestSchedulerRunning = () => {
+  return digestIntervalId !== null;
+};
+
+export default {
+  getScheduledSendTime,
+  runDigestJob,
+  startDigestScheduler,
+  stopDigestScheduler,
+  isDigestSchedulerRunning,
+};
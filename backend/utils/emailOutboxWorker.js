@@ -0,0 +1,149 @@
+import mongoose from "mongoose";
+import logger from "./logger.js";
+import { EMAIL_OUTBOX, EMAIL_OUTBOX_STATUS } from "./constants.js";
+import { deliverEmail } from "../services/emailService.js";
+
+/**
+ * Email Outbox Worker
+ * Delivers queued EmailOutbox messages through the SMTP transporter
+ * Messages are claimed atomically (safe with several server instances);
+ * failures are retried with exponential backoff and marked FAILED after
+ * EMAIL_OUTBOX.MAX_ATTEMPTS (see EmailOutbox.recordAttempt)
+ * Messages left in SENDING by a crashed worker are reclaimed after EMAIL_OUTBOX.LOCK_TIMEOUT_MS
+ */
+
+// Store interval ID for the worker
+let workerIntervalId = null;
+
+// Prevent overlapping runs when a batch takes longer than the poll interval
+let isProcessing = false;
+
+/**
+ * Deliver due outbox messages (at most EMAIL_OUTBOX.BATCH_SIZE per run)
+ * @returns {Promise<Object>} Processing result
+ */
+export const processEmailOutbox = async () => {
+  if (isProcessing) {
+    return { success: true, skipped: true };
+  }
+  isProcessing = true;
+
+  try {
+    const EmailOutbox = mongoose.model("EmailOutbox");
+    const counts = { sent: 0, retried: 0, failed: 0 };
+
+    for (let i = 0; i < EMAIL_OUTBOX.BATCH_SIZE; i++) {
+      const message = await EmailOutbox.claimNext();
+      if (!message) break;
+
+      const result = await deliverEmail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+      });
+      await message.recordAttempt(result);
+
+      if (result.success) {
+        counts.sent++;
+      } else if (message.status === EMAIL_OUTBOX_STATUS.FAILED) {
+        counts.failed++;
+        logger.error("Email delivery failed permanently", {
+          outboxId: message._id,
+          template: message.template,
+          to: message.to,
+          attempts: message.attempts,
+          error: result.error,
+        });
+      } else {
+        counts.retried++;
+      }
+    }
+
+    if (counts.sent + counts.retried + counts.failed > 0) {
+      logger.info("Email outbox processed", {
+        timestamp: new Date().toISOString(),
+        sentCount: counts.sent,
+        retriedCount: counts.retried,
+        failedCount: counts.failed,
+      });
+    }
+
+    return {
+      success: true,
+      sentCount: counts.sent,
+      retriedCount: counts.retried,
+      failedCount: counts.failed,
+    };
+  } catch (error) {
+    logger.error("Email outbox processing failed", {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      success: false,
+      error: error.message,
+    };
+  } finally {
+    isProcessing = false;
+  }
+};
+
+/**
+ * Start email outbox worker
+ * Polls every EMAIL_OUTBOX.POLL_INTERVAL_MS
+ */
+export const startEmailOutboxWorker = () => {
+  if (workerIntervalId) {
+    logger.warn("Email outbox worker already running");
+    return;
+  }
+
+  logger.info("Starting email outbox worker", {
+    interval: `${EMAIL_OUTBOX.POLL_INTERVAL_MS / 1000} seconds`,
+    maxAttempts: EMAIL_OUTBOX.MAX_ATTEMPTS,
+  });
+
+  // Run immediately on start
+  processEmailOutbox();
+
+  // Schedule recurring polling
+  workerIntervalId = setInterval(() => {
+    processEmailOutbox();
+  }, EMAIL_OUTBOX.POLL_INTERVAL_MS);
+
+  logger.info("Email outbox worker started successfully");
+};
+
+/**
+ * Stop email outbox worker
+ */
+export const stopEmailOutboxWorker = () => {
+  if (!workerIntervalId) {
+    logger.warn("Email outbox worker not running");
+    return;
+  }
+
+  clearInterval(workerIntervalId);
+  workerIntervalId = null;
+
+  logger.info("Email outbox worker stopped");
+};
+
+/**
+ * Check if email outbox worker is running
+ * @returns {boolean} True if worker is running
+ */
+export const isEmailOutboxWorkerRunning = () => {
+  return workerIntervalId !== null;
+};
+
+export default {
+  processEmailOutbox,
+  startEmailOutboxWorker,
+  stopEmailOutboxWorker,
+  isEmailOutboxWorkerRunning,
+};
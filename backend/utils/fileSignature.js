@@ -0,0 +1,202 @@
+import { Transform } from "stream";
+import CustomError from "../errorHandler/CustomError.js";
+import { HTTP_STATUS, ERROR_CODES } from "./constants.js";
+
+/**
+ * File Signature Utilities
+ * Detects file content types from their leading bytes ("magic bytes") so
+ * the declared MIME type of an upload is never trusted on its own
+ *
+ * Container formats cannot tell their documents apart from the signature:
+ * ZIP covers OOXML (docx, xlsx, pptx), CFB covers legacy Office (doc, xls, ppt),
+ * and plain text covers CSV
+ */
+
+// Leading bytes inspected before a file is accepted
+export const SIGNATURE_SNIFF_BYTES = 4096;
+
+/**
+ * Check whether a buffer contains the given bytes at an offset
+ * @param {Buffer} buffer - File head
+ * @param {Array<number>|string} bytes - Expected bytes (string: latin1)
+ * @param {number} [offset=0] - Byte offset
+ * @returns {boolean} True if the bytes match
+ */
+const hasBytes = (buffer, bytes, offset = 0) => {
+  const expected =
+    typeof bytes === "string" ? Buffer.from(bytes, "latin1") : bytes;
+  if (buffer.length < offset + expected.length) return false;
+
+  for (let i = 0; i < expected.length; i++) {
+    if (buffer[offset + i] !== expected[i]) return false;
+  }
+  return true;
+};
+
+// Binary signatures, checked in order
+const BINARY_SIGNATURES = [
+  { mimeType: "image/jpeg", test: (b) => hasBytes(b, [0xff, 0xd8, 0xff]) },
+  {
+    mimeType: "image/png",
+    test: (b) =>
+      hasBytes(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    mimeType: "image/gif",
+    test: (b) => hasBytes(b, "GIF87a") || hasBytes(b, "GIF89a"),
+  },
+  {
+    mimeType: "image/webp",
+    test: (b) => hasBytes(b, "RIFF") && hasBytes(b, "WEBP", 8),
+  },
+  { mimeType: "application/pdf", test: (b) => hasBytes(b, "%PDF-") },
+  {
+    mimeType: "application/x-cfb",
+    test: (b) =>
+      hasBytes(b, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  },
+  {
+    mimeType: "application/zip",
+    test: (b) =>
+      hasBytes(b, [0x50, 0x4b, 0x03, 0x04]) ||
+      hasBytes(b, [0x50, 0x4b, 0x05, 0x06]),
+  },
+  {
+    mimeType: "application/x-rar-compressed",
+    test: (b) => hasBytes(b, "Rar!\x1a\x07"),
+  },
+];
+
+// Declared MIME types accepted for each detected container type
+const CONTAINER_MIME_TYPES = {
+  "application/x-cfb": [
+    "application/msword",
+    "application/vnd.ms-excel",
+    "application/vnd.ms-powerpoint",
+  ],
+  "application/zip": [
+    "application/zip",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ],
+  "text/plain": ["text/plain", "text/csv"],
+};
+
+// Non-standard aliases of declared MIME types
+const MIME_TYPE_ALIASES = {
+  "image/jpg": "image/jpeg",
+};
+
+// SVG root element, optionally after an XML declaration, comments and a doctype
+const SVG_PATTERN =
+  /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i;
+
+/**
+ * Check whether a file head looks like text (no NUL or other binary control bytes)
+ * @param {Buffer} buffer - File head
+ * @returns {boolean} True if the content is text
+ */
+const isText = (buffer) => {
+  for (const byte of buffer) {
+    // Allowed control bytes: tab, line feed, vertical tab, form feed, carriage return, escape
+    if (byte < 0x09 || (byte > 0x0d && byte < 0x20 && byte !== 0x1b)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Detect the content type of a file from its leading bytes
+ * @param {Buffer} head - First bytes of the file (up to SIGNATURE_SNIFF_BYTES)
+ * @returns {string|null} Detected MIME type (container types for ZIP/CFB/text), or null if unknown
+ */
+export const detectMimeType = (head) => {
+  const signature = BINARY_SIGNATURES.find(({ test }) => test(head));
+  if (signature) return signature.mimeType;
+
+  if (!isText(head)) return null;
+
+  // Skip a UTF-8 byte order mark
+  const text = head.toString("utf8").replace(/^\uFEFF/, "");
+  return SVG_PATTERN.test(text) ? "image/svg+xml" : "text/plain";
+};
+
+/**
+ * Resolve the MIME type of a file from its declared type and detected content
+ * @param {string} declaredMimeType - MIME type declared by the client
+ * @param {string|null} detectedMimeType - Result of detectMimeType
+ * @returns {string|null} Canonical MIME type, or null if the content does not match
+ */
+export const resolveMimeType = (declaredMimeType, detectedMimeType) => {
+  const declared = MIME_TYPE_ALIASES[declaredMimeType] || declaredMimeType;
+  if (!detectedMimeType) return null;
+  if (declared === detectedMimeType) return declared;
+
+  return CONTAINER_MIME_TYPES[detectedMimeType]?.includes(declared)
+    ? declared
+    : null;
+};
+
+/**
+ * Create a pass-through stream that verifies the file signature
+ * The first SIGNATURE_SNIFF_BYTES are held back until checked; the stream
+ * fails (415) when the content does not match the declared MIME type
+ * Once verified, the canonical MIME type is available as stream.mimeType
+ * @param {string} declaredMimeType - MIME type declared by the client
+ * @returns {Transform} Verifying stream
+ */
+export const createSignatureCheck = (declaredMimeType) => {
+  let head = Buffer.alloc(0);
+  let isChecked = false;
+
+  const verify = (stream) => {
+    isChecked = true;
+    const mimeType = resolveMimeType(declaredMimeType, detectMimeType(head));
+    if (!mimeType) {
+      return new CustomError(
+        `File content does not match its declared type ${declaredMimeType}`,
+        HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+    stream.mimeType = mimeType;
+    return null;
+  };
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      if (isChecked) {
+        callback(null, chunk);
+        return;
+      }
+
+      head = Buffer.concat([head, chunk]);
+      if (head.length < SIGNATURE_SNIFF_BYTES) {
+        callback();
+        return;
+      }
+
+      const error = verify(this);
+      callback(error, error ? undefined : head);
+    },
+    flush(callback) {
+      if (isChecked) {
+        callback();
+        return;
+      }
+
+      // Files smaller than SIGNATURE_SNIFF_BYTES
+      const error = verify(this);
+      callback(error, error ? undefined : head);
+    },
+  });
+};
+
+export default {
+  SIGNATURE_SNIFF_BYTES,
+  detectMimeType,
+  resolveMimeType,
+  createSignatureCheck,
+};
@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import CustomError from "../errorHandler/CustomError.js";
 import { HTTP_STATUS, ERROR_CODES, TOKEN_EXPIRY } from "./constants.js";
@@ -7,6 +8,8 @@ import logger from "./logger.js";
  * JWT Token Management
  * Generate, verify, and refresh JWT tokens for authentication
  * Uses same JWT secret for HTTP and Socket.IO
+ * Both tokens carry the ID of the session (device) they were issued for;
+ * refresh tokens also get a unique ID (jti) so every rotation yields a new token
  */
 
 // Cache environment checks for performance
@@ -76,20 +79,22 @@ const getBaseCookieConfig = () => ({
  * @param {string|ObjectId} user.organization - Organization ID
  * @param {string|ObjectId} [user.department] - Department ID (optional)
  * @param {boolean} [user.isPlatformUser] - Platform user flag
+ * @param {string|ObjectId} sessionId - Session the tokens are issued for
  * @returns {Object} Token object
  * @returns {string} return.accessToken - JWT access token
  * @returns {string} return.refreshToken - JWT refresh token
  * @throws {CustomError} If JWT secrets are not configured or user is invalid
  */
-export const generateTokens = (user) => {
+export const generateTokens = (user, sessionId) => {
   try {
     // Validate user object
-    if (!user || !user._id || !user.email || !user.role) {
+    if (!user || !user._id || !user.email || !user.role || !sessionId) {
       logger.error("Invalid user object provided to generateTokens", {
         hasUser: !!user,
         hasId: !!user?._id,
         hasEmail: !!user?.email,
         hasRole: !!user?.role,
+        hasSessionId: !!sessionId,
       });
       throw new CustomError(
         "Invalid user object provided",
@@ -109,6 +114,7 @@ export const generateTokens = (user) => {
       organization: normalizeObjectId(user.organization),
       department: normalizeObjectId(user.department),
       isPlatformUser: user.isPlatformUser || false,
+      sessionId: sessionId.toString(),
     };
 
     // Generate access token (15min)
@@ -119,7 +125,11 @@ export const generateTokens = (user) => {
 
     // Generate refresh token (7days)
     const refreshToken = jwt.sign(
-      { userId: user._id },
+      {
+        userId: user._id,
+        sessionId: sessionId.toString(),
+        jti: crypto.randomUUID(),
+      },
       process.env.JWT_REFRESH_SECRET,
       {
         expiresIn: TOKEN_EXPIRY.REFRESH,
@@ -130,6 +140,7 @@ export const generateTokens = (user) => {
     logger.info("Tokens generated successfully", {
       userId: user._id,
       email: user.email,
+      sessionId,
     });
 
     return { accessToken, refreshToken };
@@ -204,7 +215,7 @@ export const verifyToken = (token, type = "access") => {
 
 /**
  * Refresh tokens - generate new access and refresh tokens
- * Rotates refresh token on each refresh
+ * Rotates refresh token on each refresh (same session as the current token)
  * @param {string} refreshToken - Current refresh token
  * @param {Object} user - User object from database
  * @returns {Object} Token object
@@ -227,7 +238,7 @@ export const refreshTokens = (refreshToken, user) => {
     }
 
     // Generate new tokens (rotate refresh token)
-    const tokens = generateTokens(user);
+    const tokens = generateTokens(user, decoded.sessionId);
 
     logger.info("Tokens refreshed successfully", {
       userId: user._id,
@@ -248,7 +259,7 @@ export const refreshTokens = (refreshToken, user) => {
  * Set token cookies with httpOnly and secure flags
  * @param {Object} res - Express response object
  * @param {string} accessToken - Access token
- * @param {string} refreshToken - Refresh token
+ * @param {string|null} refreshToken - Refresh token (null keeps the current refresh cookie)
  */
 export const setTokenCookies = (res, accessToken, refreshToken) => {
   try {
@@ -261,10 +272,12 @@ export const setTokenCookies = (res, accessToken, refreshToken) => {
     });
 
     // Refresh token cookie (7days)
-    res.cookie("refreshToken", refreshToken, {
-      ...baseCookieConfig,
-      maxAge: COOKIE_MAX_AGE.REFRESH,
-    });
+    if (refreshToken) {
+      res.cookie("refreshToken", refreshToken, {
+        ...baseCookieConfig,
+        maxAge: COOKIE_MAX_AGE.REFRESH,
+      });
+    }
 
     logger.debug("Token cookies set successfully");
   } catch (error) {
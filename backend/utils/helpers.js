@@ -1,6 +1,12 @@
 import crypto from "crypto";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
 import { PAGINATION, COMMON_VALIDATION } from "./constants.js";
 
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
 /**
  * Utility Helper Functions
  * Common utility functions used across the application
@@ -205,6 +211,30 @@ export const truncate = (str, length = 100, suffix = "...") => {
   return str.substring(0, length).trim() + suffix;
 };
 
+/**
+ * Get frontend URL from environment
+ * @returns {string} Frontend URL
+ */
+export const getFrontendUrl = () => {
+  const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(",") || [];
+  return allowedOrigins[0] || "http://localhost:3000";
+};
+
+/**
+ * Convert a date to a dayjs instance in an IANA timezone
+ * Falls back to UTC when the timezone is missing or unknown
+ * @param {Date|string|number} date - Date to convert
+ * @param {string} tz - IANA timezone (e.g. organization settings.timezone)
+ * @returns {dayjs.Dayjs} Date in the given timezone
+ */
+export const toTimezone = (date, tz) => {
+  try {
+    return tz ? dayjs(date).tz(tz) : dayjs(date).utc();
+  } catch {
+    return dayjs(date).utc();
+  }
+};
+
 /**
  * Deep clone an object
  * @param {*} obj - Object to clone
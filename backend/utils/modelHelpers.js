@@ -4,6 +4,7 @@
  */
 
 import mongoose from "mongoose";
+import { convertQuantity, normalizeUnit } from "./unitConversion.js";
 
 /**
  * Validate that all materials belong to the same organization and department
@@ -49,6 +50,151 @@ export async function validateMaterialsScope(
   }
 }
 
+/**
+ * Convert material lines entered in another unit to the material's unit
+ * A line may carry the unit its quantity was entered in (unit); quantity is
+ * converted to the material's unit and the entered values are kept
+ * (enteredQuantity, enteredUnit). Lines without a unit, or in the material's
+ * unit, are taken as they are
+ * @param {Array} materials - Array of material lines ({ material, quantity, unit })
+ * @param {ClientSession} session - MongoDB session for transaction support
+ * @returns {Promise<Array>} Lines in the materials' units
+ * @throws {Error} If a material is not found or a unit cannot be converted
+ */
+export async function normalizeMaterialLineUnits(materials, session = null) {
+  const lines = materials || [];
+  const unitLines = lines.filter((line) => line.unit);
+  if (unitLines.length === 0) {
+    return lines.map(({ unit: _unit, ...line }) => ({
+      ...line,
+      enteredQuantity: null,
+      enteredUnit: null,
+    }));
+  }
+
+  const Material = mongoose.model("Material");
+  const foundMaterials = await Material.find({
+    _id: { $in: unitLines.map((line) => line.material) },
+  })
+    .select("name unit")
+    .session(session)
+    .lean();
+  const materialsById = new Map(
+    foundMaterials.map((material) => [material._id.toString(), material])
+  );
+
+  return lines.map(({ unit, ...line }) => {
+    if (!unit) {
+      return { ...line, enteredQuantity: null, enteredUnit: null };
+    }
+
+    const material = materialsById.get(line.material.toString());
+    if (!material) {
+      throw new Error("One or more materials not found");
+    }
+    if (normalizeUnit(unit) === normalizeUnit(material.unit)) {
+      return { ...line, enteredQuantity: null, enteredUnit: null };
+    }
+
+    return {
+      ...line,
+      quantity: convertQuantity(line.quantity, unit, material.unit),
+      enteredQuantity: line.quantity,
+      enteredUnit: normalizeUnit(unit),
+    };
+  });
+}
+
+/**
+ * Load the price history of materials
+ * @param {Array} materialIds - Material IDs
+ * @param {ClientSession} session - MongoDB session for transaction support
+ * @returns {Promise<Map<string, Array>>} Entries by material ID, oldest effective date first
+ */
+export async function loadMaterialPriceHistories(materialIds, session = null) {
+  const MaterialPrice = mongoose.model("MaterialPrice");
+  const entries = await MaterialPrice.find({
+    material: { $in: materialIds },
+  })
+    .select("material price effectiveFrom vendor")
+    .sort({ effectiveFrom: 1, createdAt: 1 })
+    .session(session)
+    .lean();
+
+  const histories = new Map();
+  entries.forEach((entry) => {
+    const key = entry.material.toString();
+    if (!histories.has(key)) histories.set(key, []);
+    histories.get(key).push(entry);
+  });
+  return histories;
+}
+
+/**
+ * Get the price that was effective at a moment
+ * Before the first entry the first recorded price applies
+ * @param {Array} history - Price entries, oldest effective date first
+ * @param {Date} at - Moment
+ * @returns {number|null} Price, null when the history is empty
+ */
+export function getPriceEffectiveAt(history, at) {
+  if (!history || history.length === 0) {
+    return null;
+  }
+
+  const effective = history.filter((entry) => entry.effectiveFrom <= at);
+  return effective.length > 0
+    ? effective[effective.length - 1].price
+    : history[0].price;
+}
+
+/**
+ * Record the material price on lines without a unit price
+ * Uses the price effective at the given moment (price history), falling back
+ * to the current Material.price for materials without history
+ * Lines that already carry a unitPrice keep it (price snapshot at time of use)
+ * @param {Array} materials - Array of material lines ({ material, quantity, unitPrice })
+ * @param {ClientSession} session - MongoDB session for transaction support
+ * @param {Date} effectiveAt - Moment of use
+ */
+export async function snapshotMaterialPrices(
+  materials,
+  session = null,
+  effectiveAt = new Date()
+) {
+  const unpricedLines = (materials || []).filter(
+    (line) => line.unitPrice === null || line.unitPrice === undefined
+  );
+  if (unpricedLines.length === 0) {
+    return;
+  }
+
+  const materialIds = unpricedLines.map((line) => line.material);
+  const Material = mongoose.model("Material");
+  const foundMaterials = await Material.find({
+    _id: { $in: materialIds },
+  })
+    .select("price")
+    .session(session)
+    .lean();
+  const histories = await loadMaterialPriceHistories(materialIds, session);
+
+  const prices = new Map(
+    foundMaterials.map((material) => [
+      material._id.toString(),
+      getPriceEffectiveAt(
+        histories.get(material._id.toString()),
+        effectiveAt
+      ) ??
+        material.price ??
+        0,
+    ])
+  );
+  unpricedLines.forEach((line) => {
+    line.unitPrice = prices.get(line.material.toString()) ?? 0;
+  });
+}
+
 /**
  * Validate that all users belong to the same organization
  * @param {Array} userIds - Array of user IDs
@@ -87,5 +233,9 @@ export async function validateUsersScope(
 
 export default {
   validateMaterialsScope,
+  normalizeMaterialLineUnits,
+  loadMaterialPriceHistories,
+  getPriceEffectiveAt,
+  snapshotMaterialPrices,
   validateUsersScope,
 };
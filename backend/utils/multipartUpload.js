@@ -0,0 +1,235 @@
+import path from "path";
+import Busboy from "busboy";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  FILE_TYPES,
+  FILE_UPLOAD,
+  ATTACHMENT_VALIDATION,
+} from "./constants.js";
+import { createSignatureCheck } from "./fileSignature.js";
+
+/**
+ * Multipart Upload Utilities
+ * Streams multipart/form-data files straight to a handler (no temporary files,
+ * no buffering of whole files in memory)
+ * Enforces the file size limit, the number of files, allowed extensions and MIME types,
+ * and checks file content against the declared MIME type (see fileSignature.js)
+ */
+
+/**
+ * Map a MIME type to an attachment file type (FILE_TYPES)
+ * @param {string} mimeType - MIME type
+ * @returns {string} File type
+ */
+export const getFileTypeFromMimeType = (mimeType = "") => {
+  if (mimeType.startsWith("image/")) return FILE_TYPES.IMAGE;
+  if (mimeType.startsWith("video/")) return FILE_TYPES.VIDEO;
+  if (mimeType.startsWith("audio/")) return FILE_TYPES.AUDIO;
+  if (
+    mimeType.startsWith("text/") ||
+    mimeType === "application/pdf" ||
+    mimeType === "application/msword" ||
+    mimeType === "application/vnd.ms-excel" ||
+    mimeType === "application/vnd.ms-powerpoint" ||
+    mimeType.startsWith("application/vnd.openxmlformats-officedocument.")
+  ) {
+    return FILE_TYPES.DOCUMENT;
+  }
+  return FILE_TYPES.OTHER;
+};
+
+/**
+ * Validate the name and declared MIME type of an incoming file
+ * @param {string} filename - Original file name
+ * @param {string} mimeType - Declared MIME type
+ * @returns {CustomError|null} Validation error or null if valid
+ */
+const validateIncomingFile = (filename, mimeType) => {
+  if (
+    !filename ||
+    filename.length < ATTACHMENT_VALIDATION.FILE_NAME.MIN_LENGTH ||
+    filename.length > ATTACHMENT_VALIDATION.FILE_NAME.MAX_LENGTH
+  ) {
+    return new CustomError(
+      `File name must be between ${ATTACHMENT_VALIDATION.FILE_NAME.MIN_LENGTH} and ${ATTACHMENT_VALIDATION.FILE_NAME.MAX_LENGTH} characters`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  const extension = path.extname(filename).toLowerCase();
+  if (!ATTACHMENT_VALIDATION.ALLOWED_EXTENSIONS.includes(extension)) {
+    return new CustomError(
+      `File extension ${extension || "(none)"} is not allowed. Allowed extensions: ${ATTACHMENT_VALIDATION.ALLOWED_EXTENSIONS.join(
+        ", "
+      )}`,
+      HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  if (!ATTACHMENT_VALIDATION.ALLOWED_MIME_TYPES.includes(mimeType)) {
+    return new CustomError(
+      `File type ${mimeType} is not allowed`,
+      HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Receive the files of a multipart/form-data request
+ * Each file is streamed to onFile as it arrives; non-file fields are ignored
+ * The stream fails if the file is too large or its content does not match the
+ * declared MIME type; once read, stream.mimeType holds the verified MIME type
+ * On failure the returned promise rejects with the first error, and
+ * error.uploaded holds the results of files already handled (for cleanup)
+ *
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} options - Upload options
+ * @param {number} options.maxFiles - Maximum number of files
+ * @param {number} [options.maxFileSize=FILE_UPLOAD.MAX_SIZE] - Maximum size per file (bytes)
+ * @param {(stream: import('stream').Readable, file: {filename: string, mimeType: string}) => Promise<*>} options.onFile - File handler
+ * @returns {Promise<Array>} Results of onFile, in upload order
+ * @throws {CustomError} If the request is not multipart, has no files, or a file is rejected
+ */
+export const receiveMultipartFiles = (
+  req,
+  { maxFiles, maxFileSize = FILE_UPLOAD.MAX_SIZE, onFile }
+) =>
+  new Promise((resolve, reject) => {
+    if (!req.is("multipart/form-data")) {
+      reject(
+        new CustomError(
+          "Request must be multipart/form-data",
+          HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE,
+          ERROR_CODES.VALIDATION_ERROR
+        )
+      );
+      return;
+    }
+
+    let busboy;
+    try {
+      busboy = Busboy({
+        headers: req.headers,
+        limits: { fileSize: maxFileSize, files: maxFiles },
+      });
+    } catch (error) {
+      reject(
+        new CustomError(
+          `Invalid multipart request: ${error.message}`,
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.VALIDATION_ERROR
+        )
+      );
+      return;
+    }
+
+    const pending = [];
+    const results = [];
+    let failure = null;
+    let isFinished = false;
+
+    // Keep the first error; later files are skipped
+    const fail = (error) => {
+      if (!failure) failure = error;
+    };
+
+    const finish = async () => {
+      if (isFinished) return;
+      isFinished = true;
+
+      await Promise.all(pending);
+      const uploaded = results.filter((result) => result !== undefined);
+
+      if (failure) {
+        failure.uploaded = uploaded;
+        reject(failure);
+      } else if (uploaded.length === 0) {
+        reject(
+          new CustomError(
+            "At least one file is required",
+            HTTP_STATUS.BAD_REQUEST,
+            ERROR_CODES.VALIDATION_ERROR
+          )
+        );
+      } else {
+        resolve(uploaded);
+      }
+    };
+
+    busboy.on("file", (_fieldName, file, { filename, mimeType }) => {
+      const error = failure || validateIncomingFile(filename, mimeType);
+      if (error) {
+        fail(error);
+        file.resume();
+        return;
+      }
+
+      // Stream handed to onFile; fails when busboy truncates the file
+      // or the file signature does not match the declared MIME type
+      const limited = createSignatureCheck(mimeType);
+      file.on("limit", () => {
+        limited.destroy(
+          new CustomError(
+            `File ${filename} exceeds the maximum size of ${maxFileSize} bytes`,
+            HTTP_STATUS.PAYLOAD_TOO_LARGE,
+            ERROR_CODES.VALIDATION_ERROR
+          )
+        );
+      });
+      file.on("error", (fileError) => limited.destroy(fileError));
+      // Handled here as well (errors can occur before onFile reads the stream);
+      // the rest of the file is discarded so the request keeps flowing
+      limited.on("error", (streamError) => {
+        fail(streamError);
+        file.unpipe(limited);
+        file.resume();
+      });
+      file.pipe(limited);
+
+      const index = pending.length;
+      pending.push(
+        Promise.resolve()
+          .then(() => onFile(limited, { filename, mimeType }))
+          .then((result) => {
+            results[index] = result;
+          }, fail)
+      );
+    });
+
+    busboy.on("filesLimit", () => {
+      fail(
+        new CustomError(
+          `A maximum of ${maxFiles} files can be uploaded`,
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.VALIDATION_ERROR
+        )
+      );
+    });
+
+    busboy.on("error", (error) => {
+      fail(
+        new CustomError(
+          `Invalid multipart request: ${error.message}`,
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.VALIDATION_ERROR
+        )
+      );
+      finish();
+    });
+
+    busboy.on("close", finish);
+
+    req.pipe(busboy);
+  });
+
+export default {
+  getFileTypeFromMimeType,
+  receiveMultipartFiles,
+};
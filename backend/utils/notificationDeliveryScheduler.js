@@ -0,0 +1,102 @@
+import logger from "./logger.js";
+import { deliverDeferredNotifications } from "../services/notificationService.js";
+
+/**
+ * Notification Delivery Scheduler
+ * Pushes the in-app notifications held back by the recipients' quiet hours
+ * once the quiet hours end (deferred emails are scheduled on the outbox itself)
+ */
+
+// Check interval: Run every minute (60000 ms)
+const DELIVERY_CHECK_INTERVAL = 60 * 1000;
+
+// Store interval ID for the delivery job
+let deliveryIntervalId = null;
+
+/**
+ * Run the deferred notification delivery
+ * @returns {Promise<Object>} Job result
+ */
+export const runDeferredNotificationDelivery = async () => {
+  try {
+    const { pushedCount } = await deliverDeferredNotifications();
+
+    if (pushedCount > 0) {
+      logger.info("Deferred notifications delivered", {
+        timestamp: new Date().toISOString(),
+        pushedCount,
+      });
+    }
+
+    return {
+      success: true,
+      pushedCount,
+    };
+  } catch (error) {
+    logger.error("Deferred notification delivery failed", {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Start notification delivery scheduler
+ * Runs every minute
+ */
+export const startNotificationDeliveryScheduler = () => {
+  if (deliveryIntervalId) {
+    logger.warn("Notification delivery scheduler already running");
+    return;
+  }
+
+  logger.info("Starting notification delivery scheduler", {
+    interval: `${DELIVERY_CHECK_INTERVAL / 1000 / 60} minutes`,
+  });
+
+  // Run immediately on start
+  runDeferredNotificationDelivery();
+
+  // Schedule recurring runs
+  deliveryIntervalId = setInterval(() => {
+    runDeferredNotificationDelivery();
+  }, DELIVERY_CHECK_INTERVAL);
+
+  logger.info("Notification delivery scheduler started successfully");
+};
+
+/**
+ * Stop notification delivery scheduler
+ */
+export const stopNotificationDeliveryScheduler = () => {
+  if (!deliveryIntervalId) {
+    logger.warn("Notification delivery scheduler not running");
+    return;
+  }
+
+  clearInterval(deliveryIntervalId);
+  deliveryIntervalId = null;
+
+  logger.info("Notification delivery scheduler stopped");
+};
+
+/**
+ * Check if notification delivery scheduler is running
+ * @returns {boolean} True if scheduler is running
+ */
+export const isNotificationDeliverySchedulerRunning = () => {
+  return deliveryIntervalId !== null;
+};
+
+export default {
+  runDeferredNotificationDelivery,
+  startNotificationDeliveryScheduler,
+  stopNotificationDeliveryScheduler,
+  isNotificationDeliverySchedulerRunning,
+};
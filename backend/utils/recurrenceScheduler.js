@@ -0,0 +1,331 @@
+import mongoose from "mongoose";
+import dayjs from "dayjs";
+import logger from "./logger.js";
+import { withTransaction } from "./helpers.js";
+import { emitTaskCreated } from "./socketEmitter.js";
+import { syncStockConsumption } from "../services/stockService.js";
+import {
+  RECURRENCE_FREQUENCY,
+  RECURRENCE_VALIDATION,
+  TASK_TYPES,
+  STOCK_SOURCE_MODELS,
+} from "./constants.js";
+
+/**
+ * Recurrence Scheduler
+ * Materializes upcoming RoutineTask occurrences from recurring series roots
+ * Respects recurrence end date and RECURRENCE_VALIDATION.MAX_OCCURRENCES
+ * Skips occurrences that already exist (including soft-deleted ones)
+ * Links every generated occurrence back to its series root
+ * Posts the material consumption of generated occurrences to the stock ledger
+ * once they are due (or completed earlier, see isRoutineConsumptionDue); a
+ * shortage is flagged, never rejected, so the job is not blocked
+ * Each series root (and the stock posting of each organization) runs in its own
+ * transaction so one failure does not stop the others
+ */
+
+// Generation interval: Run every hour (3600000 ms)
+const GENERATION_INTERVAL = 60 * 60 * 1000;
+
+// Occurrences are generated this many days ahead of their date
+const GENERATION_LOOKAHEAD_DAYS = 7;
+
+// Store interval ID for generation
+let generationIntervalId = null;
+
+// dayjs unit for each recurrence frequency
+const FREQUENCY_UNITS = {
+  [RECURRENCE_FREQUENCY.DAILY]: "day",
+  [RECURRENCE_FREQUENCY.WEEKLY]: "week",
+  [RECURRENCE_FREQUENCY.MONTHLY]: "month",
+};
+
+/**
+ * Compute the date of the nth occurrence of a series
+ * Always computed from the root date to avoid month-end drift
+ * @param {Date} rootDate - Date of the series root (occurrence 0)
+ * @param {Object} recurrence - Recurrence settings (frequency, interval)
+ * @param {number} index - Occurrence index (root = 0)
+ * @returns {Date} Occurrence date
+ */
+export const getOccurrenceDate = (rootDate, recurrence, index) => {
+  const unit = FREQUENCY_UNITS[recurrence.frequency];
+  return dayjs(rootDate)
+    .add(index * (recurrence.interval || 1), unit)
+    .toDate();
+};
+
+/**
+ * Pick the series member whose values new occurrences should copy
+ * The latest occurrence that was not edited on its own wins, falling back to the root
+ * @param {mongoose.Document} root - Series root
+ * @param {mongoose.ClientSession} session - MongoDB session
+ * @returns {Promise<Object>} Template document
+ */
+const getSeriesTemplate = async (root, session) => {
+  const RoutineTask = mongoose.model(TASK_TYPES.ROUTINE);
+
+  const latest = await RoutineTask.findOne({
+    series: root._id,
+    isSeriesException: { $ne: true },
+  })
+    .sort({ date: -1 })
+    .session(session)
+    .lean();
+
+  return latest || root;
+};
+
+/**
+ * Generate upcoming occurrences for a single series root
+ * @param {mongoose.Document} root - Series root
+ * @param {Date} horizon - Latest occurrence date to generate
+ * @param {mongoose.ClientSession} session - MongoDB session
+ * @returns {Promise<Array>} Created occurrences
+ */
+const generateSeriesOccurrences = async (root, horizon, session) => {
+  const RoutineTask = mongoose.model(TASK_TYPES.ROUTINE);
+  const { recurrence } = root;
+  const startOfToday = dayjs().startOf("day").toDate();
+
+  // Existing occurrences (deleted ones count so they are not recreated)
+  const existing = await RoutineTask.find({ series: root._id })
+    .select("date")
+    .session(session)
+    .withDeleted()
+    .lean();
+  const existingDates = new Set(existing.map((o) => o.date.getTime()));
+
+  const created = [];
+  let template = null;
+
+  for (let index = 1; index < RECURRENCE_VALIDATION.MAX_OCCURRENCES; index++) {
+    const date = getOccurrenceDate(root.date, recurrence, index);
+
+    if (date > horizon) break;
+    if (recurrence.endDate && date > recurrence.endDate) break;
+
+    // Past occurrences are not backfilled
+    if (date < startOfToday || existingDates.has(date.getTime())) continue;
+
+    if (!template) {
+      template = await getSeriesTemplate(root, session);
+    }
+
+    const occurrence = new RoutineTask({
+      description: template.description,
+      priority: template.priority,
+      organization: root.organization,
+      department: root.department,
+      createdBy: root.createdBy,
+      watchers: template.watchers,
+      tags: template.tags,
+      materials: template.materials,
+      date,
+      series: root._id,
+    });
+
+    await occurrence.save({ session });
+    existingDates.add(date.getTime());
+    created.push(occurrence);
+  }
+
+  return created;
+};
+
+/**
+ * Post the material consumption of the generated occurrences of an organization
+ * that became due
+ * @param {mongoose.Types.ObjectId} organizationId - Organization ID
+ * @param {Date} now - Reference time
+ * @param {mongoose.ClientSession} session - MongoDB session
+ * @returns {Promise<number>} Number of occurrences posted
+ */
+const postDueOccurrenceConsumption = async (organizationId, now, session) => {
+  const RoutineTask = mongoose.model(TASK_TYPES.ROUTINE);
+
+  const occurrences = await RoutineTask.find({
+    organization: organizationId,
+    series: { $ne: null },
+    stockPostedAt: null,
+    date: { $lte: now },
+  }).session(session);
+  if (occurrences.length === 0) return 0;
+
+  await syncStockConsumption(occurrences, STOCK_SOURCE_MODELS.ROUTINE_TASK, {
+    session,
+    allowNegative: true,
+  });
+  await RoutineTask.updateMany(
+    { _id: { $in: occurrences.map((occurrence) => occurrence._id) } },
+    { $set: { stockPostedAt: now } }
+  ).session(session);
+
+  return occurrences.length;
+};
+
+/**
+ * Run recurrence generation for all active series roots
+ * @returns {Promise<Object>} Generation result
+ */
+export const runRecurrenceGeneration = async () => {
+  try {
+    logger.info("Starting recurrence generation job", {
+      timestamp: new Date().toISOString(),
+    });
+
+    const RoutineTask = mongoose.model(TASK_TYPES.ROUTINE);
+    const now = new Date();
+    const horizon = dayjs(now).add(GENERATION_LOOKAHEAD_DAYS, "day").toDate();
+
+    const roots = await RoutineTask.find({
+      series: null,
+      "recurrence.frequency": { $in: Object.values(RECURRENCE_FREQUENCY) },
+      $or: [
+        { "recurrence.endDate": null },
+        {
+          "recurrence.endDate": { $gte: dayjs(now).startOf("day").toDate() },
+        },
+      ],
+    });
+
+    let totalGenerated = 0;
+    let failedCount = 0;
+    for (const root of roots) {
+      try {
+        const occurrences = await withTransaction(
+          (session) => generateSeriesOccurrences(root, horizon, session),
+          logger
+        );
+        totalGenerated += occurrences.length;
+
+        // Emit after commit so clients never see rolled back occurrences
+        occurrences.forEach((occurrence) => {
+          emitTaskCreated(occurrence, occurrence.organization);
+        });
+      } catch (error) {
+        failedCount++;
+        logger.error("Failed to generate series occurrences", {
+          error: error.message,
+          seriesId: root._id,
+          organizationId: root.organization,
+        });
+      }
+    }
+
+    // Organizations with due occurrences whose consumption is not posted yet
+    const dueOccurrences = await RoutineTask.find({
+      series: { $ne: null },
+      stockPostedAt: null,
+      date: { $lte: now },
+    })
+      .select("organization")
+      .lean();
+    const organizationIds = [
+      ...new Set(
+        dueOccurrences.map(({ organization }) => organization.toString())
+      ),
+    ];
+
+    let stockPostedCount = 0;
+    for (const organizationId of organizationIds) {
+      try {
+        stockPostedCount += await withTransaction(
+          (session) =>
+            postDueOccurrenceConsumption(organizationId, now, session),
+          logger
+        );
+      } catch (error) {
+        failedCount++;
+        logger.error("Failed to post due occurrence consumption", {
+          error: error.message,
+          organizationId,
+        });
+      }
+    }
+
+    logger.info("Recurrence generation job completed", {
+      timestamp: new Date().toISOString(),
+      seriesCount: roots.length,
+      totalGenerated,
+      stockPostedCount,
+      failedCount,
+    });
+
+    return {
+      success: true,
+      seriesCount: roots.length,
+      totalGenerated,
+      stockPostedCount,
+      failedCount,
+    };
+  } catch (error) {
+    logger.error("Recurrence generation job failed", {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Start recurrence generation scheduler
+ * Runs every hour
+ */
+export const startRecurrenceScheduler = () => {
+  if (generationIntervalId) {
+    logger.warn("Recurrence scheduler already running");
+    return;
+  }
+
+  logger.info("Starting recurrence scheduler", {
+    interval: `${GENERATION_INTERVAL / 1000 / 60} minutes`,
+    lookahead: `${GENERATION_LOOKAHEAD_DAYS} days`,
+  });
+
+  // Run immediately on start
+  runRecurrenceGeneration();
+
+  // Schedule recurring generation
+  generationIntervalId = setInterval(() => {
+    runRecurrenceGeneration();
+  }, GENERATION_INTERVAL);
+
+  logger.info("Recurrence scheduler started successfully");
+};
+
+/**
+ * Stop recurrence generation scheduler
+ */
+export const stopRecurrenceScheduler = () => {
+  if (!generationIntervalId) {
+    logger.warn("Recurrence scheduler not running");
+    return;
+  }
+
+  clearInterval(generationIntervalId);
+  generationIntervalId = null;
+
+  logger.info("Recurrence scheduler stopped");
+};
+
+/**
+ * Check if recurrence scheduler is running
+ * @returns {boolean} True if scheduler is running
+ */
+export const isRecurrenceSchedulerRunning = () => {
+  return generationIntervalId !== null;
+};
+
+export default {
+  getOccurrenceDate,
+  runRecurrenceGeneration,
+  startRecurrenceScheduler,
+  stopRecurrenceScheduler,
+  isRecurrenceSchedulerRunning,
+};
@@ -0,0 +1,228 @@
+import mongoose from "mongoose";
+import logger from "./logger.js";
+import { ENTITY_MODEL_TYPES, REORDER_ALERT_STATUS } from "./constants.js";
+import { findMaterialsBelowReorderPoint } from "../services/stockService.js";
+import { createSystemAlertNotification } from "../services/notificationService.js";
+
+/**
+ * Reorder Scheduler
+ * Watches material stock against reorder points
+ * When the stock of a material in its own department falls to or below its
+ * reorder point, the HODs of that department receive a SYSTEM_ALERT and an
+ * OPEN ReorderAlert is recorded; it is resolved once the stock is above the
+ * reorder point again (or the material is deleted or loses its reorder point),
+ * so each crossing alerts once
+ * Materials are processed independently so one failure does not stop the others
+ */
+
+// Check interval: Run every 30 minutes (1800000 ms)
+const REORDER_CHECK_INTERVAL = 30 * 60 * 1000;
+
+// Store interval ID for the reorder check job
+let reorderIntervalId = null;
+
+/**
+ * Raise an alert for a material at or below its reorder point
+ * @param {Object} material - Material with quantityOnHand (from findMaterialsBelowReorderPoint)
+ * @returns {Promise<void>}
+ */
+const raiseReorderAlert = async (material) => {
+  const User = mongoose.model("User");
+  const ReorderAlert = mongoose.model("ReorderAlert");
+
+  const hods = await User.find({
+    organization: material.organization,
+    department: material.department,
+    isHod: true,
+  })
+    .select("_id")
+    .lean();
+  const recipientIds = hods.map((hod) => hod._id);
+
+  let notifications = [];
+  if (recipientIds.length > 0) {
+    const reorderHint = material.reorderQuantity
+      ? ` Suggested reorder quantity: ${material.reorderQuantity} ${material.unit}.`
+      : "";
+    const result = await createSystemAlertNotification({
+      title: "Low Stock",
+      message: `${material.name} is at ${material.quantityOnHand} ${material.unit}, at or below its reorder point of ${material.reorderPoint} ${material.unit}.${reorderHint}`,
+      recipientIds,
+      organizationId: material.organization,
+      departmentId: material.department,
+      entityId: material._id,
+      entityModel: ENTITY_MODEL_TYPES.MATERIAL,
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    notifications = result.notifications;
+  } else {
+    logger.warn("No HOD to alert for material below reorder point", {
+      materialId: material._id,
+      departmentId: material.department,
+    });
+  }
+
+  await ReorderAlert.create({
+    organization: material.organization,
+    department: material.department,
+    material: material._id,
+    quantityOnHand: material.quantityOnHand,
+    reorderPoint: material.reorderPoint,
+    reorderQuantity: material.reorderQuantity,
+    recipients: recipientIds,
+    notifications: notifications.map((notification) => notification._id),
+  });
+};
+
+/**
+ * Run the reorder check for all organizations
+ * @returns {Promise<Object>} Job result
+ */
+export const runReorderCheck = async () => {
+  try {
+    logger.info("Starting reorder check", {
+      timestamp: new Date().toISOString(),
+    });
+
+    const ReorderAlert = mongoose.model("ReorderAlert");
+    const StockLevel = mongoose.model("StockLevel");
+
+    const materials = await findMaterialsBelowReorderPoint();
+    const belowIds = new Set(materials.map(({ _id }) => _id.toString()));
+
+    const openAlerts = await ReorderAlert.find({
+      status: REORDER_ALERT_STATUS.OPEN,
+    })
+      .select("material department")
+      .lean();
+    const openIds = new Set(
+      openAlerts.map(({ material }) => material.toString())
+    );
+
+    // Resolve alerts of materials that are no longer below their reorder point
+    let resolvedCount = 0;
+    for (const alert of openAlerts) {
+      if (belowIds.has(alert.material.toString())) continue;
+
+      const stockLevel = await StockLevel.findOne({
+        material: alert.material,
+        department: alert.department,
+      })
+        .select("quantity")
+        .lean();
+
+      await ReorderAlert.updateOne(
+        { _id: alert._id, status: REORDER_ALERT_STATUS.OPEN },
+        {
+          $set: {
+            status: REORDER_ALERT_STATUS.RESOLVED,
+            resolvedAt: new Date(),
+            resolvedQuantity: stockLevel?.quantity ?? 0,
+          },
+        }
+      );
+      resolvedCount++;
+    }
+
+    // Raise alerts for materials that crossed their reorder point
+    let raisedCount = 0;
+    let failedCount = 0;
+    for (const material of materials) {
+      if (openIds.has(material._id.toString())) continue;
+
+      try {
+        await raiseReorderAlert(material);
+        raisedCount++;
+      } catch (error) {
+        failedCount++;
+        logger.error("Failed to raise reorder alert", {
+          error: error.message,
+          materialId: material._id,
+          organizationId: material.organization,
+        });
+      }
+    }
+
+    logger.info("Reorder check completed", {
+      timestamp: new Date().toISOString(),
+      raisedCount,
+      resolvedCount,
+      failedCount,
+    });
+
+    return {
+      success: true,
+      raisedCount,
+      resolvedCount,
+      failedCount,
+    };
+  } catch (error) {
+    logger.error("Reorder check failed", {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Start reorder scheduler
+ * Runs every 30 minutes
+ */
+export const startReorderScheduler = () => {
+  if (reorderIntervalId) {
+    logger.warn("Reorder scheduler already running");
+    return;
+  }
+
+  logger.info("Starting reorder scheduler", {
+    interval: `${REORDER_CHECK_INTERVAL / 1000 / 60} minutes`,
+  });
+
+  // Run immediately on start
+  runReorderCheck();
+
+  // Schedule recurring runs
+  reorderIntervalId = setInterval(() => {
+    runReorderCheck();
+  }, REORDER_CHECK_INTERVAL);
+
+  logger.info("Reorder scheduler started successfully");
+};
+
+/**
+ * Stop reorder scheduler
+ */
+export const stopReorderScheduler = () => {
+  if (!reorderIntervalId) {
+    logger.warn("Reorder scheduler not running");
+    return;
+  }
+
+  clearInterval(reorderIntervalId);
+  reorderIntervalId = null;
+
+  logger.info("Reorder scheduler stopped");
+};
+
+/**
+ * Check if reorder scheduler is running
+ * @returns {boolean} True if scheduler is running
+ */
+export const isReorderSchedulerRunning = () => {
+  return reorderIntervalId !== null;
+};
+
+export default {
+  runReorderCheck,
+  startReorderScheduler,
+  stopReorderScheduler,
+  isReorderSchedulerRunning,
+};
@@ -2,10 +2,13 @@ import { Server } from "socket.io";
 import jwt from "jsonwebtoken";
 import logger from "./logger.js";
 import { ERROR_CODES } from "./constants.js";
+import { isSessionActive } from "../services/sessionService.js";
 
 /**
  * Socket.IO Server Setup
  * Handles WebSocket connections with JWT authentication, organization rooms, and heartbeat mechanism
+ * Connections need an active sign-in session; each socket joins the room of its
+ * session so revoking the session disconnects it (disconnectSessions)
  *
  * Requirements: 18.1, 18.2, 18.11
  */
@@ -71,6 +74,24 @@ export const initializeSocketIO = (httpServer, corsOptions) => {
         // Verify JWT token (same secret as HTTP requests)
         const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
 
+        // Session must still be active (not revoked, e.g. signed out remotely)
+        if (!(await isSessionActive(decoded.sessionId, decoded.userId))) {
+          logger.warn("Socket.IO connection attempt with an ended session", {
+            socketId: socket.id,
+            userId: decoded.userId,
+            sessionId: decoded.sessionId,
+            ip: socket.handshake.address,
+          });
+          return next(
+            new Error(
+              JSON.stringify({
+                code: ERROR_CODES.UNAUTHENTICATED_ERROR,
+                message: "Session has ended",
+              })
+            )
+          );
+        }
+
         // Log decoded token for debugging
         logger.info("JWT token decoded successfully", {
           socketId: socket.id,
@@ -82,6 +103,7 @@ export const initializeSocketIO = (httpServer, corsOptions) => {
 
         // Attach user data to socket
         socket.userId = decoded.userId;
+        socket.sessionId = decoded.sessionId;
         socket.organizationId = decoded.organization;
         socket.departmentId = decoded.department;
         socket.role = decoded.role;
@@ -172,6 +194,9 @@ export const initializeSocketIO = (httpServer, corsOptions) => {
         room: userRoom,
       });
 
+      // Join session-specific room (disconnected when the session is revoked)
+      socket.join(`session:${socket.sessionId}`);
+
       // Emit user online status to organization
       io.to(organizationRoom).emit("user:online", {
         userId: socket.userId,
@@ -1,11 +1,14 @@
 import logger from "./logger.js";
 import { SOCKET_EVENTS } from "./constants.js";
 import { getSocketIO } from "./socketInstance.js";
+import { queueWebhookEvent } from "../services/webhookService.js";
 
 /**
  * Socket.IO Event Emitters
  * Centralized functions for emitting Socket.IO events for real-time updates
  * Emits to organization rooms and specific users
+ * Organization events are also queued for subscribed webhooks (WEBHOOK_EVENTS),
+ * whether or not Socket.IO is available
  *
  * Requirements: 18.3, 18.4, 18.5
  */
@@ -16,6 +19,8 @@ import { getSocketIO } from "./socketInstance.js";
  * @param {mongoose.Types.ObjectId} organizationId - Organization ID
  */
 export const emitTaskCreated = (task, organizationId) => {
+  queueWebhookEvent(SOCKET_EVENTS.TASK_CREATED, { task }, organizationId);
+
   try {
     const io = getSocketIO();
     if (!io) {
@@ -53,6 +58,8 @@ export const emitTaskCreated = (task, organizationId) => {
  * @param {Array<mongoose.Types.ObjectId>} watchers - Array of watcher user IDs
  */
 export const emitTaskUpdated = (task, organizationId, watchers = []) => {
+  queueWebhookEvent(SOCKET_EVENTS.TASK_UPDATED, { task }, organizationId);
+
   try {
     const io = getSocketIO();
     if (!io) {
@@ -106,6 +113,8 @@ export const emitTaskUpdated = (task, organizationId, watchers = []) => {
  * @param {mongoose.Types.ObjectId} organizationId - Organization ID
  */
 export const emitTaskDeleted = (taskId, organizationId) => {
+  queueWebhookEvent(SOCKET_EVENTS.TASK_DELETED, { taskId }, organizationId);
+
   try {
     const io = getSocketIO();
     if (!io) {
@@ -147,6 +156,8 @@ export const emitCommentAdded = (
   organizationId,
   recipientIds = []
 ) => {
+  queueWebhookEvent(SOCKET_EVENTS.COMMENT_ADDED, { comment }, organizationId);
+
   try {
     const io = getSocketIO();
     if (!io) {
@@ -200,6 +211,8 @@ export const emitCommentAdded = (
  * @param {mongoose.Types.ObjectId} organizationId - Organization ID
  */
 export const emitCommentUpdated = (comment, organizationId) => {
+  queueWebhookEvent(SOCKET_EVENTS.COMMENT_UPDATED, { comment }, organizationId);
+
   try {
     const io = getSocketIO();
     if (!io) {
@@ -236,6 +249,12 @@ export const emitCommentUpdated = (comment, organizationId) => {
  * @param {mongoose.Types.ObjectId} organizationId - Organization ID
  */
 export const emitCommentDeleted = (commentId, organizationId) => {
+  queueWebhookEvent(
+    SOCKET_EVENTS.COMMENT_DELETED,
+    { commentId },
+    organizationId
+  );
+
   try {
     const io = getSocketIO();
     if (!io) {
@@ -390,6 +409,8 @@ export const emitUserOffline = (userId, organizationId) => {
  * @param {mongoose.Types.ObjectId} organizationId - Organization ID
  */
 export const emitToOrganization = (eventName, data, organizationId) => {
+  queueWebhookEvent(eventName, data, organizationId);
+
   try {
     const io = getSocketIO();
     if (!io) {
@@ -494,6 +515,35 @@ export const emitToDepartment = (eventName, data, departmentId) => {
   }
 };
 
+/**
+ * Disconnect the sockets of ended sign-in sessions
+ * Each socket joins the room of its session (session:<sessionId>) on connect
+ * @param {Array<mongoose.Types.ObjectId|string>} sessionIds - Session IDs
+ */
+export const disconnectSessions = (sessionIds) => {
+  try {
+    const io = getSocketIO();
+    if (!io) {
+      logger.warn(
+        "Socket.IO instance not available, skipping session disconnect"
+      );
+      return;
+    }
+
+    sessionIds.forEach((sessionId) => {
+      io.in(`session:${sessionId.toString()}`).disconnectSockets(true);
+    });
+
+    logger.info("Sockets of ended sessions disconnected", { sessionIds });
+  } catch (error) {
+    logger.error("Failed to disconnect sockets of ended sessions", {
+      error: error.message,
+      stack: error.stack,
+      sessionIds,
+    });
+  }
+};
+
 export default {
   emitTaskCreated,
   emitTaskUpdated,
@@ -507,4 +557,5 @@ export default {
   emitToOrganization,
   emitToUser,
   emitToDepartment,
+  disconnectSessions,
 };
@@ -1,5 +1,7 @@
+import mongoose from "mongoose";
 import { escapeRegex } from "./helpers.js";
 import { buildSearchFilter } from "./controllerHelpers.js";
+import { PARENT_MODEL_TYPES } from "./constants.js";
 
 /**
  * Task-specific Helper Functions
@@ -184,11 +186,99 @@ export const getTaskPopulateConfig = (requestedFields = []) => {
  * @returns {string} Space-separated field names
  */
 export const getTaskSelectFields = () => {
-  return "description status priority organization department createdBy attachments watchers taskType tags createdAt updatedAt isDeleted deletedAt deletedBy title vendor milestones startDate dueDate date recurrence materials assignees";
+  return "description status priority organization department createdBy attachments watchers taskType tags createdAt updatedAt isDeleted deletedAt deletedBy title vendor milestones startDate dueDate date recurrence series isSeriesException materials assignees";
+};
+
+/**
+ * Get users involved in a task (creator, assignees, watchers)
+ * @param {Object} task - Task document or plain object
+ * @returns {Array<string>} Unique user ID strings
+ */
+export const getTaskParticipantIds = (task) => {
+  const participantIds = [
+    task.createdBy,
+    ...(task.assignees || []),
+    ...(task.watchers || []),
+  ]
+    .filter(Boolean)
+    .map((id) => (id._id || id).toString());
+
+  return [...new Set(participantIds)];
+};
+
+/**
+ * Resolve the task a comment belongs to and the participants of its thread
+ * Walks up parent comments/activity to the task, collecting their authors,
+ * and adds authors of sibling comments and the task participants
+ * @param {Object} comment - TaskComment document (parent not populated)
+ * @param {mongoose.ClientSession} [session=null] - MongoDB session
+ * @returns {Promise<{task: Object|null, participantIds: Array<string>}>} Thread context
+ */
+export const getCommentThreadContext = async (comment, session = null) => {
+  const Task = mongoose.model("Task");
+  const TaskActivity = mongoose.model("TaskActivity");
+  const TaskComment = mongoose.model("TaskComment");
+
+  const participantIds = [];
+  let parentId = comment.parent;
+  let parentModel = comment.parentModel;
+  let task = null;
+
+  // Parent comments (bounded by COMMENT_MAX_DEPTH)
+  while (parentModel === PARENT_MODEL_TYPES.TASK_COMMENT) {
+    const parentComment = await TaskComment.findById(parentId)
+      .select("parent parentModel createdBy")
+      .session(session)
+      .lean();
+    if (!parentComment) break;
+
+    participantIds.push(parentComment.createdBy);
+    parentId = parentComment.parent;
+    parentModel = parentComment.parentModel;
+  }
+
+  if (parentModel === PARENT_MODEL_TYPES.TASK_ACTIVITY) {
+    const activity = await TaskActivity.findById(parentId)
+      .select("task createdBy")
+      .session(session)
+      .lean();
+    if (activity) {
+      participantIds.push(activity.createdBy);
+      parentId = activity.task;
+      parentModel = PARENT_MODEL_TYPES.TASK;
+    }
+  }
+
+  if (parentModel === PARENT_MODEL_TYPES.TASK) {
+    task = await Task.findById(parentId).session(session).lean();
+    if (task) {
+      participantIds.push(...getTaskParticipantIds(task));
+    }
+  }
+
+  // Authors of other comments on the same parent
+  const siblingComments = await TaskComment.find({
+    parent: comment.parent,
+    parentModel: comment.parentModel,
+    _id: { $ne: comment._id },
+  })
+    .select("createdBy")
+    .session(session)
+    .lean();
+  participantIds.push(...siblingComments.map((c) => c.createdBy));
+
+  return {
+    task,
+    participantIds: [
+      ...new Set(participantIds.filter(Boolean).map((id) => id.toString())),
+    ],
+  };
 };
 
 export default {
   buildTaskFilter,
   getTaskPopulateConfig,
   getTaskSelectFields,
+  getTaskParticipantIds,
+  getCommentThreadContext,
 };
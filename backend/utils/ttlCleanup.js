@@ -1,11 +1,12 @@
 import mongoose from "mongoose";
 import logger from "./logger.js";
 import { TTL_EXPIRY } from "./constants.js";
+import { removeAttachmentFiles } from "../services/attachmentFileService.js";
 
 /**
  * TTL Cleanup Scheduler
  * Permanently deletes soft-deleted resources after TTL expiry period
- * Deletes Cloudinary files for attachments
+ * Deletes stored files for attachments (through their storage adapter)
  * Never auto-deletes organizations
  *
  * Requirements: 4.1, 4.2, 4.3, 4.4, 4.5, 4.6, 4.7, 4.8, 4.9, 4.10
@@ -18,31 +19,20 @@ const CLEANUP_INTERVAL = 24 * 60 * 60 * 1000;
 let cleanupIntervalId = null;
 
 /**
- * Delete Cloudinary file
- * Note: This is a placeholder. In production, you would use Cloudinary SDK
- * @param {string} fileUrl - Cloudinary file URL
- * @param {string} publicId - Cloudinary public ID
+ * Delete the stored file of an attachment and its thumbnails
+ * @param {Object} attachment - Attachment (storage, storageKey, fileUrl, thumbnails)
  * @returns {Promise<boolean>} True if deletion successful
  */
-const deleteCloudinaryFile = async (fileUrl, publicId) => {
+const deleteAttachmentFile = async (attachment) => {
   try {
-    // TODO: Implement actual Cloudinary deletion using cloudinary SDK
-    // const cloudinary = require('cloudinary').v2;
-    // await cloudinary.uploader.destroy(publicId);
-
-    logger.info("Cloudinary file deletion placeholder", {
-      fileUrl,
-      publicId,
-      note: "Implement actual Cloudinary SDK deletion in production",
-    });
-
-    return true;
+    return await removeAttachmentFiles(attachment);
   } catch (error) {
-    logger.error("Failed to delete Cloudinary file", {
+    logger.error("Failed to delete attachment file", {
       error: error.message,
       stack: error.stack,
-      fileUrl,
-      publicId,
+      attachmentId: attachment._id,
+      storage: attachment.storage,
+      fileUrl: attachment.fileUrl,
     });
     return false;
   }
@@ -458,7 +448,8 @@ const cleanupNotifications = async (session) => {
 };
 
 /**
- * Cleanup expired attachments (30 days) and delete Cloudinary files
+ * Cleanup expired attachments (30 days) and delete their stored files
+ * Attachments whose file could not be deleted are kept for the next run
  * Requirement 4.10
  */
 const cleanupAttachments = async (session) => {
@@ -471,12 +462,12 @@ const cleanupAttachments = async (session) => {
       isDeleted: true,
       deletedAt: { $lte: cutoffDate },
     })
-      .select("_id filename fileUrl deletedAt")
+      .select("_id filename fileUrl storage storageKey thumbnails deletedAt")
       .session(session);
 
     if (expiredAttachments.length === 0) {
       logger.info("No expired attachments to cleanup");
-      return { deleted: 0, failed: 0, cloudinaryDeleted: 0 };
+      return { deleted: 0, failed: 0, filesDeleted: 0 };
     }
 
     logger.info("Found expired attachments for cleanup", {
@@ -484,46 +475,43 @@ const cleanupAttachments = async (session) => {
       cutoffDate,
     });
 
-    // Delete Cloudinary files first
-    let cloudinaryDeletedCount = 0;
+    // Delete stored files first
+    const filesDeletedIds = [];
     for (const attachment of expiredAttachments) {
-      // Extract public ID from Cloudinary URL
-      // URL format: https://res.cloudinary.com/{cloud_name}/image/upload/v{version}/{public_id}.{format}
-      const urlParts = attachment.fileUrl.split("/");
-      const publicIdWithExt = urlParts[urlParts.length - 1];
-      const publicId = publicIdWithExt.split(".")[0];
-
-      const deleted = await deleteCloudinaryFile(attachment.fileUrl, publicId);
+      const deleted = await deleteAttachmentFile(attachment);
       if (deleted) {
-        cloudinaryDeletedCount++;
+        filesDeletedIds.push(attachment._id);
       }
     }
 
-    // Permanently delete attachments from database
+    // Permanently delete attachments whose file is gone from database
     const result = await Attachment.deleteMany(
       {
-        _id: { $in: expiredAttachments.map((a) => a._id) },
+        _id: { $in: filesDeletedIds },
       },
       { session }
     );
 
+    const failedCount = expiredAttachments.length - filesDeletedIds.length;
+
     logger.info("Attachments cleanup completed", {
       deleted: result.deletedCount,
-      cloudinaryDeleted: cloudinaryDeletedCount,
+      filesDeleted: filesDeletedIds.length,
+      failed: failedCount,
       cutoffDate,
     });
 
     return {
       deleted: result.deletedCount,
-      failed: 0,
-      cloudinaryDeleted: cloudinaryDeletedCount,
+      failed: failedCount,
+      filesDeleted: filesDeletedIds.length,
     };
   } catch (error) {
     logger.error("Failed to cleanup attachments", {
       error: error.message,
       stack: error.stack,
     });
-    return { deleted: 0, failed: 1, cloudinaryDeleted: 0 };
+    return { deleted: 0, failed: 1, filesDeleted: 0 };
   }
 };
 
@@ -550,7 +538,7 @@ export const runTTLCleanup = async () => {
       comments: { deleted: 0, failed: 0 },
       activities: { deleted: 0, failed: 0 },
       notifications: { deleted: 0, failed: 0 },
-      attachments: { deleted: 0, failed: 0, cloudinaryDeleted: 0 },
+      attachments: { deleted: 0, failed: 0, filesDeleted: 0 },
     };
 
     // Run cleanup for each resource type
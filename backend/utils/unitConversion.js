@@ -0,0 +1,115 @@
+/**
+ * Unit Conversion Utilities
+ * Converts quantities between units of the same dimension (mass, volume,
+ * length, count) using UNIT_CONVERSIONS; unit names are case-insensitive
+ * Units outside the table (free-text material units) only match themselves
+ */
+
+import { UNIT_CONVERSIONS } from "./constants.js";
+
+/**
+ * Normalize a unit name for comparison
+ * @param {string|null} unit - Unit name
+ * @returns {string} Trimmed, lower-case unit name
+ */
+export const normalizeUnit = (unit) =>
+  String(unit ?? "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Get the conversion definition of a unit
+ * @param {string|null} unit - Unit name
+ * @returns {{dimension: string, factor: number}|null} Dimension and size in the
+ *   dimension's base unit, null for units without conversion
+ */
+export const getUnitDefinition = (unit) =>
+  Object.hasOwn(UNIT_CONVERSIONS.UNITS, normalizeUnit(unit))
+    ? UNIT_CONVERSIONS.UNITS[normalizeUnit(unit)]
+    : null;
+
+/**
+ * Check whether quantities can be converted from one unit to another
+ * @param {string} fromUnit - Unit of the quantity
+ * @param {string} toUnit - Target unit
+ * @returns {boolean} True for the same unit or units of the same dimension
+ */
+export const areUnitsCompatible = (fromUnit, toUnit) => {
+  if (normalizeUnit(fromUnit) === normalizeUnit(toUnit)) return true;
+
+  const from = getUnitDefinition(fromUnit);
+  const to = getUnitDefinition(toUnit);
+  return Boolean(from && to && from.dimension === to.dimension);
+};
+
+/**
+ * Get the units a quantity in the given unit can be converted to
+ * @param {string} unit - Unit name
+ * @returns {Array<string>} Convertible units (the unit itself when it has no conversion)
+ */
+export const getCompatibleUnits = (unit) => {
+  const definition = getUnitDefinition(unit);
+  if (!definition) return [normalizeUnit(unit)];
+
+  return Object.keys(UNIT_CONVERSIONS.UNITS).filter(
+    (name) => UNIT_CONVERSIONS.UNITS[name].dimension === definition.dimension
+  );
+};
+
+/**
+ * Convert a quantity between units
+ * @param {number} quantity - Quantity in fromUnit
+ * @param {string} fromUnit - Unit of the quantity
+ * @param {string} toUnit - Target unit
+ * @returns {number} Quantity in toUnit (UNIT_CONVERSIONS.PRECISION decimal places)
+ * @throws {Error} If the units measure different dimensions
+ */
+export const convertQuantity = (quantity, fromUnit, toUnit) => {
+  if (normalizeUnit(fromUnit) === normalizeUnit(toUnit)) return quantity;
+
+  if (!areUnitsCompatible(fromUnit, toUnit)) {
+    throw new Error(`Cannot convert ${fromUnit} to ${toUnit}`);
+  }
+
+  const from = getUnitDefinition(fromUnit);
+  const to = getUnitDefinition(toUnit);
+  return Number(
+    ((quantity * from.factor) / to.factor).toFixed(UNIT_CONVERSIONS.PRECISION)
+  );
+};
+
+/**
+ * Check the units of material lines against their materials
+ * @param {Array<Object>} lines - Material lines ({ material, quantity, unit })
+ * @param {Array<Object>} materials - Materials of the lines (_id, name, unit)
+ * @throws {Error} If a line's unit cannot be converted to its material's unit
+ */
+export const validateMaterialLineUnits = (lines, materials) => {
+  const materialsById = new Map(
+    materials.map((material) => [material._id.toString(), material])
+  );
+
+  for (const line of lines) {
+    if (line.unit === undefined || line.unit === null) continue;
+
+    const material = materialsById.get(line.material.toString());
+    if (typeof line.unit !== "string" || !normalizeUnit(line.unit)) {
+      throw new Error("Material unit must be a non-empty string");
+    }
+    if (material && !areUnitsCompatible(line.unit, material.unit)) {
+      const compatibleUnits = getCompatibleUnits(material.unit).join(", ");
+      throw new Error(
+        `Unit "${line.unit}" is not compatible with ${material.name} (measured in ${material.unit}); use one of: ${compatibleUnits}`
+      );
+    }
+  }
+};
+
+export default {
+  normalizeUnit,
+  getUnitDefinition,
+  areUnitsCompatible,
+  getCompatibleUnits,
+  convertQuantity,
+  validateMaterialLineUnits,
+};
@@ -4,6 +4,7 @@
  */
 
 import logger from "./logger.js";
+import { STORAGE_PROVIDERS } from "./constants.js";
 
 const validateEnv = () => {
   const requiredEnvVars = [
@@ -65,6 +66,42 @@ const validateEnv = () => {
     process.exit(1);
   }
 
+  // Validate attachment storage provider (optional, default: local)
+  const storageProvider = process.env.STORAGE_PROVIDER;
+  const validStorageProviders = Object.values(STORAGE_PROVIDERS);
+  if (storageProvider && !validStorageProviders.includes(storageProvider)) {
+    logger.error(
+      `❌ STORAGE_PROVIDER must be one of: ${validStorageProviders.join(", ")}`
+    );
+    process.exit(1);
+  }
+
+  if (storageProvider === STORAGE_PROVIDERS.CLOUDINARY) {
+    const missingCloudinaryVars = [
+      "CLOUDINARY_CLOUD_NAME",
+      "CLOUDINARY_API_KEY",
+      "CLOUDINARY_API_SECRET",
+    ].filter((envVar) => !process.env[envVar]);
+
+    if (missingCloudinaryVars.length > 0) {
+      logger.error(
+        `❌ Cloudinary storage requires: ${missingCloudinaryVars.join(", ")}`
+      );
+      process.exit(1);
+    }
+  }
+
+  // Local webhook receivers are a development convenience only
+  if (
+    process.env.NODE_ENV === "production" &&
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true"
+  ) {
+    logger.error(
+      "❌ WEBHOOK_ALLOW_PRIVATE_URLS must not be enabled in production"
+    );
+    process.exit(1);
+  }
+
   logger.info("✅ All required environment variables are set");
 };
 
@@ -0,0 +1,337 @@
+import mongoose from "mongoose";
+import logger from "./logger.js";
+import { toTimezone } from "./helpers.js";
+import { emitToOrganization } from "./socketEmitter.js";
+import {
+  ENTITY_MODEL_TYPES,
+  USER_ROLES,
+  VENDOR_COMPLIANCE,
+  VENDOR_STATUS,
+} from "./constants.js";
+import { getLapsedDocuments } from "../services/vendorComplianceService.js";
+import { createSystemAlertNotification } from "../services/notificationService.js";
+
+/**
+ * Vendor Compliance Scheduler
+ * Watches the expiry dates of vendor compliance documents
+ * Admins (SuperAdmin, Admin) receive a SYSTEM_ALERT settings.vendorExpiryWarningDays
+ * before a document expires and another one when it has expired; each
+ * document alerts once per expiry date (expiryWarningSentAt, lapseNotifiedAt)
+ * When a mandatory document lapses and the organization sets
+ * settings.vendorLapseStatus, an ACTIVE vendor is moved to that status and
+ * held (complianceHold) until its documents are renewed
+ * Vendors are processed independently so one failure does not stop the others
+ */
+
+// Check interval: Run every 6 hours (21600000 ms)
+const COMPLIANCE_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+
+// One day in milliseconds
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Store interval ID for the compliance check job
+let complianceIntervalId = null;
+
+/**
+ * Get the latest expiry date that is warned about now
+ * @param {Object} settings - Organization settings (vendorExpiryWarningDays)
+ * @param {Date} now - Reference time
+ * @returns {Date} End of the warning period
+ */
+const getWarningLimit = (settings = {}, now) =>
+  new Date(
+    now.getTime() +
+      (settings.vendorExpiryWarningDays ??
+        VENDOR_COMPLIANCE.EXPIRY_WARNING_DAYS.DEFAULT) *
+        DAY_MS
+  );
+
+/**
+ * Describe documents for a notification message
+ * @param {Array<Object>} documents - Vendor documents
+ * @param {string} verb - "expires" or "expired"
+ * @param {Object} settings - Organization settings (timezone, dateFormat)
+ * @returns {string} One sentence per document
+ */
+const describeDocuments = (documents, verb, settings = {}) =>
+  documents
+    .map(
+      (document) =>
+        `${document.title} (${document.type}) ${verb} on ${toTimezone(
+          document.expiryDate,
+          settings.timezone
+        ).format(settings.dateFormat || "DD/MM/YYYY")}.`
+    )
+    .join(" ");
+
+/**
+ * Check the documents of one vendor
+ * Sends the due notifications, then records them and any status change
+ * @param {Object} vendor - Vendor (lean) with documents
+ * @param {Object} organization - Organization (lean) with settings
+ * @param {Array<Object>} admins - Admins of the organization (_id, department)
+ * @param {Date} now - Reference time
+ * @returns {Promise<boolean>} True when the vendor was updated
+ */
+const checkVendor = async (vendor, organization, admins, now) => {
+  const Vendor = mongoose.model("Vendor");
+  const { settings = {} } = organization;
+  const warnUntil = getWarningLimit(settings, now);
+
+  const expiring = vendor.documents.filter(
+    (document) =>
+      !document.expiryWarningSentAt &&
+      document.expiryDate >= now &&
+      document.expiryDate <= warnUntil
+  );
+  const lapsed = vendor.documents.filter(
+    (document) => !document.lapseNotifiedAt && document.expiryDate < now
+  );
+  const isCompliant = getLapsedDocuments(vendor, now).length === 0;
+
+  let status = null;
+  if (
+    !isCompliant &&
+    settings.vendorLapseStatus &&
+    vendor.status === VENDOR_STATUS.ACTIVE
+  ) {
+    status = settings.vendorLapseStatus;
+  } else if (isCompliant && vendor.complianceHold) {
+    status = VENDOR_STATUS.ACTIVE;
+  }
+
+  if (expiring.length === 0 && lapsed.length === 0 && !status) return false;
+
+  const alerts = [];
+  if (expiring.length > 0) {
+    alerts.push({
+      title: "Vendor Document Expiring",
+      message: `${vendor.name}: ${describeDocuments(
+        expiring,
+        "expires",
+        settings
+      )}`,
+    });
+  }
+  if (lapsed.length > 0) {
+    alerts.push({
+      title: "Vendor Document Expired",
+      message: `${vendor.name}: ${describeDocuments(
+        lapsed,
+        "expired",
+        settings
+      )}`,
+    });
+  }
+  if (status === VENDOR_STATUS.ACTIVE) {
+    alerts.push({
+      title: "Vendor Reactivated",
+      message: `${vendor.name} has renewed its mandatory documents and was set to ${status}.`,
+    });
+  } else if (status) {
+    alerts.push({
+      title: "Vendor Suspended",
+      message: `${vendor.name} has a lapsed mandatory document and was set to ${status} until it is renewed.`,
+    });
+  }
+
+  if (admins.length > 0) {
+    for (const alert of alerts) {
+      const result = await createSystemAlertNotification({
+        ...alert,
+        recipientIds: admins.map((admin) => admin._id),
+        organizationId: organization._id,
+        departmentId: admins[0].department,
+        entityId: vendor._id,
+        entityModel: ENTITY_MODEL_TYPES.VENDOR,
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    }
+  } else {
+    logger.warn("No Admin to alert for vendor compliance", {
+      vendorId: vendor._id,
+      organizationId: organization._id,
+    });
+  }
+
+  // Record the alerts and the status change
+  const update = {};
+  const arrayFilters = [];
+  if (expiring.length > 0) {
+    update["documents.$[expiring].expiryWarningSentAt"] = now;
+    arrayFilters.push({
+      "expiring._id": { $in: expiring.map((document) => document._id) },
+    });
+  }
+  if (lapsed.length > 0) {
+    update["documents.$[lapsed].lapseNotifiedAt"] = now;
+    arrayFilters.push({
+      "lapsed._id": { $in: lapsed.map((document) => document._id) },
+    });
+  }
+  if (status) {
+    update.status = status;
+    update.complianceHold = status !== VENDOR_STATUS.ACTIVE;
+  }
+
+  const updatedVendor = await Vendor.findByIdAndUpdate(
+    vendor._id,
+    { $set: update },
+    { new: true, ...(arrayFilters.length > 0 && { arrayFilters }) }
+  );
+
+  if (status && updatedVendor) {
+    emitToOrganization(
+      "vendor:updated",
+      { vendor: updatedVendor.toObject() },
+      organization._id
+    );
+  }
+
+  return true;
+};
+
+/**
+ * Run the vendor compliance check for all organizations
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @returns {Promise<Object>} Job result
+ */
+export const runVendorComplianceCheck = async ({ now = new Date() } = {}) => {
+  try {
+    logger.info("Starting vendor compliance check", {
+      timestamp: now.toISOString(),
+    });
+
+    const Organization = mongoose.model("Organization");
+    const Vendor = mongoose.model("Vendor");
+    const User = mongoose.model("User");
+
+    const organizations = await Organization.find()
+      .select("settings")
+      .lean();
+
+    let updatedCount = 0;
+    let failedCount = 0;
+    for (const organization of organizations) {
+      // Vendors with a document within the warning period or already expired,
+      // and held vendors (which may have been renewed)
+      const vendors = await Vendor.find({
+        organization: organization._id,
+        $or: [
+          {
+            "documents.expiryDate": {
+              $lte: getWarningLimit(organization.settings, now),
+            },
+          },
+          { complianceHold: true },
+        ],
+      })
+        .select("name status complianceHold documents")
+        .lean();
+      if (vendors.length === 0) continue;
+
+      const admins = await User.find({
+        organization: organization._id,
+        role: { $in: [USER_ROLES.SUPER_ADMIN, USER_ROLES.ADMIN] },
+      })
+        .select("_id department")
+        .lean();
+
+      for (const vendor of vendors) {
+        try {
+          if (await checkVendor(vendor, organization, admins, now)) {
+            updatedCount++;
+          }
+        } catch (error) {
+          failedCount++;
+          logger.error("Failed to check vendor compliance", {
+            error: error.message,
+            vendorId: vendor._id,
+            organizationId: organization._id,
+          });
+        }
+      }
+    }
+
+    logger.info("Vendor compliance check completed", {
+      timestamp: new Date().toISOString(),
+      updatedCount,
+      failedCount,
+    });
+
+    return {
+      success: true,
+      updatedCount,
+      failedCount,
+    };
+  } catch (error) {
+    logger.error("Vendor compliance check failed", {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Start vendor compliance scheduler
+ * Runs every 6 hours
+ */
+export const startVendorComplianceScheduler = () => {
+  if (complianceIntervalId) {
+    logger.warn("Vendor compliance scheduler already running");
+    return;
+  }
+
+  logger.info("Starting vendor compliance scheduler", {
+    interval: `${COMPLIANCE_CHECK_INTERVAL / 1000 / 60 / 60} hours`,
+  });
+
+  // Run immediately on start
+  runVendorComplianceCheck();
+
+  // Schedule recurring runs
+  complianceIntervalId = setInterval(() => {
+    runVendorComplianceCheck();
+  }, COMPLIANCE_CHECK_INTERVAL);
+
+  logger.info("Vendor compliance scheduler started successfully");
+};
+
+/**
+ * Stop vendor compliance scheduler
+ */
+export const stopVendorComplianceScheduler = () => {
+  if (!complianceIntervalId) {
+    logger.warn("Vendor compliance scheduler not running");
+    return;
+  }
+
+  clearInterval(complianceIntervalId);
+  complianceIntervalId = null;
+
+  logger.info("Vendor compliance scheduler stopped");
+};
+
+/**
+ * Check if vendor compliance scheduler is running
+ * @returns {boolean} True if scheduler is running
+ */
+export const isVendorComplianceSchedulerRunning = () => {
+  return complianceIntervalId !== null;
+};
+
+export default {
+  runVendorComplianceCheck,
+  startVendorComplianceScheduler,
+  stopVendorComplianceScheduler,
+  isVendorComplianceSchedulerRunning,
+};
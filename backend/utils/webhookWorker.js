@@ -0,0 +1,176 @@
+import mongoose from "mongoose";
+import logger from "./logger.js";
+import { WEBHOOK_DELIVERY, WEBHOOK_DELIVERY_STATUS } from "./constants.js";
+import { sendWebhookRequest } from "../services/webhookService.js";
+
+/**
+ * Webhook Worker
+ * Sends queued WebhookDelivery events to their webhooks
+ * Deliveries are claimed atomically (safe with several server instances);
+ * failures are retried with exponential backoff and marked FAILED after
+ * WEBHOOK_DELIVERY.MAX_ATTEMPTS (see WebhookDelivery.recordAttempt)
+ * Deliveries of deleted or disabled webhooks are marked FAILED without sending
+ * Deliveries left in SENDING by a crashed worker are reclaimed after WEBHOOK_DELIVERY.LOCK_TIMEOUT_MS
+ */
+
+// Store interval ID for the worker
+let workerIntervalId = null;
+
+// Prevent overlapping runs when a batch takes longer than the poll interval
+let isProcessing = false;
+
+/**
+ * Send a claimed delivery, or fail it when its webhook is gone or disabled
+ * @param {mongoose.Document} delivery - Claimed delivery
+ * @returns {Promise<Object>} Attempt result
+ */
+const attemptDelivery = async (delivery) => {
+  const Webhook = mongoose.model("Webhook");
+
+  const webhook = await Webhook.findById(delivery.webhook)
+    .select("+secret url isActive")
+    .lean();
+  if (!webhook) {
+    return { success: false, error: "Webhook was deleted", isFinal: true };
+  }
+  if (!webhook.isActive) {
+    return { success: false, error: "Webhook is disabled", isFinal: true };
+  }
+
+  const result = await sendWebhookRequest(webhook, delivery);
+  await Webhook.updateOne(
+    { _id: webhook._id },
+    {
+      $set: {
+        lastDeliveryAt: new Date(),
+        lastDeliveryStatus: result.responseStatus,
+      },
+    }
+  );
+
+  return result;
+};
+
+/**
+ * Send due webhook deliveries (at most WEBHOOK_DELIVERY.BATCH_SIZE per run)
+ * @returns {Promise<Object>} Processing result
+ */
+export const processWebhookDeliveries = async () => {
+  if (isProcessing) {
+    return { success: true, skipped: true };
+  }
+  isProcessing = true;
+
+  try {
+    const WebhookDelivery = mongoose.model("WebhookDelivery");
+    const counts = { delivered: 0, retried: 0, failed: 0 };
+
+    for (let i = 0; i < WEBHOOK_DELIVERY.BATCH_SIZE; i++) {
+      const delivery = await WebhookDelivery.claimNext();
+      if (!delivery) break;
+
+      const result = await attemptDelivery(delivery);
+      await delivery.recordAttempt(result);
+
+      if (result.success) {
+        counts.delivered++;
+      } else if (delivery.status === WEBHOOK_DELIVERY_STATUS.FAILED) {
+        counts.failed++;
+        logger.error("Webhook delivery failed permanently", {
+          deliveryId: delivery._id,
+          webhookId: delivery.webhook,
+          event: delivery.event,
+          attempts: delivery.attempts,
+          error: result.error,
+        });
+      } else {
+        counts.retried++;
+      }
+    }
+
+    if (counts.delivered + counts.retried + counts.failed > 0) {
+      logger.info("Webhook deliveries processed", {
+        timestamp: new Date().toISOString(),
+        deliveredCount: counts.delivered,
+        retriedCount: counts.retried,
+        failedCount: counts.failed,
+      });
+    }
+
+    return {
+      success: true,
+      deliveredCount: counts.delivered,
+      retriedCount: counts.retried,
+      failedCount: counts.failed,
+    };
+  } catch (error) {
+    logger.error("Webhook delivery processing failed", {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      success: false,
+      error: error.message,
+    };
+  } finally {
+    isProcessing = false;
+  }
+};
+
+/**
+ * Start webhook worker
+ * Polls every WEBHOOK_DELIVERY.POLL_INTERVAL_MS
+ */
+export const startWebhookWorker = () => {
+  if (workerIntervalId) {
+    logger.warn("Webhook worker already running");
+    return;
+  }
+
+  logger.info("Starting webhook worker", {
+    interval: `${WEBHOOK_DELIVERY.POLL_INTERVAL_MS / 1000} seconds`,
+    maxAttempts: WEBHOOK_DELIVERY.MAX_ATTEMPTS,
+  });
+
+  // Run immediately on start
+  processWebhookDeliveries();
+
+  // Schedule recurring polling
+  workerIntervalId = setInterval(() => {
+    processWebhookDeliveries();
+  }, WEBHOOK_DELIVERY.POLL_INTERVAL_MS);
+
+  logger.info("Webhook worker started successfully");
+};
+
+/**
+ * Stop webhook worker
+ */
+export const stopWebhookWorker = () => {
+  if (!workerIntervalId) {
+    logger.warn("Webhook worker not running");
+    return;
+  }
+
+  clearInterval(workerIntervalId);
+  workerIntervalId = null;
+
+  logger.info("Webhook worker stopped");
+};
+
+/**
+ * Check if webhook worker is running
+ * @returns {boolean} True if worker is running
+ */
+export const isWebhookWorkerRunning = () => {
+  return workerIntervalId !== null;
+};
+
+export default {
+  processWebhookDeliveries,
+  startWebhookWorker,
+  stopWebhookWorker,
+  isWebhookWorkerRunning,
+};
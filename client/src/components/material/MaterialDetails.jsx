@@ -1,5 +1,55 @@
+/**
+ * MaterialDetails Component - Material Details Page
+ *
+ * Shows a material (category, unit, current price) with its price trend
+ * and vendor quotes.
+ *
+ * @example
+ * // Route: /materials/:materialId
+ * <MaterialDetails />
+ */
+
+import { useParams } from "react-router";
+import Box from "@mui/material/Box";
+import Stack from "@mui/material/Stack";
+import Typography from "@mui/material/Typography";
+import { MuiChip, MuiLoading } from "../reusable";
+import { ApiErrorDisplay } from "../common";
+import MaterialPriceTrendChart from "./MaterialPriceTrendChart";
+import { useGetMaterialQuery } from "../../redux/features/materialSlice";
+
 const MaterialDetails = () => {
-  return <div>MaterialDetails</div>;
+  const { materialId } = useParams();
+  const { data, isLoading, error, refetch } = useGetMaterialQuery(materialId);
+  const material = data?.data?.material;
+
+  if (isLoading) {
+    return <MuiLoading message="Loading material..." />;
+  }
+
+  if (error) {
+    return <ApiErrorDisplay error={error} onRetry={refetch} />;
+  }
+
+  return (
+    <Box sx={{ p: { xs: 1, sm: 2 } }}>
+      <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="h5">{material?.name}</Typography>
+        {material?.isDeleted && (
+          <MuiChip label="Deleted" color="error" size="small" />
+        )}
+      </Stack>
+      <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+        <MuiChip label={material?.category} size="small" />
+        <MuiChip label={`Unit: ${material?.unit}`} size="small" />
+        {material?.department?.name && (
+          <MuiChip label={material.department.name} size="small" />
+        )}
+      </Stack>
+
+      <MaterialPriceTrendChart materialId={materialId} />
+    </Box>
+  );
 };
 
 export default MaterialDetails;
@@ -0,0 +1,248 @@
+/**
+ * MaterialPriceTrendChart Component - Material Price History Chart
+ *
+ * Shows how the price of a material changed over a period: a stepped line of
+ * the effective price (each change holds until the next one), a summary of
+ * the current, lowest and highest price, and the vendor quotes (cheapest first).
+ *
+ * Features:
+ * - Period selection (months)
+ * - Stepped price line with the vendor of each change in the tooltip
+ * - Current / min / max price and change over the period
+ * - Vendor quotes with expiry and accepted state
+ *
+ * @example
+ * <MaterialPriceTrendChart materialId={materialId} />
+ */
+
+import { useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import Box from "@mui/material/Box";
+import Paper from "@mui/material/Paper";
+import Stack from "@mui/material/Stack";
+import Typography from "@mui/material/Typography";
+import Divider from "@mui/material/Divider";
+import { LineChart } from "@mui/x-charts/LineChart";
+import {
+  MuiChip,
+  MuiEmptyState,
+  MuiLoading,
+  MuiToggleButton,
+} from "../reusable";
+import { ApiErrorDisplay } from "../common";
+import { useTimezone } from "../../hooks";
+import { useGetMaterialPriceTrendQuery } from "../../redux/features/materialSlice";
+import { MATERIAL_PRICE_VALIDATION } from "../../utils/constants";
+
+// Selectable trend periods (months)
+const PERIOD_OPTIONS = [
+  { value: 3, label: "3M" },
+  { value: 6, label: "6M" },
+  { value: 12, label: "1Y" },
+  { value: 24, label: "2Y" },
+];
+
+/**
+ * Format a price with two decimal places in the user's locale
+ * @param {number|null} value - Price
+ * @param {string} locale - Locale
+ * @returns {string} Formatted price, or "-" when not set
+ */
+const formatPrice = (value, locale) =>
+  value === null || value === undefined
+    ? "-"
+    : new Intl.NumberFormat(locale, {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      }).format(value);
+
+/**
+ * Summary value with its label
+ */
+const SummaryItem = ({ label, value, color }) => (
+  <Box>
+    <Typography variant="caption" color="text.secondary">
+      {label}
+    </Typography>
+    <Typography variant="h6" color={color}>
+      {value}
+    </Typography>
+  </Box>
+);
+
+SummaryItem.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  color: PropTypes.string,
+};
+
+const MaterialPriceTrendChart = ({ materialId }) => {
+  const [months, setMonths] = useState(
+    MATERIAL_PRICE_VALIDATION.TREND_MONTHS.DEFAULT
+  );
+  const { locale, formatDate } = useTimezone();
+
+  const { data, isLoading, isFetching, error, refetch } =
+    useGetMaterialPriceTrendQuery({ materialId, months });
+  const priceTrend = data?.data?.priceTrend;
+
+  // Chart points as dates (API returns ISO strings)
+  const points = useMemo(
+    () =>
+      (priceTrend?.points || []).map((point) => ({
+        ...point,
+        date: new Date(point.date),
+      })),
+    [priceTrend]
+  );
+
+  const handlePeriodChange = (_event, value) => {
+    if (value !== null) setMonths(value);
+  };
+
+  if (isLoading) {
+    return <MuiLoading message="Loading price trend..." />;
+  }
+
+  if (error) {
+    return <ApiErrorDisplay error={error} onRetry={refetch} />;
+  }
+
+  if (!priceTrend) {
+    return <MuiEmptyState message="No price history available" />;
+  }
+
+  const { summary, quotes, material } = priceTrend;
+  const changeColor =
+    summary.changePercent > 0
+      ? "error.main"
+      : summary.changePercent < 0
+      ? "success.main"
+      : "text.primary";
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Stack
+        direction={{ xs: "column", sm: "row" }}
+        justifyContent="space-between"
+        alignItems={{ xs: "flex-start", sm: "center" }}
+        spacing={1}
+      >
+        <Typography variant="h6">
+          Price Trend{material?.unit ? ` (per ${material.unit})` : ""}
+        </Typography>
+        <MuiToggleButton
+          value={months}
+          onChange={handlePeriodChange}
+          options={PERIOD_OPTIONS}
+          size="small"
+          disabled={isFetching}
+        />
+      </Stack>
+
+      <Stack direction="row" spacing={4} sx={{ my: 2 }} flexWrap="wrap">
+        <SummaryItem
+          label="Current"
+          value={formatPrice(summary.current, locale)}
+        />
+        <SummaryItem label="Lowest" value={formatPrice(summary.min, locale)} />
+        <SummaryItem label="Highest" value={formatPrice(summary.max, locale)} />
+        <SummaryItem
+          label="Change"
+          value={
+            summary.changePercent === null
+              ? "-"
+              : `${summary.changePercent > 0 ? "+" : ""}${
+                  summary.changePercent
+                }%`
+          }
+          color={changeColor}
+        />
+      </Stack>
+
+      {points.length > 1 ? (
+        <LineChart
+          height={300}
+          xAxis={[
+            {
+              data: points.map((point) => point.date),
+              scaleType: "time",
+              valueFormatter: (date) =>
+                formatDate(date, { month: "short", day: "numeric" }),
+            },
+          ]}
+          series={[
+            {
+              data: points.map((point) => point.price),
+              label: "Price",
+              curve: "stepAfter",
+              showMark: true,
+              valueFormatter: (value, { dataIndex }) => {
+                const vendor = points[dataIndex]?.vendor?.name;
+                const price = formatPrice(value, locale);
+                return vendor ? `${price} (${vendor})` : price;
+              },
+            },
+          ]}
+          hideLegend
+        />
+      ) : (
+        <MuiEmptyState message="No price changes in this period" />
+      )}
+
+      <Divider sx={{ my: 2 }} />
+
+      <Typography variant="subtitle1" gutterBottom>
+        Vendor Quotes
+      </Typography>
+      {quotes.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No vendor quotes
+        </Typography>
+      ) : (
+        <Stack spacing={1}>
+          {quotes.map((quote) => (
+            <Stack
+              key={quote._id}
+              direction="row"
+              justifyContent="space-between"
+              alignItems="center"
+              spacing={2}
+            >
+              <Box>
+                <Typography variant="body2">
+                  {quote.vendor?.name || "Unknown vendor"}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {quote.minimumQuantity
+                    ? `Min. ${quote.minimumQuantity} ${material?.unit || ""} · `
+                    : ""}
+                  {quote.validUntil
+                    ? `Valid until ${formatDate(quote.validUntil)}`
+                    : "No expiry"}
+                </Typography>
+              </Box>
+              <Stack direction="row" spacing={1} alignItems="center">
+                {quote.acceptedAt && (
+                  <MuiChip label="Accepted" color="success" size="small" />
+                )}
+                {quote.isExpired && (
+                  <MuiChip label="Expired" color="default" size="small" />
+                )}
+                <Typography variant="body2" fontWeight="bold">
+                  {formatPrice(quote.unitPrice, locale)}
+                </Typography>
+              </Stack>
+            </Stack>
+          ))}
+        </Stack>
+      )}
+    </Paper>
+  );
+};
+
+MaterialPriceTrendChart.propTypes = {
+  materialId: PropTypes.string.isRequired,
+};
+
+export default MaterialPriceTrendChart;
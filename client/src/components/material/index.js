@@ -1 +1,2 @@
 export { default as MaterialDetails } from "./MaterialDetails";
+export { default as MaterialPriceTrendChart } from "./MaterialPriceTrendChart";
@@ -0,0 +1,343 @@
+/**
+ * NotificationPreferences Component - Notification Settings Panel
+ *
+ * Lets the current user choose how each notification type is delivered
+ * (in-app, email, digest only, or off), set quiet hours in the organization
+ * timezone, pick the email digest frequency, and unmute tasks they muted.
+ *
+ * Features:
+ * - Delivery option per notification type
+ * - Quiet hours (push and email are held back, notifications stay in-app)
+ * - Email digest frequency (daily, weekly, or off)
+ * - Muted task list with unmute action
+ * - React Hook Form with Controller for selects
+ *
+ * @example
+ * <NotificationPreferences />
+ */
+
+import { useEffect, useMemo } from "react";
+import { useForm, Controller } from "react-hook-form";
+import { toast } from "react-toastify";
+import Box from "@mui/material/Box";
+import Paper from "@mui/material/Paper";
+import Stack from "@mui/material/Stack";
+import Typography from "@mui/material/Typography";
+import Button from "@mui/material/Button";
+import Divider from "@mui/material/Divider";
+import CircularProgress from "@mui/material/CircularProgress";
+import {
+  MuiSelectAutocomplete,
+  MuiSwitch,
+  MuiTextField,
+  MuiChip,
+  MuiLoading,
+} from "../reusable";
+import { useAuth } from "../../hooks";
+import {
+  useGetNotificationPreferencesQuery,
+  useUpdateNotificationPreferencesMutation,
+  useUnmuteTaskNotificationsMutation,
+} from "../../redux/features/notificationSlice";
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_PREFERENCE_VALIDATION,
+  DIGEST_FREQUENCY,
+} from "../../utils/constants";
+
+// Human readable labels for notification types
+const NOTIFICATION_TYPE_LABELS = {
+  [NOTIFICATION_TYPES.TASK_ASSIGNED]: "Task assigned to me",
+  [NOTIFICATION_TYPES.TASK_UPDATED]: "Task updates",
+  [NOTIFICATION_TYPES.COMMENT_ADDED]: "New comments",
+  [NOTIFICATION_TYPES.MENTION]: "Mentions",
+  [NOTIFICATION_TYPES.SYSTEM_ALERT]: "System alerts",
+};
+
+// Delivery options and the channels they map to
+const DELIVERY_OPTIONS = [
+  {
+    value: "IN_APP_EMAIL",
+    label: "In-app and email",
+    channels: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.EMAIL],
+  },
+  {
+    value: "IN_APP",
+    label: "In-app only",
+    channels: [NOTIFICATION_CHANNELS.IN_APP],
+  },
+  {
+    value: "EMAIL",
+    label: "Email only",
+    channels: [NOTIFICATION_CHANNELS.EMAIL],
+  },
+  {
+    value: "DIGEST",
+    label: "Digest only",
+    channels: [NOTIFICATION_CHANNELS.DIGEST],
+  },
+  { value: "OFF", label: "Off", channels: [] },
+];
+
+// Email digest frequency options
+const DIGEST_OPTIONS = [
+  { value: DIGEST_FREQUENCY.DAILY, label: "Daily (every morning)" },
+  { value: DIGEST_FREQUENCY.WEEKLY, label: "Weekly (Monday morning)" },
+  { value: DIGEST_FREQUENCY.NONE, label: "Off" },
+];
+
+/**
+ * Find the delivery option matching a channel list
+ * @param {Array<string>} channels - Channels from preferences
+ * @returns {Object} Delivery option
+ */
+const getDeliveryOption = (channels = []) =>
+  DELIVERY_OPTIONS.find(
+    (option) =>
+      option.channels.length === channels.length &&
+      option.channels.every((channel) => channels.includes(channel))
+  ) || DELIVERY_OPTIONS[1];
+
+/**
+ * Build form values from preferences
+ * @param {Object} preferences - Preferences from API
+ * @returns {Object} Form values
+ */
+const toFormValues = (preferences) => ({
+  channels: Object.fromEntries(
+    Object.values(NOTIFICATION_TYPES).map((type) => [
+      type,
+      getDeliveryOption(preferences?.channels?.[type]),
+    ])
+  ),
+  quietHours: {
+    enabled: preferences?.quietHours?.enabled || false,
+    start: preferences?.quietHours?.start || "22:00",
+    end: preferences?.quietHours?.end || "07:00",
+  },
+  digestFrequency:
+    DIGEST_OPTIONS.find(
+      (option) => option.value === preferences?.digest?.frequency
+    ) || DIGEST_OPTIONS[0],
+});
+
+const NotificationPreferences = () => {
+  const { user } = useAuth();
+  const timezone = user?.organization?.settings?.timezone;
+
+  const { data, isLoading } = useGetNotificationPreferencesQuery();
+  const [updatePreferences] = useUpdateNotificationPreferencesMutation();
+  const [unmuteTask, { isLoading: isUnmuting }] =
+    useUnmuteTaskNotificationsMutation();
+
+  const preferences = data?.data?.preferences;
+  const mutedTasks = preferences?.mutedTasks || [];
+  const defaultValues = useMemo(() => toFormValues(preferences), [preferences]);
+
+  const {
+    register,
+    control,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting, isDirty },
+  } = useForm({ mode: "onBlur", defaultValues });
+
+  // Sync form with loaded preferences
+  useEffect(() => {
+    reset(defaultValues);
+  }, [defaultValues, reset]);
+
+  const onSubmit = async (values) => {
+    try {
+      await updatePreferences({
+        channels: Object.fromEntries(
+          Object.entries(values.channels).map(([type, option]) => [
+            type,
+            option?.channels || [],
+          ])
+        ),
+        quietHours: values.quietHours,
+        digest: { frequency: values.digestFrequency?.value },
+      }).unwrap();
+      toast.success("Notification preferences saved");
+    } catch (error) {
+      toast.error(
+        error?.data?.message || "Failed to save notification preferences"
+      );
+    }
+  };
+
+  const handleUnmute = async (taskId) => {
+    try {
+      await unmuteTask(taskId).unwrap();
+    } catch (error) {
+      toast.error(error?.data?.message || "Failed to unmute task");
+    }
+  };
+
+  if (isLoading) {
+    return <MuiLoading />;
+  }
+
+  const timeRules = {
+    pattern: {
+      value: NOTIFICATION_PREFERENCE_VALIDATION.QUIET_HOURS.TIME_PATTERN,
+      message: "Use HH:mm format",
+    },
+  };
+
+  return (
+    <Paper
+      component="form"
+      variant="outlined"
+      onSubmit={handleSubmit(onSubmit)}
+      noValidate
+      sx={{ p: 3 }}
+    >
+      <Typography variant="h6" fontWeight="medium">
+        Notifications
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Choose how you hear about each kind of notification
+      </Typography>
+
+      <Stack spacing={2}>
+        {Object.values(NOTIFICATION_TYPES).map((type) => (
+          <Controller
+            key={type}
+            name={`channels.${type}`}
+            control={control}
+            render={({ field: { onChange, onBlur, value, ref } }) => (
+              <MuiSelectAutocomplete
+                ref={ref}
+                value={value}
+                onChange={onChange}
+                onBlur={onBlur}
+                options={DELIVERY_OPTIONS}
+                label={NOTIFICATION_TYPE_LABELS[type]}
+                disabled={isSubmitting}
+                disableClearable
+                fullWidth
+                size="small"
+                getOptionLabel={(option) => option?.label || ""}
+                isOptionEqualToValue={(option, selected) =>
+                  option?.value === selected?.value
+                }
+              />
+            )}
+          />
+        ))}
+      </Stack>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Typography variant="subtitle1" fontWeight="medium">
+        Quiet hours
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        No pop-ups or emails during these hours
+        {timezone ? ` (${timezone})` : ""}. Notifications still appear in the
+        bell.
+      </Typography>
+
+      <MuiSwitch
+        {...register("quietHours.enabled")}
+        label="Enable quiet hours"
+        disabled={isSubmitting}
+      />
+
+      <Box sx={{ display: "flex", gap: 2, mt: 2 }}>
+        <MuiTextField
+          {...register("quietHours.start", timeRules)}
+          error={errors.quietHours?.start}
+          label="From"
+          type="time"
+          size="small"
+          fullWidth
+          disabled={isSubmitting}
+        />
+        <MuiTextField
+          {...register("quietHours.end", timeRules)}
+          error={errors.quietHours?.end}
+          label="To"
+          type="time"
+          size="small"
+          fullWidth
+          disabled={isSubmitting}
+        />
+      </Box>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Typography variant="subtitle1" fontWeight="medium">
+        Email digest
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        A summary of tasks due today and overdue, comments, mentions, and work
+        completed in your department
+      </Typography>
+
+      <Controller
+        name="digestFrequency"
+        control={control}
+        render={({ field: { onChange, onBlur, value, ref } }) => (
+          <MuiSelectAutocomplete
+            ref={ref}
+            value={value}
+            onChange={onChange}
+            onBlur={onBlur}
+            options={DIGEST_OPTIONS}
+            label="Digest frequency"
+            disabled={isSubmitting}
+            disableClearable
+            fullWidth
+            size="small"
+            getOptionLabel={(option) => option?.label || ""}
+            isOptionEqualToValue={(option, selected) =>
+              option?.value === selected?.value
+            }
+          />
+        )}
+      />
+
+      <Divider sx={{ my: 3 }} />
+
+      <Typography variant="subtitle1" fontWeight="medium">
+        Muted tasks
+      </Typography>
+      {mutedTasks.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          You have not muted any tasks
+        </Typography>
+      ) : (
+        <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mt: 1 }}>
+          {mutedTasks.map((task) => (
+            <MuiChip
+              key={task._id}
+              label={task.title || task.description}
+              onDelete={() => handleUnmute(task._id)}
+              disabled={isUnmuting}
+              size="small"
+            />
+          ))}
+        </Box>
+      )}
+
+      <Box sx={{ display: "flex", justifyContent: "flex-end", mt: 3 }}>
+        <Button
+          type="submit"
+          variant="contained"
+          disabled={!isDirty || isSubmitting}
+          startIcon={
+            isSubmitting ? <CircularProgress size={16} color="inherit" /> : null
+          }
+        >
+          Save preferences
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default NotificationPreferences;
@@ -7,7 +7,7 @@
  *
  * Features:
  * - Real-time notification updates via Socket.IO
- * - Unread count badge
+ * - Unseen count badge (cleared when the menu is opened)
  * - Dropdown menu with notification list
  * - Mark as read functionality
  * - Navigate to notification details
@@ -33,8 +33,10 @@ import MuiBadge from "./MuiBadge";
 import MuiTooltip from "./MuiTooltip";
 import {
   useGetNotificationsQuery,
+  useGetUnreadCountQuery,
   useMarkAsReadMutation,
   useBatchMarkAsReadMutation,
+  useBatchMarkAsSeenMutation,
 } from "../../redux/features/notificationSlice";
 import { SOCKET_EVENTS } from "../../utils/constants";
 import socketService from "../../services/socketService";
@@ -51,17 +53,23 @@ const MuiNotificationBell = memo(() => {
     isRead: false,
   });
 
+  // Fetch own unread/unseen counts
+  const { data: countData, refetch: refetchCount } = useGetUnreadCountQuery();
+
   const [markAsRead] = useMarkAsReadMutation();
   const [batchMarkAsRead] = useBatchMarkAsReadMutation();
+  const [batchMarkAsSeen] = useBatchMarkAsSeenMutation();
 
-  // Get unread count
-  const unreadCount = notificationsData?.totalDocs || 0;
-  const notifications = notificationsData?.docs || [];
+  // Get unread/unseen counts
+  const unreadCount = countData?.data?.unreadCount || 0;
+  const unseenCount = countData?.data?.unseenCount || 0;
+  const notifications = notificationsData?.data?.notifications || [];
 
   // Socket.IO real-time updates
   const handleNotificationCreated = useCallback(() => {
     refetch();
-  }, [refetch]);
+    refetchCount();
+  }, [refetch, refetchCount]);
 
   // Subscribe to socket events
   useEffect(() => {
@@ -79,9 +87,18 @@ const MuiNotificationBell = memo(() => {
     };
   }, [handleNotificationCreated]);
 
-  // Handle menu open
+  // Handle menu open (listed notifications become seen)
   const handleClick = (event) => {
     setAnchorEl(event.currentTarget);
+
+    const unseenIds = notifications.filter((n) => !n.seenAt).map((n) => n._id);
+    if (unseenIds.length > 0) {
+      batchMarkAsSeen(unseenIds)
+        .unwrap()
+        .catch((error) => {
+          console.error("Failed to mark notifications as seen:", error);
+        });
+    }
   };
 
   // Handle menu close
@@ -111,7 +128,7 @@ const MuiNotificationBell = memo(() => {
   const handleMarkAllAsRead = async () => {
     try {
       const notificationIds = notifications.map((n) => n._id);
-      await batchMarkAsRead({ notificationIds }).unwrap();
+      await batchMarkAsRead(notificationIds).unwrap();
       handleClose();
     } catch (error) {
       console.error("Failed to mark all as read:", error);
@@ -124,13 +141,13 @@ const MuiNotificationBell = memo(() => {
         <IconButton
           onClick={handleClick}
           size="large"
-          aria-label={`${unreadCount} new notifications`}
+          aria-label={`${unseenCount} new notifications`}
           aria-controls={open ? "notification-menu" : undefined}
           aria-haspopup="true"
           aria-expanded={open ? "true" : undefined}
           color="inherit"
         >
-          <MuiBadge badgeContent={unreadCount} color="error" max={99}>
+          <MuiBadge badgeContent={unseenCount} color="error" max={99}>
             {unreadCount > 0 ? (
               <NotificationsIcon />
             ) : (
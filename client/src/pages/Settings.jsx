@@ -0,0 +1,27 @@
+/**
+ * Settings Page
+ * Personal settings for the current user
+ * Currently hosts notification preferences
+ */
+
+import Box from "@mui/material/Box";
+import Typography from "@mui/material/Typography";
+import { NotificationPreferences } from "../components/notification";
+
+const Settings = () => {
+  return (
+    <Box sx={{ width: "100%", height: "100%" }}>
+      <Typography variant="h4" component="h1" sx={{ fontWeight: 600 }}>
+        Settings
+      </Typography>
+      <Typography variant="body1" sx={{ color: "text.secondary", mt: 1 }}>
+        Manage your personal preferences
+      </Typography>
+      <Box sx={{ mt: 3, maxWidth: 720 }}>
+        <NotificationPreferences />
+      </Box>
+    </Box>
+  );
+};
+
+export default Settings;
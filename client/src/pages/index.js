@@ -18,6 +18,7 @@ export { default as Users } from "./Users";
 export { default as Tasks } from "./Tasks";
 export { default as Vendors } from "./Vendors";
 export { default as Materials } from "./Materials";
+export { default as Settings } from "./Settings";
 
 // 404 page
 export { default as NotFound } from "./NotFound";
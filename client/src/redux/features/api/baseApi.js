@@ -165,7 +165,9 @@ export const baseApi = createApi({
     "Material",
     "Vendor",
     "Notification",
+    "NotificationPreference",
     "Attachment",
+    "Session",
   ],
   endpoints: () => ({}), // Endpoints will be injected by feature slices
 });
@@ -214,6 +214,55 @@ export const authApi = baseApi.injectEndpoints({
         body: data,
       }),
     }),
+
+    /**
+     * Get the current user's sessions (one per signed-in device)
+     * @param {Object} params - Query parameters
+     * @param {number} params.page - Page number (default: 1)
+     * @param {number} params.limit - Items per page (default: 10)
+     * @param {boolean} params.includeRevoked - Include revoked and expired sessions
+     * @returns {Object} Sessions (current one flagged isCurrent) with pagination
+     */
+    getSessions: builder.query({
+      query: ({ page, limit, includeRevoked } = {}) => {
+        const queryParams = new URLSearchParams();
+        if (page) queryParams.append("page", page);
+        if (limit) queryParams.append("limit", limit);
+        if (includeRevoked !== undefined)
+          queryParams.append("includeRevoked", includeRevoked);
+
+        return {
+          url: `/auth/sessions?${queryParams.toString()}`,
+          method: "GET",
+        };
+      },
+      providesTags: [{ type: "Session", id: "LIST" }],
+    }),
+
+    /**
+     * Revoke one of the current user's sessions (signs that device out)
+     * @param {string} sessionId - Session ID
+     * @returns {Object} Revoked session
+     */
+    revokeSession: builder.mutation({
+      query: (sessionId) => ({
+        url: `/auth/sessions/${sessionId}`,
+        method: "DELETE",
+      }),
+      invalidatesTags: [{ type: "Session", id: "LIST" }],
+    }),
+
+    /**
+     * Revoke all sessions of the current user except the current one
+     * @returns {Object} Number of revoked sessions
+     */
+    revokeOtherSessions: builder.mutation({
+      query: () => ({
+        url: "/auth/sessions",
+        method: "DELETE",
+      }),
+      invalidatesTags: [{ type: "Session", id: "LIST" }],
+    }),
   }),
 });
 
@@ -227,4 +276,7 @@ export const {
   useResetPasswordMutation,
   useVerifyEmailMutation,
   useResendVerificationMutation,
+  useGetSessionsQuery,
+  useRevokeSessionMutation,
+  useRevokeOtherSessionsMutation,
 } = authApi;
@@ -68,6 +68,28 @@ export const materialApi = baseApi.injectEndpoints({
       ],
     }),
 
+    /**
+     * Get material price trend
+     * @param {Object} params - Query parameters
+     * @param {string} params.materialId - Material ID
+     * @param {number} params.months - Months in the trend (default: 12)
+     * @returns {Object} Price history, chart points, summary and vendor quotes
+     */
+    getMaterialPriceTrend: builder.query({
+      query: ({ materialId, months }) => {
+        const queryParams = new URLSearchParams();
+        if (months) queryParams.append("months", months);
+
+        return {
+          url: `/materials/${materialId}/price-trend?${queryParams.toString()}`,
+          method: "GET",
+        };
+      },
+      providesTags: (_result, _error, { materialId }) => [
+        { type: "Material", id: materialId },
+      ],
+    }),
+
     /**
      * Create new material
      * @param {Object} data - Material data
@@ -107,6 +129,85 @@ export const materialApi = baseApi.injectEndpoints({
       ],
     }),
 
+    /**
+     * Record material price in the price history
+     * @param {Object} data - Price data
+     * @param {string} data.materialId - Material ID
+     * @param {number} data.price - Price
+     * @param {string} data.effectiveFrom - Date from which the price applies (optional)
+     * @param {string} data.vendor - Vendor ID (optional)
+     * @param {string} data.note - Note (optional)
+     * @returns {Object} Updated material and the price entry
+     */
+    recordMaterialPrice: builder.mutation({
+      query: ({ materialId, ...data }) => ({
+        url: `/materials/${materialId}/prices`,
+        method: "POST",
+        body: data,
+      }),
+      invalidatesTags: (_result, _error, { materialId }) => [
+        { type: "Material", id: materialId },
+        { type: "Material", id: "LIST" },
+      ],
+    }),
+
+    /**
+     * Add vendor quote to material
+     * @param {Object} data - Quote data
+     * @param {string} data.materialId - Material ID
+     * @param {string} data.vendor - Vendor ID
+     * @param {number} data.unitPrice - Quoted unit price
+     * @param {number} data.minimumQuantity - Smallest order quantity (optional)
+     * @param {string} data.validUntil - Quote expiry date (optional)
+     * @param {string} data.note - Note (optional)
+     * @returns {Object} Updated material
+     */
+    addMaterialQuote: builder.mutation({
+      query: ({ materialId, ...data }) => ({
+        url: `/materials/${materialId}/quotes`,
+        method: "POST",
+        body: data,
+      }),
+      invalidatesTags: (_result, _error, { materialId }) => [
+        { type: "Material", id: materialId },
+      ],
+    }),
+
+    /**
+     * Delete vendor quote from material
+     * @param {Object} data - Quote reference
+     * @param {string} data.materialId - Material ID
+     * @param {string} data.quoteId - Quote ID
+     * @returns {Object} Updated material
+     */
+    deleteMaterialQuote: builder.mutation({
+      query: ({ materialId, quoteId }) => ({
+        url: `/materials/${materialId}/quotes/${quoteId}`,
+        method: "DELETE",
+      }),
+      invalidatesTags: (_result, _error, { materialId }) => [
+        { type: "Material", id: materialId },
+      ],
+    }),
+
+    /**
+     * Accept vendor quote as the material price
+     * @param {Object} data - Quote reference
+     * @param {string} data.materialId - Material ID
+     * @param {string} data.quoteId - Quote ID
+     * @returns {Object} Updated material and the price entry
+     */
+    acceptMaterialQuote: builder.mutation({
+      query: ({ materialId, quoteId }) => ({
+        url: `/materials/${materialId}/quotes/${quoteId}/accept`,
+        method: "POST",
+      }),
+      invalidatesTags: (_result, _error, { materialId }) => [
+        { type: "Material", id: materialId },
+        { type: "Material", id: "LIST" },
+      ],
+    }),
+
     /**
      * Soft delete material with cascade operations
      * @param {string} materialId - Material ID
@@ -147,8 +248,13 @@ export const materialApi = baseApi.injectEndpoints({
 export const {
   useGetMaterialsQuery,
   useGetMaterialQuery,
+  useGetMaterialPriceTrendQuery,
   useCreateMaterialMutation,
   useUpdateMaterialMutation,
+  useRecordMaterialPriceMutation,
+  useAddMaterialQuoteMutation,
+  useDeleteMaterialQuoteMutation,
+  useAcceptMaterialQuoteMutation,
   useDeleteMaterialMutation,
   useRestoreMaterialMutation,
 } = materialApi;
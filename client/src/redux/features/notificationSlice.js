@@ -17,7 +17,9 @@ export const notificationApi = baseApi.injectEndpoints({
      * @param {number} params.limit - Items per page (default: 10)
      * @param {string} params.search - Search query
      * @param {string} params.type - Filter by notification type
-     * @param {boolean} params.isRead - Filter by read status
+     * @param {boolean} params.isRead - Filter by own read status
+     * @param {boolean} params.isSeen - Filter by own seen status
+     * @param {boolean} params.isArchived - Show own archived notifications
      * @param {string} params.recipient - Filter by recipient user ID
      * @param {string} params.organization - Filter by organization ID
      * @param {string} params.department - Filter by department ID
@@ -34,6 +36,10 @@ export const notificationApi = baseApi.injectEndpoints({
         if (params.type) queryParams.append("type", params.type);
         if (params.isRead !== undefined)
           queryParams.append("isRead", params.isRead);
+        if (params.isSeen !== undefined)
+          queryParams.append("isSeen", params.isSeen);
+        if (params.isArchived !== undefined)
+          queryParams.append("isArchived", params.isArchived);
         if (params.recipient) queryParams.append("recipient", params.recipient);
         if (params.organization)
           queryParams.append("organization", params.organization);
@@ -76,6 +82,18 @@ export const notificationApi = baseApi.injectEndpoints({
       ],
     }),
 
+    /**
+     * Get unread and unseen notification counts for the current user
+     * @returns {Object} { unreadCount, unseenCount }
+     */
+    getUnreadCount: builder.query({
+      query: () => ({
+        url: "/notifications/unread-count",
+        method: "GET",
+      }),
+      providesTags: [{ type: "Notification", id: "UNREAD_COUNT" }],
+    }),
+
     /**
      * Mark notification as read
      * @param {string} notificationId - Notification ID
@@ -89,6 +107,7 @@ export const notificationApi = baseApi.injectEndpoints({
       invalidatesTags: (_result, _error, notificationId) => [
         { type: "Notification", id: notificationId },
         { type: "Notification", id: "LIST" },
+        { type: "Notification", id: "UNREAD_COUNT" },
       ],
     }),
 
@@ -103,7 +122,95 @@ export const notificationApi = baseApi.injectEndpoints({
         method: "PUT",
         body: { notificationIds },
       }),
-      invalidatesTags: [{ type: "Notification", id: "LIST" }],
+      invalidatesTags: [
+        { type: "Notification", id: "LIST" },
+        { type: "Notification", id: "UNREAD_COUNT" },
+      ],
+    }),
+
+    /**
+     * Batch mark notifications as seen (clears the badge without reading)
+     * @param {Array<string>} notificationIds - Array of notification IDs
+     * @returns {Object} Success message
+     */
+    batchMarkAsSeen: builder.mutation({
+      query: (notificationIds) => ({
+        url: "/notifications/batch-seen",
+        method: "PUT",
+        body: { notificationIds },
+      }),
+      invalidatesTags: [{ type: "Notification", id: "UNREAD_COUNT" }],
+    }),
+
+    /**
+     * Archive notification for the current user
+     * @param {string} notificationId - Notification ID
+     * @returns {Object} Archived notification
+     */
+    archiveNotification: builder.mutation({
+      query: (notificationId) => ({
+        url: `/notifications/${notificationId}/archive`,
+        method: "PUT",
+      }),
+      invalidatesTags: (_result, _error, notificationId) => [
+        { type: "Notification", id: notificationId },
+        { type: "Notification", id: "LIST" },
+        { type: "Notification", id: "UNREAD_COUNT" },
+      ],
+    }),
+
+    /**
+     * Get notification preferences of the current user
+     * @returns {Object} { preferences: { channels, quietHours, mutedTasks } }
+     */
+    getNotificationPreferences: builder.query({
+      query: () => ({
+        url: "/notifications/preferences",
+        method: "GET",
+      }),
+      providesTags: [{ type: "NotificationPreference", id: "ME" }],
+    }),
+
+    /**
+     * Update notification preferences of the current user
+     * @param {Object} data - Preferences to update
+     * @param {Object} data.channels - Channels per notification type
+     * @param {Object} data.quietHours - { enabled, start, end } in organization timezone
+     * @returns {Object} Updated preferences
+     */
+    updateNotificationPreferences: builder.mutation({
+      query: (data) => ({
+        url: "/notifications/preferences",
+        method: "PUT",
+        body: data,
+      }),
+      invalidatesTags: [{ type: "NotificationPreference", id: "ME" }],
+    }),
+
+    /**
+     * Mute notifications about a task for the current user
+     * @param {string} taskId - Task ID
+     * @returns {Object} Updated preferences
+     */
+    muteTaskNotifications: builder.mutation({
+      query: (taskId) => ({
+        url: `/notifications/preferences/muted-tasks/${taskId}`,
+        method: "PUT",
+      }),
+      invalidatesTags: [{ type: "NotificationPreference", id: "ME" }],
+    }),
+
+    /**
+     * Unmute notifications about a task for the current user
+     * @param {string} taskId - Task ID
+     * @returns {Object} Updated preferences
+     */
+    unmuteTaskNotifications: builder.mutation({
+      query: (taskId) => ({
+        url: `/notifications/preferences/muted-tasks/${taskId}`,
+        method: "DELETE",
+      }),
+      invalidatesTags: [{ type: "NotificationPreference", id: "ME" }],
     }),
 
     /**
@@ -128,7 +235,14 @@ export const notificationApi = baseApi.injectEndpoints({
 export const {
   useGetNotificationsQuery,
   useGetNotificationQuery,
+  useGetUnreadCountQuery,
   useMarkAsReadMutation,
   useBatchMarkAsReadMutation,
+  useBatchMarkAsSeenMutation,
+  useArchiveNotificationMutation,
+  useGetNotificationPreferencesQuery,
+  useUpdateNotificationPreferencesMutation,
+  useMuteTaskNotificationsMutation,
+  useUnmuteTaskNotificationsMutation,
   useDeleteNotificationMutation,
 } = notificationApi;
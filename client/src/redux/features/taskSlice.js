@@ -74,6 +74,35 @@ export const taskApi = baseApi.injectEndpoints({
       providesTags: (_result, _error, taskId) => [{ type: "Task", id: taskId }],
     }),
 
+    /**
+     * Get task timeline: activities (manual and task history) and comments
+     * merged by date, for MuiTimeline
+     * @param {Object} params - Query parameters
+     * @param {string} params.taskId - Task ID
+     * @param {number} params.page - Page number (default: 1)
+     * @param {number} params.limit - Items per page (default: 10)
+     * @param {string} params.order - Date order: asc (oldest first, default) or desc
+     * @returns {Object} Timeline items (itemType: activity or comment) with pagination
+     */
+    getTaskTimeline: builder.query({
+      query: ({ taskId, page, limit, order }) => {
+        const queryParams = new URLSearchParams();
+        if (page) queryParams.append("page", page);
+        if (limit) queryParams.append("limit", limit);
+        if (order) queryParams.append("order", order);
+
+        return {
+          url: `/tasks/${taskId}/timeline?${queryParams.toString()}`,
+          method: "GET",
+        };
+      },
+      providesTags: (_result, _error, { taskId }) => [
+        { type: "Task", id: taskId },
+        { type: "TaskActivity", id: "LIST" },
+        { type: "TaskComment", id: "LIST" },
+      ],
+    }),
+
     /**
      * Create new task (all task types)
      * @param {Object} data - Task data
@@ -104,6 +133,7 @@ export const taskApi = baseApi.injectEndpoints({
      * @param {Object} data - Update data
      * @param {string} data.taskId - Task ID
      * @param {Object} data.updates - Task updates
+     * @param {string} [data.updates.updateScope] - Recurring routine task scope (thisOccurrence, thisAndFuture)
      * @returns {Object} Updated task
      */
     updateTask: builder.mutation({
@@ -162,6 +192,7 @@ export const taskApi = baseApi.injectEndpoints({
 export const {
   useGetTasksQuery,
   useGetTaskQuery,
+  useGetTaskTimelineQuery,
   useCreateTaskMutation,
   useUpdateTaskMutation,
   useDeleteTaskMutation,
@@ -199,6 +199,49 @@ export const userApi = baseApi.injectEndpoints({
         { type: "User", id: "LIST" },
       ],
     }),
+
+    /**
+     * Get the sessions of a user (admins)
+     * @param {Object} params - Query parameters
+     * @param {string} params.userId - User ID
+     * @param {number} params.page - Page number (default: 1)
+     * @param {number} params.limit - Items per page (default: 10)
+     * @param {boolean} params.includeRevoked - Include revoked and expired sessions
+     * @returns {Object} Sessions with pagination
+     */
+    getUserSessions: builder.query({
+      query: ({ userId, page, limit, includeRevoked }) => {
+        const queryParams = new URLSearchParams();
+        if (page) queryParams.append("page", page);
+        if (limit) queryParams.append("limit", limit);
+        if (includeRevoked !== undefined)
+          queryParams.append("includeRevoked", includeRevoked);
+
+        return {
+          url: `/users/${userId}/sessions?${queryParams.toString()}`,
+          method: "GET",
+        };
+      },
+      providesTags: (_result, _error, { userId }) => [
+        { type: "Session", id: userId },
+      ],
+    }),
+
+    /**
+     * Revoke all sessions of a user (signs the user out of every device)
+     * @param {string} userId - User ID
+     * @returns {Object} Number of revoked sessions
+     */
+    revokeUserSessions: builder.mutation({
+      query: (userId) => ({
+        url: `/users/${userId}/sessions`,
+        method: "DELETE",
+      }),
+      invalidatesTags: (_result, _error, userId) => [
+        { type: "Session", id: userId },
+        { type: "Session", id: "LIST" },
+      ],
+    }),
   }),
 });
 
@@ -213,4 +256,6 @@ export const {
   useChangePasswordMutation,
   useChangeEmailMutation,
   useUploadAvatarMutation,
+  useGetUserSessionsQuery,
+  useRevokeUserSessionsMutation,
 } = userApi;
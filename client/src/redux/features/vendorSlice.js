@@ -76,7 +76,6 @@ export const vendorApi = baseApi.injectEndpoints({
      * @param {string} data.email - Vendor email
      * @param {string} data.phone - Vendor phone
      * @param {string} data.organization - Organization ID
-     * @param {number} data.rating - Vendor rating (1-5)
      * @param {string} data.status - Vendor status
      * @param {string} data.address - Vendor address
      * @returns {Object} Created vendor
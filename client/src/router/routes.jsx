@@ -158,6 +158,10 @@ const routes = createBrowserRouter([
                   "VendorDetails"
                 ),
               },
+              {
+                path: "settings",
+                lazy: lazyLoad(() => import("../pages"), "Settings"),
+              },
             ],
           },
         ],
@@ -52,6 +52,17 @@ export const ACTIVITY_TYPES = {
   ATTACHMENT: "ATTACHMENT",
   ASSIGNMENT: "ASSIGNMENT",
   COMPLETION: "COMPLETION",
+  FIELD_CHANGE: "FIELD_CHANGE",
+};
+
+/**
+ * Task Timeline Item Types Enum
+ * @readonly
+ * @enum {string}
+ */
+export const TIMELINE_ITEM_TYPES = {
+  ACTIVITY: "activity",
+  COMMENT: "comment",
 };
 
 /**
@@ -67,6 +78,87 @@ export const NOTIFICATION_TYPES = {
   SYSTEM_ALERT: "SYSTEM_ALERT",
 };
 
+/**
+ * Notification Delivery Channels Enum
+ * IN_APP: real-time Socket.IO push, EMAIL: sent via email,
+ * DIGEST: stored in-app without push and included in the periodic email digest
+ * @readonly
+ * @enum {string}
+ */
+export const NOTIFICATION_CHANNELS = {
+  IN_APP: "IN_APP",
+  EMAIL: "EMAIL",
+  DIGEST: "DIGEST",
+};
+
+/**
+ * Email Digest Frequency Enum
+ * NONE: digest disabled, DAILY: every morning, WEEKLY: every Monday morning
+ * @readonly
+ * @enum {string}
+ */
+export const DIGEST_FREQUENCY = {
+  NONE: "NONE",
+  DAILY: "DAILY",
+  WEEKLY: "WEEKLY",
+};
+
+/**
+ * Email Outbox Status Enum
+ * PENDING: waiting for (re)delivery, SENDING: claimed by the outbox worker,
+ * SENT: delivered to the SMTP server, FAILED: gave up after EMAIL_OUTBOX.MAX_ATTEMPTS
+ * @readonly
+ * @enum {string}
+ */
+export const EMAIL_OUTBOX_STATUS = {
+  PENDING: "PENDING",
+  SENDING: "SENDING",
+  SENT: "SENT",
+  FAILED: "FAILED",
+};
+
+/**
+ * Webhook Delivery Status Enum
+ * PENDING: waiting for (re)delivery, SENDING: claimed by the webhook worker,
+ * DELIVERED: receiver answered 2xx, FAILED: gave up after WEBHOOK_DELIVERY.MAX_ATTEMPTS
+ * (or the webhook was deleted or disabled)
+ * @readonly
+ * @enum {string}
+ */
+export const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: "PENDING",
+  SENDING: "SENDING",
+  DELIVERED: "DELIVERED",
+  FAILED: "FAILED",
+};
+
+/**
+ * API Token Types Enum
+ * API_KEY: organization key managed by admins (acts as the admin who created it),
+ * PERSONAL_ACCESS_TOKEN: token of a single user (acts as that user)
+ * @readonly
+ * @enum {string}
+ */
+export const API_TOKEN_TYPES = {
+  API_KEY: "API_KEY",
+  PERSONAL_ACCESS_TOKEN: "PERSONAL_ACCESS_TOKEN",
+};
+
+/**
+ * Email Templates Enum
+ * Template of each queued email (used for outbox filtering and logs)
+ * @readonly
+ * @enum {string}
+ */
+export const EMAIL_TEMPLATES = {
+  PASSWORD_RESET: "PASSWORD_RESET",
+  EMAIL_VERIFICATION: "EMAIL_VERIFICATION",
+  TASK_ASSIGNMENT: "TASK_ASSIGNMENT",
+  WELCOME: "WELCOME",
+  NOTIFICATION: "NOTIFICATION",
+  DIGEST: "DIGEST",
+};
+
 /**
  * Vendor Status Enum
  * @readonly
@@ -78,6 +170,17 @@ export const VENDOR_STATUS = {
   BLOCKED: "BLOCKED",
 };
 
+/**
+ * Vendor Compliance Document Type Enum
+ * @readonly
+ * @enum {string}
+ */
+export const VENDOR_DOCUMENT_TYPES = {
+  CONTRACT: "CONTRACT",
+  INSURANCE: "INSURANCE",
+  LICENSE: "LICENSE",
+};
+
 /**
  * Material Category Enum
  * @readonly
@@ -95,6 +198,109 @@ export const MATERIAL_CATEGORY = {
   OTHER: "Other",
 };
 
+/**
+ * Unit Dimension Enum
+ * Units of the same dimension can be converted into each other
+ * @readonly
+ * @enum {string}
+ */
+export const UNIT_DIMENSIONS = {
+  MASS: "mass",
+  VOLUME: "volume",
+  LENGTH: "length",
+  COUNT: "count",
+};
+
+/**
+ * Stock Movement Types Enum
+ * Receipts, reversals and incoming transfers add stock; the others remove it
+ * (adjustments either way)
+ * @readonly
+ * @enum {string}
+ */
+export const STOCK_MOVEMENT_TYPES = {
+  RECEIPT: "Receipt",
+  CONSUMPTION: "Consumption",
+  CONSUMPTION_REVERSAL: "ConsumptionReversal",
+  ADJUSTMENT: "Adjustment",
+  TRANSFER_IN: "TransferIn",
+  TRANSFER_OUT: "TransferOut",
+};
+
+/**
+ * Stock Source Models (records whose material lines post consumption, or
+ * receipts for purchase orders)
+ * @readonly
+ * @enum {string}
+ */
+export const STOCK_SOURCE_MODELS = {
+  TASK_ACTIVITY: "TaskActivity",
+  ROUTINE_TASK: "RoutineTask",
+  PURCHASE_ORDER: "PurchaseOrder",
+};
+
+/**
+ * Material Price Source Enum
+ * MANUAL: price set on the material or recorded directly; QUOTE: accepted vendor quote
+ * @readonly
+ * @enum {string}
+ */
+export const MATERIAL_PRICE_SOURCES = {
+  MANUAL: "Manual",
+  QUOTE: "Quote",
+};
+
+/**
+ * Reorder Alert Status Enum
+ * OPEN while stock stays at or below the reorder point, RESOLVED once it recovers
+ * @readonly
+ * @enum {string}
+ */
+export const REORDER_ALERT_STATUS = {
+  OPEN: "OPEN",
+  RESOLVED: "RESOLVED",
+};
+
+/**
+ * Purchase Order Status Enum
+ * DRAFT -> SUBMITTED -> APPROVED -> PARTIALLY_RECEIVED -> RECEIVED -> CLOSED
+ * Rejected orders return to DRAFT; orders not yet received can be CANCELLED
+ * @readonly
+ * @enum {string}
+ */
+export const PURCHASE_ORDER_STATUS = {
+  DRAFT: "DRAFT",
+  SUBMITTED: "SUBMITTED",
+  APPROVED: "APPROVED",
+  PARTIALLY_RECEIVED: "PARTIALLY_RECEIVED",
+  RECEIVED: "RECEIVED",
+  CLOSED: "CLOSED",
+  CANCELLED: "CANCELLED",
+};
+
+/**
+ * Bulk Import Resources Enum
+ * Resources that can be created from a CSV/XLSX file
+ * @readonly
+ * @enum {string}
+ */
+export const IMPORT_RESOURCES = {
+  MATERIALS: "materials",
+  VENDORS: "vendors",
+  USERS: "users",
+};
+
+/**
+ * List Export Formats Enum
+ * @readonly
+ * @enum {string}
+ */
+export const EXPORT_FORMATS = {
+  CSV: "csv",
+  XLSX: "xlsx",
+  PDF: "pdf",
+};
+
 /**
  * Task Types Enum (Discriminator)
  * @readonly
@@ -117,6 +323,17 @@ export const RECURRENCE_FREQUENCY = {
   MONTHLY: "monthly",
 };
 
+/**
+ * Recurrence Update Scope Enum
+ * Controls how an edit to a recurring routine task propagates through its series
+ * @readonly
+ * @enum {string}
+ */
+export const RECURRENCE_UPDATE_SCOPE = {
+  THIS_OCCURRENCE: "thisOccurrence",
+  THIS_AND_FUTURE: "thisAndFuture",
+};
+
 /**
  * TTL Expiry Periods (in seconds)
  * @readonly
@@ -135,6 +352,62 @@ export const TTL_EXPIRY = {
   ATTACHMENTS: 30 * 24 * 60 * 60, // 30 days
 };
 
+/**
+ * Email Outbox Delivery Settings
+ * Retry delay doubles after each failed attempt, capped at MAX_DELAY_MS
+ * @readonly
+ */
+export const EMAIL_OUTBOX = {
+  MAX_ATTEMPTS: 8,
+  BASE_DELAY_MS: 60 * 1000, // 1 minute
+  MAX_DELAY_MS: 6 * 60 * 60 * 1000, // 6 hours
+  LOCK_TIMEOUT_MS: 5 * 60 * 1000, // Reclaim messages stuck in SENDING
+  POLL_INTERVAL_MS: 15 * 1000, // 15 seconds
+  BATCH_SIZE: 50,
+  SENT_RETENTION: 30 * 24 * 60 * 60, // 30 days (seconds)
+};
+
+/**
+ * Webhook Delivery Settings
+ * Retry delay doubles after each failed attempt, capped at MAX_DELAY_MS
+ * @readonly
+ */
+export const WEBHOOK_DELIVERY = {
+  MAX_ATTEMPTS: 8,
+  BASE_DELAY_MS: 30 * 1000, // 30 seconds
+  MAX_DELAY_MS: 6 * 60 * 60 * 1000, // 6 hours
+  TIMEOUT_MS: 10 * 1000, // Receiver must answer within 10 seconds
+  LOCK_TIMEOUT_MS: 2 * 60 * 1000, // Reclaim deliveries stuck in SENDING
+  POLL_INTERVAL_MS: 10 * 1000, // 10 seconds
+  BATCH_SIZE: 50,
+  RESPONSE_BODY_MAX_LENGTH: 1000, // Characters of the receiver response kept in the log
+  DELIVERED_RETENTION: 30 * 24 * 60 * 60, // 30 days (seconds)
+  HEADERS: {
+    ID: "X-Webhook-Id",
+    EVENT: "X-Webhook-Event",
+    TIMESTAMP: "X-Webhook-Timestamp",
+    SIGNATURE: "X-Webhook-Signature",
+  },
+};
+
+/**
+ * API Token Settings
+ * Tokens are sent as "Authorization: Bearer <token>"; the prefix tells API tokens
+ * apart from JWTs and identifies the token type
+ * @readonly
+ */
+export const API_TOKEN = {
+  PREFIXES: {
+    API_KEY: "tm_key_",
+    PERSONAL_ACCESS_TOKEN: "tm_pat_",
+  },
+  TOKEN_BYTES: 32, // Random bytes after the prefix (hex encoded)
+  DISPLAY_PREFIX_LENGTH: 15, // Characters kept in clear to identify tokens in lists
+  LAST_USED_UPDATE_INTERVAL_MS: 60 * 1000, // Throttle lastUsedAt writes
+  // Resources that cannot be granted to tokens (tokens cannot manage tokens)
+  RESTRICTED_RESOURCES: ["apiTokens", "apiKeys"],
+};
+
 /**
  * HTTP Status Codes
  * @readonly
@@ -149,6 +422,8 @@ export const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
   UNPROCESSABLE_ENTITY: 422,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
@@ -296,6 +571,28 @@ export const FILE_TYPES = {
   OTHER: "Other",
 };
 
+/**
+ * Attachment Storage Providers
+ * LOCAL: files on the server disk (LOCAL_STORAGE_DIR),
+ * CLOUDINARY: Cloudinary (or a Cloudinary-compatible upload API)
+ * @readonly
+ * @enum {string}
+ */
+export const STORAGE_PROVIDERS = {
+  LOCAL: "local",
+  CLOUDINARY: "cloudinary",
+};
+
+/**
+ * Image Attachment Thumbnail Sizes
+ * @readonly
+ * @enum {string}
+ */
+export const THUMBNAIL_SIZES = {
+  SMALL: "small",
+  MEDIUM: "medium",
+};
+
 /**
  * Parent Model Types (for polymorphic references)
  * @readonly
@@ -305,6 +602,7 @@ export const PARENT_MODEL_TYPES = {
   TASK: "Task",
   TASK_ACTIVITY: "TaskActivity",
   TASK_COMMENT: "TaskComment",
+  VENDOR: "Vendor",
 };
 
 /**
@@ -321,6 +619,7 @@ export const ENTITY_MODEL_TYPES = {
   DEPARTMENT: "Department",
   MATERIAL: "Material",
   VENDOR: "Vendor",
+  PURCHASE_ORDER: "PurchaseOrder",
 };
 
 /**
@@ -387,8 +686,40 @@ export const SOCKET_EVENTS = {
   NOTIFICATION_CREATED: "notification:created",
   USER_ONLINE: "user:online",
   USER_OFFLINE: "user:offline",
+  MATERIAL_CREATED: "material:created",
+  MATERIAL_UPDATED: "material:updated",
+  MATERIAL_DELETED: "material:deleted",
+  MATERIAL_RESTORED: "material:restored",
+  VENDOR_CREATED: "vendor:created",
+  VENDOR_UPDATED: "vendor:updated",
+  VENDOR_DELETED: "vendor:deleted",
+  VENDOR_RESTORED: "vendor:restored",
+  WEBHOOK_PING: "webhook:ping",
 };
 
+/**
+ * Webhook Event Types
+ * Events organizations can subscribe webhooks to (WEBHOOK_PING is only sent
+ * on request, to the pinged webhook)
+ * @readonly
+ */
+export const WEBHOOK_EVENTS = [
+  SOCKET_EVENTS.TASK_CREATED,
+  SOCKET_EVENTS.TASK_UPDATED,
+  SOCKET_EVENTS.TASK_DELETED,
+  SOCKET_EVENTS.COMMENT_ADDED,
+  SOCKET_EVENTS.COMMENT_UPDATED,
+  SOCKET_EVENTS.COMMENT_DELETED,
+  SOCKET_EVENTS.MATERIAL_CREATED,
+  SOCKET_EVENTS.MATERIAL_UPDATED,
+  SOCKET_EVENTS.MATERIAL_DELETED,
+  SOCKET_EVENTS.MATERIAL_RESTORED,
+  SOCKET_EVENTS.VENDOR_CREATED,
+  SOCKET_EVENTS.VENDOR_UPDATED,
+  SOCKET_EVENTS.VENDOR_DELETED,
+  SOCKET_EVENTS.VENDOR_RESTORED,
+];
+
 /**
  * Field Validation Constants
  * Used in schemas and validators for consistent validation
@@ -556,6 +887,143 @@ export const MATERIAL_VALIDATION = {
   },
 };
 
+// Unit Conversion: dimension and size of each allowed unit in the dimension's
+// base unit (g, ml, m, pcs); US customary units for gal, qt and pt
+export const UNIT_CONVERSIONS = {
+  UNITS: {
+    kg: { dimension: UNIT_DIMENSIONS.MASS, factor: 1000 },
+    g: { dimension: UNIT_DIMENSIONS.MASS, factor: 1 },
+    mg: { dimension: UNIT_DIMENSIONS.MASS, factor: 0.001 },
+    lb: { dimension: UNIT_DIMENSIONS.MASS, factor: 453.59237 },
+    oz: { dimension: UNIT_DIMENSIONS.MASS, factor: 28.349523125 },
+    l: { dimension: UNIT_DIMENSIONS.VOLUME, factor: 1000 },
+    ml: { dimension: UNIT_DIMENSIONS.VOLUME, factor: 1 },
+    gal: { dimension: UNIT_DIMENSIONS.VOLUME, factor: 3785.411784 },
+    qt: { dimension: UNIT_DIMENSIONS.VOLUME, factor: 946.352946 },
+    pt: { dimension: UNIT_DIMENSIONS.VOLUME, factor: 473.176473 },
+    m: { dimension: UNIT_DIMENSIONS.LENGTH, factor: 1 },
+    cm: { dimension: UNIT_DIMENSIONS.LENGTH, factor: 0.01 },
+    mm: { dimension: UNIT_DIMENSIONS.LENGTH, factor: 0.001 },
+    ft: { dimension: UNIT_DIMENSIONS.LENGTH, factor: 0.3048 },
+    in: { dimension: UNIT_DIMENSIONS.LENGTH, factor: 0.0254 },
+    pcs: { dimension: UNIT_DIMENSIONS.COUNT, factor: 1 },
+  },
+  // Decimal places kept in converted quantities
+  PRECISION: 6,
+};
+
+// Material Price History and Vendor Quote Validation
+export const MATERIAL_PRICE_VALIDATION = {
+  NOTE: {
+    MAX_LENGTH: 500,
+  },
+  QUOTES: {
+    MAX_COUNT: 20,
+  },
+  TREND_MONTHS: {
+    MIN: 1,
+    MAX: 60,
+    DEFAULT: 12,
+  },
+};
+
+// Stock Ledger Field Validation
+export const STOCK_VALIDATION = {
+  QUANTITY: {
+    MIN: 0,
+    MAX: 1000000,
+  },
+  NOTE: {
+    MAX_LENGTH: 500,
+  },
+  // Decimal places kept for quantities and balances
+  PRECISION: 6,
+};
+
+// Project Cost Field Validation (budgets, vendor charges, budget alerts)
+export const COST_VALIDATION = {
+  AMOUNT: {
+    MIN: 0,
+    MAX: 1000000000,
+  },
+  VENDOR_CHARGE: {
+    DESCRIPTION: {
+      MIN_LENGTH: 2,
+      MAX_LENGTH: 200,
+    },
+    MAX_COUNT: 100,
+  },
+  // Percentages of the budget at which spend notifications are sent
+  BUDGET_ALERT_THRESHOLDS: {
+    MIN: 1,
+    MAX: 1000,
+    MAX_COUNT: 10,
+    DEFAULT: [50, 80, 100],
+  },
+  // Decimal places kept for costs
+  PRECISION: 2,
+};
+
+// Vendor Scorecard (Vendor.rating derived from completed project tasks)
+export const VENDOR_SCORECARD = {
+  // Vendor.rating = weighted average of the mean project rating and the
+  // on-time score (on-time rate mapped onto the rating scale)
+  RATING_WEIGHT: 0.7,
+  ON_TIME_WEIGHT: 0.3,
+  TREND_MONTHS: {
+    MIN: 1,
+    MAX: 60,
+    DEFAULT: 12,
+  },
+  // Completed projects listed on the scorecard (newest first)
+  RECENT_PROJECTS: 10,
+  // Decimal places kept for ratings, percentages and delays (days)
+  PRECISION: 1,
+};
+
+// Vendor Compliance Documents (contracts, insurance certificates, licenses)
+export const VENDOR_COMPLIANCE = {
+  DOCUMENTS: {
+    MAX_COUNT: 10,
+  },
+  TITLE: {
+    MIN_LENGTH: 2,
+    MAX_LENGTH: 100,
+  },
+  REFERENCE_NUMBER: {
+    MAX_LENGTH: 50,
+  },
+  // Days before expiry at which Admins are warned (organization setting)
+  EXPIRY_WARNING_DAYS: {
+    MIN: 1,
+    MAX: 180,
+    DEFAULT: 30,
+  },
+  // Statuses a vendor can be moved to when a mandatory document lapses
+  LAPSE_STATUSES: [VENDOR_STATUS.INACTIVE, VENDOR_STATUS.BLOCKED],
+};
+
+// Purchase Order Field Validation
+export const PURCHASE_ORDER_VALIDATION = {
+  LINE_ITEMS: {
+    MIN_COUNT: 1,
+    MAX_COUNT: 50,
+  },
+  NOTES: {
+    MAX_LENGTH: 1000,
+  },
+  RECEIPT_NOTE: {
+    MAX_LENGTH: 500,
+  },
+  REJECTION_REASON: {
+    MIN_LENGTH: 2,
+    MAX_LENGTH: 500,
+  },
+  // Printed as PO-000001
+  NUMBER_PREFIX: "PO-",
+  NUMBER_DIGITS: 6,
+};
+
 // Vendor Field Validation
 export const VENDOR_VALIDATION = {
   NAME: {
@@ -629,6 +1097,107 @@ export const ATTACHMENT_VALIDATION = {
   ],
 };
 
+// Image Attachment Processing (thumbnails, dimensions, EXIF)
+export const IMAGE_PROCESSING = {
+  // Image types that get thumbnails (SVG files are served as is)
+  MIME_TYPES: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+  MAX_PIXELS: 50 * 1000 * 1000, // Reject decompression bombs
+  THUMBNAIL: {
+    // Longest side in pixels, by THUMBNAIL_SIZES value
+    MAX_DIMENSIONS: {
+      small: 200,
+      medium: 800,
+    },
+    MIME_TYPE: "image/webp",
+    EXTENSION: ".webp",
+    QUALITY: 80,
+  },
+};
+
+// Bulk Import (CSV/XLSX) Validation
+export const IMPORT_VALIDATION = {
+  MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
+  MAX_ROWS: 1000,
+  // Rows committed per transaction
+  CHUNK_SIZE: 100,
+  // Accepted declared MIME types by file extension
+  FILE_TYPES: {
+    ".csv": ["text/csv", "text/plain"],
+    ".xlsx": [
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ],
+  },
+  MAPPING: {
+    MAX_COLUMNS: 50,
+  },
+};
+
+// List Export (CSV/XLSX/PDF) Validation
+export const EXPORT_VALIDATION = {
+  // Documents read from the cursor before rows are written
+  BATCH_SIZE: 500,
+  // PDF tables are for printing; larger lists are exported as CSV/XLSX
+  PDF_MAX_ROWS: 2000,
+  COLUMNS: {
+    MAX_COUNT: 30,
+  },
+  CONTENT_TYPES: {
+    csv: "text/csv; charset=utf-8",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    pdf: "application/pdf",
+  },
+};
+
+// Calendar (ICS) Feed
+export const CALENDAR_FEED = {
+  // Random bytes of the secret feed token (hex encoded in the feed URL)
+  TOKEN_BYTES: 32,
+  // Tasks ending more than this many days ago are left out of the feed
+  PAST_DAYS: 90,
+  // Calendar clients are asked to refresh the subscription this often
+  REFRESH_INTERVAL: "PT1H",
+  SUMMARY_MAX_LENGTH: 80,
+  DESCRIPTION_MAX_LENGTH: 1000,
+  CONTENT_TYPE: "text/calendar; charset=utf-8",
+};
+
+// Webhook Field Validation
+export const WEBHOOK_VALIDATION = {
+  URL: {
+    MAX_LENGTH: 2048,
+  },
+  SECRET: {
+    MIN_LENGTH: 16,
+    MAX_LENGTH: 256,
+    // Random bytes of generated secrets (hex encoded)
+    GENERATED_BYTES: 32,
+  },
+  DESCRIPTION: {
+    MAX_LENGTH: 200,
+  },
+  EVENTS: {
+    MIN_COUNT: 1,
+  },
+  MAX_PER_ORGANIZATION: 10,
+};
+
+// API Token Field Validation
+export const API_TOKEN_VALIDATION = {
+  NAME: {
+    MIN_LENGTH: 2,
+    MAX_LENGTH: 100,
+  },
+  SCOPES: {
+    MIN_COUNT: 1,
+  },
+  EXPIRES_AT: {
+    MAX_DAYS: 365, // Latest expiry, in days from now (omit for no expiry)
+  },
+  // Active (not revoked, not expired) tokens
+  MAX_PERSONAL_PER_USER: 10,
+  MAX_API_KEYS_PER_ORGANIZATION: 25,
+};
+
 // Notification Field Validation
 export const NOTIFICATION_VALIDATION = {
   MESSAGE: {
@@ -641,6 +1210,16 @@ export const NOTIFICATION_VALIDATION = {
   },
 };
 
+// Notification Preference Validation
+export const NOTIFICATION_PREFERENCE_VALIDATION = {
+  QUIET_HOURS: {
+    TIME_PATTERN: /^([01]\d|2[0-3]):[0-5]\d$/,
+  },
+  MUTED_TASKS: {
+    MAX_COUNT: 500,
+  },
+};
+
 // Cloudinary URL Validation
 export const CLOUDINARY_VALIDATION = {
   URL_PATTERN:
@@ -760,12 +1339,32 @@ export default {
   TASK_PRIORITY,
   USER_ROLES,
   ACTIVITY_TYPES,
+  TIMELINE_ITEM_TYPES,
   NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  DIGEST_FREQUENCY,
+  EMAIL_OUTBOX_STATUS,
+  WEBHOOK_DELIVERY_STATUS,
+  API_TOKEN_TYPES,
+  EMAIL_TEMPLATES,
   VENDOR_STATUS,
+  VENDOR_DOCUMENT_TYPES,
   MATERIAL_CATEGORY,
+  UNIT_DIMENSIONS,
+  STOCK_MOVEMENT_TYPES,
+  STOCK_SOURCE_MODELS,
+  MATERIAL_PRICE_SOURCES,
+  REORDER_ALERT_STATUS,
+  PURCHASE_ORDER_STATUS,
+  IMPORT_RESOURCES,
+  EXPORT_FORMATS,
   TASK_TYPES,
   RECURRENCE_FREQUENCY,
+  RECURRENCE_UPDATE_SCOPE,
   TTL_EXPIRY,
+  EMAIL_OUTBOX,
+  WEBHOOK_DELIVERY,
+  API_TOKEN,
   HTTP_STATUS,
   ERROR_CODES,
   PAGINATION,
@@ -776,6 +1375,8 @@ export default {
   FILE_UPLOAD,
   COMMENT_MAX_DEPTH,
   FILE_TYPES,
+  STORAGE_PROVIDERS,
+  THUMBNAIL_SIZES,
   PARENT_MODEL_TYPES,
   ENTITY_MODEL_TYPES,
   SKILL_VALIDATION,
@@ -784,6 +1385,7 @@ export default {
   PASSWORD,
   ACCOUNT_LOCKOUT,
   SOCKET_EVENTS,
+  WEBHOOK_EVENTS,
   ORGANIZATION_VALIDATION,
   DEPARTMENT_VALIDATION,
   USER_VALIDATION,
@@ -791,9 +1393,23 @@ export default {
   COMMENT_VALIDATION,
   ACTIVITY_VALIDATION,
   MATERIAL_VALIDATION,
+  UNIT_CONVERSIONS,
+  MATERIAL_PRICE_VALIDATION,
+  STOCK_VALIDATION,
+  COST_VALIDATION,
+  VENDOR_SCORECARD,
+  VENDOR_COMPLIANCE,
+  PURCHASE_ORDER_VALIDATION,
   VENDOR_VALIDATION,
   ATTACHMENT_VALIDATION,
+  IMAGE_PROCESSING,
+  IMPORT_VALIDATION,
+  EXPORT_VALIDATION,
+  CALENDAR_FEED,
+  WEBHOOK_VALIDATION,
+  API_TOKEN_VALIDATION,
   NOTIFICATION_VALIDATION,
+  NOTIFICATION_PREFERENCE_VALIDATION,
   CLOUDINARY_VALIDATION,
   DATE_VALIDATION,
   RECURRENCE_VALIDATION,